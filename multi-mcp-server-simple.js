@@ -2,14 +2,107 @@
 
 import express from 'express';
 import cors from 'cors';
-import jwt from 'jsonwebtoken';
-import { randomUUID } from 'node:crypto';
-import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
+import { createHash, randomUUID, timingSafeEqual } from 'node:crypto';
+import { McpServer, ResourceTemplate } from '@modelcontextprotocol/sdk/server/mcp.js';
 import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
-import { isInitializeRequest } from '@modelcontextprotocol/sdk/types.js';
+import { isInitializeRequest, LATEST_PROTOCOL_VERSION } from '@modelcontextprotocol/sdk/types.js';
 import fs from 'fs';
 import path from 'path';
 import dotenv from 'dotenv';
+import { createToolContext } from './utils/tool-context.js';
+import { toLenientOutputSchema } from './utils/output-schemas.js';
+import { enforceRateLimits, RateLimitError } from './utils/rate-limiter.js';
+import {
+  initSessionStore,
+  closeSessionStore,
+  getSessionStoreType,
+  saveSession,
+  loadSession,
+  deleteSession,
+  listUserSessions,
+  touchSession,
+  encryptCredential,
+  decryptCredential
+} from './utils/session-store.js';
+import {
+  createGauge,
+  renderMetrics,
+  METRICS_CONTENT_TYPE,
+  toolCallsTotal,
+  toolCallDuration,
+  sessionsCreatedTotal,
+  sessionsExpiredTotal
+} from './utils/metrics.js';
+import {
+  configureLogging,
+  redirectConsole,
+  runWithLogContext,
+  setLogContext,
+  getLogContext,
+  redact,
+  writeLog
+} from './utils/logger.js';
+import {
+  initCredentialProvider,
+  getCredentialProviderType,
+  resolveConnection,
+  saveConnectionTokens
+} from './utils/credential-provider.js';
+import {
+  extractOAuthState,
+  canRefresh,
+  isTokenExpiring,
+  isUnauthorizedError,
+  refreshAccessToken
+} from './utils/oauth.js';
+import { ERROR_CODES, ToolError, classifyError, toToolErrorResult } from './utils/tool-errors.js';
+import { extractTokenPolicy, isReadOnlyMode, isToolAllowed } from './utils/tool-policy.js';
+import {
+  initApprovals,
+  requiresApproval,
+  isElicitationEnabled,
+  getApprovalTtlMs,
+  createActionPreview,
+  createPendingAction,
+  describePendingAction,
+  getPendingAction,
+  listPendingActions,
+  approvePendingAction,
+  rejectPendingAction,
+  rejectPendingActions
+} from './utils/approvals.js';
+import { captureDryRun, dryRunArgument, isDryRunEnabled } from './utils/dry-run.js';
+import { describeAbortReason, runWithCallSignal } from './utils/cancellation.js';
+import { getCleanupIntervalMs, getExpiryReason, getMaxSessionsPerUser, getSessionLimits } from './utils/session-limits.js';
+import {
+  initIdempotency,
+  closeIdempotencyStore,
+  getIdempotencyKey,
+  runIdempotent,
+  IDEMPOTENCY_HEADER
+} from './utils/idempotency.js';
+import {
+  initResponseCache,
+  closeResponseCache,
+  getCacheTtlMs,
+  isCacheBypassed,
+  runCached
+} from './utils/response-cache.js';
+import { initAuthKeys, verifyBearerJwt, hasApiKeys, matchApiKey } from './utils/auth-keys.js';
+import {
+  initRevocation,
+  closeRevocationStore,
+  checkRevocation,
+  revoke,
+  unrevoke,
+  listRevocations
+} from './utils/revocation.js';
+import {
+  initAudit,
+  runWithAuditContext,
+  getUpstreamStatus,
+  recordToolCall
+} from './utils/audit.js';
 
 dotenv.config();
 
@@ -26,213 +119,1848 @@ try {
 const app = express();
 const port = process.env.SSE_PORT || 8009;
 
-// Simple console logging for GCP Cloud Run
+// Structured JSON logging for GCP Cloud Run, redacted and tagged with the request/session ids.
+// log() writes at info level; log.debug/warn/error at theirs.
+configureLogging(config.global?.logging);
+redirectConsole();
+
 export function log(serverName, message, data = null) {
-  console.log(`[${serverName}] ${message}`, data || '');
+  writeLog('info', serverName, message, data);
+}
+log.debug = (serverName, message, data = null) => writeLog('debug', serverName, message, data);
+log.warn = (serverName, message, data = null) => writeLog('warn', serverName, message, data);
+log.error = (serverName, message, data = null) => writeLog('error', serverName, message, data);
+
+// Simple transport storage per server
+const serverTransports = new Map(); // serverName (or aggregate route) -> { sessionId -> transport }
+
+const GATEWAY_VERSION = '3.0.0-simple';
+
+// Aggregate routes serve several servers in one session: /_all/mcp and /bundle/:bundleName/mcp
+const ALL_SERVERS_ROUTE = '_all';
+const BUNDLE_ROUTE_PREFIX = 'bundle/';
+const NAMESPACE_SEPARATOR = '__';
+
+function isAggregateRoute(routeName) {
+  return routeName === ALL_SERVERS_ROUTE || routeName.startsWith(BUNDLE_ROUTE_PREFIX);
+}
+
+// Route name for a request: the server name, or bundle/<name> for bundle routes
+function getRouteName(req) {
+  return req.params.bundleName ? `${BUNDLE_ROUTE_PREFIX}${req.params.bundleName}` : req.params.serverName;
+}
+
+// Loaded servers reachable through a route, or null if the route doesn't exist.
+// Bundles are configured in server.json as "global": { "bundles": { "prospecting": ["hunter", "apollo"] } }
+function getRouteServers(routeName) {
+  if (routeName === ALL_SERVERS_ROUTE) {
+    return Array.from(serverAdapters.keys());
+  }
+  if (routeName.startsWith(BUNDLE_ROUTE_PREFIX)) {
+    const bundle = config.global?.bundles?.[routeName.slice(BUNDLE_ROUTE_PREFIX.length)];
+    return Array.isArray(bundle) ? bundle.filter(serverName => serverAdapters.has(serverName)) : null;
+  }
+  return serverAdapters.has(routeName) ? [routeName] : null;
+}
+
+// Loaded servers a session holds credentials for
+function getSessionServers(transport) {
+  return Object.keys(transport.serverCredentials || {}).filter(serverName => serverAdapters.has(serverName));
+}
+
+function getSessionPolicyOptions(transport, serverName) {
+  return {
+    globalConfig: config.global,
+    serverConfig: serverAdapters.get(serverName)?.config,
+    userId: transport.userId,
+    tokenPolicy: transport.serverCredentials?.[serverName]?.toolPolicy
+  };
+}
+
+// Whether the session's tool policy (server.json plus its JWT claims) lets it use a tool.
+// In read-only mode the adapter's current annotations must mark the tool read-only.
+function isSessionToolAllowed(transport, serverName, toolName) {
+  const toolDef = serverAdapters.get(serverName)?.toolsDefinitions.find(def => def.name === toolName);
+  return isToolAllowed(toolName, {
+    ...getSessionPolicyOptions(transport, serverName),
+    annotations: toolDef?.annotations
+  });
+}
+
+// Tools that change something upstream. In a dry run they return the request they would send.
+function isMutatingTool(toolDef) {
+  return toolDef?.annotations?.readOnlyHint !== true;
+}
+
+// Mutating tools of adapters that capture their requests accept a dryRun argument
+function acceptsDryRunArgument(serverAdapter, toolDef) {
+  return serverAdapter.supportsDryRun && isMutatingTool(toolDef);
+}
+
+// The session's key for a server. OAuth access tokens about to expire are refreshed first.
+async function getServerApiKey(transport, serverName) {
+  const credentials = transport.serverCredentials?.[serverName];
+  if (canRefresh(credentials) && isTokenExpiring(credentials)) {
+    return refreshSessionToken(transport, serverName);
+  }
+  return credentials?.userApiKey;
+}
+
+// Refresh a session's OAuth access token for a server and persist it with the session and,
+// for tokens from a stored connection, in the connection itself
+async function refreshSessionToken(transport, serverName) {
+  const credentials = transport.serverCredentials[serverName];
+  const accessToken = await refreshAccessToken(serverName, credentials, serverAdapters.get(serverName)?.config?.oauth);
+  if (!transport.aggregate) {
+    transport.userApiKey = accessToken;
+  }
+
+  if (credentials.connectionRef) {
+    try {
+      const saved = await saveConnectionTokens(credentials.connectionRef, {
+        accessToken,
+        refreshToken: credentials.oauth.refreshToken,
+        expiresAt: credentials.oauth.expiresAt
+      });
+      if (!saved) {
+        log.warn(serverName, `Refreshed token for connection ${credentials.connectionRef.name} can't be stored by the ${getCredentialProviderType()} credential provider`);
+      }
+    } catch (error) {
+      log.warn(serverName, `Failed to store refreshed token for connection ${credentials.connectionRef.name}`, { error: error.message });
+    }
+  }
+
+  try {
+    const record = await loadSession(transport.sessionId);
+    if (record) {
+      await saveSession({ ...record, ...getStoredCredentials(record.serverName, transport) }, getSessionRecordTtlMs(getSessionServers(transport)));
+    }
+  } catch (error) {
+    log.warn(serverName, `Failed to persist refreshed token for session ${transport.sessionId}`, { error: error.message });
+  }
+  return accessToken;
+}
+
+// Load server adapters
+const serverAdapters = new Map();
+
+// Fingerprint of a server's config and adapter sources, used to detect changes on reload
+function getAdapterFingerprint(serverConfig) {
+  const serverDir = path.resolve(serverConfig.directory);
+  let sources = '';
+  try {
+    sources = fs.readdirSync(serverDir)
+      .filter(file => file.endsWith('.js'))
+      .map(file => `${file}:${fs.statSync(path.join(serverDir, file)).mtimeMs}`)
+      .join(',');
+  } catch (error) {
+    // Missing directory is reported by loadServerAdapter
+  }
+  return `${JSON.stringify(serverConfig)}|${sources}`;
+}
+
+// Import a single adapter module and normalize it to { toolsDefinitions, toolHandlers }
+async function loadServerAdapter(serverName, serverConfig) {
+  const serverDir = path.resolve(serverConfig.directory);
+  const entryFile = path.join(serverDir, serverConfig.entryFile || 'index.js');
+
+  if (!fs.existsSync(entryFile)) {
+    throw new Error(`Entry file not found: ${entryFile}`);
+  }
+
+  // The query string busts the ESM cache so reloads pick up edited files
+  const serverModule = await import(`file://${entryFile}?t=${Date.now()}`);
+
+  let adapter;
+  if (serverModule.toolsDefinitions && serverModule.toolHandlers) {
+    adapter = serverModule;
+  } else if (serverModule.createServerAdapter) {
+    adapter = await serverModule.createServerAdapter(serverDir, serverConfig.apiKeyParam, log);
+  } else {
+    throw new Error(`Server ${serverName} must export toolsDefinitions and toolHandlers, or provide createServerAdapter function`);
+  }
+
+  return {
+    name: serverConfig.name,
+    version: serverConfig.version,
+    toolsDefinitions: adapter.toolsDefinitions,
+    toolHandlers: adapter.toolHandlers,
+    // Resources and prompts are optional
+    resourcesDefinitions: adapter.resourcesDefinitions || [],
+    promptsDefinitions: adapter.promptsDefinitions || [],
+    supportsDryRun: adapter.supportsDryRun === true,
+    // Optional session lifecycle hooks, see runSessionHooks
+    onSessionStart: adapter.onSessionStart,
+    onSessionEnd: adapter.onSessionEnd,
+    config: serverConfig,
+    fingerprint: getAdapterFingerprint(serverConfig),
+    loadedAt: Date.now()
+  };
+}
+
+async function loadServerAdapters() {
+  log('MANAGER', 'Loading server adapters...');
+
+  for (const [serverName, serverConfig] of Object.entries(config.servers)) {
+    if (!serverConfig.enabled) {
+      log('MANAGER', `Server ${serverName} is disabled, skipping`);
+      continue;
+    }
+
+    try {
+      serverAdapters.set(serverName, await loadServerAdapter(serverName, serverConfig));
+
+      // Initialize transport storage for this server
+      serverTransports.set(serverName, new Map());
+
+      log('MANAGER', `Server adapter loaded: ${serverName}`);
+    } catch (error) {
+      log.error('MANAGER', `Failed to load server adapter ${serverName}`, { error: error.message });
+    }
+  }
+
+  log('MANAGER', `Loaded ${serverAdapters.size} server adapters`);
+}
+
+// Servers disabled through the admin API. They stay unloaded across reloads until enabled again or a restart.
+const disabledServers = new Set();
+
+// Re-read server.json and apply the differences to the running gateway:
+// - new or changed servers are (re)loaded and their live sessions get the new tools
+// - disabled or removed servers are unloaded and their sessions closed (aggregate sessions just lose their tools)
+// - unchanged servers and their sessions are left alone
+let reloadInProgress = Promise.resolve();
+
+function reloadServerAdapters(reason = 'manual') {
+  reloadInProgress = reloadInProgress.then(async () => {
+    log('MANAGER', `Reloading server adapters (${reason})...`);
+
+    let nextConfig;
+    try {
+      nextConfig = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    } catch (error) {
+      log.warn('MANAGER', 'Failed to re-read server.json, keeping current configuration', { error: error.message });
+      return;
+    }
+
+    const summary = { loaded: [], reloaded: [], unloaded: [], unchanged: [], failed: [] };
+
+    for (const serverName of Array.from(serverAdapters.keys())) {
+      if (!nextConfig.servers?.[serverName]?.enabled || disabledServers.has(serverName)) {
+        await unloadServerAdapter(serverName);
+        summary.unloaded.push(serverName);
+      }
+    }
+
+    for (const [serverName, serverConfig] of Object.entries(nextConfig.servers || {})) {
+      if (!serverConfig.enabled || disabledServers.has(serverName)) {
+        continue;
+      }
+
+      const current = serverAdapters.get(serverName);
+      if (current && current.fingerprint === getAdapterFingerprint(serverConfig)) {
+        summary.unchanged.push(serverName);
+        continue;
+      }
+
+      try {
+        const adapter = await loadServerAdapter(serverName, serverConfig);
+        serverAdapters.set(serverName, adapter);
+
+        if (!serverTransports.has(serverName)) {
+          serverTransports.set(serverName, new Map());
+        }
+
+        if (current) {
+          // Swap tools, resources and prompts on every live session; clients receive list_changed notifications
+          for (const transport of serverTransports.get(serverName).values()) {
+            refreshSessionRegistrations(serverName, transport);
+          }
+          summary.reloaded.push(serverName);
+        } else {
+          summary.loaded.push(serverName);
+        }
+
+        // Aggregate sessions holding credentials for this server pick up its tools too
+        for (const transport of getAggregateSessions(serverName)) {
+          refreshSessionRegistrations(serverName, transport);
+        }
+      } catch (error) {
+        // Keep serving the previous version if the new one fails to load
+        log.error('MANAGER', `Failed to reload server adapter ${serverName}`, { error: error.message });
+        summary.failed.push(serverName);
+      }
+    }
+
+    // Rotated signing and API keys apply without a restart; a broken auth config keeps the current keys
+    try {
+      initAuthKeys(nextConfig.global?.auth);
+    } catch (error) {
+      log.error('MANAGER', 'Failed to reload auth keys, keeping the current ones', { error: error.message });
+    }
+
+    config = nextConfig;
+    configureLogging(config.global?.logging);
+    log('MANAGER', 'Reload complete', summary);
+    return summary;
+  });
+
+  return reloadInProgress;
+}
+
+async function unloadServerAdapter(serverName) {
+  const transports = serverTransports.get(serverName);
+  if (transports) {
+    for (const [sessionId, transport] of transports.entries()) {
+      try {
+        await transport.close();
+      } catch (error) {
+        log.warn(serverName, `Error closing session ${sessionId} during unload`, { error: error.message });
+      }
+    }
+    serverTransports.delete(serverName);
+  }
+
+  serverAdapters.delete(serverName);
+
+  // Aggregate sessions stay open and just lose this server's tools
+  for (const transport of getAggregateSessions(serverName)) {
+    refreshSessionRegistrations(serverName, transport);
+  }
+
+  log('MANAGER', `Server adapter unloaded: ${serverName}`);
+}
+
+// Watch server.json and the servers directory when hot reload is enabled
+function watchServerAdapters() {
+  let debounceTimer = null;
+  const scheduleReload = (reason) => {
+    clearTimeout(debounceTimer);
+    debounceTimer = setTimeout(() => reloadServerAdapters(reason), 500);
+  };
+
+  // watchFile polls, so it survives editors that replace server.json on save
+  fs.watchFile(configPath, { interval: 1000 }, () => scheduleReload('server.json changed'));
+
+  const serversDir = path.join(process.cwd(), 'servers');
+  if (fs.existsSync(serversDir)) {
+    fs.watch(serversDir, { recursive: true }, (eventType, fileName) => {
+      if (fileName && fileName.endsWith('.js')) {
+        scheduleReload(`${fileName} changed`);
+      }
+    });
+  }
+
+  log('MANAGER', 'Hot reload enabled, watching server.json and adapters');
+}
+
+// Registered tools, resources and prompts of one server on a session, so they can be swapped on reload
+function getSessionRegistrations(transport, serverName) {
+  if (!transport.registrations) {
+    transport.registrations = new Map(); // serverName -> { tools, resources, prompts }
+  }
+  if (!transport.registrations.has(serverName)) {
+    transport.registrations.set(serverName, { tools: [], resources: [], prompts: [] });
+  }
+  return transport.registrations.get(serverName);
+}
+
+// Aggregate sessions expose several servers, so names are prefixed with the server (hunter__hunter-find-email)
+function getRegisteredName(serverName, transport, name) {
+  return transport.aggregate ? `${serverName}${NAMESPACE_SEPARATOR}${name}` : name;
+}
+
+// A session running a tool call isn't idle, however long the call takes
+async function trackToolCall(transport, run) {
+  transport.activeCalls = (transport.activeCalls || 0) + 1;
+  try {
+    return await run();
+  } finally {
+    transport.activeCalls--;
+    transport.lastActive = Date.now();
+  }
+}
+
+// Run a tool call for a session: tool policy, idempotency keys, the response cache, rate limits, dry runs,
+// approval for outbound tools, then the adapter handler with metrics, error classification and the audit trail
+async function handleToolCall(serverName, transport, toolName, callArgs, extra) {
+  log(serverName, `Processing tool: ${toolName}`);
+  transport.callCount = (transport.callCount || 0) + 1;
+  const currentAdapter = serverAdapters.get(serverName);
+  if (!currentAdapter?.toolHandlers[toolName]) {
+    throw new Error(`Unknown tool: ${toolName}`);
+  }
+
+  // dryRun is the gateway's own argument and never reaches the handler
+  const toolDef = currentAdapter.toolsDefinitions.find(def => def.name === toolName);
+  const acceptsDryRun = acceptsDryRunArgument(currentAdapter, toolDef);
+  const { dryRun: dryRunRequested, ...handlerArgs } = callArgs;
+  const args = acceptsDryRun ? handlerArgs : callArgs;
+  const dryRun = isMutatingTool(toolDef) &&
+    ((acceptsDryRun && dryRunRequested === true) || isDryRunEnabled(config.global));
+
+  const startedAt = Date.now();
+  const audit = (outcome, { errorCode = null, upstreamStatus = getUpstreamStatus() } = {}) => recordToolCall({
+    requestId: getLogContext().requestId,
+    sessionId: transport.sessionId,
+    userId: transport.userId,
+    serverName,
+    serverId: transport.serverCredentials?.[serverName]?.serverId,
+    tool: toolName,
+    arguments: redact(args),
+    outcome,
+    errorCode,
+    durationMs: Date.now() - startedAt,
+    upstreamStatus
+  });
+
+  // Tools outside the policy aren't registered, but the policy may have changed since (hot reload)
+  if (!isSessionToolAllowed(transport, serverName, toolName)) {
+    log.warn(serverName, `Tool not allowed: ${toolName}`, { userId: transport.userId });
+    toolCallsTotal.inc({ server: serverName, tool: toolName, status: 'denied' });
+    await audit('denied', { errorCode: ERROR_CODES.TOOL_NOT_ALLOWED });
+    const reason = isReadOnlyMode(getSessionPolicyOptions(transport, serverName)) && toolDef?.annotations?.readOnlyHint !== true
+      ? 'is not available in read-only mode'
+      : 'is not allowed for this session';
+    return toToolErrorResult(new ToolError(
+      ERROR_CODES.TOOL_NOT_ALLOWED,
+      `Tool ${toolName} ${reason}`,
+      { provider: serverName }
+    ));
+  }
+
+  // Read-only lookups in the response cache are answered from it when possible
+  const cached = !dryRun && toolDef?.annotations?.readOnlyHint === true && getCacheTtlMs(toolName) !== null;
+  const dispatch = () => cached
+    ? dispatchCachedToolCall(serverName, transport, toolName, args, extra, { audit })
+    : dispatchToolCall(serverName, transport, toolName, args, extra, { dryRun, audit });
+
+  // Repeats with the same idempotency key get the first result; dry runs send nothing, so they always run
+  const idempotencyKey = dryRun ? null : getIdempotencyKey(extra);
+  if (!idempotencyKey) {
+    return dispatch();
+  }
+
+  try {
+    const { result, replayed } = await runIdempotent(
+      { key: idempotencyKey, userId: transport.userId, serverName, toolName, args },
+      dispatch
+    );
+    if (!replayed) {
+      return result;
+    }
+    log(serverName, `Replayed idempotent result: ${toolName}`, { userId: transport.userId });
+    toolCallsTotal.inc({ server: serverName, tool: toolName, status: 'replayed' });
+    await audit('replayed', { errorCode: result?.structuredContent?.error?.code ?? null, upstreamStatus: null });
+    return { ...result, _meta: { ...result._meta, idempotentReplay: true } };
+  } catch (error) {
+    if (error.code !== ERROR_CODES.IDEMPOTENCY_CONFLICT) {
+      throw error;
+    }
+    log.warn(serverName, `Idempotency conflict: ${toolName}`, { userId: transport.userId });
+    toolCallsTotal.inc({ server: serverName, tool: toolName, status: 'error' });
+    await audit('error', { errorCode: error.code, upstreamStatus: null });
+    return toToolErrorResult(classifyError(error, { provider: serverName }));
+  }
+}
+
+// A cached result, keyed on the caller's credential, without counting against rate limits;
+// otherwise the call runs as usual and a successful result is cached
+async function dispatchCachedToolCall(serverName, transport, toolName, args, extra, { audit }) {
+  const { result, hit, cachedAt } = await runCached({
+    serverName,
+    toolName,
+    args,
+    credential: transport.serverCredentials?.[serverName]?.userApiKey,
+    bypass: isCacheBypassed(extra)
+  }, () => dispatchToolCall(serverName, transport, toolName, args, extra, { dryRun: false, audit }));
+  if (!hit) {
+    return result;
+  }
+
+  log(serverName, `Served from cache: ${toolName}`, { userId: transport.userId });
+  toolCallsTotal.inc({ server: serverName, tool: toolName, status: 'cached' });
+  await audit('cached', { upstreamStatus: null });
+  return { ...result, _meta: { ...result._meta, cachedAt: new Date(cachedAt).toISOString() } };
+}
+
+// Rate limits, then a dry run, the approval flow or the handler itself
+async function dispatchToolCall(serverName, transport, toolName, args, extra, { dryRun, audit }) {
+  const currentAdapter = serverAdapters.get(serverName);
+
+  try {
+    await enforceRateLimits({
+      userId: transport.userId,
+      serverName,
+      toolName,
+      serverConfig: currentAdapter.config,
+      globalConfig: config.global
+    });
+  } catch (error) {
+    if (error instanceof RateLimitError) {
+      log.warn(serverName, `Rate limited: ${toolName}`, { userId: transport.userId, scope: error.scope, retryAfter: error.retryAfter });
+      toolCallsTotal.inc({ server: serverName, tool: toolName, status: 'rate_limited' });
+      await audit('rate_limited', { errorCode: ERROR_CODES.RATE_LIMITED });
+      const result = toToolErrorResult(new ToolError(
+        ERROR_CODES.RATE_LIMITED,
+        error.message,
+        { provider: serverName, retryAfter: error.retryAfter }
+      ));
+      Object.assign(result.structuredContent.error, { scope: error.scope, limit: error.limit, windowMs: error.windowMs });
+      return result;
+    }
+    throw error;
+  }
+
+  // Nothing is sent in a dry run, so it needs no approval
+  if (dryRun) {
+    return executeDryRun(serverName, transport, toolName, args, extra, audit);
+  }
+  if (requiresApproval(toolName)) {
+    return requestToolApproval(serverName, transport, toolName, args, extra, audit);
+  }
+  return executeToolCall(serverName, transport, toolName, args, extra, audit);
+}
+
+// Outbound tools in approval mode: ask the user through MCP elicitation when the client supports it,
+// otherwise park the call and return a confirmation token for the /approvals API
+async function requestToolApproval(serverName, transport, toolName, args, extra, audit) {
+  const preview = createActionPreview(serverName, toolName, args);
+  const server = transport.mcpServer.server;
+
+  if (isElicitationEnabled() && server.getClientCapabilities()?.elicitation?.form) {
+    try {
+      const response = await server.elicitInput({
+        message: `Approve this action?\n\n${preview.text}`,
+        requestedSchema: {
+          type: 'object',
+          properties: { approve: { type: 'boolean', title: 'Approve', description: `Run ${toolName} with these arguments` } },
+          required: ['approve']
+        }
+      }, { relatedRequestId: extra.requestId, signal: extra.signal, timeout: getApprovalTtlMs() });
+
+      if (response.action === 'accept' && response.content?.approve === true) {
+        log(serverName, `Approved through elicitation: ${toolName}`, { userId: transport.userId });
+        return executeToolCall(serverName, transport, toolName, args, extra, audit);
+      }
+
+      log(serverName, `Not approved through elicitation: ${toolName}`, { userId: transport.userId, action: response.action });
+      toolCallsTotal.inc({ server: serverName, tool: toolName, status: 'rejected' });
+      await audit('rejected', { errorCode: ERROR_CODES.APPROVAL_REJECTED });
+      return toToolErrorResult(new ToolError(
+        ERROR_CODES.APPROVAL_REJECTED,
+        `${toolName} was not approved`,
+        { provider: serverName }
+      ));
+    } catch (error) {
+      log.warn(serverName, `Elicitation failed for ${toolName}, parking it for approval`, { error: error.message });
+    }
+  }
+
+  const action = createPendingAction({
+    serverName,
+    toolName,
+    userId: transport.userId,
+    sessionId: transport.sessionId,
+    caller: transport.caller,
+    preview,
+    // Approved actions run after the session that asked for them may have ended,
+    // but not once its token is revoked
+    execute: async () => {
+      if (await checkRevocation({ jti: transport.tokenId, userId: transport.userId, iat: transport.issuedAt })) {
+        log.warn(serverName, `Not running approved ${toolName}: the session's token was revoked`, { userId: transport.userId });
+        toolCallsTotal.inc({ server: serverName, tool: toolName, status: 'rejected' });
+        await audit('rejected', { errorCode: ERROR_CODES.AUTH_FAILED });
+        return toToolErrorResult(new ToolError(
+          ERROR_CODES.AUTH_FAILED,
+          `${toolName} was not run: the token of the session that asked for it has been revoked`,
+          { provider: serverName }
+        ));
+      }
+      return executeToolCall(serverName, transport, toolName, args, {}, audit, { detached: true });
+    },
+    cancel: (outcome) => audit(outcome, {
+      errorCode: outcome === 'rejected' ? ERROR_CODES.APPROVAL_REJECTED : ERROR_CODES.APPROVAL_REQUIRED
+    })
+  });
+  log(serverName, `Waiting for approval: ${toolName}`, { actionId: action.id, userId: transport.userId });
+  toolCallsTotal.inc({ server: serverName, tool: toolName, status: 'pending_approval' });
+  await audit('pending_approval', { errorCode: ERROR_CODES.APPROVAL_REQUIRED });
+
+  const { token, expiresAt } = describePendingAction(action);
+  const result = toToolErrorResult(new ToolError(
+    ERROR_CODES.APPROVAL_REQUIRED,
+    `${toolName} is waiting for approval. Confirmation token: ${token} (expires ${expiresAt})`,
+    { provider: serverName }
+  ));
+  result.structuredContent.approval = { id: action.id, token, expiresAt, preview };
+  return result;
+}
+
+// Run the adapter handler with its mutating upstream requests captured instead of sent
+async function executeDryRun(serverName, transport, toolName, args, extra, audit) {
+  const currentAdapter = serverAdapters.get(serverName);
+  if (!currentAdapter.supportsDryRun) {
+    toolCallsTotal.inc({ server: serverName, tool: toolName, status: 'error' });
+    await audit('error', { errorCode: ERROR_CODES.DRY_RUN_UNSUPPORTED });
+    return toToolErrorResult(new ToolError(
+      ERROR_CODES.DRY_RUN_UNSUPPORTED,
+      `${toolName} can't run dry: the ${serverName} adapter doesn't capture its requests`,
+      { provider: serverName }
+    ));
+  }
+
+  const context = createToolContext({ serverName, toolName, transport, extra });
+  const apiKey = await getServerApiKey(transport, serverName);
+  const { requests, error } = await captureDryRun(() => runWithCallSignal(context.signal, () => runWithLogContext(
+    { ...getLogContext(), tool: toolName, userId: transport.userId },
+    () => currentAdapter.toolHandlers[toolName](args, apiKey, transport.userId, context)
+  )));
+
+  // The handler failed before building a request, e.g. on a missing argument or a failed lookup
+  if (requests.length === 0 && error) {
+    const toolError = classifyError(error, { provider: serverName });
+    log.warn(serverName, `Dry run failed: ${toolName}`, { error: error.message, code: toolError.code });
+    toolCallsTotal.inc({ server: serverName, tool: toolName, status: 'error' });
+    await audit('error', { errorCode: toolError.code, upstreamStatus: toolError.status ?? null });
+    return toToolErrorResult(toolError);
+  }
+
+  log(serverName, `Dry run: ${toolName}`, { requests: requests.map(request => `${request.method} ${request.url}`) });
+  toolCallsTotal.inc({ server: serverName, tool: toolName, status: 'dry_run' });
+  await audit('dry_run');
+
+  // A successful result: the registered output schemas are lenient (toLenientOutputSchema),
+  // so structuredContent holding only dryRun still validates
+  const summary = requests.length > 0
+    ? requests.map(request => `${request.method} ${request.url}`).join(', ')
+    : 'no request';
+  return {
+    content: [
+      { type: 'text', text: `Dry run, nothing was sent. ${toolName} would send ${summary}` },
+      { type: 'text', text: JSON.stringify(requests, null, 2) }
+    ],
+    structuredContent: { dryRun: { requests } },
+    _meta: { dryRun: true }
+  };
+}
+
+// Run the adapter handler, with one retry after an OAuth refresh, and record metrics and the audit entry.
+// The handler is resolved here so a call approved after a reload runs the current adapter.
+async function executeToolCall(serverName, transport, toolName, args, extra, audit, { detached = false } = {}) {
+  const handler = serverAdapters.get(serverName)?.toolHandlers[toolName];
+  if (!handler) {
+    throw new Error(`Unknown tool: ${toolName}`);
+  }
+
+  // Per-call context: userId, serverId, sessionId, abort signal, progress and logger
+  const context = createToolContext({
+    serverName,
+    toolName,
+    transport,
+    extra,
+    detached
+  });
+
+  const metricLabels = { server: serverName, tool: toolName };
+  const endTimer = toolCallDuration.startTimer(metricLabels);
+  // Tag everything the handler logs with the tool and user; its upstream requests abort with the call
+  const callHandler = apiKey => runWithCallSignal(context.signal, () => runWithLogContext(
+    { ...getLogContext(), tool: toolName, userId: transport.userId },
+    () => handler(args, apiKey, transport.userId, context)
+  ));
+
+  return runWithAuditContext(async () => {
+    try {
+      let result;
+      try {
+        result = await callHandler(await getServerApiKey(transport, serverName));
+      } catch (error) {
+        // A rejected OAuth token is refreshed and the call retried once
+        if (!isUnauthorizedError(error) || !canRefresh(transport.serverCredentials[serverName])) {
+          throw error;
+        }
+        log(serverName, `Access token rejected for ${toolName}, refreshing and retrying`);
+        result = await callHandler(await refreshSessionToken(transport, serverName));
+      }
+      endTimer();
+      toolCallsTotal.inc({ ...metricLabels, status: result?.isError ? 'error' : 'success' });
+      log(serverName, `Tool completed: ${toolName}`, { success: true });
+      await audit(result?.isError ? 'error' : 'success', { errorCode: result?.structuredContent?.error?.code ?? null });
+      return result;
+    } catch (error) {
+      endTimer();
+      toolCallsTotal.inc({ ...metricLabels, status: 'error' });
+
+      // Returned as an isError result with a code, provider, status and retryable flag
+      const toolError = context.signal?.aborted
+        ? new ToolError(ERROR_CODES.CANCELLED, `${toolName} was cancelled: ${describeAbortReason(context.signal.reason)}`, {
+          provider: serverName,
+          cause: error
+        })
+        : classifyError(error, { provider: serverName });
+      // A cancelled call is the client's doing, not a failure worth alerting on
+      const logError = toolError.code === ERROR_CODES.CANCELLED ? log.warn : log.error;
+      logError(serverName, `Tool error: ${toolName}`, {
+        error: error.message,
+        code: toolError.code,
+        status: toolError.status
+      });
+      await audit('error', { errorCode: toolError.code, upstreamStatus: toolError.status ?? getUpstreamStatus() });
+      return toToolErrorResult(toolError);
+    }
+  });
+}
+
+// Register the adapter's current tools on a session's McpServer.
+// Handlers are resolved at call time so a reloaded adapter takes effect immediately.
+function registerSessionTools(serverName, transport) {
+  const serverAdapter = serverAdapters.get(serverName);
+  const registrations = getSessionRegistrations(transport, serverName);
+
+  for (const toolDef of serverAdapter.toolsDefinitions) {
+    if (!isSessionToolAllowed(transport, serverName, toolDef.name)) {
+      continue;
+    }
+
+    const registeredTool = transport.mcpServer.registerTool(
+      getRegisteredName(serverName, transport, toolDef.name),
+      {
+        title: toolDef.name,
+        description: toolDef.description,
+        inputSchema: acceptsDryRunArgument(serverAdapter, toolDef)
+          ? { ...toolDef.inputSchema, dryRun: dryRunArgument }
+          : toolDef.inputSchema,
+        // Provider shape drift must not turn a successful call into an output validation error
+        outputSchema: toLenientOutputSchema(toolDef.outputSchema),
+        annotations: toolDef.annotations
+      },
+      (args, extra) => trackToolCall(transport, () => handleToolCall(serverName, transport, toolDef.name, args, extra))
+    );
+    registrations.tools.push(registeredTool);
+  }
+}
+
+// Register the adapter's resources on a session's McpServer.
+// A definition has either a fixed `uri` or a `uriTemplate` (e.g. "table://{id}") with an optional
+// list callback enumerating the concrete resources. Callbacks are resolved at call time like tools.
+function registerSessionResources(serverName, transport) {
+  const serverAdapter = serverAdapters.get(serverName);
+  const registrations = getSessionRegistrations(transport, serverName);
+
+  for (const resourceDef of serverAdapter.resourcesDefinitions) {
+    const getCurrentDefinition = () => {
+      const currentDef = serverAdapters.get(serverName)?.resourcesDefinitions.find(def => def.name === resourceDef.name);
+      if (!currentDef) {
+        throw new Error(`Unknown resource: ${resourceDef.name}`);
+      }
+      return currentDef;
+    };
+    const createContext = (extra) => createToolContext({ serverName, toolName: resourceDef.name, transport, extra });
+
+    const uriOrTemplate = resourceDef.uriTemplate
+      ? new ResourceTemplate(resourceDef.uriTemplate, {
+        // resources/list merges every template of the session, so one failing adapter
+        // (e.g. a bad key on /_all) lists nothing for its template instead of failing the rest
+        list: resourceDef.list
+          ? async (extra) => {
+            try {
+              return {
+                resources: await getCurrentDefinition().list(await getServerApiKey(transport, serverName), transport.userId, createContext(extra))
+              };
+            } catch (error) {
+              log.warn(serverName, `Listing resources failed: ${resourceDef.name}`, { error: error.message });
+              return { resources: [] };
+            }
+          }
+          : undefined
+      })
+      : resourceDef.uri;
+
+    const registeredResource = transport.mcpServer.registerResource(
+      getRegisteredName(serverName, transport, resourceDef.name),
+      uriOrTemplate,
+      {
+        title: resourceDef.title,
+        description: resourceDef.description,
+        mimeType: resourceDef.mimeType
+      },
+      // Fixed resources are read with (uri, extra), templates with (uri, variables, extra)
+      async (uri, ...callbackArgs) => {
+        const extra = callbackArgs.pop();
+        const variables = callbackArgs[0] || {};
+        log(serverName, `Reading resource: ${uri.href}`);
+
+        try {
+          return await getCurrentDefinition().read(uri.href, variables, await getServerApiKey(transport, serverName), transport.userId, createContext(extra));
+        } catch (error) {
+          log.error(serverName, `Resource error: ${resourceDef.name}`, { error: error.message });
+          throw error;
+        }
+      }
+    );
+    registrations.resources.push(registeredResource);
+  }
+}
+
+// Register the adapter's prompts on a session's McpServer
+function registerSessionPrompts(serverName, transport) {
+  const serverAdapter = serverAdapters.get(serverName);
+  const registrations = getSessionRegistrations(transport, serverName);
+
+  for (const promptDef of serverAdapter.promptsDefinitions) {
+    const registeredPrompt = transport.mcpServer.registerPrompt(
+      getRegisteredName(serverName, transport, promptDef.name),
+      {
+        title: promptDef.title,
+        description: promptDef.description,
+        argsSchema: promptDef.argsSchema
+      },
+      // Prompts without an argsSchema are called with (extra) only
+      async (...callbackArgs) => {
+        const extra = callbackArgs.pop();
+        const args = callbackArgs[0] || {};
+        log(serverName, `Getting prompt: ${promptDef.name}`);
+
+        const currentDef = serverAdapters.get(serverName)?.promptsDefinitions.find(def => def.name === promptDef.name);
+        if (!currentDef) {
+          throw new Error(`Unknown prompt: ${promptDef.name}`);
+        }
+
+        const context = createToolContext({ serverName, toolName: promptDef.name, transport, extra });
+        return currentDef.get(args, await getServerApiKey(transport, serverName), transport.userId, context);
+      }
+    );
+    registrations.prompts.push(registeredPrompt);
+  }
+}
+
+// Register tools, resources and prompts of one server on a session
+function registerServerOnSession(serverName, transport) {
+  registerSessionTools(serverName, transport);
+  registerSessionResources(serverName, transport);
+  registerSessionPrompts(serverName, transport);
+}
+
+// Name of the placeholders registerSessionCapabilities installs the request handlers with
+const SESSION_PLACEHOLDER = 'gateway-placeholder';
+
+// Register everything the session's servers expose on its new McpServer
+function registerSessionCapabilities(transport) {
+  const { mcpServer } = transport;
+
+  // McpServer installs the list/call handlers on the first registration, which fails once
+  // connected. A reloaded adapter can add tools, resources or prompts to live sessions that
+  // started without any (tools can also all be filtered out by the tool policy), so register
+  // and remove a placeholder of each kind to install the handlers up front
+  mcpServer.registerTool(SESSION_PLACEHOLDER, {}, () => ({ content: [] })).remove();
+  mcpServer.registerResource(SESSION_PLACEHOLDER, `gateway://${SESSION_PLACEHOLDER}`, {}, () => ({ contents: [] })).remove();
+  mcpServer.registerPrompt(SESSION_PLACEHOLDER, {}, () => ({ messages: [] })).remove();
+
+  for (const serverName of getSessionServers(transport)) {
+    registerServerOnSession(serverName, transport);
+  }
+}
+
+// Replace one server's tools, resources and prompts on a live session after its adapter was
+// reloaded or unloaded. Servers that are no longer loaded are only removed.
+function refreshSessionRegistrations(serverName, transport) {
+  const { mcpServer } = transport;
+
+  // Every register/remove emits list_changed; batch them into a single notification per kind
+  const notifiers = ['sendToolListChanged', 'sendResourceListChanged', 'sendPromptListChanged'];
+  const originalNotifiers = notifiers.map(notifier => mcpServer[notifier]);
+  notifiers.forEach(notifier => { mcpServer[notifier] = () => {}; });
+  try {
+    const { tools, resources, prompts } = getSessionRegistrations(transport, serverName);
+    for (const registration of [...tools, ...resources, ...prompts]) {
+      registration.remove();
+    }
+    transport.registrations.delete(serverName);
+
+    if (serverAdapters.has(serverName)) {
+      registerServerOnSession(serverName, transport);
+    }
+  } finally {
+    notifiers.forEach((notifier, index) => { mcpServer[notifier] = originalNotifiers[index]; });
+  }
+
+  mcpServer.sendToolListChanged();
+  mcpServer.sendResourceListChanged();
+  mcpServer.sendPromptListChanged();
+  log(serverName, `Tools, resources and prompts refreshed for session ${transport.sessionId}`);
+}
+
+// Aggregate sessions (on _all or a bundle) that hold credentials for this server
+function getAggregateSessions(serverName) {
+  const sessions = [];
+  for (const [routeName, transports] of serverTransports.entries()) {
+    if (!isAggregateRoute(routeName)) {
+      continue;
+    }
+    for (const transport of transports.values()) {
+      if (transport.serverCredentials?.[serverName]) {
+        sessions.push(transport);
+      }
+    }
+  }
+  return sessions;
+}
+
+// Server-to-Server API Key validation
+// The x-api-key header validates the calling server is authorized. Each caller has its own
+// named key (MCP_API_KEY, MCP_API_KEYS or global.auth.api_keys), so one can be rotated at a time.
+function validateServerApiKey(apiKey) {
+  if (!apiKey) {
+    log('AUTH', 'No x-api-key provided for server-to-server auth');
+    return { isValid: false, error: 'x-api-key header is required' };
+  }
+
+  if (!hasApiKeys()) {
+    log('AUTH', 'No server API keys configured (MCP_API_KEY, MCP_API_KEYS or global.auth.api_keys)');
+    return { isValid: false, error: 'Server API key not configured' };
+  }
+
+  const caller = matchApiKey(apiKey);
+  if (!caller) {
+    log('AUTH', 'Invalid server-to-server API key');
+    return { isValid: false, error: 'Invalid server API key' };
+  }
+
+  log('AUTH', `Valid server-to-server API key: ${caller}`);
+  return { isValid: true, caller };
+}
+
+// Verify and decode the Bearer JWT token to extract user data
+// Single-server tokens contain: { serverId, serverName, userId, apiKey/accessToken/connection }
+// Multi-server tokens contain: { userId, servers: { [serverName]: { serverId, apiKey/accessToken/connection } } }
+// Both are normalized to { userId, servers: { [serverName]: { serverId, userApiKey, oauth?, toolPolicy? } }, tokenId, issuedAt },
+// with { serverId, connection } for entries whose key is resolved by the credential provider
+function decryptBearerToken(token) {
+  try {
+    // Verify and decode the JWT token with the signing key named by its kid (utils/auth-keys.js)
+    const decoded = verifyBearerJwt(token);
+
+    if (!decoded.userId) {
+      throw new Error('Missing required fields in JWT token');
+    }
+
+    const serverEntries = decoded.servers
+      ? Object.entries(decoded.servers)
+      : [[decoded.serverName, decoded]];
+
+    if (serverEntries.length === 0) {
+      throw new Error('Missing servers in JWT token');
+    }
+
+    const servers = {};
+    for (const [serverName, credentials] of serverEntries) {
+      // Validate required fields
+      if (!serverName || !credentials?.serverId) {
+        throw new Error('Missing required fields in JWT token');
+      }
+
+      // apiKey or accessToken (for OAuth servers), or a connection to look the key up from
+      if (!credentials.apiKey && !credentials.accessToken && !credentials.connection) {
+        throw new Error(`Missing apiKey, accessToken or connection for ${serverName} in JWT token`);
+      }
+
+      // allowedTools/deniedTools/scopes claims limit the tools the session can use
+      const toolPolicy = extractTokenPolicy(credentials, decoded);
+
+      if (credentials.apiKey || credentials.accessToken) {
+        // OAuth entries may add refreshToken, expiresAt and client config so the token can be refreshed
+        const oauth = credentials.accessToken ? extractOAuthState(credentials) : null;
+        servers[serverName] = {
+          serverId: credentials.serverId,
+          userApiKey: credentials.apiKey || credentials.accessToken,
+          ...(oauth && { oauth }),
+          ...(toolPolicy && { toolPolicy })
+        };
+      } else {
+        servers[serverName] = {
+          serverId: credentials.serverId,
+          connection: String(credentials.connection),
+          ...(toolPolicy && { toolPolicy })
+        };
+      }
+    }
+
+    return {
+      userId: decoded.userId,
+      servers,
+      tokenId: decoded.jti ?? null,
+      issuedAt: decoded.iat ?? null,
+      expiresAt: decoded.exp ? decoded.exp * 1000 : null
+    };
+  } catch (error) {
+    log.warn('AUTH', 'Failed to verify Bearer token', { error: error.message });
+    throw new Error(`Invalid JWT token: ${error.message}`);
+  }
+}
+
+// Look up keys for token entries that reference a connection
+async function resolveServerCredentials(userId, servers) {
+  const resolved = {};
+  for (const [serverName, credentials] of Object.entries(servers)) {
+    if (!credentials.connection) {
+      resolved[serverName] = credentials;
+      continue;
+    }
+    const { connection, ...rest } = credentials;
+    const { credential, oauth, source } = await resolveConnection(connection, userId);
+    // OAuth connections remember where they came from, so refreshed tokens can be written back
+    resolved[serverName] = { ...rest, userApiKey: credential, ...(oauth && { oauth, connectionRef: source }) };
+  }
+  return resolved;
+}
+
+// Validate Bearer token and extract the user's credentials for the servers behind a route
+async function validateBearerToken(authHeader, routeName, routeServers) {
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    log('AUTH', `No Bearer token provided for ${routeName}`);
+    return { isValid: false, error: 'Bearer token is required', userData: null };
+  }
+
+  try {
+    const encryptedToken = authHeader.split(' ')[1];
+    const { userId, servers, tokenId, issuedAt, expiresAt } = decryptBearerToken(encryptedToken);
+
+    const revocation = await checkRevocation({ jti: tokenId, userId, iat: issuedAt });
+    if (revocation) {
+      log.warn('AUTH', `Revoked token presented for ${routeName}`, { userId, tokenId, revokedBy: revocation.type });
+      return { isValid: false, error: 'Token has been revoked', userData: null };
+    }
+
+    // Keep only credentials for servers this route serves
+    const grantedServers = routeServers.filter(serverName => servers[serverName]);
+    if (grantedServers.length === 0) {
+      log('AUTH', `Server name mismatch: token=${Object.keys(servers).join(',')}, request=${routeName}`);
+      return {
+        isValid: false,
+        error: isAggregateRoute(routeName)
+          ? 'Token carries no credentials for the servers in this route'
+          : 'Token server name does not match request',
+        userData: null
+      };
+    }
+
+    const grantedCredentials = await resolveServerCredentials(
+      userId,
+      Object.fromEntries(grantedServers.map(serverName => [serverName, servers[serverName]]))
+    );
+
+    log('AUTH', `Successfully validated Bearer token for ${routeName} (${grantedServers.join(', ')}), userId: ${userId}`);
+    return {
+      isValid: true,
+      userData: { userId, servers: grantedCredentials, tokenId, issuedAt, expiresAt, tokenHash: hashBearerToken(encryptedToken) }
+    };
+  } catch (error) {
+    log.warn('AUTH', `Failed to validate Bearer token for ${routeName}`, { error: error.message });
+    return { isValid: false, error: error.message, userData: null };
+  }
+}
+
+// Sessions are bound to the credentials that created them: the exact Bearer token (by hash), the
+// name of the server API key and the token's expiry. Every later request on the session must
+// present both again; a different token, another caller's key or an expired token gets a 401.
+function hashBearerToken(token) {
+  return createHash('sha256').update(token).digest('hex');
+}
+
+function createSessionBinding({ tokenHash, expiresAt }, caller) {
+  return { tokenHash, caller, expiresAt: expiresAt ?? null };
+}
+
+function rejectSessionRequest(res, message) {
+  res.set('WWW-Authenticate', `Bearer error="invalid_token", error_description="${message}"`);
+  return res.status(401).json({ jsonrpc: '2.0', error: { code: -32000, message } });
+}
+
+/**
+ * Check a request on an existing session against the session's binding, using the live
+ * transport or, for a session this instance doesn't hold, the stored record (before it is
+ * restored). Sessions with an expired or revoked token are closed.
+ *
+ * @returns {Promise<string|null>} Why the request is rejected, or null when it may proceed
+ */
+async function authenticateSessionRequest(routeName, sessionId, req) {
+  const transport = serverTransports.get(routeName)?.get(sessionId);
+  const session = transport ?? await loadSession(sessionId);
+  if (!session) {
+    return null; // unknown session, answered as such by the caller
+  }
+  if (!session.binding) {
+    return 'Session is not bound to a credential, initialize a new session';
+  }
+
+  const serverAuth = validateServerApiKey(req.headers['x-api-key']);
+  if (!serverAuth.isValid) {
+    return serverAuth.error;
+  }
+  if (serverAuth.caller !== session.binding.caller) {
+    log.warn('AUTH', `Session ${sessionId} used with another caller's API key`, { caller: serverAuth.caller, userId: session.userId });
+    return 'x-api-key does not match the session';
+  }
+
+  const authHeader = req.headers.authorization;
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return 'Bearer token is required';
+  }
+  const presented = Buffer.from(hashBearerToken(authHeader.slice('Bearer '.length)), 'hex');
+  const bound = Buffer.from(session.binding.tokenHash, 'hex');
+  if (presented.length !== bound.length || !timingSafeEqual(presented, bound)) {
+    log.warn('AUTH', `Session ${sessionId} used with a different Bearer token`, { userId: session.userId });
+    return 'Bearer token does not match the session';
+  }
+
+  let reason = null;
+  if (session.binding.expiresAt && Date.now() >= session.binding.expiresAt) {
+    reason = 'Session token has expired, initialize a new session';
+  } else if (await checkRevocation({ jti: session.tokenId, userId: session.userId, iat: session.issuedAt })) {
+    reason = 'Token has been revoked';
+  }
+  if (reason) {
+    if (transport) {
+      await terminateSession(routeName, transport, reason);
+    } else {
+      await deleteSession(sessionId);
+    }
+  }
+  return reason;
+}
+
+// Express middleware
+app.use(express.json({ limit: '50mb' }));
+
+app.use(cors({
+  origin: true,
+  credentials: true,
+  methods: ['GET', 'POST', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'x-api-key', 'mcp-session-id', 'x-request-id', IDEMPOTENCY_HEADER, 'cache-control'],
+  exposedHeaders: ['mcp-session-id', 'x-request-id']
+}));
+
+// Correlation ids: every log line written while handling a request carries its requestId and sessionId
+app.use((req, res, next) => {
+  const requestId = req.headers['x-request-id'] || randomUUID();
+  res.setHeader('x-request-id', requestId);
+  runWithLogContext({ requestId, sessionId: req.headers['mcp-session-id'] }, next);
+});
+
+// Health check endpoint
+app.get('/health', (req, res) => {
+  const totalSessions = Array.from(serverTransports.values())
+    .reduce((sum, transports) => sum + transports.size, 0);
+
+  res.json({
+    status: 'healthy',
+    timestamp: new Date().toISOString(),
+    servers: Array.from(serverAdapters.keys()),
+    totalSessions,
+    sessionStore: getSessionStoreType(),
+    loadedServers: serverAdapters.size
+  });
+});
+
+// A session's stored lastActive is refreshed at most this often
+const SESSION_TOUCH_INTERVAL_MS = 60 * 1000;
+
+// Idle timeout and max lifetime of a session on these servers, from server.json (utils/session-limits.js)
+function getSessionLimitsFor(serverNames) {
+  return getSessionLimits(serverNames.map(serverName => config.servers?.[serverName]), config.global);
+}
+
+// Stored sessions outlive the idle timeout by one touch interval, since lastActive lags behind
+function getSessionRecordTtlMs(serverNames) {
+  return getSessionLimitsFor(serverNames).idleTimeoutMs + SESSION_TOUCH_INTERVAL_MS;
+}
+
+// How long shutdown waits for adapters' onSessionEnd hooks
+const SESSION_END_HOOK_TIMEOUT_MS = 5 * 1000;
+
+// Set during shutdown so closing transports keeps their stored sessions for other instances
+let shuttingDown = false;
+
+// In-flight rebuilds, so concurrent requests for the same session share one transport
+const pendingRestores = new Map(); // serverName:sessionId -> Promise<transport|null>
+
+// Stored form of a server's credentials: the key and any OAuth refresh state are encrypted
+function encryptServerCredentials({ serverId, userApiKey, oauth, connectionRef, toolPolicy }) {
+  return {
+    serverId,
+    credentialRef: encryptCredential(userApiKey),
+    ...(oauth && { oauthRef: encryptCredential(JSON.stringify(oauth)) }),
+    ...(connectionRef && { connectionRef }),
+    ...(toolPolicy && { toolPolicy })
+  };
+}
+
+function decryptServerCredentials({ serverId, credentialRef, oauthRef, connectionRef, toolPolicy }) {
+  return {
+    serverId,
+    userApiKey: decryptCredential(credentialRef),
+    ...(oauthRef && { oauth: JSON.parse(decryptCredential(oauthRef)) }),
+    ...(connectionRef && { connectionRef }),
+    ...(toolPolicy && { toolPolicy })
+  };
+}
+
+// Credential fields of a session record: per server for aggregate routes, top level otherwise
+function getStoredCredentials(routeName, transport) {
+  if (transport.aggregate) {
+    return {
+      serverCredentials: Object.fromEntries(Object.entries(transport.serverCredentials).map(([serverName, credentials]) => [
+        serverName,
+        encryptServerCredentials(credentials)
+      ]))
+    };
+  }
+  return encryptServerCredentials(transport.serverCredentials[routeName]);
+}
+
+/**
+ * Call an optional adapter hook for each server of a session. Hooks receive
+ * { sessionId, userId, serverId, serverName, route, signal } plus the given details
+ * ({ restored } on start, { reason } on end), where signal aborts when the session ends.
+ * A failing hook is logged and never affects the session.
+ */
+function runSessionHooks(hookName, routeName, transport, details) {
+  return Promise.allSettled(Object.entries(transport.serverCredentials || {}).map(async ([serverName, credentials]) => {
+    const hook = serverAdapters.get(serverName)?.[hookName];
+    if (typeof hook !== 'function') {
+      return;
+    }
+    try {
+      await hook({
+        sessionId: transport.sessionId,
+        userId: transport.userId,
+        serverId: credentials.serverId,
+        serverName,
+        route: routeName,
+        signal: transport.abortController.signal,
+        ...details
+      });
+    } catch (error) {
+      log.warn(serverName, `${hookName} failed for session ${transport.sessionId}`, { error: error.message });
+    }
+  }));
+}
+
+// Abort the session's in-flight tool calls and let its adapters release what they hold; runs once per session
+function endSession(routeName, transport, reason) {
+  if (!transport.abortController || transport.endedAt) {
+    return Promise.resolve();
+  }
+  transport.endedAt = Date.now();
+  transport.abortController.abort(new Error(`session ${reason}`));
+  return runSessionHooks('onSessionEnd', routeName, transport, { reason });
+}
+
+// Create the McpServer and transport for a session on a server or aggregate route.
+// New sessions wait for the client's initialize request; a restoredSession from the
+// session store has its handshake replayed and keeps its session id.
+async function createSessionTransport(routeName, { userId, servers, tokenId, issuedAt, binding }, { initializeParams, restoredSession } = {}) {
+  const aggregate = isAggregateRoute(routeName);
+  if (!serverTransports.has(routeName)) {
+    serverTransports.set(routeName, new Map());
+  }
+  const transports = serverTransports.get(routeName);
+
+  // Store user data for use in tool handlers
+  const attachSession = (transport, sessionId) => {
+    transport.sessionId = sessionId;
+    transport.userId = userId;
+    transport.serverCredentials = servers; // serverName -> { serverId, userApiKey, oauth?, toolPolicy? }
+    if (!aggregate) {
+      transport.userApiKey = servers[routeName].userApiKey;
+      transport.serverId = servers[routeName].serverId;
+    }
+    transport.lastActive = Date.now(); // Track last activity
+    transport.lastPersisted = transport.lastActive;
+    transport.persisted = Boolean(restoredSession); // has a record in the session store
+    transport.createdAt = restoredSession?.createdAt ?? transport.lastActive;
+    transport.callCount = 0;
+    transport.tokenId = tokenId ?? null; // jti and iat of the token, checked against revocations on restore
+    transport.issuedAt = issuedAt ?? null;
+    transport.binding = binding ?? null; // { tokenHash, caller, expiresAt } checked on every later request
+    transport.caller = binding?.caller ?? null; // name of the server API key that created the session
+    transport.abortController = new AbortController(); // aborted by endSession, cancelling in-flight tool calls
+    transports.set(sessionId, transport);
+    sessionsCreatedTotal.inc({ server: routeName });
+    runSessionHooks('onSessionStart', routeName, transport, { restored: Boolean(restoredSession) });
+    evictExcessSessions(transport).catch(error => {
+      log.warn(routeName, `Failed to apply the session cap for userId: ${userId}`, { error: error.message });
+    });
+  };
+
+  const transport = new StreamableHTTPServerTransport({
+    // A restored session keeps its id when its handshake is replayed (replayInitialize)
+    sessionIdGenerator: () => restoredSession?.sessionId ?? randomUUID(),
+    onsessioninitialized: async (newSessionId) => {
+      attachSession(transport, newSessionId);
+      if (restoredSession) {
+        return;
+      }
+      setLogContext({ sessionId: newSessionId });
+      log(routeName, `New session initialized: ${newSessionId} for userId: ${userId}`);
+
+      try {
+        await saveSession({
+          sessionId: newSessionId,
+          serverName: routeName,
+          userId,
+          tokenId: transport.tokenId,
+          issuedAt: transport.issuedAt,
+          binding: transport.binding,
+          ...getStoredCredentials(routeName, transport),
+          protocolVersion: initializeParams?.protocolVersion,
+          clientInfo: initializeParams?.clientInfo,
+          clientCapabilities: initializeParams?.capabilities,
+          createdAt: transport.lastActive,
+          lastActive: transport.lastActive
+        }, getSessionRecordTtlMs(getSessionServers(transport)));
+        transport.persisted = true;
+      } catch (error) {
+        // The session still works on this instance, it just can't be rebuilt elsewhere
+        log.warn(routeName, `Failed to persist session ${newSessionId}`, { error: error.message });
+      }
+    },
+    enableDnsRebindingProtection: false
+  });
+
+  // Clean up transport when closed
+  transport.onclose = () => {
+    if (transport.sessionId) {
+      log(routeName, `Client disconnected - Session closed: ${transport.sessionId}, userId: ${transport.userId}`);
+
+      // Clean up the transport
+      transports.delete(transport.sessionId);
+
+      // Shutting down or handing the session to another instance keeps its stored record
+      if (!shuttingDown && !transport.releasedLocally) {
+        deleteSession(transport.sessionId).catch(error => {
+          log.warn(routeName, `Failed to remove stored session ${transport.sessionId}`, { error: error.message });
+        });
+      }
+
+      // Cancel in-flight tool calls and run the adapters' onSessionEnd hooks
+      endSession(routeName, transport, 'closed');
+
+      log(routeName, `Session cleanup completed: ${transport.sessionId}`);
+    }
+  };
+
+  // Additional: Detect connection errors
+  transport.onerror = (error) => {
+    log.warn(routeName, `Transport error for session ${transport.sessionId}: ${error?.message || 'Unknown error'}`);
+  };
+
+  // CREATE FRESH MCP SERVER INSTANCE PER SESSION
+  const serverAdapter = serverAdapters.get(routeName);
+  const mcpServer = new McpServer({
+    name: aggregate ? `multi-mcp/${routeName}` : serverAdapter.name,
+    version: aggregate ? GATEWAY_VERSION : serverAdapter.version
+  }, {
+    // Tools, resources and prompts can change when an adapter is reloaded (refreshSessionRegistrations).
+    // logging lets the gateway tell the client why it closed the session (notifySessionClosed)
+    capabilities: {
+      tools: { listChanged: true },
+      resources: { listChanged: true },
+      prompts: { listChanged: true },
+      logging: {}
+    }
+  });
+
+  // Register tools, resources and prompts for THIS session
+  transport.mcpServer = mcpServer;
+  transport.aggregate = aggregate;
+  transport.serverCredentials = servers;
+  // The tool policy can name the user (global.tool_policy.users); attachSession only runs once initialized
+  transport.userId = userId;
+  registerSessionCapabilities(transport);
+
+  // Connect transport to THIS server instance
+  await mcpServer.connect(transport);
+
+  if (restoredSession) {
+    try {
+      await replayInitialize(transport, restoredSession);
+    } catch (error) {
+      // Keep the stored record, another attempt or instance may still restore it
+      transport.releasedLocally = true;
+      await transport.close().catch(() => {});
+      throw error;
+    }
+  }
+
+  return transport;
 }
 
-// Simple transport storage per server
-const serverTransports = new Map(); // serverName -> { sessionId -> transport }
+// POST a JSON-RPC message to a transport as a client would, resolving with the response
+// once the transport ends it
+function postToTransport(transport, message, headers = {}) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    const res = {
+      statusCode: 200,
+      writeHead(statusCode) {
+        this.statusCode = statusCode;
+        return this;
+      },
+      write(chunk) {
+        body += chunk;
+        return true;
+      },
+      end(chunk) {
+        resolve({ statusCode: this.statusCode, body: body + (chunk ?? '') });
+        return this;
+      },
+      on() {
+        return this;
+      }
+    };
+    const req = {
+      method: 'POST',
+      headers: { accept: 'application/json, text/event-stream', 'content-type': 'application/json', ...headers }
+    };
+    transport.handleRequest(req, res, message).catch(reject);
+  });
+}
 
-// Load server adapters
-const serverAdapters = new Map();
+/**
+ * Bring a restored session's transport and server to the state the initialize handshake left
+ * them in when the session was created, by replaying the client's stored initialize request
+ * and initialized notification. The responses are dropped; the client already has them.
+ */
+async function replayInitialize(transport, record) {
+  const initialized = await postToTransport(transport, {
+    jsonrpc: '2.0',
+    id: `restore-${record.sessionId}`,
+    method: 'initialize',
+    params: {
+      protocolVersion: record.protocolVersion ?? LATEST_PROTOCOL_VERSION,
+      capabilities: record.clientCapabilities ?? {},
+      clientInfo: record.clientInfo ?? { name: 'restored-session', version: '0' }
+    }
+  });
+  const response = JSON.parse(initialized.body.match(/^data: (.*)$/m)?.[1] ?? initialized.body);
+  if (initialized.statusCode !== 200 || !response.result) {
+    throw new Error(`Replaying initialize for session ${record.sessionId} failed: ${response.error?.message ?? initialized.statusCode}`);
+  }
 
-async function loadServerAdapters() {
-  log('MANAGER', 'Loading server adapters...');
+  await postToTransport(transport, { jsonrpc: '2.0', method: 'notifications/initialized' }, {
+    'mcp-session-id': transport.sessionId,
+    'mcp-protocol-version': response.result.protocolVersion
+  });
+}
 
-  for (const [serverName, serverConfig] of Object.entries(config.servers)) {
-    if (!serverConfig.enabled) {
-      log('MANAGER', `Server ${serverName} is disabled, skipping`);
-      continue;
-    }
+// Rebuild a session from the session store, e.g. after a redeploy or when the
+// load balancer routes it to a different instance
+async function restoreSession(routeName, sessionId) {
+  const record = await loadSession(sessionId);
+  if (!record || record.serverName !== routeName || !getRouteServers(routeName)) {
+    return null;
+  }
 
-    try {
-      const serverDir = path.resolve(serverConfig.directory);
-      const entryFile = path.join(serverDir, serverConfig.entryFile || 'index.js');
+  // A token revoked since the session started can't bring it back
+  if (await checkRevocation({ jti: record.tokenId, userId: record.userId, iat: record.issuedAt })) {
+    log.warn(routeName, `Not restoring session ${sessionId}: its token was revoked`, { userId: record.userId });
+    await deleteSession(sessionId);
+    return null;
+  }
 
-      if (!fs.existsSync(entryFile)) {
-        log('MANAGER', `Entry file not found: ${entryFile}`, null);
-        continue;
+  // A session past its max lifetime stays closed, whichever instance it comes back to;
+  // the stored lastActive lags behind, so idle sessions are left to the record's TTL
+  const limits = getSessionLimitsFor(Object.keys(record.serverCredentials || { [routeName]: true }));
+  if (getExpiryReason({ createdAt: record.createdAt }, limits) === 'max_lifetime') {
+    log(routeName, `Not restoring session ${sessionId}: it reached its max lifetime`, { userId: record.userId });
+    sessionsExpiredTotal.inc({ server: routeName, reason: 'max_lifetime' });
+    await deleteSession(sessionId);
+    return null;
+  }
+
+  const storedCredentials = record.serverCredentials
+    || {
+      [routeName]: {
+        serverId: record.serverId,
+        credentialRef: record.credentialRef,
+        oauthRef: record.oauthRef,
+        toolPolicy: record.toolPolicy
       }
+    };
+  const servers = Object.fromEntries(Object.entries(storedCredentials).map(([serverName, credentials]) => [
+    serverName,
+    decryptServerCredentials(credentials)
+  ]));
+
+  const transport = await createSessionTransport(routeName, {
+    userId: record.userId,
+    servers,
+    tokenId: record.tokenId,
+    issuedAt: record.issuedAt,
+    binding: record.binding
+  }, { restoredSession: record });
+
+  log(routeName, `Restored session ${sessionId} for userId: ${record.userId} from ${getSessionStoreType()} session store`);
+  return transport;
+}
 
-      const serverModule = await import(`file://${entryFile}?t=${Date.now()}`);
+// Find a session's transport on this instance, falling back to the session store
+async function getSessionTransport(routeName, sessionId) {
+  const transport = serverTransports.get(routeName)?.get(sessionId);
+  if (transport) {
+    // The sweep runs periodically, so a request can reach a session that has already expired
+    const expiryReason = getExpiryReason(transport, getSessionLimitsFor(getSessionServers(transport)));
+    if (!expiryReason) {
+      return transport;
+    }
+    // Closed here; a session another instance kept alive is restored below, anything else is gone
+    await expireSession(routeName, transport, expiryReason);
+  }
 
-      let toolsDefinitions, toolHandlers;
-      if (serverModule.toolsDefinitions && serverModule.toolHandlers) {
-        toolsDefinitions = serverModule.toolsDefinitions;
-        toolHandlers = serverModule.toolHandlers;
-      } else if (serverModule.createServerAdapter) {
-        const adapter = await serverModule.createServerAdapter(serverDir, serverConfig.apiKeyParam, log);
-        toolsDefinitions = adapter.toolsDefinitions;
-        toolHandlers = adapter.toolHandlers;
-      } else {
-        throw new Error(`Server ${serverName} must export toolsDefinitions and toolHandlers, or provide createServerAdapter function`);
-      }
+  const restoreKey = `${routeName}:${sessionId}`;
+  if (!pendingRestores.has(restoreKey)) {
+    pendingRestores.set(restoreKey, restoreSession(routeName, sessionId)
+      .finally(() => pendingRestores.delete(restoreKey)));
+  }
+  return pendingRestores.get(restoreKey);
+}
 
-      serverAdapters.set(serverName, {
-        name: serverConfig.name,
-        version: serverConfig.version,
-        toolsDefinitions,
-        toolHandlers,
-        config: serverConfig
+// Update activity time, writing it through to the session store at most once per interval.
+// A stored session whose record has been removed, e.g. evicted by another instance, is closed.
+function markSessionActive(routeName, transport) {
+  const now = Date.now();
+  transport.lastActive = now;
+
+  if (now - (transport.lastPersisted || 0) >= SESSION_TOUCH_INTERVAL_MS) {
+    transport.lastPersisted = now;
+    touchSession(transport.sessionId, now, getSessionRecordTtlMs(getSessionServers(transport)))
+      .then(found => {
+        if (!found && transport.persisted && !transport.endedAt) {
+          return terminateSession(routeName, transport, 'Session was removed from the session store by another instance', 'evicted');
+        }
+      })
+      .catch(error => {
+        log.warn(routeName, `Failed to update stored session ${transport.sessionId}`, { error: error.message });
       });
+  }
+}
 
-      // Initialize transport storage for this server
-      serverTransports.set(serverName, new Map());
+// Live sessions per server (or aggregate route), counted at scrape time
+createGauge({
+  name: 'mcp_active_sessions',
+  help: 'Sessions currently held by this instance, by server',
+  labelNames: ['server'],
+  collect: () => Array.from(serverTransports.entries())
+    .map(([serverName, transports]) => ({ labels: { server: serverName }, value: transports.size }))
+});
 
-      log('MANAGER', `Server adapter loaded: ${serverName}`);
-    } catch (error) {
-      log('MANAGER', `Failed to load server adapter ${serverName}`, { error: error.message });
-    }
-  }
+// Prometheus scrape endpoint
+app.get('/metrics', (req, res) => {
+  res.set('Content-Type', METRICS_CONTENT_TYPE);
+  res.send(renderMetrics());
+});
 
-  log('MANAGER', `Loaded ${serverAdapters.size} server adapters`);
+// Approval API for parked tool calls, authenticated with x-api-key like the calling server.
+// Each caller only sees the actions parked by sessions it created.
+function requireServerApiKey(req, res, next) {
+  const validation = validateServerApiKey(req.headers['x-api-key']);
+  if (!validation.isValid) {
+    return res.status(401).json({ error: validation.error });
+  }
+  req.caller = validation.caller;
+  next();
 }
 
-// JWT Secret helper
-const getJwtSecret = () => {
-  const secret = process.env.JWT_SECRET;
-  if (!secret) {
-    throw new Error('JWT_SECRET environment variable is required');
+app.get('/approvals', requireServerApiKey, (req, res) => {
+  const actions = listPendingActions({ caller: req.caller, userId: req.query.userId });
+  res.json({ approvals: actions.map(describePendingAction) });
+});
+
+app.get('/approvals/:token', requireServerApiKey, (req, res) => {
+  const action = getPendingAction(req.params.token, req.caller);
+  if (!action) {
+    return res.status(404).json({ error: 'Pending action not found or expired' });
   }
-  return secret;
-};
+  res.json(describePendingAction(action));
+});
 
-// Server-to-Server API Key validation
-// The x-api-key header validates the calling server is authorized
-function validateServerApiKey(apiKey) {
-  if (!apiKey) {
-    log('AUTH', 'No x-api-key provided for server-to-server auth');
-    return { isValid: false, error: 'x-api-key header is required' };
+app.post('/approvals/:token/approve', requireServerApiKey, async (req, res) => {
+  try {
+    const approval = await approvePendingAction(req.params.token, req.caller);
+    if (!approval) {
+      return res.status(404).json({ error: 'Pending action not found or expired' });
+    }
+    res.json({ status: 'approved', id: approval.action.id, result: approval.result });
+  } catch (error) {
+    log.error('APPROVALS', 'Error running approved action', { error: error.message });
+    res.status(500).json({ error: error.message });
   }
+});
 
-  const expectedApiKey = process.env.MCP_API_KEY;
-  if (!expectedApiKey) {
-    log('AUTH', 'MCP_API_KEY not configured in environment');
-    return { isValid: false, error: 'Server API key not configured' };
+app.post('/approvals/:token/reject', requireServerApiKey, async (req, res) => {
+  const action = await rejectPendingAction(req.params.token, req.caller, req.body?.reason);
+  if (!action) {
+    return res.status(404).json({ error: 'Pending action not found or expired' });
   }
+  res.json({ status: 'rejected', id: action.id });
+});
 
-  if (apiKey !== expectedApiKey) {
-    log('AUTH', 'Invalid server-to-server API key');
-    return { isValid: false, error: 'Invalid server API key' };
+// Admin API for incident response, authenticated with its own key (x-admin-key: ADMIN_API_KEY).
+// Disabled unless ADMIN_API_KEY is set.
+function requireAdminKey(req, res, next) {
+  const expectedKey = process.env.ADMIN_API_KEY;
+  if (!expectedKey) {
+    return res.status(503).json({ error: 'Admin API is disabled: ADMIN_API_KEY is not configured' });
   }
 
-  log('AUTH', 'Valid server-to-server API key');
-  return { isValid: true };
+  const adminKey = req.headers['x-admin-key'];
+  const digest = value => createHash('sha256').update(String(value)).digest();
+  if (!adminKey || !timingSafeEqual(digest(adminKey), digest(expectedKey))) {
+    log.warn('ADMIN', 'Rejected admin request', { path: req.path });
+    return res.status(401).json({ error: adminKey ? 'Invalid admin key' : 'x-admin-key header is required' });
+  }
+  next();
 }
 
-// Verify and decode the Bearer JWT token to extract user data
-// Token contains: { serverId, serverName, userId, apiKey/accessToken }
-function decryptBearerToken(token) {
-  try {
-    const jwtSecret = getJwtSecret();
-
-    // Verify and decode the JWT token
-    const decoded = jwt.verify(token, jwtSecret);
+function describeSession(routeName, transport) {
+  return {
+    sessionId: transport.sessionId,
+    route: routeName,
+    servers: transport.aggregate ? getSessionServers(transport) : [routeName],
+    userId: transport.userId,
+    createdAt: new Date(transport.createdAt).toISOString(),
+    lastActive: new Date(transport.lastActive).toISOString(),
+    callCount: transport.callCount || 0,
+    tokenId: transport.tokenId,
+    caller: transport.caller
+  };
+}
 
-    // Validate required fields
-    if (!decoded.serverId || !decoded.serverName || !decoded.userId) {
-      throw new Error('Missing required fields in JWT token');
+// Live sessions on this instance as [routeName, transport] pairs
+function listLiveSessions({ route, userId, tokenId } = {}) {
+  const sessions = [];
+  for (const [routeName, transports] of serverTransports.entries()) {
+    if (route && routeName !== route) {
+      continue;
     }
-
-    // apiKey or accessToken (for OAuth servers)
-    if (!decoded.apiKey && !decoded.accessToken) {
-      throw new Error('Missing apiKey or accessToken in JWT token');
+    for (const transport of transports.values()) {
+      if (transport.sessionId && (!userId || transport.userId === userId) && (!tokenId || transport.tokenId === tokenId)) {
+        sessions.push([routeName, transport]);
+      }
     }
+  }
+  return sessions;
+}
 
-    return decoded;
+// Tell the client why the gateway is closing its session, on its standalone SSE stream if one is open
+async function notifySessionClosed(transport, reason, message) {
+  try {
+    await transport.mcpServer.server.sendLoggingMessage({
+      level: 'warning',
+      logger: 'multi-mcp',
+      data: { event: 'session_closed', sessionId: transport.sessionId, reason, message: message ?? null }
+    }, transport.sessionId);
   } catch (error) {
-    log('AUTH', 'Failed to verify Bearer token', { error: error.message });
-    throw new Error(`Invalid JWT token: ${error.message}`);
+    log.debug('SESSION', `Could not notify session ${transport.sessionId} of its closing`, { error: error.message });
   }
 }
 
-// Validate Bearer token and extract user data
-function validateBearerToken(authHeader, serverName) {
-  if (!authHeader || !authHeader.startsWith('Bearer ')) {
-    log('AUTH', `No Bearer token provided for ${serverName}`);
-    return { isValid: false, error: 'Bearer token is required', userData: null };
+// Close a live session and remove it from the session store, so no instance can restore it.
+// endReason is what adapters' onSessionEnd hooks and the client's notification see.
+// A terminated session's parked approvals are rejected; expired and evicted sessions keep theirs.
+async function terminateSession(routeName, transport, reason, endReason = 'terminated') {
+  const { sessionId, userId } = transport;
+  log.warn(routeName, `Terminating session ${sessionId}`, { userId, reason });
+  endSession(routeName, transport, endReason);
+  if (endReason === 'terminated') {
+    await rejectPendingActions({ sessionId }, reason || 'session terminated');
+  }
+  await notifySessionClosed(transport, endReason, reason);
+  try {
+    await transport.close();
+  } catch (error) {
+    log.warn(routeName, `Error closing session ${sessionId}`, { error: error.message });
+  }
+  serverTransports.get(routeName)?.delete(sessionId);
+  await deleteSession(sessionId);
+}
+
+app.get('/admin/sessions', requireAdminKey, (req, res) => {
+  const sessions = listLiveSessions({ route: req.query.server, userId: req.query.userId });
+  const byServer = {};
+  for (const [routeName, transport] of sessions) {
+    (byServer[routeName] ||= []).push(describeSession(routeName, transport));
   }
+  res.json({ totalSessions: sessions.length, servers: byServer });
+});
 
+app.delete('/admin/sessions/:sessionId', requireAdminKey, async (req, res) => {
+  const { sessionId } = req.params;
+  const live = listLiveSessions().find(([, transport]) => transport.sessionId === sessionId);
   try {
-    const encryptedToken = authHeader.split(' ')[1];
-    const userData = decryptBearerToken(encryptedToken);
+    if (live) {
+      await terminateSession(live[0], live[1], req.body?.reason);
+      return res.json({ status: 'terminated', sessionId, closedLocally: true });
+    }
 
-    // Verify the serverName in token matches the requested server
-    if (userData.serverName !== serverName) {
-      log('AUTH', `Server name mismatch: token=${userData.serverName}, request=${serverName}`);
-      return {
-        isValid: false,
-        error: 'Token server name does not match request',
-        userData: null
-      };
+    // Held by another instance (or nowhere): removing the record stops it from being restored
+    const record = await loadSession(sessionId);
+    if (!record) {
+      return res.status(404).json({ error: 'Session not found' });
     }
+    await deleteSession(sessionId);
+    log.warn('ADMIN', `Removed stored session ${sessionId}`, { route: record.serverName, userId: record.userId });
+    res.json({ status: 'terminated', sessionId, closedLocally: false });
+  } catch (error) {
+    log.error('ADMIN', `Failed to terminate session ${sessionId}`, { error: error.message });
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    log('AUTH', `Successfully validated Bearer token for ${serverName}, userId: ${userData.userId}`);
-    return {
-      isValid: true,
-      userData: {
-        serverId: userData.serverId,
-        serverName: userData.serverName,
-        userId: userData.userId,
-        userApiKey: userData.apiKey || userData.accessToken
-      }
-    };
+app.delete('/admin/users/:userId/sessions', requireAdminKey, async (req, res) => {
+  const sessions = listLiveSessions({ userId: req.params.userId });
+  try {
+    for (const [routeName, transport] of sessions) {
+      await terminateSession(routeName, transport, req.body?.reason);
+    }
+    res.json({
+      status: 'terminated',
+      userId: req.params.userId,
+      sessions: sessions.map(([, transport]) => transport.sessionId)
+    });
   } catch (error) {
-    log('AUTH', `Failed to validate Bearer token for ${serverName}`, { error: error.message });
-    return { isValid: false, error: error.message, userData: null };
+    log.error('ADMIN', `Failed to terminate sessions of ${req.params.userId}`, { error: error.message });
+    res.status(500).json({ error: error.message });
   }
-}
+});
 
-// Express middleware
-app.use(express.json({ limit: '50mb' }));
+app.get('/admin/revocations', requireAdminKey, async (req, res) => {
+  try {
+    res.json({ revocations: await listRevocations() });
+  } catch (error) {
+    log.error('ADMIN', 'Failed to list revocations', { error: error.message });
+    res.status(500).json({ error: error.message });
+  }
+});
 
-app.use(cors({
-  origin: true,
-  credentials: true,
-  methods: ['GET', 'POST', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'x-api-key', 'mcp-session-id']
-}));
+// Revoke a token (jti) or every token issued to a user so far, and close the sessions they opened here
+app.post('/admin/revocations', requireAdminKey, async (req, res) => {
+  const { jti, userId, reason, expiresAt } = req.body || {};
+  if (!jti === !userId) {
+    return res.status(400).json({ error: 'Provide either jti or userId' });
+  }
 
-// Health check endpoint
-app.get('/health', (req, res) => {
-  const totalSessions = Array.from(serverTransports.values())
-    .reduce((sum, transports) => sum + transports.size, 0);
+  try {
+    const revocation = await revoke({ type: jti ? 'jti' : 'user', id: jti || userId, reason, expiresAt });
+    const sessions = listLiveSessions(jti ? { tokenId: String(jti) } : { userId: String(userId) });
+    for (const [routeName, transport] of sessions) {
+      await terminateSession(routeName, transport, reason || 'token revoked');
+    }
+    // Sessions that already ended can still have parked calls; a revoked jti is caught when one is approved
+    if (userId) {
+      await rejectPendingActions({ userId: String(userId) }, reason || 'token revoked');
+    }
+    res.status(201).json({ revocation, terminatedSessions: sessions.map(([, transport]) => transport.sessionId) });
+  } catch (error) {
+    log.error('ADMIN', 'Failed to revoke token', { error: error.message });
+    res.status(error.message.startsWith('expiresAt') ? 400 : 500).json({ error: error.message });
+  }
+});
 
-  res.json({
-    status: 'healthy',
-    timestamp: new Date().toISOString(),
-    servers: Array.from(serverAdapters.keys()),
-    totalSessions,
-    loadedServers: serverAdapters.size
+app.delete('/admin/revocations/:type/:id', requireAdminKey, async (req, res) => {
+  const type = req.params.type === 'users' ? 'user' : req.params.type;
+  try {
+    if (!await unrevoke(type, req.params.id)) {
+      return res.status(404).json({ error: 'Revocation not found (entries from the revocation file are removed there)' });
+    }
+    log.warn('ADMIN', `Lifted revocation of ${type} ${req.params.id}`);
+    res.json({ status: 'lifted', type, id: req.params.id });
+  } catch (error) {
+    log.error('ADMIN', 'Failed to lift revocation', { error: error.message });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/admin/servers', requireAdminKey, (req, res) => {
+  const servers = Object.entries(config.servers || {}).map(([serverName, serverConfig]) => {
+    const adapter = serverAdapters.get(serverName);
+    return {
+      name: serverName,
+      version: adapter?.version ?? serverConfig.version ?? null,
+      status: adapter ? 'loaded' : disabledServers.has(serverName) ? 'disabled_at_runtime' : serverConfig.enabled ? 'failed' : 'disabled',
+      loadedAt: adapter ? new Date(adapter.loadedAt).toISOString() : null,
+      tools: adapter?.toolsDefinitions.length ?? 0,
+      sessions: serverTransports.get(serverName)?.size ?? 0,
+      supportsDryRun: adapter?.supportsDryRun ?? false
+    };
   });
+  res.json({ gatewayVersion: GATEWAY_VERSION, servers });
 });
 
-// Main MCP handler
-app.post('/:serverName/mcp', async (req, res) => {
+// Unload a server and close its sessions without editing server.json
+app.post('/admin/servers/:serverName/disable', requireAdminKey, async (req, res) => {
   const { serverName } = req.params;
+  if (!config.servers?.[serverName]) {
+    return res.status(404).json({ error: `Server '${serverName}' not found` });
+  }
+
+  disabledServers.add(serverName);
+  const sessionIds = listLiveSessions({ route: serverName }).map(([, transport]) => transport.sessionId);
+  await reloadInProgress;
+  if (serverAdapters.has(serverName)) {
+    await unloadServerAdapter(serverName);
+  }
+  await Promise.allSettled(sessionIds.map(sessionId => deleteSession(sessionId)));
+  log.warn('ADMIN', `Server disabled: ${serverName}`, { closedSessions: sessionIds.length, reason: req.body?.reason });
+  res.json({ status: 'disabled', server: serverName, closedSessions: sessionIds.length });
+});
+
+app.post('/admin/servers/:serverName/enable', requireAdminKey, async (req, res) => {
+  const { serverName } = req.params;
+  if (!disabledServers.delete(serverName)) {
+    return res.status(409).json({ error: `Server '${serverName}' was not disabled through the admin API` });
+  }
+  const summary = await reloadServerAdapters(`${serverName} enabled through the admin API`);
+  log.warn('ADMIN', `Server enabled: ${serverName}`);
+  res.json({ status: serverAdapters.has(serverName) ? 'loaded' : 'not_loaded', server: serverName, reload: summary ?? null });
+});
+
+app.post('/admin/reload', requireAdminKey, async (req, res) => {
+  const summary = await reloadServerAdapters('admin API');
+  res.json({ status: summary ? 'reloaded' : 'failed', reload: summary ?? null });
+});
+
+// Main MCP handler, for single servers (/hunter/mcp) and aggregate routes (/_all/mcp, /bundle/:bundleName/mcp)
+const handleMcpRequest = async (req, res) => {
+  const serverName = getRouteName(req);
   try {
-    log(serverName, `Received request: ${JSON.stringify(req.body)}`);
-    // Check if server adapter exists
-    const serverAdapter = serverAdapters.get(serverName);
-    if (!serverAdapter) {
+    log(serverName, `Received request: ${req.body?.method || 'batch'}`, { id: req.body?.id });
+    log.debug(serverName, 'Request payload', { params: req.body?.params });
+    // Check if the server adapter (or bundle) exists
+    const routeServers = getRouteServers(serverName);
+    if (!routeServers) {
       return res.status(404).json({
         jsonrpc: '2.0',
         error: { code: -32001, message: `Server '${serverName}' not found` }
       });
     }
 
-    // Get server transports
-    const transports = serverTransports.get(serverName);
-
-    // Check for existing session ID
+    // Check for existing session ID, on this instance or in the session store,
+    // after checking the request carries the credentials the session was created with
     const sessionId = req.headers['mcp-session-id'];
-    let transport;
+    if (sessionId) {
+      const rejection = await authenticateSessionRequest(serverName, sessionId, req);
+      if (rejection) {
+        return rejectSessionRequest(res, rejection);
+      }
+    }
+    let transport = sessionId ? await getSessionTransport(serverName, sessionId) : null;
 
-    if (sessionId && transports.has(sessionId)) {
+    if (transport) {
       // Reuse existing transport
-      transport = transports.get(sessionId);
-      transport.lastActive = Date.now(); // Update activity timestamp
+      markSessionActive(serverName, transport);
       log(serverName, `Reusing existing session: ${sessionId}`);
     } else if (!sessionId && isInitializeRequest(req.body)) {
       // New initialization request - Two-layer authentication:
@@ -252,7 +1980,7 @@ app.post('/:serverName/mcp', async (req, res) => {
       }
 
       // Validate and decrypt Bearer token for user data
-      const bearerAuth = validateBearerToken(authHeader, serverName);
+      const bearerAuth = await validateBearerToken(authHeader, serverName, routeServers);
       if (!bearerAuth.isValid) {
         return res.status(403).json({
           jsonrpc: '2.0',
@@ -260,87 +1988,14 @@ app.post('/:serverName/mcp', async (req, res) => {
         });
       }
 
-      const { userId, serverId, userApiKey } = bearerAuth.userData;
-
-      // Create new transport with user's API key
-      transport = new StreamableHTTPServerTransport({
-        sessionIdGenerator: () => randomUUID(),
-        onsessioninitialized: (newSessionId) => {
-          transport.sessionId = newSessionId;
-          // Store user data for use in tool handlers
-          transport.userApiKey = userApiKey;
-          transport.userId = userId;
-          transport.serverId = serverId;
-          transport.lastActive = Date.now(); // Track last activity
-
-          transports.set(newSessionId, transport);
-          log(serverName, `New session initialized: ${newSessionId} for userId: ${userId}`);
-        },
-        enableDnsRebindingProtection: false
-      });
-
-      // Clean up transport when closed
-      transport.onclose = () => {
-        if (transport.sessionId) {
-          log(serverName, `Client disconnected - Session closed: ${transport.sessionId}, userId: ${transport.userId}`);
-
-          // Clean up the transport
-          transports.delete(transport.sessionId);
-
-          // Optional: Perform additional cleanup here
-          // - Close any open file handles
-          // - Cancel ongoing operations
-          // - Release resources
-          // - Notify other services
-
-          log(serverName, `Session cleanup completed: ${transport.sessionId}`);
-        }
-      };
-
-      // Additional: Detect connection errors
-      transport.onerror = (error) => {
-        log(serverName, `Transport error for session ${transport.sessionId}: ${error?.message || 'Unknown error'}`);
-      };
-
-      // CREATE FRESH MCP SERVER INSTANCE PER SESSION
-      const mcpServer = new McpServer({
-        name: serverAdapter.name,
-        version: serverAdapter.version
+      // Create new transport with the user's API keys
+      transport = await createSessionTransport(serverName, {
+        ...bearerAuth.userData,
+        binding: createSessionBinding(bearerAuth.userData, serverAuth.caller)
       }, {
-        capabilities: { tools: {} }
+        initializeParams: req.body.params
       });
 
-      // Register tools for THIS session
-      for (const toolDef of serverAdapter.toolsDefinitions) {
-        mcpServer.registerTool(
-          toolDef.name,
-          {
-            title: toolDef.name,
-            description: toolDef.description,
-            inputSchema: toolDef.inputSchema
-          },
-          async (args) => {
-            log(serverName, `Processing tool: ${toolDef.name}`);
-            const handler = serverAdapter.toolHandlers[toolDef.name];
-            if (!handler) {
-              throw new Error(`Unknown tool: ${toolDef.name}`);
-            }
-
-            try {
-              const result = await handler(args, transport.userApiKey);
-              log(serverName, `Tool completed: ${toolDef.name}`, { success: true });
-              return result;
-            } catch (error) {
-              log(serverName, `Tool error: ${toolDef.name}`, { error: error.message });
-              throw error;
-            }
-          }
-        );
-      }
-
-      // Connect transport to THIS server instance
-      await mcpServer.connect(transport);
-
       log(serverName, 'New MCP server instance created and connected');
     } else {
       return res.status(400).json({
@@ -353,7 +2008,7 @@ app.post('/:serverName/mcp', async (req, res) => {
     await transport.handleRequest(req, res, req.body);
 
   } catch (error) {
-    log(serverName, 'Request handling error', { error: error.message, stack: error.stack });
+    log.error(serverName, 'Request handling error', { error: error.message, stack: error.stack });
 
     if (!res.headersSent) {
       res.status(500).json({
@@ -362,11 +2017,14 @@ app.post('/:serverName/mcp', async (req, res) => {
       });
     }
   }
-});
+};
+
+app.post('/:serverName/mcp', handleMcpRequest);
+app.post('/bundle/:bundleName/mcp', handleMcpRequest);
 
 // SSE endpoint
 const handleSessionRequest = async (req, res) => {
-  const { serverName } = req.params;
+  const serverName = getRouteName(req);
   const sessionId = req.headers['mcp-session-id'];
 
   log(serverName, `${req.method} request received for session: ${sessionId}`);
@@ -378,52 +2036,126 @@ const handleSessionRequest = async (req, res) => {
     });
   }
 
-  const transports = serverTransports.get(serverName);
-  if (!transports || !transports.has(sessionId)) {
-    return res.status(400).json({
-      jsonrpc: '2.0',
-      error: { code: -32000, message: 'Invalid session ID' }
-    });
-  }
+  try {
+    const rejection = await authenticateSessionRequest(serverName, sessionId, req);
+    if (rejection) {
+      return rejectSessionRequest(res, rejection);
+    }
+
+    const transport = await getSessionTransport(serverName, sessionId);
+    if (!transport) {
+      return res.status(400).json({
+        jsonrpc: '2.0',
+        error: { code: -32000, message: 'Invalid session ID' }
+      });
+    }
+
+    markSessionActive(serverName, transport);
 
-  const transport = transports.get(sessionId);
-  transport.lastActive = Date.now(); // Update activity timestamp
+    await transport.handleRequest(req, res);
+  } catch (error) {
+    log.error(serverName, 'Session request handling error', { error: error.message });
 
-  await transport.handleRequest(req, res);
+    if (!res.headersSent) {
+      res.status(500).json({
+        jsonrpc: '2.0',
+        error: { code: -32603, message: 'Internal server error' }
+      });
+    }
+  }
 };
 
 app.get('/:serverName/mcp', handleSessionRequest);
 app.delete('/:serverName/mcp', handleSessionRequest);
+app.get('/bundle/:bundleName/mcp', handleSessionRequest);
+app.delete('/bundle/:bundleName/mcp', handleSessionRequest);
+
+// Close a session that timed out: the client is notified, adapters' hooks run and the stored record is dropped.
+// A session idle here that another instance has kept alive is only released on this one.
+async function expireSession(routeName, transport, reason) {
+  const { sessionId } = transport;
+  const limits = getSessionLimitsFor(getSessionServers(transport));
+
+  if (reason === 'idle') {
+    const record = await loadSession(sessionId);
+    if (record && (Date.now() - record.lastActive) <= limits.idleTimeoutMs) {
+      log(routeName, `Session ${sessionId} is idle here but active on another instance, released locally`);
+      transport.releasedLocally = true;
+      endSession(routeName, transport, 'released');
+      await transport.close();
+      return;
+    }
+  }
+
+  sessionsExpiredTotal.inc({ server: routeName, reason });
+  const message = reason === 'idle'
+    ? `Session closed after ${Math.round(limits.idleTimeoutMs / 1000)}s without requests`
+    : `Session reached its max lifetime of ${Math.round(limits.maxLifetimeMs / 1000)}s`;
+  await terminateSession(routeName, transport, message, reason);
+}
+
+// Close the user's oldest sessions beyond global.sessions.max_per_user, never the given one.
+// Sessions in the session store count too, so the cap holds across instances sharing it: a session
+// held elsewhere loses its record, and the instance holding it closes it on its next touch.
+async function evictExcessSessions(transport) {
+  const maxSessions = getMaxSessionsPerUser(config.global);
+  if (!maxSessions) {
+    return;
+  }
 
-// Cleanup inactive sessions every 5 minutes
-const SESSION_TIMEOUT_MS = 5 * 60 * 1000; // 5 minutes
+  const { sessionId, userId } = transport;
+  const local = listLiveSessions({ userId });
+  const sessions = new Map(); // sessionId -> { routeName, createdAt, transport? }
+  for (const [routeName, session] of local) {
+    if (session !== transport && !session.endedAt) {
+      sessions.set(session.sessionId, { routeName, createdAt: session.createdAt, transport: session });
+    }
+  }
+  try {
+    const localIds = new Set(local.map(([, session]) => session.sessionId));
+    for (const record of await listUserSessions(userId) ?? []) {
+      if (record.sessionId !== sessionId && !localIds.has(record.sessionId)) {
+        sessions.set(record.sessionId, { routeName: record.serverName, createdAt: record.createdAt });
+      }
+    }
+  } catch (error) {
+    log.warn('SESSION', `Failed to list stored sessions for userId: ${userId}, counting this instance's only`, { error: error.message });
+  }
+
+  const others = Array.from(sessions.entries()).sort(([, a], [, b]) => a.createdAt - b.createdAt);
+  const message = `User ${userId} opened more than ${maxSessions} sessions, closed the oldest`;
+  for (const [oldestId, { routeName, transport: oldest }] of others.slice(0, Math.max(0, others.length + 1 - maxSessions))) {
+    sessionsExpiredTotal.inc({ server: routeName, reason: 'evicted' });
+    const eviction = oldest ? terminateSession(routeName, oldest, message, 'evicted') : deleteSession(oldestId);
+    await eviction.catch(error => {
+      log.warn(routeName, `Failed to evict session ${oldestId}`, { error: error.message });
+    });
+  }
+}
 
-setInterval(() => {
+// Close expired sessions on this instance
+async function sweepSessions() {
   let totalCleaned = 0;
-  const now = Date.now();
 
   for (const [serverName, transports] of serverTransports.entries()) {
     let cleaned = 0;
     for (const [sessionId, transport] of transports.entries()) {
       try {
-        // Check if transport is closed OR inactive for more than 5 minutes
-        const isInactive = transport.lastActive && (now - transport.lastActive) > SESSION_TIMEOUT_MS;
-
-        if (!transport || transport.closed || isInactive) {
-          transports.delete(sessionId);
+        const expiryReason = getExpiryReason(transport, getSessionLimitsFor(getSessionServers(transport)));
+        if (expiryReason) {
+          await expireSession(serverName, transport, expiryReason);
           cleaned++;
-          if (isInactive) {
-            log(serverName, `Session ${sessionId} timed out after 5 minutes of inactivity`);
-          }
         }
       } catch (error) {
+        log.warn(serverName, `Failed to expire session ${sessionId}`, { error: error.message });
         transports.delete(sessionId);
+        endSession(serverName, transport, 'closed');
         cleaned++;
       }
     }
 
     if (cleaned > 0) {
-      log(serverName, `Cleaned up ${cleaned} inactive sessions`);
+      log(serverName, `Cleaned up ${cleaned} expired sessions`);
       totalCleaned += cleaned;
     }
   }
@@ -431,20 +2163,40 @@ setInterval(() => {
   if (totalCleaned > 0) {
     log('CLEANUP', `Total sessions cleaned: ${totalCleaned}`);
   }
-}, 5 * 60 * 1000);
+}
+
+// Sweep every global.session_cleanup_interval ms, re-read after a reload
+function scheduleSessionSweep() {
+  setTimeout(async () => {
+    await sweepSessions().catch(error => {
+      log.error('CLEANUP', 'Session sweep failed', { error: error.message });
+    });
+    scheduleSessionSweep();
+  }, getCleanupIntervalMs(config.global)).unref();
+}
+scheduleSessionSweep();
 
 // Root endpoint
 app.get('/', (req, res) => {
   res.json({
     name: 'Multi-MCP Simple Server',
-    version: '3.0.0-simple',
+    version: GATEWAY_VERSION,
     status: 'running',
     servers: Array.from(serverAdapters.keys()),
     endpoints: [
       'GET /health - Health check',
+      'GET /metrics - Prometheus metrics',
+      'GET /approvals - Tool calls waiting for approval (requires x-api-key)',
+      'POST /approvals/{token}/approve, POST /approvals/{token}/reject - Release or cancel a pending tool call',
+      'GET /admin/sessions, GET /admin/servers - Live sessions and loaded adapters (requires x-admin-key)',
+      'DELETE /admin/sessions/{sessionId}, DELETE /admin/users/{userId}/sessions - Force-close sessions',
+      'POST /admin/servers/{serverName}/disable|enable, POST /admin/reload - Runtime server control',
+      'GET|POST /admin/revocations, DELETE /admin/revocations/{jti|user}/{id} - Revoked Bearer tokens',
       'POST /{serverName}/mcp - MCP server interaction (requires x-api-key + Bearer token)',
       'GET /{serverName}/mcp - MCP SSE stream',
-      'DELETE /{serverName}/mcp - Terminate MCP session'
+      'DELETE /{serverName}/mcp - Terminate MCP session',
+      'POST /_all/mcp - Tools of every server the Bearer token carries credentials for, namespaced by server',
+      'POST /bundle/{bundleName}/mcp - Tools of a server bundle configured in server.json, namespaced by server'
     ],
     timestamp: new Date().toISOString()
   });
@@ -452,20 +2204,51 @@ app.get('/', (req, res) => {
 
 // Graceful shutdown
 const shutdown = async (signal) => {
-  console.log(`🛑 Received ${signal}, shutting down gracefully...`);
+  log('MAIN', `🛑 Received ${signal}, shutting down gracefully...`);
+  shuttingDown = true;
 
-  // Close all active transports
+  // Close all active transports, giving adapters' onSessionEnd hooks a chance to finish
+  const endedSessions = [];
   for (const [serverName, transports] of serverTransports.entries()) {
     for (const [sessionId, transport] of transports.entries()) {
       try {
+        endedSessions.push(endSession(serverName, transport, 'shutdown'));
         if (transport && transport.close) {
-          transport.close();
+          await transport.close();
         }
       } catch (error) {
-        console.error(`Error closing transport ${serverName}:${sessionId}:`, error);
+        log.error(serverName, `Error closing transport ${sessionId}`, { error });
       }
     }
   }
+  await Promise.race([
+    Promise.allSettled(endedSessions),
+    new Promise(resolve => setTimeout(resolve, SESSION_END_HOOK_TIMEOUT_MS).unref())
+  ]);
+
+  try {
+    await closeSessionStore();
+  } catch (error) {
+    log.error('MAIN', 'Error closing session store', { error });
+  }
+
+  try {
+    await closeRevocationStore();
+  } catch (error) {
+    log.error('MAIN', 'Error closing revocation store', { error });
+  }
+
+  try {
+    await closeIdempotencyStore();
+  } catch (error) {
+    log.error('MAIN', 'Error closing idempotency store', { error });
+  }
+
+  try {
+    await closeResponseCache();
+  } catch (error) {
+    log.error('MAIN', 'Error closing response cache', { error });
+  }
 
   log('MAIN', '✅ Graceful shutdown complete');
   process.exit(0);
@@ -473,16 +2256,53 @@ const shutdown = async (signal) => {
 
 process.on('SIGTERM', () => shutdown('SIGTERM'));
 process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGHUP', () => reloadServerAdapters('SIGHUP'));
 
 // Start the server
 async function startServer() {
   try {
     log('MAIN', 'Starting Multi-MCP Simple Server...');
 
+    const sessionStoreType = await initSessionStore(config.global?.session_store);
+    log('MAIN', `✅ Session store: ${sessionStoreType}`);
+
+    const authKeys = initAuthKeys(config.global?.auth);
+    log('MAIN', `✅ Auth: ${authKeys.jwtKeys.length} signing keys by kid, API keys: ${authKeys.apiKeys.join(', ') || 'none'}`);
+
+    const revocationStoreType = await initRevocation(config.global?.revocation);
+    log('MAIN', `✅ Revocation store: ${revocationStoreType}`);
+
+    const auditSinks = initAudit(config.global?.audit);
+    if (auditSinks.length > 0) {
+      log('MAIN', `✅ Audit sinks: ${auditSinks.join(', ')}`);
+    }
+
+    const approvals = initApprovals(config.global?.approvals);
+    if (approvals) {
+      log('MAIN', `✅ Approval mode for: ${approvals.tools.join(', ')}`);
+    }
+
+    const idempotencyStoreType = await initIdempotency(config.global?.idempotency);
+    log('MAIN', `✅ Idempotency store: ${idempotencyStoreType}`);
+
+    const responseCacheType = await initResponseCache(config.global?.response_cache);
+    if (responseCacheType) {
+      log('MAIN', `✅ Response cache: ${responseCacheType}`);
+    }
+
+    const credentialProviderType = await initCredentialProvider(config.global?.credentials);
+    if (credentialProviderType) {
+      log('MAIN', `✅ Credential provider: ${credentialProviderType}`);
+    }
+
     // Load server adapters
     await loadServerAdapters();
     log('MAIN', '✅ Server adapters loaded');
 
+    if (process.env.HOT_RELOAD === 'true' || config.global?.hot_reload) {
+      watchServerAdapters();
+    }
+
     // Start HTTP server
     app.listen(port, '0.0.0.0', () => {
       log('MAIN', `🚀 Multi-MCP Simple Server running on port ${port}`);
@@ -492,7 +2312,7 @@ async function startServer() {
     });
 
   } catch (error) {
-    log('MAIN', 'Failed to start server', { error: error.message, stack: error.stack });
+    log.error('MAIN', 'Failed to start server', { error: error.message, stack: error.stack });
     process.exit(1);
   }
 }
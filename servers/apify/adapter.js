@@ -69,6 +69,18 @@ function jsonSchemaToZod(jsonSchema) {
   return z.object(shape);
 }
 
+/**
+ * Use the annotations the Apify package declares, or infer them from the tool name:
+ * search/fetch/get tools only read, everything else (calling or adding Actors) starts runs
+ */
+function getToolAnnotations(tool) {
+  if (tool.annotations) {
+    return tool.annotations;
+  }
+  const readOnly = /^(search|fetch|get|list)-/.test(tool.name);
+  return { readOnlyHint: readOnly, destructiveHint: false, idempotentHint: readOnly, openWorldHint: true };
+}
+
 /**
  * Apify MCP Server wrapper adapter for multi-MCP system
  * Imports all tools from the official @apify/actors-mcp-server package
@@ -84,7 +96,7 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'APIFY_API_T
     // console.log('[Apify Adapter] Successfully imported tool categories');
   } catch (error) {
     console.error('[Apify Adapter] Failed to import from @apify/actors-mcp-server:', error.message);
-    throw new Error(`Failed to load Apify MCP server package: ${error.message}`);
+    throw new Error(`Failed to load Apify MCP server package: ${error.message}`, { cause: error });
   }
 
   // Collect all tools from all categories
@@ -104,12 +116,31 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'APIFY_API_T
     name: tool.name,
     title: tool.name,
     description: tool.description,
-    inputSchema: jsonSchemaToZod(tool.inputSchema)
+    annotations: getToolAnnotations(tool),
+    inputSchema: jsonSchemaToZod(tool.inputSchema),
+    // Tools that declare an output schema already return structuredContent
+    ...(tool.outputSchema && { outputSchema: jsonSchemaToZod(tool.outputSchema) })
   }));
 
   // Create tool handlers that wrap the original tool calls
   const toolHandlers = {};
 
+  // One Apify client per session and token, dropped by onSessionEnd
+  const sessionClients = new Map(); // sessionId -> { apiKey, client }
+  const getApifyClient = (apiKey, context) => {
+    const sessionId = context?.sessionId;
+    if (!sessionId) {
+      return new ApifyClient({ token: apiKey });
+    }
+    const cached = sessionClients.get(sessionId);
+    if (cached?.apiKey === apiKey) {
+      return cached.client;
+    }
+    const client = new ApifyClient({ token: apiKey });
+    sessionClients.set(sessionId, { apiKey, client });
+    return client;
+  };
+
   // Create a minimal mock MCP server instance for tools that need it
   const mockApifyMcpServer = {
     options: {
@@ -127,14 +158,13 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'APIFY_API_T
   };
 
   for (const tool of allTools) {
-    toolHandlers[tool.name] = async (args, apiKey, userId) => {
+    toolHandlers[tool.name] = async (args, apiKey, userId, context) => {
       if (!apiKey && tool.name !== 'search-apify-docs' && tool.name !== 'fetch-apify-docs') {
         throw new Error('Apify API token is required for this operation');
       }
 
       try {
-        // Create Apify client with the user's API key
-        const apifyClient = new ApifyClient({ token: apiKey });
+        const apifyClient = getApifyClient(apiKey, context);
 
         // Update mock server with current token
         mockApifyMcpServer.options.token = apiKey;
@@ -146,7 +176,7 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'APIFY_API_T
           apifyClient,
           extra: {
             sendNotification: async () => {}, // Stub for notifications
-            signal: null // No abort signal support for now
+            signal: context?.signal ?? undefined // Aborts the Actor run when the call is cancelled or the session ends
           },
           // These are needed by some internal tools
           apifyMcpServer: mockApifyMcpServer, // Mock server instance
@@ -171,7 +201,8 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'APIFY_API_T
               type: "text",
               text: JSON.stringify(result, null, 2)
             }
-          ]
+          ],
+          ...(tool.outputSchema && { structuredContent: result })
         };
 
       } catch (error) {
@@ -195,6 +226,9 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'APIFY_API_T
 
   return {
     toolsDefinitions,
-    toolHandlers
+    toolHandlers,
+    onSessionEnd: async ({ sessionId }) => {
+      sessionClients.delete(sessionId);
+    }
   };
 }
@@ -1,38 +1,122 @@
 // Apollo.io MCP Server Adapter for 2025 Protocol
 import { z } from 'zod';
-import axios from 'axios';
+import { createHttpClient } from '../../utils/http-client.js';
+import { stringOrNumber } from '../../utils/output-schemas.js';
+
+const personSchema = z.object({
+  id: z.string().nullable(),
+  first_name: z.string().nullable(),
+  last_name: z.string().nullable(),
+  email: z.string().nullable(),
+  title: z.string().nullable(),
+  organization_name: z.string().nullable(),
+  linkedin_url: z.string().nullable(),
+  phone_numbers: z.array(z.string()),
+  city: z.string().nullable(),
+  state: z.string().nullable(),
+  country: z.string().nullable(),
+  seniority: z.string().nullable(),
+  departments: z.array(z.string())
+});
+
+const organizationSchema = z.object({
+  id: z.string().nullable(),
+  name: z.string().nullable(),
+  website_url: z.string().nullable(),
+  industry: z.string().nullable(),
+  estimated_num_employees: z.number().nullable(),
+  annual_revenue: stringOrNumber.nullable(),
+  founded_year: z.number().nullable(),
+  city: z.string().nullable(),
+  state: z.string().nullable(),
+  country: z.string().nullable(),
+  short_description: z.string().nullable(),
+  linkedin_url: z.string().nullable(),
+  phone: z.string().nullable()
+});
+
+const paginationSchema = {
+  total: z.number(),
+  page: z.number()
+};
+
+function toPerson(person) {
+  return {
+    id: person.id ?? null,
+    first_name: person.first_name ?? null,
+    last_name: person.last_name ?? null,
+    email: person.email ?? null,
+    title: person.title ?? null,
+    organization_name: person.organization?.name ?? null,
+    linkedin_url: person.linkedin_url ?? null,
+    phone_numbers: person.phone_numbers?.map(p => p.raw_number) || [],
+    city: person.city ?? null,
+    state: person.state ?? null,
+    country: person.country ?? null,
+    seniority: person.seniority ?? null,
+    departments: person.departments || []
+  };
+}
+
+function toOrganization(org) {
+  return {
+    id: org.id ?? null,
+    name: org.name ?? null,
+    website_url: org.website_url ?? null,
+    industry: org.industry ?? null,
+    estimated_num_employees: org.estimated_num_employees ?? null,
+    annual_revenue: org.annual_revenue ?? null,
+    founded_year: org.founded_year ?? null,
+    city: org.city ?? null,
+    state: org.state ?? null,
+    country: org.country ?? null,
+    short_description: org.short_description ?? null,
+    linkedin_url: org.linkedin_url ?? null,
+    phone: org.phone ?? null
+  };
+}
 
 /**
  * Apollo.io MCP Server adapter for multi-MCP system
  */
 export async function createServerAdapter(serverPath, apiKeyParam = 'APOLLO_API_KEY') {
+  const apolloApi = createHttpClient({ provider: 'apollo', baseURL: 'https://api.apollo.io/v1' });
   
   const toolsDefinitions = [
     {
       name: 'apollo-people-enrichment',
       title: 'Apollo People Enrichment',
       description: 'Enrich person data using Apollo.io API',
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         email: z.string().optional().describe('Email address to enrich'),
         first_name: z.string().optional().describe('First name of the person'),
         last_name: z.string().optional().describe('Last name of the person'),
         domain: z.string().optional().describe('Company domain'),
         linkedin_url: z.string().optional().describe('LinkedIn profile URL')
+      },
+      outputSchema: {
+        person: personSchema.nullable().describe('Matched person, or null when none was found')
       }
     },
     {
       name: 'apollo-organization-enrichment',
       title: 'Apollo Organization Enrichment',
       description: 'Enrich organization data using Apollo.io API',
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         domain: z.string().describe('Organization domain to enrich'),
         name: z.string().optional().describe('Organization name')
+      },
+      outputSchema: {
+        organization: organizationSchema.nullable().describe('Matched organization, or null when none was found')
       }
     },
     {
       name: 'apollo-people-search',
       title: 'Apollo People Search',
       description: 'Search for people using Apollo.io API',
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         q_keywords: z.string().optional().describe('Keywords to search for'),
         titles: z.array(z.string()).optional().describe('Job titles to search for'),
@@ -42,12 +126,17 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'APOLLO_API_
         organization_names: z.array(z.string()).optional().describe('Company names'),
         page: z.number().optional().describe('Page number for pagination'),
         per_page: z.number().optional().describe('Number of results per page (max 100)')
+      },
+      outputSchema: {
+        people: z.array(personSchema),
+        ...paginationSchema
       }
     },
     {
       name: 'apollo-organization-search',
       title: 'Apollo Organization Search',
       description: 'Search for organizations using Apollo.io API',
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         q_keywords: z.string().optional().describe('Keywords to search for'),
         industries: z.array(z.string()).optional().describe('Industry names'),
@@ -58,33 +147,55 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'APOLLO_API_
         revenue_max: z.number().optional().describe('Maximum revenue'),
         page: z.number().optional().describe('Page number for pagination'),
         per_page: z.number().optional().describe('Number of results per page (max 100)')
+      },
+      outputSchema: {
+        organizations: z.array(organizationSchema),
+        ...paginationSchema
       }
     },
     {
       name: 'apollo-organization-job-postings',
       title: 'Apollo Organization Job Postings',
       description: 'Get job postings for an organization using Apollo.io API',
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         organization_id: z.string().describe('Apollo organization ID'),
         page: z.number().optional().describe('Page number for pagination'),
         per_page: z.number().optional().describe('Number of results per page')
+      },
+      outputSchema: {
+        job_postings: z.array(z.object({
+          title: z.string().nullable(),
+          department: z.string().nullable(),
+          location: z.string().nullable(),
+          posted_date: z.string().nullable(),
+          url: z.string().nullable()
+        })),
+        total: z.number()
       }
     },
     {
       name: 'apollo-get-person-email',
       title: 'Apollo Get Person Email',
       description: 'Get email address for a person using Apollo.io API',
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         first_name: z.string().describe('First name of the person'),
         last_name: z.string().describe('Last name of the person'),
         domain: z.string().describe('Company domain'),
         email: z.string().optional().describe('Known email to verify')
+      },
+      outputSchema: {
+        email: z.string().nullable(),
+        status: z.string().nullable(),
+        confidence: stringOrNumber.nullable()
       }
     },
     {
       name: 'apollo-employees-of-company',
       title: 'Apollo Employees of Company',
       description: 'Get employees of a specific company using Apollo.io API',
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         domain: z.string().describe('Company domain'),
         organization_name: z.string().optional().describe('Company name'),
@@ -93,6 +204,11 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'APOLLO_API_
         departments: z.array(z.string()).optional().describe('Departments to filter by'),
         page: z.number().optional().describe('Page number for pagination'),
         per_page: z.number().optional().describe('Number of results per page (max 100)')
+      },
+      outputSchema: {
+        domain: z.string(),
+        employees: z.array(personSchema),
+        ...paginationSchema
       }
     }
   ];
@@ -104,8 +220,8 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'APOLLO_API_
       }
 
       try {
-        const response = await axios.post(
-          'https://api.apollo.io/v1/people/match',
+        const response = await apolloApi.post(
+          '/people/match',
           args,
           {
             headers: {
@@ -122,7 +238,8 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'APOLLO_API_
             content: [{
               type: "text",
               text: "No person data found for the provided information."
-            }]
+            }],
+            structuredContent: { person: null }
           };
         }
 
@@ -130,12 +247,13 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'APOLLO_API_
           content: [
             {
               type: "text",
-              text: `**Apollo People Enrichment Results:**\\n\\n**Name:** ${person.first_name || ''} ${person.last_name || ''}\\n**Email:** ${person.email || 'N/A'}\\n**Title:** ${person.title || 'N/A'}\\n**Company:** ${person.organization?.name || 'N/A'}\\n**LinkedIn:** ${person.linkedin_url || 'N/A'}\\n**Phone:** ${person.phone_numbers?.map(p => p.raw_number).join(', ') || 'N/A'}\\n**Location:** ${person.city || ''} ${person.state || ''} ${person.country || ''}\\n**Seniority:** ${person.seniority || 'N/A'}\\n**Department:** ${person.departments?.join(', ') || 'N/A'}`
+              text: `**Apollo People Enrichment Results:**\n\n**Name:** ${person.first_name || ''} ${person.last_name || ''}\n**Email:** ${person.email || 'N/A'}\n**Title:** ${person.title || 'N/A'}\n**Company:** ${person.organization?.name || 'N/A'}\n**LinkedIn:** ${person.linkedin_url || 'N/A'}\n**Phone:** ${person.phone_numbers?.map(p => p.raw_number).join(', ') || 'N/A'}\n**Location:** ${person.city || ''} ${person.state || ''} ${person.country || ''}\n**Seniority:** ${person.seniority || 'N/A'}\n**Department:** ${person.departments?.join(', ') || 'N/A'}`
             }
-          ]
+          ],
+          structuredContent: { person: toPerson(person) }
         };
       } catch (error) {
-        throw new Error(`Apollo people enrichment failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`Apollo people enrichment failed: ${error.message}`, { cause: error });
       }
     },
 
@@ -145,8 +263,8 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'APOLLO_API_
       }
 
       try {
-        const response = await axios.post(
-          'https://api.apollo.io/v1/organizations/enrich',
+        const response = await apolloApi.post(
+          '/organizations/enrich',
           args,
           {
             headers: {
@@ -163,7 +281,8 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'APOLLO_API_
             content: [{
               type: "text",
               text: "No organization data found for the provided domain."
-            }]
+            }],
+            structuredContent: { organization: null }
           };
         }
 
@@ -171,12 +290,13 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'APOLLO_API_
           content: [
             {
               type: "text",
-              text: `**Apollo Organization Enrichment Results:**\\n\\n**Name:** ${org.name || 'N/A'}\\n**Domain:** ${org.website_url || 'N/A'}\\n**Industry:** ${org.industry || 'N/A'}\\n**Employees:** ${org.estimated_num_employees || 'N/A'}\\n**Revenue:** ${org.annual_revenue || 'N/A'}\\n**Founded:** ${org.founded_year || 'N/A'}\\n**Location:** ${org.city || ''} ${org.state || ''} ${org.country || ''}\\n**Description:** ${org.short_description || 'N/A'}\\n**LinkedIn:** ${org.linkedin_url || 'N/A'}\\n**Phone:** ${org.phone || 'N/A'}`
+              text: `**Apollo Organization Enrichment Results:**\n\n**Name:** ${org.name || 'N/A'}\n**Domain:** ${org.website_url || 'N/A'}\n**Industry:** ${org.industry || 'N/A'}\n**Employees:** ${org.estimated_num_employees || 'N/A'}\n**Revenue:** ${org.annual_revenue || 'N/A'}\n**Founded:** ${org.founded_year || 'N/A'}\n**Location:** ${org.city || ''} ${org.state || ''} ${org.country || ''}\n**Description:** ${org.short_description || 'N/A'}\n**LinkedIn:** ${org.linkedin_url || 'N/A'}\n**Phone:** ${org.phone || 'N/A'}`
             }
-          ]
+          ],
+          structuredContent: { organization: toOrganization(org) }
         };
       } catch (error) {
-        throw new Error(`Apollo organization enrichment failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`Apollo organization enrichment failed: ${error.message}`, { cause: error });
       }
     },
 
@@ -186,8 +306,8 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'APOLLO_API_
       }
 
       try {
-        const response = await axios.post(
-          'https://api.apollo.io/v1/mixed_people/search',
+        const response = await apolloApi.post(
+          '/mixed_people/search',
           args,
           {
             headers: {
@@ -204,24 +324,30 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'APOLLO_API_
             content: [{
               type: "text",
               text: "No people found matching the search criteria."
-            }]
+            }],
+            structuredContent: { people: [], total: 0, page: response.data.pagination?.page || 1 }
           };
         }
 
         const results = people.map((person, index) => {
-          return `${index + 1}. **${person.first_name || ''} ${person.last_name || 'Unknown'}**\\n   Title: ${person.title || 'N/A'}\\n   Company: ${person.organization?.name || 'N/A'}\\n   Email: ${person.email || 'N/A'}\\n   LinkedIn: ${person.linkedin_url || 'N/A'}\\n   Location: ${person.city || ''} ${person.state || ''} ${person.country || ''}\\n`;
+          return `${index + 1}. **${person.first_name || ''} ${person.last_name || 'Unknown'}**\n   Title: ${person.title || 'N/A'}\n   Company: ${person.organization?.name || 'N/A'}\n   Email: ${person.email || 'N/A'}\n   LinkedIn: ${person.linkedin_url || 'N/A'}\n   Location: ${person.city || ''} ${person.state || ''} ${person.country || ''}\n`;
         });
 
         return {
           content: [
             {
               type: "text",
-              text: `**Apollo People Search Results:**\\n\\n${results.join('\\n')}\\n**Total Results:** ${response.data.pagination?.total_entries || people.length}\\n**Current Page:** ${response.data.pagination?.page || 1}`
+              text: `**Apollo People Search Results:**\n\n${results.join('\n')}\n**Total Results:** ${response.data.pagination?.total_entries || people.length}\n**Current Page:** ${response.data.pagination?.page || 1}`
             }
-          ]
+          ],
+          structuredContent: {
+            people: people.map(toPerson),
+            total: response.data.pagination?.total_entries || people.length,
+            page: response.data.pagination?.page || 1
+          }
         };
       } catch (error) {
-        throw new Error(`Apollo people search failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`Apollo people search failed: ${error.message}`, { cause: error });
       }
     },
 
@@ -231,8 +357,8 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'APOLLO_API_
       }
 
       try {
-        const response = await axios.post(
-          'https://api.apollo.io/v1/organizations/search',
+        const response = await apolloApi.post(
+          '/organizations/search',
           args,
           {
             headers: {
@@ -249,24 +375,30 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'APOLLO_API_
             content: [{
               type: "text",
               text: "No organizations found matching the search criteria."
-            }]
+            }],
+            structuredContent: { organizations: [], total: 0, page: response.data.pagination?.page || 1 }
           };
         }
 
         const results = orgs.map((org, index) => {
-          return `${index + 1}. **${org.name || 'Unknown Company'}**\\n   Domain: ${org.website_url || 'N/A'}\\n   Industry: ${org.industry || 'N/A'}\\n   Employees: ${org.estimated_num_employees || 'N/A'}\\n   Revenue: ${org.annual_revenue || 'N/A'}\\n   Location: ${org.city || ''} ${org.state || ''} ${org.country || ''}\\n   Founded: ${org.founded_year || 'N/A'}\\n`;
+          return `${index + 1}. **${org.name || 'Unknown Company'}**\n   Domain: ${org.website_url || 'N/A'}\n   Industry: ${org.industry || 'N/A'}\n   Employees: ${org.estimated_num_employees || 'N/A'}\n   Revenue: ${org.annual_revenue || 'N/A'}\n   Location: ${org.city || ''} ${org.state || ''} ${org.country || ''}\n   Founded: ${org.founded_year || 'N/A'}\n`;
         });
 
         return {
           content: [
             {
               type: "text",
-              text: `**Apollo Organization Search Results:**\\n\\n${results.join('\\n')}\\n**Total Results:** ${response.data.pagination?.total_entries || orgs.length}\\n**Current Page:** ${response.data.pagination?.page || 1}`
+              text: `**Apollo Organization Search Results:**\n\n${results.join('\n')}\n**Total Results:** ${response.data.pagination?.total_entries || orgs.length}\n**Current Page:** ${response.data.pagination?.page || 1}`
             }
-          ]
+          ],
+          structuredContent: {
+            organizations: orgs.map(toOrganization),
+            total: response.data.pagination?.total_entries || orgs.length,
+            page: response.data.pagination?.page || 1
+          }
         };
       } catch (error) {
-        throw new Error(`Apollo organization search failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`Apollo organization search failed: ${error.message}`, { cause: error });
       }
     },
 
@@ -276,8 +408,8 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'APOLLO_API_
       }
 
       try {
-        const response = await axios.get(
-          `https://api.apollo.io/v1/organizations/${args.organization_id}/job_postings`,
+        const response = await apolloApi.get(
+          `/organizations/${args.organization_id}/job_postings`,
           {
             params: {
               page: args.page || 1,
@@ -296,24 +428,35 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'APOLLO_API_
             content: [{
               type: "text",
               text: "No job postings found for this organization."
-            }]
+            }],
+            structuredContent: { job_postings: [], total: 0 }
           };
         }
 
         const results = jobPostings.map((job, index) => {
-          return `${index + 1}. **${job.title || 'Unknown Position'}**\\n   Department: ${job.department || 'N/A'}\\n   Location: ${job.location || 'N/A'}\\n   Posted: ${job.posted_date || 'N/A'}\\n   URL: ${job.url || 'N/A'}\\n`;
+          return `${index + 1}. **${job.title || 'Unknown Position'}**\n   Department: ${job.department || 'N/A'}\n   Location: ${job.location || 'N/A'}\n   Posted: ${job.posted_date || 'N/A'}\n   URL: ${job.url || 'N/A'}\n`;
         });
 
         return {
           content: [
             {
               type: "text",
-              text: `**Apollo Job Postings Results:**\\n\\n${results.join('\\n')}\\n**Total Postings:** ${response.data.pagination?.total_entries || jobPostings.length}`
+              text: `**Apollo Job Postings Results:**\n\n${results.join('\n')}\n**Total Postings:** ${response.data.pagination?.total_entries || jobPostings.length}`
             }
-          ]
+          ],
+          structuredContent: {
+            job_postings: jobPostings.map(job => ({
+              title: job.title ?? null,
+              department: job.department ?? null,
+              location: job.location ?? null,
+              posted_date: job.posted_date ?? null,
+              url: job.url ?? null
+            })),
+            total: response.data.pagination?.total_entries || jobPostings.length
+          }
         };
       } catch (error) {
-        throw new Error(`Apollo job postings search failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`Apollo job postings search failed: ${error.message}`, { cause: error });
       }
     },
 
@@ -323,8 +466,8 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'APOLLO_API_
       }
 
       try {
-        const response = await axios.post(
-          'https://api.apollo.io/v1/email_accounts',
+        const response = await apolloApi.post(
+          '/email_accounts',
           args,
           {
             headers: {
@@ -341,7 +484,8 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'APOLLO_API_
             content: [{
               type: "text",
               text: "No email found for the provided person information."
-            }]
+            }],
+            structuredContent: { email: null, status: null, confidence: null }
           };
         }
 
@@ -349,12 +493,17 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'APOLLO_API_
           content: [
             {
               type: "text",
-              text: `**Apollo Email Discovery Results:**\\n\\n**Name:** ${args.first_name} ${args.last_name}\\n**Email:** ${account.email || 'N/A'}\\n**Status:** ${account.state || 'N/A'}\\n**Domain:** ${args.domain}\\n**Confidence:** ${account.email_confidence || 'N/A'}`
+              text: `**Apollo Email Discovery Results:**\n\n**Name:** ${args.first_name} ${args.last_name}\n**Email:** ${account.email || 'N/A'}\n**Status:** ${account.state || 'N/A'}\n**Domain:** ${args.domain}\n**Confidence:** ${account.email_confidence || 'N/A'}`
             }
-          ]
+          ],
+          structuredContent: {
+            email: account.email ?? null,
+            status: account.state ?? null,
+            confidence: account.email_confidence ?? null
+          }
         };
       } catch (error) {
-        throw new Error(`Apollo email discovery failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`Apollo email discovery failed: ${error.message}`, { cause: error });
       }
     },
 
@@ -370,8 +519,8 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'APOLLO_API_
         };
         delete searchParams.domain; // Remove domain from params since we use organization_domains
 
-        const response = await axios.post(
-          'https://api.apollo.io/v1/mixed_people/search',
+        const response = await apolloApi.post(
+          '/mixed_people/search',
           searchParams,
           {
             headers: {
@@ -388,24 +537,31 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'APOLLO_API_
             content: [{
               type: "text",
               text: `No employees found for domain: ${args.domain}`
-            }]
+            }],
+            structuredContent: { domain: args.domain, employees: [], total: 0, page: response.data.pagination?.page || 1 }
           };
         }
 
         const results = employees.map((employee, index) => {
-          return `${index + 1}. **${employee.first_name || ''} ${employee.last_name || 'Unknown'}**\\n   Title: ${employee.title || 'N/A'}\\n   Email: ${employee.email || 'N/A'}\\n   Department: ${employee.departments?.join(', ') || 'N/A'}\\n   Seniority: ${employee.seniority || 'N/A'}\\n   LinkedIn: ${employee.linkedin_url || 'N/A'}\\n`;
+          return `${index + 1}. **${employee.first_name || ''} ${employee.last_name || 'Unknown'}**\n   Title: ${employee.title || 'N/A'}\n   Email: ${employee.email || 'N/A'}\n   Department: ${employee.departments?.join(', ') || 'N/A'}\n   Seniority: ${employee.seniority || 'N/A'}\n   LinkedIn: ${employee.linkedin_url || 'N/A'}\n`;
         });
 
         return {
           content: [
             {
               type: "text",
-              text: `**Apollo Company Employees Results for ${args.domain}:**\\n\\n${results.join('\\n')}\\n**Total Employees Found:** ${response.data.pagination?.total_entries || employees.length}\\n**Current Page:** ${response.data.pagination?.page || 1}`
+              text: `**Apollo Company Employees Results for ${args.domain}:**\n\n${results.join('\n')}\n**Total Employees Found:** ${response.data.pagination?.total_entries || employees.length}\n**Current Page:** ${response.data.pagination?.page || 1}`
             }
-          ]
+          ],
+          structuredContent: {
+            domain: args.domain,
+            employees: employees.map(toPerson),
+            total: response.data.pagination?.total_entries || employees.length,
+            page: response.data.pagination?.page || 1
+          }
         };
       } catch (error) {
-        throw new Error(`Apollo employees search failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`Apollo employees search failed: ${error.message}`, { cause: error });
       }
     }
   };
@@ -1,57 +1,113 @@
 // BuiltWith MCP Server Adapter for 2025 Protocol
 import { z } from 'zod';
-import axios from 'axios';
+import { createHttpClient } from '../../utils/http-client.js';
+import { stringOrNumber } from '../../utils/output-schemas.js';
 
 /**
  * BuiltWith MCP Server adapter for multi-MCP system
  */
 export async function createServerAdapter(serverPath, apiKeyParam = 'BUILTWITH_API_KEY') {
+  const builtwithApi = createHttpClient({ provider: 'builtwith', baseURL: 'https://api.builtwith.com' });
   
   const toolsDefinitions = [
     {
       name: 'builtwith-technology-lookup',
       title: 'BuiltWith Technology Lookup',
       description: 'Get detailed technology information for a website using BuiltWith API',
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         domain: z.string().describe('Website domain to analyze (e.g., example.com)')
+      },
+      outputSchema: {
+        domain: z.string(),
+        technologies: z.record(z.array(z.object({
+          name: z.string(),
+          description: z.string(),
+          categories: z.string()
+        }))).describe('Detected technologies grouped by tag'),
+        first_indexed: stringOrNumber.nullable(),
+        last_updated: stringOrNumber.nullable(),
+        spend: stringOrNumber.nullable(),
+        company: z.string().nullable()
       }
     },
     {
       name: 'builtwith-technology-list',
       title: 'BuiltWith Technology List',
       description: 'Get list of websites using specific technologies',
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         technology: z.string().describe('Technology name to search for (e.g., WordPress, React)'),
         limit: z.number().optional().describe('Maximum number of results to return (default: 50)'),
         country: z.string().optional().describe('Filter by country code (e.g., US, GB)')
+      },
+      outputSchema: {
+        technology: z.string(),
+        websites: z.array(z.object({
+          domain: z.string(),
+          company: z.string().nullable(),
+          country: z.string().nullable(),
+          first_detected: stringOrNumber.nullable(),
+          last_detected: stringOrNumber.nullable(),
+          spend: stringOrNumber.nullable()
+        }))
       }
     },
     {
       name: 'builtwith-domain-details',
       title: 'BuiltWith Domain Details',
       description: 'Get comprehensive domain analysis including technologies, traffic, and more',
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         domain: z.string().describe('Website domain to analyze'),
         hidetext: z.boolean().optional().describe('Hide text descriptions (default: false)'),
         nometa: z.boolean().optional().describe('Hide meta information (default: false)')
+      },
+      outputSchema: {
+        domain: z.string(),
+        found: z.boolean(),
+        first_indexed: stringOrNumber.nullable(),
+        last_updated: stringOrNumber.nullable(),
+        meta: z.record(z.any()).describe('Domain metadata (company name, country, vertical, contact details)')
       }
     },
     {
       name: 'builtwith-trends',
       title: 'BuiltWith Technology Trends',
       description: 'Get technology usage trends and statistics',
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         technology: z.string().describe('Technology name to get trends for'),
         period: z.enum(['month', 'quarter', 'year']).optional().describe('Time period for trends')
+      },
+      outputSchema: {
+        technology: z.string(),
+        trends: z.array(z.object({
+          date: stringOrNumber.nullable(),
+          websites: stringOrNumber.nullable(),
+          change: stringOrNumber.nullable(),
+          percentage: stringOrNumber.nullable()
+        }))
       }
     },
     {
       name: 'builtwith-relationships',
       title: 'BuiltWith Domain Relationships',
       description: 'Find related domains and relationships for a given domain',
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         domain: z.string().describe('Domain to find relationships for'),
         type: z.enum(['redirect', 'subdomain', 'similar']).optional().describe('Type of relationship to find')
+      },
+      outputSchema: {
+        domain: z.string(),
+        relationships: z.array(z.object({
+          domain: z.string(),
+          type: z.string().nullable(),
+          first_detected: stringOrNumber.nullable(),
+          last_detected: stringOrNumber.nullable(),
+          status: z.string().nullable()
+        }))
       }
     }
   ];
@@ -63,8 +119,8 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'BUILTWITH_A
       }
 
       try {
-        const response = await axios.get(
-          `https://api.builtwith.com/v21/api.json?KEY=${apiKey}&LOOKUP=${encodeURIComponent(args.domain)}`
+        const response = await builtwithApi.get(
+          `/v21/api.json?KEY=${apiKey}&LOOKUP=${encodeURIComponent(args.domain)}`
         );
 
         const data = response.data;
@@ -74,7 +130,8 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'BUILTWITH_A
             content: [{
               type: "text", 
               text: `No technology information found for domain: ${args.domain}`
-            }]
+            }],
+            structuredContent: { domain: args.domain, technologies: {}, first_indexed: null, last_updated: null, spend: null, company: null }
           };
         }
 
@@ -99,9 +156,9 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'BUILTWITH_A
 
         let techSummary = '';
         for (const [category, techs] of Object.entries(technologies)) {
-          techSummary += `\\n**${category}:**\\n`;
+          techSummary += `\n**${category}:**\n`;
           techs.forEach(tech => {
-            techSummary += `- ${tech.name}: ${tech.description}\\n`;
+            techSummary += `- ${tech.name}: ${tech.description}\n`;
           });
         }
 
@@ -109,12 +166,20 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'BUILTWITH_A
           content: [
             {
               type: "text",
-              text: `**BuiltWith Technology Analysis for ${args.domain}:**\\n\\n**Domain:** ${result.Domain}\\n**Last Updated:** ${result.LastUpdated || 'N/A'}\\n\\n**Technologies Detected:**${techSummary || '\\nNo technologies detected'}\\n\\n**Meta Information:**\\n- First Indexed: ${result.FirstIndexed || 'N/A'}\\n- Spend: ${result.Spend || 'N/A'}\\n- Company: ${result.Company || 'N/A'}`
+              text: `**BuiltWith Technology Analysis for ${args.domain}:**\n\n**Domain:** ${result.Domain}\n**Last Updated:** ${result.LastUpdated || 'N/A'}\n\n**Technologies Detected:**${techSummary || '\nNo technologies detected'}\n\n**Meta Information:**\n- First Indexed: ${result.FirstIndexed || 'N/A'}\n- Spend: ${result.Spend || 'N/A'}\n- Company: ${result.Company || 'N/A'}`
             }
-          ]
+          ],
+          structuredContent: {
+            domain: result.Domain,
+            technologies,
+            first_indexed: result.FirstIndexed ?? null,
+            last_updated: result.LastUpdated ?? null,
+            spend: result.Spend ?? null,
+            company: result.Company ?? null
+          }
         };
       } catch (error) {
-        throw new Error(`BuiltWith technology lookup failed: ${error.response?.data?.Error || error.message}`);
+        throw new Error(`BuiltWith technology lookup failed: ${error.message}`, { cause: error });
       }
     },
 
@@ -132,7 +197,7 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'BUILTWITH_A
         
         if (args.country) params.COUNTRY = args.country;
 
-        const response = await axios.get('https://api.builtwith.com/lists15/api.json', { params });
+        const response = await builtwithApi.get('/lists15/api.json', { params });
         const data = response.data;
 
         if (!data.Results || data.Results.length === 0) {
@@ -140,24 +205,36 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'BUILTWITH_A
             content: [{
               type: "text",
               text: `No websites found using technology: ${args.technology}`
-            }]
+            }],
+            structuredContent: { technology: args.technology, websites: [] }
           };
         }
 
         const websites = data.Results.map((site, index) => {
-          return `${index + 1}. **${site.Domain}**\\n   Company: ${site.Company || 'N/A'}\\n   Country: ${site.Country || 'N/A'}\\n   First Detected: ${site.FirstDetected || 'N/A'}\\n   Last Detected: ${site.LastDetected || 'N/A'}\\n   Spend: ${site.Spend || 'N/A'}\\n`;
+          return `${index + 1}. **${site.Domain}**\n   Company: ${site.Company || 'N/A'}\n   Country: ${site.Country || 'N/A'}\n   First Detected: ${site.FirstDetected || 'N/A'}\n   Last Detected: ${site.LastDetected || 'N/A'}\n   Spend: ${site.Spend || 'N/A'}\n`;
         });
 
         return {
           content: [
             {
               type: "text",
-              text: `**Websites Using ${args.technology}:**\\n\\n${websites.join('\\n')}\\n**Total Results:** ${data.Results.length}\\n**Technology:** ${args.technology}\\n**Country Filter:** ${args.country || 'All countries'}`
+              text: `**Websites Using ${args.technology}:**\n\n${websites.join('\n')}\n**Total Results:** ${data.Results.length}\n**Technology:** ${args.technology}\n**Country Filter:** ${args.country || 'All countries'}`
             }
-          ]
+          ],
+          structuredContent: {
+            technology: args.technology,
+            websites: data.Results.map(site => ({
+              domain: site.Domain,
+              company: site.Company ?? null,
+              country: site.Country ?? null,
+              first_detected: site.FirstDetected ?? null,
+              last_detected: site.LastDetected ?? null,
+              spend: site.Spend ?? null
+            }))
+          }
         };
       } catch (error) {
-        throw new Error(`BuiltWith technology list failed: ${error.response?.data?.Error || error.message}`);
+        throw new Error(`BuiltWith technology list failed: ${error.message}`, { cause: error });
       }
     },
 
@@ -175,7 +252,7 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'BUILTWITH_A
         if (args.hidetext) params.HIDETEXT = 'yes';
         if (args.nometa) params.NOMETA = 'yes';
 
-        const response = await axios.get('https://api.builtwith.com/v21/api.json', { params });
+        const response = await builtwithApi.get('/v21/api.json', { params });
         const data = response.data;
 
         if (!data.Results || data.Results.length === 0) {
@@ -183,7 +260,8 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'BUILTWITH_A
             content: [{
               type: "text",
               text: `No detailed information found for domain: ${args.domain}`
-            }]
+            }],
+            structuredContent: { domain: args.domain, found: false, first_indexed: null, last_updated: null, meta: {} }
           };
         }
 
@@ -194,12 +272,19 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'BUILTWITH_A
           content: [
             {
               type: "text",
-              text: `**BuiltWith Domain Details for ${args.domain}:**\\n\\n**Basic Information:**\\n- Domain: ${result.Domain}\\n- Company: ${meta.CompanyName || 'N/A'}\\n- Country: ${meta.Country || 'N/A'}\\n- Vertical: ${meta.Vertical || 'N/A'}\\n- Social: ${meta.Social || 'N/A'}\\n\\n**Traffic & Analytics:**\\n- Quantcast Rank: ${meta.QuantcastRank || 'N/A'}\\n- Estimated Spend: ${meta.Spend || 'N/A'}\\n\\n**Technical Details:**\\n- First Indexed: ${result.FirstIndexed || 'N/A'}\\n- Last Updated: ${result.LastUpdated || 'N/A'}\\n- IP Address: ${meta.IP || 'N/A'}\\n- Server: ${meta.Server || 'N/A'}\\n\\n**Contact Information:**\\n- Email: ${meta.Email || 'N/A'}\\n- Phone: ${meta.Phone || 'N/A'}\\n- Address: ${meta.Address || 'N/A'}`
+              text: `**BuiltWith Domain Details for ${args.domain}:**\n\n**Basic Information:**\n- Domain: ${result.Domain}\n- Company: ${meta.CompanyName || 'N/A'}\n- Country: ${meta.Country || 'N/A'}\n- Vertical: ${meta.Vertical || 'N/A'}\n- Social: ${meta.Social || 'N/A'}\n\n**Traffic & Analytics:**\n- Quantcast Rank: ${meta.QuantcastRank || 'N/A'}\n- Estimated Spend: ${meta.Spend || 'N/A'}\n\n**Technical Details:**\n- First Indexed: ${result.FirstIndexed || 'N/A'}\n- Last Updated: ${result.LastUpdated || 'N/A'}\n- IP Address: ${meta.IP || 'N/A'}\n- Server: ${meta.Server || 'N/A'}\n\n**Contact Information:**\n- Email: ${meta.Email || 'N/A'}\n- Phone: ${meta.Phone || 'N/A'}\n- Address: ${meta.Address || 'N/A'}`
             }
-          ]
+          ],
+          structuredContent: {
+            domain: result.Domain,
+            found: true,
+            first_indexed: result.FirstIndexed ?? null,
+            last_updated: result.LastUpdated ?? null,
+            meta
+          }
         };
       } catch (error) {
-        throw new Error(`BuiltWith domain details failed: ${error.response?.data?.Error || error.message}`);
+        throw new Error(`BuiltWith domain details failed: ${error.message}`, { cause: error });
       }
     },
 
@@ -216,7 +301,7 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'BUILTWITH_A
 
         if (args.period) params.PERIOD = args.period;
 
-        const response = await axios.get('https://api.builtwith.com/trends/v4/api.json', { params });
+        const response = await builtwithApi.get('/trends/v4/api.json', { params });
         const data = response.data;
 
         if (!data.Trends || data.Trends.length === 0) {
@@ -224,24 +309,34 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'BUILTWITH_A
             content: [{
               type: "text",
               text: `No trend data found for technology: ${args.technology}`
-            }]
+            }],
+            structuredContent: { technology: args.technology, trends: [] }
           };
         }
 
         const trends = data.Trends.map((trend, index) => {
-          return `${index + 1}. **Period:** ${trend.Date}\\n   Websites: ${trend.Websites || 'N/A'}\\n   Change: ${trend.Change || 'N/A'}\\n   Percentage: ${trend.Percentage || 'N/A'}%\\n`;
+          return `${index + 1}. **Period:** ${trend.Date}\n   Websites: ${trend.Websites || 'N/A'}\n   Change: ${trend.Change || 'N/A'}\n   Percentage: ${trend.Percentage || 'N/A'}%\n`;
         });
 
         return {
           content: [
             {
               type: "text",
-              text: `**Technology Trends for ${args.technology}:**\\n\\n${trends.join('\\n')}\\n**Technology:** ${args.technology}\\n**Period:** ${args.period || 'Default'}\\n**Total Data Points:** ${data.Trends.length}`
+              text: `**Technology Trends for ${args.technology}:**\n\n${trends.join('\n')}\n**Technology:** ${args.technology}\n**Period:** ${args.period || 'Default'}\n**Total Data Points:** ${data.Trends.length}`
             }
-          ]
+          ],
+          structuredContent: {
+            technology: args.technology,
+            trends: data.Trends.map(trend => ({
+              date: trend.Date ?? null,
+              websites: trend.Websites ?? null,
+              change: trend.Change ?? null,
+              percentage: trend.Percentage ?? null
+            }))
+          }
         };
       } catch (error) {
-        throw new Error(`BuiltWith trends failed: ${error.response?.data?.Error || error.message}`);
+        throw new Error(`BuiltWith trends failed: ${error.message}`, { cause: error });
       }
     },
 
@@ -258,7 +353,7 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'BUILTWITH_A
 
         if (args.type) params.TYPE = args.type;
 
-        const response = await axios.get('https://api.builtwith.com/relationships/v2/api.json', { params });
+        const response = await builtwithApi.get('/relationships/v2/api.json', { params });
         const data = response.data;
 
         if (!data.Relationships || data.Relationships.length === 0) {
@@ -266,24 +361,35 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'BUILTWITH_A
             content: [{
               type: "text",
               text: `No relationships found for domain: ${args.domain}`
-            }]
+            }],
+            structuredContent: { domain: args.domain, relationships: [] }
           };
         }
 
         const relationships = data.Relationships.map((rel, index) => {
-          return `${index + 1}. **${rel.Domain}**\\n   Type: ${rel.Type || 'N/A'}\\n   First Detected: ${rel.FirstDetected || 'N/A'}\\n   Last Detected: ${rel.LastDetected || 'N/A'}\\n   Status: ${rel.Status || 'N/A'}\\n`;
+          return `${index + 1}. **${rel.Domain}**\n   Type: ${rel.Type || 'N/A'}\n   First Detected: ${rel.FirstDetected || 'N/A'}\n   Last Detected: ${rel.LastDetected || 'N/A'}\n   Status: ${rel.Status || 'N/A'}\n`;
         });
 
         return {
           content: [
             {
               type: "text",
-              text: `**Domain Relationships for ${args.domain}:**\\n\\n${relationships.join('\\n')}\\n**Source Domain:** ${args.domain}\\n**Relationship Type:** ${args.type || 'All types'}\\n**Total Relationships:** ${data.Relationships.length}`
+              text: `**Domain Relationships for ${args.domain}:**\n\n${relationships.join('\n')}\n**Source Domain:** ${args.domain}\n**Relationship Type:** ${args.type || 'All types'}\n**Total Relationships:** ${data.Relationships.length}`
             }
-          ]
+          ],
+          structuredContent: {
+            domain: args.domain,
+            relationships: data.Relationships.map(rel => ({
+              domain: rel.Domain,
+              type: rel.Type ?? null,
+              first_detected: rel.FirstDetected ?? null,
+              last_detected: rel.LastDetected ?? null,
+              status: rel.Status ?? null
+            }))
+          }
         };
       } catch (error) {
-        throw new Error(`BuiltWith relationships failed: ${error.response?.data?.Error || error.message}`);
+        throw new Error(`BuiltWith relationships failed: ${error.message}`, { cause: error });
       }
     }
   };
@@ -1,68 +1,157 @@
 // FindyMail MCP Server Adapter for 2025 Protocol
 import { z } from 'zod';
-import axios from 'axios';
+import { createHttpClient } from '../../utils/http-client.js';
+import { stringOrNumber } from '../../utils/output-schemas.js';
 
 /**
  * FindyMail MCP Server adapter for multi-MCP system
  */
 export async function createServerAdapter(serverPath, apiKeyParam = 'FINDYMAIL_API_KEY') {
+  const findymailApi = createHttpClient({ provider: 'findymail', baseURL: 'https://app.findymail.com/api' });
   
   const toolsDefinitions = [
     {
       name: 'findymail-find-email',
       title: 'FindyMail Find Email',
       description: 'Find email addresses for a person using FindyMail API',
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         first_name: z.string().describe('First name of the person'),
         last_name: z.string().describe('Last name of the person'),
         domain: z.string().describe('Company domain'),
         company_name: z.string().optional().describe('Company name (optional)'),
         linkedin_url: z.string().optional().describe('LinkedIn profile URL (optional)')
+      },
+      outputSchema: {
+        email: z.string().nullable().describe('Email address found, or null when none was found'),
+        confidence: stringOrNumber.nullable(),
+        source: z.string().nullable(),
+        verification_status: z.string().nullable(),
+        position: z.string().nullable(),
+        department: z.string().nullable(),
+        phone: z.string().nullable()
       }
     },
     {
       name: 'findymail-verify-email',
       title: 'FindyMail Verify Email',
       description: 'Verify the deliverability of an email address using FindyMail API',
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         email: z.string().describe('Email address to verify')
+      },
+      outputSchema: {
+        email: z.string(),
+        status: z.string().nullable(),
+        deliverable: z.boolean(),
+        valid_format: z.boolean(),
+        mx_record: z.boolean(),
+        smtp_valid: z.boolean(),
+        disposable: z.boolean(),
+        free_provider: z.boolean(),
+        role_account: z.boolean(),
+        catch_all: z.boolean(),
+        risk_score: z.number().nullable(),
+        confidence: z.number().nullable()
       }
     },
     {
       name: 'findymail-domain-search',
       title: 'FindyMail Domain Search',
       description: 'Search for all email addresses in a domain using FindyMail API',
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         domain: z.string().describe('Domain to search for emails'),
         limit: z.number().optional().describe('Maximum number of emails to return (default: 50)'),
         department: z.string().optional().describe('Filter by department'),
         seniority: z.string().optional().describe('Filter by seniority level')
+      },
+      outputSchema: {
+        domain: z.string(),
+        total: z.number(),
+        emails: z.array(z.object({
+          email: z.string(),
+          first_name: z.string().nullable(),
+          last_name: z.string().nullable(),
+          position: z.string().nullable(),
+          department: z.string().nullable(),
+          seniority: z.string().nullable(),
+          linkedin_url: z.string().nullable(),
+          phone: z.string().nullable(),
+          verification_status: z.string().nullable()
+        }))
       }
     },
     {
       name: 'findymail-bulk-verify',
       title: 'FindyMail Bulk Email Verification',
       description: 'Verify multiple email addresses in bulk using FindyMail API',
+      annotations: { readOnlyHint: false, destructiveHint: false, idempotentHint: false, openWorldHint: true },
       inputSchema: {
         emails: z.array(z.string()).describe('Array of email addresses to verify')
+      },
+      outputSchema: {
+        summary: z.object({
+          total: z.number(),
+          deliverable: z.number(),
+          undeliverable: z.number(),
+          risky: z.number()
+        }),
+        results: z.array(z.object({
+          email: z.string(),
+          status: z.string().nullable(),
+          deliverable: z.boolean(),
+          valid_format: z.boolean(),
+          risk_score: z.number().nullable(),
+          confidence: z.number().nullable()
+        }))
       }
     },
     {
       name: 'findymail-account-credits',
       title: 'FindyMail Account Credits',
       description: 'Get account information and remaining credits',
-      inputSchema: {}
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
+      inputSchema: {},
+      outputSchema: {
+        credits_remaining: z.number().nullable(),
+        credits_used: z.number().nullable(),
+        total_credits: z.number().nullable(),
+        plan: z.string().nullable(),
+        status: z.string().nullable()
+      }
     },
     {
       name: 'findymail-enrich-contact',
       title: 'FindyMail Enrich Contact',
       description: 'Enrich contact information with additional data points',
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         email: z.string().optional().describe('Email address to enrich'),
         linkedin_url: z.string().optional().describe('LinkedIn profile URL to enrich'),
         first_name: z.string().optional().describe('First name'),
         last_name: z.string().optional().describe('Last name'),
         company_domain: z.string().optional().describe('Company domain')
+      },
+      outputSchema: {
+        contact: z.object({
+          first_name: z.string().nullable(),
+          last_name: z.string().nullable(),
+          email: z.string().nullable(),
+          phone: z.string().nullable(),
+          linkedin_url: z.string().nullable(),
+          current_position: z.string().nullable(),
+          current_company: z.string().nullable(),
+          company_domain: z.string().nullable(),
+          department: z.string().nullable(),
+          seniority_level: z.string().nullable(),
+          industry: z.string().nullable(),
+          location: z.string().nullable(),
+          country: z.string().nullable(),
+          city: z.string().nullable(),
+          social_profiles: z.array(z.string()),
+          skills: z.array(z.string())
+        }).nullable().describe('Enriched contact, or null when nothing was found')
       }
     }
   ];
@@ -83,8 +172,8 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'FINDYMAIL_A
         if (args.company_name) requestData.company_name = args.company_name;
         if (args.linkedin_url) requestData.linkedin_url = args.linkedin_url;
 
-        const response = await axios.post(
-          'https://app.findymail.com/api/v1/email/find',
+        const response = await findymailApi.post(
+          '/v1/email/find',
           requestData,
           {
             headers: {
@@ -101,7 +190,8 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'FINDYMAIL_A
             content: [{
               type: "text",
               text: `No email found for ${args.first_name} ${args.last_name} at ${args.domain}`
-            }]
+            }],
+            structuredContent: { email: null, confidence: null, source: null, verification_status: null, position: null, department: null, phone: null }
           };
         }
 
@@ -109,12 +199,21 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'FINDYMAIL_A
           content: [
             {
               type: "text",
-              text: `**FindyMail Email Discovery Results:**\\n\\n**Name:** ${args.first_name} ${args.last_name}\\n**Email:** ${data.email}\\n**Company:** ${args.company_name || args.domain}\\n**Domain:** ${args.domain}\\n**Confidence Score:** ${data.confidence || 'N/A'}\\n**Source:** ${data.source || 'N/A'}\\n**Verification Status:** ${data.verification_status || 'N/A'}\\n**LinkedIn:** ${args.linkedin_url || 'N/A'}\\n\\n**Additional Information:**\\n**Position:** ${data.position || 'N/A'}\\n**Department:** ${data.department || 'N/A'}\\n**Phone:** ${data.phone || 'N/A'}\\n**Social Profiles:** ${data.social_profiles?.join(', ') || 'N/A'}`
+              text: `**FindyMail Email Discovery Results:**\n\n**Name:** ${args.first_name} ${args.last_name}\n**Email:** ${data.email}\n**Company:** ${args.company_name || args.domain}\n**Domain:** ${args.domain}\n**Confidence Score:** ${data.confidence || 'N/A'}\n**Source:** ${data.source || 'N/A'}\n**Verification Status:** ${data.verification_status || 'N/A'}\n**LinkedIn:** ${args.linkedin_url || 'N/A'}\n\n**Additional Information:**\n**Position:** ${data.position || 'N/A'}\n**Department:** ${data.department || 'N/A'}\n**Phone:** ${data.phone || 'N/A'}\n**Social Profiles:** ${data.social_profiles?.join(', ') || 'N/A'}`
             }
-          ]
+          ],
+          structuredContent: {
+            email: data.email,
+            confidence: data.confidence ?? null,
+            source: data.source ?? null,
+            verification_status: data.verification_status ?? null,
+            position: data.position ?? null,
+            department: data.department ?? null,
+            phone: data.phone ?? null
+          }
         };
       } catch (error) {
-        throw new Error(`FindyMail email discovery failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`FindyMail email discovery failed: ${error.message}`, { cause: error });
       }
     },
 
@@ -124,8 +223,8 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'FINDYMAIL_A
       }
 
       try {
-        const response = await axios.post(
-          'https://app.findymail.com/api/v1/email/verify',
+        const response = await findymailApi.post(
+          '/v1/email/verify',
           { email: args.email },
           {
             headers: {
@@ -141,12 +240,26 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'FINDYMAIL_A
           content: [
             {
               type: "text",
-              text: `**FindyMail Email Verification Results:**\\n\\n**Email:** ${args.email}\\n**Status:** ${data.status}\\n**Deliverable:** ${data.deliverable ? 'Yes' : 'No'}\\n**Valid Format:** ${data.valid_format ? 'Yes' : 'No'}\\n**MX Record Found:** ${data.mx_record ? 'Yes' : 'No'}\\n**SMTP Valid:** ${data.smtp_valid ? 'Yes' : 'No'}\\n**Disposable:** ${data.disposable ? 'Yes' : 'No'}\\n**Free Provider:** ${data.free_provider ? 'Yes' : 'No'}\\n**Role Account:** ${data.role_account ? 'Yes' : 'No'}\\n**Catch All:** ${data.catch_all ? 'Yes' : 'No'}\\n\\n**Technical Details:**\\n**Domain:** ${data.domain || 'N/A'}\\n**Username:** ${data.username || 'N/A'}\\n**Risk Score:** ${data.risk_score || 'N/A'}\\n**Confidence:** ${data.confidence || 'N/A'}%\\n**Response Time:** ${data.response_time || 'N/A'}ms`
+              text: `**FindyMail Email Verification Results:**\n\n**Email:** ${args.email}\n**Status:** ${data.status}\n**Deliverable:** ${data.deliverable ? 'Yes' : 'No'}\n**Valid Format:** ${data.valid_format ? 'Yes' : 'No'}\n**MX Record Found:** ${data.mx_record ? 'Yes' : 'No'}\n**SMTP Valid:** ${data.smtp_valid ? 'Yes' : 'No'}\n**Disposable:** ${data.disposable ? 'Yes' : 'No'}\n**Free Provider:** ${data.free_provider ? 'Yes' : 'No'}\n**Role Account:** ${data.role_account ? 'Yes' : 'No'}\n**Catch All:** ${data.catch_all ? 'Yes' : 'No'}\n\n**Technical Details:**\n**Domain:** ${data.domain || 'N/A'}\n**Username:** ${data.username || 'N/A'}\n**Risk Score:** ${data.risk_score || 'N/A'}\n**Confidence:** ${data.confidence || 'N/A'}%\n**Response Time:** ${data.response_time || 'N/A'}ms`
             }
-          ]
+          ],
+          structuredContent: {
+            email: args.email,
+            status: data.status ?? null,
+            deliverable: Boolean(data.deliverable),
+            valid_format: Boolean(data.valid_format),
+            mx_record: Boolean(data.mx_record),
+            smtp_valid: Boolean(data.smtp_valid),
+            disposable: Boolean(data.disposable),
+            free_provider: Boolean(data.free_provider),
+            role_account: Boolean(data.role_account),
+            catch_all: Boolean(data.catch_all),
+            risk_score: data.risk_score ?? null,
+            confidence: data.confidence ?? null
+          }
         };
       } catch (error) {
-        throw new Error(`FindyMail email verification failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`FindyMail email verification failed: ${error.message}`, { cause: error });
       }
     },
 
@@ -164,8 +277,8 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'FINDYMAIL_A
         if (args.department) requestData.department = args.department;
         if (args.seniority) requestData.seniority = args.seniority;
 
-        const response = await axios.post(
-          'https://app.findymail.com/api/v1/domain/search',
+        const response = await findymailApi.post(
+          '/v1/domain/search',
           requestData,
           {
             headers: {
@@ -183,24 +296,40 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'FINDYMAIL_A
             content: [{
               type: "text",
               text: `No emails found for domain: ${args.domain}`
-            }]
+            }],
+            structuredContent: { domain: args.domain, total: 0, emails: [] }
           };
         }
 
         const emailResults = emails.map((email, index) => {
-          return `${index + 1}. **${email.email}**\\n   Name: ${email.first_name || ''} ${email.last_name || 'Unknown'}\\n   Position: ${email.position || 'N/A'}\\n   Department: ${email.department || 'N/A'}\\n   Seniority: ${email.seniority || 'N/A'}\\n   LinkedIn: ${email.linkedin_url || 'N/A'}\\n   Phone: ${email.phone || 'N/A'}\\n   Verification: ${email.verification_status || 'N/A'}\\n`;
+          return `${index + 1}. **${email.email}**\n   Name: ${email.first_name || ''} ${email.last_name || 'Unknown'}\n   Position: ${email.position || 'N/A'}\n   Department: ${email.department || 'N/A'}\n   Seniority: ${email.seniority || 'N/A'}\n   LinkedIn: ${email.linkedin_url || 'N/A'}\n   Phone: ${email.phone || 'N/A'}\n   Verification: ${email.verification_status || 'N/A'}\n`;
         });
 
         return {
           content: [
             {
               type: "text",
-              text: `**FindyMail Domain Search Results for ${args.domain}:**\\n\\n**Company Information:**\\n**Domain:** ${args.domain}\\n**Total Emails Found:** ${data.total_count || emails.length}\\n**Department Filter:** ${args.department || 'All'}\\n**Seniority Filter:** ${args.seniority || 'All'}\\n\\n**Email Results:**\\n\\n${emailResults.join('\\n')}\\n\\n**Showing:** ${emails.length} results (limit: ${args.limit || 50})`
+              text: `**FindyMail Domain Search Results for ${args.domain}:**\n\n**Company Information:**\n**Domain:** ${args.domain}\n**Total Emails Found:** ${data.total_count || emails.length}\n**Department Filter:** ${args.department || 'All'}\n**Seniority Filter:** ${args.seniority || 'All'}\n\n**Email Results:**\n\n${emailResults.join('\n')}\n\n**Showing:** ${emails.length} results (limit: ${args.limit || 50})`
             }
-          ]
+          ],
+          structuredContent: {
+            domain: args.domain,
+            total: data.total_count || emails.length,
+            emails: emails.map(email => ({
+              email: email.email,
+              first_name: email.first_name ?? null,
+              last_name: email.last_name ?? null,
+              position: email.position ?? null,
+              department: email.department ?? null,
+              seniority: email.seniority ?? null,
+              linkedin_url: email.linkedin_url ?? null,
+              phone: email.phone ?? null,
+              verification_status: email.verification_status ?? null
+            }))
+          }
         };
       } catch (error) {
-        throw new Error(`FindyMail domain search failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`FindyMail domain search failed: ${error.message}`, { cause: error });
       }
     },
 
@@ -210,8 +339,8 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'FINDYMAIL_A
       }
 
       try {
-        const response = await axios.post(
-          'https://app.findymail.com/api/v1/email/bulk-verify',
+        const response = await findymailApi.post(
+          '/v1/email/bulk-verify',
           { emails: args.emails },
           {
             headers: {
@@ -229,12 +358,13 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'FINDYMAIL_A
             content: [{
               type: "text",
               text: "No verification results returned."
-            }]
+            }],
+            structuredContent: { summary: { total: 0, deliverable: 0, undeliverable: 0, risky: 0 }, results: [] }
           };
         }
 
         const verificationResults = results.map((result, index) => {
-          return `${index + 1}. **${result.email}**\\n   Status: ${result.status}\\n   Deliverable: ${result.deliverable ? 'Yes' : 'No'}\\n   Valid Format: ${result.valid_format ? 'Yes' : 'No'}\\n   Risk Score: ${result.risk_score || 'N/A'}\\n   Confidence: ${result.confidence || 'N/A'}%\\n`;
+          return `${index + 1}. **${result.email}**\n   Status: ${result.status}\n   Deliverable: ${result.deliverable ? 'Yes' : 'No'}\n   Valid Format: ${result.valid_format ? 'Yes' : 'No'}\n   Risk Score: ${result.risk_score || 'N/A'}\n   Confidence: ${result.confidence || 'N/A'}%\n`;
         });
 
         const summary = {
@@ -248,12 +378,23 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'FINDYMAIL_A
           content: [
             {
               type: "text",
-              text: `**FindyMail Bulk Email Verification Results:**\\n\\n**Summary:**\\n**Total Emails:** ${summary.total}\\n**Deliverable:** ${summary.deliverable}\\n**Undeliverable:** ${summary.undeliverable}\\n**Risky:** ${summary.risky}\\n**Success Rate:** ${Math.round((summary.deliverable / summary.total) * 100)}%\\n\\n**Individual Results:**\\n\\n${verificationResults.join('\\n')}\\n\\n**Credits Used:** ${data.credits_used || 'N/A'}\\n**Processing Time:** ${data.processing_time || 'N/A'}ms`
+              text: `**FindyMail Bulk Email Verification Results:**\n\n**Summary:**\n**Total Emails:** ${summary.total}\n**Deliverable:** ${summary.deliverable}\n**Undeliverable:** ${summary.undeliverable}\n**Risky:** ${summary.risky}\n**Success Rate:** ${Math.round((summary.deliverable / summary.total) * 100)}%\n\n**Individual Results:**\n\n${verificationResults.join('\n')}\n\n**Credits Used:** ${data.credits_used || 'N/A'}\n**Processing Time:** ${data.processing_time || 'N/A'}ms`
             }
-          ]
+          ],
+          structuredContent: {
+            summary,
+            results: results.map(result => ({
+              email: result.email,
+              status: result.status ?? null,
+              deliverable: Boolean(result.deliverable),
+              valid_format: Boolean(result.valid_format),
+              risk_score: result.risk_score ?? null,
+              confidence: result.confidence ?? null
+            }))
+          }
         };
       } catch (error) {
-        throw new Error(`FindyMail bulk verification failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`FindyMail bulk verification failed: ${error.message}`, { cause: error });
       }
     },
 
@@ -263,8 +404,8 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'FINDYMAIL_A
       }
 
       try {
-        const response = await axios.get(
-          'https://app.findymail.com/api/v1/account/credits',
+        const response = await findymailApi.get(
+          '/v1/account/credits',
           {
             headers: {
               'Authorization': `Bearer ${apiKey}`
@@ -278,12 +419,19 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'FINDYMAIL_A
           content: [
             {
               type: "text",
-              text: `**FindyMail Account Information:**\\n\\n**Credit Information:**\\n**Credits Remaining:** ${data.credits_remaining || 'N/A'}\\n**Credits Used:** ${data.credits_used || 'N/A'}\\n**Total Credits:** ${data.total_credits || 'N/A'}\\n**Credit Type:** ${data.credit_type || 'N/A'}\\n\\n**Account Details:**\\n**Plan:** ${data.plan || 'N/A'}\\n**Plan Status:** ${data.plan_status || 'N/A'}\\n**Billing Cycle:** ${data.billing_cycle || 'N/A'}\\n**Next Billing Date:** ${data.next_billing_date || 'N/A'}\\n\\n**Usage Statistics:**\\n**Email Finder Used:** ${data.email_finder_used || 'N/A'}\\n**Email Verifier Used:** ${data.email_verifier_used || 'N/A'}\\n**Domain Search Used:** ${data.domain_search_used || 'N/A'}\\n**Bulk Operations Used:** ${data.bulk_operations_used || 'N/A'}\\n\\n**Account Status:** ${data.status || 'N/A'}`
+              text: `**FindyMail Account Information:**\n\n**Credit Information:**\n**Credits Remaining:** ${data.credits_remaining || 'N/A'}\n**Credits Used:** ${data.credits_used || 'N/A'}\n**Total Credits:** ${data.total_credits || 'N/A'}\n**Credit Type:** ${data.credit_type || 'N/A'}\n\n**Account Details:**\n**Plan:** ${data.plan || 'N/A'}\n**Plan Status:** ${data.plan_status || 'N/A'}\n**Billing Cycle:** ${data.billing_cycle || 'N/A'}\n**Next Billing Date:** ${data.next_billing_date || 'N/A'}\n\n**Usage Statistics:**\n**Email Finder Used:** ${data.email_finder_used || 'N/A'}\n**Email Verifier Used:** ${data.email_verifier_used || 'N/A'}\n**Domain Search Used:** ${data.domain_search_used || 'N/A'}\n**Bulk Operations Used:** ${data.bulk_operations_used || 'N/A'}\n\n**Account Status:** ${data.status || 'N/A'}`
             }
-          ]
+          ],
+          structuredContent: {
+            credits_remaining: data.credits_remaining ?? null,
+            credits_used: data.credits_used ?? null,
+            total_credits: data.total_credits ?? null,
+            plan: data.plan ?? null,
+            status: data.status ?? null
+          }
         };
       } catch (error) {
-        throw new Error(`FindyMail account credits failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`FindyMail account credits failed: ${error.message}`, { cause: error });
       }
     },
 
@@ -301,8 +449,8 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'FINDYMAIL_A
         if (args.last_name) requestData.last_name = args.last_name;
         if (args.company_domain) requestData.company_domain = args.company_domain;
 
-        const response = await axios.post(
-          'https://app.findymail.com/api/v1/contact/enrich',
+        const response = await findymailApi.post(
+          '/v1/contact/enrich',
           requestData,
           {
             headers: {
@@ -319,7 +467,8 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'FINDYMAIL_A
             content: [{
               type: "text",
               text: "Unable to enrich the provided contact information."
-            }]
+            }],
+            structuredContent: { contact: null }
           };
         }
 
@@ -327,12 +476,32 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'FINDYMAIL_A
           content: [
             {
               type: "text",
-              text: `**FindyMail Contact Enrichment Results:**\\n\\n**Personal Information:**\\n**Name:** ${data.first_name || ''} ${data.last_name || ''}\\n**Email:** ${data.email || 'N/A'}\\n**Phone:** ${data.phone || 'N/A'}\\n**LinkedIn:** ${data.linkedin_url || 'N/A'}\\n\\n**Professional Information:**\\n**Current Position:** ${data.current_position || 'N/A'}\\n**Current Company:** ${data.current_company || 'N/A'}\\n**Company Domain:** ${data.company_domain || 'N/A'}\\n**Department:** ${data.department || 'N/A'}\\n**Seniority Level:** ${data.seniority_level || 'N/A'}\\n**Industry:** ${data.industry || 'N/A'}\\n\\n**Location Information:**\\n**Location:** ${data.location || 'N/A'}\\n**Country:** ${data.country || 'N/A'}\\n**City:** ${data.city || 'N/A'}\\n\\n**Additional Data:**\\n**Social Profiles:** ${data.social_profiles?.join(', ') || 'N/A'}\\n**Skills:** ${data.skills?.join(', ') || 'N/A'}\\n**Education:** ${data.education || 'N/A'}\\n**Experience Years:** ${data.experience_years || 'N/A'}`
+              text: `**FindyMail Contact Enrichment Results:**\n\n**Personal Information:**\n**Name:** ${data.first_name || ''} ${data.last_name || ''}\n**Email:** ${data.email || 'N/A'}\n**Phone:** ${data.phone || 'N/A'}\n**LinkedIn:** ${data.linkedin_url || 'N/A'}\n\n**Professional Information:**\n**Current Position:** ${data.current_position || 'N/A'}\n**Current Company:** ${data.current_company || 'N/A'}\n**Company Domain:** ${data.company_domain || 'N/A'}\n**Department:** ${data.department || 'N/A'}\n**Seniority Level:** ${data.seniority_level || 'N/A'}\n**Industry:** ${data.industry || 'N/A'}\n\n**Location Information:**\n**Location:** ${data.location || 'N/A'}\n**Country:** ${data.country || 'N/A'}\n**City:** ${data.city || 'N/A'}\n\n**Additional Data:**\n**Social Profiles:** ${data.social_profiles?.join(', ') || 'N/A'}\n**Skills:** ${data.skills?.join(', ') || 'N/A'}\n**Education:** ${data.education || 'N/A'}\n**Experience Years:** ${data.experience_years || 'N/A'}`
             }
-          ]
+          ],
+          structuredContent: {
+            contact: {
+              first_name: data.first_name ?? null,
+              last_name: data.last_name ?? null,
+              email: data.email ?? null,
+              phone: data.phone ?? null,
+              linkedin_url: data.linkedin_url ?? null,
+              current_position: data.current_position ?? null,
+              current_company: data.current_company ?? null,
+              company_domain: data.company_domain ?? null,
+              department: data.department ?? null,
+              seniority_level: data.seniority_level ?? null,
+              industry: data.industry ?? null,
+              location: data.location ?? null,
+              country: data.country ?? null,
+              city: data.city ?? null,
+              social_profiles: data.social_profiles || [],
+              skills: data.skills || []
+            }
+          }
         };
       } catch (error) {
-        throw new Error(`FindyMail contact enrichment failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`FindyMail contact enrichment failed: ${error.message}`, { cause: error });
       }
     }
   };
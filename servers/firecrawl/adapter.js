@@ -1,6 +1,76 @@
 // Adapter to convert Firecrawl MCP Server to our format
 import FirecrawlApp from '@mendable/firecrawl-js';
 import { z } from 'zod';
+import { sleep } from '../../utils/cancellation.js';
+
+const CRAWL_POLL_INTERVAL_MS = 2000;
+const CRAWL_ACTIVE_STATUSES = new Set(['active', 'paused', 'pending', 'queued', 'waiting', 'scraping']);
+
+// One Firecrawl client per session and key, dropped by onSessionEnd
+const sessionClients = new Map(); // sessionId -> { apiKey, app }
+
+function getFirecrawlApp(apiKey, context) {
+  const sessionId = context?.sessionId;
+  if (!sessionId) {
+    return new FirecrawlApp({ apiKey });
+  }
+  const cached = sessionClients.get(sessionId);
+  if (cached?.apiKey === apiKey) {
+    return cached.app;
+  }
+  const app = new FirecrawlApp({ apiKey });
+  sessionClients.set(sessionId, { apiKey, app });
+  return app;
+}
+
+const pageSchema = z.object({
+  url: z.string().nullable(),
+  title: z.string().nullable(),
+  content: z.string().describe('Page content in the first requested format')
+});
+
+function toPage(page) {
+  return {
+    url: page.metadata?.sourceURL || page.url || null,
+    title: page.metadata?.title || page.title || null,
+    content: page.markdown || page.html || page.text || ''
+  };
+}
+
+/**
+ * Start a crawl and poll it until it completes. The crawl job is cancelled on Firecrawl's
+ * side when the tool call is, so it stops spending credits once the client is gone.
+ */
+async function runCrawl(app, url, crawlOptions, context) {
+  const { signal } = context;
+  const started = await app.asyncCrawlUrl(url, crawlOptions);
+  if (!started.success || !started.id) {
+    throw new Error(started.error || 'Failed to start crawl job');
+  }
+
+  try {
+    for (;;) {
+      signal?.throwIfAborted();
+      const status = await app.checkCrawlStatus(started.id, true);
+      if (status.status === 'completed') {
+        return status;
+      }
+      if (!CRAWL_ACTIVE_STATUSES.has(status.status)) {
+        throw new Error(status.error || `Crawl job failed or was stopped. Status: ${status.status}`);
+      }
+      await context.notifyProgress(status.completed ?? 0, status.total || undefined, `Crawled ${status.completed ?? 0} pages`);
+      await sleep(CRAWL_POLL_INTERVAL_MS, signal);
+    }
+  } catch (error) {
+    if (signal?.aborted) {
+      await app.cancelCrawl(started.id).catch(cancelError => {
+        context.log(`Failed to cancel crawl ${started.id}`, { error: cancelError.message });
+      });
+      context.log(`Cancelled crawl ${started.id}`);
+    }
+    throw error;
+  }
+}
 
 /**
  * Extract tools from Firecrawl MCP server and create handlers for our multi-MCP system
@@ -12,50 +82,73 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'FIRECRAWL_A
       name: 'firecrawl-scrape',
       title: 'Firecrawl Scrape',
       description: 'Scrape a single URL and get clean, structured data',
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         url: z.string().describe('The URL to scrape'),
         formats: z.array(z.enum(['markdown', 'html', 'rawHtml', 'links', 'screenshot'])).describe('The formats to return')
+      },
+      outputSchema: {
+        url: z.string(),
+        markdown: z.string().nullable(),
+        html: z.string().nullable(),
+        links: z.array(z.string()),
+        metadata: z.record(z.any()).describe('Page metadata such as title, description and status code')
       }
     },
     {
       name: 'firecrawl-crawl',
       title: 'Firecrawl Crawl',
       description: 'Crawl a website starting from a base URL',
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         url: z.string().describe('The base URL to start crawling from'),
         limit: z.number().describe('Maximum number of pages to crawl'),
         formats: z.array(z.enum(['markdown', 'html', 'rawHtml', 'links'])).describe('The formats to return')
+      },
+      outputSchema: {
+        url: z.string(),
+        pages: z.array(pageSchema)
       }
     },
     {
       name: 'firecrawl-map',
       title: 'Firecrawl Map',
       description: 'Map all URLs on a website to understand its structure',
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         url: z.string().describe('The website URL to map'),
         limit: z.number().describe('Maximum number of URLs to map')
+      },
+      outputSchema: {
+        url: z.string(),
+        links: z.array(z.string())
       }
     },
     {
       name: 'firecrawl-search',
       title: 'Firecrawl Search',
       description: 'Search for specific content across crawled pages',
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         query: z.string().describe('Search query to look for in crawled content'),
         url: z.string().describe('The base URL to search within'),
         limit: z.number().describe('Maximum number of results to return')
+      },
+      outputSchema: {
+        query: z.string(),
+        results: z.array(pageSchema)
       }
     }
   ];
 
   const toolHandlers = {
-    'firecrawl-scrape': async (args, apiKey, userId) => {
+    'firecrawl-scrape': async (args, apiKey, userId, context) => {
       if (!apiKey) {
         throw new Error('Firecrawl API key is required');
       }
 
       try {
-        const app = new FirecrawlApp({ apiKey });
+        const app = getFirecrawlApp(apiKey, context);
         
         const scrapeOptions = {
           formats: args.formats || ['markdown'],
@@ -69,27 +162,34 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'FIRECRAWL_A
               type: "text",
               text: `Scraped content from ${args.url}:\n\n${result.markdown || result.html || result.text || 'No content found'}`
             }
-          ]
+          ],
+          structuredContent: {
+            url: args.url,
+            markdown: result.markdown ?? null,
+            html: result.html ?? null,
+            links: result.links || [],
+            metadata: result.metadata || {}
+          }
         };
       } catch (error) {
-        throw new Error(`Firecrawl scrape failed: ${error.message}`);
+        throw new Error(`Firecrawl scrape failed: ${error.message}`, { cause: error });
       }
     },
 
-    'firecrawl-crawl': async (args, apiKey, userId) => {
+    'firecrawl-crawl': async (args, apiKey, userId, context) => {
       if (!apiKey) {
         throw new Error('Firecrawl API key is required');
       }
 
       try {
-        const app = new FirecrawlApp({ apiKey });
+        const app = getFirecrawlApp(apiKey, context);
         
         const crawlOptions = {
           limit: args.limit || 50,
           formats: args.formats || ['markdown']
         };
 
-        const result = await app.crawlUrl(args.url, crawlOptions);
+        const result = await runCrawl(app, args.url, crawlOptions, context);
 
         return {
           content: [
@@ -99,20 +199,21 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'FIRECRAWL_A
                 `${index + 1}. **${page.metadata?.title || 'Untitled'}**\n   URL: ${page.metadata?.sourceURL || 'Unknown'}\n   Content: ${(page.markdown || page.html || page.text || '').substring(0, 200)}...\n`
               ).join('\n') || 'No pages found'}`
             }
-          ]
+          ],
+          structuredContent: { url: args.url, pages: (result.data || []).map(toPage) }
         };
       } catch (error) {
-        throw new Error(`Firecrawl crawl failed: ${error.message}`);
+        throw new Error(`Firecrawl crawl failed: ${error.message}`, { cause: error });
       }
     },
 
-    'firecrawl-map': async (args, apiKey, userId) => {
+    'firecrawl-map': async (args, apiKey, userId, context) => {
       if (!apiKey) {
         throw new Error('Firecrawl API key is required');
       }
 
       try {
-        const app = new FirecrawlApp({ apiKey });
+        const app = getFirecrawlApp(apiKey, context);
         
         const mapOptions = {
           limit: args.limit || 500
@@ -128,20 +229,21 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'FIRECRAWL_A
                 `${index + 1}. ${link}`
               ).join('\n') || 'No URLs found'}\n\nTotal URLs mapped: ${result.links?.length || 0}`
             }
-          ]
+          ],
+          structuredContent: { url: args.url, links: result.links || [] }
         };
       } catch (error) {
-        throw new Error(`Firecrawl map failed: ${error.message}`);
+        throw new Error(`Firecrawl map failed: ${error.message}`, { cause: error });
       }
     },
 
-    'firecrawl-search': async (args, apiKey, userId) => {
+    'firecrawl-search': async (args, apiKey, userId, context) => {
       if (!apiKey) {
         throw new Error('Firecrawl API key is required');
       }
 
       try {
-        const app = new FirecrawlApp({ apiKey });
+        const app = getFirecrawlApp(apiKey, context);
         
         const searchOptions = {
           limit: args.limit || 10
@@ -157,16 +259,20 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'FIRECRAWL_A
                 `${index + 1}. **${item.metadata?.title || 'Untitled'}**\n   URL: ${item.metadata?.sourceURL || 'Unknown'}\n   Content: ${(item.markdown || item.html || item.text || '').substring(0, 300)}...\n`
               ).join('\n') || 'No results found'}`
             }
-          ]
+          ],
+          structuredContent: { query: args.query, results: (result.data || []).map(toPage) }
         };
       } catch (error) {
-        throw new Error(`Firecrawl search failed: ${error.message}`);
+        throw new Error(`Firecrawl search failed: ${error.message}`, { cause: error });
       }
     }
   };
 
   return {
     toolsDefinitions,
-    toolHandlers
+    toolHandlers,
+    onSessionEnd: async ({ sessionId }) => {
+      sessionClients.delete(sessionId);
+    }
   };
 }
\ No newline at end of file
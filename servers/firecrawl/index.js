@@ -1,12 +1,13 @@
 // Firecrawl MCP Server - Adapted for Multi-MCP Server
-import { createServerAdapter } from './adapter.js';
+// Forward the loader's cache-busting query so hot reloads re-import adapter.js too
+const { createServerAdapter } = await import(`./adapter.js${new URL(import.meta.url).search}`);
 
 // Get the adapter with Firecrawl tools  
 import { dirname } from 'path';
 import { fileURLToPath } from 'url';
 const __dirname = dirname(fileURLToPath(import.meta.url));
 
-const { toolsDefinitions, toolHandlers } = await createServerAdapter(__dirname, 'FIRECRAWL_API_KEY');
+const { toolsDefinitions, toolHandlers, onSessionEnd } = await createServerAdapter(__dirname, 'FIRECRAWL_API_KEY');
 
 // Export in the format expected by multi-mcp-server
-export { toolsDefinitions, toolHandlers };
\ No newline at end of file
+export { toolsDefinitions, toolHandlers, onSessionEnd };
\ No newline at end of file
@@ -2,6 +2,7 @@
 import { z } from 'zod';
 import { google } from 'googleapis';
 import { log } from '../../multi-mcp-server-simple.js';
+import { dryRunAdapter } from '../../utils/dry-run.js';
 
 /**
  * Gmail MCP Server adapter for multi-MCP system 
@@ -13,6 +14,7 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'GMAIL_CREDE
       name: 'gmail-create-draft',
       title: 'Create Draft Email',
       description: 'Create a draft email that can be saved and edited later',
+      annotations: { readOnlyHint: false, destructiveHint: false, idempotentHint: false, openWorldHint: true },
       inputSchema: {
         to: z.string().describe('Recipient email address'),
         subject: z.string().describe('Email subject'),
@@ -20,12 +22,18 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'GMAIL_CREDE
         cc: z.string().optional().describe('CC email addresses (comma separated)'),
         bcc: z.string().optional().describe('BCC email addresses (comma separated)'),
         isHtml: z.boolean().optional().default(false).describe('Whether the body is HTML (default: false)')
+      },
+      outputSchema: {
+        draftId: z.string(),
+        messageId: z.string(),
+        threadId: z.string().nullable()
       }
     },
     {
       name: 'gmail-update-draft',
       title: 'Update Draft Email',
       description: 'Update an existing draft email',
+      annotations: { readOnlyHint: false, destructiveHint: true, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         draftId: z.string().describe('The ID of the draft to update'),
         to: z.string().optional().describe('Recipient email address'),
@@ -34,44 +42,86 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'GMAIL_CREDE
         cc: z.string().optional().describe('CC email addresses (comma separated)'),
         bcc: z.string().optional().describe('BCC email addresses (comma separated)'),
         isHtml: z.boolean().optional().default(false).describe('Whether the body is HTML (default: false)')
+      },
+      outputSchema: {
+        draftId: z.string(),
+        messageId: z.string(),
+        threadId: z.string().nullable()
       }
     },
     {
       name: 'gmail-list-drafts',
       title: 'List Draft Emails',
       description: 'List all draft emails',
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         maxResults: z.number().optional().default(10).describe('Maximum number of drafts to return (default: 10)')
+      },
+      outputSchema: {
+        drafts: z.array(z.object({
+          id: z.string(),
+          messageId: z.string(),
+          to: z.string().nullable(),
+          subject: z.string().nullable(),
+          date: z.string().nullable(),
+          snippet: z.string().nullable(),
+          error: z.string().optional()
+        })),
+        resultSizeEstimate: z.number()
       }
     },
     {
       name: 'gmail-get-draft',
       title: 'Get Draft Email',
       description: 'Get a specific draft email by ID',
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         draftId: z.string().describe('The ID of the draft to retrieve')
+      },
+      outputSchema: {
+        draftId: z.string(),
+        messageId: z.string(),
+        to: z.string(),
+        cc: z.string(),
+        bcc: z.string(),
+        subject: z.string(),
+        date: z.string(),
+        body: z.string(),
+        snippet: z.string().nullable()
       }
     },
     {
       name: 'gmail-send-draft',
       title: 'Send Draft Email',
       description: 'Send a draft email',
+      annotations: { readOnlyHint: false, destructiveHint: false, idempotentHint: false, openWorldHint: true },
       inputSchema: {
         draftId: z.string().describe('The ID of the draft to send')
+      },
+      outputSchema: {
+        messageId: z.string(),
+        threadId: z.string(),
+        labelIds: z.array(z.string())
       }
     },
     {
       name: 'gmail-delete-draft',
       title: 'Delete Draft Email',
       description: 'Delete a draft email',
+      annotations: { readOnlyHint: false, destructiveHint: true, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         draftId: z.string().describe('The ID of the draft to delete')
+      },
+      outputSchema: {
+        draftId: z.string(),
+        deleted: z.boolean()
       }
     },
     {
       name: 'gmail-send-message',
       title: 'Send Message',
       description: 'Send an email message directly (without saving as draft)',
+      annotations: { readOnlyHint: false, destructiveHint: false, idempotentHint: false, openWorldHint: true },
       inputSchema: {
         to: z.string().describe('Recipient email address'),
         subject: z.string().describe('Email subject'),
@@ -79,23 +129,31 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'GMAIL_CREDE
         cc: z.string().optional().describe('CC email addresses (comma separated)'),
         bcc: z.string().optional().describe('BCC email addresses (comma separated)'),
         isHtml: z.boolean().optional().default(false).describe('Whether the body is HTML (default: false)')
+      },
+      outputSchema: {
+        messageId: z.string(),
+        threadId: z.string(),
+        labelIds: z.array(z.string())
       }
     }
   ];
 
-  // Initialize Gmail API client
-  let gmail = null;
+  // Gmail API client for one call. Built per call because the access token belongs
+  // to the session and is replaced when the gateway refreshes it.
+  const createGmailClient = (accessToken) => {
+    const auth = new google.auth.OAuth2();
 
-  const initializeGmail = async (accessToken) => {
-    try {
-      const auth = new google.auth.OAuth2();
+    // Set OAuth2 access token
+    auth.setCredentials({
+      access_token: accessToken
+    });
 
-      // Set OAuth2 access token
-      auth.setCredentials({
-        access_token: accessToken
-      });
+    return google.gmail({ version: 'v1', auth, adapter: dryRunAdapter });
+  };
 
-      gmail = google.gmail({ version: 'v1', auth });
+  const initializeGmail = async (accessToken) => {
+    try {
+      createGmailClient(accessToken);
       return true;
     } catch (error) {
       console.error('Failed to initialize Gmail API:', error);
@@ -126,7 +184,7 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'GMAIL_CREDE
     'gmail-create-draft': async (params, apiKey) => {
       try {
         const { to, subject, body, cc, bcc, isHtml = false } = params;
-        await initializeGmail(apiKey);
+        const gmail = createGmailClient(apiKey);
         const encodedMessage = createEmailMessage(to, subject, body, cc, bcc, isHtml);
 
         const response = await gmail.users.drafts.create({
@@ -143,18 +201,23 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'GMAIL_CREDE
           content: [{
             type: "text",
             text: `Draft created successfully:\n${JSON.stringify(response.data, null, 2)}`
-          }]
+          }],
+          structuredContent: {
+            draftId: response.data.id,
+            messageId: response.data.message.id,
+            threadId: response.data.message.threadId ?? null
+          }
         };
       } catch (error) {
         log('GMAIL', `Failed to create draft: ${error.message}`);
-        throw new Error(`Failed to create draft: ${error.message}`);
+        throw new Error(`Failed to create draft: ${error.message}`, { cause: error });
       }
     },
 
     'gmail-update-draft': async (params, apiKey) => {
       try {
         const { draftId, to, subject, body, cc, bcc, isHtml = false } = params;
-        await initializeGmail(apiKey);
+        const gmail = createGmailClient(apiKey);
 
         // Get current draft to merge with updates
         const currentDraft = await gmail.users.drafts.get({
@@ -214,17 +277,22 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'GMAIL_CREDE
           content: [{
             type: "text",
             text: `Draft email updated successfully:\n\n- Draft ID: ${response.data.id}\n- Message ID: ${response.data.message.id}\n- To: ${finalTo}\n- Subject: ${finalSubject}\n\nFull Response:\n${JSON.stringify(response.data, null, 2)}`
-          }]
+          }],
+          structuredContent: {
+            draftId: response.data.id,
+            messageId: response.data.message.id,
+            threadId: response.data.message.threadId ?? null
+          }
         };
       } catch (error) {
-        throw new Error(`Failed to update draft: ${error.message}`);
+        throw new Error(`Failed to update draft: ${error.message}`, { cause: error });
       }
     },
 
     'gmail-list-drafts': async (params, apiKey) => {
       try {
         const { maxResults = 10 } = params;
-        await initializeGmail(apiKey);
+        const gmail = createGmailClient(apiKey);
 
         const response = await gmail.users.drafts.list({
           userId: 'me',
@@ -269,17 +337,29 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'GMAIL_CREDE
           content: [{
             type: "text",
             text: `Found ${draftsWithDetails.length} draft emails:\n\n${draftsWithDetails.map((draft, index) => `${index + 1}. Draft ID: ${draft.id}\n   To: ${draft.to}\n   Subject: ${draft.subject}\n   Date: ${draft.date}`).join('\n\n')}\n\nTotal Results: ${response.data.resultSizeEstimate || draftsWithDetails.length}`
-          }]
+          }],
+          structuredContent: {
+            drafts: draftsWithDetails.map(draft => ({
+              id: draft.id,
+              messageId: draft.messageId,
+              to: draft.to ?? null,
+              subject: draft.subject ?? null,
+              date: draft.date ?? null,
+              snippet: draft.snippet ?? null,
+              ...(draft.error && { error: draft.error })
+            })),
+            resultSizeEstimate: response.data.resultSizeEstimate || draftsWithDetails.length
+          }
         };
       } catch (error) {
-        throw new Error(`Failed to list drafts: ${error.message}`);
+        throw new Error(`Failed to list drafts: ${error.message}`, { cause: error });
       }
     },
 
     'gmail-get-draft': async (params, apiKey) => {
       try {
         const { draftId } = params;
-        await initializeGmail(apiKey);
+        const gmail = createGmailClient(apiKey);
 
         const response = await gmail.users.drafts.get({
           userId: 'me',
@@ -315,17 +395,28 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'GMAIL_CREDE
           content: [{
             type: "text",
             text: `Draft Email Details:\n\n- Draft ID: ${draft.id}\n- Message ID: ${draft.message.id}\n- To: ${getHeader('To')}\n- CC: ${getHeader('Cc') || 'None'}\n- BCC: ${getHeader('Bcc') || 'None'}\n- Subject: ${getHeader('Subject')}\n- Date: ${getHeader('Date')}\n\nBody:\n${body}\n\nSnippet: ${draft.message.snippet}`
-          }]
+          }],
+          structuredContent: {
+            draftId: draft.id,
+            messageId: draft.message.id,
+            to: getHeader('To'),
+            cc: getHeader('Cc'),
+            bcc: getHeader('Bcc'),
+            subject: getHeader('Subject'),
+            date: getHeader('Date'),
+            body,
+            snippet: draft.message.snippet ?? null
+          }
         };
       } catch (error) {
-        throw new Error(`Failed to get draft: ${error.message}`);
+        throw new Error(`Failed to get draft: ${error.message}`, { cause: error });
       }
     },
 
     'gmail-send-draft': async (params, apiKey) => {
       try {
         const { draftId } = params;
-        await initializeGmail(apiKey);
+        const gmail = createGmailClient(apiKey);
 
         const response = await gmail.users.drafts.send({
           userId: 'me',
@@ -338,17 +429,22 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'GMAIL_CREDE
           content: [{
             type: "text",
             text: `Draft email sent successfully:\n\n- Message ID: ${response.data.id}\n- Thread ID: ${response.data.threadId}\n- Status: Sent\n\nFull Response:\n${JSON.stringify(response.data, null, 2)}`
-          }]
+          }],
+          structuredContent: {
+            messageId: response.data.id,
+            threadId: response.data.threadId,
+            labelIds: response.data.labelIds || []
+          }
         };
       } catch (error) {
-        throw new Error(`Failed to send draft: ${error.message}`);
+        throw new Error(`Failed to send draft: ${error.message}`, { cause: error });
       }
     },
 
     'gmail-delete-draft': async (params, apiKey) => {
       try {
         const { draftId } = params;
-        await initializeGmail(apiKey);
+        const gmail = createGmailClient(apiKey);
 
         await gmail.users.drafts.delete({
           userId: 'me',
@@ -359,17 +455,18 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'GMAIL_CREDE
           content: [{
             type: "text",
             text: `Draft email deleted successfully:\n\n- Draft ID: ${draftId}\n- Status: Deleted`
-          }]
+          }],
+          structuredContent: { draftId, deleted: true }
         };
       } catch (error) {
-        throw new Error(`Failed to delete draft: ${error.message}`);
+        throw new Error(`Failed to delete draft: ${error.message}`, { cause: error });
       }
     },
 
     'gmail-send-message': async (params, apiKey) => {
       try {
         const { to, subject, body, cc, bcc, isHtml = false } = params;
-        await initializeGmail(apiKey);
+        const gmail = createGmailClient(apiKey);
 
         const encodedMessage = createEmailMessage(to, subject, body, cc, bcc, isHtml);
 
@@ -384,10 +481,15 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'GMAIL_CREDE
           content: [{
             type: "text",
             text: `Email sent successfully:\n\n- Message ID: ${response.data.id}\n- Thread ID: ${response.data.threadId}\n- To: ${to}\n- Subject: ${subject}\n- Status: Sent\n\nFull Response:\n${JSON.stringify(response.data, null, 2)}`
-          }]
+          }],
+          structuredContent: {
+            messageId: response.data.id,
+            threadId: response.data.threadId,
+            labelIds: response.data.labelIds || []
+          }
         };
       } catch (error) {
-        throw new Error(`Failed to send message: ${error.message}`);
+        throw new Error(`Failed to send message: ${error.message}`, { cause: error });
       }
     }
   };
@@ -395,6 +497,7 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'GMAIL_CREDE
   return {
     toolsDefinitions,
     toolHandlers,
-    initialize: initializeGmail
+    initialize: initializeGmail,
+    supportsDryRun: true
   };
 }
\ No newline at end of file
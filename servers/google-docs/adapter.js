@@ -1,5 +1,6 @@
 // Google Docs MCP Server Adapter for 2025 Protocol
 import { z } from 'zod';
+import { dryRunAdapter } from '../../utils/dry-run.js';
 
 let google;
 try {
@@ -9,6 +10,17 @@ try {
   console.warn('googleapis package not available. Google Docs functionality will be limited.');
 }
 
+// Users connect with OAuth, so the key is normally an access token; a path to a
+// service account key file (*.json) is still accepted for server-to-server use
+function createGoogleAuth(apiKey, scopes) {
+  if (apiKey.endsWith('.json')) {
+    return new google.auth.GoogleAuth({ keyFile: apiKey, scopes });
+  }
+  const auth = new google.auth.OAuth2();
+  auth.setCredentials({ access_token: apiKey });
+  return auth;
+}
+
 /**
  * Google Docs MCP Server adapter for multi-MCP system
  */
@@ -19,23 +31,39 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'GOOGLE_DOCS
       name: 'google-docs-create',
       title: 'Google Docs Create Document',
       description: 'Create a new Google Docs document',
+      annotations: { readOnlyHint: false, destructiveHint: false, idempotentHint: false, openWorldHint: true },
       inputSchema: {
         title: z.string().describe('Title of the new document')
+      },
+      outputSchema: {
+        documentId: z.string(),
+        title: z.string(),
+        url: z.string(),
+        revisionId: z.string().nullable()
       }
     },
     {
       name: 'google-docs-get',
       title: 'Google Docs Get Document',
       description: 'Get content from a Google Docs document',
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         document_id: z.string().describe('ID of the document to retrieve'),
         suggestions_view_mode: z.enum(['DEFAULT_FOR_CURRENT_ACCESS', 'SUGGESTION_ACCEPTED', 'PREVIEW_SUGGESTION_ACCEPTED']).optional().describe('Suggestions view mode')
+      },
+      outputSchema: {
+        documentId: z.string(),
+        title: z.string(),
+        url: z.string(),
+        revisionId: z.string().nullable(),
+        text: z.string().describe('Plain text of all paragraphs in the document body')
       }
     },
     {
       name: 'google-docs-batch-update',
       title: 'Google Docs Batch Update',
       description: 'Perform multiple updates to a document',
+      annotations: { readOnlyHint: false, destructiveHint: true, idempotentHint: false, openWorldHint: true },
       inputSchema: {
         document_id: z.string().describe('ID of the document'),
         requests: z.array(z.object({
@@ -52,20 +80,49 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'GOOGLE_DOCS
             })
           }).optional()
         })).describe('Array of update requests')
+      },
+      outputSchema: {
+        documentId: z.string(),
+        url: z.string(),
+        requestsProcessed: z.number(),
+        replies: z.array(z.record(z.any()))
       }
     },
     {
       name: 'google-docs-share',
       title: 'Google Docs Share Document',
       description: 'Share a Google Docs document with users',
+      annotations: { readOnlyHint: false, destructiveHint: false, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         document_id: z.string().describe('ID of the document'),
         email: z.string().describe('Email address to share with'),
         role: z.enum(['reader', 'commenter', 'writer', 'owner']).describe('Permission level')
+      },
+      outputSchema: {
+        documentId: z.string(),
+        url: z.string(),
+        email: z.string(),
+        role: z.string(),
+        permissionId: z.string()
       }
     }
   ];
 
+  // Concatenate the text runs of every paragraph in the document body
+  const extractDocumentText = (doc) => {
+    let textContent = '';
+    (doc.body?.content || []).forEach(element => {
+      if (element.paragraph) {
+        element.paragraph.elements?.forEach(elem => {
+          if (elem.textRun) {
+            textContent += elem.textRun.content;
+          }
+        });
+      }
+    });
+    return textContent;
+  };
+
   const toolHandlers = {
     'google-docs-create': async (args, apiKey, userId) => {
       if (!google) {
@@ -77,12 +134,9 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'GOOGLE_DOCS
       }
 
       try {
-        const auth = new google.auth.GoogleAuth({
-          keyFile: apiKey,
-          scopes: ['https://www.googleapis.com/auth/documents']
-        });
+        const auth = createGoogleAuth(apiKey, ['https://www.googleapis.com/auth/documents']);
 
-        const docs = google.docs({ version: 'v1', auth });
+        const docs = google.docs({ version: 'v1', auth, adapter: dryRunAdapter });
 
         const response = await docs.documents.create({
           resource: {
@@ -95,12 +149,18 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'GOOGLE_DOCS
           content: [
             {
               type: "text",
-              text: `**Google Docs Document Created:**\\n\\n**Title:** ${response.data.title}\\n**Document ID:** ${response.data.documentId}\\n**URL:** https://docs.google.com/document/d/${response.data.documentId}/edit\\n**Created:** ${response.data.createTime || 'N/A'}\\n**Revision ID:** ${response.data.revisionId}`
+              text: `**Google Docs Document Created:**\n\n**Title:** ${response.data.title}\n**Document ID:** ${response.data.documentId}\n**URL:** https://docs.google.com/document/d/${response.data.documentId}/edit\n**Created:** ${response.data.createTime || 'N/A'}\n**Revision ID:** ${response.data.revisionId}`
             }
-          ]
+          ],
+          structuredContent: {
+            documentId: response.data.documentId,
+            title: response.data.title,
+            url: `https://docs.google.com/document/d/${response.data.documentId}/edit`,
+            revisionId: response.data.revisionId ?? null
+          }
         };
       } catch (error) {
-        throw new Error(`Google Docs create failed: ${error.message}`);
+        throw new Error(`Google Docs create failed: ${error.message}`, { cause: error });
       }
     },
 
@@ -114,12 +174,9 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'GOOGLE_DOCS
       }
 
       try {
-        const auth = new google.auth.GoogleAuth({
-          keyFile: apiKey,
-          scopes: ['https://www.googleapis.com/auth/documents.readonly']
-        });
+        const auth = createGoogleAuth(apiKey, ['https://www.googleapis.com/auth/documents.readonly']);
 
-        const docs = google.docs({ version: 'v1', auth });
+        const docs = google.docs({ version: 'v1', auth, adapter: dryRunAdapter });
 
         const response = await docs.documents.get({
           documentId: args.document_id,
@@ -129,29 +186,25 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'GOOGLE_DOCS
 
         const doc = response.data;
         const content = doc.body?.content || [];
-        
-        // Extract text content
-        let textContent = '';
-        content.forEach(element => {
-          if (element.paragraph) {
-            element.paragraph.elements?.forEach(elem => {
-              if (elem.textRun) {
-                textContent += elem.textRun.content;
-              }
-            });
-          }
-        });
+        const textContent = extractDocumentText(doc);
 
         return {
           content: [
             {
               type: "text",
-              text: `**Google Docs Document Retrieved:**\\n\\n**Title:** ${doc.title}\\n**Document ID:** ${doc.documentId}\\n**URL:** https://docs.google.com/document/d/${doc.documentId}/edit\\n**Revision ID:** ${doc.revisionId}\\n\\n**Document Content:**\\n${textContent || 'No text content found'}\\n\\n**Statistics:**\\n**Content Elements:** ${content.length}\\n**Character Count:** ${textContent.length}`
+              text: `**Google Docs Document Retrieved:**\n\n**Title:** ${doc.title}\n**Document ID:** ${doc.documentId}\n**URL:** https://docs.google.com/document/d/${doc.documentId}/edit\n**Revision ID:** ${doc.revisionId}\n\n**Document Content:**\n${textContent || 'No text content found'}\n\n**Statistics:**\n**Content Elements:** ${content.length}\n**Character Count:** ${textContent.length}`
             }
-          ]
+          ],
+          structuredContent: {
+            documentId: doc.documentId,
+            title: doc.title,
+            url: `https://docs.google.com/document/d/${doc.documentId}/edit`,
+            revisionId: doc.revisionId ?? null,
+            text: textContent
+          }
         };
       } catch (error) {
-        throw new Error(`Google Docs get failed: ${error.message}`);
+        throw new Error(`Google Docs get failed: ${error.message}`, { cause: error });
       }
     },
 
@@ -165,12 +218,9 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'GOOGLE_DOCS
       }
 
       try {
-        const auth = new google.auth.GoogleAuth({
-          keyFile: apiKey,
-          scopes: ['https://www.googleapis.com/auth/documents']
-        });
+        const auth = createGoogleAuth(apiKey, ['https://www.googleapis.com/auth/documents']);
 
-        const docs = google.docs({ version: 'v1', auth });
+        const docs = google.docs({ version: 'v1', auth, adapter: dryRunAdapter });
 
         // Convert requests to Google Docs API format
         const requests = args.requests.map(req => {
@@ -209,12 +259,18 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'GOOGLE_DOCS
           content: [
             {
               type: "text",
-              text: `**Google Docs Batch Update Completed:**\\n\\n**Document ID:** ${args.document_id}\\n**URL:** https://docs.google.com/document/d/${args.document_id}/edit\\n**Requests Processed:** ${requests.length}\\n**Document Revision:** ${response.data.documentId}\\n\\n**Replies:** ${response.data.replies?.length || 0} operations completed`
+              text: `**Google Docs Batch Update Completed:**\n\n**Document ID:** ${args.document_id}\n**URL:** https://docs.google.com/document/d/${args.document_id}/edit\n**Requests Processed:** ${requests.length}\n**Document Revision:** ${response.data.documentId}\n\n**Replies:** ${response.data.replies?.length || 0} operations completed`
             }
-          ]
+          ],
+          structuredContent: {
+            documentId: args.document_id,
+            url: `https://docs.google.com/document/d/${args.document_id}/edit`,
+            requestsProcessed: requests.length,
+            replies: response.data.replies || []
+          }
         };
       } catch (error) {
-        throw new Error(`Google Docs batch update failed: ${error.message}`);
+        throw new Error(`Google Docs batch update failed: ${error.message}`, { cause: error });
       }
     },
 
@@ -228,12 +284,9 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'GOOGLE_DOCS
       }
 
       try {
-        const auth = new google.auth.GoogleAuth({
-          keyFile: apiKey,
-          scopes: ['https://www.googleapis.com/auth/drive']
-        });
+        const auth = createGoogleAuth(apiKey, ['https://www.googleapis.com/auth/drive']);
 
-        const drive = google.drive({ version: 'v3', auth });
+        const drive = google.drive({ version: 'v3', auth, adapter: dryRunAdapter });
 
         const permission = {
           type: 'user',
@@ -252,18 +305,84 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'GOOGLE_DOCS
           content: [
             {
               type: "text",
-              text: `**Google Docs Sharing Updated:**\\n\\n**Document ID:** ${args.document_id}\\n**URL:** https://docs.google.com/document/d/${args.document_id}/edit\\n**Shared with:** ${args.email}\\n**Permission Level:** ${args.role}\\n**Permission ID:** ${response.data.id}`
+              text: `**Google Docs Sharing Updated:**\n\n**Document ID:** ${args.document_id}\n**URL:** https://docs.google.com/document/d/${args.document_id}/edit\n**Shared with:** ${args.email}\n**Permission Level:** ${args.role}\n**Permission ID:** ${response.data.id}`
             }
-          ]
+          ],
+          structuredContent: {
+            documentId: args.document_id,
+            url: `https://docs.google.com/document/d/${args.document_id}/edit`,
+            email: args.email,
+            role: args.role,
+            permissionId: response.data.id
+          }
         };
       } catch (error) {
-        throw new Error(`Google Docs sharing failed: ${error.message}`);
+        throw new Error(`Google Docs sharing failed: ${error.message}`, { cause: error });
       }
     }
   };
 
+  const resourcesDefinitions = [
+    {
+      name: 'google-doc',
+      uriTemplate: 'gdocs://documents/{document_id}',
+      title: 'Google Docs Document',
+      description: 'Plain text content of a Google Docs document',
+      mimeType: 'text/plain',
+      list: async (apiKey, userId) => {
+        if (!google) {
+          throw new Error('Google APIs not available. Please install googleapis package: npm install googleapis');
+        }
+
+        if (!apiKey) {
+          throw new Error('Google Docs API key or service account credentials are required');
+        }
+
+        const auth = createGoogleAuth(apiKey, ['https://www.googleapis.com/auth/drive.metadata.readonly']);
+
+        const drive = google.drive({ version: 'v3', auth, adapter: dryRunAdapter });
+        const response = await drive.files.list({
+          q: "mimeType='application/vnd.google-apps.document' and trashed=false",
+          fields: 'files(id, name)',
+          orderBy: 'modifiedTime desc',
+          pageSize: 100
+        });
+
+        return (response.data.files || []).map(file => ({
+          uri: `gdocs://documents/${file.id}`,
+          name: file.name,
+          mimeType: 'text/plain'
+        }));
+      },
+      read: async (uri, { document_id }, apiKey, userId) => {
+        if (!google) {
+          throw new Error('Google APIs not available. Please install googleapis package: npm install googleapis');
+        }
+
+        if (!apiKey) {
+          throw new Error('Google Docs API key or service account credentials are required');
+        }
+
+        const auth = createGoogleAuth(apiKey, ['https://www.googleapis.com/auth/documents.readonly']);
+
+        const docs = google.docs({ version: 'v1', auth, adapter: dryRunAdapter });
+        const response = await docs.documents.get({ documentId: document_id, auth });
+
+        return {
+          contents: [{
+            uri,
+            mimeType: 'text/plain',
+            text: extractDocumentText(response.data)
+          }]
+        };
+      }
+    }
+  ];
+
   return {
     toolsDefinitions,
-    toolHandlers
+    toolHandlers,
+    resourcesDefinitions,
+    supportsDryRun: true
   };
 }
\ No newline at end of file
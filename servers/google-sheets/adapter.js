@@ -1,5 +1,6 @@
 // Google Sheets MCP Server Adapter for 2025 Protocol
 import { z } from 'zod';
+import { dryRunAdapter } from '../../utils/dry-run.js';
 
 let google;
 try {
@@ -9,6 +10,17 @@ try {
   console.warn('googleapis package not available. Google Sheets functionality will be limited.');
 }
 
+// Users connect with OAuth, so the key is normally an access token; a path to a
+// service account key file (*.json) is still accepted for server-to-server use
+function createGoogleAuth(apiKey, scopes) {
+  if (apiKey.endsWith('.json')) {
+    return new google.auth.GoogleAuth({ keyFile: apiKey, scopes });
+  }
+  const auth = new google.auth.OAuth2();
+  auth.setCredentials({ access_token: apiKey });
+  return auth;
+}
+
 /**
  * Google Sheets MCP Server adapter for multi-MCP system
  */
@@ -19,45 +31,90 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'GOOGLE_SHEE
       name: 'google-sheets-create',
       title: 'Google Sheets Create Spreadsheet',
       description: 'Create a new Google Sheets spreadsheet',
+      annotations: { readOnlyHint: false, destructiveHint: false, idempotentHint: false, openWorldHint: true },
       inputSchema: {
         title: z.string().describe('Title of the new spreadsheet'),
         locale: z.string().optional().describe('Locale for the spreadsheet (default: en_US)')
+      },
+      outputSchema: {
+        spreadsheetId: z.string(),
+        title: z.string(),
+        url: z.string(),
+        locale: z.string().nullable(),
+        sheets: z.array(z.object({
+          sheetId: z.number(),
+          title: z.string(),
+          sheetType: z.string().nullable(),
+          rowCount: z.number().nullable(),
+          columnCount: z.number().nullable()
+        }))
       }
     },
     {
       name: 'google-sheets-get',
       title: 'Google Sheets Get Spreadsheet',
       description: 'Get information about a Google Sheets spreadsheet',
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         spreadsheet_id: z.string().describe('ID of the spreadsheet to retrieve'),
         include_grid_data: z.boolean().optional().describe('Include cell data (default: false)')
+      },
+      outputSchema: {
+        spreadsheetId: z.string(),
+        title: z.string(),
+        url: z.string(),
+        locale: z.string().nullable(),
+        sheets: z.array(z.object({
+          sheetId: z.number(),
+          title: z.string(),
+          sheetType: z.string().nullable(),
+          rowCount: z.number().nullable(),
+          columnCount: z.number().nullable()
+        })),
+        namedRanges: z.array(z.string())
       }
     },
     {
       name: 'google-sheets-update-values',
       title: 'Google Sheets Update Values',
       description: 'Update values in a Google Sheets spreadsheet',
+      annotations: { readOnlyHint: false, destructiveHint: true, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         spreadsheet_id: z.string().describe('ID of the spreadsheet'),
         range: z.string().describe('A1 notation range (e.g., Sheet1!A1:D5)'),
         values: z.array(z.array(z.string())).describe('2D array of values to insert'),
         value_input_option: z.enum(['RAW', 'USER_ENTERED']).optional().describe('How values should be interpreted')
+      },
+      outputSchema: {
+        spreadsheetId: z.string(),
+        updatedRange: z.string(),
+        updatedRows: z.number(),
+        updatedColumns: z.number(),
+        updatedCells: z.number()
       }
     },
     {
       name: 'google-sheets-get-values',
       title: 'Google Sheets Get Values',
       description: 'Get values from a Google Sheets spreadsheet range',
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         spreadsheet_id: z.string().describe('ID of the spreadsheet'),
         range: z.string().describe('A1 notation range (e.g., Sheet1!A1:D5)'),
         value_render_option: z.enum(['FORMATTED_VALUE', 'UNFORMATTED_VALUE', 'FORMULA']).optional().describe('How values should be rendered')
+      },
+      outputSchema: {
+        spreadsheetId: z.string(),
+        range: z.string(),
+        majorDimension: z.string().nullable(),
+        values: z.array(z.array(z.any()))
       }
     },
     {
       name: 'google-sheets-batch-update',
       title: 'Google Sheets Batch Update',
       description: 'Perform multiple updates to a spreadsheet in a single request',
+      annotations: { readOnlyHint: false, destructiveHint: true, idempotentHint: false, openWorldHint: true },
       inputSchema: {
         spreadsheet_id: z.string().describe('ID of the spreadsheet'),
         requests: z.array(z.object({
@@ -74,21 +131,43 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'GOOGLE_SHEE
             values: z.array(z.array(z.string())).describe('Values to update')
           }).optional()
         })).describe('Array of update requests')
+      },
+      outputSchema: {
+        spreadsheetId: z.string(),
+        requestsProcessed: z.number(),
+        replies: z.array(z.record(z.any()))
       }
     },
     {
       name: 'google-sheets-share',
       title: 'Google Sheets Share Spreadsheet',
       description: 'Share a Google Sheets spreadsheet with users',
+      annotations: { readOnlyHint: false, destructiveHint: false, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         spreadsheet_id: z.string().describe('ID of the spreadsheet'),
         email: z.string().describe('Email address to share with'),
         role: z.enum(['reader', 'writer', 'owner']).describe('Permission level'),
         send_notification: z.boolean().optional().describe('Send notification email (default: true)')
+      },
+      outputSchema: {
+        spreadsheetId: z.string(),
+        url: z.string(),
+        email: z.string(),
+        role: z.string(),
+        permissionId: z.string(),
+        notificationSent: z.boolean()
       }
     }
   ];
 
+  const toSheetSummaries = (sheets = []) => sheets.map(({ properties }) => ({
+    sheetId: properties.sheetId,
+    title: properties.title,
+    sheetType: properties.sheetType ?? null,
+    rowCount: properties.gridProperties?.rowCount ?? null,
+    columnCount: properties.gridProperties?.columnCount ?? null
+  }));
+
   const toolHandlers = {
     'google-sheets-create': async (args, apiKey, userId) => {
       if (!google) {
@@ -101,12 +180,9 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'GOOGLE_SHEE
 
       try {
         // Initialize Google Sheets API
-        const auth = new google.auth.GoogleAuth({
-          keyFile: apiKey, // Assuming apiKey is path to service account JSON
-          scopes: ['https://www.googleapis.com/auth/spreadsheets']
-        });
+        const auth = createGoogleAuth(apiKey, ['https://www.googleapis.com/auth/spreadsheets']);
 
-        const sheets = google.sheets({ version: 'v4', auth });
+        const sheets = google.sheets({ version: 'v4', auth, adapter: dryRunAdapter });
 
         const resource = {
           properties: {
@@ -124,12 +200,19 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'GOOGLE_SHEE
           content: [
             {
               type: "text",
-              text: `**Google Sheets Spreadsheet Created:**\\n\\n**Title:** ${response.data.properties.title}\\n**Spreadsheet ID:** ${response.data.spreadsheetId}\\n**URL:** https://docs.google.com/spreadsheets/d/${response.data.spreadsheetId}/edit\\n**Locale:** ${response.data.properties.locale}\\n**Created:** ${response.data.properties.createdTime || 'N/A'}\\n\\n**Sheets:**\\n${response.data.sheets?.map(sheet => `- ${sheet.properties.title} (ID: ${sheet.properties.sheetId})`).join('\\n') || 'No sheets'}`
+              text: `**Google Sheets Spreadsheet Created:**\n\n**Title:** ${response.data.properties.title}\n**Spreadsheet ID:** ${response.data.spreadsheetId}\n**URL:** https://docs.google.com/spreadsheets/d/${response.data.spreadsheetId}/edit\n**Locale:** ${response.data.properties.locale}\n**Created:** ${response.data.properties.createdTime || 'N/A'}\n\n**Sheets:**\n${response.data.sheets?.map(sheet => `- ${sheet.properties.title} (ID: ${sheet.properties.sheetId})`).join('\n') || 'No sheets'}`
             }
-          ]
+          ],
+          structuredContent: {
+            spreadsheetId: response.data.spreadsheetId,
+            title: response.data.properties.title,
+            url: `https://docs.google.com/spreadsheets/d/${response.data.spreadsheetId}/edit`,
+            locale: response.data.properties.locale ?? null,
+            sheets: toSheetSummaries(response.data.sheets)
+          }
         };
       } catch (error) {
-        throw new Error(`Google Sheets create failed: ${error.message}`);
+        throw new Error(`Google Sheets create failed: ${error.message}`, { cause: error });
       }
     },
 
@@ -143,12 +226,9 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'GOOGLE_SHEE
       }
 
       try {
-        const auth = new google.auth.GoogleAuth({
-          keyFile: apiKey,
-          scopes: ['https://www.googleapis.com/auth/spreadsheets.readonly']
-        });
+        const auth = createGoogleAuth(apiKey, ['https://www.googleapis.com/auth/spreadsheets.readonly']);
 
-        const sheets = google.sheets({ version: 'v4', auth });
+        const sheets = google.sheets({ version: 'v4', auth, adapter: dryRunAdapter });
 
         const response = await sheets.spreadsheets.get({
           spreadsheetId: args.spreadsheet_id,
@@ -162,15 +242,23 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'GOOGLE_SHEE
           content: [
             {
               type: "text",
-              text: `**Google Sheets Spreadsheet Information:**\\n\\n**Title:** ${data.properties.title}\\n**Spreadsheet ID:** ${data.spreadsheetId}\\n**URL:** https://docs.google.com/spreadsheets/d/${data.spreadsheetId}/edit\\n**Locale:** ${data.properties.locale}\\n**Auto Recalc:** ${data.properties.autoRecalc}\\n\\n**Sheets (${data.sheets?.length || 0}):**\\n${data.sheets?.map(sheet => {
+              text: `**Google Sheets Spreadsheet Information:**\n\n**Title:** ${data.properties.title}\n**Spreadsheet ID:** ${data.spreadsheetId}\n**URL:** https://docs.google.com/spreadsheets/d/${data.spreadsheetId}/edit\n**Locale:** ${data.properties.locale}\n**Auto Recalc:** ${data.properties.autoRecalc}\n\n**Sheets (${data.sheets?.length || 0}):**\n${data.sheets?.map(sheet => {
                 const props = sheet.properties;
-                return `- **${props.title}** (ID: ${props.sheetId})\\n  Type: ${props.sheetType}\\n  Rows: ${props.gridProperties?.rowCount || 'N/A'}\\n  Columns: ${props.gridProperties?.columnCount || 'N/A'}`;
-              }).join('\\n') || 'No sheets found'}\\n\\n**Named Ranges:** ${data.namedRanges?.map(range => range.name).join(', ') || 'None'}`
+                return `- **${props.title}** (ID: ${props.sheetId})\n  Type: ${props.sheetType}\n  Rows: ${props.gridProperties?.rowCount || 'N/A'}\n  Columns: ${props.gridProperties?.columnCount || 'N/A'}`;
+              }).join('\n') || 'No sheets found'}\n\n**Named Ranges:** ${data.namedRanges?.map(range => range.name).join(', ') || 'None'}`
             }
-          ]
+          ],
+          structuredContent: {
+            spreadsheetId: data.spreadsheetId,
+            title: data.properties.title,
+            url: `https://docs.google.com/spreadsheets/d/${data.spreadsheetId}/edit`,
+            locale: data.properties.locale ?? null,
+            sheets: toSheetSummaries(data.sheets),
+            namedRanges: data.namedRanges?.map(range => range.name) || []
+          }
         };
       } catch (error) {
-        throw new Error(`Google Sheets get failed: ${error.message}`);
+        throw new Error(`Google Sheets get failed: ${error.message}`, { cause: error });
       }
     },
 
@@ -184,12 +272,9 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'GOOGLE_SHEE
       }
 
       try {
-        const auth = new google.auth.GoogleAuth({
-          keyFile: apiKey,
-          scopes: ['https://www.googleapis.com/auth/spreadsheets']
-        });
+        const auth = createGoogleAuth(apiKey, ['https://www.googleapis.com/auth/spreadsheets']);
 
-        const sheets = google.sheets({ version: 'v4', auth });
+        const sheets = google.sheets({ version: 'v4', auth, adapter: dryRunAdapter });
 
         const response = await sheets.spreadsheets.values.update({
           spreadsheetId: args.spreadsheet_id,
@@ -205,12 +290,19 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'GOOGLE_SHEE
           content: [
             {
               type: "text",
-              text: `**Google Sheets Values Updated:**\\n\\n**Spreadsheet ID:** ${args.spreadsheet_id}\\n**Range:** ${args.range}\\n**Updated Rows:** ${response.data.updatedRows}\\n**Updated Columns:** ${response.data.updatedColumns}\\n**Updated Cells:** ${response.data.updatedCells}\\n**Updated Range:** ${response.data.updatedRange}\\n\\n**Values Updated:**\\n${args.values.map((row, i) => `Row ${i + 1}: ${row.join(', ')}`).join('\\n')}`
+              text: `**Google Sheets Values Updated:**\n\n**Spreadsheet ID:** ${args.spreadsheet_id}\n**Range:** ${args.range}\n**Updated Rows:** ${response.data.updatedRows}\n**Updated Columns:** ${response.data.updatedColumns}\n**Updated Cells:** ${response.data.updatedCells}\n**Updated Range:** ${response.data.updatedRange}\n\n**Values Updated:**\n${args.values.map((row, i) => `Row ${i + 1}: ${row.join(', ')}`).join('\n')}`
             }
-          ]
+          ],
+          structuredContent: {
+            spreadsheetId: args.spreadsheet_id,
+            updatedRange: response.data.updatedRange,
+            updatedRows: response.data.updatedRows ?? 0,
+            updatedColumns: response.data.updatedColumns ?? 0,
+            updatedCells: response.data.updatedCells ?? 0
+          }
         };
       } catch (error) {
-        throw new Error(`Google Sheets update values failed: ${error.message}`);
+        throw new Error(`Google Sheets update values failed: ${error.message}`, { cause: error });
       }
     },
 
@@ -224,12 +316,9 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'GOOGLE_SHEE
       }
 
       try {
-        const auth = new google.auth.GoogleAuth({
-          keyFile: apiKey,
-          scopes: ['https://www.googleapis.com/auth/spreadsheets.readonly']
-        });
+        const auth = createGoogleAuth(apiKey, ['https://www.googleapis.com/auth/spreadsheets.readonly']);
 
-        const sheets = google.sheets({ version: 'v4', auth });
+        const sheets = google.sheets({ version: 'v4', auth, adapter: dryRunAdapter });
 
         const response = await sheets.spreadsheets.values.get({
           spreadsheetId: args.spreadsheet_id,
@@ -244,12 +333,18 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'GOOGLE_SHEE
           content: [
             {
               type: "text",
-              text: `**Google Sheets Values Retrieved:**\\n\\n**Spreadsheet ID:** ${args.spreadsheet_id}\\n**Range:** ${args.range}\\n**Total Rows:** ${values.length}\\n**Major Dimension:** ${response.data.majorDimension}\\n\\n**Values:**\\n${values.map((row, i) => `Row ${i + 1}: ${Array.isArray(row) ? row.join(' | ') : row}`).join('\\n') || 'No data found'}`
+              text: `**Google Sheets Values Retrieved:**\n\n**Spreadsheet ID:** ${args.spreadsheet_id}\n**Range:** ${args.range}\n**Total Rows:** ${values.length}\n**Major Dimension:** ${response.data.majorDimension}\n\n**Values:**\n${values.map((row, i) => `Row ${i + 1}: ${Array.isArray(row) ? row.join(' | ') : row}`).join('\n') || 'No data found'}`
             }
-          ]
+          ],
+          structuredContent: {
+            spreadsheetId: args.spreadsheet_id,
+            range: response.data.range || args.range,
+            majorDimension: response.data.majorDimension ?? null,
+            values
+          }
         };
       } catch (error) {
-        throw new Error(`Google Sheets get values failed: ${error.message}`);
+        throw new Error(`Google Sheets get values failed: ${error.message}`, { cause: error });
       }
     },
 
@@ -263,12 +358,9 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'GOOGLE_SHEE
       }
 
       try {
-        const auth = new google.auth.GoogleAuth({
-          keyFile: apiKey,
-          scopes: ['https://www.googleapis.com/auth/spreadsheets']
-        });
+        const auth = createGoogleAuth(apiKey, ['https://www.googleapis.com/auth/spreadsheets']);
 
-        const sheets = google.sheets({ version: 'v4', auth });
+        const sheets = google.sheets({ version: 'v4', auth, adapter: dryRunAdapter });
 
         // Convert simplified requests to Google Sheets API format
         const requests = args.requests.map(req => {
@@ -301,12 +393,17 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'GOOGLE_SHEE
           content: [
             {
               type: "text",
-              text: `**Google Sheets Batch Update Completed:**\\n\\n**Spreadsheet ID:** ${args.spreadsheet_id}\\n**Requests Processed:** ${requests.length}\\n**Updated Spreadsheet URL:** https://docs.google.com/spreadsheets/d/${args.spreadsheet_id}/edit\\n\\n**Replies:** ${response.data.replies?.map((reply, i) => `Request ${i + 1}: ${Object.keys(reply).join(', ')}`).join('\\n') || 'No specific replies'}`
+              text: `**Google Sheets Batch Update Completed:**\n\n**Spreadsheet ID:** ${args.spreadsheet_id}\n**Requests Processed:** ${requests.length}\n**Updated Spreadsheet URL:** https://docs.google.com/spreadsheets/d/${args.spreadsheet_id}/edit\n\n**Replies:** ${response.data.replies?.map((reply, i) => `Request ${i + 1}: ${Object.keys(reply).join(', ')}`).join('\n') || 'No specific replies'}`
             }
-          ]
+          ],
+          structuredContent: {
+            spreadsheetId: args.spreadsheet_id,
+            requestsProcessed: requests.length,
+            replies: response.data.replies || []
+          }
         };
       } catch (error) {
-        throw new Error(`Google Sheets batch update failed: ${error.message}`);
+        throw new Error(`Google Sheets batch update failed: ${error.message}`, { cause: error });
       }
     },
 
@@ -320,12 +417,9 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'GOOGLE_SHEE
       }
 
       try {
-        const auth = new google.auth.GoogleAuth({
-          keyFile: apiKey,
-          scopes: ['https://www.googleapis.com/auth/drive']
-        });
+        const auth = createGoogleAuth(apiKey, ['https://www.googleapis.com/auth/drive']);
 
-        const drive = google.drive({ version: 'v3', auth });
+        const drive = google.drive({ version: 'v3', auth, adapter: dryRunAdapter });
 
         const permission = {
           type: 'user',
@@ -344,18 +438,27 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'GOOGLE_SHEE
           content: [
             {
               type: "text",
-              text: `**Google Sheets Sharing Updated:**\\n\\n**Spreadsheet ID:** ${args.spreadsheet_id}\\n**Shared with:** ${args.email}\\n**Permission Level:** ${args.role}\\n**Permission ID:** ${response.data.id}\\n**Notification Sent:** ${args.send_notification !== false ? 'Yes' : 'No'}\\n\\n**Spreadsheet URL:** https://docs.google.com/spreadsheets/d/${args.spreadsheet_id}/edit`
+              text: `**Google Sheets Sharing Updated:**\n\n**Spreadsheet ID:** ${args.spreadsheet_id}\n**Shared with:** ${args.email}\n**Permission Level:** ${args.role}\n**Permission ID:** ${response.data.id}\n**Notification Sent:** ${args.send_notification !== false ? 'Yes' : 'No'}\n\n**Spreadsheet URL:** https://docs.google.com/spreadsheets/d/${args.spreadsheet_id}/edit`
             }
-          ]
+          ],
+          structuredContent: {
+            spreadsheetId: args.spreadsheet_id,
+            url: `https://docs.google.com/spreadsheets/d/${args.spreadsheet_id}/edit`,
+            email: args.email,
+            role: args.role,
+            permissionId: response.data.id,
+            notificationSent: args.send_notification !== false
+          }
         };
       } catch (error) {
-        throw new Error(`Google Sheets sharing failed: ${error.message}`);
+        throw new Error(`Google Sheets sharing failed: ${error.message}`, { cause: error });
       }
     }
   };
 
   return {
     toolsDefinitions,
-    toolHandlers
+    toolHandlers,
+    supportsDryRun: true
   };
 }
\ No newline at end of file
@@ -1,29 +1,39 @@
 // Hatch MCP Server Adapter for 2025 Protocol
 import { z } from 'zod';
-import axios from 'axios';
+import { createHttpClient } from '../../utils/http-client.js';
 
 /**
  * Hatch MCP Server adapter for multi-MCP system
  */
 export async function createServerAdapter(serverPath, apiKeyParam = 'HATCH_API_KEY') {
+  const hatchApi = createHttpClient({ provider: 'hatch', baseURL: 'https://api.hatchhq.ai/v1' });
   
   const toolsDefinitions = [
     {
       name: 'find-email',
       title: 'Find Email',
       description: 'Find email address using firstName, lastName and domain',
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         firstName: z.string().describe('First name of the person'),
         lastName: z.string().describe('Last name of the person'),
         domain: z.string().describe('Company domain')
+      },
+      outputSchema: {
+        email: z.string().nullable().describe('Email address found, or null when none was found')
       }
     },
     {
       name: 'verify-email',
       title: 'Verify Email',
       description: 'Verify email address validity',
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         email: z.string().describe('Email address to verify')
+      },
+      outputSchema: {
+        email: z.string(),
+        status: z.string().nullable().describe('Verification status reported by Hatch')
       }
     }
   ];
@@ -35,24 +45,18 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'HATCH_API_K
       }
 
       try {
-        const response = await fetch('https://api.hatchhq.ai/v1/findEmail', {
-          method: 'POST',
+        const response = await hatchApi.post('/findEmail', {
+          firstName: args.firstName,
+          lastName: args.lastName,
+          domain: args.domain
+        }, {
           headers: {
             'x-api-key': apiKey,
             'Content-Type': 'application/json'
-          },
-          body: JSON.stringify({
-            firstName: args.firstName,
-            lastName: args.lastName,
-            domain: args.domain
-          })
+          }
         });
 
-        const data = await response.json();
-
-        if (!response.ok) {
-          throw new Error(data.message || 'API request failed');
-        }
+        const data = response.data;
 
         return {
           content: [
@@ -60,10 +64,11 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'HATCH_API_K
               type: "text",
               text: `**Email Found:**\n\nEmail: ${data.email || 'N/A'}`
             }
-          ]
+          ],
+          structuredContent: { email: data.email ?? null }
         };
       } catch (error) {
-        throw new Error(`Find email failed: ${error.message}`);
+        throw new Error(`Find email failed: ${error.message}`, { cause: error });
       }
     },
 
@@ -73,22 +78,16 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'HATCH_API_K
       }
 
       try {
-        const response = await fetch('https://api.hatchhq.ai/v1/verifyEmail', {
-          method: 'POST',
+        const response = await hatchApi.post('/verifyEmail', {
+          email: args.email
+        }, {
           headers: {
             'x-api-key': apiKey,
             'Content-Type': 'application/json'
-          },
-          body: JSON.stringify({
-            email: args.email
-          })
+          }
         });
 
-        const data = await response.json();
-
-        if (!response.ok) {
-          throw new Error(data.message || 'API request failed');
-        }
+        const data = response.data;
 
         return {
           content: [
@@ -96,10 +95,11 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'HATCH_API_K
               type: "text",
               text: `**Email Verification Result:**\n\nEmail: ${args.email}\nStatus: ${data.emailVerificationStatus || 'N/A'}`
             }
-          ]
+          ],
+          structuredContent: { email: args.email, status: data.emailVerificationStatus ?? null }
         };
       } catch (error) {
-        throw new Error(`Verify email failed: ${error.message}`);
+        throw new Error(`Verify email failed: ${error.message}`, { cause: error });
       }
     }
   };
@@ -1,17 +1,36 @@
 // HubSpot MCP Server Adapter for 2025 Protocol
 import { z } from 'zod';
-import axios from 'axios';
+import { createHttpClient } from '../../utils/http-client.js';
+
+// CRM objects keep HubSpot's shape: properties are returned as strings keyed by property name
+const crmObjectSchema = z.object({
+  id: z.string(),
+  properties: z.record(z.string().nullable()),
+  createdAt: z.string().nullable(),
+  updatedAt: z.string().nullable()
+});
+
+function toCrmObject(object) {
+  return {
+    id: object.id,
+    properties: object.properties || {},
+    createdAt: object.createdAt ?? null,
+    updatedAt: object.updatedAt ?? null
+  };
+}
 
 /**
  * HubSpot MCP Server adapter for multi-MCP system
  */
 export async function createServerAdapter(serverPath, apiKeyParam = 'HUBSPOT_ACCESS_TOKEN') {
+  const hubspotApi = createHttpClient({ provider: 'hubspot', baseURL: 'https://api.hubapi.com' });
   
   const toolsDefinitions = [
     {
       name: 'hubspot-create-contact',
       title: 'HubSpot Create Contact',
       description: 'Create a new contact in HubSpot CRM',
+      annotations: { readOnlyHint: false, destructiveHint: false, idempotentHint: false, openWorldHint: true },
       inputSchema: {
         email: z.string().describe('Contact email address'),
         firstname: z.string().optional().describe('Contact first name'),
@@ -21,12 +40,16 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'HUBSPOT_ACC
         website: z.string().optional().describe('Contact website URL'),
         jobtitle: z.string().optional().describe('Contact job title'),
         lifecyclestage: z.string().optional().describe('Contact lifecycle stage')
+      },
+      outputSchema: {
+        contact: crmObjectSchema
       }
     },
     {
       name: 'hubspot-create-company',
       title: 'HubSpot Create Company',
       description: 'Create a new company in HubSpot CRM',
+      annotations: { readOnlyHint: false, destructiveHint: false, idempotentHint: false, openWorldHint: true },
       inputSchema: {
         name: z.string().describe('Company name'),
         domain: z.string().optional().describe('Company domain'),
@@ -36,12 +59,16 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'HUBSPOT_ACC
         industry: z.string().optional().describe('Company industry'),
         phone: z.string().optional().describe('Company phone number'),
         description: z.string().optional().describe('Company description')
+      },
+      outputSchema: {
+        company: crmObjectSchema
       }
     },
     {
       name: 'hubspot-update-contact',
       title: 'HubSpot Update Contact',
       description: 'Update an existing contact in HubSpot CRM',
+      annotations: { readOnlyHint: false, destructiveHint: true, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         contactId: z.string().describe('Contact ID to update'),
         email: z.string().optional().describe('Contact email address'),
@@ -52,12 +79,16 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'HUBSPOT_ACC
         website: z.string().optional().describe('Contact website URL'),
         jobtitle: z.string().optional().describe('Contact job title'),
         lifecyclestage: z.string().optional().describe('Contact lifecycle stage')
+      },
+      outputSchema: {
+        contact: crmObjectSchema
       }
     },
     {
       name: 'hubspot-update-company',
       title: 'HubSpot Update Company',
       description: 'Update an existing company in HubSpot CRM',
+      annotations: { readOnlyHint: false, destructiveHint: true, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         companyId: z.string().describe('Company ID to update'),
         name: z.string().optional().describe('Company name'),
@@ -68,44 +99,78 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'HUBSPOT_ACC
         industry: z.string().optional().describe('Company industry'),
         phone: z.string().optional().describe('Company phone number'),
         description: z.string().optional().describe('Company description')
+      },
+      outputSchema: {
+        company: crmObjectSchema
       }
     },
     {
       name: 'hubspot-get-active-contacts',
       title: 'HubSpot Get Active Contacts',
       description: 'Get a list of active contacts from HubSpot CRM',
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         limit: z.number().optional().describe('Maximum number of contacts to retrieve (default: 100)'),
         offset: z.string().optional().describe('Pagination offset'),
         properties: z.array(z.string()).optional().describe('Contact properties to retrieve')
+      },
+      outputSchema: {
+        contacts: z.array(crmObjectSchema),
+        total: z.number(),
+        next_after: z.string().nullable().describe('Cursor to pass as offset for the next page')
       }
     },
     {
       name: 'hubspot-get-active-companies',
       title: 'HubSpot Get Active Companies',
       description: 'Get a list of active companies from HubSpot CRM',
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         limit: z.number().optional().describe('Maximum number of companies to retrieve (default: 100)'),
         offset: z.string().optional().describe('Pagination offset'),
         properties: z.array(z.string()).optional().describe('Company properties to retrieve')
+      },
+      outputSchema: {
+        companies: z.array(crmObjectSchema),
+        total: z.number(),
+        next_after: z.string().nullable().describe('Cursor to pass as offset for the next page')
       }
     },
     {
       name: 'hubspot-get-company-activity',
       title: 'HubSpot Get Company Activity',
       description: 'Get recent activity for a specific company',
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         companyId: z.string().describe('Company ID to get activity for'),
         limit: z.number().optional().describe('Maximum number of activities to retrieve (default: 50)')
+      },
+      outputSchema: {
+        companyId: z.string(),
+        activities: z.array(z.object({
+          id: z.string(),
+          type: z.string().nullable(),
+          createdAt: z.string().nullable()
+        }))
       }
     },
     {
       name: 'hubspot-get-recent-engagements',
       title: 'HubSpot Get Recent Engagements',
       description: 'Get recent engagements (calls, emails, meetings, etc.)',
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         limit: z.number().optional().describe('Maximum number of engagements to retrieve (default: 100)'),
         engagementType: z.string().optional().describe('Type of engagement (CALL, EMAIL, MEETING, TASK, NOTE)')
+      },
+      outputSchema: {
+        engagements: z.array(z.object({
+          id: z.number(),
+          type: z.string().nullable(),
+          createdAt: z.number().nullable(),
+          ownerId: z.number().nullable()
+        })),
+        total: z.number()
       }
     }
   ];
@@ -124,8 +189,8 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'HUBSPOT_ACC
           }
         });
 
-        const response = await axios.post(
-          'https://api.hubapi.com/crm/v3/objects/contacts',
+        const response = await hubspotApi.post(
+          '/crm/v3/objects/contacts',
           { properties },
           {
             headers: {
@@ -139,12 +204,13 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'HUBSPOT_ACC
           content: [
             {
               type: "text",
-              text: `Created HubSpot contact successfully:\\n\\nContact ID: ${response.data.id}\\nEmail: ${response.data.properties.email || 'N/A'}\\nName: ${response.data.properties.firstname || ''} ${response.data.properties.lastname || ''}\\nCreated: ${response.data.createdAt}`
+              text: `Created HubSpot contact successfully:\n\nContact ID: ${response.data.id}\nEmail: ${response.data.properties.email || 'N/A'}\nName: ${response.data.properties.firstname || ''} ${response.data.properties.lastname || ''}\nCreated: ${response.data.createdAt}`
             }
-          ]
+          ],
+          structuredContent: { contact: toCrmObject(response.data) }
         };
       } catch (error) {
-        throw new Error(`HubSpot create contact failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`HubSpot create contact failed: ${error.message}`, { cause: error });
       }
     },
 
@@ -161,8 +227,8 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'HUBSPOT_ACC
           }
         });
 
-        const response = await axios.post(
-          'https://api.hubapi.com/crm/v3/objects/companies',
+        const response = await hubspotApi.post(
+          '/crm/v3/objects/companies',
           { properties },
           {
             headers: {
@@ -176,12 +242,13 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'HUBSPOT_ACC
           content: [
             {
               type: "text",
-              text: `Created HubSpot company successfully:\\n\\nCompany ID: ${response.data.id}\\nName: ${response.data.properties.name || 'N/A'}\\nDomain: ${response.data.properties.domain || 'N/A'}\\nCreated: ${response.data.createdAt}`
+              text: `Created HubSpot company successfully:\n\nCompany ID: ${response.data.id}\nName: ${response.data.properties.name || 'N/A'}\nDomain: ${response.data.properties.domain || 'N/A'}\nCreated: ${response.data.createdAt}`
             }
-          ]
+          ],
+          structuredContent: { company: toCrmObject(response.data) }
         };
       } catch (error) {
-        throw new Error(`HubSpot create company failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`HubSpot create company failed: ${error.message}`, { cause: error });
       }
     },
 
@@ -199,8 +266,8 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'HUBSPOT_ACC
           }
         });
 
-        const response = await axios.patch(
-          `https://api.hubapi.com/crm/v3/objects/contacts/${contactId}`,
+        const response = await hubspotApi.patch(
+          `/crm/v3/objects/contacts/${contactId}`,
           { properties },
           {
             headers: {
@@ -214,12 +281,13 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'HUBSPOT_ACC
           content: [
             {
               type: "text",
-              text: `Updated HubSpot contact successfully:\\n\\nContact ID: ${response.data.id}\\nEmail: ${response.data.properties.email || 'N/A'}\\nName: ${response.data.properties.firstname || ''} ${response.data.properties.lastname || ''}\\nUpdated: ${response.data.updatedAt}`
+              text: `Updated HubSpot contact successfully:\n\nContact ID: ${response.data.id}\nEmail: ${response.data.properties.email || 'N/A'}\nName: ${response.data.properties.firstname || ''} ${response.data.properties.lastname || ''}\nUpdated: ${response.data.updatedAt}`
             }
-          ]
+          ],
+          structuredContent: { contact: toCrmObject(response.data) }
         };
       } catch (error) {
-        throw new Error(`HubSpot update contact failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`HubSpot update contact failed: ${error.message}`, { cause: error });
       }
     },
 
@@ -237,8 +305,8 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'HUBSPOT_ACC
           }
         });
 
-        const response = await axios.patch(
-          `https://api.hubapi.com/crm/v3/objects/companies/${companyId}`,
+        const response = await hubspotApi.patch(
+          `/crm/v3/objects/companies/${companyId}`,
           { properties },
           {
             headers: {
@@ -252,12 +320,13 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'HUBSPOT_ACC
           content: [
             {
               type: "text",
-              text: `Updated HubSpot company successfully:\\n\\nCompany ID: ${response.data.id}\\nName: ${response.data.properties.name || 'N/A'}\\nDomain: ${response.data.properties.domain || 'N/A'}\\nUpdated: ${response.data.updatedAt}`
+              text: `Updated HubSpot company successfully:\n\nCompany ID: ${response.data.id}\nName: ${response.data.properties.name || 'N/A'}\nDomain: ${response.data.properties.domain || 'N/A'}\nUpdated: ${response.data.updatedAt}`
             }
-          ]
+          ],
+          structuredContent: { company: toCrmObject(response.data) }
         };
       } catch (error) {
-        throw new Error(`HubSpot update company failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`HubSpot update company failed: ${error.message}`, { cause: error });
       }
     },
 
@@ -270,8 +339,8 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'HUBSPOT_ACC
         const limit = args.limit || 100;
         const properties = args.properties || ['email', 'firstname', 'lastname', 'phone', 'company', 'jobtitle'];
         
-        const response = await axios.get(
-          'https://api.hubapi.com/crm/v3/objects/contacts',
+        const response = await hubspotApi.get(
+          '/crm/v3/objects/contacts',
           {
             params: {
               limit,
@@ -287,19 +356,24 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'HUBSPOT_ACC
 
         const contacts = response.data.results.map((contact, index) => {
           const props = contact.properties;
-          return `${index + 1}. **${props.firstname || ''} ${props.lastname || 'Unknown'}**\\n   Email: ${props.email || 'N/A'}\\n   Company: ${props.company || 'N/A'}\\n   Phone: ${props.phone || 'N/A'}\\n   Job Title: ${props.jobtitle || 'N/A'}\\n   ID: ${contact.id}\\n`;
+          return `${index + 1}. **${props.firstname || ''} ${props.lastname || 'Unknown'}**\n   Email: ${props.email || 'N/A'}\n   Company: ${props.company || 'N/A'}\n   Phone: ${props.phone || 'N/A'}\n   Job Title: ${props.jobtitle || 'N/A'}\n   ID: ${contact.id}\n`;
         });
 
         return {
           content: [
             {
               type: "text",
-              text: `Retrieved ${contacts.length} active contacts from HubSpot:\\n\\n${contacts.join('\\n')}\\n\\nTotal contacts: ${response.data.total || contacts.length}`
+              text: `Retrieved ${contacts.length} active contacts from HubSpot:\n\n${contacts.join('\n')}\n\nTotal contacts: ${response.data.total || contacts.length}`
             }
-          ]
+          ],
+          structuredContent: {
+            contacts: response.data.results.map(toCrmObject),
+            total: response.data.total || contacts.length,
+            next_after: response.data.paging?.next?.after ?? null
+          }
         };
       } catch (error) {
-        throw new Error(`HubSpot get contacts failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`HubSpot get contacts failed: ${error.message}`, { cause: error });
       }
     },
 
@@ -312,8 +386,8 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'HUBSPOT_ACC
         const limit = args.limit || 100;
         const properties = args.properties || ['name', 'domain', 'city', 'state', 'country', 'industry', 'phone'];
         
-        const response = await axios.get(
-          'https://api.hubapi.com/crm/v3/objects/companies',
+        const response = await hubspotApi.get(
+          '/crm/v3/objects/companies',
           {
             params: {
               limit,
@@ -329,19 +403,24 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'HUBSPOT_ACC
 
         const companies = response.data.results.map((company, index) => {
           const props = company.properties;
-          return `${index + 1}. **${props.name || 'Unknown Company'}**\\n   Domain: ${props.domain || 'N/A'}\\n   Industry: ${props.industry || 'N/A'}\\n   Location: ${props.city || 'N/A'}, ${props.state || ''} ${props.country || ''}\\n   Phone: ${props.phone || 'N/A'}\\n   ID: ${company.id}\\n`;
+          return `${index + 1}. **${props.name || 'Unknown Company'}**\n   Domain: ${props.domain || 'N/A'}\n   Industry: ${props.industry || 'N/A'}\n   Location: ${props.city || 'N/A'}, ${props.state || ''} ${props.country || ''}\n   Phone: ${props.phone || 'N/A'}\n   ID: ${company.id}\n`;
         });
 
         return {
           content: [
             {
               type: "text",
-              text: `Retrieved ${companies.length} active companies from HubSpot:\\n\\n${companies.join('\\n')}\\n\\nTotal companies: ${response.data.total || companies.length}`
+              text: `Retrieved ${companies.length} active companies from HubSpot:\n\n${companies.join('\n')}\n\nTotal companies: ${response.data.total || companies.length}`
             }
-          ]
+          ],
+          structuredContent: {
+            companies: response.data.results.map(toCrmObject),
+            total: response.data.total || companies.length,
+            next_after: response.data.paging?.next?.after ?? null
+          }
         };
       } catch (error) {
-        throw new Error(`HubSpot get companies failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`HubSpot get companies failed: ${error.message}`, { cause: error });
       }
     },
 
@@ -353,8 +432,8 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'HUBSPOT_ACC
       try {
         const limit = args.limit || 50;
         
-        const response = await axios.get(
-          `https://api.hubapi.com/crm/v3/objects/companies/${args.companyId}/associations/notes`,
+        const response = await hubspotApi.get(
+          `/crm/v3/objects/companies/${args.companyId}/associations/notes`,
           {
             params: { limit },
             headers: {
@@ -365,19 +444,27 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'HUBSPOT_ACC
         );
 
         const activities = response.data.results.map((activity, index) => {
-          return `${index + 1}. Activity ID: ${activity.id}\\n   Type: ${activity.type || 'N/A'}\\n   Created: ${activity.createdAt || 'N/A'}\\n`;
+          return `${index + 1}. Activity ID: ${activity.id}\n   Type: ${activity.type || 'N/A'}\n   Created: ${activity.createdAt || 'N/A'}\n`;
         });
 
         return {
           content: [
             {
               type: "text",
-              text: `Company activity for ID ${args.companyId}:\\n\\n${activities.join('\\n') || 'No activities found'}\\n\\nTotal activities: ${activities.length}`
+              text: `Company activity for ID ${args.companyId}:\n\n${activities.join('\n') || 'No activities found'}\n\nTotal activities: ${activities.length}`
             }
-          ]
+          ],
+          structuredContent: {
+            companyId: args.companyId,
+            activities: response.data.results.map(activity => ({
+              id: String(activity.id),
+              type: activity.type ?? null,
+              createdAt: activity.createdAt ?? null
+            }))
+          }
         };
       } catch (error) {
-        throw new Error(`HubSpot get company activity failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`HubSpot get company activity failed: ${error.message}`, { cause: error });
       }
     },
 
@@ -390,8 +477,8 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'HUBSPOT_ACC
         const limit = args.limit || 100;
         const engagementType = args.engagementType ? `&engagementType=${args.engagementType}` : '';
         
-        const response = await axios.get(
-          `https://api.hubapi.com/engagements/v1/engagements/paged?limit=${limit}${engagementType}`,
+        const response = await hubspotApi.get(
+          `/engagements/v1/engagements/paged?limit=${limit}${engagementType}`,
           {
             headers: {
               'Authorization': `Bearer ${apiKey}`,
@@ -402,25 +489,35 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'HUBSPOT_ACC
 
         const engagements = response.data.results.map((engagement, index) => {
           const eng = engagement.engagement;
-          return `${index + 1}. **${eng.type || 'Unknown'}**\\n   ID: ${eng.id}\\n   Created: ${eng.createdAt ? new Date(eng.createdAt).toLocaleString() : 'N/A'}\\n   Owner: ${eng.ownerId || 'N/A'}\\n`;
+          return `${index + 1}. **${eng.type || 'Unknown'}**\n   ID: ${eng.id}\n   Created: ${eng.createdAt ? new Date(eng.createdAt).toLocaleString() : 'N/A'}\n   Owner: ${eng.ownerId || 'N/A'}\n`;
         });
 
         return {
           content: [
             {
               type: "text",
-              text: `Retrieved ${engagements.length} recent engagements from HubSpot:\\n\\n${engagements.join('\\n') || 'No engagements found'}\\n\\nTotal engagements: ${response.data.total || engagements.length}`
+              text: `Retrieved ${engagements.length} recent engagements from HubSpot:\n\n${engagements.join('\n') || 'No engagements found'}\n\nTotal engagements: ${response.data.total || engagements.length}`
             }
-          ]
+          ],
+          structuredContent: {
+            engagements: response.data.results.map(({ engagement }) => ({
+              id: engagement.id,
+              type: engagement.type ?? null,
+              createdAt: engagement.createdAt ?? null,
+              ownerId: engagement.ownerId ?? null
+            })),
+            total: response.data.total || engagements.length
+          }
         };
       } catch (error) {
-        throw new Error(`HubSpot get engagements failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`HubSpot get engagements failed: ${error.message}`, { cause: error });
       }
     }
   };
 
   return {
     toolsDefinitions,
-    toolHandlers
+    toolHandlers,
+    supportsDryRun: true
   };
 }
\ No newline at end of file
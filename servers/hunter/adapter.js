@@ -1,17 +1,19 @@
 // Hunter.io MCP Server Adapter for 2025 Protocol
 import { z } from 'zod';
-import axios from 'axios';
+import { createHttpClient } from '../../utils/http-client.js';
 
 /**
  * Hunter.io MCP Server adapter for multi-MCP system
  */
 export async function createServerAdapter(serverPath, apiKeyParam = 'HUNTER_API_KEY') {
+  const hunterApi = createHttpClient({ provider: 'hunter', baseURL: 'https://api.hunter.io/v2' });
   
   const toolsDefinitions = [
     {
       name: 'hunter-find-email',
       title: 'Hunter Find Email',
       description: 'Find email addresses associated with a domain using Hunter.io',
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         domain: z.string().describe('Domain name to find emails for'),
         first_name: z.string().optional().describe('First name of the person'),
@@ -19,20 +21,49 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'HUNTER_API_
         full_name: z.string().optional().describe('Full name of the person'),
         max_duration: z.number().optional().describe('Maximum duration to search (in seconds)'),
         company: z.string().optional().describe('Company name')
+      },
+      outputSchema: {
+        email: z.string().nullable().describe('Email address found, or null when none was found'),
+        score: z.number().nullable().describe('Confidence score (0-100)'),
+        first_name: z.string().nullable(),
+        last_name: z.string().nullable(),
+        domain: z.string(),
+        company: z.string().nullable(),
+        position: z.string().nullable(),
+        linkedin: z.string().nullable(),
+        twitter: z.string().nullable(),
+        phone_number: z.string().nullable(),
+        sources: z.array(z.string()).describe('URIs where the email was found')
       }
     },
     {
       name: 'hunter-verify-email',
       title: 'Hunter Verify Email',
       description: 'Verify the deliverability of an email address using Hunter.io',
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         email: z.string().describe('Email address to verify')
+      },
+      outputSchema: {
+        email: z.string(),
+        result: z.string().nullable().describe('deliverable, undeliverable or risky'),
+        score: z.number().nullable(),
+        disposable: z.boolean(),
+        webmail: z.boolean(),
+        mx_records: z.boolean(),
+        smtp_server: z.boolean(),
+        smtp_check: z.boolean(),
+        accept_all: z.boolean(),
+        block: z.boolean(),
+        regexp: z.boolean(),
+        gibberish: z.boolean()
       }
     },
     {
       name: 'hunter-domain-search',
       title: 'Hunter Domain Search',
       description: 'Search for all email addresses associated with a domain using Hunter.io',
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         domain: z.string().describe('Domain name to search'),
         limit: z.number().optional().describe('Maximum number of email addresses to return (max 100)'),
@@ -40,21 +71,60 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'HUNTER_API_
         type: z.enum(['personal', 'generic']).optional().describe('Type of email addresses to return'),
         seniority: z.enum(['junior', 'senior', 'executive']).optional().describe('Seniority level filter'),
         department: z.string().optional().describe('Department filter')
+      },
+      outputSchema: {
+        domain: z.string(),
+        organization: z.string().nullable(),
+        pattern: z.string().nullable(),
+        total: z.number().nullable(),
+        emails: z.array(z.object({
+          value: z.string(),
+          first_name: z.string().nullable(),
+          last_name: z.string().nullable(),
+          position: z.string().nullable(),
+          department: z.string().nullable(),
+          seniority: z.string().nullable(),
+          type: z.string().nullable(),
+          confidence: z.number().nullable(),
+          linkedin: z.string().nullable(),
+          twitter: z.string().nullable(),
+          phone_number: z.string().nullable()
+        }))
       }
     },
     {
       name: 'hunter-email-count',
       title: 'Hunter Email Count',
       description: 'Get the number of email addresses available for a domain using Hunter.io',
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         domain: z.string().describe('Domain name to count emails for')
+      },
+      outputSchema: {
+        domain: z.string(),
+        total: z.number(),
+        personal_emails: z.number(),
+        generic_emails: z.number(),
+        department: z.record(z.number()).describe('Email count per department'),
+        seniority: z.record(z.number()).describe('Email count per seniority level')
       }
     },
     {
       name: 'hunter-account-info',
       title: 'Hunter Account Info',
       description: 'Get information about the Hunter.io account (API usage, plan details)',
-      inputSchema: {}
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
+      inputSchema: {},
+      outputSchema: {
+        email: z.string().nullable(),
+        first_name: z.string().nullable(),
+        last_name: z.string().nullable(),
+        plan_name: z.string().nullable(),
+        plan_level: z.number().nullable(),
+        reset_date: z.string().nullable(),
+        calls: z.record(z.any()).nullable().describe('API usage counters as returned by Hunter'),
+        team_id: z.number().nullable()
+      }
     }
   ];
 
@@ -77,8 +147,8 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'HUNTER_API_
         if (args.max_duration) params.max_duration = args.max_duration;
         if (args.company) params.company = args.company;
 
-        const response = await axios.get(
-          'https://api.hunter.io/v2/email-finder',
+        const response = await hunterApi.get(
+          '/email-finder',
           { params }
         );
 
@@ -88,7 +158,11 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'HUNTER_API_
             content: [{
               type: "text",
               text: "No email found for the provided information."
-            }]
+            }],
+            structuredContent: {
+              email: null, score: null, first_name: null, last_name: null, domain: args.domain, company: args.company ?? null,
+              position: null, linkedin: null, twitter: null, phone_number: null, sources: []
+            }
           };
         }
 
@@ -96,12 +170,25 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'HUNTER_API_
           content: [
             {
               type: "text",
-              text: `**Hunter Email Finder Results:**\\n\\n**Email:** ${data.email || 'Not found'}\\n**Confidence Score:** ${data.score || 'N/A'}%\\n**First Name:** ${data.first_name || 'N/A'}\\n**Last Name:** ${data.last_name || 'N/A'}\\n**Domain:** ${args.domain}\\n**Company:** ${data.company || args.company || 'N/A'}\\n**Position:** ${data.position || 'N/A'}\\n**LinkedIn:** ${data.linkedin || 'N/A'}\\n**Twitter:** ${data.twitter || 'N/A'}\\n**Phone:** ${data.phone_number || 'N/A'}\\n\\n**Sources:** ${data.sources?.map(s => s.uri).join(', ') || 'N/A'}`
+              text: `**Hunter Email Finder Results:**\n\n**Email:** ${data.email || 'Not found'}\n**Confidence Score:** ${data.score || 'N/A'}%\n**First Name:** ${data.first_name || 'N/A'}\n**Last Name:** ${data.last_name || 'N/A'}\n**Domain:** ${args.domain}\n**Company:** ${data.company || args.company || 'N/A'}\n**Position:** ${data.position || 'N/A'}\n**LinkedIn:** ${data.linkedin || 'N/A'}\n**Twitter:** ${data.twitter || 'N/A'}\n**Phone:** ${data.phone_number || 'N/A'}\n\n**Sources:** ${data.sources?.map(s => s.uri).join(', ') || 'N/A'}`
             }
-          ]
+          ],
+          structuredContent: {
+            email: data.email ?? null,
+            score: data.score ?? null,
+            first_name: data.first_name ?? null,
+            last_name: data.last_name ?? null,
+            domain: args.domain,
+            company: data.company ?? args.company ?? null,
+            position: data.position ?? null,
+            linkedin: data.linkedin ?? null,
+            twitter: data.twitter ?? null,
+            phone_number: data.phone_number ?? null,
+            sources: data.sources?.map(source => source.uri) ?? []
+          }
         };
       } catch (error) {
-        throw new Error(`Hunter email finder failed: ${error.response?.data?.errors?.[0]?.details || error.message}`);
+        throw new Error(`Hunter email finder failed: ${error.message}`, { cause: error });
       }
     },
 
@@ -116,8 +203,8 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'HUNTER_API_
           api_key: apiKey
         };
 
-        const response = await axios.get(
-          'https://api.hunter.io/v2/email-verifier',
+        const response = await hunterApi.get(
+          '/email-verifier',
           { params }
         );
 
@@ -127,12 +214,26 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'HUNTER_API_
           content: [
             {
               type: "text",
-              text: `**Hunter Email Verification Results:**\\n\\n**Email:** ${data.email}\\n**Result:** ${data.result}\\n**Score:** ${data.score || 'N/A'}%\\n**Deliverable:** ${data.result === 'deliverable' ? 'Yes' : 'No'}\\n**Disposable:** ${data.disposable ? 'Yes' : 'No'}\\n**Webmail:** ${data.webmail ? 'Yes' : 'No'}\\n**MX Records:** ${data.mx_records ? 'Found' : 'Not found'}\\n**SMTP Server:** ${data.smtp_server ? 'Reachable' : 'Not reachable'}\\n**SMTP Check:** ${data.smtp_check ? 'Valid' : 'Invalid'}\\n**Accept All:** ${data.accept_all ? 'Yes' : 'No'}\\n**Block:** ${data.block ? 'Yes' : 'No'}\\n\\n**Regexp:** ${data.regexp ? 'Valid format' : 'Invalid format'}\\n**Gibberish:** ${data.gibberish ? 'Yes' : 'No'}`
+              text: `**Hunter Email Verification Results:**\n\n**Email:** ${data.email}\n**Result:** ${data.result}\n**Score:** ${data.score || 'N/A'}%\n**Deliverable:** ${data.result === 'deliverable' ? 'Yes' : 'No'}\n**Disposable:** ${data.disposable ? 'Yes' : 'No'}\n**Webmail:** ${data.webmail ? 'Yes' : 'No'}\n**MX Records:** ${data.mx_records ? 'Found' : 'Not found'}\n**SMTP Server:** ${data.smtp_server ? 'Reachable' : 'Not reachable'}\n**SMTP Check:** ${data.smtp_check ? 'Valid' : 'Invalid'}\n**Accept All:** ${data.accept_all ? 'Yes' : 'No'}\n**Block:** ${data.block ? 'Yes' : 'No'}\n\n**Regexp:** ${data.regexp ? 'Valid format' : 'Invalid format'}\n**Gibberish:** ${data.gibberish ? 'Yes' : 'No'}`
             }
-          ]
+          ],
+          structuredContent: {
+            email: data.email,
+            result: data.result ?? null,
+            score: data.score ?? null,
+            disposable: Boolean(data.disposable),
+            webmail: Boolean(data.webmail),
+            mx_records: Boolean(data.mx_records),
+            smtp_server: Boolean(data.smtp_server),
+            smtp_check: Boolean(data.smtp_check),
+            accept_all: Boolean(data.accept_all),
+            block: Boolean(data.block),
+            regexp: Boolean(data.regexp),
+            gibberish: Boolean(data.gibberish)
+          }
         };
       } catch (error) {
-        throw new Error(`Hunter email verification failed: ${error.response?.data?.errors?.[0]?.details || error.message}`);
+        throw new Error(`Hunter email verification failed: ${error.message}`, { cause: error });
       }
     },
 
@@ -154,8 +255,8 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'HUNTER_API_
         if (args.seniority) params.seniority = args.seniority;
         if (args.department) params.department = args.department;
 
-        const response = await axios.get(
-          'https://api.hunter.io/v2/domain-search',
+        const response = await hunterApi.get(
+          '/domain-search',
           { params }
         );
 
@@ -167,24 +268,44 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'HUNTER_API_
             content: [{
               type: "text",
               text: `No emails found for domain: ${args.domain}`
-            }]
+            }],
+            structuredContent: { domain: args.domain, organization: data.organization ?? null, pattern: data.pattern ?? null, total: data.total ?? 0, emails: [] }
           };
         }
 
         const emailResults = emails.map((email, index) => {
-          return `${index + 1}. **${email.value}**\\n   Name: ${email.first_name || ''} ${email.last_name || 'Unknown'}\\n   Position: ${email.position || 'N/A'}\\n   Department: ${email.department || 'N/A'}\\n   Seniority: ${email.seniority || 'N/A'}\\n   Type: ${email.type || 'N/A'}\\n   Confidence: ${email.confidence || 'N/A'}%\\n   LinkedIn: ${email.linkedin || 'N/A'}\\n   Twitter: ${email.twitter || 'N/A'}\\n   Phone: ${email.phone_number || 'N/A'}\\n`;
+          return `${index + 1}. **${email.value}**\n   Name: ${email.first_name || ''} ${email.last_name || 'Unknown'}\n   Position: ${email.position || 'N/A'}\n   Department: ${email.department || 'N/A'}\n   Seniority: ${email.seniority || 'N/A'}\n   Type: ${email.type || 'N/A'}\n   Confidence: ${email.confidence || 'N/A'}%\n   LinkedIn: ${email.linkedin || 'N/A'}\n   Twitter: ${email.twitter || 'N/A'}\n   Phone: ${email.phone_number || 'N/A'}\n`;
         });
 
         return {
           content: [
             {
               type: "text",
-              text: `**Hunter Domain Search Results for ${args.domain}:**\\n\\n**Company:** ${data.organization || 'N/A'}\\n**Total Emails:** ${data.total}\\n**Disposable Emails:** ${data.disposable_emails}\\n**Webmail Emails:** ${data.webmail_emails}\\n**Accept All Emails:** ${data.accept_all_emails}\\n**Pattern:** ${data.pattern || 'N/A'}\\n\\n**Email Addresses:**\\n\\n${emailResults.join('\\n')}`
+              text: `**Hunter Domain Search Results for ${args.domain}:**\n\n**Company:** ${data.organization || 'N/A'}\n**Total Emails:** ${data.total}\n**Disposable Emails:** ${data.disposable_emails}\n**Webmail Emails:** ${data.webmail_emails}\n**Accept All Emails:** ${data.accept_all_emails}\n**Pattern:** ${data.pattern || 'N/A'}\n\n**Email Addresses:**\n\n${emailResults.join('\n')}`
             }
-          ]
+          ],
+          structuredContent: {
+            domain: args.domain,
+            organization: data.organization ?? null,
+            pattern: data.pattern ?? null,
+            total: data.total ?? null,
+            emails: emails.map(email => ({
+              value: email.value,
+              first_name: email.first_name ?? null,
+              last_name: email.last_name ?? null,
+              position: email.position ?? null,
+              department: email.department ?? null,
+              seniority: email.seniority ?? null,
+              type: email.type ?? null,
+              confidence: email.confidence ?? null,
+              linkedin: email.linkedin ?? null,
+              twitter: email.twitter ?? null,
+              phone_number: email.phone_number ?? null
+            }))
+          }
         };
       } catch (error) {
-        throw new Error(`Hunter domain search failed: ${error.response?.data?.errors?.[0]?.details || error.message}`);
+        throw new Error(`Hunter domain search failed: ${error.message}`, { cause: error });
       }
     },
 
@@ -199,8 +320,8 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'HUNTER_API_
           api_key: apiKey
         };
 
-        const response = await axios.get(
-          'https://api.hunter.io/v2/email-count',
+        const response = await hunterApi.get(
+          '/email-count',
           { params }
         );
 
@@ -210,12 +331,20 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'HUNTER_API_
           content: [
             {
               type: "text",
-              text: `**Hunter Email Count Results:**\\n\\n**Domain:** ${args.domain}\\n**Total Emails:** ${data.total}\\n**Personal Emails:** ${data.personal_emails}\\n**Generic Emails:** ${data.generic_emails}\\n**Department Breakdown:**\\n${Object.entries(data.department || {}).map(([dept, count]) => `- ${dept}: ${count}`).join('\\n') || 'N/A'}\\n\\n**Seniority Breakdown:**\\n${Object.entries(data.seniority || {}).map(([level, count]) => `- ${level}: ${count}`).join('\\n') || 'N/A'}`
+              text: `**Hunter Email Count Results:**\n\n**Domain:** ${args.domain}\n**Total Emails:** ${data.total}\n**Personal Emails:** ${data.personal_emails}\n**Generic Emails:** ${data.generic_emails}\n**Department Breakdown:**\n${Object.entries(data.department || {}).map(([dept, count]) => `- ${dept}: ${count}`).join('\n') || 'N/A'}\n\n**Seniority Breakdown:**\n${Object.entries(data.seniority || {}).map(([level, count]) => `- ${level}: ${count}`).join('\n') || 'N/A'}`
             }
-          ]
+          ],
+          structuredContent: {
+            domain: args.domain,
+            total: data.total ?? 0,
+            personal_emails: data.personal_emails ?? 0,
+            generic_emails: data.generic_emails ?? 0,
+            department: data.department || {},
+            seniority: data.seniority || {}
+          }
         };
       } catch (error) {
-        throw new Error(`Hunter email count failed: ${error.response?.data?.errors?.[0]?.details || error.message}`);
+        throw new Error(`Hunter email count failed: ${error.message}`, { cause: error });
       }
     },
 
@@ -229,8 +358,8 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'HUNTER_API_
           api_key: apiKey
         };
 
-        const response = await axios.get(
-          'https://api.hunter.io/v2/account',
+        const response = await hunterApi.get(
+          '/account',
           { params }
         );
 
@@ -240,12 +369,22 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'HUNTER_API_
           content: [
             {
               type: "text",
-              text: `**Hunter Account Information:**\\n\\n**First Name:** ${data.first_name || 'N/A'}\\n**Last Name:** ${data.last_name || 'N/A'}\\n**Email:** ${data.email || 'N/A'}\\n**Plan Name:** ${data.plan_name || 'N/A'}\\n**Plan Level:** ${data.plan_level || 'N/A'}\\n**Reset Date:** ${data.reset_date || 'N/A'}\\n\\n**API Usage:**\\n**Requests Used:** ${data.calls?.used || 0} / ${data.calls?.available || 0}\\n**Email Finder Calls:** ${data.calls?.email_finder || 0}\\n**Domain Search Calls:** ${data.calls?.domain_search || 0}\\n**Email Verifier Calls:** ${data.calls?.email_verifier || 0}\\n**Email Count Calls:** ${data.calls?.email_count || 0}\\n**Author Finder Calls:** ${data.calls?.author_finder || 0}\\n\\n**Team:** ${data.team ? 'Yes' : 'No'}\\n**Team ID:** ${data.team_id || 'N/A'}`
+              text: `**Hunter Account Information:**\n\n**First Name:** ${data.first_name || 'N/A'}\n**Last Name:** ${data.last_name || 'N/A'}\n**Email:** ${data.email || 'N/A'}\n**Plan Name:** ${data.plan_name || 'N/A'}\n**Plan Level:** ${data.plan_level || 'N/A'}\n**Reset Date:** ${data.reset_date || 'N/A'}\n\n**API Usage:**\n**Requests Used:** ${data.calls?.used || 0} / ${data.calls?.available || 0}\n**Email Finder Calls:** ${data.calls?.email_finder || 0}\n**Domain Search Calls:** ${data.calls?.domain_search || 0}\n**Email Verifier Calls:** ${data.calls?.email_verifier || 0}\n**Email Count Calls:** ${data.calls?.email_count || 0}\n**Author Finder Calls:** ${data.calls?.author_finder || 0}\n\n**Team:** ${data.team ? 'Yes' : 'No'}\n**Team ID:** ${data.team_id || 'N/A'}`
             }
-          ]
+          ],
+          structuredContent: {
+            email: data.email ?? null,
+            first_name: data.first_name ?? null,
+            last_name: data.last_name ?? null,
+            plan_name: data.plan_name ?? null,
+            plan_level: data.plan_level ?? null,
+            reset_date: data.reset_date ?? null,
+            calls: data.calls ?? null,
+            team_id: data.team_id ?? null
+          }
         };
       } catch (error) {
-        throw new Error(`Hunter account info failed: ${error.response?.data?.errors?.[0]?.details || error.message}`);
+        throw new Error(`Hunter account info failed: ${error.message}`, { cause: error });
       }
     }
   };
@@ -1,46 +1,97 @@
 // IcyPeas MCP Server Adapter for 2025 Protocol
 import { z } from 'zod';
-import axios from 'axios';
+import { createHttpClient } from '../../utils/http-client.js';
+import { stringOrNumber } from '../../utils/output-schemas.js';
 
 /**
  * IcyPeas MCP Server adapter for multi-MCP system
  */
 export async function createServerAdapter(serverPath, apiKeyParam = 'ICYPEAS_API_KEY') {
+  const icypeasApi = createHttpClient({ provider: 'icypeas', baseURL: 'https://api.icypeas.com/v1' });
   
   const toolsDefinitions = [
     {
       name: 'icypeas-find-email',
       title: 'IcyPeas Find Email',
       description: 'Find email addresses for a person using IcyPeas API',
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         first_name: z.string().describe('First name of the person'),
         last_name: z.string().describe('Last name of the person'),
         domain: z.string().describe('Company domain'),
         company_name: z.string().optional().describe('Company name (optional)')
+      },
+      outputSchema: {
+        email: z.string().nullable().describe('Email address found, or null when none was found'),
+        confidence: stringOrNumber.nullable(),
+        source: z.string().nullable(),
+        verification_status: z.string().nullable(),
+        credits_remaining: z.number().nullable()
       }
     },
     {
       name: 'icypeas-verify-email',
       title: 'IcyPeas Verify Email',
       description: 'Verify the deliverability of an email address using IcyPeas API',
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         email: z.string().describe('Email address to verify')
+      },
+      outputSchema: {
+        email: z.string(),
+        status: z.string().nullable(),
+        deliverable: z.boolean(),
+        valid_format: z.boolean(),
+        mx_record: z.boolean(),
+        smtp_valid: z.boolean(),
+        disposable: z.boolean(),
+        free_provider: z.boolean(),
+        role_account: z.boolean(),
+        catch_all: z.boolean(),
+        risk_score: z.number().nullable(),
+        confidence: z.number().nullable()
       }
     },
     {
       name: 'icypeas-domain-search',
       title: 'IcyPeas Domain Search',
       description: 'Search for all email addresses in a domain using IcyPeas API',
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         domain: z.string().describe('Domain to search for emails'),
         limit: z.number().optional().describe('Maximum number of emails to return (default: 50)')
+      },
+      outputSchema: {
+        domain: z.string(),
+        company_name: z.string().nullable(),
+        total: z.number(),
+        emails: z.array(z.object({
+          email: z.string(),
+          first_name: z.string().nullable(),
+          last_name: z.string().nullable(),
+          position: z.string().nullable(),
+          department: z.string().nullable(),
+          confidence: stringOrNumber.nullable(),
+          verification_status: z.string().nullable()
+        }))
       }
     },
     {
       name: 'icypeas-account-info',
       title: 'IcyPeas Account Info',
       description: 'Get account information and remaining credits',
-      inputSchema: {}
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
+      inputSchema: {},
+      outputSchema: {
+        name: z.string().nullable(),
+        email: z.string().nullable(),
+        plan: z.string().nullable(),
+        status: z.string().nullable(),
+        credits_remaining: z.number().nullable(),
+        credits_used: z.number().nullable(),
+        total_credits: z.number().nullable(),
+        monthly_limit: z.number().nullable()
+      }
     }
   ];
 
@@ -59,8 +110,8 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'ICYPEAS_API
 
         if (args.company_name) requestData.company_name = args.company_name;
 
-        const response = await axios.post(
-          'https://api.icypeas.com/v1/email-finder',
+        const response = await icypeasApi.post(
+          '/email-finder',
           requestData,
           {
             headers: {
@@ -77,7 +128,8 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'ICYPEAS_API
             content: [{
               type: "text",
               text: `No email found for ${args.first_name} ${args.last_name} at ${args.domain}`
-            }]
+            }],
+            structuredContent: { email: null, confidence: null, source: null, verification_status: null, credits_remaining: data.credits_remaining ?? null }
           };
         }
 
@@ -85,12 +137,19 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'ICYPEAS_API
           content: [
             {
               type: "text",
-              text: `**IcyPeas Email Discovery Results:**\\n\\n**Name:** ${args.first_name} ${args.last_name}\\n**Email:** ${data.email}\\n**Company:** ${args.company_name || args.domain}\\n**Domain:** ${args.domain}\\n**Confidence Score:** ${data.confidence || 'N/A'}\\n**Source:** ${data.source || 'N/A'}\\n**Verification Status:** ${data.verification_status || 'N/A'}\\n\\n**Credits Used:** ${data.credits_used || 'N/A'}\\n**Credits Remaining:** ${data.credits_remaining || 'N/A'}`
+              text: `**IcyPeas Email Discovery Results:**\n\n**Name:** ${args.first_name} ${args.last_name}\n**Email:** ${data.email}\n**Company:** ${args.company_name || args.domain}\n**Domain:** ${args.domain}\n**Confidence Score:** ${data.confidence || 'N/A'}\n**Source:** ${data.source || 'N/A'}\n**Verification Status:** ${data.verification_status || 'N/A'}\n\n**Credits Used:** ${data.credits_used || 'N/A'}\n**Credits Remaining:** ${data.credits_remaining || 'N/A'}`
             }
-          ]
+          ],
+          structuredContent: {
+            email: data.email,
+            confidence: data.confidence ?? null,
+            source: data.source ?? null,
+            verification_status: data.verification_status ?? null,
+            credits_remaining: data.credits_remaining ?? null
+          }
         };
       } catch (error) {
-        throw new Error(`IcyPeas email finder failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`IcyPeas email finder failed: ${error.message}`, { cause: error });
       }
     },
 
@@ -100,8 +159,8 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'ICYPEAS_API
       }
 
       try {
-        const response = await axios.post(
-          'https://api.icypeas.com/v1/email-verifier',
+        const response = await icypeasApi.post(
+          '/email-verifier',
           { email: args.email },
           {
             headers: {
@@ -117,12 +176,26 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'ICYPEAS_API
           content: [
             {
               type: "text",
-              text: `**IcyPeas Email Verification Results:**\\n\\n**Email:** ${args.email}\\n**Status:** ${data.status}\\n**Deliverable:** ${data.deliverable ? 'Yes' : 'No'}\\n**Valid Format:** ${data.valid_format ? 'Yes' : 'No'}\\n**MX Record:** ${data.mx_record ? 'Found' : 'Not found'}\\n**SMTP Valid:** ${data.smtp_valid ? 'Yes' : 'No'}\\n**Disposable:** ${data.disposable ? 'Yes' : 'No'}\\n**Free Provider:** ${data.free_provider ? 'Yes' : 'No'}\\n**Role Account:** ${data.role_account ? 'Yes' : 'No'}\\n**Catch All:** ${data.catch_all ? 'Yes' : 'No'}\\n\\n**Risk Score:** ${data.risk_score || 'N/A'}\\n**Confidence:** ${data.confidence || 'N/A'}%\\n**Credits Used:** ${data.credits_used || 'N/A'}`
+              text: `**IcyPeas Email Verification Results:**\n\n**Email:** ${args.email}\n**Status:** ${data.status}\n**Deliverable:** ${data.deliverable ? 'Yes' : 'No'}\n**Valid Format:** ${data.valid_format ? 'Yes' : 'No'}\n**MX Record:** ${data.mx_record ? 'Found' : 'Not found'}\n**SMTP Valid:** ${data.smtp_valid ? 'Yes' : 'No'}\n**Disposable:** ${data.disposable ? 'Yes' : 'No'}\n**Free Provider:** ${data.free_provider ? 'Yes' : 'No'}\n**Role Account:** ${data.role_account ? 'Yes' : 'No'}\n**Catch All:** ${data.catch_all ? 'Yes' : 'No'}\n\n**Risk Score:** ${data.risk_score || 'N/A'}\n**Confidence:** ${data.confidence || 'N/A'}%\n**Credits Used:** ${data.credits_used || 'N/A'}`
             }
-          ]
+          ],
+          structuredContent: {
+            email: args.email,
+            status: data.status ?? null,
+            deliverable: Boolean(data.deliverable),
+            valid_format: Boolean(data.valid_format),
+            mx_record: Boolean(data.mx_record),
+            smtp_valid: Boolean(data.smtp_valid),
+            disposable: Boolean(data.disposable),
+            free_provider: Boolean(data.free_provider),
+            role_account: Boolean(data.role_account),
+            catch_all: Boolean(data.catch_all),
+            risk_score: data.risk_score ?? null,
+            confidence: data.confidence ?? null
+          }
         };
       } catch (error) {
-        throw new Error(`IcyPeas email verification failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`IcyPeas email verification failed: ${error.message}`, { cause: error });
       }
     },
 
@@ -137,8 +210,8 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'ICYPEAS_API
           limit: args.limit || 50
         };
 
-        const response = await axios.post(
-          'https://api.icypeas.com/v1/domain-search',
+        const response = await icypeasApi.post(
+          '/domain-search',
           requestData,
           {
             headers: {
@@ -156,24 +229,39 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'ICYPEAS_API
             content: [{
               type: "text",
               text: `No emails found for domain: ${args.domain}`
-            }]
+            }],
+            structuredContent: { domain: args.domain, company_name: data.company_name ?? null, total: 0, emails: [] }
           };
         }
 
         const emailResults = emails.map((email, index) => {
-          return `${index + 1}. **${email.email}**\\n   Name: ${email.first_name || ''} ${email.last_name || 'Unknown'}\\n   Position: ${email.position || 'N/A'}\\n   Department: ${email.department || 'N/A'}\\n   Confidence: ${email.confidence || 'N/A'}\\n   Verification: ${email.verification_status || 'N/A'}\\n`;
+          return `${index + 1}. **${email.email}**\n   Name: ${email.first_name || ''} ${email.last_name || 'Unknown'}\n   Position: ${email.position || 'N/A'}\n   Department: ${email.department || 'N/A'}\n   Confidence: ${email.confidence || 'N/A'}\n   Verification: ${email.verification_status || 'N/A'}\n`;
         });
 
         return {
           content: [
             {
               type: "text",
-              text: `**IcyPeas Domain Search Results for ${args.domain}:**\\n\\n**Total Emails Found:** ${data.total_count || emails.length}\\n**Company:** ${data.company_name || 'N/A'}\\n\\n**Email Results:**\\n\\n${emailResults.join('\\n')}\\n\\n**Credits Used:** ${data.credits_used || 'N/A'}\\n**Credits Remaining:** ${data.credits_remaining || 'N/A'}`
+              text: `**IcyPeas Domain Search Results for ${args.domain}:**\n\n**Total Emails Found:** ${data.total_count || emails.length}\n**Company:** ${data.company_name || 'N/A'}\n\n**Email Results:**\n\n${emailResults.join('\n')}\n\n**Credits Used:** ${data.credits_used || 'N/A'}\n**Credits Remaining:** ${data.credits_remaining || 'N/A'}`
             }
-          ]
+          ],
+          structuredContent: {
+            domain: args.domain,
+            company_name: data.company_name ?? null,
+            total: data.total_count || emails.length,
+            emails: emails.map(email => ({
+              email: email.email,
+              first_name: email.first_name ?? null,
+              last_name: email.last_name ?? null,
+              position: email.position ?? null,
+              department: email.department ?? null,
+              confidence: email.confidence ?? null,
+              verification_status: email.verification_status ?? null
+            }))
+          }
         };
       } catch (error) {
-        throw new Error(`IcyPeas domain search failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`IcyPeas domain search failed: ${error.message}`, { cause: error });
       }
     },
 
@@ -183,8 +271,8 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'ICYPEAS_API
       }
 
       try {
-        const response = await axios.get(
-          'https://api.icypeas.com/v1/account',
+        const response = await icypeasApi.get(
+          '/account',
           {
             headers: {
               'Authorization': `Bearer ${apiKey}`
@@ -198,12 +286,22 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'ICYPEAS_API
           content: [
             {
               type: "text",
-              text: `**IcyPeas Account Information:**\\n\\n**Account Details:**\\n**Name:** ${data.name || 'N/A'}\\n**Email:** ${data.email || 'N/A'}\\n**Plan:** ${data.plan || 'N/A'}\\n**Status:** ${data.status || 'N/A'}\\n\\n**Credit Information:**\\n**Credits Remaining:** ${data.credits_remaining || 'N/A'}\\n**Credits Used:** ${data.credits_used || 'N/A'}\\n**Total Credits:** ${data.total_credits || 'N/A'}\\n**Monthly Limit:** ${data.monthly_limit || 'N/A'}\\n\\n**Usage Statistics:**\\n**Email Finder Used:** ${data.email_finder_used || 'N/A'}\\n**Email Verifier Used:** ${data.email_verifier_used || 'N/A'}\\n**Domain Search Used:** ${data.domain_search_used || 'N/A'}\\n\\n**Billing Information:**\\n**Next Billing Date:** ${data.next_billing_date || 'N/A'}\\n**Billing Cycle:** ${data.billing_cycle || 'N/A'}`
+              text: `**IcyPeas Account Information:**\n\n**Account Details:**\n**Name:** ${data.name || 'N/A'}\n**Email:** ${data.email || 'N/A'}\n**Plan:** ${data.plan || 'N/A'}\n**Status:** ${data.status || 'N/A'}\n\n**Credit Information:**\n**Credits Remaining:** ${data.credits_remaining || 'N/A'}\n**Credits Used:** ${data.credits_used || 'N/A'}\n**Total Credits:** ${data.total_credits || 'N/A'}\n**Monthly Limit:** ${data.monthly_limit || 'N/A'}\n\n**Usage Statistics:**\n**Email Finder Used:** ${data.email_finder_used || 'N/A'}\n**Email Verifier Used:** ${data.email_verifier_used || 'N/A'}\n**Domain Search Used:** ${data.domain_search_used || 'N/A'}\n\n**Billing Information:**\n**Next Billing Date:** ${data.next_billing_date || 'N/A'}\n**Billing Cycle:** ${data.billing_cycle || 'N/A'}`
             }
-          ]
+          ],
+          structuredContent: {
+            name: data.name ?? null,
+            email: data.email ?? null,
+            plan: data.plan ?? null,
+            status: data.status ?? null,
+            credits_remaining: data.credits_remaining ?? null,
+            credits_used: data.credits_used ?? null,
+            total_credits: data.total_credits ?? null,
+            monthly_limit: data.monthly_limit ?? null
+          }
         };
       } catch (error) {
-        throw new Error(`IcyPeas account info failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`IcyPeas account info failed: ${error.message}`, { cause: error });
       }
     }
   };
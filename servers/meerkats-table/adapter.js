@@ -1,8 +1,97 @@
 // Meerkats MCP Server Adapter for 2025 Protocol
 import { z } from 'zod';
-import axios from 'axios';
+import { createHttpClient } from '../../utils/http-client.js';
+import { responseOutputSchema, stringOrNumber } from '../../utils/output-schemas.js';
 import { log } from '../../multi-mcp-server-simple.js';
 
+// Meerkats API responses: { success, message, data, pagination } with only data always present
+const paginationSchema = z.object({
+  page: z.number(),
+  limit: z.number(),
+  total: z.number(),
+  totalPages: z.number(),
+  hasMore: z.boolean()
+});
+
+const envelopeSchema = dataSchema => z.object({
+  success: z.boolean(),
+  message: z.string(),
+  data: dataSchema,
+  pagination: paginationSchema
+});
+
+const columnSchema = z.object({
+  id: stringOrNumber,
+  name: z.string(),
+  label: z.string(),
+  dataType: z.string(),
+  type: z.string().describe('AI or Input'),
+  prompt: z.string(),
+  tools: z.array(z.string())
+});
+
+const tableSchema = z.object({
+  id: stringOrNumber,
+  name: z.string(),
+  description: z.string(),
+  columns: z.array(columnSchema),
+  createdAt: z.string(),
+  updatedAt: z.string()
+});
+
+const sheetSchema = z.object({
+  id: stringOrNumber,
+  name: z.string(),
+  tableId: stringOrNumber,
+  createdAt: z.string(),
+  updatedAt: z.string()
+});
+
+// Cell values are keyed by column
+const rowSchema = z.object({ id: stringOrNumber }).describe('Row with its cell values keyed by column');
+
+const filteredRowsSchema = z.object({
+  rows: z.array(rowSchema),
+  totalRows: z.number(),
+  filteredRowsCount: z.number(),
+  pagination: z.object({ page: z.number(), hasMore: z.boolean() }),
+  filter: z.object({ columns: z.array(z.record(z.any())), from: stringOrNumber, to: stringOrNumber })
+});
+
+const scheduleSchema = z.object({
+  columnId: stringOrNumber,
+  isScheduled: z.boolean(),
+  scheduleType: z.string(),
+  cronExpression: z.string(),
+  nextRunAt: z.string()
+});
+
+const artifactSchema = z.object({
+  id: stringOrNumber,
+  name: z.string(),
+  description: z.string(),
+  type: z.string(),
+  code: z.string(),
+  createdAt: z.string()
+});
+
+const rateLimitSchema = z.object({
+  serverName: z.string(),
+  limit: z.number(),
+  timeperiod: z.string(),
+  entity: z.string()
+});
+
+const deletedSchema = z.object({
+  tableId: z.string(),
+  sheetId: z.string(),
+  rowId: z.string(),
+  deleted: z.boolean()
+});
+
+// Jobs queued on the job inserter for AI cells
+const aiRunSchema = z.object({ success: z.boolean(), message: z.string(), jobId: stringOrNumber });
+
 /**
  * Meerkats MCP Server adapter for multi-MCP system
  * Provides comprehensive table/sheet management with AI capabilities
@@ -13,16 +102,19 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'MEERKATS_TA
       name: "meerkats-table-create-table-by-file",
       title: "Create a Meerkats Table by File",
       description: "Create a new Meerkats Table from a file file must be csv",
+      annotations: { readOnlyHint: false, destructiveHint: false, idempotentHint: false, openWorldHint: false },
       inputSchema: {
         table_name: z.string().describe("table name as uploaded filename"),
         headers: z.array(z.string()).describe("column names in the csv file"), 
         data: z.array(z.array(z.string())).describe("data in the csv filein array format [ [row1], [row2] ]")
-      }
+      },
+      outputSchema: responseOutputSchema(envelopeSchema(tableSchema), 'The created table')
     },
     {
       name: "meerkats-table-scrape-url",
       title: "Meerkats Table Scrape URL",
       description: "Scrape a URL and return the content as markdown or HTML for table processing, do not attach this tool to a column",
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         url: z.string().describe("URL to scrape"),
         formats: z.array(z.enum(["markdown", "html"])).optional().describe("Content formats to extract (default: ['markdown'])"),
@@ -31,35 +123,51 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'MEERKATS_TA
         excludeTags: z.array(z.string()).optional().describe("HTML tags to exclude from extraction"),
         waitFor: z.number().optional().describe("Time in milliseconds to wait for dynamic content to load"),
         timeout: z.number().optional().describe("Maximum time in milliseconds to wait for the page to load")
+      },
+      outputSchema: {
+        url: z.string(),
+        content: z.string().describe("Full scraped content, not truncated like the text rendering"),
+        content_length: z.number()
       }
     },
     {
       name: "meerkats-table-web-search",
       title: "Meerkats Table Web Search",
       description: "Search the web and return results for table processing, do not attach this tool to a column",
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         query: z.string().describe("Query to search for on the web")
+      },
+      outputSchema: {
+        query: z.string(),
+        content: z.string().describe("Full search results content, not truncated like the text rendering"),
+        content_length: z.number()
       }
     },
     {
       name: "list_tables",
       description: "List tables for the authenticated user with pagination support (name, description, createdAt)",
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: false },
       inputSchema: {
         search: z.string().optional().describe("Search term to filter tables by name"),
         limit: z.number().min(1).max(100).optional().describe("Number of tables to return (default: 10, max: 100)"),
         page: z.number().min(1).optional().describe("Page number for pagination (1-based, default: 1)")
       },
+      outputSchema: responseOutputSchema(envelopeSchema(z.array(tableSchema)), 'Tables with pagination'),
     },
     {
       name: "get_table",
       description: "Get details of a specific table by ID",
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: false },
       inputSchema: {
         tableId: z.string().describe("The ID of the table to retrieve")
       },
+      outputSchema: responseOutputSchema(envelopeSchema(tableSchema), 'The table'),
     },
     {
       name: "create_table",
       description: "Create a new table with name, description, and columns",
+      annotations: { readOnlyHint: false, destructiveHint: false, idempotentHint: false, openWorldHint: false },
       inputSchema: {
         name: z.string().describe("Name of the table/table"),
         description: z.string().describe("Description of the table/table"),
@@ -71,10 +179,12 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'MEERKATS_TA
           tools: z.array(z.string()).optional().describe("Array of MCP tools in format 'server_name.tool_name' for AI columns")
         })).optional().describe("Array of columns for the table")
       },
+      outputSchema: responseOutputSchema(tableSchema, 'The created table'),
     },
     {
       name: "update_table",
       description: "Update an existing table",
+      annotations: { readOnlyHint: false, destructiveHint: true, idempotentHint: true, openWorldHint: false },
       inputSchema: {
         tableId: z.string().describe("The ID of the table to update"),
         name: z.string().optional().describe("New name for the table"),
@@ -82,69 +192,87 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'MEERKATS_TA
         prompt: z.string().optional().describe("AI prompt for the table, "),
         autoEnrich: z.boolean().optional().describe("Enable auto-enrichment for the table")
       },
+      outputSchema: responseOutputSchema(tableSchema, 'The updated table'),
     },
     {
       name: "delete_table",
       description: "Delete a table",
+      annotations: { readOnlyHint: false, destructiveHint: true, idempotentHint: true, openWorldHint: false },
       inputSchema: {
         tableId: z.string().describe("The ID of the table to delete")
       },
+      outputSchema: responseOutputSchema(deletedSchema, 'The deleted table'),
     },
     {
       name: "get_table_rows",
       description: "Get rows from a table with pagination support",
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: false },
       inputSchema: {
         tableId: z.string().describe("The ID of the table"),
         limit: z.number().min(1).max(1000).optional().describe("Number of rows to return (default: 50, max: 1000)"),
         page: z.number().min(1).optional().describe("Page number for pagination (1-based, default: 1)")
       },
+      outputSchema: responseOutputSchema(envelopeSchema(z.array(rowSchema)), 'Rows with pagination'),
     },
     {
       name: "add_table_row",
       description: "Add a new row to a table with column name to value mapping",
+      annotations: { readOnlyHint: false, destructiveHint: false, idempotentHint: false, openWorldHint: false },
       inputSchema: {
         tableId: z.string().describe("The ID of the table"),
         data: z.record(z.any()).describe("Row data as column name to value pairs")
       },
+      outputSchema: responseOutputSchema(rowSchema, 'The added row'),
     },
     {
       name: "update_table_row",
       description: "Update an existing row in a table",
+      annotations: { readOnlyHint: false, destructiveHint: true, idempotentHint: true, openWorldHint: false },
       inputSchema: {
         tableId: z.string().describe("The ID of the table"),
         rowId: z.string().describe("The ID of the row to update"),
         data: z.record(z.any()).describe("Updated row data as column name to value pairs")
       },
+      outputSchema: responseOutputSchema(rowSchema, 'The updated row'),
     },
     {
       name: "delete_table_row",
       description: "Delete a row from a table",
+      annotations: { readOnlyHint: false, destructiveHint: true, idempotentHint: true, openWorldHint: false },
       inputSchema: {
         tableId: z.string().describe("The ID of the table"),
         rowId: z.string().describe("The ID of the row to delete")
       },
+      outputSchema: responseOutputSchema(deletedSchema, 'The deleted row'),
     },
     {
       name: "get_table_stats",
       description: "Get statistics about user's tables",
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: false },
       inputSchema: {},
+      outputSchema: responseOutputSchema(z.record(z.any()), 'Counts of tables, rows and columns'),
     },
     {
       name: "add_table_rows_bulk",
       description: "Add multiple rows to a table in a single operation",
+      annotations: { readOnlyHint: false, destructiveHint: false, idempotentHint: false, openWorldHint: false },
       inputSchema: {
         tableId: z.string().describe("The ID of the table"),
         rows: z.array(z.record(z.any()).describe("Row data as column name to value pairs")).min(1).describe("Array of row objects, each containing column name to value pairs")
       },
+      outputSchema: responseOutputSchema(z.union([z.array(rowSchema), z.record(z.any())]), 'The added rows, or a summary of the insert'),
     },
     {
       name: "get_mcp_servers",
       description: "Get available MCP servers that can be used for AI columns",
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: false },
       inputSchema: {},
+      outputSchema: responseOutputSchema(z.array(z.object({ name: z.string(), description: z.string(), tools: z.array(z.union([z.string(), z.object({ name: z.string(), description: z.string() })])) })), 'MCP servers and their tools'),
     },
     {
       name: "add_table_column",
       description: "Add a new column to an existing table",
+      annotations: { readOnlyHint: false, destructiveHint: false, idempotentHint: false, openWorldHint: false },
       inputSchema: {
         tableId: z.string().describe("The ID of the table to add column to"),
         name: z.string().describe("Name of the column (becomes label in backend)"),
@@ -153,10 +281,12 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'MEERKATS_TA
         prompt: z.string().optional().describe("AI prompt for AI type columns.  do reference other column by {columnName}"),
         tools: z.array(z.string()).describe("Array of MCP tools for AI columns in format 'server_name.tool_name'")
       },
+      outputSchema: responseOutputSchema(envelopeSchema(columnSchema), 'The added column'),
     },
     {
       name: "add_table_columns",
       description: "Add multiple columns to an existing table",
+      annotations: { readOnlyHint: false, destructiveHint: false, idempotentHint: false, openWorldHint: false },
       inputSchema: {
         tableId: z.string().describe("The ID of the table to add columns to"),
         columns: z.array(z.object({
@@ -166,11 +296,13 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'MEERKATS_TA
           prompt: z.string().optional().describe("AI prompt for AI type columns. Use {Column Name} for dependencies on other columns"),
           tools: z.array(z.string()).describe("Array of MCP tools for AI columns in format 'server_name.tool_name'")
         })).describe("Array of column objects to add")
-      }
+      },
+      outputSchema: responseOutputSchema(envelopeSchema(z.array(columnSchema)), 'The added columns')
     },
     {
       name: "update_table_column",
       description: "Update an existing column in a table",
+      annotations: { readOnlyHint: false, destructiveHint: true, idempotentHint: true, openWorldHint: false },
       inputSchema: {
         tableId: z.string().describe("The ID of the table containing the column"),
         columnId: z.string().describe("The ID of the column to update"),
@@ -180,10 +312,12 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'MEERKATS_TA
         prompt: z.string().optional().describe("New AI prompt for AI type columns"),
         tools: z.array(z.string()).describe("Array of MCP tools for AI columns in format 'server_name.tool_name'")
       },
+      outputSchema: responseOutputSchema(columnSchema, 'The updated column'),
     },
     {
       name: "schedule_table_column",
       description: "Schedule an AI column to run automatically on a cron schedule or single run",
+      annotations: { readOnlyHint: false, destructiveHint: false, idempotentHint: true, openWorldHint: false },
       inputSchema: {
         tableId: z.string().describe("The ID of the table containing the column"),
         columnId: z.string().describe("The ID of the AI column to schedule"),
@@ -192,18 +326,22 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'MEERKATS_TA
         cronExpression: z.string().optional().describe("Cron expression for recurring schedules"),
         singleRunTime: z.string().optional().describe("ISO datetime string for single run schedules")
       },
+      outputSchema: responseOutputSchema(scheduleSchema, 'The column schedule'),
     },
     {
       name: "get_table_column_schedule",
       description: "Get the current scheduling information for an AI column",
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: false },
       inputSchema: {
         tableId: z.string().describe("The ID of the table containing the column"),
         columnId: z.string().describe("The ID of the column to get schedule information for")
       },
+      outputSchema: responseOutputSchema(scheduleSchema, 'The column schedule'),
     },
     {
       name: "filter_table_rows",
       description: "Filter and search rows in a table using column filters and row range",
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: false },
       inputSchema: {
         tableId: z.string().describe("The ID of the table to filter rows from"),
         filters: z.array(z.object({
@@ -224,85 +362,105 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'MEERKATS_TA
         limit: z.number().optional().describe("Maximum number of rows to return (default: 50)"),
         page: z.number().optional().describe("Page number for pagination (default: 0)")
       },
+      outputSchema: responseOutputSchema(filteredRowsSchema, 'Matching rows and the applied filter'),
     },
     {
       name: "list_table_sheets",
       description: "List all sheets within a table with pagination support",
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: false },
       inputSchema: {
         tableId: z.string().describe("The ID of the parent table"),
         limit: z.number().min(1).max(100).optional().describe("Number of sheets to return (default: 10, max: 100)"),
         page: z.number().min(1).optional().describe("Page number for pagination (1-based, default: 1)")
       },
+      outputSchema: responseOutputSchema(envelopeSchema(z.array(sheetSchema)), 'Sheets with pagination'),
     },
     {
       name: "get_table_sheet",
       description: "Get details of a specific sheet by ID",
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: false },
       inputSchema: {
         sheetId: z.string().describe("The ID of the sheet to retrieve")
       },
+      outputSchema: responseOutputSchema(sheetSchema, 'The sheet'),
     },
     {
       name: "create_table_sheet",
       description: "Create a new sheet within a table",
+      annotations: { readOnlyHint: false, destructiveHint: false, idempotentHint: false, openWorldHint: false },
       inputSchema: {
         tableId: z.string().describe("The ID of the parent table"),
         sheetName: z.string().describe("Name of the new sheet"),
         description: z.string().optional().describe("Description of the sheet (optional)")
       },
+      outputSchema: responseOutputSchema(sheetSchema, 'The created sheet'),
     },
     {
       name: "update_table_sheet",
       description: "Update an existing sheet",
+      annotations: { readOnlyHint: false, destructiveHint: true, idempotentHint: true, openWorldHint: false },
       inputSchema: {
         sheetId: z.string().describe("The ID of the sheet to update"),
         sheetName: z.string().optional().describe("New name for the sheet (optional)"),
         description: z.string().optional().describe("New description for the sheet (optional)")
       },
+      outputSchema: responseOutputSchema(sheetSchema, 'The updated sheet'),
     },
     {
       name: "delete_table_sheet",
       description: "Delete a sheet from a table",
+      annotations: { readOnlyHint: false, destructiveHint: true, idempotentHint: true, openWorldHint: false },
       inputSchema: {
         sheetId: z.string().describe("The ID of the sheet to delete")
       },
+      outputSchema: responseOutputSchema(deletedSchema, 'The deleted sheet'),
     },
     {
       name: "get_table_sheet_rows",
       description: "Get rows from a specific sheet with pagination support",
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: false },
       inputSchema: {
         sheetId: z.string().describe("The ID of the sheet"),
         limit: z.number().min(1).max(1000).optional().describe("Number of rows to return (default: 50, max: 1000)"),
         page: z.number().min(1).optional().describe("Page number for pagination (1-based, default: 1)")
       },
+      outputSchema: responseOutputSchema(envelopeSchema(z.array(rowSchema)), 'Rows with pagination'),
     },
     {
       name: "add_table_sheet_row",
       description: "Add a new row to a sheet",
+      annotations: { readOnlyHint: false, destructiveHint: false, idempotentHint: false, openWorldHint: false },
       inputSchema: {
         sheetId: z.string().describe("The ID of the sheet"),
         data: z.record(z.any()).describe("Row data as key-value pairs where keys are column names")
       },
+      outputSchema: responseOutputSchema(rowSchema, 'The added row'),
     },
     {
       name: "update_table_sheet_row",
       description: "Update an existing row in a sheet",
+      annotations: { readOnlyHint: false, destructiveHint: true, idempotentHint: true, openWorldHint: false },
       inputSchema: {
         sheetId: z.string().describe("The ID of the sheet"),
         rowId: z.string().describe("The ID of the row to update"),
         data: z.record(z.any()).describe("Updated row data as key-value pairs")
       },
+      outputSchema: responseOutputSchema(rowSchema, 'The updated row'),
     },
     {
       name: "delete_table_sheet_row",
       description: "Delete a row from a sheet",
+      annotations: { readOnlyHint: false, destructiveHint: true, idempotentHint: true, openWorldHint: false },
       inputSchema: {
         sheetId: z.string().describe("The ID of the sheet"),
         rowId: z.string().describe("The ID of the row to delete")
       },
+      outputSchema: responseOutputSchema(deletedSchema, 'The deleted row'),
     },
     {
       name: "filter_table_sheet_rows",
       description: "Filter and search rows in a sheet using column filters and row range",
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: false },
       inputSchema: {
         sheetId: z.string().describe("The ID of the sheet to filter rows from"),
         filters: z.array(z.any()).optional().describe("Array of filter conditions to apply to rows"),
@@ -311,20 +469,24 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'MEERKATS_TA
         limit: z.number().optional().describe("Maximum number of rows to return (default: 50)"),
         page: z.number().optional().describe("Page number for pagination (default: 0)")
       },
+      outputSchema: responseOutputSchema(filteredRowsSchema, 'Matching rows and the applied filter'),
     },
     {
       name: "run_table_ai_cell",
       description: "Run AI processing for a single table cell",
+      annotations: { readOnlyHint: false, destructiveHint: true, idempotentHint: false, openWorldHint: true },
       inputSchema: {
         sheetId: z.string().describe("The ID of the sheet containing the cell"),
         tableId: z.string().describe("The ID of the table containing the cell"),
         columnId: z.string().describe("The ID of the column containing the cell"),
         rowId: z.string().describe("The ID of the row containing the cell")
       },
+      outputSchema: responseOutputSchema(aiRunSchema, 'The queued AI cell run'),
     },
     {
       name: "run_table_ai_cells_bulk",
       description: "Run AI processing for multiple table cells in bulk",
+      annotations: { readOnlyHint: false, destructiveHint: true, idempotentHint: false, openWorldHint: true },
       inputSchema: {
         type: z.enum(["all", "count"]).describe("Type of bulk run"),
         columnId: z.string().describe("The ID of a reference column for the column to run"),
@@ -334,10 +496,12 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'MEERKATS_TA
         count: z.number().min(1).max(1000).optional().describe("Number of rows to process when type is 'count'"),
         rowIds: z.array(z.string()).optional().describe("Array of row IDs to run bulk processing on")
       },
+      outputSchema: responseOutputSchema(aiRunSchema, 'The queued AI cell runs'),
     },
     {
       name: "generate_artifact",
       description: "Generate dynamic artifacts using vibe coding",
+      annotations: { readOnlyHint: false, destructiveHint: false, idempotentHint: false, openWorldHint: false },
       inputSchema: {
         sourceData: z.string().describe("the data source for the artifact"),
         tableId: z.string().optional().describe("The ID of the table (optional)"),
@@ -348,64 +512,79 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'MEERKATS_TA
           type: z.enum(['HTML', 'CSS', 'JavaScript', 'JSON', 'Text', 'React.js', 'Node.js']).describe("the type of the artifact")
         }
       },
+      outputSchema: responseOutputSchema(artifactSchema, 'The saved artifact'),
     },
     {
       name: "list_artifacts",
       description: "List all artifacts for the authenticated user with pagination and search support",
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: false },
       inputSchema: {
         search: z.string().optional().describe("Search term to filter artifacts by name or description"),
         type: z.enum(['HTML', 'CSS', 'JavaScript', 'JSON', 'Text', 'React.js', 'Node.js']).optional().describe("Filter artifacts by type"),
         limit: z.number().min(1).max(100).optional().describe("Number of artifacts to return (default: 10, max: 100)"),
         page: z.number().min(1).optional().describe("Page number for pagination (1-based, default: 1)")
       },
+      outputSchema: responseOutputSchema(envelopeSchema(z.array(artifactSchema)), 'Artifacts with pagination'),
     },
     {
       name: "get_artifact",
       description: "Get details of a specific artifact by ID",
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: false },
       inputSchema: {
         artifactId: z.string().describe("The ID of the artifact to retrieve")
       },
+      outputSchema: responseOutputSchema(artifactSchema, 'The artifact'),
     },
     {
       name: 'google_map_search',
       description: 'Search for locations using the Google Maps API',
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         tableId: z.string().optional().describe('the current working table id if available else leave blank'),
         query: z.string().describe('The search query to use for location search')
-      }
+      },
+      outputSchema: responseOutputSchema(envelopeSchema(z.any().describe('Places returned by Google Maps')), 'Places found')
     },
     {
       name: "get_mcp_server_rate_limits",
       description: "Get MCP server rate limits for the authenticated user",
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: false },
       inputSchema: {
         serverName: z.string().optional().describe("Specific MCP server name to get rate limits for (optional)")
-      }
+      },
+      outputSchema: responseOutputSchema(z.array(rateLimitSchema), 'Rate limits by server')
     },
     {
       name: "update_mcp_server_rate_limit",
       description: "Update MCP server rate limit settings for the authenticated user",
+      annotations: { readOnlyHint: false, destructiveHint: true, idempotentHint: true, openWorldHint: false },
       inputSchema: {
         serverName: z.string().describe("The server name of the MCP server to update rate limits for"),
         limit: z.number().min(1).describe("Maximum number of requests allowed in the time window"),
         timeperiod: z.number().min(1).describe("Time period duration"),
         entity: z.enum(["seconds", "minutes", "hours", "days"]).describe("Time entity for the rate limit period")
-      }
+      },
+      outputSchema: responseOutputSchema(envelopeSchema(rateLimitSchema), 'The updated rate limit')
     },
     {
       name: "check_duplicate_rows",
       description: "Check for duplicate rows in a table based on specified column names",
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: false },
       inputSchema: {
         tableId: z.string().describe("The ID of the table to check for duplicates"),
         attributeKeys: z.array(z.string()).describe("Array of column names (labels) to check for duplicates - will be automatically converted to column IDs")
-      }
+      },
+      outputSchema: responseOutputSchema(envelopeSchema(z.object({ totalDuplicateRows: z.number() })), 'Duplicate rows found')
     },
     {
       name: "delete_duplicate_rows",
       description: "Delete duplicate rows from a table based on specified column names",
+      annotations: { readOnlyHint: false, destructiveHint: true, idempotentHint: true, openWorldHint: false },
       inputSchema: {
         tableId: z.string().describe("The ID of the table to delete duplicates from"),
         attributeKeys: z.array(z.string()).describe("Array of column names (labels) to identify duplicates for deletion - will be automatically converted to column IDs")
-      }
+      },
+      outputSchema: responseOutputSchema(envelopeSchema(z.object({ deletedCount: z.number() })), 'Duplicate rows deleted')
     }
   ];
   // Configuration for Google Cloud Run production
@@ -415,17 +594,21 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'MEERKATS_TA
   const API_BASE_URL = isLocal ? "http://localhost:5000/api/v1" : "https://prod-api-126608443486.us-central1.run.app/api/v1";
   const JOB_INSERTER_URL = process.env.JOB_INSERTER_URL || "https://j1.meerkats.ai";
   const API_VERSION = process.env.API_VERSION || "v1";
+  const SCRAPPER_API_URL = process.env.SCRAPPER_API_URL || 'https://crawlee-scrapper-126608443486.us-central1.run.app';
+
+  const meerkatsApi = createHttpClient({ provider: 'meerkats', baseURL: API_BASE_URL });
+  const jobInserterApi = createHttpClient({ provider: 'meerkats-jobs', baseURL: JOB_INSERTER_URL });
+  const scraperApi = createHttpClient({ provider: 'meerkats-scraper', baseURL: SCRAPPER_API_URL, retryNonIdempotent: true });
 
   // Enhanced API request utility with API key
   async function makeAuthenticatedApiRequest(endpoint, method = 'GET', data = null, apiKey) {
     const url = `${API_BASE_URL}${endpoint}`;
 
-    log(`API Request: ${method} ${url}`, { hasApiKey: !!apiKey });
-    log(`apiKey`, apiKey);
+    log.debug('meerkats-table', `API Request: ${method} ${url}`, { hasApiKey: !!apiKey });
     try {
       const config = {
         method,
-        url,
+        url: endpoint,
         headers: {
           'Content-Type': 'application/json',
           'Authorization': `Bearer ${apiKey}`
@@ -434,34 +617,33 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'MEERKATS_TA
       if (data && method === 'POST' || method === 'PUT') {
         config.data = data;
       }
-      const response = await axios(config);
+      const response = await meerkatsApi.request(config);
       return response.data;
     } catch (error) {
-      log(`API Request failed: ${JSON.stringify(error)}`)
-      log(`API Request failed: ${error.message}`, {
-        status: error.response?.status,
-        data: error.response?.data
+      log.warn('meerkats-table', `API Request failed: ${method} ${endpoint}: ${error.message}`, {
+        status: error.status,
+        data: error.data
       });
 
-      if (error.response?.status === 401) {
+      if (error.status === 401) {
         throw new Error('Authentication failed - token may be expired');
       }
 
-      throw new Error(`API request failed: ${error.response?.data?.message || error.response?.data?.error || error.message}`);
+      throw new Error(`API request failed: ${error.message}`, { cause: error });
     }
   }
 
   // Helper function for running AI cells
   async function runTableAICell(data = null, accessToken) {
-    log(`Running AI cell token ${accessToken}`, JOB_INSERTER_URL);
-    const url = `${JOB_INSERTER_URL}/api/v2/batches/${data.tableId}/aiColumnData`;
+    log('meerkats-table', `Running AI cell for table ${data?.tableId}`, { jobInserterUrl: JOB_INSERTER_URL });
+    const url = `/api/v2/batches/${data.tableId}/aiColumnData`;
     if (data) {
       data.sheetId = data.sheetId || data.tableId;
       data.cellId = data.cellId || data.columnId;
     }
 
     try {
-      const { data: result, status } = await axios.post(url, data, {
+      const { data: result, status } = await jobInserterApi.post(url, data, {
         headers: {
           'Content-Type': 'application/json',
           'x-api-key': accessToken
@@ -471,25 +653,25 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'MEERKATS_TA
         content: [{
           type: "text",
           text: `Successfully started ai cell run, can take a few seconds to few minutes. api result: ${JSON.stringify(result)}`
-        }]
+        }],
+        structuredContent: { data: result }
       }
     } catch (error) {
-      console.log('AI Cell run failed', { error: error.message, stack: error.stack });
-      throw new Error(`Request failed: ${error.message}`);
+      log.error('meerkats-table', 'AI Cell run failed', { error: error.message, stack: error.stack });
+      throw new Error(`Request failed: ${error.message}`, { cause: error });
     }
   }
 
   // Helper function for generating artifacts
   async function generateVibeChart(args, accessToken) {
     try {
-      const url = `${API_BASE_URL}/save-artifact`;
-      const result = await axios.post(url, args, {
+      const result = await meerkatsApi.post('/save-artifact', args, {
         headers: {
           'Content-Type': 'application/json',
           'Authorization': `Bearer ${accessToken}`
         }
       })
-      console.log('Artifact generated and saved', { artifactData: result.data });
+      log.debug('meerkats-table', 'Artifact generated and saved', { artifactData: result.data });
       return {
         content: [{
           type: "text",
@@ -497,14 +679,16 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'MEERKATS_TA
         }, {
           type: "text",
           text: JSON.stringify(result.data)
-        }]
+        }],
+        structuredContent: { data: result.data }
       };
     } catch (error) {
       return {
         content: [{
           type: "text",
           text: `artifact failed to save ${error.message}`
-        }]
+        }],
+        isError: true
       }
     }
   }
@@ -528,9 +712,8 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'MEERKATS_TA
           instant: args.waitFor ? false : true
         };
 
-        const SCRAPPER_API_URL = process.env.SCRAPPER_API_URL || 'https://crawlee-scrapper-126608443486.us-central1.run.app';
         const SCRAPPER_API_KEY = process.env.SCRAPPER_API_KEY || apiKey;
-        const response = await axios.post(`${SCRAPPER_API_URL}/api/scraper/scrape`, payload, {
+        const response = await scraperApi.post('/api/scraper/scrape', payload, {
           headers: {
             'x-api-key': SCRAPPER_API_KEY,
             'Content-Type': 'application/json'
@@ -557,16 +740,17 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'MEERKATS_TA
             content: [
               {
                 type: "text",
-                text: `**Meerkats Table URL Scraping Results:**\\n\\n**URL:** ${args.url}\\n**Status:** Success\\n**Content Length:** ${content.length} characters\\n\\n**Content:**\\n${content.substring(0, 3000)}${content.length > 3000 ? '...\\n\\n(Content truncated)' : ''}`
+                text: `**Meerkats Table URL Scraping Results:**\n\n**URL:** ${args.url}\n**Status:** Success\n**Content Length:** ${content.length} characters\n\n**Content:**\n${content.substring(0, 3000)}${content.length > 3000 ? '...\n\n(Content truncated)' : ''}`
               }
-            ]
+            ],
+            structuredContent: { url: args.url, content, content_length: content.length }
           };
         }
 
         throw new Error('No content found in scraping result');
       } catch (error) {
-        const errorMessage = error.response?.data?.error || error.message;
-        throw new Error(`Meerkats Table URL scraping failed: ${errorMessage}`);
+        const errorMessage = error.message;
+        throw new Error(`Meerkats Table URL scraping failed: ${errorMessage}`, { cause: error });
       }
     },
 
@@ -588,9 +772,8 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'MEERKATS_TA
           instant: true
         };
 
-        const SCRAPPER_API_URL = process.env.SCRAPPER_API_URL || 'https://crawlee-scrapper-126608443486.us-central1.run.app';
         const SCRAPPER_API_KEY = process.env.SCRAPPER_API_KEY || apiKey;
-        const response = await axios.post(`${SCRAPPER_API_URL}/api/scraper/scrape`, payload, {
+        const response = await scraperApi.post('/api/scraper/scrape', payload, {
           headers: {
             'x-api-key': SCRAPPER_API_KEY,
             'Content-Type': 'application/json'
@@ -605,16 +788,17 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'MEERKATS_TA
             content: [
               {
                 type: "text",
-                text: `**Meerkats Table Web Search Results:**\\n\\n**Query:** ${args.query}\\n**Status:** Success\\n**Content Length:** ${content.length} characters\\n\\n**Search Results:**\\n${content.substring(0, 3000)}${content.length > 3000 ? '...\\n\\n(Content truncated)' : ''}`
+                text: `**Meerkats Table Web Search Results:**\n\n**Query:** ${args.query}\n**Status:** Success\n**Content Length:** ${content.length} characters\n\n**Search Results:**\n${content.substring(0, 3000)}${content.length > 3000 ? '...\n\n(Content truncated)' : ''}`
               }
-            ]
+            ],
+            structuredContent: { query: args.query, content, content_length: content.length }
           };
         }
 
         throw new Error('No search results found');
       } catch (error) {
-        const errorMessage = error.response?.data?.error || error.message;
-        throw new Error(`Meerkats Table web search failed: ${errorMessage}`);
+        const errorMessage = error.message;
+        throw new Error(`Meerkats Table web search failed: ${errorMessage}`, { cause: error });
       }
     },
     async list_tables(args, accessToken) {
@@ -630,7 +814,7 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'MEERKATS_TA
         accessToken
       );
 
-      console.log(`Successfully listed ${result.data?.length || 0} tables`, {
+      log('meerkats-table', `Successfully listed ${result.data?.length || 0} tables`, {
         pagination: result.pagination
       });
 
@@ -641,7 +825,8 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'MEERKATS_TA
             ` (page ${result.pagination.page} of ${result.pagination.totalPages}, total: ${result.pagination.total})` :
             ''}:\n\n${JSON.stringify(result.data, null, 2)}${result.pagination ?
               `\n\nPagination Info:\n${JSON.stringify(result.pagination, null, 2)}` : ''} table links format  tableLink:[📊 table.name](https://app.meerkats.ai/dashboard/table/table._id)",`
-        }]
+        }],
+        structuredContent: { data: result }
       };
     },
 async "meerkats-table-create-table-by-file"(args, accessToken) {
@@ -656,7 +841,8 @@ async "meerkats-table-create-table-by-file"(args, accessToken) {
         content: [{
           type: "text",
           text: `Table created:\n${JSON.stringify(result, null, 2)}`
-        }]
+        }],
+        structuredContent: { data: result }
       };
     },
 
@@ -667,18 +853,18 @@ async "meerkats-table-create-table-by-file"(args, accessToken) {
         null,
         accessToken
       );
-      console.log(`Retrieved table details for table `);
-      console.log(JSON.stringify(result, null, 2));
+      log('meerkats-table', `Retrieved table details for table ${args.tableId}`);
       return {
         content: [{
           type: "text",
           text: `Table details:\n${JSON.stringify(result, null, 2)}`
-        }]
+        }],
+        structuredContent: { data: result }
       };
     },
 
     async create_table(args, accessToken) {
-      console.log(`Creating table with columns=>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>>`);
+      log('meerkats-table', `Creating table with ${args?.columns?.length || 0} columns`);
 
       // Validate AI columns have required tools
       if (args.columns) {
@@ -716,12 +902,13 @@ async "meerkats-table-create-table-by-file"(args, accessToken) {
         accessToken
       );
 
-      console.log(`Created table with ${args?.columns?.length} columns`);
+      log('meerkats-table', `Created table with ${args?.columns?.length} columns`);
       return {
         content: [{
           type: "text",
           text: `Created table successfully:\n${JSON.stringify(result.data, null, 2)}`
-        }]
+        }],
+        structuredContent: { data: result.data }
       };
     },
 
@@ -743,7 +930,8 @@ async "meerkats-table-create-table-by-file"(args, accessToken) {
         content: [{
           type: "text",
           text: `Updated table successfully:\n${JSON.stringify(result.data, null, 2)}`
-        }]
+        }],
+        structuredContent: { data: result.data }
       };
     },
 
@@ -759,7 +947,8 @@ async "meerkats-table-create-table-by-file"(args, accessToken) {
         content: [{
           type: "text",
           text: `Table ${args.tableId} deleted successfully.`
-        }]
+        }],
+        structuredContent: { data: { tableId: args.tableId, deleted: true } }
       };
     },
 
@@ -775,7 +964,7 @@ async "meerkats-table-create-table-by-file"(args, accessToken) {
         accessToken
       );
 
-      console.log(`Retrieved ${result.data?.length || 0} rows from table ${args.tableId}`, {
+      log('meerkats-table', `Retrieved ${result.data?.length || 0} rows from table ${args.tableId}`, {
         pagination: result.pagination
       });
 
@@ -783,7 +972,8 @@ async "meerkats-table-create-table-by-file"(args, accessToken) {
         content: [{
           type: "text",
           text: `Retrieved ${result.data?.length || 0} rows from table${result.pagination ? ` (page ${result.pagination.page} of ${result.pagination.totalPages}, total: ${result.pagination.total})` : ''}:\n\n${JSON.stringify(result.data, null, 2)}${result.pagination ? `\n\nPagination Info:\n${JSON.stringify(result.pagination, null, 2)}` : ''}`
-        }]
+        }],
+        structuredContent: { data: result }
       };
     },
 
@@ -799,7 +989,8 @@ async "meerkats-table-create-table-by-file"(args, accessToken) {
         content: [{
           type: "text",
           text: `Added row successfully:\n${JSON.stringify(result.data, null, 2)}`
-        }]
+        }],
+        structuredContent: { data: result.data }
       };
     },
 
@@ -815,7 +1006,8 @@ async "meerkats-table-create-table-by-file"(args, accessToken) {
         content: [{
           type: "text",
           text: `Updated row successfully:\n${JSON.stringify(result.data, null, 2)}`
-        }]
+        }],
+        structuredContent: { data: result.data }
       };
     },
 
@@ -831,7 +1023,8 @@ async "meerkats-table-create-table-by-file"(args, accessToken) {
         content: [{
           type: "text",
           text: `Row ${args.rowId} deleted successfully from table ${args.tableId}.`
-        }]
+        }],
+        structuredContent: { data: { tableId: args.tableId, rowId: args.rowId, deleted: true } }
       };
     },
 
@@ -847,7 +1040,8 @@ async "meerkats-table-create-table-by-file"(args, accessToken) {
         content: [{
           type: "text",
           text: `Table statistics:\n${JSON.stringify(result.data, null, 2)}`
-        }]
+        }],
+        structuredContent: { data: result.data }
       };
     },
 
@@ -859,12 +1053,13 @@ async "meerkats-table-create-table-by-file"(args, accessToken) {
         accessToken
       );
 
-      console.log(`Added ${args.rows.length} rows in bulk to table ${args.tableId}`);
+      log('meerkats-table', `Added ${args.rows.length} rows in bulk to table ${args.tableId}`);
       return {
         content: [{
           type: "text",
           text: `Added ${args.rows.length} rows successfully:\n${JSON.stringify(result.data, null, 2)}`
-        }]
+        }],
+        structuredContent: { data: result.data }
       };
     },
 
@@ -876,12 +1071,13 @@ async "meerkats-table-create-table-by-file"(args, accessToken) {
         accessToken
       );
 
-      console.log(`Retrieved ${result.data?.length || 0} available MCP servers`);
+      log('meerkats-table', `Retrieved ${result.data?.length || 0} available MCP servers`);
       return {
         content: [{
           type: "text",
           text: `Available MCP servers for AI columns:\n${JSON.stringify(result.data, null, 2)}`
-        }]
+        }],
+        structuredContent: { data: result.data }
       };
     },
 
@@ -908,16 +1104,17 @@ async "meerkats-table-create-table-by-file"(args, accessToken) {
         accessToken
       );
 
-      console.log(`Added column '${args.name}' to table ${args.tableId}`);
+      log('meerkats-table', `Added column '${args.name}' to table ${args.tableId}`);
       return {
         content: [{
           type: "text",
           text: `Column '${args.name}' added successfully:\n${JSON.stringify(result, null, 2)}`
-        }]
+        }],
+        structuredContent: { data: result }
       };
     },
     async add_table_columns(args, accessToken) {
-      console.log(`Adding columns to table ${args.tableId}`);
+      log('meerkats-table', `Adding columns to table ${args.tableId}`);
 
       // Parse columns if it's a string (for backward compatibility)
       let columns = args.columns;
@@ -925,8 +1122,8 @@ async "meerkats-table-create-table-by-file"(args, accessToken) {
         try {
           columns = JSON.parse(columns);
         } catch (error) {
-          console.log(`Failed to parse columns JSON: ${error.message}`);
-          throw new Error(`Invalid columns format: ${error.message}`);
+          log.warn('meerkats-table', `Failed to parse columns JSON: ${error.message}`);
+          throw new Error(`Invalid columns format: ${error.message}`, { cause: error });
         }
       }
 
@@ -957,7 +1154,8 @@ async "meerkats-table-create-table-by-file"(args, accessToken) {
         content: [{
           type: "text",
           text: `Successfully validated ${columns.length} columns for table ${args.tableId}:\n${JSON.stringify(result, null, 2)}`
-        }]
+        }],
+        structuredContent: { data: result }
       };
     },
 
@@ -985,12 +1183,13 @@ async "meerkats-table-create-table-by-file"(args, accessToken) {
         accessToken
       );
 
-      console.log(`Updated column '${args.columnId}' in table ${args.tableId}`);
+      log('meerkats-table', `Updated column '${args.columnId}' in table ${args.tableId}`);
       return {
         content: [{
           type: "text",
           text: `Column updated successfully:\n${JSON.stringify(result.data, null, 2)}`
-        }]
+        }],
+        structuredContent: { data: result.data }
       };
     },
 
@@ -1007,12 +1206,13 @@ async "meerkats-table-create-table-by-file"(args, accessToken) {
         accessToken
       );
 
-      console.log(`${args.isScheduled === false ? 'Disabled' : 'Configured'} scheduling for column '${args.columnId}' in table ${args.tableId}`);
+      log('meerkats-table', `${args.isScheduled === false ? 'Disabled' : 'Configured'} scheduling for column '${args.columnId}' in table ${args.tableId}`);
       return {
         content: [{
           type: "text",
           text: `Column scheduling ${args.isScheduled === false ? 'disabled' : 'configured'} successfully:\n${JSON.stringify(result.data, null, 2)}`
-        }]
+        }],
+        structuredContent: { data: result.data }
       };
     },
 
@@ -1024,12 +1224,13 @@ async "meerkats-table-create-table-by-file"(args, accessToken) {
         accessToken
       );
 
-      console.log(`Retrieved schedule information for column '${args.columnId}' in table ${args.tableId}`);
+      log('meerkats-table', `Retrieved schedule information for column '${args.columnId}' in table ${args.tableId}`);
       return {
         content: [{
           type: "text",
           text: `Column schedule information:\n${JSON.stringify(result.data, null, 2)}`
-        }]
+        }],
+        structuredContent: { data: result.data }
       };
     },
 
@@ -1049,7 +1250,7 @@ async "meerkats-table-create-table-by-file"(args, accessToken) {
         accessToken
       );
 
-      console.log(`Filtered rows in table ${args.tableId}`, {
+      log('meerkats-table', `Filtered rows in table ${args.tableId}`, {
         totalRows: result.data.totalRows,
         filteredCount: result.data.filteredRowsCount,
         page: result.data.pagination.page,
@@ -1060,7 +1261,8 @@ async "meerkats-table-create-table-by-file"(args, accessToken) {
         content: [{
           type: "text",
           text: `Successfully filtered table rows:\n\nSummary:\n- Total rows matching filter: ${result.data.totalRows}\n- Rows returned: ${result.data.filteredRowsCount}\n- Page: ${result.data.pagination.page + 1}\n- Has more pages: ${result.data.pagination.hasMore}\n\nFiltered Rows:\n${JSON.stringify(result.data.rows, null, 2)}${result.data.filter.columns.length > 0 ? `\n\nApplied Filters:\n${JSON.stringify(result.data.filter.columns, null, 2)}` : ''}${result.data.filter.from || result.data.filter.to ? `\n\nRow Range Filter: ${result.data.filter.from ? `from row ${result.data.filter.from}` : ''}${result.data.filter.from && result.data.filter.to ? ' ' : ''}${result.data.filter.to ? `to row ${result.data.filter.to}` : ''}` : ''}`
-        }]
+        }],
+        structuredContent: { data: result.data }
       };
     },
 
@@ -1076,7 +1278,7 @@ async "meerkats-table-create-table-by-file"(args, accessToken) {
         accessToken
       );
 
-      console.log(`Successfully listed ${result.data?.length || 0} sheets for table ${args.tableId}`, {
+      log('meerkats-table', `Successfully listed ${result.data?.length || 0} sheets for table ${args.tableId}`, {
         pagination: result.pagination
       });
 
@@ -1084,7 +1286,8 @@ async "meerkats-table-create-table-by-file"(args, accessToken) {
         content: [{
           type: "text",
           text: `Found ${result.data?.length || 0} sheets in table${result.pagination ? ` (page ${result.pagination.page} of ${result.pagination.totalPages}, total: ${result.pagination.total})` : ''}:\n\n${JSON.stringify(result.data, null, 2)}${result.pagination ? `\n\nPagination Info:\n${JSON.stringify(result.pagination, null, 2)}` : ''}`
-        }]
+        }],
+        structuredContent: { data: result }
       };
     },
 
@@ -1096,12 +1299,13 @@ async "meerkats-table-create-table-by-file"(args, accessToken) {
         accessToken
       );
 
-      console.log(`Retrieved sheet details for ${args.sheetId}`);
+      log('meerkats-table', `Retrieved sheet details for ${args.sheetId}`);
       return {
         content: [{
           type: "text",
           text: `Sheet details:\n${JSON.stringify(result.data, null, 2)}`
-        }]
+        }],
+        structuredContent: { data: result.data }
       };
     },
 
@@ -1117,12 +1321,13 @@ async "meerkats-table-create-table-by-file"(args, accessToken) {
         accessToken
       );
 
-      console.log(`Created new sheet '${args.sheetName}' in table ${args.tableId}`);
+      log('meerkats-table', `Created new sheet '${args.sheetName}' in table ${args.tableId}`);
       return {
         content: [{
           type: "text",
           text: `Successfully created sheet '${args.sheetName}':\n${JSON.stringify(result.data, null, 2)}`
-        }]
+        }],
+        structuredContent: { data: result.data }
       };
     },
 
@@ -1138,12 +1343,13 @@ async "meerkats-table-create-table-by-file"(args, accessToken) {
         accessToken
       );
 
-      console.log(`Updated sheet ${args.sheetId}`);
+      log('meerkats-table', `Updated sheet ${args.sheetId}`);
       return {
         content: [{
           type: "text",
           text: `Successfully updated sheet:\n${JSON.stringify(result.data, null, 2)}`
-        }]
+        }],
+        structuredContent: { data: result.data }
       };
     },
 
@@ -1155,12 +1361,13 @@ async "meerkats-table-create-table-by-file"(args, accessToken) {
         accessToken
       );
 
-      console.log(`Deleted sheet ${args.sheetId}`);
+      log('meerkats-table', `Deleted sheet ${args.sheetId}`);
       return {
         content: [{
           type: "text",
           text: `Successfully deleted sheet ${args.sheetId}`
-        }]
+        }],
+        structuredContent: { data: { sheetId: args.sheetId, deleted: true } }
       };
     },
 
@@ -1176,7 +1383,7 @@ async "meerkats-table-create-table-by-file"(args, accessToken) {
         accessToken
       );
 
-      console.log(`Retrieved ${result.data?.length || 0} rows from sheet ${args.sheetId}`, {
+      log('meerkats-table', `Retrieved ${result.data?.length || 0} rows from sheet ${args.sheetId}`, {
         pagination: result.pagination
       });
 
@@ -1184,7 +1391,8 @@ async "meerkats-table-create-table-by-file"(args, accessToken) {
         content: [{
           type: "text",
           text: `Retrieved ${result.data?.length || 0} rows from sheet${result.pagination ? ` (page ${result.pagination.page} of ${result.pagination.totalPages}, total: ${result.pagination.total})` : ''}:\n\n${JSON.stringify(result.data, null, 2)}${result.pagination ? `\n\nPagination Info:\n${JSON.stringify(result.pagination, null, 2)}` : ''}`
-        }]
+        }],
+        structuredContent: { data: result }
       };
     },
 
@@ -1196,12 +1404,13 @@ async "meerkats-table-create-table-by-file"(args, accessToken) {
         accessToken
       );
 
-      console.log(`Added new row to sheet ${args.sheetId}`);
+      log('meerkats-table', `Added new row to sheet ${args.sheetId}`);
       return {
         content: [{
           type: "text",
           text: `Successfully added row to sheet:\n${JSON.stringify(result.data, null, 2)}`
-        }]
+        }],
+        structuredContent: { data: result.data }
       };
     },
 
@@ -1213,12 +1422,13 @@ async "meerkats-table-create-table-by-file"(args, accessToken) {
         accessToken
       );
 
-      console.log(`Updated row ${args.rowId} in sheet ${args.sheetId}`);
+      log('meerkats-table', `Updated row ${args.rowId} in sheet ${args.sheetId}`);
       return {
         content: [{
           type: "text",
           text: `Successfully updated row in sheet:\n${JSON.stringify(result.data, null, 2)}`
-        }]
+        }],
+        structuredContent: { data: result.data }
       };
     },
 
@@ -1230,12 +1440,13 @@ async "meerkats-table-create-table-by-file"(args, accessToken) {
         accessToken
       );
 
-      console.log(`Deleted row ${args.rowId} from sheet ${args.sheetId}`);
+      log('meerkats-table', `Deleted row ${args.rowId} from sheet ${args.sheetId}`);
       return {
         content: [{
           type: "text",
           text: `Successfully deleted row ${args.rowId} from sheet`
-        }]
+        }],
+        structuredContent: { data: { sheetId: args.sheetId, rowId: args.rowId, deleted: true } }
       };
     },
 
@@ -1255,7 +1466,7 @@ async "meerkats-table-create-table-by-file"(args, accessToken) {
         accessToken
       );
 
-      console.log(`Filtered rows in sheet ${args.sheetId}`, {
+      log('meerkats-table', `Filtered rows in sheet ${args.sheetId}`, {
         totalRows: result.data.totalRows,
         filteredCount: result.data.filteredRowsCount,
         page: result.data.pagination.page,
@@ -1266,7 +1477,8 @@ async "meerkats-table-create-table-by-file"(args, accessToken) {
         content: [{
           type: "text",
           text: `Successfully filtered sheet rows:\n\nSummary:\n- Total rows matching filter: ${result.data.totalRows}\n- Rows returned: ${result.data.filteredRowsCount}\n- Page: ${result.data.pagination.page + 1}\n- Has more pages: ${result.data.pagination.hasMore}\n\nFiltered Rows:\n${JSON.stringify(result.data.rows, null, 2)}${result.data.filter.columns.length > 0 ? `\n\nApplied Filters:\n${JSON.stringify(result.data.filter.columns, null, 2)}` : ''}${result.data.filter.from || result.data.filter.to ? `\n\nRow Range Filter: ${result.data.filter.from ? `from row ${result.data.filter.from}` : ''}${result.data.filter.from && result.data.filter.to ? ' ' : ''}${result.data.filter.to ? `to row ${result.data.filter.to}` : ''}` : ''}`
-        }]
+        }],
+        structuredContent: { data: result.data }
       };
     },
 
@@ -1303,7 +1515,7 @@ async "meerkats-table-create-table-by-file"(args, accessToken) {
         accessToken
       );
 
-      console.log(`Successfully listed ${result.data?.length || 0} artifacts`, {
+      log('meerkats-table', `Successfully listed ${result.data?.length || 0} artifacts`, {
         pagination: result.pagination
       });
 
@@ -1311,7 +1523,8 @@ async "meerkats-table-create-table-by-file"(args, accessToken) {
         content: [{
           type: "text",
           text: `Found ${result.data?.length || 0} artifacts${result.pagination ? ` (page ${result.pagination.page} of ${result.pagination.totalPages}, total: ${result.pagination.total})` : ''}:\n\n${JSON.stringify(result.data, null, 2)}${result.pagination ? `\n\nPagination Info:\n${JSON.stringify(result.pagination, null, 2)}` : ''}`
-        }]
+        }],
+        structuredContent: { data: result }
       };
     },
 
@@ -1323,12 +1536,13 @@ async "meerkats-table-create-table-by-file"(args, accessToken) {
         accessToken
       );
 
-      console.log(`Retrieved artifact details for ${args.artifactId}`);
+      log('meerkats-table', `Retrieved artifact details for ${args.artifactId}`);
       return {
         content: [{
           type: "text",
           text: `Artifact details:\n${JSON.stringify(result.data, null, 2)}`
-        }]
+        }],
+        structuredContent: { data: result.data }
       };
     },
     async google_map_search(args, accessToken) {
@@ -1342,13 +1556,13 @@ async "meerkats-table-create-table-by-file"(args, accessToken) {
         content: [{
           type: "text",
           text: `Google Map result :\n${JSON.stringify(result)}`
-        }]
+        }],
+        structuredContent: { data: result }
       };
     },
 
     async get_mcp_server_rate_limits(args, accessToken) {
-      console.log('Retrieving MCP Server Rate Limits');
-      console.log(JSON.stringify(args));
+      log('meerkats-table', 'Retrieving MCP Server Rate Limits');
       const params = new URLSearchParams();
       if (args.serverName) params.append('serverName', args.serverName);
 
@@ -1359,7 +1573,7 @@ async "meerkats-table-create-table-by-file"(args, accessToken) {
         accessToken
       );
 
-      console.log(`Successfully retrieved ${result.data?.length || 0} rate limit settings`, {
+      log('meerkats-table', `Successfully retrieved ${result.data?.length || 0} rate limit settings`, {
         serverName: args.serverName
       });
 
@@ -1367,7 +1581,8 @@ async "meerkats-table-create-table-by-file"(args, accessToken) {
         content: [{
           type: "text",
           text: `MCP Server Rate Limits${args.serverName ? ` for server ${args.serverName}` : ''}:\n\n${JSON.stringify(result.data, null, 2)}`
-        }]
+        }],
+        structuredContent: { data: result.data }
       };
     },
 
@@ -1384,7 +1599,7 @@ async "meerkats-table-create-table-by-file"(args, accessToken) {
         accessToken
       );
 
-      console.log(`Updated rate limit for server ${args.serverName}`, {
+      log('meerkats-table', `Updated rate limit for server ${args.serverName}`, {
         limit: args.limit,
         timeperiod: args.timeperiod,
         entity: args.entity
@@ -1394,7 +1609,8 @@ async "meerkats-table-create-table-by-file"(args, accessToken) {
         content: [{
           type: "text",
           text: `Successfully updated MCP server rate limit:\n\n${JSON.stringify(result, null, 2)}`
-        }]
+        }],
+        structuredContent: { data: result }
       };
     },
 
@@ -1409,7 +1625,7 @@ async "meerkats-table-create-table-by-file"(args, accessToken) {
         accessToken
       );
 
-      console.log(`Checked for duplicates in table ${args.tableId}`, {
+      log('meerkats-table', `Checked for duplicates in table ${args.tableId}`, {
         attributeKeys: args.attributeKeys,
         duplicatesFound: result.data?.totalDuplicateRows || 0
       });
@@ -1418,7 +1634,8 @@ async "meerkats-table-create-table-by-file"(args, accessToken) {
         content: [{
           type: "text",
           text: `Duplicate row check completed for table ${args.tableId}:\n\n- Columns checked: ${args.attributeKeys.join(', ')}\n- Total duplicate rows found: ${result.data?.totalDuplicateRows || 0}\n\nFull Result:\n${JSON.stringify(result, null, 2)}`
-        }]
+        }],
+        structuredContent: { data: result }
       };
     },
 
@@ -1433,7 +1650,7 @@ async "meerkats-table-create-table-by-file"(args, accessToken) {
         accessToken
       );
 
-      console.log(`Deleted duplicate rows from table ${args.tableId}`, {
+      log('meerkats-table', `Deleted duplicate rows from table ${args.tableId}`, {
         attributeKeys: args.attributeKeys,
         result: result.data || result
       });
@@ -1442,7 +1659,8 @@ async "meerkats-table-create-table-by-file"(args, accessToken) {
         content: [{
           type: "text",
           text: `Duplicate row deletion completed for table ${args.tableId}:\n\n- Columns used for duplicate detection: ${args.attributeKeys.join(', ')}\n- Operation: ${result.message || 'Completed'}\n\nFull Result:\n${JSON.stringify(result, null, 2)}`
-        }]
+        }],
+        structuredContent: { data: result }
       };
     }
   };
@@ -1455,8 +1673,45 @@ async "meerkats-table-create-table-by-file"(args, accessToken) {
   for (const tool of toolsDefinitions) {
     toolHandlers[tool.name] = toolHandlersOriginal[tool.name];
   }
+
+  const resourcesDefinitions = [
+    {
+      name: "meerkats-table",
+      uriTemplate: "table://{id}",
+      title: "Meerkats Table",
+      description: "A Meerkats table: its details and first 100 rows",
+      mimeType: "application/json",
+      list: async (accessToken) => {
+        const result = await makeAuthenticatedApiRequest(`/automations?limit=100`, 'GET', null, accessToken);
+
+        return (result.data || []).map(table => ({
+          uri: `table://${table._id}`,
+          name: table.name,
+          description: table.description,
+          mimeType: "application/json"
+        }));
+      },
+      read: async (uri, { id }, accessToken) => {
+        const [table, rows] = await Promise.all([
+          makeAuthenticatedApiRequest(`/automations/${id}`, 'GET', null, accessToken),
+          makeAuthenticatedApiRequest(`/automations/${id}/rows?limit=100`, 'GET', null, accessToken)
+        ]);
+
+        return {
+          contents: [{
+            uri,
+            mimeType: "application/json",
+            text: JSON.stringify({ table, rows: rows.data, pagination: rows.pagination })
+          }]
+        };
+      }
+    }
+  ];
+
   return {
     toolsDefinitions,
-    toolHandlers
+    toolHandlers,
+    resourcesDefinitions,
+    supportsDryRun: true
   };
 }
\ No newline at end of file
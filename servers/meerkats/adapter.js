@@ -1,6 +1,8 @@
 // Meerkats MCP Server Adapter for 2025 Protocol
 import { z } from 'zod';
-import axios from 'axios';
+import { createHttpClient } from '../../utils/http-client.js';
+import { sleep } from '../../utils/cancellation.js';
+import { stringOrNumber } from '../../utils/output-schemas.js';
 import * as dns from 'dns';
 import { promisify } from 'util';
 import { type } from 'os';
@@ -14,6 +16,12 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'MEERKATS_AP
   // External service configuration
   const EMAIL_SERVICE_URL = process.env.EMAIL_SERVICE_URL || 'http://34.46.80.154/api/email';
   const EMAIL_API_KEY = process.env.EMAIL_API_KEY || 'jhfgkjghtucvfg';
+  const SCRAPPER_API_URL = process.env.SCRAPPER_API_URL || 'https://crawlee-scrapper-126608443486.us-central1.run.app';
+
+  // Verification, scraping and places lookups have no side effects, so POSTs are safe to retry
+  const emailServiceApi = createHttpClient({ provider: 'meerkats-email', baseURL: EMAIL_SERVICE_URL, retryNonIdempotent: true });
+  const scraperApi = createHttpClient({ provider: 'meerkats-scraper', baseURL: SCRAPPER_API_URL, retryNonIdempotent: true });
+  const googleApi = createHttpClient({ provider: 'google', retryNonIdempotent: true });
 
   // Promisify DNS functions
   const resolveMx = promisify(dns.resolveMx);
@@ -23,6 +31,7 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'MEERKATS_AP
       name: "meerkats-scrape-url",
       title: "Meerkats Scrape URL",
       description: "Scrape a URL and return the content as markdown or HTML",
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         url: z.string().describe("URL to scrape"),
         formats: z.array(z.enum(["markdown", "html"])).optional().describe("Content formats to extract (default: ['markdown'])"),
@@ -31,95 +40,166 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'MEERKATS_AP
         excludeTags: z.array(z.string()).optional().describe("HTML tags to exclude from extraction"),
         waitFor: z.number().optional().describe("Time in milliseconds to wait for dynamic content to load"),
         timeout: z.number().optional().describe("Maximum time in milliseconds to wait for the page to load")
+      },
+      outputSchema: {
+        url: z.string(),
+        content: z.string().describe("Full scraped content, not truncated like the text rendering"),
+        content_length: z.number()
       }
     },
     {
       name: "meerkats-web-search",
       title: "Meerkats Web Search",
       description: "Search the web and return results",
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         query: z.string().describe("Query to search for on the web")
+      },
+      outputSchema: {
+        query: z.string(),
+        content: z.string().describe("Full search results content, not truncated like the text rendering"),
+        content_length: z.number()
       }
     },
     {
       name: "meerkats-verify-email",
       title: "Meerkats Verify Email",
       description: "Verify if an email address is valid and active using SMTP verification",
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         email: z.string().describe("Email address to verify"),
         fromEmail: z.string().optional().describe("Email address to use as the sender in SMTP verification")
+      },
+      outputSchema: {
+        email: z.string(),
+        exists: z.boolean(),
+        details: z.record(z.any()).describe("Raw verification response")
       }
     },
     {
       name: "meerkats-guess-email",
       title: "Meerkats Guess Email",
       description: "Guess email addresses based on name and domain using common email patterns",
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         firstName: z.string().describe("First name of the person"),
         lastName: z.string().describe("Last name of the person"),
         domain: z.string().describe("Company domain name"),
         fromEmail: z.string().optional().describe("Email address to use as the sender in SMTP verification"),
         company: z.string().optional().describe("Company name (optional)")
+      },
+      outputSchema: {
+        first_name: z.string(),
+        last_name: z.string(),
+        domain: z.string(),
+        company: z.string().nullable(),
+        details: z.record(z.any()).describe("Raw guess response with the generated email patterns")
       }
     },
     {
       name: "meerkats-generate-support-emails",
       title: "Meerkats Generate Support Emails",
       description: "Generate and verify group support email addresses for a domain",
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         domain: z.string().describe("Domain to generate support emails for"),
         emails: z.string().optional().describe("List of email prefixes to check, separated by commas"),
         fromEmail: z.string().optional().describe("Email address to use as the sender in SMTP verification")
+      },
+      outputSchema: {
+        domain: z.string(),
+        tested: z.array(z.string()),
+        valid: z.array(z.string())
       }
     },
     {
       name: "meerkats-check-domain-catch-all",
       title: "Meerkats Check Domain Catch-All",
       description: "Check if a domain has a catch-all email address",
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         domain: z.string().describe("Domain to check for catch-all")
+      },
+      outputSchema: {
+        domain: z.string(),
+        is_catch_all: z.boolean(),
+        confidence: stringOrNumber.nullable(),
+        details: z.record(z.any()).describe("Raw catch-all check response")
       }
     },
     {
       name: "meerkats-get-mx-for-domain",
       title: "Meerkats Get MX Records",
       description: "Get MX records for a domain",
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         domain: z.string().describe("Domain to get MX records for")
+      },
+      outputSchema: {
+        domain: z.string(),
+        source: z.enum(["api", "dns"]).describe("Whether records came from the email service or a direct DNS lookup"),
+        mx_records: z.array(z.any())
       }
     },
     {
       name: "meerkats-google-serp",
       title: "Meerkats Google Search Results",
       description: "Get Google search results for a query with page limit",
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         query: z.string().describe("Search query"),
         limit: z.number().optional().describe("Maximum number of results to return (default: 10)")
+      },
+      outputSchema: {
+        query: z.string(),
+        results: z.array(z.object({
+          rank: z.number(),
+          title: z.string(),
+          url: z.string(),
+          snippet: z.string()
+        }))
       }
     },
     {
       name: "meerkats-google-map",
       title: "Meerkats Google Maps Search",
       description: "Get Google Maps data for a location query, optionally at specific coordinates",
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         query: z.string().describe("Location search query"),
         location: z.string().optional().describe("Optional location parameter. If in 'latitude,longitude' format, will search at those coordinates"),
         limit: z.number().optional().describe("Maximum number of results to return (default: 10)")
+      },
+      outputSchema: {
+        query: z.string(),
+        location: z.string().nullable(),
+        places: z.array(z.object({
+          rank: z.number(),
+          name: z.string(),
+          address: z.string()
+        }))
       }
     },
     {
       name: "meerkats-google-places",
       title: "Meerkats Google Places",
       description: "Get Google Maps Places API data for a search query",
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         googleApiKey: z.string().describe("Google Maps API key optional, if not provided system will use default key").optional(),
         query: z.string().describe("Search query for places")
+      },
+      outputSchema: {
+        places: z.array(z.record(z.any())),
+        total_results: z.number(),
+        pages_fetched: z.number(),
+        has_more: z.boolean()
       }
     }
   ];
 
   const toolHandlers = {
-    'meerkats-scrape-url': async (args, apiKey, userId) => {
+    'meerkats-scrape-url': async (args, apiKey, userId, context) => {
       if (!apiKey) {
         throw new Error('Meerkats API key is required');
       }
@@ -127,12 +207,8 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'MEERKATS_AP
       try {
         const isTest = true
         if (isTest) {
-          await new Promise((resolve) => setTimeout(resolve, 20000));
-          return {
-            content: [
-              {
-                type: "text",
-                text: `Scraping Results: Automate growth workflows
+          await sleep(20000, context.signal);
+          const sampleContent = `Scraping Results: Automate growth workflows
 by chatting with AI
 
 Generate leads, onboard users, and track results
@@ -155,9 +231,15 @@ Benefit Icon
 
 Modern GTM needs dynamic campaigns that convert better — not clunky workflows
 With Meerkats AI you
-chat your way to growth`
+chat your way to growth`;
+          return {
+            content: [
+              {
+                type: "text",
+                text: sampleContent
               }
-            ]
+            ],
+            structuredContent: { url: args.url, content: sampleContent, content_length: sampleContent.length }
           };
         }
         let url = args.url;
@@ -173,9 +255,8 @@ chat your way to growth`
           instant: args.waitFor ? false : true
         };
 
-        const SCRAPPER_API_URL = process.env.SCRAPPER_API_URL || 'https://crawlee-scrapper-126608443486.us-central1.run.app';
         const SCRAPPER_API_KEY = process.env.SCRAPPER_API_KEY || apiKey;
-        const response = await axios.post(`${SCRAPPER_API_URL}/api/scraper/scrape`, payload, {
+        const response = await scraperApi.post('/api/scraper/scrape', payload, {
           headers: {
             'x-api-key': SCRAPPER_API_KEY,
             'Content-Type': 'application/json'
@@ -204,16 +285,17 @@ chat your way to growth`
             content: [
               {
                 type: "text",
-                text: `**Meerkats URL Scraping Results:**\\n\\n**URL:** ${args.url}\\n**Status:** Success\\n**Content Length:** ${content.length} characters\\n\\n**Content:**\\n${content.substring(0, 3000)}${content.length > 3000 ? '...\\n\\n(Content truncated)' : ''}`
+                text: `**Meerkats URL Scraping Results:**\n\n**URL:** ${args.url}\n**Status:** Success\n**Content Length:** ${content.length} characters\n\n**Content:**\n${content.substring(0, 3000)}${content.length > 3000 ? '...\n\n(Content truncated)' : ''}`
               }
-            ]
+            ],
+            structuredContent: { url: args.url, content, content_length: content.length }
           };
         }
 
         throw new Error('No content found in scraping result');
       } catch (error) {
-        const errorMessage = error.response?.data?.error || error.message;
-        throw new Error(`Meerkats URL scraping failed: ${errorMessage}`);
+        const errorMessage = error.message;
+        throw new Error(`Meerkats URL scraping failed: ${errorMessage}`, { cause: error });
       }
     },
 
@@ -235,9 +317,8 @@ chat your way to growth`
           instant: true
         };
 
-        const SCRAPPER_API_URL = process.env.SCRAPPER_API_URL || 'https://crawlee-scrapper-126608443486.us-central1.run.app';
         const SCRAPPER_API_KEY = process.env.SCRAPPER_API_KEY || apiKey;
-        const response = await axios.post(`${SCRAPPER_API_URL}/api/scraper/scrape`, payload, {
+        const response = await scraperApi.post('/api/scraper/scrape', payload, {
           headers: {
             'x-api-key': SCRAPPER_API_KEY,
             'Content-Type': 'application/json'
@@ -252,16 +333,17 @@ chat your way to growth`
             content: [
               {
                 type: "text",
-                text: `**Meerkats Web Search Results:**\\n\\n**Query:** ${args.query}\\n**Status:** Success\\n**Content Length:** ${content.length} characters\\n\\n**Search Results:**\\n${content.substring(0, 3000)}${content.length > 3000 ? '...\\n\\n(Content truncated)' : ''}`
+                text: `**Meerkats Web Search Results:**\n\n**Query:** ${args.query}\n**Status:** Success\n**Content Length:** ${content.length} characters\n\n**Search Results:**\n${content.substring(0, 3000)}${content.length > 3000 ? '...\n\n(Content truncated)' : ''}`
               }
-            ]
+            ],
+            structuredContent: { query: args.query, content, content_length: content.length }
           };
         }
 
         throw new Error('No search results found');
       } catch (error) {
-        const errorMessage = error.response?.data?.error || error.message;
-        throw new Error(`Meerkats web search failed: ${errorMessage}`);
+        const errorMessage = error.message;
+        throw new Error(`Meerkats web search failed: ${errorMessage}`, { cause: error });
       }
     },
 
@@ -271,7 +353,7 @@ chat your way to growth`
       }
 
       try {
-        const response = await axios.post(`${EMAIL_SERVICE_URL}/verify`, {
+        const response = await emailServiceApi.post(`/verify`, {
           email: args.email,
           fromEmail: args.fromEmail || "test@example.com"
         }, {
@@ -288,12 +370,13 @@ chat your way to growth`
           content: [
             {
               type: "text",
-              text: `**Meerkats Email Verification Results:**\\n\\n**Email:** ${args.email}\\n**Valid:** ${result.exists ? 'Yes' : 'No'}\\n**Verification Method:** SMTP\\n**From Email:** ${args.fromEmail || 'test@example.com'}\\n\\n**Details:**\\n${JSON.stringify(result, null, 2)}`
+              text: `**Meerkats Email Verification Results:**\n\n**Email:** ${args.email}\n**Valid:** ${result.exists ? 'Yes' : 'No'}\n**Verification Method:** SMTP\n**From Email:** ${args.fromEmail || 'test@example.com'}\n\n**Details:**\n${JSON.stringify(result, null, 2)}`
             }
-          ]
+          ],
+          structuredContent: { email: args.email, exists: Boolean(result.exists), details: result }
         };
       } catch (error) {
-        throw new Error(`Meerkats email verification failed: ${error.message}`);
+        throw new Error(`Meerkats email verification failed: ${error.message}`, { cause: error });
       }
     },
 
@@ -303,7 +386,7 @@ chat your way to growth`
       }
 
       try {
-        const response = await axios.post(`${EMAIL_SERVICE_URL}/guess`, {
+        const response = await emailServiceApi.post(`/guess`, {
           firstName: args.firstName,
           lastName: args.lastName,
           domain: args.domain,
@@ -322,12 +405,19 @@ chat your way to growth`
           content: [
             {
               type: "text",
-              text: `**Meerkats Email Guessing Results:**\\n\\n**Name:** ${args.firstName} ${args.lastName}\\n**Domain:** ${args.domain}\\n**Company:** ${args.company || 'N/A'}\\n\\n**Generated Email Patterns:**\\n${JSON.stringify(result, null, 2)}`
+              text: `**Meerkats Email Guessing Results:**\n\n**Name:** ${args.firstName} ${args.lastName}\n**Domain:** ${args.domain}\n**Company:** ${args.company || 'N/A'}\n\n**Generated Email Patterns:**\n${JSON.stringify(result, null, 2)}`
             }
-          ]
+          ],
+          structuredContent: {
+            first_name: args.firstName,
+            last_name: args.lastName,
+            domain: args.domain,
+            company: args.company || null,
+            details: result
+          }
         };
       } catch (error) {
-        throw new Error(`Meerkats email guessing failed: ${error.message}`);
+        throw new Error(`Meerkats email guessing failed: ${error.message}`, { cause: error });
       }
     },
 
@@ -346,7 +436,7 @@ chat your way to growth`
         // Verify each email
         const verificationPromises = emails.map(async (email) => {
           try {
-            const response = await axios.post(`${EMAIL_SERVICE_URL}/verify`, {
+            const response = await emailServiceApi.post(`/verify`, {
               email: email,
               fromEmail: args.fromEmail || `noreply@${args.domain}`
             }, {
@@ -369,12 +459,13 @@ chat your way to growth`
           content: [
             {
               type: "text",
-              text: `**Meerkats Support Email Generation Results:**\\n\\n**Domain:** ${args.domain}\\n**Emails Tested:** ${emails.length}\\n**Valid Emails Found:** ${validEmails.length}\\n\\n**Valid Support Emails:**\\n${validEmails.map((email, i) => `${i + 1}. ${email}`).join('\\n') || 'None found'}\\n\\n**All Tested Emails:**\\n${emails.join(', ')}`
+              text: `**Meerkats Support Email Generation Results:**\n\n**Domain:** ${args.domain}\n**Emails Tested:** ${emails.length}\n**Valid Emails Found:** ${validEmails.length}\n\n**Valid Support Emails:**\n${validEmails.map((email, i) => `${i + 1}. ${email}`).join('\n') || 'None found'}\n\n**All Tested Emails:**\n${emails.join(', ')}`
             }
-          ]
+          ],
+          structuredContent: { domain: args.domain, tested: emails, valid: validEmails }
         };
       } catch (error) {
-        throw new Error(`Meerkats support email generation failed: ${error.message}`);
+        throw new Error(`Meerkats support email generation failed: ${error.message}`, { cause: error });
       }
     },
 
@@ -384,7 +475,7 @@ chat your way to growth`
       }
 
       try {
-        const response = await axios.post(`${EMAIL_SERVICE_URL}/catchall`, {
+        const response = await emailServiceApi.post(`/catchall`, {
           domain: args.domain
         }, {
           headers: {
@@ -400,12 +491,18 @@ chat your way to growth`
           content: [
             {
               type: "text",
-              text: `**Meerkats Domain Catch-All Check:**\\n\\n**Domain:** ${args.domain}\\n**Has Catch-All:** ${result.isCatchAll ? 'Yes' : 'No'}\\n**Confidence:** ${result.confidence || 'N/A'}\\n\\n**Details:**\\n${JSON.stringify(result, null, 2)}`
+              text: `**Meerkats Domain Catch-All Check:**\n\n**Domain:** ${args.domain}\n**Has Catch-All:** ${result.isCatchAll ? 'Yes' : 'No'}\n**Confidence:** ${result.confidence || 'N/A'}\n\n**Details:**\n${JSON.stringify(result, null, 2)}`
             }
-          ]
+          ],
+          structuredContent: {
+            domain: args.domain,
+            is_catch_all: Boolean(result.isCatchAll),
+            confidence: result.confidence ?? null,
+            details: result
+          }
         };
       } catch (error) {
-        throw new Error(`Meerkats domain catch-all check failed: ${error.message}`);
+        throw new Error(`Meerkats domain catch-all check failed: ${error.message}`, { cause: error });
       }
     },
 
@@ -417,7 +514,7 @@ chat your way to growth`
       try {
         // First try to get MX records using the email service API
         try {
-          const response = await axios.post(`${EMAIL_SERVICE_URL}/mx`, {
+          const response = await emailServiceApi.post(`/mx`, {
             domain: args.domain
           }, {
             headers: {
@@ -432,9 +529,10 @@ chat your way to growth`
             content: [
               {
                 type: "text",
-                text: `**Meerkats MX Records for ${args.domain}:**\\n\\n**Total MX Records:** ${result.mxRecords?.length || 0}\\n\\n**Details:**\\n${JSON.stringify(result, null, 2)}`
+                text: `**Meerkats MX Records for ${args.domain}:**\n\n**Total MX Records:** ${result.mxRecords?.length || 0}\n\n**Details:**\n${JSON.stringify(result, null, 2)}`
               }
-            ]
+            ],
+            structuredContent: { domain: args.domain, source: 'api', mx_records: result.mxRecords || [] }
           };
         } catch (apiError) {
           // Fallback to DNS lookup if API fails
@@ -448,13 +546,14 @@ chat your way to growth`
             content: [
               {
                 type: "text",
-                text: `**Meerkats MX Records for ${args.domain}:**\\n\\n**Total MX Records:** ${mxRecords.length}\\n\\n**MX Records (sorted by priority):**\\n${sortedMxRecords.join('\\n') || 'No MX records found'}\\n\\n**Raw Data:**\\n${JSON.stringify(mxRecords, null, 2)}`
+                text: `**Meerkats MX Records for ${args.domain}:**\n\n**Total MX Records:** ${mxRecords.length}\n\n**MX Records (sorted by priority):**\n${sortedMxRecords.join('\n') || 'No MX records found'}\n\n**Raw Data:**\n${JSON.stringify(mxRecords, null, 2)}`
               }
-            ]
+            ],
+            structuredContent: { domain: args.domain, source: 'dns', mx_records: mxRecords }
           };
         }
       } catch (error) {
-        throw new Error(`Meerkats MX record lookup failed: ${error.message}`);
+        throw new Error(`Meerkats MX record lookup failed: ${error.message}`, { cause: error });
       }
     },
 
@@ -467,7 +566,7 @@ chat your way to growth`
         const limit = args.limit || 10;
         const searchUrl = `https://www.google.com/search?q=${encodeURIComponent(args.query)}&num=${limit}`;
 
-        const response = await axios.get(searchUrl, {
+        const response = await googleApi.get(searchUrl, {
           headers: {
             'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
           },
@@ -503,12 +602,13 @@ chat your way to growth`
           content: [
             {
               type: "text",
-              text: `**Meerkats Google Search Results:**\\n\\n**Query:** ${args.query}\\n**Results Found:** ${results.length}\\n**Limit:** ${limit}\\n\\n**Search Results:**\\n${results.map(r => `${r.rank}. **${r.title}**\\n   URL: ${r.url}\\n   ${r.snippet}\\n`).join('\\n') || 'No results found'}\\n\\n**Note:** This is a basic SERP scraper. For production use, consider using Google Custom Search API.`
+              text: `**Meerkats Google Search Results:**\n\n**Query:** ${args.query}\n**Results Found:** ${results.length}\n**Limit:** ${limit}\n\n**Search Results:**\n${results.map(r => `${r.rank}. **${r.title}**\n   URL: ${r.url}\n   ${r.snippet}\n`).join('\n') || 'No results found'}\n\n**Note:** This is a basic SERP scraper. For production use, consider using Google Custom Search API.`
             }
-          ]
+          ],
+          structuredContent: { query: args.query, results }
         };
       } catch (error) {
-        throw new Error(`Meerkats Google search failed: ${error.message}`);
+        throw new Error(`Meerkats Google search failed: ${error.message}`, { cause: error });
       }
     },
 
@@ -532,7 +632,7 @@ chat your way to growth`
         // Use Google Maps search URL
         const mapsSearchUrl = `https://www.google.com/maps/search/${encodeURIComponent(searchQuery)}`;
 
-        const response = await axios.get(mapsSearchUrl, {
+        const response = await googleApi.get(mapsSearchUrl, {
           headers: {
             'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
           },
@@ -566,16 +666,17 @@ chat your way to growth`
           content: [
             {
               type: "text",
-              text: `**Meerkats Google Maps Search:**\\n\\n**Query:** ${args.query}\\n**Location:** ${args.location || 'N/A'}\\n**Places Found:** ${places.length}\\n**Limit:** ${limit}\\n\\n**Places:**\\n${places.map(p => `${p.rank}. **${p.name}**\\n   Address: ${p.address}\\n`).join('\\n') || 'No places found'}\\n\\n**Note:** This is a basic Maps scraper. For production use, consider using Google Maps Places API.`
+              text: `**Meerkats Google Maps Search:**\n\n**Query:** ${args.query}\n**Location:** ${args.location || 'N/A'}\n**Places Found:** ${places.length}\n**Limit:** ${limit}\n\n**Places:**\n${places.map(p => `${p.rank}. **${p.name}**\n   Address: ${p.address}\n`).join('\n') || 'No places found'}\n\n**Note:** This is a basic Maps scraper. For production use, consider using Google Maps Places API.`
             }
-          ]
+          ],
+          structuredContent: { query: args.query, location: args.location || null, places }
         };
       } catch (error) {
-        throw new Error(`Meerkats Google Maps search failed: ${error.message}`);
+        throw new Error(`Meerkats Google Maps search failed: ${error.message}`, { cause: error });
       }
     },
 
-    'meerkats-google-places': async (args, apiKey, userId) => {
+    'meerkats-google-places': async (args, apiKey, userId, context) => {
       if (!apiKey) {
         throw new Error('Meerkats API key is required');
       }
@@ -650,7 +751,7 @@ chat your way to growth`
           }
 
           // Make the request with the new API format
-          const response = await axios.post(url, requestBody, {
+          const response = await googleApi.post(url, requestBody, {
             headers: {
               'Content-Type': 'application/json',
               'X-Goog-Api-Key': googleApiKey || apiKey
@@ -684,9 +785,11 @@ chat your way to growth`
 
         // Fetch additional pages if needed to reach maxResults
         while (hasMore && allPlaces.length < maxResults && pagesFetched < 20) {
+          // Stop paging once the call is cancelled or the session ends
+          context.signal?.throwIfAborted();
           try {
             // Wait a short delay before making the next request (API may require this)
-            await new Promise(resolve => setTimeout(resolve, 1000));
+            await sleep(1000, context.signal);
 
             console.log(`Fetching page ${pagesFetched + 1} with token: ${pageToken}`);
 
@@ -712,6 +815,9 @@ chat your way to growth`
               hasMore = false;
             }
           } catch (error) {
+            if (context.signal?.aborted) {
+              throw error;
+            }
             const errorMessage = error instanceof Error ? error.message : 'Unknown error';
             console.error(`Error fetching next page: ${errorMessage}`);
             hasMore = false;
@@ -806,6 +912,8 @@ chat your way to growth`
           formattedResults.slice(0, maxResults) :
           formattedResults;
 
+        const placesResult = { places: limitedResults, total_results: limitedResults.length, pages_fetched: pagesFetched, has_more: hasMore };
+
         return {
           content: [
             {
@@ -814,13 +922,14 @@ chat your way to growth`
             }, 
             {
               type: "text",
-              text: JSON.stringify({ places: limitedResults, total_results: limitedResults.length, pages_fetched: pagesFetched, has_more: hasMore })
+              text: JSON.stringify(placesResult)
             }
-          ]
+          ],
+          structuredContent: placesResult
         };
       } catch (error) {
         console.log(error);
-        throw new Error(`Meerkats Google Places search failed: ${error.message}`);
+        throw new Error(`Meerkats Google Places search failed: ${error.message}`, { cause: error });
       }
     }
   };
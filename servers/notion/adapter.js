@@ -1,20 +1,89 @@
 // Adapter to convert Notion MCP Server to our format
-import axios from 'axios';
+import { createHttpClient } from '../../utils/http-client.js';
+import { responseOutputSchema } from '../../utils/output-schemas.js';
 import { z } from 'zod';
 
 const NOTION_VERSION = '2022-06-28';
 const BASE_URL = 'https://api.notion.com';
 
+// Notion API objects, as returned for NOTION_VERSION
+const parentSchema = z.object({
+  type: z.string().describe('database_id, page_id, block_id or workspace'),
+  database_id: z.string(),
+  page_id: z.string(),
+  block_id: z.string(),
+  workspace: z.boolean()
+});
+
+const richTextSchema = z.array(z.object({ type: z.string(), plain_text: z.string(), href: z.string().nullable() }));
+
+const pageSchema = z.object({
+  object: z.string(),
+  id: z.string(),
+  created_time: z.string(),
+  last_edited_time: z.string(),
+  archived: z.boolean(),
+  url: z.string(),
+  public_url: z.string().nullable(),
+  parent: parentSchema,
+  properties: z.record(z.any()).describe('Property values keyed by property name')
+});
+
+const databaseSchema = z.object({
+  object: z.string(),
+  id: z.string(),
+  created_time: z.string(),
+  last_edited_time: z.string(),
+  title: richTextSchema,
+  description: richTextSchema,
+  archived: z.boolean(),
+  is_inline: z.boolean(),
+  url: z.string(),
+  parent: parentSchema,
+  properties: z.record(z.any()).describe('Property schema keyed by property name')
+});
+
+// A block's content is under the key named by its type, e.g. paragraph
+const blockSchema = z.object({
+  object: z.string(),
+  id: z.string(),
+  type: z.string(),
+  created_time: z.string(),
+  last_edited_time: z.string(),
+  has_children: z.boolean(),
+  archived: z.boolean(),
+  parent: parentSchema
+});
+
+const userSchema = z.object({
+  object: z.string(),
+  id: z.string(),
+  type: z.string().describe('person or bot'),
+  name: z.string().nullable(),
+  avatar_url: z.string().nullable(),
+  person: z.object({ email: z.string() }),
+  bot: z.record(z.any())
+});
+
+const listSchema = resultSchema => z.object({
+  object: z.string(),
+  results: z.array(resultSchema),
+  next_cursor: z.string().nullable(),
+  has_more: z.boolean()
+});
+
 /**
  * Extract tools from Notion MCP server and create handlers for our multi-MCP system
  */
 export async function createServerAdapter(serverPath, apiKeyParam = 'NOTION_TOKEN') {
+  const notionApi = createHttpClient({ provider: 'notion', baseURL: BASE_URL });
 
   const toolsDefinitions = [
     {
       name: 'search-notion',
       title: 'Search Notion',
       description: 'Search for pages, databases, and other content in Notion workspace',
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         query: z.string().describe('Search query text'),
         filter: z.object({
@@ -25,38 +94,46 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'NOTION_TOKE
           direction: z.enum(['ascending', 'descending']).describe('Sort direction'),
           timestamp: z.enum(['last_edited_time']).describe('Timestamp to sort by')
         }).optional().describe('Optional sort criteria')
-      }
+      },
+      outputSchema: responseOutputSchema(listSchema(z.union([pageSchema, databaseSchema])), 'Matching pages and databases')
     },
     {
       name: 'get-page',
       title: 'Get Page',
       description: 'Retrieve a Notion page by ID',
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         page_id: z.string().describe('The ID of the page to retrieve')
-      }
+      },
+      outputSchema: responseOutputSchema(pageSchema, 'The page')
     },
     {
       name: 'get-block-children',
       title: 'Get Block Children',
       description: 'Retrieve the children blocks of a page or block',
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         block_id: z.string().describe('The ID of the block to get children from'),
         page_size: z.number().optional().describe('Number of results per page (max 100)')
-      }
+      },
+      outputSchema: responseOutputSchema(listSchema(blockSchema), 'Child blocks')
     },
     {
       name: 'append-block-children',
       title: 'Append Block Children',
       description: 'Append new content blocks to a page or block',
+      annotations: { readOnlyHint: false, destructiveHint: false, idempotentHint: false, openWorldHint: true },
       inputSchema: {
         block_id: z.string().describe('The ID of the parent block'),
         children: z.array(z.any()).describe('Array of block objects to append')
-      }
+      },
+      outputSchema: responseOutputSchema(listSchema(blockSchema), 'The appended blocks')
     },
     {
       name: 'create-page',
       title: 'Create Page',
       description: 'Create a new page in a database or as a child of another page',
+      annotations: { readOnlyHint: false, destructiveHint: false, idempotentHint: false, openWorldHint: true },
       inputSchema: {
         parent: z.object({
           database_id: z.string().optional(),
@@ -64,49 +141,60 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'NOTION_TOKE
         }).describe('Parent database or page'),
         properties: z.record(z.any()).describe('Page properties'),
         children: z.array(z.any()).optional().describe('Page content blocks')
-      }
+      },
+      outputSchema: responseOutputSchema(pageSchema, 'The created page')
     },
     {
       name: 'update-page',
       title: 'Update Page',
       description: 'Update page properties',
+      annotations: { readOnlyHint: false, destructiveHint: true, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         page_id: z.string().describe('The ID of the page to update'),
         properties: z.record(z.any()).describe('Properties to update')
-      }
+      },
+      outputSchema: responseOutputSchema(pageSchema, 'The updated page')
     },
     {
       name: 'get-database',
       title: 'Get Database',
       description: 'Retrieve a database by ID',
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         database_id: z.string().describe('The ID of the database')
-      }
+      },
+      outputSchema: responseOutputSchema(databaseSchema, 'The database')
     },
     {
       name: 'query-database',
       title: 'Query Database',
       description: 'Query a database with filters and sorts',
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         database_id: z.string().describe('The ID of the database to query'),
         filter: z.any().optional().describe('Filter conditions'),
         sorts: z.array(z.any()).optional().describe('Sort criteria'),
         page_size: z.number().optional().describe('Number of results per page (max 100)')
-      }
+      },
+      outputSchema: responseOutputSchema(listSchema(pageSchema), 'Pages in the database matching the query')
     },
     {
       name: 'list-users',
       title: 'List Users',
       description: 'List all users in the workspace',
-      inputSchema: {}
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
+      inputSchema: {},
+      outputSchema: responseOutputSchema(listSchema(userSchema), 'Users in the workspace')
     },
     {
       name: 'get-user',
       title: 'Get User',
       description: 'Retrieve a user by ID',
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         user_id: z.string().describe('The ID of the user')
-      }
+      },
+      outputSchema: responseOutputSchema(userSchema, 'The user')
     }
   ];
 
@@ -117,7 +205,7 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'NOTION_TOKE
       }
 
       try {
-        const response = await axios.post(`${BASE_URL}/v1/search`, {
+        const response = await notionApi.post(`/v1/search`, {
           query: args.query,
           filter: args.filter,
           sort: args.sort
@@ -135,10 +223,11 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'NOTION_TOKE
               type: 'text',
               text: JSON.stringify(response.data)
             }
-          ]
+          ],
+          structuredContent: { data: response.data }
         };
       } catch (error) {
-        throw new Error(`Notion search failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`Notion search failed: ${error.message}`, { cause: error });
       }
     },
 
@@ -148,7 +237,7 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'NOTION_TOKE
       }
 
       try {
-        const response = await axios.get(`${BASE_URL}/v1/pages/${args.page_id}`, {
+        const response = await notionApi.get(`/v1/pages/${args.page_id}`, {
           headers: {
             'Authorization': `Bearer ${apiKey}`,
             'Notion-Version': NOTION_VERSION
@@ -161,10 +250,11 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'NOTION_TOKE
               type: 'text',
               text: JSON.stringify(response.data)
             }
-          ]
+          ],
+          structuredContent: { data: response.data }
         };
       } catch (error) {
-        throw new Error(`Get page failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`Get page failed: ${error.message}`, { cause: error });
       }
     },
 
@@ -177,7 +267,7 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'NOTION_TOKE
         const params = {};
         if (args.page_size) params.page_size = args.page_size;
 
-        const response = await axios.get(`${BASE_URL}/v1/blocks/${args.block_id}/children`, {
+        const response = await notionApi.get(`/v1/blocks/${args.block_id}/children`, {
           headers: {
             'Authorization': `Bearer ${apiKey}`,
             'Notion-Version': NOTION_VERSION
@@ -191,10 +281,11 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'NOTION_TOKE
               type: 'text',
               text: JSON.stringify(response.data)
             }
-          ]
+          ],
+          structuredContent: { data: response.data }
         };
       } catch (error) {
-        throw new Error(`Get block children failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`Get block children failed: ${error.message}`, { cause: error });
       }
     },
 
@@ -204,7 +295,7 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'NOTION_TOKE
       }
 
       try {
-        const response = await axios.patch(`${BASE_URL}/v1/blocks/${args.block_id}/children`, {
+        const response = await notionApi.patch(`/v1/blocks/${args.block_id}/children`, {
           children: args.children
         }, {
           headers: {
@@ -220,10 +311,11 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'NOTION_TOKE
               type: 'text',
               text: JSON.stringify(response.data)
             }
-          ]
+          ],
+          structuredContent: { data: response.data }
         };
       } catch (error) {
-        throw new Error(`Append block children failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`Append block children failed: ${error.message}`, { cause: error });
       }
     },
 
@@ -233,7 +325,7 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'NOTION_TOKE
       }
 
       try {
-        const response = await axios.post(`${BASE_URL}/v1/pages`, {
+        const response = await notionApi.post(`/v1/pages`, {
           parent: args.parent,
           properties: args.properties,
           children: args.children
@@ -251,10 +343,11 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'NOTION_TOKE
               type: 'text',
               text: JSON.stringify(response.data)
             }
-          ]
+          ],
+          structuredContent: { data: response.data }
         };
       } catch (error) {
-        throw new Error(`Create page failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`Create page failed: ${error.message}`, { cause: error });
       }
     },
 
@@ -264,7 +357,7 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'NOTION_TOKE
       }
 
       try {
-        const response = await axios.patch(`${BASE_URL}/v1/pages/${args.page_id}`, {
+        const response = await notionApi.patch(`/v1/pages/${args.page_id}`, {
           properties: args.properties
         }, {
           headers: {
@@ -280,10 +373,11 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'NOTION_TOKE
               type: 'text',
               text: JSON.stringify(response.data)
             }
-          ]
+          ],
+          structuredContent: { data: response.data }
         };
       } catch (error) {
-        throw new Error(`Update page failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`Update page failed: ${error.message}`, { cause: error });
       }
     },
 
@@ -293,7 +387,7 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'NOTION_TOKE
       }
 
       try {
-        const response = await axios.get(`${BASE_URL}/v1/databases/${args.database_id}`, {
+        const response = await notionApi.get(`/v1/databases/${args.database_id}`, {
           headers: {
             'Authorization': `Bearer ${apiKey}`,
             'Notion-Version': NOTION_VERSION
@@ -306,10 +400,11 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'NOTION_TOKE
               type: 'text',
               text: JSON.stringify(response.data)
             }
-          ]
+          ],
+          structuredContent: { data: response.data }
         };
       } catch (error) {
-        throw new Error(`Get database failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`Get database failed: ${error.message}`, { cause: error });
       }
     },
 
@@ -319,7 +414,7 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'NOTION_TOKE
       }
 
       try {
-        const response = await axios.post(`${BASE_URL}/v1/databases/${args.database_id}/query`, {
+        const response = await notionApi.post(`/v1/databases/${args.database_id}/query`, {
           filter: args.filter,
           sorts: args.sorts,
           page_size: args.page_size
@@ -337,10 +432,11 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'NOTION_TOKE
               type: 'text',
               text: JSON.stringify(response.data)
             }
-          ]
+          ],
+          structuredContent: { data: response.data }
         };
       } catch (error) {
-        throw new Error(`Query database failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`Query database failed: ${error.message}`, { cause: error });
       }
     },
 
@@ -350,7 +446,7 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'NOTION_TOKE
       }
 
       try {
-        const response = await axios.get(`${BASE_URL}/v1/users`, {
+        const response = await notionApi.get(`/v1/users`, {
           headers: {
             'Authorization': `Bearer ${apiKey}`,
             'Notion-Version': NOTION_VERSION
@@ -363,10 +459,11 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'NOTION_TOKE
               type: 'text',
               text: JSON.stringify(response.data)
             }
-          ]
+          ],
+          structuredContent: { data: response.data }
         };
       } catch (error) {
-        throw new Error(`List users failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`List users failed: ${error.message}`, { cause: error });
       }
     },
 
@@ -376,7 +473,7 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'NOTION_TOKE
       }
 
       try {
-        const response = await axios.get(`${BASE_URL}/v1/users/${args.user_id}`, {
+        const response = await notionApi.get(`/v1/users/${args.user_id}`, {
           headers: {
             'Authorization': `Bearer ${apiKey}`,
             'Notion-Version': NOTION_VERSION
@@ -389,16 +486,74 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'NOTION_TOKE
               type: 'text',
               text: JSON.stringify(response.data)
             }
-          ]
+          ],
+          structuredContent: { data: response.data }
         };
       } catch (error) {
-        throw new Error(`Get user failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`Get user failed: ${error.message}`, { cause: error });
       }
     }
   };
 
+  const notionHeaders = (apiKey) => ({
+    'Authorization': `Bearer ${apiKey}`,
+    'Notion-Version': NOTION_VERSION
+  });
+
+  // Page titles live in whichever property has type "title"
+  const getPageTitle = (page) => {
+    const titleProperty = Object.values(page.properties || {}).find(property => property.type === 'title');
+    return titleProperty?.title?.map(part => part.plain_text).join('') || 'Untitled';
+  };
+
+  const resourcesDefinitions = [
+    {
+      name: 'notion-page',
+      uriTemplate: 'notion://pages/{page_id}',
+      title: 'Notion Page',
+      description: 'A Notion page shared with the integration: its properties and top-level blocks',
+      mimeType: 'application/json',
+      list: async (apiKey, userId) => {
+        if (!apiKey) {
+          throw new Error('Notion API token is required');
+        }
+
+        const response = await notionApi.post(`/v1/search`, {
+          filter: { property: 'object', value: 'page' },
+          page_size: 100
+        }, { headers: notionHeaders(apiKey) });
+
+        return response.data.results.map(page => ({
+          uri: `notion://pages/${page.id}`,
+          name: getPageTitle(page),
+          mimeType: 'application/json'
+        }));
+      },
+      read: async (uri, { page_id }, apiKey, userId) => {
+        if (!apiKey) {
+          throw new Error('Notion API token is required');
+        }
+
+        const [page, blocks] = await Promise.all([
+          notionApi.get(`/v1/pages/${page_id}`, { headers: notionHeaders(apiKey) }),
+          notionApi.get(`/v1/blocks/${page_id}/children`, { headers: notionHeaders(apiKey), params: { page_size: 100 } })
+        ]);
+
+        return {
+          contents: [{
+            uri,
+            mimeType: 'application/json',
+            text: JSON.stringify({ page: page.data, blocks: blocks.data.results })
+          }]
+        };
+      }
+    }
+  ];
+
   return {
     toolsDefinitions,
-    toolHandlers
+    toolHandlers,
+    resourcesDefinitions,
+    supportsDryRun: true
   };
 }
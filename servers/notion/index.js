@@ -1,12 +1,13 @@
 // Notion MCP Server - Adapted for Multi-MCP Server
-import { createServerAdapter } from './adapter.js';
+// Forward the loader's cache-busting query so hot reloads re-import adapter.js too
+const { createServerAdapter } = await import(`./adapter.js${new URL(import.meta.url).search}`);
 
 // Get the adapter with Notion tools
 import { dirname } from 'path';
 import { fileURLToPath } from 'url';
 const __dirname = dirname(fileURLToPath(import.meta.url));
 
-const { toolsDefinitions, toolHandlers } = await createServerAdapter(__dirname, 'NOTION_TOKEN');
+const { toolsDefinitions, toolHandlers, resourcesDefinitions, supportsDryRun } = await createServerAdapter(__dirname, 'NOTION_TOKEN');
 
 // Export in the format expected by multi-mcp-server
-export { toolsDefinitions, toolHandlers };
+export { toolsDefinitions, toolHandlers, resourcesDefinitions, supportsDryRun };
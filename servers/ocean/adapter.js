@@ -1,17 +1,96 @@
 // Ocean.io MCP Server Adapter for 2025 Protocol
 import { z } from 'zod';
-import axios from 'axios';
+import { createHttpClient } from '../../utils/http-client.js';
+import { stringOrNumber } from '../../utils/output-schemas.js';
+
+const personSchema = z.object({
+  first_name: z.string().nullable(),
+  last_name: z.string().nullable(),
+  email: z.string().nullable(),
+  phone: z.string().nullable(),
+  linkedin_url: z.string().nullable(),
+  location: z.string().nullable(),
+  job_title: z.string().nullable(),
+  company_name: z.string().nullable(),
+  company_domain: z.string().nullable(),
+  department: z.string().nullable(),
+  seniority: z.string().nullable(),
+  industry: z.string().nullable(),
+  skills: z.array(z.string()),
+  social_profiles: z.array(z.string()),
+  confidence_score: stringOrNumber.nullable()
+});
+
+const companySchema = z.object({
+  name: z.string().nullable(),
+  domain: z.string().nullable(),
+  website: z.string().nullable(),
+  industry: z.string().nullable(),
+  description: z.string().nullable(),
+  founded_year: stringOrNumber.nullable(),
+  employee_count: stringOrNumber.nullable(),
+  revenue: stringOrNumber.nullable(),
+  location: z.string().nullable(),
+  phone: z.string().nullable(),
+  linkedin_url: z.string().nullable(),
+  technologies: z.array(z.string())
+});
+
+const paginationSchema = {
+  total: z.number(),
+  page: z.number(),
+  per_page: z.number()
+};
+
+function toPerson(person) {
+  return {
+    first_name: person.first_name ?? null,
+    last_name: person.last_name ?? null,
+    email: person.email ?? null,
+    phone: person.phone ?? null,
+    linkedin_url: person.linkedin_url ?? null,
+    location: person.location ?? null,
+    job_title: person.job_title ?? null,
+    company_name: person.company_name ?? null,
+    company_domain: person.company_domain ?? null,
+    department: person.department ?? null,
+    seniority: person.seniority ?? person.seniority_level ?? null,
+    industry: person.industry ?? null,
+    skills: person.skills || [],
+    social_profiles: person.social_profiles || [],
+    confidence_score: person.confidence_score ?? null
+  };
+}
+
+function toCompany(company) {
+  return {
+    name: company.name ?? null,
+    domain: company.domain ?? null,
+    website: company.website ?? null,
+    industry: company.industry ?? null,
+    description: company.description ?? null,
+    founded_year: company.founded_year ?? null,
+    employee_count: company.employee_count ?? null,
+    revenue: company.revenue ?? null,
+    location: company.location ?? null,
+    phone: company.phone ?? null,
+    linkedin_url: company.linkedin_url ?? null,
+    technologies: company.technologies || []
+  };
+}
 
 /**
  * Ocean.io MCP Server adapter for multi-MCP system
  */
 export async function createServerAdapter(serverPath, apiKeyParam = 'OCEAN_API_KEY') {
+  const oceanApi = createHttpClient({ provider: 'ocean', baseURL: 'https://api.ocean.io/v1' });
   
   const toolsDefinitions = [
     {
       name: 'ocean-find-person',
       title: 'Ocean.io Find Person',
       description: 'Find a person by name and company using Ocean.io API',
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         first_name: z.string().describe('First name of the person'),
         last_name: z.string().describe('Last name of the person'),
@@ -19,12 +98,16 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'OCEAN_API_K
         company_domain: z.string().optional().describe('Company domain'),
         linkedin_url: z.string().optional().describe('LinkedIn profile URL'),
         location: z.string().optional().describe('Person location or city')
+      },
+      outputSchema: {
+        person: personSchema.nullable().describe('Matched person, or null when none was found')
       }
     },
     {
       name: 'ocean-search-people',
       title: 'Ocean.io Search People',
       description: 'Search for people with advanced filters using Ocean.io API',
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         company_name: z.string().optional().describe('Company name to search within'),
         company_domain: z.string().optional().describe('Company domain to search within'),
@@ -35,22 +118,31 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'OCEAN_API_K
         skills: z.array(z.string()).optional().describe('Skills to filter by'),
         page: z.number().optional().describe('Page number for pagination'),
         per_page: z.number().optional().describe('Results per page (max 100)')
+      },
+      outputSchema: {
+        people: z.array(personSchema),
+        ...paginationSchema
       }
     },
     {
       name: 'ocean-find-company',
       title: 'Ocean.io Find Company',
       description: 'Find company information using Ocean.io API',
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         company_name: z.string().optional().describe('Company name to search for'),
         domain: z.string().optional().describe('Company domain to search for'),
         linkedin_url: z.string().optional().describe('Company LinkedIn URL')
+      },
+      outputSchema: {
+        company: companySchema.nullable().describe('Matched company, or null when none was found')
       }
     },
     {
       name: 'ocean-search-companies',
       title: 'Ocean.io Search Companies',
       description: 'Search for companies with filters using Ocean.io API',
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         industry: z.string().optional().describe('Industry to filter by'),
         location: z.string().optional().describe('Location to filter by'),
@@ -61,25 +153,44 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'OCEAN_API_K
         technologies: z.array(z.string()).optional().describe('Technologies used by company'),
         page: z.number().optional().describe('Page number for pagination'),
         per_page: z.number().optional().describe('Results per page (max 100)')
+      },
+      outputSchema: {
+        companies: z.array(companySchema),
+        ...paginationSchema
       }
     },
     {
       name: 'ocean-enrich-person',
       title: 'Ocean.io Enrich Person',
       description: 'Enrich person data with additional information',
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         email: z.string().optional().describe('Email address to enrich'),
         linkedin_url: z.string().optional().describe('LinkedIn profile URL to enrich'),
         first_name: z.string().optional().describe('First name'),
         last_name: z.string().optional().describe('Last name'),
         company_domain: z.string().optional().describe('Company domain')
+      },
+      outputSchema: {
+        person: personSchema.nullable().describe('Enriched person, or null when nothing was found')
       }
     },
     {
       name: 'ocean-account-info',
       title: 'Ocean.io Account Info',
       description: 'Get account information and usage statistics',
-      inputSchema: {}
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
+      inputSchema: {},
+      outputSchema: {
+        name: z.string().nullable(),
+        email: z.string().nullable(),
+        plan: z.string().nullable(),
+        status: z.string().nullable(),
+        credits_used: z.number().nullable(),
+        credits_remaining: z.number().nullable(),
+        total_credits: z.number().nullable(),
+        monthly_limit: z.number().nullable()
+      }
     }
   ];
 
@@ -100,8 +211,8 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'OCEAN_API_K
         if (args.linkedin_url) requestData.linkedin_url = args.linkedin_url;
         if (args.location) requestData.location = args.location;
 
-        const response = await axios.post(
-          'https://api.ocean.io/v1/person/find',
+        const response = await oceanApi.post(
+          '/person/find',
           requestData,
           {
             headers: {
@@ -118,7 +229,8 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'OCEAN_API_K
             content: [{
               type: "text",
               text: `No person found matching: ${args.first_name} ${args.last_name} ${args.company_name ? `at ${args.company_name}` : ''}`
-            }]
+            }],
+            structuredContent: { person: null }
           };
         }
 
@@ -128,12 +240,13 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'OCEAN_API_K
           content: [
             {
               type: "text",
-              text: `**Ocean.io Person Find Results:**\\n\\n**Personal Information:**\\n**Name:** ${person.first_name || ''} ${person.last_name || ''}\\n**Email:** ${person.email || 'N/A'}\\n**Phone:** ${person.phone || 'N/A'}\\n**LinkedIn:** ${person.linkedin_url || 'N/A'}\\n**Location:** ${person.location || 'N/A'}\\n\\n**Professional Information:**\\n**Current Title:** ${person.job_title || 'N/A'}\\n**Current Company:** ${person.company_name || 'N/A'}\\n**Company Domain:** ${person.company_domain || 'N/A'}\\n**Department:** ${person.department || 'N/A'}\\n**Seniority:** ${person.seniority || 'N/A'}\\n**Industry:** ${person.industry || 'N/A'}\\n\\n**Additional Information:**\\n**Skills:** ${person.skills?.join(', ') || 'N/A'}\\n**Education:** ${person.education || 'N/A'}\\n**Experience:** ${person.experience || 'N/A'}\\n**Social Profiles:** ${person.social_profiles?.join(', ') || 'N/A'}\\n\\n**Confidence Score:** ${person.confidence_score || 'N/A'}%`
+              text: `**Ocean.io Person Find Results:**\n\n**Personal Information:**\n**Name:** ${person.first_name || ''} ${person.last_name || ''}\n**Email:** ${person.email || 'N/A'}\n**Phone:** ${person.phone || 'N/A'}\n**LinkedIn:** ${person.linkedin_url || 'N/A'}\n**Location:** ${person.location || 'N/A'}\n\n**Professional Information:**\n**Current Title:** ${person.job_title || 'N/A'}\n**Current Company:** ${person.company_name || 'N/A'}\n**Company Domain:** ${person.company_domain || 'N/A'}\n**Department:** ${person.department || 'N/A'}\n**Seniority:** ${person.seniority || 'N/A'}\n**Industry:** ${person.industry || 'N/A'}\n\n**Additional Information:**\n**Skills:** ${person.skills?.join(', ') || 'N/A'}\n**Education:** ${person.education || 'N/A'}\n**Experience:** ${person.experience || 'N/A'}\n**Social Profiles:** ${person.social_profiles?.join(', ') || 'N/A'}\n\n**Confidence Score:** ${person.confidence_score || 'N/A'}%`
             }
-          ]
+          ],
+          structuredContent: { person: toPerson(person) }
         };
       } catch (error) {
-        throw new Error(`Ocean.io person find failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`Ocean.io person find failed: ${error.message}`, { cause: error });
       }
     },
 
@@ -156,7 +269,7 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'OCEAN_API_K
         if (args.location) params.location = args.location;
         if (args.skills) params.skills = args.skills.join(',');
 
-        const response = await axios.get('https://api.ocean.io/v1/people/search', {
+        const response = await oceanApi.get('/people/search', {
           params,
           headers: {
             'Authorization': `Bearer ${apiKey}`
@@ -171,24 +284,31 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'OCEAN_API_K
             content: [{
               type: "text",
               text: "No people found matching the search criteria."
-            }]
+            }],
+            structuredContent: { people: [], total: 0, page: args.page || 1, per_page: args.per_page || 25 }
           };
         }
 
         const results = people.map((person, index) => {
-          return `${index + 1}. **${person.first_name || ''} ${person.last_name || 'Unknown'}**\\n   Title: ${person.job_title || 'N/A'}\\n   Company: ${person.company_name || 'N/A'}\\n   Email: ${person.email || 'N/A'}\\n   Location: ${person.location || 'N/A'}\\n   LinkedIn: ${person.linkedin_url || 'N/A'}\\n   Department: ${person.department || 'N/A'}\\n`;
+          return `${index + 1}. **${person.first_name || ''} ${person.last_name || 'Unknown'}**\n   Title: ${person.job_title || 'N/A'}\n   Company: ${person.company_name || 'N/A'}\n   Email: ${person.email || 'N/A'}\n   Location: ${person.location || 'N/A'}\n   LinkedIn: ${person.linkedin_url || 'N/A'}\n   Department: ${person.department || 'N/A'}\n`;
         });
 
         return {
           content: [
             {
               type: "text",
-              text: `**Ocean.io People Search Results:**\\n\\n${results.join('\\n')}\\n**Total Results:** ${data.total_count || people.length}\\n**Current Page:** ${args.page || 1}\\n**Results Per Page:** ${args.per_page || 25}\\n\\n**Search Filters:**\\n**Company:** ${args.company_name || args.company_domain || 'Any'}\\n**Job Title:** ${args.job_title || 'Any'}\\n**Location:** ${args.location || 'Any'}\\n**Department:** ${args.department || 'Any'}`
+              text: `**Ocean.io People Search Results:**\n\n${results.join('\n')}\n**Total Results:** ${data.total_count || people.length}\n**Current Page:** ${args.page || 1}\n**Results Per Page:** ${args.per_page || 25}\n\n**Search Filters:**\n**Company:** ${args.company_name || args.company_domain || 'Any'}\n**Job Title:** ${args.job_title || 'Any'}\n**Location:** ${args.location || 'Any'}\n**Department:** ${args.department || 'Any'}`
             }
-          ]
+          ],
+          structuredContent: {
+            people: people.map(toPerson),
+            total: data.total_count || people.length,
+            page: args.page || 1,
+            per_page: args.per_page || 25
+          }
         };
       } catch (error) {
-        throw new Error(`Ocean.io people search failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`Ocean.io people search failed: ${error.message}`, { cause: error });
       }
     },
 
@@ -208,8 +328,8 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'OCEAN_API_K
           throw new Error('At least one search parameter is required: company_name, domain, or linkedin_url');
         }
 
-        const response = await axios.post(
-          'https://api.ocean.io/v1/company/find',
+        const response = await oceanApi.post(
+          '/company/find',
           requestData,
           {
             headers: {
@@ -226,7 +346,8 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'OCEAN_API_K
             content: [{
               type: "text",
               text: `No company found matching the search criteria.`
-            }]
+            }],
+            structuredContent: { company: null }
           };
         }
 
@@ -236,12 +357,13 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'OCEAN_API_K
           content: [
             {
               type: "text",
-              text: `**Ocean.io Company Find Results:**\\n\\n**Basic Information:**\\n**Name:** ${company.name || 'N/A'}\\n**Domain:** ${company.domain || 'N/A'}\\n**Website:** ${company.website || 'N/A'}\\n**Industry:** ${company.industry || 'N/A'}\\n**Description:** ${company.description || 'N/A'}\\n\\n**Company Details:**\\n**Founded:** ${company.founded_year || 'N/A'}\\n**Employee Count:** ${company.employee_count || 'N/A'}\\n**Revenue:** ${company.revenue || 'N/A'}\\n**Location:** ${company.location || 'N/A'}\\n**Headquarters:** ${company.headquarters || 'N/A'}\\n\\n**Contact Information:**\\n**Phone:** ${company.phone || 'N/A'}\\n**Email:** ${company.email || 'N/A'}\\n**LinkedIn:** ${company.linkedin_url || 'N/A'}\\n**Twitter:** ${company.twitter_url || 'N/A'}\\n**Facebook:** ${company.facebook_url || 'N/A'}\\n\\n**Technologies:** ${company.technologies?.join(', ') || 'N/A'}\\n**Keywords:** ${company.keywords?.join(', ') || 'N/A'}\\n**Competitors:** ${company.competitors?.join(', ') || 'N/A'}`
+              text: `**Ocean.io Company Find Results:**\n\n**Basic Information:**\n**Name:** ${company.name || 'N/A'}\n**Domain:** ${company.domain || 'N/A'}\n**Website:** ${company.website || 'N/A'}\n**Industry:** ${company.industry || 'N/A'}\n**Description:** ${company.description || 'N/A'}\n\n**Company Details:**\n**Founded:** ${company.founded_year || 'N/A'}\n**Employee Count:** ${company.employee_count || 'N/A'}\n**Revenue:** ${company.revenue || 'N/A'}\n**Location:** ${company.location || 'N/A'}\n**Headquarters:** ${company.headquarters || 'N/A'}\n\n**Contact Information:**\n**Phone:** ${company.phone || 'N/A'}\n**Email:** ${company.email || 'N/A'}\n**LinkedIn:** ${company.linkedin_url || 'N/A'}\n**Twitter:** ${company.twitter_url || 'N/A'}\n**Facebook:** ${company.facebook_url || 'N/A'}\n\n**Technologies:** ${company.technologies?.join(', ') || 'N/A'}\n**Keywords:** ${company.keywords?.join(', ') || 'N/A'}\n**Competitors:** ${company.competitors?.join(', ') || 'N/A'}`
             }
-          ]
+          ],
+          structuredContent: { company: toCompany(company) }
         };
       } catch (error) {
-        throw new Error(`Ocean.io company find failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`Ocean.io company find failed: ${error.message}`, { cause: error });
       }
     },
 
@@ -264,7 +386,7 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'OCEAN_API_K
         if (args.revenue_max) params.revenue_max = args.revenue_max;
         if (args.technologies) params.technologies = args.technologies.join(',');
 
-        const response = await axios.get('https://api.ocean.io/v1/companies/search', {
+        const response = await oceanApi.get('/companies/search', {
           params,
           headers: {
             'Authorization': `Bearer ${apiKey}`
@@ -279,24 +401,31 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'OCEAN_API_K
             content: [{
               type: "text",
               text: "No companies found matching the search criteria."
-            }]
+            }],
+            structuredContent: { companies: [], total: 0, page: args.page || 1, per_page: args.per_page || 25 }
           };
         }
 
         const results = companies.map((company, index) => {
-          return `${index + 1}. **${company.name || 'Unknown Company'}**\\n   Domain: ${company.domain || 'N/A'}\\n   Industry: ${company.industry || 'N/A'}\\n   Employees: ${company.employee_count || 'N/A'}\\n   Revenue: ${company.revenue || 'N/A'}\\n   Location: ${company.location || 'N/A'}\\n   Founded: ${company.founded_year || 'N/A'}\\n`;
+          return `${index + 1}. **${company.name || 'Unknown Company'}**\n   Domain: ${company.domain || 'N/A'}\n   Industry: ${company.industry || 'N/A'}\n   Employees: ${company.employee_count || 'N/A'}\n   Revenue: ${company.revenue || 'N/A'}\n   Location: ${company.location || 'N/A'}\n   Founded: ${company.founded_year || 'N/A'}\n`;
         });
 
         return {
           content: [
             {
               type: "text",
-              text: `**Ocean.io Company Search Results:**\\n\\n${results.join('\\n')}\\n**Total Results:** ${data.total_count || companies.length}\\n**Current Page:** ${args.page || 1}\\n**Results Per Page:** ${args.per_page || 25}\\n\\n**Search Filters:**\\n**Industry:** ${args.industry || 'Any'}\\n**Location:** ${args.location || 'Any'}\\n**Employee Count:** ${args.employee_count_min || '0'} - ${args.employee_count_max || '∞'}\\n**Revenue Range:** ${args.revenue_min || '0'} - ${args.revenue_max || '∞'}\\n**Technologies:** ${args.technologies?.join(', ') || 'Any'}`
+              text: `**Ocean.io Company Search Results:**\n\n${results.join('\n')}\n**Total Results:** ${data.total_count || companies.length}\n**Current Page:** ${args.page || 1}\n**Results Per Page:** ${args.per_page || 25}\n\n**Search Filters:**\n**Industry:** ${args.industry || 'Any'}\n**Location:** ${args.location || 'Any'}\n**Employee Count:** ${args.employee_count_min || '0'} - ${args.employee_count_max || '∞'}\n**Revenue Range:** ${args.revenue_min || '0'} - ${args.revenue_max || '∞'}\n**Technologies:** ${args.technologies?.join(', ') || 'Any'}`
             }
-          ]
+          ],
+          structuredContent: {
+            companies: companies.map(toCompany),
+            total: data.total_count || companies.length,
+            page: args.page || 1,
+            per_page: args.per_page || 25
+          }
         };
       } catch (error) {
-        throw new Error(`Ocean.io company search failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`Ocean.io company search failed: ${error.message}`, { cause: error });
       }
     },
 
@@ -318,8 +447,8 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'OCEAN_API_K
           throw new Error('At least one identifier is required for enrichment');
         }
 
-        const response = await axios.post(
-          'https://api.ocean.io/v1/person/enrich',
+        const response = await oceanApi.post(
+          '/person/enrich',
           requestData,
           {
             headers: {
@@ -336,7 +465,8 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'OCEAN_API_K
             content: [{
               type: "text",
               text: "Unable to enrich the provided person information."
-            }]
+            }],
+            structuredContent: { person: null }
           };
         }
 
@@ -346,12 +476,13 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'OCEAN_API_K
           content: [
             {
               type: "text",
-              text: `**Ocean.io Person Enrichment Results:**\\n\\n**Personal Information:**\\n**Name:** ${person.first_name || ''} ${person.last_name || ''}\\n**Email:** ${person.email || 'N/A'}\\n**Phone:** ${person.phone || 'N/A'}\\n**LinkedIn:** ${person.linkedin_url || 'N/A'}\\n**Location:** ${person.location || 'N/A'}\\n**Age:** ${person.age || 'N/A'}\\n\\n**Professional Information:**\\n**Current Title:** ${person.job_title || 'N/A'}\\n**Current Company:** ${person.company_name || 'N/A'}\\n**Company Domain:** ${person.company_domain || 'N/A'}\\n**Department:** ${person.department || 'N/A'}\\n**Seniority Level:** ${person.seniority_level || 'N/A'}\\n**Industry:** ${person.industry || 'N/A'}\\n**Work Experience:** ${person.work_experience || 'N/A'}\\n\\n**Skills & Education:**\\n**Skills:** ${person.skills?.join(', ') || 'N/A'}\\n**Education:** ${person.education || 'N/A'}\\n**Certifications:** ${person.certifications?.join(', ') || 'N/A'}\\n\\n**Social & Additional:**\\n**Social Profiles:** ${person.social_profiles?.join(', ') || 'N/A'}\\n**Interests:** ${person.interests?.join(', ') || 'N/A'}\\n**Languages:** ${person.languages?.join(', ') || 'N/A'}\\n\\n**Data Quality:**\\n**Confidence Score:** ${person.confidence_score || 'N/A'}%\\n**Last Updated:** ${person.last_updated || 'N/A'}`
+              text: `**Ocean.io Person Enrichment Results:**\n\n**Personal Information:**\n**Name:** ${person.first_name || ''} ${person.last_name || ''}\n**Email:** ${person.email || 'N/A'}\n**Phone:** ${person.phone || 'N/A'}\n**LinkedIn:** ${person.linkedin_url || 'N/A'}\n**Location:** ${person.location || 'N/A'}\n**Age:** ${person.age || 'N/A'}\n\n**Professional Information:**\n**Current Title:** ${person.job_title || 'N/A'}\n**Current Company:** ${person.company_name || 'N/A'}\n**Company Domain:** ${person.company_domain || 'N/A'}\n**Department:** ${person.department || 'N/A'}\n**Seniority Level:** ${person.seniority_level || 'N/A'}\n**Industry:** ${person.industry || 'N/A'}\n**Work Experience:** ${person.work_experience || 'N/A'}\n\n**Skills & Education:**\n**Skills:** ${person.skills?.join(', ') || 'N/A'}\n**Education:** ${person.education || 'N/A'}\n**Certifications:** ${person.certifications?.join(', ') || 'N/A'}\n\n**Social & Additional:**\n**Social Profiles:** ${person.social_profiles?.join(', ') || 'N/A'}\n**Interests:** ${person.interests?.join(', ') || 'N/A'}\n**Languages:** ${person.languages?.join(', ') || 'N/A'}\n\n**Data Quality:**\n**Confidence Score:** ${person.confidence_score || 'N/A'}%\n**Last Updated:** ${person.last_updated || 'N/A'}`
             }
-          ]
+          ],
+          structuredContent: { person: toPerson(person) }
         };
       } catch (error) {
-        throw new Error(`Ocean.io person enrichment failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`Ocean.io person enrichment failed: ${error.message}`, { cause: error });
       }
     },
 
@@ -361,7 +492,7 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'OCEAN_API_K
       }
 
       try {
-        const response = await axios.get('https://api.ocean.io/v1/account', {
+        const response = await oceanApi.get('/account', {
           headers: {
             'Authorization': `Bearer ${apiKey}`
           }
@@ -373,12 +504,22 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'OCEAN_API_K
           content: [
             {
               type: "text",
-              text: `**Ocean.io Account Information:**\\n\\n**Account Details:**\\n**Name:** ${data.name || 'N/A'}\\n**Email:** ${data.email || 'N/A'}\\n**Company:** ${data.company || 'N/A'}\\n**Plan:** ${data.plan || 'N/A'}\\n**Status:** ${data.status || 'N/A'}\\n\\n**Usage Statistics:**\\n**Credits Used:** ${data.credits_used || 'N/A'}\\n**Credits Remaining:** ${data.credits_remaining || 'N/A'}\\n**Total Credits:** ${data.total_credits || 'N/A'}\\n**Monthly Limit:** ${data.monthly_limit || 'N/A'}\\n\\n**API Usage:**\\n**Person Searches:** ${data.person_searches_used || 'N/A'}\\n**Company Searches:** ${data.company_searches_used || 'N/A'}\\n**Enrichments:** ${data.enrichments_used || 'N/A'}\\n**Bulk Operations:** ${data.bulk_operations_used || 'N/A'}\\n\\n**Billing Information:**\\n**Billing Cycle:** ${data.billing_cycle || 'N/A'}\\n**Next Billing Date:** ${data.next_billing_date || 'N/A'}\\n**Last Payment:** ${data.last_payment_date || 'N/A'}\\n**Payment Method:** ${data.payment_method || 'N/A'}\\n\\n**Rate Limits:**\\n**Requests Per Minute:** ${data.rate_limit_per_minute || 'N/A'}\\n**Requests Per Hour:** ${data.rate_limit_per_hour || 'N/A'}\\n**Daily Requests:** ${data.daily_request_limit || 'N/A'}`
+              text: `**Ocean.io Account Information:**\n\n**Account Details:**\n**Name:** ${data.name || 'N/A'}\n**Email:** ${data.email || 'N/A'}\n**Company:** ${data.company || 'N/A'}\n**Plan:** ${data.plan || 'N/A'}\n**Status:** ${data.status || 'N/A'}\n\n**Usage Statistics:**\n**Credits Used:** ${data.credits_used || 'N/A'}\n**Credits Remaining:** ${data.credits_remaining || 'N/A'}\n**Total Credits:** ${data.total_credits || 'N/A'}\n**Monthly Limit:** ${data.monthly_limit || 'N/A'}\n\n**API Usage:**\n**Person Searches:** ${data.person_searches_used || 'N/A'}\n**Company Searches:** ${data.company_searches_used || 'N/A'}\n**Enrichments:** ${data.enrichments_used || 'N/A'}\n**Bulk Operations:** ${data.bulk_operations_used || 'N/A'}\n\n**Billing Information:**\n**Billing Cycle:** ${data.billing_cycle || 'N/A'}\n**Next Billing Date:** ${data.next_billing_date || 'N/A'}\n**Last Payment:** ${data.last_payment_date || 'N/A'}\n**Payment Method:** ${data.payment_method || 'N/A'}\n\n**Rate Limits:**\n**Requests Per Minute:** ${data.rate_limit_per_minute || 'N/A'}\n**Requests Per Hour:** ${data.rate_limit_per_hour || 'N/A'}\n**Daily Requests:** ${data.daily_request_limit || 'N/A'}`
             }
-          ]
+          ],
+          structuredContent: {
+            name: data.name ?? null,
+            email: data.email ?? null,
+            plan: data.plan ?? null,
+            status: data.status ?? null,
+            credits_used: data.credits_used ?? null,
+            credits_remaining: data.credits_remaining ?? null,
+            total_credits: data.total_credits ?? null,
+            monthly_limit: data.monthly_limit ?? null
+          }
         };
       } catch (error) {
-        throw new Error(`Ocean.io account info failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`Ocean.io account info failed: ${error.message}`, { cause: error });
       }
     }
   };
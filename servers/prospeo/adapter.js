@@ -1,63 +1,130 @@
 // Prospeo MCP Server Adapter for 2025 Protocol
 import { z } from 'zod';
-import axios from 'axios';
+import { createHttpClient } from '../../utils/http-client.js';
+import { stringOrNumber } from '../../utils/output-schemas.js';
 
 /**
  * Prospeo MCP Server adapter for multi-MCP system
  */
 export async function createServerAdapter(serverPath, apiKeyParam = 'PROSPEO_API_KEY') {
+  const prospeoApi = createHttpClient({ provider: 'prospeo', baseURL: 'https://api.prospeo.io' });
   
   const toolsDefinitions = [
     {
       name: 'prospeo-find-work-email',
       title: 'Prospeo Find Work Email',
       description: 'Find work email addresses for a person using Prospeo API',
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         first_name: z.string().describe('First name of the person'),
         last_name: z.string().describe('Last name of the person'),
         company_domain: z.string().describe('Company domain or website'),
         company_name: z.string().optional().describe('Company name (optional)'),
         linkedin_url: z.string().optional().describe('LinkedIn profile URL (optional)')
+      },
+      outputSchema: {
+        email: z.string().nullable().describe('Work email found, or null when none was found'),
+        score: stringOrNumber.nullable(),
+        source: z.string().nullable()
       }
     },
     {
       name: 'prospeo-find-domain-emails',
       title: 'Prospeo Find Domain Emails',
       description: 'Find all email addresses associated with a domain using Prospeo API',
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         domain: z.string().describe('Domain to search for emails'),
         limit: z.number().optional().describe('Maximum number of emails to return (default: 50)'),
         offset: z.number().optional().describe('Pagination offset'),
         department: z.string().optional().describe('Filter by department'),
         seniority: z.string().optional().describe('Filter by seniority level')
+      },
+      outputSchema: {
+        domain: z.string(),
+        company_name: z.string().nullable(),
+        total: z.number(),
+        emails: z.array(z.object({
+          email: z.string(),
+          first_name: z.string().nullable(),
+          last_name: z.string().nullable(),
+          position: z.string().nullable(),
+          department: z.string().nullable(),
+          seniority: z.string().nullable(),
+          linkedin_url: z.string().nullable(),
+          phone: z.string().nullable(),
+          score: stringOrNumber.nullable()
+        }))
       }
     },
     {
       name: 'prospeo-find-mobile-number',
       title: 'Prospeo Find Mobile Number',
       description: 'Find mobile phone number for a person using Prospeo API',
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         first_name: z.string().describe('First name of the person'),
         last_name: z.string().describe('Last name of the person'),
         company_domain: z.string().describe('Company domain or website'),
         location: z.string().optional().describe('Location/country of the person'),
         linkedin_url: z.string().optional().describe('LinkedIn profile URL (optional)')
+      },
+      outputSchema: {
+        phone: z.string().nullable().describe('Mobile number found, or null when none was found'),
+        score: stringOrNumber.nullable(),
+        source: z.string().nullable()
       }
     },
     {
       name: 'prospeo-verify-email',
       title: 'Prospeo Verify Email',
       description: 'Verify the deliverability and validity of an email address using Prospeo API',
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         email: z.string().describe('Email address to verify')
+      },
+      outputSchema: {
+        email: z.string(),
+        status: z.string().nullable(),
+        valid: z.boolean(),
+        deliverable: z.boolean(),
+        disposable: z.boolean(),
+        catch_all: z.boolean(),
+        gibberish: z.boolean(),
+        spam: z.boolean(),
+        mx_record: z.boolean(),
+        smtp_valid: z.boolean(),
+        role_account: z.boolean(),
+        free_provider: z.boolean(),
+        score: stringOrNumber.nullable()
       }
     },
     {
       name: 'prospeo-enrich-from-linkedin',
       title: 'Prospeo Enrich from LinkedIn',
       description: 'Enrich person information from LinkedIn profile using Prospeo API',
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         linkedin_url: z.string().describe('LinkedIn profile URL to enrich')
+      },
+      outputSchema: {
+        linkedin_url: z.string(),
+        person: z.object({
+          first_name: z.string().nullable(),
+          last_name: z.string().nullable(),
+          email: z.string().nullable(),
+          phone: z.string().nullable(),
+          current_position: z.string().nullable(),
+          current_company: z.string().nullable(),
+          company_domain: z.string().nullable(),
+          industry: z.string().nullable(),
+          location: z.string().nullable(),
+          headline: z.string().nullable(),
+          summary: z.string().nullable(),
+          connections: stringOrNumber.nullable(),
+          profile_picture: z.string().nullable(),
+          score: stringOrNumber.nullable()
+        }).nullable().describe('Enriched profile, or null when nothing was found')
       }
     }
   ];
@@ -79,8 +146,8 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'PROSPEO_API
         if (args.company_name) requestData.company_name = args.company_name;
         if (args.linkedin_url) requestData.linkedin_url = args.linkedin_url;
 
-        const response = await axios.post(
-          'https://api.prospeo.io/email-finder',
+        const response = await prospeoApi.post(
+          '/email-finder',
           requestData,
           {
             headers: {
@@ -97,7 +164,8 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'PROSPEO_API
             content: [{
               type: "text",
               text: `No work email found for ${args.first_name} ${args.last_name} at ${args.company_domain}`
-            }]
+            }],
+            structuredContent: { email: null, score: null, source: null }
           };
         }
 
@@ -105,12 +173,17 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'PROSPEO_API
           content: [
             {
               type: "text",
-              text: `**Prospeo Find Work Email Results:**\\n\\n**Name:** ${args.first_name} ${args.last_name}\\n**Email:** ${data.email}\\n**Company:** ${args.company_name || args.company_domain}\\n**Domain:** ${args.company_domain}\\n**Confidence Score:** ${data.score || 'N/A'}\\n**Source:** ${data.source || 'N/A'}\\n**LinkedIn:** ${args.linkedin_url || 'N/A'}`
+              text: `**Prospeo Find Work Email Results:**\n\n**Name:** ${args.first_name} ${args.last_name}\n**Email:** ${data.email}\n**Company:** ${args.company_name || args.company_domain}\n**Domain:** ${args.company_domain}\n**Confidence Score:** ${data.score || 'N/A'}\n**Source:** ${data.source || 'N/A'}\n**LinkedIn:** ${args.linkedin_url || 'N/A'}`
             }
-          ]
+          ],
+          structuredContent: {
+            email: data.email,
+            score: data.score ?? null,
+            source: data.source ?? null
+          }
         };
       } catch (error) {
-        throw new Error(`Prospeo find work email failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`Prospeo find work email failed: ${error.message}`, { cause: error });
       }
     },
 
@@ -130,8 +203,8 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'PROSPEO_API
         if (args.department) requestData.department = args.department;
         if (args.seniority) requestData.seniority = args.seniority;
 
-        const response = await axios.post(
-          'https://api.prospeo.io/domain-search',
+        const response = await prospeoApi.post(
+          '/domain-search',
           requestData,
           {
             headers: {
@@ -149,24 +222,41 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'PROSPEO_API
             content: [{
               type: "text",
               text: `No emails found for domain: ${args.domain}`
-            }]
+            }],
+            structuredContent: { domain: args.domain, company_name: data.company_name ?? null, total: 0, emails: [] }
           };
         }
 
         const emailResults = emails.map((email, index) => {
-          return `${index + 1}. **${email.email}**\\n   Name: ${email.first_name || ''} ${email.last_name || 'Unknown'}\\n   Position: ${email.position || 'N/A'}\\n   Department: ${email.department || 'N/A'}\\n   Seniority: ${email.seniority || 'N/A'}\\n   LinkedIn: ${email.linkedin_url || 'N/A'}\\n   Phone: ${email.phone || 'N/A'}\\n   Confidence: ${email.score || 'N/A'}\\n`;
+          return `${index + 1}. **${email.email}**\n   Name: ${email.first_name || ''} ${email.last_name || 'Unknown'}\n   Position: ${email.position || 'N/A'}\n   Department: ${email.department || 'N/A'}\n   Seniority: ${email.seniority || 'N/A'}\n   LinkedIn: ${email.linkedin_url || 'N/A'}\n   Phone: ${email.phone || 'N/A'}\n   Confidence: ${email.score || 'N/A'}\n`;
         });
 
         return {
           content: [
             {
               type: "text",
-              text: `**Prospeo Domain Search Results for ${args.domain}:**\\n\\n**Total Emails Found:** ${data.total || emails.length}\\n**Company:** ${data.company_name || 'N/A'}\\n\\n**Email Addresses:**\\n\\n${emailResults.join('\\n')}\\n\\n**Pagination:** Page ${Math.floor((args.offset || 0) / (args.limit || 50)) + 1}`
+              text: `**Prospeo Domain Search Results for ${args.domain}:**\n\n**Total Emails Found:** ${data.total || emails.length}\n**Company:** ${data.company_name || 'N/A'}\n\n**Email Addresses:**\n\n${emailResults.join('\n')}\n\n**Pagination:** Page ${Math.floor((args.offset || 0) / (args.limit || 50)) + 1}`
             }
-          ]
+          ],
+          structuredContent: {
+            domain: args.domain,
+            company_name: data.company_name ?? null,
+            total: data.total || emails.length,
+            emails: emails.map(email => ({
+              email: email.email,
+              first_name: email.first_name ?? null,
+              last_name: email.last_name ?? null,
+              position: email.position ?? null,
+              department: email.department ?? null,
+              seniority: email.seniority ?? null,
+              linkedin_url: email.linkedin_url ?? null,
+              phone: email.phone ?? null,
+              score: email.score ?? null
+            }))
+          }
         };
       } catch (error) {
-        throw new Error(`Prospeo domain search failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`Prospeo domain search failed: ${error.message}`, { cause: error });
       }
     },
 
@@ -186,8 +276,8 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'PROSPEO_API
         if (args.location) requestData.location = args.location;
         if (args.linkedin_url) requestData.linkedin_url = args.linkedin_url;
 
-        const response = await axios.post(
-          'https://api.prospeo.io/phone-finder',
+        const response = await prospeoApi.post(
+          '/phone-finder',
           requestData,
           {
             headers: {
@@ -204,7 +294,8 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'PROSPEO_API
             content: [{
               type: "text",
               text: `No mobile number found for ${args.first_name} ${args.last_name} at ${args.company_domain}`
-            }]
+            }],
+            structuredContent: { phone: null, score: null, source: null }
           };
         }
 
@@ -212,12 +303,17 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'PROSPEO_API
           content: [
             {
               type: "text",
-              text: `**Prospeo Find Mobile Number Results:**\\n\\n**Name:** ${args.first_name} ${args.last_name}\\n**Mobile Number:** ${data.phone}\\n**Company Domain:** ${args.company_domain}\\n**Location:** ${args.location || 'N/A'}\\n**Confidence Score:** ${data.score || 'N/A'}\\n**Source:** ${data.source || 'N/A'}\\n**LinkedIn:** ${args.linkedin_url || 'N/A'}`
+              text: `**Prospeo Find Mobile Number Results:**\n\n**Name:** ${args.first_name} ${args.last_name}\n**Mobile Number:** ${data.phone}\n**Company Domain:** ${args.company_domain}\n**Location:** ${args.location || 'N/A'}\n**Confidence Score:** ${data.score || 'N/A'}\n**Source:** ${data.source || 'N/A'}\n**LinkedIn:** ${args.linkedin_url || 'N/A'}`
             }
-          ]
+          ],
+          structuredContent: {
+            phone: data.phone,
+            score: data.score ?? null,
+            source: data.source ?? null
+          }
         };
       } catch (error) {
-        throw new Error(`Prospeo find mobile number failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`Prospeo find mobile number failed: ${error.message}`, { cause: error });
       }
     },
 
@@ -227,8 +323,8 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'PROSPEO_API
       }
 
       try {
-        const response = await axios.post(
-          'https://api.prospeo.io/email-verifier',
+        const response = await prospeoApi.post(
+          '/email-verifier',
           { email: args.email },
           {
             headers: {
@@ -244,12 +340,27 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'PROSPEO_API
           content: [
             {
               type: "text",
-              text: `**Prospeo Email Verification Results:**\\n\\n**Email:** ${args.email}\\n**Status:** ${data.status || 'N/A'}\\n**Valid:** ${data.valid ? 'Yes' : 'No'}\\n**Deliverable:** ${data.deliverable ? 'Yes' : 'No'}\\n**Disposable:** ${data.disposable ? 'Yes' : 'No'}\\n**Catch All:** ${data.catch_all ? 'Yes' : 'No'}\\n**Gibberish:** ${data.gibberish ? 'Yes' : 'No'}\\n**Spam:** ${data.spam ? 'Yes' : 'No'}\\n**MX Record:** ${data.mx_record ? 'Found' : 'Not found'}\\n**SMTP Valid:** ${data.smtp_valid ? 'Yes' : 'No'}\\n**Role Account:** ${data.role_account ? 'Yes' : 'No'}\\n**Free Provider:** ${data.free_provider ? 'Yes' : 'No'}\\n\\n**Domain:** ${data.domain || 'N/A'}\\n**Username:** ${data.username || 'N/A'}\\n**Score:** ${data.score || 'N/A'}`
+              text: `**Prospeo Email Verification Results:**\n\n**Email:** ${args.email}\n**Status:** ${data.status || 'N/A'}\n**Valid:** ${data.valid ? 'Yes' : 'No'}\n**Deliverable:** ${data.deliverable ? 'Yes' : 'No'}\n**Disposable:** ${data.disposable ? 'Yes' : 'No'}\n**Catch All:** ${data.catch_all ? 'Yes' : 'No'}\n**Gibberish:** ${data.gibberish ? 'Yes' : 'No'}\n**Spam:** ${data.spam ? 'Yes' : 'No'}\n**MX Record:** ${data.mx_record ? 'Found' : 'Not found'}\n**SMTP Valid:** ${data.smtp_valid ? 'Yes' : 'No'}\n**Role Account:** ${data.role_account ? 'Yes' : 'No'}\n**Free Provider:** ${data.free_provider ? 'Yes' : 'No'}\n\n**Domain:** ${data.domain || 'N/A'}\n**Username:** ${data.username || 'N/A'}\n**Score:** ${data.score || 'N/A'}`
             }
-          ]
+          ],
+          structuredContent: {
+            email: args.email,
+            status: data.status ?? null,
+            valid: Boolean(data.valid),
+            deliverable: Boolean(data.deliverable),
+            disposable: Boolean(data.disposable),
+            catch_all: Boolean(data.catch_all),
+            gibberish: Boolean(data.gibberish),
+            spam: Boolean(data.spam),
+            mx_record: Boolean(data.mx_record),
+            smtp_valid: Boolean(data.smtp_valid),
+            role_account: Boolean(data.role_account),
+            free_provider: Boolean(data.free_provider),
+            score: data.score ?? null
+          }
         };
       } catch (error) {
-        throw new Error(`Prospeo email verification failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`Prospeo email verification failed: ${error.message}`, { cause: error });
       }
     },
 
@@ -259,8 +370,8 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'PROSPEO_API
       }
 
       try {
-        const response = await axios.post(
-          'https://api.prospeo.io/linkedin-email-finder',
+        const response = await prospeoApi.post(
+          '/linkedin-email-finder',
           { linkedin_url: args.linkedin_url },
           {
             headers: {
@@ -277,7 +388,8 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'PROSPEO_API
             content: [{
               type: "text",
               text: `Unable to enrich data from LinkedIn profile: ${args.linkedin_url}`
-            }]
+            }],
+            structuredContent: { linkedin_url: args.linkedin_url, person: null }
           };
         }
 
@@ -285,12 +397,31 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'PROSPEO_API
           content: [
             {
               type: "text",
-              text: `**Prospeo LinkedIn Enrichment Results:**\\n\\n**LinkedIn URL:** ${args.linkedin_url}\\n\\n**Personal Information:**\\n**Name:** ${data.first_name || ''} ${data.last_name || ''}\\n**Email:** ${data.email || 'N/A'}\\n**Phone:** ${data.phone || 'N/A'}\\n\\n**Professional Information:**\\n**Current Position:** ${data.current_position || 'N/A'}\\n**Current Company:** ${data.current_company || 'N/A'}\\n**Company Domain:** ${data.company_domain || 'N/A'}\\n**Industry:** ${data.industry || 'N/A'}\\n**Location:** ${data.location || 'N/A'}\\n\\n**Profile Details:**\\n**Headline:** ${data.headline || 'N/A'}\\n**Summary:** ${data.summary ? data.summary.substring(0, 200) + '...' : 'N/A'}\\n**Connections:** ${data.connections || 'N/A'}\\n**Profile Picture:** ${data.profile_picture || 'N/A'}\\n\\n**Contact Score:** ${data.score || 'N/A'}`
+              text: `**Prospeo LinkedIn Enrichment Results:**\n\n**LinkedIn URL:** ${args.linkedin_url}\n\n**Personal Information:**\n**Name:** ${data.first_name || ''} ${data.last_name || ''}\n**Email:** ${data.email || 'N/A'}\n**Phone:** ${data.phone || 'N/A'}\n\n**Professional Information:**\n**Current Position:** ${data.current_position || 'N/A'}\n**Current Company:** ${data.current_company || 'N/A'}\n**Company Domain:** ${data.company_domain || 'N/A'}\n**Industry:** ${data.industry || 'N/A'}\n**Location:** ${data.location || 'N/A'}\n\n**Profile Details:**\n**Headline:** ${data.headline || 'N/A'}\n**Summary:** ${data.summary ? data.summary.substring(0, 200) + '...' : 'N/A'}\n**Connections:** ${data.connections || 'N/A'}\n**Profile Picture:** ${data.profile_picture || 'N/A'}\n\n**Contact Score:** ${data.score || 'N/A'}`
+            }
+          ],
+          structuredContent: {
+            linkedin_url: args.linkedin_url,
+            person: {
+              first_name: data.first_name ?? null,
+              last_name: data.last_name ?? null,
+              email: data.email ?? null,
+              phone: data.phone ?? null,
+              current_position: data.current_position ?? null,
+              current_company: data.current_company ?? null,
+              company_domain: data.company_domain ?? null,
+              industry: data.industry ?? null,
+              location: data.location ?? null,
+              headline: data.headline ?? null,
+              summary: data.summary ?? null,
+              connections: data.connections ?? null,
+              profile_picture: data.profile_picture ?? null,
+              score: data.score ?? null
             }
-          ]
+          }
         };
       } catch (error) {
-        throw new Error(`Prospeo LinkedIn enrichment failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`Prospeo LinkedIn enrichment failed: ${error.message}`, { cause: error });
       }
     }
   };
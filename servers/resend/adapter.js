@@ -1,17 +1,21 @@
 // Adapter to convert Resend MCP Server to our format
-import { Resend } from 'resend';
+import { createHttpClient } from '../../utils/http-client.js';
 import { z } from 'zod';
 
+const BASE_URL = process.env.RESEND_BASE_URL || 'https://api.resend.com';
+
 /**
  * Extract tools from Resend MCP server and create handlers for our multi-MCP system
  */
 export async function createServerAdapter(serverPath, apiKeyParam = 'RESEND_API_KEY') {
+  const resendApi = createHttpClient({ provider: 'resend', baseURL: BASE_URL });
 
   const toolsDefinitions = [
     {
       name: 'send-email',
       title: 'Send Email',
       description: 'Send an email using Resend',
+      annotations: { readOnlyHint: false, destructiveHint: false, idempotentHint: false, openWorldHint: true },
       inputSchema: {
         to: z.string().email().describe('Recipient email address'),
         subject: z.string().describe('Email subject line'),
@@ -22,13 +26,24 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'RESEND_API_
         scheduledAt: z.string().optional().describe("Optional parameter to schedule the email. This uses natural language. Examples would be 'tomorrow at 10am' or 'in 2 hours'"),
         from: z.string().email().describe('Sender email address'),
         replyTo: z.string().email().array().optional().describe('Optional email addresses for the email readers to reply to')
+      },
+      outputSchema: {
+        id: z.string().describe('ID of the email created by Resend')
       }
     },
     {
       name: 'list-audiences',
       title: 'List Audiences',
       description: 'List all audiences from Resend. This tool is useful for getting the audience ID to help find the audience to use for other tools.',
-      inputSchema: {}
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
+      inputSchema: {},
+      outputSchema: {
+        audiences: z.array(z.object({
+          id: z.string(),
+          name: z.string(),
+          created_at: z.string()
+        }))
+      }
     }
   ];
 
@@ -39,15 +54,13 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'RESEND_API_
       }
 
       try {
-        const resend = new Resend(apiKey);
-
         // Build email request
         const emailRequest = {
           to: args.to,
           subject: args.subject,
           text: args.text,
           from: args.from,
-          replyTo: args.replyTo || []
+          reply_to: args.replyTo || []
         };
 
         // Add optional parameters
@@ -56,7 +69,7 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'RESEND_API_
         }
 
         if (args.scheduledAt) {
-          emailRequest.scheduledAt = args.scheduledAt;
+          emailRequest.scheduled_at = args.scheduledAt;
         }
 
         if (args.cc) {
@@ -67,11 +80,9 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'RESEND_API_
           emailRequest.bcc = args.bcc;
         }
 
-        const response = await resend.emails.send(emailRequest);
-
-        if (response.error) {
-          throw new Error(`Email failed to send: ${JSON.stringify(response.error)}`);
-        }
+        const response = await resendApi.post('/emails', emailRequest, {
+          headers: { Authorization: `Bearer ${apiKey}` }
+        });
 
         return {
           content: [
@@ -79,10 +90,11 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'RESEND_API_
               type: 'text',
               text: `Email sent successfully! ${JSON.stringify(response.data)}`
             }
-          ]
+          ],
+          structuredContent: { id: response.data.id }
         };
       } catch (error) {
-        throw new Error(`Resend send-email failed: ${error.message}`);
+        throw new Error(`Resend send-email failed: ${error.message}`, { cause: error });
       }
     },
 
@@ -92,12 +104,9 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'RESEND_API_
       }
 
       try {
-        const resend = new Resend(apiKey);
-        const response = await resend.audiences.list();
-
-        if (response.error) {
-          throw new Error(`Failed to list audiences: ${JSON.stringify(response.error)}`);
-        }
+        const response = await resendApi.get('/audiences', {
+          headers: { Authorization: `Bearer ${apiKey}` }
+        });
 
         return {
           content: [
@@ -105,16 +114,18 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'RESEND_API_
               type: 'text',
               text: `Audiences found: ${JSON.stringify(response.data)}`
             }
-          ]
+          ],
+          structuredContent: { audiences: response.data?.data ?? [] }
         };
       } catch (error) {
-        throw new Error(`Resend list-audiences failed: ${error.message}`);
+        throw new Error(`Resend list-audiences failed: ${error.message}`, { cause: error });
       }
     }
   };
 
   return {
     toolsDefinitions,
-    toolHandlers
+    toolHandlers,
+    supportsDryRun: true
   };
 }
@@ -1,12 +1,13 @@
 // Resend MCP Server - Adapted for Multi-MCP Server
-import { createServerAdapter } from './adapter.js';
+// Forward the loader's cache-busting query so hot reloads re-import adapter.js too
+const { createServerAdapter } = await import(`./adapter.js${new URL(import.meta.url).search}`);
 
 // Get the adapter with Resend tools
 import { dirname } from 'path';
 import { fileURLToPath } from 'url';
 const __dirname = dirname(fileURLToPath(import.meta.url));
 
-const { toolsDefinitions, toolHandlers } = await createServerAdapter(__dirname, 'RESEND_API_KEY');
+const { toolsDefinitions, toolHandlers, supportsDryRun } = await createServerAdapter(__dirname, 'RESEND_API_KEY');
 
 // Export in the format expected by multi-mcp-server
-export { toolsDefinitions, toolHandlers };
+export { toolsDefinitions, toolHandlers, supportsDryRun };
@@ -1,28 +1,95 @@
 // RocketReach MCP Server Adapter for 2025 Protocol
 import { z } from 'zod';
-import axios from 'axios';
+import { createHttpClient } from '../../utils/http-client.js';
+import { stringOrNumber } from '../../utils/output-schemas.js';
+
+const personSchema = z.object({
+  name: z.string().nullable(),
+  current_title: z.string().nullable(),
+  current_employer: z.string().nullable(),
+  location: z.string().nullable(),
+  emails: z.array(z.string()),
+  phones: z.array(z.string()),
+  linkedin_url: z.string().nullable(),
+  twitter_url: z.string().nullable(),
+  facebook_url: z.string().nullable(),
+  match_status: z.string().nullable()
+});
+
+const companySchema = z.object({
+  name: z.string().nullable(),
+  domain: z.string().nullable(),
+  industry: z.string().nullable(),
+  size: stringOrNumber.nullable(),
+  founded_year: stringOrNumber.nullable(),
+  revenue: stringOrNumber.nullable(),
+  location: z.string().nullable(),
+  website: z.string().nullable(),
+  linkedin_url: z.string().nullable(),
+  description: z.string().nullable(),
+  employee_count: stringOrNumber.nullable(),
+  technologies: z.array(z.string())
+});
+
+function toPerson(person) {
+  return {
+    name: person.name ?? null,
+    current_title: person.current_title ?? null,
+    current_employer: person.current_employer ?? null,
+    location: person.location ?? null,
+    emails: person.emails?.map(e => e.email) || [],
+    phones: person.phones?.map(p => p.number) || [],
+    linkedin_url: person.linkedin_url ?? null,
+    twitter_url: person.twitter_url ?? null,
+    facebook_url: person.facebook_url ?? null,
+    match_status: person.match_status ?? null
+  };
+}
+
+function toCompany(company) {
+  return {
+    name: company.name ?? null,
+    domain: company.domain ?? null,
+    industry: company.industry ?? null,
+    size: company.size ?? null,
+    founded_year: company.founded_year ?? null,
+    revenue: company.revenue ?? null,
+    location: company.location ?? null,
+    website: company.website ?? null,
+    linkedin_url: company.linkedin_url ?? null,
+    description: company.description ?? null,
+    employee_count: company.employee_count ?? null,
+    technologies: company.technologies || []
+  };
+}
 
 /**
  * RocketReach MCP Server adapter for multi-MCP system
  */
 export async function createServerAdapter(serverPath, apiKeyParam = 'ROCKETREACH_API_KEY') {
+  const rocketreachApi = createHttpClient({ provider: 'rocketreach', baseURL: 'https://api.rocketreach.co/v1' });
   
   const toolsDefinitions = [
     {
       name: 'rocketreach-person-lookup',
       title: 'RocketReach Person Lookup',
       description: 'Look up a person by name and company using RocketReach API',
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         name: z.string().describe('Full name of the person'),
         current_employer: z.string().optional().describe('Current company or employer'),
         linkedin_url: z.string().optional().describe('LinkedIn profile URL'),
         location: z.string().optional().describe('Location or city')
+      },
+      outputSchema: {
+        person: personSchema.nullable().describe('Best matching profile, or null when none was found')
       }
     },
     {
       name: 'rocketreach-person-search',
       title: 'RocketReach Person Search',
       description: 'Search for people with advanced filters using RocketReach API',
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         query: z.string().optional().describe('Search query or keywords'),
         company: z.array(z.string()).optional().describe('Company names to filter by'),
@@ -31,21 +98,30 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'ROCKETREACH
         school: z.array(z.string()).optional().describe('Schools to filter by'),
         start: z.number().optional().describe('Start index for pagination (default: 1)'),
         size: z.number().optional().describe('Number of results per page (max: 100)')
+      },
+      outputSchema: {
+        profiles: z.array(personSchema),
+        total: z.number()
       }
     },
     {
       name: 'rocketreach-company-lookup',
       title: 'RocketReach Company Lookup',
       description: 'Look up company information using RocketReach API',
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         name: z.string().describe('Company name to lookup'),
         domain: z.string().optional().describe('Company domain')
+      },
+      outputSchema: {
+        company: companySchema.nullable().describe('Best matching company, or null when none was found')
       }
     },
     {
       name: 'rocketreach-company-search',
       title: 'RocketReach Company Search',
       description: 'Search for companies with filters using RocketReach API',
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         query: z.string().optional().describe('Search query or keywords'),
         location: z.array(z.string()).optional().describe('Locations to filter by'),
@@ -53,24 +129,46 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'ROCKETREACH
         size: z.array(z.string()).optional().describe('Company size ranges'),
         start: z.number().optional().describe('Start index for pagination (default: 1)'),
         page_size: z.number().optional().describe('Number of results per page (max: 100)')
+      },
+      outputSchema: {
+        companies: z.array(companySchema),
+        total: z.number()
       }
     },
     {
       name: 'rocketreach-account-info',
       title: 'RocketReach Account Info',
       description: 'Get account information and usage statistics',
-      inputSchema: {}
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
+      inputSchema: {},
+      outputSchema: {
+        name: z.string().nullable(),
+        email: z.string().nullable(),
+        plan: z.string().nullable(),
+        status: z.string().nullable(),
+        lookups_used: z.number().nullable(),
+        lookups_remaining: z.number().nullable(),
+        searches_used: z.number().nullable(),
+        searches_remaining: z.number().nullable(),
+        credits_reset_date: z.string().nullable()
+      }
     },
     {
       name: 'rocketreach-bulk-lookup',
       title: 'RocketReach Bulk Person Lookup',
       description: 'Look up multiple people in bulk using RocketReach API',
+      annotations: { readOnlyHint: false, destructiveHint: false, idempotentHint: false, openWorldHint: true },
       inputSchema: {
         people: z.array(z.object({
           name: z.string().describe('Full name of the person'),
           current_employer: z.string().optional().describe('Current company'),
           linkedin_url: z.string().optional().describe('LinkedIn URL')
         })).describe('Array of people to lookup')
+      },
+      outputSchema: {
+        profiles: z.array(personSchema),
+        requested: z.number(),
+        found: z.number()
       }
     }
   ];
@@ -91,7 +189,7 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'ROCKETREACH
         if (args.linkedin_url) params.linkedin_url = args.linkedin_url;
         if (args.location) params.location = args.location;
 
-        const response = await axios.get('https://api.rocketreach.co/v1/api/person/lookup', { params });
+        const response = await rocketreachApi.get('/api/person/lookup', { params });
         const data = response.data;
 
         if (!data.profiles || data.profiles.length === 0) {
@@ -99,7 +197,8 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'ROCKETREACH
             content: [{
               type: "text",
               text: `No person found matching: ${args.name} ${args.current_employer ? `at ${args.current_employer}` : ''}`
-            }]
+            }],
+            structuredContent: { person: null }
           };
         }
 
@@ -109,12 +208,13 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'ROCKETREACH
           content: [
             {
               type: "text",
-              text: `**RocketReach Person Lookup Results:**\\n\\n**Name:** ${person.name || 'N/A'}\\n**Current Title:** ${person.current_title || 'N/A'}\\n**Current Employer:** ${person.current_employer || 'N/A'}\\n**Location:** ${person.location || 'N/A'}\\n\\n**Contact Information:**\\n**Email:** ${person.emails?.map(e => e.email).join(', ') || 'N/A'}\\n**Phone:** ${person.phones?.map(p => p.number).join(', ') || 'N/A'}\\n**LinkedIn:** ${person.linkedin_url || 'N/A'}\\n**Twitter:** ${person.twitter_url || 'N/A'}\\n**Facebook:** ${person.facebook_url || 'N/A'}\\n\\n**Professional Background:**\\n**Experience:** ${person.work_experiences?.map(exp => `${exp.title} at ${exp.company_name} (${exp.start_date} - ${exp.end_date})`).join('\\n') || 'N/A'}\\n**Education:** ${person.educations?.map(edu => `${edu.degree} from ${edu.school} (${edu.start_date} - ${edu.end_date})`).join('\\n') || 'N/A'}`
+              text: `**RocketReach Person Lookup Results:**\n\n**Name:** ${person.name || 'N/A'}\n**Current Title:** ${person.current_title || 'N/A'}\n**Current Employer:** ${person.current_employer || 'N/A'}\n**Location:** ${person.location || 'N/A'}\n\n**Contact Information:**\n**Email:** ${person.emails?.map(e => e.email).join(', ') || 'N/A'}\n**Phone:** ${person.phones?.map(p => p.number).join(', ') || 'N/A'}\n**LinkedIn:** ${person.linkedin_url || 'N/A'}\n**Twitter:** ${person.twitter_url || 'N/A'}\n**Facebook:** ${person.facebook_url || 'N/A'}\n\n**Professional Background:**\n**Experience:** ${person.work_experiences?.map(exp => `${exp.title} at ${exp.company_name} (${exp.start_date} - ${exp.end_date})`).join('\n') || 'N/A'}\n**Education:** ${person.educations?.map(edu => `${edu.degree} from ${edu.school} (${edu.start_date} - ${edu.end_date})`).join('\n') || 'N/A'}`
             }
-          ]
+          ],
+          structuredContent: { person: toPerson(person) }
         };
       } catch (error) {
-        throw new Error(`RocketReach person lookup failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`RocketReach person lookup failed: ${error.message}`, { cause: error });
       }
     },
 
@@ -136,7 +236,7 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'ROCKETREACH
         if (args.location) params['location[]'] = args.location;
         if (args.school) params['school[]'] = args.school;
 
-        const response = await axios.get('https://api.rocketreach.co/v1/api/search', { params });
+        const response = await rocketreachApi.get('/api/search', { params });
         const data = response.data;
 
         if (!data.profiles || data.profiles.length === 0) {
@@ -144,24 +244,29 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'ROCKETREACH
             content: [{
               type: "text",
               text: "No people found matching the search criteria."
-            }]
+            }],
+            structuredContent: { profiles: [], total: 0 }
           };
         }
 
         const results = data.profiles.map((person, index) => {
-          return `${index + 1}. **${person.name || 'Unknown'}**\\n   Title: ${person.current_title || 'N/A'}\\n   Company: ${person.current_employer || 'N/A'}\\n   Location: ${person.location || 'N/A'}\\n   Email: ${person.emails?.[0]?.email || 'N/A'}\\n   LinkedIn: ${person.linkedin_url || 'N/A'}\\n`;
+          return `${index + 1}. **${person.name || 'Unknown'}**\n   Title: ${person.current_title || 'N/A'}\n   Company: ${person.current_employer || 'N/A'}\n   Location: ${person.location || 'N/A'}\n   Email: ${person.emails?.[0]?.email || 'N/A'}\n   LinkedIn: ${person.linkedin_url || 'N/A'}\n`;
         });
 
         return {
           content: [
             {
               type: "text",
-              text: `**RocketReach Person Search Results:**\\n\\n${results.join('\\n')}\\n**Search Query:** ${args.query || 'Advanced filters'}\\n**Total Results:** ${data.pagination?.total || data.profiles.length}\\n**Current Page:** ${Math.ceil((args.start || 1) / (args.size || 25))}\\n**Results Per Page:** ${args.size || 25}`
+              text: `**RocketReach Person Search Results:**\n\n${results.join('\n')}\n**Search Query:** ${args.query || 'Advanced filters'}\n**Total Results:** ${data.pagination?.total || data.profiles.length}\n**Current Page:** ${Math.ceil((args.start || 1) / (args.size || 25))}\n**Results Per Page:** ${args.size || 25}`
             }
-          ]
+          ],
+          structuredContent: {
+            profiles: data.profiles.map(toPerson),
+            total: data.pagination?.total || data.profiles.length
+          }
         };
       } catch (error) {
-        throw new Error(`RocketReach person search failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`RocketReach person search failed: ${error.message}`, { cause: error });
       }
     },
 
@@ -178,7 +283,7 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'ROCKETREACH
 
         if (args.domain) params.domain = args.domain;
 
-        const response = await axios.get('https://api.rocketreach.co/v1/api/company/lookup', { params });
+        const response = await rocketreachApi.get('/api/company/lookup', { params });
         const data = response.data;
 
         if (!data.companies || data.companies.length === 0) {
@@ -186,7 +291,8 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'ROCKETREACH
             content: [{
               type: "text",
               text: `No company found matching: ${args.name}`
-            }]
+            }],
+            structuredContent: { company: null }
           };
         }
 
@@ -196,12 +302,13 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'ROCKETREACH
           content: [
             {
               type: "text",
-              text: `**RocketReach Company Lookup Results:**\\n\\n**Name:** ${company.name || 'N/A'}\\n**Domain:** ${company.domain || 'N/A'}\\n**Industry:** ${company.industry || 'N/A'}\\n**Size:** ${company.size || 'N/A'}\\n**Founded:** ${company.founded_year || 'N/A'}\\n**Revenue:** ${company.revenue || 'N/A'}\\n\\n**Contact Information:**\\n**Location:** ${company.location || 'N/A'}\\n**Address:** ${company.address || 'N/A'}\\n**Phone:** ${company.phone || 'N/A'}\\n**Website:** ${company.website || 'N/A'}\\n\\n**Social Media:**\\n**LinkedIn:** ${company.linkedin_url || 'N/A'}\\n**Twitter:** ${company.twitter_url || 'N/A'}\\n**Facebook:** ${company.facebook_url || 'N/A'}\\n\\n**Description:** ${company.description || 'N/A'}\\n**Employee Count:** ${company.employee_count || 'N/A'}\\n**Technologies:** ${company.technologies?.join(', ') || 'N/A'}`
+              text: `**RocketReach Company Lookup Results:**\n\n**Name:** ${company.name || 'N/A'}\n**Domain:** ${company.domain || 'N/A'}\n**Industry:** ${company.industry || 'N/A'}\n**Size:** ${company.size || 'N/A'}\n**Founded:** ${company.founded_year || 'N/A'}\n**Revenue:** ${company.revenue || 'N/A'}\n\n**Contact Information:**\n**Location:** ${company.location || 'N/A'}\n**Address:** ${company.address || 'N/A'}\n**Phone:** ${company.phone || 'N/A'}\n**Website:** ${company.website || 'N/A'}\n\n**Social Media:**\n**LinkedIn:** ${company.linkedin_url || 'N/A'}\n**Twitter:** ${company.twitter_url || 'N/A'}\n**Facebook:** ${company.facebook_url || 'N/A'}\n\n**Description:** ${company.description || 'N/A'}\n**Employee Count:** ${company.employee_count || 'N/A'}\n**Technologies:** ${company.technologies?.join(', ') || 'N/A'}`
             }
-          ]
+          ],
+          structuredContent: { company: toCompany(company) }
         };
       } catch (error) {
-        throw new Error(`RocketReach company lookup failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`RocketReach company lookup failed: ${error.message}`, { cause: error });
       }
     },
 
@@ -222,7 +329,7 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'ROCKETREACH
         if (args.industry) params['industry[]'] = args.industry;
         if (args.size) params['size[]'] = args.size;
 
-        const response = await axios.get('https://api.rocketreach.co/v1/api/company/search', { params });
+        const response = await rocketreachApi.get('/api/company/search', { params });
         const data = response.data;
 
         if (!data.companies || data.companies.length === 0) {
@@ -230,24 +337,29 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'ROCKETREACH
             content: [{
               type: "text",
               text: "No companies found matching the search criteria."
-            }]
+            }],
+            structuredContent: { companies: [], total: 0 }
           };
         }
 
         const results = data.companies.map((company, index) => {
-          return `${index + 1}. **${company.name || 'Unknown Company'}**\\n   Domain: ${company.domain || 'N/A'}\\n   Industry: ${company.industry || 'N/A'}\\n   Size: ${company.size || 'N/A'}\\n   Location: ${company.location || 'N/A'}\\n   Revenue: ${company.revenue || 'N/A'}\\n`;
+          return `${index + 1}. **${company.name || 'Unknown Company'}**\n   Domain: ${company.domain || 'N/A'}\n   Industry: ${company.industry || 'N/A'}\n   Size: ${company.size || 'N/A'}\n   Location: ${company.location || 'N/A'}\n   Revenue: ${company.revenue || 'N/A'}\n`;
         });
 
         return {
           content: [
             {
               type: "text",
-              text: `**RocketReach Company Search Results:**\\n\\n${results.join('\\n')}\\n**Search Query:** ${args.query || 'Advanced filters'}\\n**Total Results:** ${data.pagination?.total || data.companies.length}\\n**Current Page:** ${Math.ceil((args.start || 1) / (args.page_size || 25))}\\n**Results Per Page:** ${args.page_size || 25}`
+              text: `**RocketReach Company Search Results:**\n\n${results.join('\n')}\n**Search Query:** ${args.query || 'Advanced filters'}\n**Total Results:** ${data.pagination?.total || data.companies.length}\n**Current Page:** ${Math.ceil((args.start || 1) / (args.page_size || 25))}\n**Results Per Page:** ${args.page_size || 25}`
             }
-          ]
+          ],
+          structuredContent: {
+            companies: data.companies.map(toCompany),
+            total: data.pagination?.total || data.companies.length
+          }
         };
       } catch (error) {
-        throw new Error(`RocketReach company search failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`RocketReach company search failed: ${error.message}`, { cause: error });
       }
     },
 
@@ -261,19 +373,30 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'ROCKETREACH
           api_key: apiKey
         };
 
-        const response = await axios.get('https://api.rocketreach.co/v1/api/account', { params });
+        const response = await rocketreachApi.get('/api/account', { params });
         const data = response.data;
 
         return {
           content: [
             {
               type: "text",
-              text: `**RocketReach Account Information:**\\n\\n**Account Details:**\\n**Name:** ${data.name || 'N/A'}\\n**Email:** ${data.email || 'N/A'}\\n**Company:** ${data.company || 'N/A'}\\n**Plan:** ${data.plan || 'N/A'}\\n**Status:** ${data.status || 'N/A'}\\n\\n**Usage Statistics:**\\n**Lookups Used:** ${data.lookups_used || 'N/A'}\\n**Lookups Remaining:** ${data.lookups_remaining || 'N/A'}\\n**Searches Used:** ${data.searches_used || 'N/A'}\\n**Searches Remaining:** ${data.searches_remaining || 'N/A'}\\n**Emails Used:** ${data.emails_used || 'N/A'}\\n**Emails Remaining:** ${data.emails_remaining || 'N/A'}\\n\\n**Billing Information:**\\n**Billing Cycle:** ${data.billing_cycle || 'N/A'}\\n**Next Billing Date:** ${data.next_billing_date || 'N/A'}\\n**Credits Reset Date:** ${data.credits_reset_date || 'N/A'}`
+              text: `**RocketReach Account Information:**\n\n**Account Details:**\n**Name:** ${data.name || 'N/A'}\n**Email:** ${data.email || 'N/A'}\n**Company:** ${data.company || 'N/A'}\n**Plan:** ${data.plan || 'N/A'}\n**Status:** ${data.status || 'N/A'}\n\n**Usage Statistics:**\n**Lookups Used:** ${data.lookups_used || 'N/A'}\n**Lookups Remaining:** ${data.lookups_remaining || 'N/A'}\n**Searches Used:** ${data.searches_used || 'N/A'}\n**Searches Remaining:** ${data.searches_remaining || 'N/A'}\n**Emails Used:** ${data.emails_used || 'N/A'}\n**Emails Remaining:** ${data.emails_remaining || 'N/A'}\n\n**Billing Information:**\n**Billing Cycle:** ${data.billing_cycle || 'N/A'}\n**Next Billing Date:** ${data.next_billing_date || 'N/A'}\n**Credits Reset Date:** ${data.credits_reset_date || 'N/A'}`
             }
-          ]
+          ],
+          structuredContent: {
+            name: data.name ?? null,
+            email: data.email ?? null,
+            plan: data.plan ?? null,
+            status: data.status ?? null,
+            lookups_used: data.lookups_used ?? null,
+            lookups_remaining: data.lookups_remaining ?? null,
+            searches_used: data.searches_used ?? null,
+            searches_remaining: data.searches_remaining ?? null,
+            credits_reset_date: data.credits_reset_date ?? null
+          }
         };
       } catch (error) {
-        throw new Error(`RocketReach account info failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`RocketReach account info failed: ${error.message}`, { cause: error });
       }
     },
 
@@ -288,8 +411,8 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'ROCKETREACH
           people: args.people
         };
 
-        const response = await axios.post(
-          'https://api.rocketreach.co/v1/api/person/bulk-lookup',
+        const response = await rocketreachApi.post(
+          '/api/person/bulk-lookup',
           requestData,
           {
             headers: {
@@ -305,24 +428,30 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'ROCKETREACH
             content: [{
               type: "text",
               text: "No people found in the bulk lookup request."
-            }]
+            }],
+            structuredContent: { profiles: [], requested: args.people.length, found: 0 }
           };
         }
 
         const results = data.profiles.map((person, index) => {
-          return `${index + 1}. **${person.name || 'Unknown'}**\\n   Title: ${person.current_title || 'N/A'}\\n   Company: ${person.current_employer || 'N/A'}\\n   Email: ${person.emails?.[0]?.email || 'N/A'}\\n   Phone: ${person.phones?.[0]?.number || 'N/A'}\\n   LinkedIn: ${person.linkedin_url || 'N/A'}\\n   Match Status: ${person.match_status || 'N/A'}\\n`;
+          return `${index + 1}. **${person.name || 'Unknown'}**\n   Title: ${person.current_title || 'N/A'}\n   Company: ${person.current_employer || 'N/A'}\n   Email: ${person.emails?.[0]?.email || 'N/A'}\n   Phone: ${person.phones?.[0]?.number || 'N/A'}\n   LinkedIn: ${person.linkedin_url || 'N/A'}\n   Match Status: ${person.match_status || 'N/A'}\n`;
         });
 
         return {
           content: [
             {
               type: "text",
-              text: `**RocketReach Bulk Person Lookup Results:**\\n\\n${results.join('\\n')}\\n**Total Requested:** ${args.people.length}\\n**Total Found:** ${data.profiles.length}\\n**Success Rate:** ${Math.round((data.profiles.length / args.people.length) * 100)}%\\n\\n**Credits Used:** ${data.credits_used || 'N/A'}\\n**Credits Remaining:** ${data.credits_remaining || 'N/A'}`
+              text: `**RocketReach Bulk Person Lookup Results:**\n\n${results.join('\n')}\n**Total Requested:** ${args.people.length}\n**Total Found:** ${data.profiles.length}\n**Success Rate:** ${Math.round((data.profiles.length / args.people.length) * 100)}%\n\n**Credits Used:** ${data.credits_used || 'N/A'}\n**Credits Remaining:** ${data.credits_remaining || 'N/A'}`
             }
-          ]
+          ],
+          structuredContent: {
+            profiles: data.profiles.map(toPerson),
+            requested: args.people.length,
+            found: data.profiles.length
+          }
         };
       } catch (error) {
-        throw new Error(`RocketReach bulk lookup failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`RocketReach bulk lookup failed: ${error.message}`, { cause: error });
       }
     }
   };
@@ -1,100 +1,158 @@
 // Slack MCP Server Adapter for 2025 Protocol
 import { z } from 'zod';
-import axios from 'axios';
+import { createHttpClient } from '../../utils/http-client.js';
 import { log } from '../../multi-mcp-server-simple.js';
 
 /**
  * Slack MCP Server adapter for multi-MCP system
  */
 export async function createServerAdapter(serverPath, apiKeyParam = 'SLACK_ACCESS_TOKEN') {
+  const slackApi = createHttpClient({ provider: 'slack', baseURL: 'https://slack.com/api' });
 
   const toolsDefinitions = [
     {
       name: 'slack-send-message',
       title: 'Send Message',
       description: 'Send a message to a Slack channel or user',
+      annotations: { readOnlyHint: false, destructiveHint: false, idempotentHint: false, openWorldHint: true },
       inputSchema: {
         channel: z.string().describe('Channel ID or name (e.g., #general, C1234567890, or @username)'),
         text: z.string().describe('Message text to send'),
+      },
+      outputSchema: {
+        channel: z.string(),
+        ts: z.string().describe('Timestamp ID of the posted message'),
+        thread_ts: z.string().optional()
       }
     },
     {
       name: 'slack-list-channels',
       title: 'List Channels',
       description: 'List all channels in the Slack workspace',
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         types: z.string().optional().default('public_channel,private_channel').describe('Channel types to include (public_channel,private_channel,mpim,im)'),
         limit: z.number().optional().default(100).describe('Maximum number of channels to return')
+      },
+      outputSchema: {
+        channels: z.array(z.object({
+          id: z.string(),
+          name: z.string(),
+          is_private: z.boolean().optional(),
+          is_archived: z.boolean().optional(),
+          num_members: z.number().optional(),
+          topic: z.string(),
+          purpose: z.string()
+        }))
       }
     },
     {
       name: 'slack-get-channel-info',
       title: 'Get Channel Info',
       description: 'Get detailed information about a specific channel',
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         channel: z.string().describe('Channel ID or name')
+      },
+      outputSchema: {
+        channel: z.record(z.any()).describe('Channel object as returned by conversations.info')
       }
     },
     {
       name: 'slack-list-users',
       title: 'List Users',
       description: 'List all users in the Slack workspace',
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         limit: z.number().optional().default(100).describe('Maximum number of users to return')
+      },
+      outputSchema: {
+        users: z.array(z.object({
+          id: z.string(),
+          name: z.string(),
+          real_name: z.string().optional(),
+          display_name: z.string(),
+          email: z.string(),
+          is_admin: z.boolean().optional(),
+          is_owner: z.boolean().optional(),
+          status: z.string()
+        }))
       }
     },
     {
       name: 'slack-get-user-info',
       title: 'Get User Info',
       description: 'Get detailed information about a specific user',
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         user: z.string().describe('User ID or username')
+      },
+      outputSchema: {
+        user: z.record(z.any()).describe('User object as returned by users.info')
       }
     },
     {
       name: 'slack-get-channel-history',
       title: 'Get Channel History',
       description: 'Get recent messages from a channel',
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         channel: z.string().describe('Channel ID or name'),
         limit: z.number().optional().default(10).describe('Number of messages to retrieve (max 100)'),
         oldest: z.string().optional().describe('Start of time range (timestamp)'),
         latest: z.string().optional().describe('End of time range (timestamp)')
+      },
+      outputSchema: {
+        messages: z.array(z.object({
+          ts: z.string(),
+          user: z.string().optional(),
+          text: z.string().optional(),
+          thread_ts: z.string().optional(),
+          reply_count: z.number(),
+          timestamp: z.string()
+        })),
+        has_more: z.boolean()
       }
     },
     {
       name: 'slack-update-message',
       title: 'Update Message',
       description: 'Update an existing message in a channel',
+      annotations: { readOnlyHint: false, destructiveHint: true, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         channel: z.string().describe('Channel ID where the message was sent'),
         ts: z.string().describe('Timestamp of the message to update'),
         text: z.string().describe('New message text'),
         blocks: z.array(z.any()).optional().describe('New rich message blocks (JSON format)')
+      },
+      outputSchema: {
+        channel: z.string(),
+        ts: z.string(),
+        text: z.string().optional()
       }
     },
     {
       name: 'slack-delete-message',
       title: 'Delete Message',
       description: 'Delete a message from a channel',
+      annotations: { readOnlyHint: false, destructiveHint: true, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         channel: z.string().describe('Channel ID where the message was sent'),
         ts: z.string().describe('Timestamp of the message to delete')
+      },
+      outputSchema: {
+        channel: z.string(),
+        ts: z.string()
       }
     }
   ];
 
-  // Initialize Slack API client
-  let slackToken = null;
-
+  // Check an access token by calling auth.test
   const initializeSlack = async (accessToken) => {
     try {
-      slackToken = accessToken;
-
-      // Test the token by calling auth.test
-      const response = await axios.post('https://slack.com/api/auth.test', {}, {
+      const response = await slackApi.post('/auth.test', {}, {
         headers: {
-          'Authorization': `Bearer ${slackToken}`,
+          'Authorization': `Bearer ${accessToken}`,
           'Content-Type': 'application/json'
         }
       });
@@ -115,10 +173,11 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'SLACK_ACCES
     }
   };
 
-  const makeSlackRequest = async (method, data = {}) => {
-    const response = await axios.post(`https://slack.com/api/${method}`, data, {
+  // The token is passed per call: it belongs to the session and changes when the gateway refreshes it
+  const makeSlackRequest = async (accessToken, method, data = {}) => {
+    const response = await slackApi.post(`/${method}`, data, {
       headers: {
-        'Authorization': `Bearer ${slackToken}`,
+        'Authorization': `Bearer ${accessToken}`,
         'Content-Type': 'application/json'
       }
     });
@@ -133,7 +192,6 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'SLACK_ACCES
   const toolHandlers = {
     'slack-send-message': async (params, apiKey) => {
       try {
-        await initializeSlack(apiKey);
         const { channel, text, thread_ts, blocks } = params;
 
         const payload = {
@@ -144,26 +202,26 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'SLACK_ACCES
         if (thread_ts) payload.thread_ts = thread_ts;
         if (blocks) payload.blocks = blocks;
 
-        const result = await makeSlackRequest('chat.postMessage', payload);
+        const result = await makeSlackRequest(apiKey, 'chat.postMessage', payload);
 
         return {
           content: [{
             type: "text",
             text: `Message sent successfully:\n\n- Channel: ${channel}\n- Message: "${text}"\n- Timestamp: ${result.ts}\n- Thread: ${thread_ts ? 'Reply to thread' : 'New message'}\n\nFull Response:\n${JSON.stringify(result, null, 2)}`
-          }]
+          }],
+          structuredContent: { channel: result.channel, ts: result.ts, ...(thread_ts && { thread_ts }) }
         };
       } catch (error) {
         log('SLACK', `Failed to send message: ${error.message}`);
-        throw new Error(`Failed to send message: ${error.message}`);
+        throw new Error(`Failed to send message: ${error.message}`, { cause: error });
       }
     },
 
     'slack-list-channels': async (params, apiKey) => {
       try {
-        await initializeSlack(apiKey);
         const { types = 'public_channel,private_channel', limit = 100 } = params;
 
-        const result = await makeSlackRequest('conversations.list', {
+        const result = await makeSlackRequest(apiKey, 'conversations.list', {
           types: types,
           limit: limit
         });
@@ -184,20 +242,20 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'SLACK_ACCES
             text: `Found ${channels.length} channels:\n\n${channels.map((channel, index) =>
               `${index + 1}. ${channel.is_private ? '🔒' : '#'} ${channel.name} (${channel.id})\n   Members: ${channel.num_members || 'N/A'}\n   Topic: ${channel.topic || 'None'}`
             ).join('\n\n')}\n\nTotal Channels: ${channels.length}`
-          }]
+          }],
+          structuredContent: { channels }
         };
       } catch (error) {
         log('SLACK', `Failed to list channels: ${error.message}`);
-        throw new Error(`Failed to list channels: ${error.message}`);
+        throw new Error(`Failed to list channels: ${error.message}`, { cause: error });
       }
     },
 
     'slack-get-channel-info': async (params, apiKey) => {
       try {
-        await initializeSlack(apiKey);
         const { channel } = params;
 
-        const result = await makeSlackRequest('conversations.info', {
+        const result = await makeSlackRequest(apiKey, 'conversations.info', {
           channel: channel
         });
 
@@ -207,20 +265,20 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'SLACK_ACCES
           content: [{
             type: "text",
             text: `Channel Information:\n\n- ID: ${channelInfo.id}\n- Name: ${channelInfo.name}\n- Type: ${channelInfo.is_private ? 'Private' : 'Public'}\n- Created: ${new Date(channelInfo.created * 1000).toISOString()}\n- Members: ${channelInfo.num_members}\n- Topic: ${channelInfo.topic?.value || 'None'}\n- Purpose: ${channelInfo.purpose?.value || 'None'}\n- Archived: ${channelInfo.is_archived ? 'Yes' : 'No'}\n\nFull Response:\n${JSON.stringify(channelInfo, null, 2)}`
-          }]
+          }],
+          structuredContent: { channel: channelInfo }
         };
       } catch (error) {
         log('SLACK', `Failed to get channel info: ${error.message}`);
-        throw new Error(`Failed to get channel info: ${error.message}`);
+        throw new Error(`Failed to get channel info: ${error.message}`, { cause: error });
       }
     },
 
     'slack-list-users': async (params, apiKey) => {
       try {
-        await initializeSlack(apiKey);
         const { limit = 100 } = params;
 
-        const result = await makeSlackRequest('users.list', {
+        const result = await makeSlackRequest(apiKey, 'users.list', {
           limit: limit
         });
 
@@ -243,20 +301,20 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'SLACK_ACCES
             text: `Found ${users.length} users:\n\n${users.slice(0, 20).map((user, index) =>
               `${index + 1}. ${user.real_name} (@${user.name})\n   ID: ${user.id}\n   Email: ${user.email || 'Not available'}\n   Status: ${user.status || 'No status'}`
             ).join('\n\n')}\n\n${users.length > 20 ? `... and ${users.length - 20} more users` : ''}\n\nTotal Users: ${users.length}`
-          }]
+          }],
+          structuredContent: { users }
         };
       } catch (error) {
         log('SLACK', `Failed to list users: ${error.message}`);
-        throw new Error(`Failed to list users: ${error.message}`);
+        throw new Error(`Failed to list users: ${error.message}`, { cause: error });
       }
     },
 
     'slack-get-user-info': async (params, apiKey) => {
       try {
-        await initializeSlack(apiKey);
         const { user } = params;
 
-        const result = await makeSlackRequest('users.info', {
+        const result = await makeSlackRequest(apiKey, 'users.info', {
           user: user
         });
 
@@ -266,17 +324,17 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'SLACK_ACCES
           content: [{
             type: "text",
             text: `User Information:\n\n- ID: ${userInfo.id}\n- Username: @${userInfo.name}\n- Real Name: ${userInfo.real_name}\n- Display Name: ${userInfo.profile?.display_name || 'Not set'}\n- Email: ${userInfo.profile?.email || 'Not available'}\n- Phone: ${userInfo.profile?.phone || 'Not available'}\n- Title: ${userInfo.profile?.title || 'Not set'}\n- Status: ${userInfo.profile?.status_text || 'No status'}\n- Timezone: ${userInfo.tz_label || 'Not available'}\n- Admin: ${userInfo.is_admin ? 'Yes' : 'No'}\n- Owner: ${userInfo.is_owner ? 'Yes' : 'No'}\n- Deleted: ${userInfo.deleted ? 'Yes' : 'No'}\n\nFull Response:\n${JSON.stringify(userInfo, null, 2)}`
-          }]
+          }],
+          structuredContent: { user: userInfo }
         };
       } catch (error) {
         log('SLACK', `Failed to get user info: ${error.message}`);
-        throw new Error(`Failed to get user info: ${error.message}`);
+        throw new Error(`Failed to get user info: ${error.message}`, { cause: error });
       }
     },
 
     'slack-get-channel-history': async (params, apiKey) => {
       try {
-        await initializeSlack(apiKey);
         const { channel, limit = 10, oldest, latest } = params;
 
         const payload = {
@@ -287,7 +345,7 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'SLACK_ACCES
         if (oldest) payload.oldest = oldest;
         if (latest) payload.latest = latest;
 
-        const result = await makeSlackRequest('conversations.history', payload);
+        const result = await makeSlackRequest(apiKey, 'conversations.history', payload);
 
         const messages = result.messages.map(msg => ({
           ts: msg.ts,
@@ -304,17 +362,17 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'SLACK_ACCES
             text: `Channel History (${messages.length} messages):\n\n${messages.map((msg, index) =>
               `${index + 1}. [${msg.timestamp}] User: ${msg.user}\n   Message: "${msg.text}"\n   Thread: ${msg.thread_ts ? 'Part of thread' : 'Standalone'}\n   Replies: ${msg.reply_count}`
             ).join('\n\n')}\n\nTotal Messages: ${messages.length}`
-          }]
+          }],
+          structuredContent: { messages, has_more: Boolean(result.has_more) }
         };
       } catch (error) {
         log('SLACK', `Failed to get channel history: ${error.message}`);
-        throw new Error(`Failed to get channel history: ${error.message}`);
+        throw new Error(`Failed to get channel history: ${error.message}`, { cause: error });
       }
     },
 
     'slack-update-message': async (params, apiKey) => {
       try {
-        await initializeSlack(apiKey);
         const { channel, ts, text, blocks } = params;
 
         const payload = {
@@ -325,26 +383,26 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'SLACK_ACCES
 
         if (blocks) payload.blocks = blocks;
 
-        const result = await makeSlackRequest('chat.update', payload);
+        const result = await makeSlackRequest(apiKey, 'chat.update', payload);
 
         return {
           content: [{
             type: "text",
             text: `Message updated successfully:\n\n- Channel: ${channel}\n- Timestamp: ${ts}\n- New Text: "${text}"\n- Updated At: ${new Date().toISOString()}\n\nFull Response:\n${JSON.stringify(result, null, 2)}`
-          }]
+          }],
+          structuredContent: { channel: result.channel, ts: result.ts, text: result.text }
         };
       } catch (error) {
         log('SLACK', `Failed to update message: ${error.message}`);
-        throw new Error(`Failed to update message: ${error.message}`);
+        throw new Error(`Failed to update message: ${error.message}`, { cause: error });
       }
     },
 
     'slack-delete-message': async (params, apiKey) => {
       try {
-        await initializeSlack(apiKey);
         const { channel, ts } = params;
 
-        const result = await makeSlackRequest('chat.delete', {
+        const result = await makeSlackRequest(apiKey, 'chat.delete', {
           channel: channel,
           ts: ts
         });
@@ -353,11 +411,12 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'SLACK_ACCES
           content: [{
             type: "text",
             text: `Message deleted successfully:\n\n- Channel: ${channel}\n- Timestamp: ${ts}\n- Deleted At: ${new Date().toISOString()}\n\nFull Response:\n${JSON.stringify(result, null, 2)}`
-          }]
+          }],
+          structuredContent: { channel: result.channel, ts: result.ts }
         };
       } catch (error) {
         log('SLACK', `Failed to delete message: ${error.message}`);
-        throw new Error(`Failed to delete message: ${error.message}`);
+        throw new Error(`Failed to delete message: ${error.message}`, { cause: error });
       }
     }
   };
@@ -365,6 +424,7 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'SLACK_ACCES
   return {
     toolsDefinitions,
     toolHandlers,
-    initialize: initializeSlack
+    initialize: initializeSlack,
+    supportsDryRun: true
   };
 }
\ No newline at end of file
@@ -1,11 +1,241 @@
 // Smartlead MCP Server Adapter for 2025 Protocol
 import { z } from 'zod';
-import axios from 'axios';
+import { createHttpClient } from '../../utils/http-client.js';
+import { acknowledgementSchema, responseOutputSchema, stringOrNumber } from '../../utils/output-schemas.js';
+
+// Smartlead API response shapes. Handlers return the body as structuredContent: { data }.
+const campaignSchema = z.object({
+  id: z.number(),
+  user_id: z.number(),
+  name: z.string(),
+  status: z.string().describe('DRAFTED, ACTIVE, PAUSED, STOPPED, ARCHIVED or COMPLETED'),
+  created_at: z.string(),
+  updated_at: z.string(),
+  track_settings: z.array(z.string()),
+  scheduler_cron_value: z.record(z.any()),
+  min_time_btwn_emails: z.number(),
+  max_leads_per_day: z.number(),
+  stop_lead_settings: z.string(),
+  unsubscribe_text: z.string(),
+  client_id: z.number(),
+  parent_campaign_id: z.number()
+});
+
+const campaignCreatedSchema = z.object({ ok: z.boolean(), id: z.number(), name: z.string(), created_at: z.string() });
+
+const sequenceVariantSchema = z.object({
+  id: z.number(),
+  subject: z.string(),
+  email_body: z.string(),
+  variant_label: z.string(),
+  variant_distribution_percentage: z.number()
+});
+
+const sequenceStepSchema = z.object({
+  id: z.number(),
+  email_campaign_id: z.number(),
+  seq_number: z.number(),
+  seq_delay_details: z.object({ delayInDays: z.number(), delay_in_days: z.number() }),
+  subject: z.string(),
+  email_body: z.string(),
+  sequence_variants: z.array(sequenceVariantSchema),
+  created_at: z.string(),
+  updated_at: z.string()
+});
+
+const emailAccountSchema = z.object({
+  id: z.number(),
+  from_name: z.string(),
+  from_email: z.string(),
+  username: z.string(),
+  type: z.string().describe('SMTP, GMAIL or OUTLOOK'),
+  smtp_host: z.string(),
+  smtp_port: z.number(),
+  imap_host: z.string(),
+  imap_port: z.number(),
+  message_per_day: z.number(),
+  daily_sent_count: z.number(),
+  is_smtp_success: z.boolean(),
+  is_imap_success: z.boolean(),
+  smtp_failure_error: z.string(),
+  imap_failure_error: z.string(),
+  client_id: z.number(),
+  campaign_count: z.number(),
+  warmup_details: z.object({ status: z.string(), total_sent_count: z.number(), total_spam_count: z.number(), warmup_reputation: z.string() }),
+  created_at: z.string(),
+  updated_at: z.string()
+});
+
+const leadSchema = z.object({
+  id: z.number(),
+  email: z.string(),
+  first_name: z.string(),
+  last_name: z.string(),
+  phone_number: z.string(),
+  company_name: z.string(),
+  website: z.string(),
+  location: z.string(),
+  linkedin_profile: z.string(),
+  company_url: z.string(),
+  custom_fields: z.record(z.any()),
+  is_unsubscribed: z.boolean(),
+  created_at: z.string()
+});
+
+const campaignLeadSchema = z.object({
+  campaign_lead_map_id: z.number(),
+  status: z.string().describe('STARTED, INPROGRESS, COMPLETED, PAUSED or STOPPED'),
+  lead_category_id: z.number(),
+  created_at: z.string(),
+  lead: leadSchema
+});
+
+const leadPageSchema = z.object({
+  total_leads: stringOrNumber,
+  offset: z.number(),
+  limit: z.number(),
+  data: z.array(campaignLeadSchema)
+});
+
+const leadCategorySchema = z.object({ id: z.number(), name: z.string(), created_at: z.string() });
+
+const leadsAddedSchema = z.object({
+  ok: z.boolean(),
+  upload_count: z.number(),
+  total_leads: z.number(),
+  already_added_to_campaign: z.number(),
+  duplicate_count: z.number(),
+  invalid_email_count: z.number(),
+  unsubscribed_leads: z.array(z.string())
+});
+
+const messageHistorySchema = z.object({
+  history: z.array(z.object({
+    stats_id: z.string(),
+    type: z.string().describe('SENT or REPLY'),
+    message_id: z.string(),
+    time: z.string(),
+    email_body: z.string(),
+    subject: z.string(),
+    email_seq_number: stringOrNumber,
+    open_count: z.number(),
+    click_count: z.number()
+  })),
+  from: z.string(),
+  to: z.string()
+});
+
+const campaignAnalyticsSchema = z.object({
+  id: z.number(),
+  name: z.string(),
+  status: z.string(),
+  start_date: z.string(),
+  end_date: z.string(),
+  sent_count: stringOrNumber,
+  unique_sent_count: stringOrNumber,
+  open_count: stringOrNumber,
+  unique_open_count: stringOrNumber,
+  click_count: stringOrNumber,
+  unique_click_count: stringOrNumber,
+  reply_count: stringOrNumber,
+  bounce_count: stringOrNumber,
+  unsubscribed_count: stringOrNumber,
+  total_count: stringOrNumber,
+  campaign_lead_stats: z.record(z.number())
+});
+
+const campaignStatisticsSchema = z.object({
+  total_stats: stringOrNumber,
+  offset: z.number(),
+  limit: z.number(),
+  data: z.array(z.object({
+    lead_name: z.string(),
+    lead_email: z.string(),
+    lead_category: z.string(),
+    sequence_number: z.number(),
+    email_subject: z.string(),
+    sent_time: z.string(),
+    open_time: z.string(),
+    click_time: z.string(),
+    reply_time: z.string(),
+    is_unsubscribed: z.boolean(),
+    is_bounced: z.boolean()
+  }))
+});
+
+// The /analytics endpoints wrap their figures as { success, message, data }
+const analyticsSchema = z.object({
+  success: z.boolean(),
+  message: z.string(),
+  data: z.union([z.array(z.record(z.any())), z.record(z.any())])
+});
+
+const clientSchema = z.object({
+  id: z.number(),
+  name: z.string(),
+  email: z.string(),
+  uuid: z.string(),
+  client_permision: z.record(z.any()),
+  logo_url: z.string(),
+  created_at: z.string()
+});
+
+const apiKeySchema = z.object({
+  id: z.number(),
+  key_name: z.string(),
+  api_key: z.string(),
+  permissions: z.array(z.string()),
+  created_at: z.string()
+});
+
+const webhookSchema = z.object({
+  id: z.number(),
+  name: z.string(),
+  webhook_url: z.string(),
+  email_campaign_id: z.number(),
+  event_types: z.array(z.string()),
+  categories: z.array(z.string()),
+  created_at: z.string(),
+  updated_at: z.string()
+});
+
+const warmupStatsSchema = z.object({
+  id: z.number(),
+  sent_count: stringOrNumber,
+  spam_count: stringOrNumber,
+  inbox_count: stringOrNumber,
+  warmup_email_received_count: stringOrNumber,
+  stats_by_date: z.array(z.object({
+    date: z.string(),
+    sent_count: z.number(),
+    reply_count: z.number(),
+    save_from_spam_count: z.number()
+  }))
+});
+
+// Smart Delivery (spam and placement tests)
+const deliveryTestSchema = z.object({
+  spam_test_id: z.number(),
+  test_name: z.string(),
+  test_type: z.string().describe('manual or auto'),
+  status: z.string(),
+  folder_id: z.number(),
+  created_at: z.string()
+});
+
+// Per-test reports differ by report type, and come back as one object or a list of rows
+const deliveryReportSchema = z.union([z.array(z.record(z.any())), z.record(z.any())]);
+
+const folderSchema = z.object({ id: z.number(), name: z.string(), created_at: z.string() });
+
+// Exports are CSV text or JSON rows, depending on the requested format
+const exportSchema = z.union([z.string(), z.array(z.record(z.any())), z.record(z.any())]);
 
 /**
  * Smartlead MCP Server adapter for multi-MCP system
  */
 export async function createServerAdapter(serverPath, apiKeyParam = 'SMARTLEAD_API_KEY') {
+  const smartleadApi = createHttpClient({ provider: 'smartlead', baseURL: 'https://server.smartlead.ai/api/v1' });
   
   const toolsDefinitions = [
     
@@ -13,15 +243,18 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'SMARTLEAD_A
       name: 'smartlead-create-campaign',
       title: 'Create Campaign',
       description: 'Create a new campaign in Smartlead',
+      annotations: { readOnlyHint: false, destructiveHint: false, idempotentHint: false, openWorldHint: true },
       inputSchema: {
         name: z.string().describe('Name of the campaign'),
         client_id: z.number().optional().describe('Client ID for the campaign')
-      }
+      },
+      outputSchema: responseOutputSchema(campaignCreatedSchema, 'The created campaign')
     },
     {
       name: 'smartlead-update-campaign-schedule',
       title: 'Update Campaign Schedule',
       description: 'Update a campaign\'s schedule settings',
+      annotations: { readOnlyHint: false, destructiveHint: true, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         campaign_id: z.number().describe('ID of the campaign to update'),
         timezone: z.string().optional().describe('Timezone for the campaign (e.g., "America/Los_Angeles")'),
@@ -31,36 +264,43 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'SMARTLEAD_A
         min_time_btw_emails: z.number().optional().describe('Minimum time between emails in minutes'),
         max_new_leads_per_day: z.number().optional().describe('Maximum number of new leads per day'),
         schedule_start_time: z.string().optional().describe('Schedule start time in ISO format')
-      }
+      },
+      outputSchema: responseOutputSchema(acknowledgementSchema, 'Acknowledgement of the update')
     },
     {
       name: 'smartlead-update-campaign-settings',
       title: 'Update Campaign Settings',
       description: 'Update a campaign\'s general settings',
+      annotations: { readOnlyHint: false, destructiveHint: true, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         campaign_id: z.number().describe('ID of the campaign to update'),
         name: z.string().optional().describe('New name for the campaign'),
         status: z.enum(['active', 'paused', 'completed']).optional().describe('Status of the campaign'),
         settings: z.object({}).optional().describe('Additional campaign settings')
-      }
+      },
+      outputSchema: responseOutputSchema(acknowledgementSchema, 'Acknowledgement of the update')
     },
     {
       name: 'smartlead-get-campaign',
       title: 'Get Campaign',
       description: 'Get details of a specific campaign by ID',
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         campaign_id: z.number().describe('ID of the campaign to retrieve')
-      }
+      },
+      outputSchema: responseOutputSchema(campaignSchema, 'The campaign')
     },
     {
       name: 'smartlead-list-campaigns',
       title: 'List Campaigns',
       description: 'List all campaigns with optional filtering',
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         status: z.enum(['active', 'paused', 'completed', 'all']).optional().describe('Filter campaigns by status'),
         limit: z.number().optional().describe('Maximum number of campaigns to return'),
         offset: z.number().optional().describe('Offset for pagination')
-      }
+      },
+      outputSchema: responseOutputSchema(z.array(campaignSchema), 'Campaigns')
     },
     
     // Campaign sequence tools
@@ -68,6 +308,7 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'SMARTLEAD_A
       name: 'smartlead-save-campaign-sequence',
       title: 'Save Campaign Sequence',
       description: 'Save a sequence of emails for a campaign with A/B testing variants',
+      annotations: { readOnlyHint: false, destructiveHint: true, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         campaign_id: z.number().describe('ID of the campaign'),
         sequences: z.array(z.object({
@@ -89,36 +330,43 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'SMARTLEAD_A
           subject: z.string().optional().describe('Email subject line (for simple follow-ups, blank makes it in the same thread)'),
           email_body: z.string().optional().describe('Email body content (HTML) for simple follow-ups')
         })).describe('Array of email sequences to send')
-      }
+      },
+      outputSchema: responseOutputSchema(acknowledgementSchema, 'Acknowledgement of the save')
     },
     {
       name: 'smartlead-get-campaign-sequence',
       title: 'Get Campaign Sequence',
       description: 'Get the sequence of emails for a campaign',
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         campaign_id: z.number().describe('ID of the campaign')
-      }
+      },
+      outputSchema: responseOutputSchema(z.array(sequenceStepSchema), 'Sequence steps in order')
     },
     {
       name: 'smartlead-update-campaign-sequence',
       title: 'Update Campaign Sequence',
       description: 'Update a specific email in a campaign sequence',
+      annotations: { readOnlyHint: false, destructiveHint: true, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         campaign_id: z.number().describe('ID of the campaign'),
         sequence_id: z.number().describe('ID of the sequence email to update'),
         subject: z.string().optional().describe('Updated email subject line'),
         body: z.string().optional().describe('Updated email body content'),
         wait_days: z.number().optional().describe('Updated days to wait before sending this email')
-      }
+      },
+      outputSchema: responseOutputSchema(acknowledgementSchema, 'Acknowledgement of the update')
     },
     {
       name: 'smartlead-delete-campaign-sequence',
       title: 'Delete Campaign Sequence',
       description: 'Delete a specific email from a campaign sequence',
+      annotations: { readOnlyHint: false, destructiveHint: true, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         campaign_id: z.number().describe('ID of the campaign'),
         sequence_id: z.number().describe('ID of the sequence email to delete')
-      }
+      },
+      outputSchema: responseOutputSchema(acknowledgementSchema, 'Acknowledgement of the deletion')
     },
     
     // Email account management tools
@@ -126,29 +374,35 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'SMARTLEAD_A
       name: 'smartlead-add-email-account-to-campaign',
       title: 'Add Email Account to Campaign',
       description: 'Add an email account to a campaign',
+      annotations: { readOnlyHint: false, destructiveHint: false, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         campaign_id: z.number().describe('ID of the campaign'),
         email_account_id: z.number().describe('ID of the email account to add')
-      }
+      },
+      outputSchema: responseOutputSchema(z.object({ ok: z.boolean(), result: z.array(z.object({ email_account_id: z.number(), success: z.boolean() })) }), 'Email accounts added')
     },
     {
       name: 'smartlead-update-email-account-in-campaign',
       title: 'Update Email Account in Campaign',
       description: 'Update an email account in a campaign',
+      annotations: { readOnlyHint: false, destructiveHint: true, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         campaign_id: z.number().describe('ID of the campaign'),
         email_account_id: z.number().describe('ID of the email account to update'),
         settings: z.object({}).optional().describe('Settings for the email account in this campaign')
-      }
+      },
+      outputSchema: responseOutputSchema(acknowledgementSchema, 'Acknowledgement of the update')
     },
     {
       name: 'smartlead-delete-email-account-from-campaign',
       title: 'Delete Email Account from Campaign',
       description: 'Remove an email account from a campaign',
+      annotations: { readOnlyHint: false, destructiveHint: true, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         campaign_id: z.number().describe('ID of the campaign'),
         email_account_id: z.number().describe('ID of the email account to remove')
-      }
+      },
+      outputSchema: responseOutputSchema(acknowledgementSchema, 'Acknowledgement of the removal')
     },
 
     // Analytics tools (22 tools)
@@ -156,194 +410,234 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'SMARTLEAD_A
       name: 'smartlead-analytics-campaign-list',
       title: 'Analytics: Get Campaign List',
       description: 'Get a list of campaigns for analytics purposes. Supports filtering by client IDs for focused analysis.',
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         client_ids: z.array(z.number()).optional().describe('Filter campaigns by client IDs')
-      }
+      },
+      outputSchema: responseOutputSchema(analyticsSchema, 'Campaigns')
     },
     {
       name: 'smartlead-analytics-client-list',
       title: 'Analytics: Get Client List',
       description: 'Get a list of all clients for analytics and reporting purposes.',
-      inputSchema: {}
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
+      inputSchema: {},
+      outputSchema: responseOutputSchema(analyticsSchema, 'Clients')
     },
     {
       name: 'smartlead-analytics-client-month-wise-count',
       title: 'Analytics: Monthly Client Count',
       description: 'Get month-wise client count statistics for growth analysis.',
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         start_date: z.string().optional().describe('Start date for analysis (YYYY-MM-DD)'),
         end_date: z.string().optional().describe('End date for analysis (YYYY-MM-DD)')
-      }
+      },
+      outputSchema: responseOutputSchema(analyticsSchema, 'Client counts by month')
     },
     {
       name: 'smartlead-analytics-overall-stats-v2',
       title: 'Analytics: Overall Stats V2',
       description: 'Get comprehensive overall analytics statistics including sent, opened, replied, bounced metrics with date range filtering.',
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         start_date: z.string().describe('Start date (YYYY-MM-DD)'),
         end_date: z.string().describe('End date (YYYY-MM-DD)'),
         timezone: z.string().optional().describe('Timezone (default: UTC)')
-      }
+      },
+      outputSchema: responseOutputSchema(analyticsSchema, 'Sent, opened, replied and bounced totals')
     },
     {
       name: 'smartlead-analytics-day-wise-overall-stats',
       title: 'Analytics: Day-wise Overall Stats',
       description: 'Get day-by-day breakdown of overall analytics statistics for trend analysis.',
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         start_date: z.string().describe('Start date (YYYY-MM-DD)'),
         end_date: z.string().describe('End date (YYYY-MM-DD)'),
         timezone: z.string().optional().describe('Timezone (default: UTC)')
-      }
+      },
+      outputSchema: responseOutputSchema(analyticsSchema, 'Totals by day')
     },
     {
       name: 'smartlead-analytics-day-wise-positive-reply-stats',
       title: 'Analytics: Day-wise Positive Reply Stats',
       description: 'Get day-by-day breakdown of positive reply statistics for detailed engagement analysis.',
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         start_date: z.string().describe('Start date (YYYY-MM-DD)'),
         end_date: z.string().describe('End date (YYYY-MM-DD)'),
         timezone: z.string().optional().describe('Timezone (default: UTC)')
-      }
+      },
+      outputSchema: responseOutputSchema(analyticsSchema, 'Positive replies by day')
     },
     {
       name: 'smartlead-analytics-mailbox-name-wise-health-metrics',
       title: 'Analytics: Email Health Metrics',
       description: 'Get health metrics for individual email accounts including deliverability and performance data.',
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         start_date: z.string().describe('Start date (YYYY-MM-DD)'),
         end_date: z.string().describe('End date (YYYY-MM-DD)'),
         email_account_ids: z.array(z.number()).optional().describe('Filter by email account IDs')
-      }
+      },
+      outputSchema: responseOutputSchema(analyticsSchema, 'Health metrics by mailbox')
     },
     {
       name: 'smartlead-analytics-mailbox-domain-wise-health-metrics',
       title: 'Analytics: Domain Health Metrics',
       description: 'Get health metrics grouped by domain for domain reputation analysis.',
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         start_date: z.string().describe('Start date (YYYY-MM-DD)'),
         end_date: z.string().describe('End date (YYYY-MM-DD)'),
         domains: z.array(z.string()).optional().describe('Filter by domains')
-      }
+      },
+      outputSchema: responseOutputSchema(analyticsSchema, 'Health metrics by domain')
     },
     {
       name: 'smartlead-analytics-mailbox-provider-wise-overall-performance',
       title: 'Analytics: Email Provider Performance',
       description: 'Get performance metrics grouped by email provider (Gmail, Outlook, etc.) for provider-specific analysis.',
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         start_date: z.string().describe('Start date (YYYY-MM-DD)'),
         end_date: z.string().describe('End date (YYYY-MM-DD)'),
         providers: z.array(z.string()).optional().describe('Filter by email providers')
-      }
+      },
+      outputSchema: responseOutputSchema(analyticsSchema, 'Performance by email provider')
     },
     {
       name: 'smartlead-analytics-campaign-overall-stats',
       title: 'Analytics: Campaign Overall Stats',
       description: 'Get overall performance statistics for campaigns with date range filtering and detailed metrics.',
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         start_date: z.string().describe('Start date (YYYY-MM-DD)'),
         end_date: z.string().describe('End date (YYYY-MM-DD)'),
         campaign_ids: z.array(z.number()).optional().describe('Filter by campaign IDs')
-      }
+      },
+      outputSchema: responseOutputSchema(analyticsSchema, 'Totals by campaign')
     },
     {
       name: 'smartlead-analytics-client-overall-stats',
       title: 'Analytics: Client Overall Stats',
       description: 'Get overall performance statistics for clients with date range filtering.',
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         start_date: z.string().describe('Start date (YYYY-MM-DD)'),
         end_date: z.string().describe('End date (YYYY-MM-DD)'),
         client_ids: z.array(z.number()).optional().describe('Filter by client IDs')
-      }
+      },
+      outputSchema: responseOutputSchema(analyticsSchema, 'Totals by client')
     },
     {
       name: 'smartlead-analytics-team-board-overall-stats',
       title: 'Analytics: Team Board Stats',
       description: 'Get team board performance statistics for team management and analysis.',
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         start_date: z.string().describe('Start date (YYYY-MM-DD)'),
         end_date: z.string().describe('End date (YYYY-MM-DD)'),
         team_id: z.string().optional().describe('Filter by team ID')
-      }
+      },
+      outputSchema: responseOutputSchema(analyticsSchema, 'Totals by team member')
     },
     {
       name: 'smartlead-analytics-lead-overall-stats',
       title: 'Analytics: Lead Overall Stats',
       description: 'Get overall lead performance statistics and metrics.',
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         start_date: z.string().describe('Start date (YYYY-MM-DD)'),
         end_date: z.string().describe('End date (YYYY-MM-DD)'),
         campaign_ids: z.array(z.number()).optional().describe('Filter by campaign IDs')
-      }
+      },
+      outputSchema: responseOutputSchema(analyticsSchema, 'Lead totals')
     },
     {
       name: 'smartlead-analytics-lead-category-wise-response',
       title: 'Analytics: Lead Category Response',
       description: 'Get lead response statistics grouped by category for detailed analysis.',
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         start_date: z.string().describe('Start date (YYYY-MM-DD)'),
         end_date: z.string().describe('End date (YYYY-MM-DD)'),
         categories: z.array(z.string()).optional().describe('Filter by lead categories')
-      }
+      },
+      outputSchema: responseOutputSchema(analyticsSchema, 'Responses by lead category')
     },
     {
       name: 'smartlead-analytics-campaign-leads-take-for-first-reply',
       title: 'Analytics: Leads Take for First Reply',
       description: 'Get statistics on how long leads take to provide their first reply.',
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         campaign_id: z.number().describe('Campaign ID'),
         start_date: z.string().optional().describe('Start date (YYYY-MM-DD)'),
         end_date: z.string().optional().describe('End date (YYYY-MM-DD)')
-      }
+      },
+      outputSchema: responseOutputSchema(analyticsSchema, 'Time to first reply')
     },
     {
       name: 'smartlead-analytics-campaign-follow-up-reply-rate',
       title: 'Analytics: Follow-up Reply Rate',
       description: 'Get follow-up email reply rate statistics for campaign optimization.',
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         campaign_id: z.number().describe('Campaign ID'),
         start_date: z.string().optional().describe('Start date (YYYY-MM-DD)'),
         end_date: z.string().optional().describe('End date (YYYY-MM-DD)')
-      }
+      },
+      outputSchema: responseOutputSchema(analyticsSchema, 'Reply rate by follow-up')
     },
     {
       name: 'smartlead-analytics-campaign-lead-to-reply-time',
       title: 'Analytics: Lead to Reply Time',
       description: 'Get median time statistics for leads to reply to campaigns.',
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         campaign_id: z.number().describe('Campaign ID'),
         start_date: z.string().optional().describe('Start date (YYYY-MM-DD)'),
         end_date: z.string().optional().describe('End date (YYYY-MM-DD)')
-      }
+      },
+      outputSchema: responseOutputSchema(analyticsSchema, 'Median time from lead to reply')
     },
     {
       name: 'smartlead-analytics-campaign-response-stats',
       title: 'Analytics: Campaign Response Stats',
       description: 'Get detailed campaign response statistics and performance metrics.',
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         campaign_id: z.number().describe('Campaign ID'),
         start_date: z.string().optional().describe('Start date (YYYY-MM-DD)'),
         end_date: z.string().optional().describe('End date (YYYY-MM-DD)')
-      }
+      },
+      outputSchema: responseOutputSchema(analyticsSchema, 'Response totals')
     },
     {
       name: 'smartlead-analytics-campaign-status-stats',
       title: 'Analytics: Campaign Status Stats',
       description: 'Get campaign statistics grouped by status for status-based analysis.',
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         start_date: z.string().describe('Start date (YYYY-MM-DD)'),
         end_date: z.string().describe('End date (YYYY-MM-DD)'),
         statuses: z.array(z.string()).optional().describe('Filter by campaign statuses')
-      }
+      },
+      outputSchema: responseOutputSchema(analyticsSchema, 'Campaigns by status')
     },
     {
       name: 'smartlead-analytics-mailbox-overall-stats',
       title: 'Analytics: Mailbox Overall Stats',
       description: 'Get overall mailbox performance statistics and health metrics.',
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         start_date: z.string().describe('Start date (YYYY-MM-DD)'),
         end_date: z.string().describe('End date (YYYY-MM-DD)'),
         email_account_ids: z.array(z.number()).optional().describe('Filter by email account IDs')
-      }
+      },
+      outputSchema: responseOutputSchema(analyticsSchema, 'Mailbox totals')
     },
 
     // Enhanced campaign management tools (15 tools)
@@ -351,68 +645,82 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'SMARTLEAD_A
       name: 'smartlead-delete-campaign',
       title: 'Delete Campaign',
       description: 'Permanently delete a campaign and all associated data. This action cannot be undone.',
+      annotations: { readOnlyHint: false, destructiveHint: true, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         campaign_id: z.number().describe('ID of the campaign to delete')
-      }
+      },
+      outputSchema: responseOutputSchema(acknowledgementSchema, 'Acknowledgement of the deletion')
     },
     {
       name: 'smartlead-export-campaign-data',
       title: 'Export Campaign Data',
       description: 'Export campaign data in various formats (CSV, Excel, JSON) for analysis or backup purposes.',
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         campaign_id: z.number().describe('ID of the campaign'),
         format: z.enum(['csv', 'excel', 'json']).optional().describe('Export format (default: json)'),
         data_type: z.enum(['leads', 'analytics', 'sequences', 'all']).optional().describe('Type of data to export')
-      }
+      },
+      outputSchema: responseOutputSchema(exportSchema, 'Exported campaign data')
     },
     {
       name: 'smartlead-fetch-campaign-analytics-by-date-range',
       title: 'Fetch Campaign Analytics by Date Range',
       description: 'Retrieve detailed analytics for a campaign within a specific date range.',
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         campaign_id: z.number().describe('ID of the campaign'),
         start_date: z.string().describe('Start date (YYYY-MM-DD)'),
         end_date: z.string().describe('End date (YYYY-MM-DD)'),
         timezone: z.string().optional().describe('Timezone (default: UTC)')
-      }
+      },
+      outputSchema: responseOutputSchema(campaignAnalyticsSchema, 'Campaign totals for the range')
     },
     {
       name: 'smartlead-get-campaign-sequence-analytics',
       title: 'Get Campaign Sequence Analytics',
       description: 'Retrieve analytics data for each step in a campaign sequence to optimize performance.',
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         campaign_id: z.number().describe('ID of the campaign'),
         start_date: z.string().optional().describe('Start date (YYYY-MM-DD)'),
         end_date: z.string().optional().describe('End date (YYYY-MM-DD)')
-      }
+      },
+      outputSchema: responseOutputSchema(z.array(z.object({ seq_number: z.number(), sent_count: stringOrNumber, open_count: stringOrNumber, click_count: stringOrNumber, reply_count: stringOrNumber, bounce_count: stringOrNumber })), 'Totals by sequence step')
     },
     {
       name: 'smartlead-fetch-all-campaigns-using-lead-id',
       title: 'Fetch Campaigns by Lead ID',
       description: 'Retrieve all campaigns that contain a specific lead for cross-campaign analysis.',
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         lead_id: z.number().describe('ID of the lead')
-      }
+      },
+      outputSchema: responseOutputSchema(z.array(z.object({ id: z.number(), name: z.string(), status: z.string() })), 'Campaigns the lead is in')
     },
     {
       name: 'smartlead-get-campaigns-with-analytics',
       title: 'Get Campaigns with Analytics',
       description: 'Retrieve campaigns list with embedded analytics data for performance overview.',
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         status: z.enum(['active', 'paused', 'completed', 'all']).optional().describe('Filter campaigns by status'),
         client_id: z.number().optional().describe('Filter by client ID'),
         limit: z.number().optional().describe('Maximum number of campaigns to return'),
         offset: z.number().optional().describe('Offset for pagination')
-      }
+      },
+      outputSchema: responseOutputSchema(z.array(campaignAnalyticsSchema), 'Campaigns with their totals')
     },
     {
       name: 'smartlead-update-campaign-status',
       title: 'Update Campaign Status',
       description: 'Update the status of a campaign (e.g., start, pause, stop, archive).',
+      annotations: { readOnlyHint: false, destructiveHint: true, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         campaign_id: z.number().describe('ID of the campaign'),
         status: z.enum(['active', 'paused', 'completed', 'archived']).describe('New status for the campaign')
-      }
+      },
+      outputSchema: responseOutputSchema(acknowledgementSchema, 'Acknowledgement of the status change')
     },
 
     // Client management tools (7 tools)
@@ -420,57 +728,71 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'SMARTLEAD_A
       name: 'smartlead-add-client-to-system',
       title: 'Add Client To System',
       description: 'Add a new client to the SmartLead system (whitelabel or not).',
+      annotations: { readOnlyHint: false, destructiveHint: false, idempotentHint: false, openWorldHint: true },
       inputSchema: {
         name: z.string().describe('Client name'),
         email: z.string().email().describe('Client email'),
         is_whitelabel: z.boolean().optional().describe('Whether this is a whitelabel client'),
         settings: z.object({}).optional().describe('Additional client settings')
-      }
+      },
+      outputSchema: responseOutputSchema(z.object({ ok: z.boolean(), clientId: z.number(), name: z.string(), email: z.string() }), 'The created client')
     },
     {
       name: 'smartlead-get-all-clients',
       title: 'Get All Clients',
       description: 'Fetch all clients from the SmartLead system.',
-      inputSchema: {}
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
+      inputSchema: {},
+      outputSchema: responseOutputSchema(z.array(clientSchema), 'Clients')
     },
     {
       name: 'smartlead-create-client-api-key',
       title: 'Create Client API Key',
       description: 'Create a new API key for the current client with optional permissions.',
+      annotations: { readOnlyHint: false, destructiveHint: false, idempotentHint: false, openWorldHint: true },
       inputSchema: {
         name: z.string().describe('Name for the API key'),
         permissions: z.array(z.string()).optional().describe('Permissions for the API key')
-      }
+      },
+      outputSchema: responseOutputSchema(apiKeySchema, 'The created API key')
     },
     {
       name: 'smartlead-get-client-api-keys',
       title: 'Get Client API Keys',
       description: 'Retrieve all API keys for the current client.',
-      inputSchema: {}
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
+      inputSchema: {},
+      outputSchema: responseOutputSchema(z.array(apiKeySchema), 'API keys')
     },
     {
       name: 'smartlead-delete-client-api-key',
       title: 'Delete Client API Key',
       description: 'Delete a specific API key.',
+      annotations: { readOnlyHint: false, destructiveHint: true, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         api_key_id: z.number().describe('ID of the API key to delete')
-      }
+      },
+      outputSchema: responseOutputSchema(acknowledgementSchema, 'Acknowledgement of the deletion')
     },
     {
       name: 'smartlead-reset-client-api-key',
       title: 'Reset Client API Key',
       description: 'Reset/regenerate a specific API key.',
+      annotations: { readOnlyHint: false, destructiveHint: true, idempotentHint: false, openWorldHint: true },
       inputSchema: {
         api_key_id: z.number().describe('ID of the API key to reset')
-      }
+      },
+      outputSchema: responseOutputSchema(apiKeySchema, 'The regenerated API key')
     },
     {
       name: 'smartlead-get-team-details',
       title: 'Get Team Details',
       description: 'Get team details including members, campaigns, and performance metrics.',
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         team_id: z.string().optional().describe('Team ID (optional, uses default if not provided)')
-      }
+      },
+      outputSchema: responseOutputSchema(z.object({ id: z.number(), name: z.string(), members: z.array(z.record(z.any())), campaigns: z.array(z.record(z.any())) }), 'The team')
     },
 
     // Email account management tools (12 tools)
@@ -478,20 +800,25 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'SMARTLEAD_A
       name: 'smartlead-list-email-accounts-per-campaign',
       title: 'List Email Accounts per Campaign',
       description: 'Retrieve all email accounts associated with a specific campaign.',
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         campaign_id: z.number().describe('ID of the campaign')
-      }
+      },
+      outputSchema: responseOutputSchema(z.array(emailAccountSchema), 'Email accounts of the campaign')
     },
     {
       name: 'smartlead-get-all-email-accounts',
       title: 'Get All Email Accounts',
       description: 'Retrieve all email accounts associated with the current user.',
-      inputSchema: {}
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
+      inputSchema: {},
+      outputSchema: responseOutputSchema(z.array(emailAccountSchema), 'Email accounts')
     },
     {
       name: 'smartlead-create-email-account',
       title: 'Create Email Account',
       description: 'Create a new email account with SMTP and IMAP configuration.',
+      annotations: { readOnlyHint: false, destructiveHint: false, idempotentHint: false, openWorldHint: true },
       inputSchema: {
         email: z.string().email().describe('Email address'),
         password: z.string().describe('Email password'),
@@ -500,12 +827,14 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'SMARTLEAD_A
         imap_host: z.string().describe('IMAP server host'),
         imap_port: z.number().describe('IMAP server port'),
         name: z.string().optional().describe('Display name for the email account')
-      }
+      },
+      outputSchema: responseOutputSchema(z.object({ ok: z.boolean(), message: z.string(), emailAccountId: z.number() }), 'The created email account')
     },
     {
       name: 'smartlead-update-email-account',
       title: 'Update Email Account',
       description: 'Update an existing email account configuration.',
+      annotations: { readOnlyHint: false, destructiveHint: true, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         email_account_id: z.number().describe('ID of the email account'),
         email: z.string().email().optional().describe('Email address'),
@@ -515,53 +844,64 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'SMARTLEAD_A
         imap_host: z.string().optional().describe('IMAP server host'),
         imap_port: z.number().optional().describe('IMAP server port'),
         name: z.string().optional().describe('Display name for the email account')
-      }
+      },
+      outputSchema: responseOutputSchema(acknowledgementSchema, 'Acknowledgement of the update')
     },
     {
       name: 'smartlead-get-email-account-by-id',
       title: 'Get Email Account by ID',
       description: 'Retrieve detailed information about a specific email account.',
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         email_account_id: z.number().describe('ID of the email account')
-      }
+      },
+      outputSchema: responseOutputSchema(emailAccountSchema, 'The email account')
     },
     {
       name: 'smartlead-update-email-account-warmup',
       title: 'Update Email Account Warmup',
       description: 'Configure warmup settings for an email account to improve deliverability.',
+      annotations: { readOnlyHint: false, destructiveHint: true, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         email_account_id: z.number().describe('ID of the email account'),
         warmup_enabled: z.boolean().describe('Enable or disable warmup'),
         warmup_reputation: z.number().min(0).max(100).optional().describe('Warmup reputation score (0-100)'),
         daily_ramp_up: z.number().optional().describe('Daily ramp up count'),
         reply_rate_percentage: z.number().min(0).max(100).optional().describe('Reply rate percentage (0-100)')
-      }
+      },
+      outputSchema: responseOutputSchema(acknowledgementSchema, 'Acknowledgement of the update')
     },
     {
       name: 'smartlead-reconnect-failed-email-accounts',
       title: 'Reconnect Failed Email Accounts',
       description: 'Attempt to reconnect email accounts that have failed authentication.',
+      annotations: { readOnlyHint: false, destructiveHint: false, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         email_account_ids: z.array(z.number()).describe('Array of email account IDs to reconnect')
-      }
+      },
+      outputSchema: responseOutputSchema(acknowledgementSchema, 'Acknowledgement of the reconnect request')
     },
     {
       name: 'smartlead-update-email-account-tag',
       title: 'Update Email Account Tag',
       description: 'Update the tag/label for an email account for better organization.',
+      annotations: { readOnlyHint: false, destructiveHint: true, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         email_account_id: z.number().describe('ID of the email account'),
         tag: z.string().describe('New tag for the email account')
-      }
+      },
+      outputSchema: responseOutputSchema(acknowledgementSchema, 'Acknowledgement of the update')
     },
     {
       name: 'smartlead-remove-email-account-from-campaign',
       title: 'Remove Email Account from Campaign',
       description: 'Remove an email account from a specific campaign.',
+      annotations: { readOnlyHint: false, destructiveHint: true, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         campaign_id: z.number().describe('ID of the campaign'),
         email_account_id: z.number().describe('ID of the email account')
-      }
+      },
+      outputSchema: responseOutputSchema(acknowledgementSchema, 'Acknowledgement of the removal')
     },
 
     // Enhanced lead management tools (17 tools)
@@ -569,32 +909,39 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'SMARTLEAD_A
       name: 'smartlead-list-leads-by-campaign',
       title: 'List Leads by Campaign',
       description: 'Retrieve all leads associated with a specific campaign, with optional filtering and pagination.',
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         campaign_id: z.number().describe('ID of the campaign'),
         status: z.string().optional().describe('Filter by lead status'),
         category: z.string().optional().describe('Filter by lead category'),
         limit: z.number().optional().describe('Maximum number of leads to return'),
         offset: z.number().optional().describe('Offset for pagination')
-      }
+      },
+      outputSchema: responseOutputSchema(leadPageSchema, 'Leads of the campaign')
     },
     {
       name: 'smartlead-fetch-lead-categories',
       title: 'Fetch Lead Categories',
       description: 'Retrieve all available lead categories for classification and filtering purposes.',
-      inputSchema: {}
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
+      inputSchema: {},
+      outputSchema: responseOutputSchema(z.array(leadCategorySchema), 'Lead categories')
     },
     {
       name: 'smartlead-fetch-lead-by-email',
       title: 'Fetch Lead by Email',
       description: 'Find and retrieve lead information using their email address.',
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         email: z.string().email().describe('Email address of the lead')
-      }
+      },
+      outputSchema: responseOutputSchema(leadSchema.extend({ lead_campaign_data: z.array(z.record(z.any())) }), 'The lead, with the campaigns it is in')
     },
     {
       name: 'smartlead-add-leads-to-campaign',
       title: 'Add Leads to Campaign',
       description: 'Add one or more leads to a specific campaign with validation and duplicate checking.',
+      annotations: { readOnlyHint: false, destructiveHint: false, idempotentHint: false, openWorldHint: true },
       inputSchema: {
         campaign_id: z.number().describe('ID of the campaign'),
         leads: z.array(z.object({
@@ -609,84 +956,102 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'SMARTLEAD_A
           linkedin_profile: z.string().optional().describe('LinkedIn profile URL of the lead'),
           company_url: z.string().optional().describe('Company URL of the lead')
         })).describe('Array of leads to add')
-      }
+      },
+      outputSchema: responseOutputSchema(leadsAddedSchema, 'Counts of added, duplicate and invalid leads')
     },
     {
       name: 'smartlead-resume-lead-by-campaign',
       title: 'Resume Lead in Campaign',
       description: 'Resume email sending to a paused lead within a specific campaign.',
+      annotations: { readOnlyHint: false, destructiveHint: false, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         campaign_id: z.number().describe('ID of the campaign'),
         lead_id: z.number().describe('ID of the lead')
-      }
+      },
+      outputSchema: responseOutputSchema(acknowledgementSchema, 'Acknowledgement of the update')
     },
     {
       name: 'smartlead-pause-lead-by-campaign',
       title: 'Pause Lead in Campaign',
       description: 'Pause email sending to a lead within a specific campaign without removing them.',
+      annotations: { readOnlyHint: false, destructiveHint: false, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         campaign_id: z.number().describe('ID of the campaign'),
         lead_id: z.number().describe('ID of the lead')
-      }
+      },
+      outputSchema: responseOutputSchema(acknowledgementSchema, 'Acknowledgement of the update')
     },
     {
       name: 'smartlead-delete-lead-by-campaign',
       title: 'Delete Lead from Campaign',
       description: 'Remove a lead from a specific campaign permanently.',
+      annotations: { readOnlyHint: false, destructiveHint: true, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         campaign_id: z.number().describe('ID of the campaign'),
         lead_id: z.number().describe('ID of the lead')
-      }
+      },
+      outputSchema: responseOutputSchema(acknowledgementSchema, 'Acknowledgement of the deletion')
     },
     {
       name: 'smartlead-unsubscribe-lead-from-campaign',
       title: 'Unsubscribe Lead from Campaign',
       description: 'Unsubscribe a lead from a specific campaign, stopping all future emails.',
+      annotations: { readOnlyHint: false, destructiveHint: true, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         campaign_id: z.number().describe('ID of the campaign'),
         lead_id: z.number().describe('ID of the lead')
-      }
+      },
+      outputSchema: responseOutputSchema(acknowledgementSchema, 'Acknowledgement of the update')
     },
     {
       name: 'smartlead-unsubscribe-lead-from-all-campaigns',
       title: 'Unsubscribe Lead from All Campaigns',
       description: 'Unsubscribe a lead from all campaigns across the entire account.',
+      annotations: { readOnlyHint: false, destructiveHint: true, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         lead_id: z.number().describe('ID of the lead')
-      }
+      },
+      outputSchema: responseOutputSchema(acknowledgementSchema, 'Acknowledgement of the update')
     },
     {
       name: 'smartlead-add-lead-to-global-blocklist',
       title: 'Add Lead to Global Blocklist',
       description: 'Add a lead or domain to the global blocklist to prevent future contact.',
+      annotations: { readOnlyHint: false, destructiveHint: false, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         email: z.string().email().describe('Email address or domain to add to blocklist')
-      }
+      },
+      outputSchema: responseOutputSchema(acknowledgementSchema, 'Acknowledgement of the update')
     },
     {
       name: 'smartlead-fetch-all-leads-from-account',
       title: 'Fetch All Leads from Account',
       description: 'Retrieve all leads from the entire account with optional filtering and pagination.',
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         status: z.string().optional().describe('Filter by lead status'),
         category: z.string().optional().describe('Filter by lead category'),
         limit: z.number().optional().describe('Maximum number of leads to return'),
         offset: z.number().optional().describe('Offset for pagination')
-      }
+      },
+      outputSchema: responseOutputSchema(z.object({ total_leads: stringOrNumber, offset: z.number(), limit: z.number(), data: z.array(leadSchema) }), 'Leads of the account')
     },
     {
       name: 'smartlead-fetch-leads-from-global-blocklist',
       title: 'Fetch Leads from Global Blocklist',
       description: 'Retrieve all leads and domains currently on the global blocklist.',
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         limit: z.number().optional().describe('Maximum number of entries to return'),
         offset: z.number().optional().describe('Offset for pagination')
-      }
+      },
+      outputSchema: responseOutputSchema(z.array(z.object({ id: z.number(), email_address: z.string(), domain: z.string(), created_at: z.string() })), 'Blocklisted emails and domains')
     },
     {
       name: 'smartlead-update-lead-by-id',
       title: 'Update Lead by ID',
       description: 'Update lead information using the lead ID, including contact details and custom fields.',
+      annotations: { readOnlyHint: false, destructiveHint: true, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         lead_id: z.number().describe('ID of the lead'),
         email: z.string().email().optional().describe('Email address of the lead'),
@@ -694,54 +1059,64 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'SMARTLEAD_A
         last_name: z.string().optional().describe('Last name of the lead'),
         company_name: z.string().optional().describe('Company name of the lead'),
         custom_fields: z.object({}).optional().describe('Custom fields for the lead')
-      }
+      },
+      outputSchema: responseOutputSchema(acknowledgementSchema, 'Acknowledgement of the update')
     },
     {
       name: 'smartlead-update-lead-category',
       title: 'Update Lead Category',
       description: 'Update the category classification of a lead within a specific campaign.',
+      annotations: { readOnlyHint: false, destructiveHint: true, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         campaign_id: z.number().describe('ID of the campaign'),
         lead_id: z.number().describe('ID of the lead'),
         category: z.string().describe('New category for the lead')
-      }
+      },
+      outputSchema: responseOutputSchema(acknowledgementSchema, 'Acknowledgement of the update')
     },
     {
       name: 'smartlead-fetch-lead-message-history',
       title: 'Fetch Lead Message History',
       description: 'Retrieve the complete message history for a lead within a specific campaign.',
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         campaign_id: z.number().describe('ID of the campaign'),
         lead_id: z.number().describe('ID of the lead')
-      }
+      },
+      outputSchema: responseOutputSchema(messageHistorySchema, 'Messages sent to and received from the lead')
     },
     {
       name: 'smartlead-reply-to-lead-from-master-inbox',
       title: 'Reply to Lead from Master Inbox',
       description: 'Send a reply to a lead from the master inbox with tracking and personalization.',
+      annotations: { readOnlyHint: false, destructiveHint: false, idempotentHint: false, openWorldHint: true },
       inputSchema: {
         campaign_id: z.number().describe('ID of the campaign'),
         lead_id: z.number().describe('ID of the lead'),
         subject: z.string().optional().describe('Subject line for the reply'),
         message: z.string().describe('Message content')
-      }
+      },
+      outputSchema: responseOutputSchema(acknowledgementSchema, 'Acknowledgement of the reply')
     },
     {
       name: 'smartlead-forward-reply',
       title: 'Forward Reply',
       description: 'Forward a lead reply to another email address or team member.',
+      annotations: { readOnlyHint: false, destructiveHint: false, idempotentHint: false, openWorldHint: true },
       inputSchema: {
         campaign_id: z.number().describe('ID of the campaign'),
         lead_id: z.number().describe('ID of the lead'),
         forward_to: z.string().email().describe('Email address to forward to'),
         message: z.string().optional().describe('Additional message to include')
-      }
+      },
+      outputSchema: responseOutputSchema(acknowledgementSchema, 'Acknowledgement of the forward')
     },
 
     {
       name: 'smartlead-update-lead-in-campaign',
       title: 'Update Lead in Campaign',
       description: 'Update a lead in a campaign',
+      annotations: { readOnlyHint: false, destructiveHint: true, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         campaign_id: z.number().describe('ID of the campaign'),
         lead_id: z.number().describe('ID of the lead to update'),
@@ -752,7 +1127,8 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'SMARTLEAD_A
           company: z.string().optional().describe('Company of the lead'),
           custom_variables: z.object({}).optional().describe('Custom fields for the lead (max 20 fields)')
         }).describe('Updated lead information')
-      }
+      },
+      outputSchema: responseOutputSchema(acknowledgementSchema, 'Acknowledgement of the update')
     },
 
     // Statistics tools (10 tools)
@@ -760,83 +1136,101 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'SMARTLEAD_A
       name: 'smartlead-get-campaign-statistics',
       title: 'Get Campaign Statistics',
       description: 'Retrieve comprehensive statistics for a specific campaign.',
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         campaign_id: z.number().describe('ID of the campaign')
-      }
+      },
+      outputSchema: responseOutputSchema(campaignStatisticsSchema, 'Per-lead email statistics')
     },
     {
       name: 'smartlead-get-campaign-statistics-by-date-range',
       title: 'Get Campaign Statistics by Date Range',
       description: 'Retrieve campaign statistics for a specific date range.',
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         campaign_id: z.number().describe('ID of the campaign'),
         start_date: z.string().describe('Start date (YYYY-MM-DD)'),
         end_date: z.string().describe('End date (YYYY-MM-DD)'),
         timezone: z.string().optional().describe('Timezone (default: Etc/GMT)')
-      }
+      },
+      outputSchema: responseOutputSchema(campaignStatisticsSchema, 'Per-lead email statistics for the range')
     },
     {
       name: 'smartlead-get-warmup-stats-by-email-account-id',
       title: 'Get Warmup Stats by Email Account ID',
       description: 'Retrieve warmup statistics for a specific email account.',
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         email_account_id: z.number().describe('ID of the email account')
-      }
+      },
+      outputSchema: responseOutputSchema(warmupStatsSchema, 'Warmup statistics')
     },
     {
       name: 'smartlead-get-campaign-top-level-analytics',
       title: 'Get Campaign Top Level Analytics',
       description: 'Retrieve high-level analytics overview for a campaign.',
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         campaign_id: z.number().describe('ID of the campaign')
-      }
+      },
+      outputSchema: responseOutputSchema(campaignAnalyticsSchema, 'Campaign totals')
     },
     {
       name: 'smartlead-get-campaign-top-level-analytics-by-date-range',
       title: 'Get Campaign Top Level Analytics by Date Range',
       description: 'Retrieve high-level analytics for a campaign within a specific date range.',
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         campaign_id: z.number().describe('ID of the campaign'),
         start_date: z.string().describe('Start date (YYYY-MM-DD)'),
         end_date: z.string().describe('End date (YYYY-MM-DD)'),
         timezone: z.string().optional().describe('Timezone (default: Etc/GMT)')
-      }
+      },
+      outputSchema: responseOutputSchema(campaignAnalyticsSchema, 'Campaign totals for the range')
     },
     {
       name: 'smartlead-get-campaign-lead-statistics',
       title: 'Get Campaign Lead Statistics',
       description: 'Retrieve detailed lead statistics for a campaign.',
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         campaign_id: z.number().describe('ID of the campaign')
-      }
+      },
+      outputSchema: responseOutputSchema(campaignStatisticsSchema, 'Per-lead statistics')
     },
     {
       name: 'smartlead-get-campaign-mailbox-statistics',
       title: 'Get Campaign Mailbox Statistics',
       description: 'Retrieve mailbox performance statistics for a campaign.',
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         campaign_id: z.number().describe('ID of the campaign')
-      }
+      },
+      outputSchema: responseOutputSchema(z.array(z.object({ email_account_id: z.number(), from_email: z.string(), sent_count: stringOrNumber, open_count: stringOrNumber, reply_count: stringOrNumber, bounce_count: stringOrNumber })), 'Totals by sending mailbox')
     },
     {
       name: 'smartlead-download-campaign-data',
       title: 'Download Campaign Data',
       description: 'Download campaign data in CSV or JSON format for analysis or backup.',
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         campaign_id: z.number().describe('ID of the campaign'),
         download_type: z.enum(['analytics', 'leads', 'sequences', 'full', 'summary']).describe('Type of data to download'),
         format: z.enum(['json', 'csv']).optional().describe('Format for download (default: json)'),
         user_id: z.string().optional().describe('User ID for tracking purposes')
-      }
+      },
+      outputSchema: responseOutputSchema(exportSchema, 'Downloaded campaign data')
     },
     {
       name: 'smartlead-view-download-statistics',
       title: 'View Download Statistics',
       description: 'View download statistics with optional filtering by time period and grouping criteria.',
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         time_period: z.string().optional().describe('Time period filter (e.g., "last_7_days", "last_30_days", "last_quarter")'),
         group_by: z.string().optional().describe('Grouping criteria (e.g., "campaign", "user", "date", "type")')
-      }
+      },
+      outputSchema: responseOutputSchema(z.union([z.array(z.record(z.any())), z.record(z.any())]), 'Download counts')
     },
 
     // Smart Delivery tools (30+ tools)
@@ -844,24 +1238,29 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'SMARTLEAD_A
       name: 'smartlead-get-region-wise-provider-ids',
       title: 'Get Region Wise Provider IDs',
       description: 'Retrieve provider IDs organized by geographic regions for smart delivery optimization.',
-      inputSchema: {}
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
+      inputSchema: {},
+      outputSchema: responseOutputSchema(z.record(z.array(z.object({ id: z.number(), name: z.string() }))), 'Seed providers by region')
     },
     {
       name: 'smartlead-create-manual-placement-test',
       title: 'Create Manual Placement Test',
       description: 'Create a manual placement test to check email deliverability across different providers.',
+      annotations: { readOnlyHint: false, destructiveHint: false, idempotentHint: false, openWorldHint: true },
       inputSchema: {
         test_name: z.string().describe('Name of the test'),
         email_content: z.string().describe('Email content to test'),
         subject: z.string().describe('Email subject line'),
         from_email: z.string().email().describe('Sender email address'),
         to_emails: z.array(z.string().email()).describe('Array of recipient email addresses')
-      }
+      },
+      outputSchema: responseOutputSchema(deliveryTestSchema, 'The created test')
     },
     {
       name: 'smartlead-create-automated-placement-test',
       title: 'Create Automated Placement Test',
       description: 'Create an automated placement test that runs on a schedule for continuous monitoring.',
+      annotations: { readOnlyHint: false, destructiveHint: false, idempotentHint: false, openWorldHint: true },
       inputSchema: {
         test_name: z.string().describe('Name of the test'),
         email_content: z.string().describe('Email content to test'),
@@ -871,216 +1270,267 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'SMARTLEAD_A
           frequency: z.string().describe('Frequency of the test (e.g., "daily", "weekly")'),
           time: z.string().describe('Time to run the test (e.g., "09:00")')
         }).describe('Schedule settings for the automated test')
-      }
+      },
+      outputSchema: responseOutputSchema(deliveryTestSchema, 'The created test')
     },
     {
       name: 'smartlead-get-spam-test-details',
       title: 'Get Spam Test Details',
       description: 'Retrieve detailed results and analysis for a specific spam test.',
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         test_id: z.number().describe('ID of the test')
-      }
+      },
+      outputSchema: responseOutputSchema(deliveryTestSchema, 'The test')
     },
     {
       name: 'smartlead-delete-tests-in-bulk',
       title: 'Delete Tests in Bulk',
       description: 'Delete multiple smart delivery tests at once for cleanup purposes.',
+      annotations: { readOnlyHint: false, destructiveHint: true, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         test_ids: z.array(z.number()).describe('Array of test IDs to delete')
-      }
+      },
+      outputSchema: responseOutputSchema(acknowledgementSchema, 'Acknowledgement of the deletion')
     },
     {
       name: 'smartlead-stop-automated-test',
       title: 'Stop Automated Test',
       description: 'Stop a running automated placement test.',
+      annotations: { readOnlyHint: false, destructiveHint: true, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         test_id: z.number().describe('ID of the test to stop')
-      }
+      },
+      outputSchema: responseOutputSchema(acknowledgementSchema, 'Acknowledgement of the stop')
     },
     {
       name: 'smartlead-list-all-tests',
       title: 'List All Tests',
       description: 'Retrieve a list of all smart delivery tests with optional filtering.',
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         page: z.number().optional().describe('Page number for pagination'),
         limit: z.number().optional().describe('Number of results per page'),
         status: z.string().optional().describe('Filter by test status')
-      }
+      },
+      outputSchema: responseOutputSchema(z.array(deliveryTestSchema), 'Tests')
     },
     {
       name: 'smartlead-get-provider-wise-report',
       title: 'Get Provider Wise Report',
       description: 'Retrieve a detailed report showing performance across different email providers.',
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         test_id: z.number().describe('ID of the test'),
         date_range: z.object({
           start_date: z.string().describe('Start date (YYYY-MM-DD)'),
           end_date: z.string().describe('End date (YYYY-MM-DD)')
         }).optional().describe('Optional date range filter')
-      }
+      },
+      outputSchema: responseOutputSchema(deliveryReportSchema, 'Placement by email provider')
     },
     {
       name: 'smartlead-get-geo-wise-report',
       title: 'Get Geo Wise Report',
       description: 'Retrieve a detailed report showing performance across different geographic regions.',
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         test_id: z.number().describe('ID of the test'),
         date_range: z.object({
           start_date: z.string().describe('Start date (YYYY-MM-DD)'),
           end_date: z.string().describe('End date (YYYY-MM-DD)')
         }).optional().describe('Optional date range filter')
-      }
+      },
+      outputSchema: responseOutputSchema(deliveryReportSchema, 'Placement by region')
     },
     {
       name: 'smartlead-get-sender-account-wise-report',
       title: 'Get Sender Account Wise Report',
       description: 'Retrieve a detailed report showing performance for different sender accounts.',
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         test_id: z.number().describe('ID of the test')
-      }
+      },
+      outputSchema: responseOutputSchema(deliveryReportSchema, 'Placement by sender account')
     },
     {
       name: 'smartlead-get-spam-filter-report',
       title: 'Get Spam Filter Report',
       description: 'Retrieve a detailed spam filter analysis report for a test.',
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         test_id: z.number().describe('ID of the test')
-      }
+      },
+      outputSchema: responseOutputSchema(deliveryReportSchema, 'Spam filter results')
     },
     {
       name: 'smartlead-get-dkim-details',
       title: 'Get DKIM Details',
       description: 'Retrieve DKIM authentication details for a specific test.',
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         test_id: z.number().describe('ID of the test')
-      }
+      },
+      outputSchema: responseOutputSchema(deliveryReportSchema, 'DKIM results')
     },
     {
       name: 'smartlead-get-spf-details',
       title: 'Get SPF Details',
       description: 'Retrieve SPF record details for a specific test.',
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         test_id: z.number().describe('ID of the test')
-      }
+      },
+      outputSchema: responseOutputSchema(deliveryReportSchema, 'SPF results')
     },
     {
       name: 'smartlead-get-rdns-report',
       title: 'Get rDNS Report',
       description: 'Retrieve reverse DNS lookup report for a specific test.',
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         test_id: z.number().describe('ID of the test')
-      }
+      },
+      outputSchema: responseOutputSchema(deliveryReportSchema, 'Reverse DNS results')
     },
     {
       name: 'smartlead-get-sender-account-list',
       title: 'Get Sender Account List',
       description: 'Retrieve list of sender accounts used in a specific test.',
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         test_id: z.number().describe('ID of the test')
-      }
+      },
+      outputSchema: responseOutputSchema(deliveryReportSchema, 'Sender accounts of the test')
     },
     {
       name: 'smartlead-get-blacklists',
       title: 'Get Blacklists',
       description: 'Retrieve blacklist status for a specific test.',
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         test_id: z.number().describe('ID of the test')
-      }
+      },
+      outputSchema: responseOutputSchema(deliveryReportSchema, 'Blacklist results')
     },
     {
       name: 'smartlead-get-domain-blacklist',
       title: 'Get Domain Blacklist',
       description: 'Retrieve domain blacklist status for a specific test.',
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         test_id: z.number().describe('ID of the test')
-      }
+      },
+      outputSchema: responseOutputSchema(deliveryReportSchema, 'Domain blacklist results')
     },
     {
       name: 'smartlead-get-spam-test-email-content',
       title: 'Get Spam Test Email Content',
       description: 'Retrieve the email content used in a specific spam test.',
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         test_id: z.number().describe('ID of the test')
-      }
+      },
+      outputSchema: responseOutputSchema(z.object({ subject: z.string(), body: z.string(), from_email: z.string() }), 'The test email')
     },
     {
       name: 'smartlead-get-ip-blacklist-count',
       title: 'Get IP Blacklist Count',
       description: 'Retrieve IP blacklist count for a specific test.',
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         test_id: z.number().describe('ID of the test')
-      }
+      },
+      outputSchema: responseOutputSchema(deliveryReportSchema, 'IP blacklist counts')
     },
     {
       name: 'smartlead-get-email-reply-headers',
       title: 'Get Email Reply Headers',
       description: 'Retrieve email reply headers for a specific test.',
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         test_id: z.number().describe('ID of the test')
-      }
+      },
+      outputSchema: responseOutputSchema(deliveryReportSchema, 'Reply headers')
     },
     {
       name: 'smartlead-get-schedule-history',
       title: 'Get Schedule History',
       description: 'Retrieve schedule history for automated tests.',
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         test_id: z.number().describe('ID of the test')
-      }
+      },
+      outputSchema: responseOutputSchema(deliveryReportSchema, 'Runs of the automated test')
     },
     {
       name: 'smartlead-get-ip-details',
       title: 'Get IP Details',
       description: 'Retrieve IP address details for a specific test.',
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         test_id: z.number().describe('ID of the test')
-      }
+      },
+      outputSchema: responseOutputSchema(deliveryReportSchema, 'Sending IPs')
     },
     {
       name: 'smartlead-get-mailbox-summary',
       title: 'Get Mailbox Summary',
       description: 'Retrieve mailbox summary for a specific test.',
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         test_id: z.number().describe('ID of the test')
-      }
+      },
+      outputSchema: responseOutputSchema(deliveryReportSchema, 'Placement by mailbox')
     },
     {
       name: 'smartlead-get-mailbox-count',
       title: 'Get Mailbox Count',
       description: 'Retrieve mailbox count for a specific test.',
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         test_id: z.number().describe('ID of the test')
-      }
+      },
+      outputSchema: responseOutputSchema(deliveryReportSchema, 'Mailbox counts')
     },
     {
       name: 'smartlead-get-all-folders',
       title: 'Get All Folders',
       description: 'Retrieve all smart delivery folders.',
-      inputSchema: {}
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
+      inputSchema: {},
+      outputSchema: responseOutputSchema(z.array(folderSchema), 'Folders')
     },
     {
       name: 'smartlead-create-folder',
       title: 'Create Folder',
       description: 'Create a new smart delivery folder.',
+      annotations: { readOnlyHint: false, destructiveHint: false, idempotentHint: false, openWorldHint: true },
       inputSchema: {
         name: z.string().describe('Name of the folder'),
         description: z.string().optional().describe('Description of the folder')
-      }
+      },
+      outputSchema: responseOutputSchema(folderSchema, 'The created folder')
     },
     {
       name: 'smartlead-get-folder-by-id',
       title: 'Get Folder by ID',
       description: 'Retrieve a specific smart delivery folder by ID.',
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         folder_id: z.number().describe('ID of the folder')
-      }
+      },
+      outputSchema: responseOutputSchema(folderSchema, 'The folder')
     },
     {
       name: 'smartlead-delete-folder',
       title: 'Delete Folder',
       description: 'Delete a smart delivery folder by ID.',
+      annotations: { readOnlyHint: false, destructiveHint: true, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         folder_id: z.number().describe('ID of the folder to delete')
-      }
+      },
+      outputSchema: responseOutputSchema(acknowledgementSchema, 'Acknowledgement of the deletion')
     },
 
     // Smart Senders tools (5 tools)
@@ -1088,31 +1538,38 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'SMARTLEAD_A
       name: 'smartlead-search-domain',
       title: 'Search Domain',
       description: 'Search for domain availability and information for smart senders setup.',
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         domain: z.string().describe('Domain name to search')
-      }
+      },
+      outputSchema: responseOutputSchema(z.array(z.object({ domain_name: z.string(), available: z.boolean(), price: z.number() })), 'Domains and their availability')
     },
     {
       name: 'smartlead-get-vendors',
       title: 'Get Vendors',
       description: 'Retrieve a list of available vendors for smart senders integration.',
-      inputSchema: {}
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
+      inputSchema: {},
+      outputSchema: responseOutputSchema(z.array(z.object({ id: z.number(), vendor_name: z.string() })), 'Mailbox vendors')
     },
     {
       name: 'smartlead-auto-generate-mailboxes',
       title: 'Auto Generate Mailboxes',
       description: 'Automatically generate mailboxes for a domain with specified count and naming pattern.',
+      annotations: { readOnlyHint: false, destructiveHint: false, idempotentHint: false, openWorldHint: true },
       inputSchema: {
         domain: z.string().describe('Domain name'),
         count: z.number().describe('Number of mailboxes to generate'),
         vendor_id: z.number().describe('ID of the vendor'),
         naming_pattern: z.string().optional().describe('Naming pattern for mailboxes')
-      }
+      },
+      outputSchema: responseOutputSchema(z.array(z.object({ first_name: z.string(), last_name: z.string(), mailbox: z.string() })), 'Generated mailboxes')
     },
     {
       name: 'smartlead-place-order-for-mailboxes',
       title: 'Place Order for Mailboxes',
       description: 'Place an order for specific mailboxes with a vendor.',
+      annotations: { readOnlyHint: false, destructiveHint: false, idempotentHint: false, openWorldHint: true },
       inputSchema: {
         domain: z.string().describe('Domain name'),
         mailboxes: z.array(z.object({
@@ -1120,13 +1577,16 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'SMARTLEAD_A
           password: z.string().describe('Password for the mailbox')
         })).describe('Array of mailboxes to order'),
         vendor_id: z.number().describe('ID of the vendor')
-      }
+      },
+      outputSchema: responseOutputSchema(z.object({ ok: z.boolean(), order_id: stringOrNumber, message: z.string() }), 'The placed order')
     },
     {
       name: 'smartlead-get-domain-list',
       title: 'Get Domain List',
       description: 'Retrieve a list of all domains configured for smart senders.',
-      inputSchema: {}
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
+      inputSchema: {},
+      outputSchema: responseOutputSchema(z.array(z.object({ id: z.number(), domain_name: z.string(), status: z.string(), mailboxes: z.array(z.record(z.any())) })), 'Domains')
     },
 
     // Webhooks tools (5 tools)
@@ -1134,50 +1594,60 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'SMARTLEAD_A
       name: 'smartlead-get-webhooks-by-campaign-id',
       title: 'Get Webhooks by Campaign ID',
       description: 'Retrieve all webhooks configured for a specific campaign.',
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         campaign_id: z.number().describe('ID of the campaign')
-      }
+      },
+      outputSchema: responseOutputSchema(z.array(webhookSchema), 'Webhooks of the campaign')
     },
     {
       name: 'smartlead-add-or-update-campaign-webhook',
       title: 'Add or Update Campaign Webhook',
       description: 'Add a new webhook or update an existing webhook for a campaign.',
+      annotations: { readOnlyHint: false, destructiveHint: true, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         campaign_id: z.number().describe('ID of the campaign'),
         webhook_url: z.string().url().describe('URL for the webhook'),
         events: z.array(z.string()).describe('Array of events to trigger the webhook'),
         is_active: z.boolean().optional().describe('Whether the webhook is active (default: true)')
-      }
+      },
+      outputSchema: responseOutputSchema(acknowledgementSchema, 'Acknowledgement of the change')
     },
     {
       name: 'smartlead-delete-campaign-webhook',
       title: 'Delete Campaign Webhook',
       description: 'Delete a specific webhook from a campaign.',
+      annotations: { readOnlyHint: false, destructiveHint: true, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         campaign_id: z.number().describe('ID of the campaign'),
         webhook_id: z.number().describe('ID of the webhook to delete')
-      }
+      },
+      outputSchema: responseOutputSchema(acknowledgementSchema, 'Acknowledgement of the deletion')
     },
     {
       name: 'smartlead-get-webhooks-publish-summary',
       title: 'Get Webhooks Publish Summary',
       description: 'Retrieve a summary of webhook events and their delivery status.',
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         start_date: z.string().optional().describe('Start date for summary (YYYY-MM-DD)'),
         end_date: z.string().optional().describe('End date for summary (YYYY-MM-DD)'),
         campaign_id: z.number().optional().describe('Filter by campaign ID')
-      }
+      },
+      outputSchema: responseOutputSchema(z.union([z.array(z.record(z.any())), z.record(z.any())]), 'Webhook deliveries by status')
     },
     {
       name: 'smartlead-retrigger-failed-events',
       title: 'Retrigger Failed Events',
       description: 'Retry delivery of failed webhook events for better reliability.',
+      annotations: { readOnlyHint: false, destructiveHint: false, idempotentHint: false, openWorldHint: true },
       inputSchema: {
         webhook_id: z.number().optional().describe('ID of specific webhook to retry'),
         campaign_id: z.number().optional().describe('Filter by campaign ID'),
         start_date: z.string().optional().describe('Start date for retry (YYYY-MM-DD)'),
         end_date: z.string().optional().describe('End date for retry (YYYY-MM-DD)')
-      }
+      },
+      outputSchema: responseOutputSchema(acknowledgementSchema, 'Acknowledgement of the retry')
     }
   ];
 
@@ -1190,7 +1660,7 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'SMARTLEAD_A
       }
 
       try {
-        const response = await axios.post('https://server.smartlead.ai/api/v1/campaigns/create', args, {
+        const response = await smartleadApi.post('/campaigns/create', args, {
           params: { api_key: apiKey },
           headers: { 'Content-Type': 'application/json' }
         });
@@ -1199,10 +1669,11 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'SMARTLEAD_A
           content: [{
             type: "text",
             text: `**Campaign Created:**\n\n${JSON.stringify(response.data, null, 2)}`
-          }]
+          }],
+          structuredContent: { data: response.data }
         };
       } catch (error) {
-        throw new Error(`Create campaign failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`Create campaign failed: ${error.message}`, { cause: error });
       }
     },
 
@@ -1213,7 +1684,7 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'SMARTLEAD_A
 
       try {
         const { campaign_id, ...scheduleParams } = args;
-        const response = await axios.post(`https://server.smartlead.ai/api/v1/campaigns/${campaign_id}`, scheduleParams, {
+        const response = await smartleadApi.post(`/campaigns/${campaign_id}`, scheduleParams, {
           params: { api_key: apiKey },
           headers: { 'Content-Type': 'application/json' }
         });
@@ -1222,10 +1693,11 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'SMARTLEAD_A
           content: [{
             type: "text",
             text: `**Campaign Schedule Updated:**\n\n${JSON.stringify(response.data, null, 2)}`
-          }]
+          }],
+          structuredContent: { data: response.data }
         };
       } catch (error) {
-        throw new Error(`Update campaign schedule failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`Update campaign schedule failed: ${error.message}`, { cause: error });
       }
     },
 
@@ -1236,7 +1708,7 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'SMARTLEAD_A
 
       try {
         const { campaign_id, ...settingsParams } = args;
-        const response = await axios.patch(`https://server.smartlead.ai/api/v1/campaigns/${campaign_id}`, settingsParams, {
+        const response = await smartleadApi.patch(`/campaigns/${campaign_id}`, settingsParams, {
           params: { api_key: apiKey },
           headers: { 'Content-Type': 'application/json' }
         });
@@ -1245,10 +1717,11 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'SMARTLEAD_A
           content: [{
             type: "text",
             text: `**Campaign Settings Updated:**\n\n${JSON.stringify(response.data, null, 2)}`
-          }]
+          }],
+          structuredContent: { data: response.data }
         };
       } catch (error) {
-        throw new Error(`Update campaign settings failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`Update campaign settings failed: ${error.message}`, { cause: error });
       }
     },
 
@@ -1258,7 +1731,7 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'SMARTLEAD_A
       }
 
       try {
-        const response = await axios.get(`https://server.smartlead.ai/api/v1/campaigns/${args.campaign_id}`, {
+        const response = await smartleadApi.get(`/campaigns/${args.campaign_id}`, {
           params: { api_key: apiKey }
         });
 
@@ -1266,10 +1739,11 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'SMARTLEAD_A
           content: [{
             type: "text",
             text: `**Campaign Details:**\n\n${JSON.stringify(response.data, null, 2)}`
-          }]
+          }],
+          structuredContent: { data: response.data }
         };
       } catch (error) {
-        throw new Error(`Get campaign failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`Get campaign failed: ${error.message}`, { cause: error });
       }
     },
 
@@ -1279,7 +1753,7 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'SMARTLEAD_A
       }
 
       try {
-        const response = await axios.get('https://server.smartlead.ai/api/v1/campaigns', {
+        const response = await smartleadApi.get('/campaigns', {
           params: { api_key: apiKey, ...args }
         });
 
@@ -1287,10 +1761,11 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'SMARTLEAD_A
           content: [{
             type: "text",
             text: `**Campaigns List:**\n\n${JSON.stringify(response.data, null, 2)}`
-          }]
+          }],
+          structuredContent: { data: response.data }
         };
       } catch (error) {
-        throw new Error(`List campaigns failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`List campaigns failed: ${error.message}`, { cause: error });
       }
     },
 
@@ -1301,7 +1776,7 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'SMARTLEAD_A
 
       try {
         const { campaign_id, sequences } = args;
-        const response = await axios.post(`https://server.smartlead.ai/api/v1/campaigns/${campaign_id}/sequences`, 
+        const response = await smartleadApi.post(`/campaigns/${campaign_id}/sequences`, 
           { sequences }, {
           params: { api_key: apiKey },
           headers: { 'Content-Type': 'application/json' }
@@ -1311,10 +1786,11 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'SMARTLEAD_A
           content: [{
             type: "text",
             text: `**Campaign Sequence Saved:**\n\n${JSON.stringify(response.data, null, 2)}`
-          }]
+          }],
+          structuredContent: { data: response.data }
         };
       } catch (error) {
-        throw new Error(`Save campaign sequence failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`Save campaign sequence failed: ${error.message}`, { cause: error });
       }
     },
 
@@ -1324,7 +1800,7 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'SMARTLEAD_A
       }
 
       try {
-        const response = await axios.get(`https://server.smartlead.ai/api/v1/campaigns/${args.campaign_id}/sequence`, {
+        const response = await smartleadApi.get(`/campaigns/${args.campaign_id}/sequence`, {
           params: { api_key: apiKey }
         });
 
@@ -1332,10 +1808,11 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'SMARTLEAD_A
           content: [{
             type: "text",
             text: `**Campaign Sequence:**\n\n${JSON.stringify(response.data, null, 2)}`
-          }]
+          }],
+          structuredContent: { data: response.data }
         };
       } catch (error) {
-        throw new Error(`Get campaign sequence failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`Get campaign sequence failed: ${error.message}`, { cause: error });
       }
     },
 
@@ -1346,7 +1823,7 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'SMARTLEAD_A
 
       try {
         const { campaign_id, sequence_id, ...updateParams } = args;
-        const response = await axios.patch(`https://server.smartlead.ai/api/v1/campaigns/${campaign_id}/sequence/${sequence_id}`, 
+        const response = await smartleadApi.patch(`/campaigns/${campaign_id}/sequence/${sequence_id}`, 
           updateParams, {
           params: { api_key: apiKey },
           headers: { 'Content-Type': 'application/json' }
@@ -1356,10 +1833,11 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'SMARTLEAD_A
           content: [{
             type: "text",
             text: `**Campaign Sequence Updated:**\n\n${JSON.stringify(response.data, null, 2)}`
-          }]
+          }],
+          structuredContent: { data: response.data }
         };
       } catch (error) {
-        throw new Error(`Update campaign sequence failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`Update campaign sequence failed: ${error.message}`, { cause: error });
       }
     },
 
@@ -1369,7 +1847,7 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'SMARTLEAD_A
       }
 
       try {
-        const response = await axios.delete(`https://server.smartlead.ai/api/v1/campaigns/${args.campaign_id}/sequence/${args.sequence_id}`, {
+        const response = await smartleadApi.delete(`/campaigns/${args.campaign_id}/sequence/${args.sequence_id}`, {
           params: { api_key: apiKey }
         });
 
@@ -1377,10 +1855,11 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'SMARTLEAD_A
           content: [{
             type: "text",
             text: `**Campaign Sequence Deleted:**\n\n${JSON.stringify(response.data, null, 2)}`
-          }]
+          }],
+          structuredContent: { data: response.data }
         };
       } catch (error) {
-        throw new Error(`Delete campaign sequence failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`Delete campaign sequence failed: ${error.message}`, { cause: error });
       }
     },
 
@@ -1390,7 +1869,7 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'SMARTLEAD_A
       }
 
       try {
-        const response = await axios.post(`https://server.smartlead.ai/api/v1/campaigns/${args.campaign_id}/email-accounts`, 
+        const response = await smartleadApi.post(`/campaigns/${args.campaign_id}/email-accounts`, 
           { email_account_id: args.email_account_id }, {
           params: { api_key: apiKey },
           headers: { 'Content-Type': 'application/json' }
@@ -1400,10 +1879,11 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'SMARTLEAD_A
           content: [{
             type: "text",
             text: `**Email Account Added to Campaign:**\n\n${JSON.stringify(response.data, null, 2)}`
-          }]
+          }],
+          structuredContent: { data: response.data }
         };
       } catch (error) {
-        throw new Error(`Add email account to campaign failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`Add email account to campaign failed: ${error.message}`, { cause: error });
       }
     },
 
@@ -1414,7 +1894,7 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'SMARTLEAD_A
 
       try {
         const { campaign_id, email_account_id, settings } = args;
-        const response = await axios.patch(`https://server.smartlead.ai/api/v1/campaigns/${campaign_id}/email-accounts/${email_account_id}`, 
+        const response = await smartleadApi.patch(`/campaigns/${campaign_id}/email-accounts/${email_account_id}`, 
           settings || {}, {
           params: { api_key: apiKey },
           headers: { 'Content-Type': 'application/json' }
@@ -1424,10 +1904,11 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'SMARTLEAD_A
           content: [{
             type: "text",
             text: `**Email Account Updated in Campaign:**\n\n${JSON.stringify(response.data, null, 2)}`
-          }]
+          }],
+          structuredContent: { data: response.data }
         };
       } catch (error) {
-        throw new Error(`Update email account in campaign failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`Update email account in campaign failed: ${error.message}`, { cause: error });
       }
     },
 
@@ -1437,7 +1918,7 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'SMARTLEAD_A
       }
 
       try {
-        const response = await axios.delete(`https://server.smartlead.ai/api/v1/campaigns/${args.campaign_id}/email-accounts/${args.email_account_id}`, {
+        const response = await smartleadApi.delete(`/campaigns/${args.campaign_id}/email-accounts/${args.email_account_id}`, {
           params: { api_key: apiKey }
         });
 
@@ -1445,10 +1926,11 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'SMARTLEAD_A
           content: [{
             type: "text",
             text: `**Email Account Removed from Campaign:**\n\n${JSON.stringify(response.data, null, 2)}`
-          }]
+          }],
+          structuredContent: { data: response.data }
         };
       } catch (error) {
-        throw new Error(`Delete email account from campaign failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`Delete email account from campaign failed: ${error.message}`, { cause: error });
       }
     },
 
@@ -1460,7 +1942,7 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'SMARTLEAD_A
 
       try {
         const { campaign_id, lead_id, lead } = args;
-        const response = await axios.patch(`https://server.smartlead.ai/api/v1/campaigns/${campaign_id}/leads/${lead_id}`, 
+        const response = await smartleadApi.patch(`/campaigns/${campaign_id}/leads/${lead_id}`, 
           lead, {
           params: { api_key: apiKey },
           headers: { 'Content-Type': 'application/json' }
@@ -1470,10 +1952,11 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'SMARTLEAD_A
           content: [{
             type: "text",
             text: `**Lead Updated in Campaign:**\n\n${JSON.stringify(response.data, null, 2)}`
-          }]
+          }],
+          structuredContent: { data: response.data }
         };
       } catch (error) {
-        throw new Error(`Update lead in campaign failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`Update lead in campaign failed: ${error.message}`, { cause: error });
       }
     },
 
@@ -1482,51 +1965,54 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'SMARTLEAD_A
     'smartlead-analytics-campaign-list': async (args, apiKey, userId) => {
       if (!apiKey) throw new Error('Smartlead API key is required');
       try {
-        const response = await axios.get('https://server.smartlead.ai/api/v1/analytics/campaigns', {
+        const response = await smartleadApi.get('/analytics/campaigns', {
           params: { api_key: apiKey, ...args }
         });
         return {
           content: [{
             type: "text",
             text: `**Analytics Campaign List:**\n\n${JSON.stringify(response.data, null, 2)}`
-          }]
+          }],
+          structuredContent: { data: response.data }
         };
       } catch (error) {
-        throw new Error(`Get analytics campaign list failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`Get analytics campaign list failed: ${error.message}`, { cause: error });
       }
     },
 
     'smartlead-analytics-client-list': async (args, apiKey, userId) => {
       if (!apiKey) throw new Error('Smartlead API key is required');
       try {
-        const response = await axios.get('https://server.smartlead.ai/api/v1/analytics/clients', {
+        const response = await smartleadApi.get('/analytics/clients', {
           params: { api_key: apiKey, ...args }
         });
         return {
           content: [{
             type: "text",
             text: `**Analytics Client List:**\n\n${JSON.stringify(response.data, null, 2)}`
-          }]
+          }],
+          structuredContent: { data: response.data }
         };
       } catch (error) {
-        throw new Error(`Get analytics client list failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`Get analytics client list failed: ${error.message}`, { cause: error });
       }
     },
 
     'smartlead-analytics-overall-stats-v2': async (args, apiKey, userId) => {
       if (!apiKey) throw new Error('Smartlead API key is required');
       try {
-        const response = await axios.get('https://server.smartlead.ai/api/v1/analytics/overall-stats-v2', {
+        const response = await smartleadApi.get('/analytics/overall-stats-v2', {
           params: { api_key: apiKey, ...args }
         });
         return {
           content: [{
             type: "text",
             text: `**Overall Analytics Stats V2:**\n\n${JSON.stringify(response.data, null, 2)}`
-          }]
+          }],
+          structuredContent: { data: response.data }
         };
       } catch (error) {
-        throw new Error(`Get overall analytics stats failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`Get overall analytics stats failed: ${error.message}`, { cause: error });
       }
     },
 
@@ -1534,34 +2020,36 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'SMARTLEAD_A
     'smartlead-delete-campaign': async (args, apiKey, userId) => {
       if (!apiKey) throw new Error('Smartlead API key is required');
       try {
-        const response = await axios.delete(`https://server.smartlead.ai/api/v1/campaigns/${args.campaign_id}`, {
+        const response = await smartleadApi.delete(`/campaigns/${args.campaign_id}`, {
           params: { api_key: apiKey }
         });
         return {
           content: [{
             type: "text",
             text: `**Campaign Deleted:**\n\n${JSON.stringify(response.data, null, 2)}`
-          }]
+          }],
+          structuredContent: { data: response.data }
         };
       } catch (error) {
-        throw new Error(`Delete campaign failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`Delete campaign failed: ${error.message}`, { cause: error });
       }
     },
 
     'smartlead-export-campaign-data': async (args, apiKey, userId) => {
       if (!apiKey) throw new Error('Smartlead API key is required');
       try {
-        const response = await axios.get(`https://server.smartlead.ai/api/v1/campaigns/${args.campaign_id}/export`, {
+        const response = await smartleadApi.get(`/campaigns/${args.campaign_id}/export`, {
           params: { api_key: apiKey, format: args.format, data_type: args.data_type }
         });
         return {
           content: [{
             type: "text",
             text: `**Campaign Data Exported:**\n\n${JSON.stringify(response.data, null, 2)}`
-          }]
+          }],
+          structuredContent: { data: response.data }
         };
       } catch (error) {
-        throw new Error(`Export campaign data failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`Export campaign data failed: ${error.message}`, { cause: error });
       }
     },
 
@@ -1569,7 +2057,7 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'SMARTLEAD_A
     'smartlead-add-client-to-system': async (args, apiKey, userId) => {
       if (!apiKey) throw new Error('Smartlead API key is required');
       try {
-        const response = await axios.post('https://server.smartlead.ai/api/v1/clients', args, {
+        const response = await smartleadApi.post('/clients', args, {
           params: { api_key: apiKey },
           headers: { 'Content-Type': 'application/json' }
         });
@@ -1577,27 +2065,29 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'SMARTLEAD_A
           content: [{
             type: "text",
             text: `**Client Added:**\n\n${JSON.stringify(response.data, null, 2)}`
-          }]
+          }],
+          structuredContent: { data: response.data }
         };
       } catch (error) {
-        throw new Error(`Add client failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`Add client failed: ${error.message}`, { cause: error });
       }
     },
 
     'smartlead-get-all-clients': async (args, apiKey, userId) => {
       if (!apiKey) throw new Error('Smartlead API key is required');
       try {
-        const response = await axios.get('https://server.smartlead.ai/api/v1/clients', {
+        const response = await smartleadApi.get('/clients', {
           params: { api_key: apiKey }
         });
         return {
           content: [{
             type: "text",
             text: `**All Clients:**\n\n${JSON.stringify(response.data, null, 2)}`
-          }]
+          }],
+          structuredContent: { data: response.data }
         };
       } catch (error) {
-        throw new Error(`Get all clients failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`Get all clients failed: ${error.message}`, { cause: error });
       }
     },
 
@@ -1605,24 +2095,25 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'SMARTLEAD_A
     'smartlead-get-all-email-accounts': async (args, apiKey, userId) => {
       if (!apiKey) throw new Error('Smartlead API key is required');
       try {
-        const response = await axios.get('https://server.smartlead.ai/api/v1/email-accounts', {
+        const response = await smartleadApi.get('/email-accounts', {
           params: { api_key: apiKey }
         });
         return {
           content: [{
             type: "text",
             text: `**All Email Accounts:**\n\n${JSON.stringify(response.data, null, 2)}`
-          }]
+          }],
+          structuredContent: { data: response.data }
         };
       } catch (error) {
-        throw new Error(`Get all email accounts failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`Get all email accounts failed: ${error.message}`, { cause: error });
       }
     },
 
     'smartlead-create-email-account': async (args, apiKey, userId) => {
       if (!apiKey) throw new Error('Smartlead API key is required');
       try {
-        const response = await axios.post('https://server.smartlead.ai/api/v1/email-accounts', args, {
+        const response = await smartleadApi.post('/email-accounts', args, {
           params: { api_key: apiKey },
           headers: { 'Content-Type': 'application/json' }
         });
@@ -1630,10 +2121,11 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'SMARTLEAD_A
           content: [{
             type: "text",
             text: `**Email Account Created:**\n\n${JSON.stringify(response.data, null, 2)}`
-          }]
+          }],
+          structuredContent: { data: response.data }
         };
       } catch (error) {
-        throw new Error(`Create email account failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`Create email account failed: ${error.message}`, { cause: error });
       }
     },
 
@@ -1642,34 +2134,36 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'SMARTLEAD_A
       if (!apiKey) throw new Error('Smartlead API key is required');
       try {
         const { campaign_id, ...queryParams } = args;
-        const response = await axios.get(`https://server.smartlead.ai/api/v1/campaigns/${campaign_id}/leads`, {
+        const response = await smartleadApi.get(`/campaigns/${campaign_id}/leads`, {
           params: { api_key: apiKey, ...queryParams }
         });
         return {
           content: [{
             type: "text",
             text: `**Campaign Leads:**\n\n${JSON.stringify(response.data, null, 2)}`
-          }]
+          }],
+          structuredContent: { data: response.data }
         };
       } catch (error) {
-        throw new Error(`List leads by campaign failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`List leads by campaign failed: ${error.message}`, { cause: error });
       }
     },
 
     'smartlead-fetch-lead-by-email': async (args, apiKey, userId) => {
       if (!apiKey) throw new Error('Smartlead API key is required');
       try {
-        const response = await axios.get('https://server.smartlead.ai/api/v1/leads/search', {
+        const response = await smartleadApi.get('/leads/search', {
           params: { api_key: apiKey, email: args.email }
         });
         return {
           content: [{
             type: "text",
             text: `**Lead Details:**\n\n${JSON.stringify(response.data, null, 2)}`
-          }]
+          }],
+          structuredContent: { data: response.data }
         };
       } catch (error) {
-        throw new Error(`Fetch lead by email failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`Fetch lead by email failed: ${error.message}`, { cause: error });
       }
     },
 
@@ -1677,34 +2171,36 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'SMARTLEAD_A
     'smartlead-get-campaign-statistics': async (args, apiKey, userId) => {
       if (!apiKey) throw new Error('Smartlead API key is required');
       try {
-        const response = await axios.get(`https://server.smartlead.ai/api/v1/campaigns/${args.campaign_id}/statistics`, {
+        const response = await smartleadApi.get(`/campaigns/${args.campaign_id}/statistics`, {
           params: { api_key: apiKey }
         });
         return {
           content: [{
             type: "text",
             text: `**Campaign Statistics:**\n\n${JSON.stringify(response.data, null, 2)}`
-          }]
+          }],
+          structuredContent: { data: response.data }
         };
       } catch (error) {
-        throw new Error(`Get campaign statistics failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`Get campaign statistics failed: ${error.message}`, { cause: error });
       }
     },
 
     'smartlead-get-warmup-stats-by-email-account-id': async (args, apiKey, userId) => {
       if (!apiKey) throw new Error('Smartlead API key is required');
       try {
-        const response = await axios.get(`https://server.smartlead.ai/api/v1/email-accounts/${args.email_account_id}/warmup-stats`, {
+        const response = await smartleadApi.get(`/email-accounts/${args.email_account_id}/warmup-stats`, {
           params: { api_key: apiKey }
         });
         return {
           content: [{
             type: "text",
             text: `**Warmup Statistics:**\n\n${JSON.stringify(response.data, null, 2)}`
-          }]
+          }],
+          structuredContent: { data: response.data }
         };
       } catch (error) {
-        throw new Error(`Get warmup stats failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`Get warmup stats failed: ${error.message}`, { cause: error });
       }
     },
 
@@ -1712,24 +2208,25 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'SMARTLEAD_A
     'smartlead-get-region-wise-provider-ids': async (args, apiKey, userId) => {
       if (!apiKey) throw new Error('Smartlead API key is required');
       try {
-        const response = await axios.get('https://server.smartlead.ai/api/v1/smart-delivery/providers/regions', {
+        const response = await smartleadApi.get('/smart-delivery/providers/regions', {
           params: { api_key: apiKey }
         });
         return {
           content: [{
             type: "text",
             text: `**Region Wise Provider IDs:**\n\n${JSON.stringify(response.data, null, 2)}`
-          }]
+          }],
+          structuredContent: { data: response.data }
         };
       } catch (error) {
-        throw new Error(`Get region wise provider IDs failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`Get region wise provider IDs failed: ${error.message}`, { cause: error });
       }
     },
 
     'smartlead-create-manual-placement-test': async (args, apiKey, userId) => {
       if (!apiKey) throw new Error('Smartlead API key is required');
       try {
-        const response = await axios.post('https://server.smartlead.ai/api/v1/smart-delivery/placement-tests/manual', args, {
+        const response = await smartleadApi.post('/smart-delivery/placement-tests/manual', args, {
           params: { api_key: apiKey },
           headers: { 'Content-Type': 'application/json' }
         });
@@ -1737,10 +2234,11 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'SMARTLEAD_A
           content: [{
             type: "text",
             text: `**Manual Placement Test Created:**\n\n${JSON.stringify(response.data, null, 2)}`
-          }]
+          }],
+          structuredContent: { data: response.data }
         };
       } catch (error) {
-        throw new Error(`Create manual placement test failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`Create manual placement test failed: ${error.message}`, { cause: error });
       }
     },
 
@@ -1748,34 +2246,36 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'SMARTLEAD_A
     'smartlead-search-domain': async (args, apiKey, userId) => {
       if (!apiKey) throw new Error('Smartlead API key is required');
       try {
-        const response = await axios.get('https://server.smartlead.ai/api/v1/smart-senders/domains/search', {
+        const response = await smartleadApi.get('/smart-senders/domains/search', {
           params: { api_key: apiKey, domain: args.domain }
         });
         return {
           content: [{
             type: "text",
             text: `**Domain Search Results:**\n\n${JSON.stringify(response.data, null, 2)}`
-          }]
+          }],
+          structuredContent: { data: response.data }
         };
       } catch (error) {
-        throw new Error(`Search domain failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`Search domain failed: ${error.message}`, { cause: error });
       }
     },
 
     'smartlead-get-vendors': async (args, apiKey, userId) => {
       if (!apiKey) throw new Error('Smartlead API key is required');
       try {
-        const response = await axios.get('https://server.smartlead.ai/api/v1/smart-senders/vendors', {
+        const response = await smartleadApi.get('/smart-senders/vendors', {
           params: { api_key: apiKey }
         });
         return {
           content: [{
             type: "text",
             text: `**Available Vendors:**\n\n${JSON.stringify(response.data, null, 2)}`
-          }]
+          }],
+          structuredContent: { data: response.data }
         };
       } catch (error) {
-        throw new Error(`Get vendors failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`Get vendors failed: ${error.message}`, { cause: error });
       }
     },
 
@@ -1783,17 +2283,18 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'SMARTLEAD_A
     'smartlead-get-webhooks-by-campaign-id': async (args, apiKey, userId) => {
       if (!apiKey) throw new Error('Smartlead API key is required');
       try {
-        const response = await axios.get(`https://server.smartlead.ai/api/v1/campaigns/${args.campaign_id}/webhooks`, {
+        const response = await smartleadApi.get(`/campaigns/${args.campaign_id}/webhooks`, {
           params: { api_key: apiKey }
         });
         return {
           content: [{
             type: "text",
             text: `**Campaign Webhooks:**\n\n${JSON.stringify(response.data, null, 2)}`
-          }]
+          }],
+          structuredContent: { data: response.data }
         };
       } catch (error) {
-        throw new Error(`Get campaign webhooks failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`Get campaign webhooks failed: ${error.message}`, { cause: error });
       }
     },
 
@@ -1801,7 +2302,7 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'SMARTLEAD_A
       if (!apiKey) throw new Error('Smartlead API key is required');
       try {
         const { campaign_id, ...webhookData } = args;
-        const response = await axios.post(`https://server.smartlead.ai/api/v1/campaigns/${campaign_id}/webhooks`, webhookData, {
+        const response = await smartleadApi.post(`/campaigns/${campaign_id}/webhooks`, webhookData, {
           params: { api_key: apiKey },
           headers: { 'Content-Type': 'application/json' }
         });
@@ -1809,10 +2310,11 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'SMARTLEAD_A
           content: [{
             type: "text",
             text: `**Webhook Added/Updated:**\n\n${JSON.stringify(response.data, null, 2)}`
-          }]
+          }],
+          structuredContent: { data: response.data }
         };
       } catch (error) {
-        throw new Error(`Add/update webhook failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`Add/update webhook failed: ${error.message}`, { cause: error });
       }
     },
 
@@ -1820,289 +2322,306 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'SMARTLEAD_A
     'smartlead-analytics-client-month-wise-count': async (args, apiKey, userId) => {
       if (!apiKey) throw new Error('Smartlead API key is required');
       try {
-        const response = await axios.get('https://server.smartlead.ai/api/v1/analytics/clients/month-wise-count', {
+        const response = await smartleadApi.get('/analytics/clients/month-wise-count', {
           params: { api_key: apiKey, ...args }
         });
         return {
           content: [{
             type: "text",
             text: `**Monthly Client Count:**\n\n${JSON.stringify(response.data, null, 2)}`
-          }]
+          }],
+          structuredContent: { data: response.data }
         };
       } catch (error) {
-        throw new Error(`Get monthly client count failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`Get monthly client count failed: ${error.message}`, { cause: error });
       }
     },
 
     'smartlead-analytics-day-wise-overall-stats': async (args, apiKey, userId) => {
       if (!apiKey) throw new Error('Smartlead API key is required');
       try {
-        const response = await axios.get('https://server.smartlead.ai/api/v1/analytics/day-wise-overall-stats', {
+        const response = await smartleadApi.get('/analytics/day-wise-overall-stats', {
           params: { api_key: apiKey, ...args }
         });
         return {
           content: [{
             type: "text",
             text: `**Day-wise Overall Stats:**\n\n${JSON.stringify(response.data, null, 2)}`
-          }]
+          }],
+          structuredContent: { data: response.data }
         };
       } catch (error) {
-        throw new Error(`Get day-wise overall stats failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`Get day-wise overall stats failed: ${error.message}`, { cause: error });
       }
     },
 
     'smartlead-analytics-day-wise-positive-reply-stats': async (args, apiKey, userId) => {
       if (!apiKey) throw new Error('Smartlead API key is required');
       try {
-        const response = await axios.get('https://server.smartlead.ai/api/v1/analytics/day-wise-positive-reply-stats', {
+        const response = await smartleadApi.get('/analytics/day-wise-positive-reply-stats', {
           params: { api_key: apiKey, ...args }
         });
         return {
           content: [{
             type: "text",
             text: `**Day-wise Positive Reply Stats:**\n\n${JSON.stringify(response.data, null, 2)}`
-          }]
+          }],
+          structuredContent: { data: response.data }
         };
       } catch (error) {
-        throw new Error(`Get day-wise positive reply stats failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`Get day-wise positive reply stats failed: ${error.message}`, { cause: error });
       }
     },
 
     'smartlead-analytics-mailbox-name-wise-health-metrics': async (args, apiKey, userId) => {
       if (!apiKey) throw new Error('Smartlead API key is required');
       try {
-        const response = await axios.get('https://server.smartlead.ai/api/v1/analytics/mailbox-health/by-name', {
+        const response = await smartleadApi.get('/analytics/mailbox-health/by-name', {
           params: { api_key: apiKey, ...args }
         });
         return {
           content: [{
             type: "text",
             text: `**Email Health Metrics:**\n\n${JSON.stringify(response.data, null, 2)}`
-          }]
+          }],
+          structuredContent: { data: response.data }
         };
       } catch (error) {
-        throw new Error(`Get email health metrics failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`Get email health metrics failed: ${error.message}`, { cause: error });
       }
     },
 
     'smartlead-analytics-mailbox-domain-wise-health-metrics': async (args, apiKey, userId) => {
       if (!apiKey) throw new Error('Smartlead API key is required');
       try {
-        const response = await axios.get('https://server.smartlead.ai/api/v1/analytics/mailbox-health/by-domain', {
+        const response = await smartleadApi.get('/analytics/mailbox-health/by-domain', {
           params: { api_key: apiKey, ...args }
         });
         return {
           content: [{
             type: "text",
             text: `**Domain Health Metrics:**\n\n${JSON.stringify(response.data, null, 2)}`
-          }]
+          }],
+          structuredContent: { data: response.data }
         };
       } catch (error) {
-        throw new Error(`Get domain health metrics failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`Get domain health metrics failed: ${error.message}`, { cause: error });
       }
     },
 
     'smartlead-analytics-mailbox-provider-wise-overall-performance': async (args, apiKey, userId) => {
       if (!apiKey) throw new Error('Smartlead API key is required');
       try {
-        const response = await axios.get('https://server.smartlead.ai/api/v1/analytics/mailbox/provider-performance', {
+        const response = await smartleadApi.get('/analytics/mailbox/provider-performance', {
           params: { api_key: apiKey, ...args }
         });
         return {
           content: [{
             type: "text",
             text: `**Provider Performance:**\n\n${JSON.stringify(response.data, null, 2)}`
-          }]
+          }],
+          structuredContent: { data: response.data }
         };
       } catch (error) {
-        throw new Error(`Get provider performance failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`Get provider performance failed: ${error.message}`, { cause: error });
       }
     },
 
     'smartlead-analytics-campaign-overall-stats': async (args, apiKey, userId) => {
       if (!apiKey) throw new Error('Smartlead API key is required');
       try {
-        const response = await axios.get('https://server.smartlead.ai/api/v1/analytics/campaigns/overall-stats', {
+        const response = await smartleadApi.get('/analytics/campaigns/overall-stats', {
           params: { api_key: apiKey, ...args }
         });
         return {
           content: [{
             type: "text",
             text: `**Campaign Overall Stats:**\n\n${JSON.stringify(response.data, null, 2)}`
-          }]
+          }],
+          structuredContent: { data: response.data }
         };
       } catch (error) {
-        throw new Error(`Get campaign overall stats failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`Get campaign overall stats failed: ${error.message}`, { cause: error });
       }
     },
 
     'smartlead-analytics-client-overall-stats': async (args, apiKey, userId) => {
       if (!apiKey) throw new Error('Smartlead API key is required');
       try {
-        const response = await axios.get('https://server.smartlead.ai/api/v1/analytics/clients/overall-stats', {
+        const response = await smartleadApi.get('/analytics/clients/overall-stats', {
           params: { api_key: apiKey, ...args }
         });
         return {
           content: [{
             type: "text",
             text: `**Client Overall Stats:**\n\n${JSON.stringify(response.data, null, 2)}`
-          }]
+          }],
+          structuredContent: { data: response.data }
         };
       } catch (error) {
-        throw new Error(`Get client overall stats failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`Get client overall stats failed: ${error.message}`, { cause: error });
       }
     },
 
     'smartlead-analytics-team-board-overall-stats': async (args, apiKey, userId) => {
       if (!apiKey) throw new Error('Smartlead API key is required');
       try {
-        const response = await axios.get('https://server.smartlead.ai/api/v1/analytics/team-board/overall-stats', {
+        const response = await smartleadApi.get('/analytics/team-board/overall-stats', {
           params: { api_key: apiKey, ...args }
         });
         return {
           content: [{
             type: "text",
             text: `**Team Board Stats:**\n\n${JSON.stringify(response.data, null, 2)}`
-          }]
+          }],
+          structuredContent: { data: response.data }
         };
       } catch (error) {
-        throw new Error(`Get team board stats failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`Get team board stats failed: ${error.message}`, { cause: error });
       }
     },
 
     'smartlead-analytics-lead-overall-stats': async (args, apiKey, userId) => {
       if (!apiKey) throw new Error('Smartlead API key is required');
       try {
-        const response = await axios.get('https://server.smartlead.ai/api/v1/analytics/leads/overall-stats', {
+        const response = await smartleadApi.get('/analytics/leads/overall-stats', {
           params: { api_key: apiKey, ...args }
         });
         return {
           content: [{
             type: "text",
             text: `**Lead Overall Stats:**\n\n${JSON.stringify(response.data, null, 2)}`
-          }]
+          }],
+          structuredContent: { data: response.data }
         };
       } catch (error) {
-        throw new Error(`Get lead overall stats failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`Get lead overall stats failed: ${error.message}`, { cause: error });
       }
     },
 
     'smartlead-analytics-lead-category-wise-response': async (args, apiKey, userId) => {
       if (!apiKey) throw new Error('Smartlead API key is required');
       try {
-        const response = await axios.get('https://server.smartlead.ai/api/v1/analytics/leads/category-wise-response', {
+        const response = await smartleadApi.get('/analytics/leads/category-wise-response', {
           params: { api_key: apiKey, ...args }
         });
         return {
           content: [{
             type: "text",
             text: `**Lead Category Response:**\n\n${JSON.stringify(response.data, null, 2)}`
-          }]
+          }],
+          structuredContent: { data: response.data }
         };
       } catch (error) {
-        throw new Error(`Get lead category response failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`Get lead category response failed: ${error.message}`, { cause: error });
       }
     },
 
     'smartlead-analytics-campaign-leads-take-for-first-reply': async (args, apiKey, userId) => {
       if (!apiKey) throw new Error('Smartlead API key is required');
       try {
-        const response = await axios.get(`https://server.smartlead.ai/api/v1/analytics/campaigns/${args.campaign_id}/leads-first-reply-time`, {
+        const response = await smartleadApi.get(`/analytics/campaigns/${args.campaign_id}/leads-first-reply-time`, {
           params: { api_key: apiKey, start_date: args.start_date, end_date: args.end_date }
         });
         return {
           content: [{
             type: "text",
             text: `**Leads First Reply Time:**\n\n${JSON.stringify(response.data, null, 2)}`
-          }]
+          }],
+          structuredContent: { data: response.data }
         };
       } catch (error) {
-        throw new Error(`Get leads first reply time failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`Get leads first reply time failed: ${error.message}`, { cause: error });
       }
     },
 
     'smartlead-analytics-campaign-follow-up-reply-rate': async (args, apiKey, userId) => {
       if (!apiKey) throw new Error('Smartlead API key is required');
       try {
-        const response = await axios.get(`https://server.smartlead.ai/api/v1/analytics/campaigns/${args.campaign_id}/follow-up-reply-rate`, {
+        const response = await smartleadApi.get(`/analytics/campaigns/${args.campaign_id}/follow-up-reply-rate`, {
           params: { api_key: apiKey, start_date: args.start_date, end_date: args.end_date }
         });
         return {
           content: [{
             type: "text",
             text: `**Follow-up Reply Rate:**\n\n${JSON.stringify(response.data, null, 2)}`
-          }]
+          }],
+          structuredContent: { data: response.data }
         };
       } catch (error) {
-        throw new Error(`Get follow-up reply rate failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`Get follow-up reply rate failed: ${error.message}`, { cause: error });
       }
     },
 
     'smartlead-analytics-campaign-lead-to-reply-time': async (args, apiKey, userId) => {
       if (!apiKey) throw new Error('Smartlead API key is required');
       try {
-        const response = await axios.get(`https://server.smartlead.ai/api/v1/analytics/campaigns/${args.campaign_id}/lead-to-reply-time`, {
+        const response = await smartleadApi.get(`/analytics/campaigns/${args.campaign_id}/lead-to-reply-time`, {
           params: { api_key: apiKey, start_date: args.start_date, end_date: args.end_date }
         });
         return {
           content: [{
             type: "text",
             text: `**Lead to Reply Time:**\n\n${JSON.stringify(response.data, null, 2)}`
-          }]
+          }],
+          structuredContent: { data: response.data }
         };
       } catch (error) {
-        throw new Error(`Get lead to reply time failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`Get lead to reply time failed: ${error.message}`, { cause: error });
       }
     },
 
     'smartlead-analytics-campaign-response-stats': async (args, apiKey, userId) => {
       if (!apiKey) throw new Error('Smartlead API key is required');
       try {
-        const response = await axios.get(`https://server.smartlead.ai/api/v1/analytics/campaigns/${args.campaign_id}/response-stats`, {
+        const response = await smartleadApi.get(`/analytics/campaigns/${args.campaign_id}/response-stats`, {
           params: { api_key: apiKey, start_date: args.start_date, end_date: args.end_date }
         });
         return {
           content: [{
             type: "text",
             text: `**Campaign Response Stats:**\n\n${JSON.stringify(response.data, null, 2)}`
-          }]
+          }],
+          structuredContent: { data: response.data }
         };
       } catch (error) {
-        throw new Error(`Get campaign response stats failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`Get campaign response stats failed: ${error.message}`, { cause: error });
       }
     },
 
     'smartlead-analytics-campaign-status-stats': async (args, apiKey, userId) => {
       if (!apiKey) throw new Error('Smartlead API key is required');
       try {
-        const response = await axios.get('https://server.smartlead.ai/api/v1/analytics/campaigns/status-stats', {
+        const response = await smartleadApi.get('/analytics/campaigns/status-stats', {
           params: { api_key: apiKey, ...args }
         });
         return {
           content: [{
             type: "text",
             text: `**Campaign Status Stats:**\n\n${JSON.stringify(response.data, null, 2)}`
-          }]
+          }],
+          structuredContent: { data: response.data }
         };
       } catch (error) {
-        throw new Error(`Get campaign status stats failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`Get campaign status stats failed: ${error.message}`, { cause: error });
       }
     },
 
     'smartlead-analytics-mailbox-overall-stats': async (args, apiKey, userId) => {
       if (!apiKey) throw new Error('Smartlead API key is required');
       try {
-        const response = await axios.get('https://server.smartlead.ai/api/v1/analytics/mailbox/overall-stats', {
+        const response = await smartleadApi.get('/analytics/mailbox/overall-stats', {
           params: { api_key: apiKey, ...args }
         });
         return {
           content: [{
             type: "text",
             text: `**Mailbox Overall Stats:**\n\n${JSON.stringify(response.data, null, 2)}`
-          }]
+          }],
+          structuredContent: { data: response.data }
         };
       } catch (error) {
-        throw new Error(`Get mailbox overall stats failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`Get mailbox overall stats failed: ${error.message}`, { cause: error });
       }
     },
 
@@ -2110,75 +2629,79 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'SMARTLEAD_A
     'smartlead-fetch-campaign-analytics-by-date-range': async (args, apiKey, userId) => {
       if (!apiKey) throw new Error('Smartlead API key is required');
       try {
-        const response = await axios.get(`https://server.smartlead.ai/api/v1/campaigns/${args.campaign_id}/analytics`, {
+        const response = await smartleadApi.get(`/campaigns/${args.campaign_id}/analytics`, {
           params: { api_key: apiKey, start_date: args.start_date, end_date: args.end_date, timezone: args.timezone }
         });
         return {
           content: [{
             type: "text",
             text: `**Campaign Analytics by Date Range:**\n\n${JSON.stringify(response.data, null, 2)}`
-          }]
+          }],
+          structuredContent: { data: response.data }
         };
       } catch (error) {
-        throw new Error(`Fetch campaign analytics by date range failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`Fetch campaign analytics by date range failed: ${error.message}`, { cause: error });
       }
     },
 
     'smartlead-get-campaign-sequence-analytics': async (args, apiKey, userId) => {
       if (!apiKey) throw new Error('Smartlead API key is required');
       try {
-        const response = await axios.get(`https://server.smartlead.ai/api/v1/campaigns/${args.campaign_id}/sequence-analytics`, {
+        const response = await smartleadApi.get(`/campaigns/${args.campaign_id}/sequence-analytics`, {
           params: { api_key: apiKey, start_date: args.start_date, end_date: args.end_date }
         });
         return {
           content: [{
             type: "text",
             text: `**Campaign Sequence Analytics:**\n\n${JSON.stringify(response.data, null, 2)}`
-          }]
+          }],
+          structuredContent: { data: response.data }
         };
       } catch (error) {
-        throw new Error(`Get campaign sequence analytics failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`Get campaign sequence analytics failed: ${error.message}`, { cause: error });
       }
     },
 
     'smartlead-fetch-all-campaigns-using-lead-id': async (args, apiKey, userId) => {
       if (!apiKey) throw new Error('Smartlead API key is required');
       try {
-        const response = await axios.get(`https://server.smartlead.ai/api/v1/leads/${args.lead_id}/campaigns`, {
+        const response = await smartleadApi.get(`/leads/${args.lead_id}/campaigns`, {
           params: { api_key: apiKey }
         });
         return {
           content: [{
             type: "text",
             text: `**Campaigns by Lead ID:**\n\n${JSON.stringify(response.data, null, 2)}`
-          }]
+          }],
+          structuredContent: { data: response.data }
         };
       } catch (error) {
-        throw new Error(`Fetch campaigns by lead ID failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`Fetch campaigns by lead ID failed: ${error.message}`, { cause: error });
       }
     },
 
     'smartlead-get-campaigns-with-analytics': async (args, apiKey, userId) => {
       if (!apiKey) throw new Error('Smartlead API key is required');
       try {
-        const response = await axios.get('https://server.smartlead.ai/api/v1/campaigns/with-analytics', {
+        const response = await smartleadApi.get('/campaigns/with-analytics', {
           params: { api_key: apiKey, ...args }
         });
         return {
           content: [{
             type: "text",
             text: `**Campaigns with Analytics:**\n\n${JSON.stringify(response.data, null, 2)}`
-          }]
+          }],
+          structuredContent: { data: response.data }
         };
       } catch (error) {
-        throw new Error(`Get campaigns with analytics failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`Get campaigns with analytics failed: ${error.message}`, { cause: error });
       }
     },
 
     'smartlead-update-campaign-status': async (args, apiKey, userId) => {
       if (!apiKey) throw new Error('Smartlead API key is required');
       try {
-        const response = await axios.patch(`https://server.smartlead.ai/api/v1/campaigns/${args.campaign_id}/status`,
+        const response = await smartleadApi.patch(`/campaigns/${args.campaign_id}/status`,
           { status: args.status }, {
           params: { api_key: apiKey },
           headers: { 'Content-Type': 'application/json' }
@@ -2187,10 +2710,11 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'SMARTLEAD_A
           content: [{
             type: "text",
             text: `**Campaign Status Updated:**\n\n${JSON.stringify(response.data, null, 2)}`
-          }]
+          }],
+          structuredContent: { data: response.data }
         };
       } catch (error) {
-        throw new Error(`Update campaign status failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`Update campaign status failed: ${error.message}`, { cause: error });
       }
     },
 
@@ -2199,7 +2723,7 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'SMARTLEAD_A
     'smartlead-create-client-api-key': async (args, apiKey, userId) => {
       if (!apiKey) throw new Error('Smartlead API key is required');
       try {
-        const response = await axios.post('https://server.smartlead.ai/api/v1/clients/api-keys', args, {
+        const response = await smartleadApi.post('/clients/api-keys', args, {
           params: { api_key: apiKey },
           headers: { 'Content-Type': 'application/json' }
         });
@@ -2207,51 +2731,54 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'SMARTLEAD_A
           content: [{
             type: "text",
             text: `**Client API Key Created:**\n\n${JSON.stringify(response.data, null, 2)}`
-          }]
+          }],
+          structuredContent: { data: response.data }
         };
       } catch (error) {
-        throw new Error(`Create client API key failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`Create client API key failed: ${error.message}`, { cause: error });
       }
     },
 
     'smartlead-get-client-api-keys': async (args, apiKey, userId) => {
       if (!apiKey) throw new Error('Smartlead API key is required');
       try {
-        const response = await axios.get('https://server.smartlead.ai/api/v1/clients/api-keys', {
+        const response = await smartleadApi.get('/clients/api-keys', {
           params: { api_key: apiKey }
         });
         return {
           content: [{
             type: "text",
             text: `**Client API Keys:**\n\n${JSON.stringify(response.data, null, 2)}`
-          }]
+          }],
+          structuredContent: { data: response.data }
         };
       } catch (error) {
-        throw new Error(`Get client API keys failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`Get client API keys failed: ${error.message}`, { cause: error });
       }
     },
 
     'smartlead-delete-client-api-key': async (args, apiKey, userId) => {
       if (!apiKey) throw new Error('Smartlead API key is required');
       try {
-        const response = await axios.delete(`https://server.smartlead.ai/api/v1/clients/api-keys/${args.api_key_id}`, {
+        const response = await smartleadApi.delete(`/clients/api-keys/${args.api_key_id}`, {
           params: { api_key: apiKey }
         });
         return {
           content: [{
             type: "text",
             text: `**Client API Key Deleted:**\n\n${JSON.stringify(response.data, null, 2)}`
-          }]
+          }],
+          structuredContent: { data: response.data }
         };
       } catch (error) {
-        throw new Error(`Delete client API key failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`Delete client API key failed: ${error.message}`, { cause: error });
       }
     },
 
     'smartlead-reset-client-api-key': async (args, apiKey, userId) => {
       if (!apiKey) throw new Error('Smartlead API key is required');
       try {
-        const response = await axios.post(`https://server.smartlead.ai/api/v1/clients/api-keys/${args.api_key_id}/reset`, {}, {
+        const response = await smartleadApi.post(`/clients/api-keys/${args.api_key_id}/reset`, {}, {
           params: { api_key: apiKey },
           headers: { 'Content-Type': 'application/json' }
         });
@@ -2259,10 +2786,11 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'SMARTLEAD_A
           content: [{
             type: "text",
             text: `**Client API Key Reset:**\n\n${JSON.stringify(response.data, null, 2)}`
-          }]
+          }],
+          structuredContent: { data: response.data }
         };
       } catch (error) {
-        throw new Error(`Reset client API key failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`Reset client API key failed: ${error.message}`, { cause: error });
       }
     },
 
@@ -2270,17 +2798,18 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'SMARTLEAD_A
       if (!apiKey) throw new Error('Smartlead API key is required');
       try {
         const teamId = args.team_id || '';
-        const response = await axios.get(`https://server.smartlead.ai/api/v1/teams/${teamId}/details`, {
+        const response = await smartleadApi.get(`/teams/${teamId}/details`, {
           params: { api_key: apiKey }
         });
         return {
           content: [{
             type: "text",
             text: `**Team Details:**\n\n${JSON.stringify(response.data, null, 2)}`
-          }]
+          }],
+          structuredContent: { data: response.data }
         };
       } catch (error) {
-        throw new Error(`Get team details failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`Get team details failed: ${error.message}`, { cause: error });
       }
     },
 
@@ -2288,17 +2817,18 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'SMARTLEAD_A
     'smartlead-list-email-accounts-per-campaign': async (args, apiKey, userId) => {
       if (!apiKey) throw new Error('Smartlead API key is required');
       try {
-        const response = await axios.get(`https://server.smartlead.ai/api/v1/campaigns/${args.campaign_id}/email-accounts`, {
+        const response = await smartleadApi.get(`/campaigns/${args.campaign_id}/email-accounts`, {
           params: { api_key: apiKey }
         });
         return {
           content: [{
             type: "text",
             text: `**Campaign Email Accounts:**\n\n${JSON.stringify(response.data, null, 2)}`
-          }]
+          }],
+          structuredContent: { data: response.data }
         };
       } catch (error) {
-        throw new Error(`List email accounts per campaign failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`List email accounts per campaign failed: ${error.message}`, { cause: error });
       }
     },
 
@@ -2306,7 +2836,7 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'SMARTLEAD_A
       if (!apiKey) throw new Error('Smartlead API key is required');
       try {
         const { email_account_id, ...updateData } = args;
-        const response = await axios.patch(`https://server.smartlead.ai/api/v1/email-accounts/${email_account_id}`, updateData, {
+        const response = await smartleadApi.patch(`/email-accounts/${email_account_id}`, updateData, {
           params: { api_key: apiKey },
           headers: { 'Content-Type': 'application/json' }
         });
@@ -2314,27 +2844,29 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'SMARTLEAD_A
           content: [{
             type: "text",
             text: `**Email Account Updated:**\n\n${JSON.stringify(response.data, null, 2)}`
-          }]
+          }],
+          structuredContent: { data: response.data }
         };
       } catch (error) {
-        throw new Error(`Update email account failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`Update email account failed: ${error.message}`, { cause: error });
       }
     },
 
     'smartlead-get-email-account-by-id': async (args, apiKey, userId) => {
       if (!apiKey) throw new Error('Smartlead API key is required');
       try {
-        const response = await axios.get(`https://server.smartlead.ai/api/v1/email-accounts/${args.email_account_id}`, {
+        const response = await smartleadApi.get(`/email-accounts/${args.email_account_id}`, {
           params: { api_key: apiKey }
         });
         return {
           content: [{
             type: "text",
             text: `**Email Account Details:**\n\n${JSON.stringify(response.data, null, 2)}`
-          }]
+          }],
+          structuredContent: { data: response.data }
         };
       } catch (error) {
-        throw new Error(`Get email account by ID failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`Get email account by ID failed: ${error.message}`, { cause: error });
       }
     },
 
@@ -2342,7 +2874,7 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'SMARTLEAD_A
       if (!apiKey) throw new Error('Smartlead API key is required');
       try {
         const { email_account_id, ...warmupData } = args;
-        const response = await axios.patch(`https://server.smartlead.ai/api/v1/email-accounts/${email_account_id}/warmup`, warmupData, {
+        const response = await smartleadApi.patch(`/email-accounts/${email_account_id}/warmup`, warmupData, {
           params: { api_key: apiKey },
           headers: { 'Content-Type': 'application/json' }
         });
@@ -2350,17 +2882,18 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'SMARTLEAD_A
           content: [{
             type: "text",
             text: `**Email Account Warmup Updated:**\n\n${JSON.stringify(response.data, null, 2)}`
-          }]
+          }],
+          structuredContent: { data: response.data }
         };
       } catch (error) {
-        throw new Error(`Update email account warmup failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`Update email account warmup failed: ${error.message}`, { cause: error });
       }
     },
 
     'smartlead-reconnect-failed-email-accounts': async (args, apiKey, userId) => {
       if (!apiKey) throw new Error('Smartlead API key is required');
       try {
-        const response = await axios.post('https://server.smartlead.ai/api/v1/email-accounts/reconnect', args, {
+        const response = await smartleadApi.post('/email-accounts/reconnect', args, {
           params: { api_key: apiKey },
           headers: { 'Content-Type': 'application/json' }
         });
@@ -2368,10 +2901,11 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'SMARTLEAD_A
           content: [{
             type: "text",
             text: `**Email Accounts Reconnected:**\n\n${JSON.stringify(response.data, null, 2)}`
-          }]
+          }],
+          structuredContent: { data: response.data }
         };
       } catch (error) {
-        throw new Error(`Reconnect failed email accounts failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`Reconnect failed email accounts failed: ${error.message}`, { cause: error });
       }
     },
 
@@ -2379,7 +2913,7 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'SMARTLEAD_A
       if (!apiKey) throw new Error('Smartlead API key is required');
       try {
         const { email_account_id, tag } = args;
-        const response = await axios.patch(`https://server.smartlead.ai/api/v1/email-accounts/${email_account_id}/tag`,
+        const response = await smartleadApi.patch(`/email-accounts/${email_account_id}/tag`,
           { tag }, {
           params: { api_key: apiKey },
           headers: { 'Content-Type': 'application/json' }
@@ -2388,27 +2922,29 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'SMARTLEAD_A
           content: [{
             type: "text",
             text: `**Email Account Tag Updated:**\n\n${JSON.stringify(response.data, null, 2)}`
-          }]
+          }],
+          structuredContent: { data: response.data }
         };
       } catch (error) {
-        throw new Error(`Update email account tag failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`Update email account tag failed: ${error.message}`, { cause: error });
       }
     },
 
     'smartlead-remove-email-account-from-campaign': async (args, apiKey, userId) => {
       if (!apiKey) throw new Error('Smartlead API key is required');
       try {
-        const response = await axios.delete(`https://server.smartlead.ai/api/v1/campaigns/${args.campaign_id}/email-accounts/${args.email_account_id}`, {
+        const response = await smartleadApi.delete(`/campaigns/${args.campaign_id}/email-accounts/${args.email_account_id}`, {
           params: { api_key: apiKey }
         });
         return {
           content: [{
             type: "text",
             text: `**Email Account Removed from Campaign:**\n\n${JSON.stringify(response.data, null, 2)}`
-          }]
+          }],
+          structuredContent: { data: response.data }
         };
       } catch (error) {
-        throw new Error(`Remove email account from campaign failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`Remove email account from campaign failed: ${error.message}`, { cause: error });
       }
     },
 
@@ -2416,17 +2952,18 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'SMARTLEAD_A
     'smartlead-fetch-lead-categories': async (args, apiKey, userId) => {
       if (!apiKey) throw new Error('Smartlead API key is required');
       try {
-        const response = await axios.get('https://server.smartlead.ai/api/v1/leads/categories', {
+        const response = await smartleadApi.get('/leads/categories', {
           params: { api_key: apiKey }
         });
         return {
           content: [{
             type: "text",
             text: `**Lead Categories:**\n\n${JSON.stringify(response.data, null, 2)}`
-          }]
+          }],
+          structuredContent: { data: response.data }
         };
       } catch (error) {
-        throw new Error(`Fetch lead categories failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`Fetch lead categories failed: ${error.message}`, { cause: error });
       }
     },
 
@@ -2434,7 +2971,7 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'SMARTLEAD_A
       if (!apiKey) throw new Error('Smartlead API key is required');
       try {
         const { campaign_id, leads } = args;
-        const response = await axios.post(`https://server.smartlead.ai/api/v1/campaigns/${campaign_id}/leads/bulk`,
+        const response = await smartleadApi.post(`/campaigns/${campaign_id}/leads/bulk`,
           { leads }, {
           params: { api_key: apiKey },
           headers: { 'Content-Type': 'application/json' }
@@ -2443,17 +2980,18 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'SMARTLEAD_A
           content: [{
             type: "text",
             text: `**Leads Added to Campaign:**\n\n${JSON.stringify(response.data, null, 2)}`
-          }]
+          }],
+          structuredContent: { data: response.data }
         };
       } catch (error) {
-        throw new Error(`Add leads to campaign failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`Add leads to campaign failed: ${error.message}`, { cause: error });
       }
     },
 
     'smartlead-resume-lead-by-campaign': async (args, apiKey, userId) => {
       if (!apiKey) throw new Error('Smartlead API key is required');
       try {
-        const response = await axios.patch(`https://server.smartlead.ai/api/v1/campaigns/${args.campaign_id}/leads/${args.lead_id}/resume`, {}, {
+        const response = await smartleadApi.patch(`/campaigns/${args.campaign_id}/leads/${args.lead_id}/resume`, {}, {
           params: { api_key: apiKey },
           headers: { 'Content-Type': 'application/json' }
         });
@@ -2461,17 +2999,18 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'SMARTLEAD_A
           content: [{
             type: "text",
             text: `**Lead Resumed:**\n\n${JSON.stringify(response.data, null, 2)}`
-          }]
+          }],
+          structuredContent: { data: response.data }
         };
       } catch (error) {
-        throw new Error(`Resume lead failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`Resume lead failed: ${error.message}`, { cause: error });
       }
     },
 
     'smartlead-pause-lead-by-campaign': async (args, apiKey, userId) => {
       if (!apiKey) throw new Error('Smartlead API key is required');
       try {
-        const response = await axios.patch(`https://server.smartlead.ai/api/v1/campaigns/${args.campaign_id}/leads/${args.lead_id}/pause`, {}, {
+        const response = await smartleadApi.patch(`/campaigns/${args.campaign_id}/leads/${args.lead_id}/pause`, {}, {
           params: { api_key: apiKey },
           headers: { 'Content-Type': 'application/json' }
         });
@@ -2479,34 +3018,36 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'SMARTLEAD_A
           content: [{
             type: "text",
             text: `**Lead Paused:**\n\n${JSON.stringify(response.data, null, 2)}`
-          }]
+          }],
+          structuredContent: { data: response.data }
         };
       } catch (error) {
-        throw new Error(`Pause lead failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`Pause lead failed: ${error.message}`, { cause: error });
       }
     },
 
     'smartlead-delete-lead-by-campaign': async (args, apiKey, userId) => {
       if (!apiKey) throw new Error('Smartlead API key is required');
       try {
-        const response = await axios.delete(`https://server.smartlead.ai/api/v1/campaigns/${args.campaign_id}/leads/${args.lead_id}`, {
+        const response = await smartleadApi.delete(`/campaigns/${args.campaign_id}/leads/${args.lead_id}`, {
           params: { api_key: apiKey }
         });
         return {
           content: [{
             type: "text",
             text: `**Lead Deleted from Campaign:**\n\n${JSON.stringify(response.data, null, 2)}`
-          }]
+          }],
+          structuredContent: { data: response.data }
         };
       } catch (error) {
-        throw new Error(`Delete lead from campaign failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`Delete lead from campaign failed: ${error.message}`, { cause: error });
       }
     },
 
     'smartlead-unsubscribe-lead-from-campaign': async (args, apiKey, userId) => {
       if (!apiKey) throw new Error('Smartlead API key is required');
       try {
-        const response = await axios.patch(`https://server.smartlead.ai/api/v1/campaigns/${args.campaign_id}/leads/${args.lead_id}/unsubscribe`, {}, {
+        const response = await smartleadApi.patch(`/campaigns/${args.campaign_id}/leads/${args.lead_id}/unsubscribe`, {}, {
           params: { api_key: apiKey },
           headers: { 'Content-Type': 'application/json' }
         });
@@ -2514,17 +3055,18 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'SMARTLEAD_A
           content: [{
             type: "text",
             text: `**Lead Unsubscribed from Campaign:**\n\n${JSON.stringify(response.data, null, 2)}`
-          }]
+          }],
+          structuredContent: { data: response.data }
         };
       } catch (error) {
-        throw new Error(`Unsubscribe lead from campaign failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`Unsubscribe lead from campaign failed: ${error.message}`, { cause: error });
       }
     },
 
     'smartlead-unsubscribe-lead-from-all-campaigns': async (args, apiKey, userId) => {
       if (!apiKey) throw new Error('Smartlead API key is required');
       try {
-        const response = await axios.patch(`https://server.smartlead.ai/api/v1/leads/${args.lead_id}/unsubscribe-all`, {}, {
+        const response = await smartleadApi.patch(`/leads/${args.lead_id}/unsubscribe-all`, {}, {
           params: { api_key: apiKey },
           headers: { 'Content-Type': 'application/json' }
         });
@@ -2532,17 +3074,18 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'SMARTLEAD_A
           content: [{
             type: "text",
             text: `**Lead Unsubscribed from All Campaigns:**\n\n${JSON.stringify(response.data, null, 2)}`
-          }]
+          }],
+          structuredContent: { data: response.data }
         };
       } catch (error) {
-        throw new Error(`Unsubscribe lead from all campaigns failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`Unsubscribe lead from all campaigns failed: ${error.message}`, { cause: error });
       }
     },
 
     'smartlead-add-lead-to-global-blocklist': async (args, apiKey, userId) => {
       if (!apiKey) throw new Error('Smartlead API key is required');
       try {
-        const response = await axios.post('https://server.smartlead.ai/api/v1/leads/global-blocklist',
+        const response = await smartleadApi.post('/leads/global-blocklist',
           { email: args.email }, {
           params: { api_key: apiKey },
           headers: { 'Content-Type': 'application/json' }
@@ -2551,44 +3094,47 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'SMARTLEAD_A
           content: [{
             type: "text",
             text: `**Lead Added to Global Blocklist:**\n\n${JSON.stringify(response.data, null, 2)}`
-          }]
+          }],
+          structuredContent: { data: response.data }
         };
       } catch (error) {
-        throw new Error(`Add lead to global blocklist failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`Add lead to global blocklist failed: ${error.message}`, { cause: error });
       }
     },
 
     'smartlead-fetch-all-leads-from-account': async (args, apiKey, userId) => {
       if (!apiKey) throw new Error('Smartlead API key is required');
       try {
-        const response = await axios.get('https://server.smartlead.ai/api/v1/leads', {
+        const response = await smartleadApi.get('/leads', {
           params: { api_key: apiKey, ...args }
         });
         return {
           content: [{
             type: "text",
             text: `**All Leads from Account:**\n\n${JSON.stringify(response.data, null, 2)}`
-          }]
+          }],
+          structuredContent: { data: response.data }
         };
       } catch (error) {
-        throw new Error(`Fetch all leads from account failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`Fetch all leads from account failed: ${error.message}`, { cause: error });
       }
     },
 
     'smartlead-fetch-leads-from-global-blocklist': async (args, apiKey, userId) => {
       if (!apiKey) throw new Error('Smartlead API key is required');
       try {
-        const response = await axios.get('https://server.smartlead.ai/api/v1/leads/global-blocklist', {
+        const response = await smartleadApi.get('/leads/global-blocklist', {
           params: { api_key: apiKey, ...args }
         });
         return {
           content: [{
             type: "text",
             text: `**Global Blocklist:**\n\n${JSON.stringify(response.data, null, 2)}`
-          }]
+          }],
+          structuredContent: { data: response.data }
         };
       } catch (error) {
-        throw new Error(`Fetch leads from global blocklist failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`Fetch leads from global blocklist failed: ${error.message}`, { cause: error });
       }
     },
 
@@ -2596,7 +3142,7 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'SMARTLEAD_A
       if (!apiKey) throw new Error('Smartlead API key is required');
       try {
         const { lead_id, ...updateData } = args;
-        const response = await axios.patch(`https://server.smartlead.ai/api/v1/leads/${lead_id}`, updateData, {
+        const response = await smartleadApi.patch(`/leads/${lead_id}`, updateData, {
           params: { api_key: apiKey },
           headers: { 'Content-Type': 'application/json' }
         });
@@ -2604,17 +3150,18 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'SMARTLEAD_A
           content: [{
             type: "text",
             text: `**Lead Updated:**\n\n${JSON.stringify(response.data, null, 2)}`
-          }]
+          }],
+          structuredContent: { data: response.data }
         };
       } catch (error) {
-        throw new Error(`Update lead by ID failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`Update lead by ID failed: ${error.message}`, { cause: error });
       }
     },
 
     'smartlead-update-lead-category': async (args, apiKey, userId) => {
       if (!apiKey) throw new Error('Smartlead API key is required');
       try {
-        const response = await axios.patch(`https://server.smartlead.ai/api/v1/campaigns/${args.campaign_id}/leads/${args.lead_id}/category`,
+        const response = await smartleadApi.patch(`/campaigns/${args.campaign_id}/leads/${args.lead_id}/category`,
           { category: args.category }, {
           params: { api_key: apiKey },
           headers: { 'Content-Type': 'application/json' }
@@ -2623,27 +3170,29 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'SMARTLEAD_A
           content: [{
             type: "text",
             text: `**Lead Category Updated:**\n\n${JSON.stringify(response.data, null, 2)}`
-          }]
+          }],
+          structuredContent: { data: response.data }
         };
       } catch (error) {
-        throw new Error(`Update lead category failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`Update lead category failed: ${error.message}`, { cause: error });
       }
     },
 
     'smartlead-fetch-lead-message-history': async (args, apiKey, userId) => {
       if (!apiKey) throw new Error('Smartlead API key is required');
       try {
-        const response = await axios.get(`https://server.smartlead.ai/api/v1/campaigns/${args.campaign_id}/leads/${args.lead_id}/messages`, {
+        const response = await smartleadApi.get(`/campaigns/${args.campaign_id}/leads/${args.lead_id}/messages`, {
           params: { api_key: apiKey }
         });
         return {
           content: [{
             type: "text",
             text: `**Lead Message History:**\n\n${JSON.stringify(response.data, null, 2)}`
-          }]
+          }],
+          structuredContent: { data: response.data }
         };
       } catch (error) {
-        throw new Error(`Fetch lead message history failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`Fetch lead message history failed: ${error.message}`, { cause: error });
       }
     },
 
@@ -2651,7 +3200,7 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'SMARTLEAD_A
       if (!apiKey) throw new Error('Smartlead API key is required');
       try {
         const { campaign_id, lead_id, subject, message } = args;
-        const response = await axios.post(`https://server.smartlead.ai/api/v1/campaigns/${campaign_id}/leads/${lead_id}/reply`,
+        const response = await smartleadApi.post(`/campaigns/${campaign_id}/leads/${lead_id}/reply`,
           { subject: subject || '', message }, {
           params: { api_key: apiKey },
           headers: { 'Content-Type': 'application/json' }
@@ -2660,10 +3209,11 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'SMARTLEAD_A
           content: [{
             type: "text",
             text: `**Reply Sent to Lead:**\n\n${JSON.stringify(response.data, null, 2)}`
-          }]
+          }],
+          structuredContent: { data: response.data }
         };
       } catch (error) {
-        throw new Error(`Reply to lead from master inbox failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`Reply to lead from master inbox failed: ${error.message}`, { cause: error });
       }
     },
 
@@ -2671,7 +3221,7 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'SMARTLEAD_A
       if (!apiKey) throw new Error('Smartlead API key is required');
       try {
         const { campaign_id, lead_id, ...forwardData } = args;
-        const response = await axios.post(`https://server.smartlead.ai/api/v1/campaigns/${campaign_id}/leads/${lead_id}/forward`, forwardData, {
+        const response = await smartleadApi.post(`/campaigns/${campaign_id}/leads/${lead_id}/forward`, forwardData, {
           params: { api_key: apiKey },
           headers: { 'Content-Type': 'application/json' }
         });
@@ -2679,10 +3229,11 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'SMARTLEAD_A
           content: [{
             type: "text",
             text: `**Reply Forwarded:**\n\n${JSON.stringify(response.data, null, 2)}`
-          }]
+          }],
+          structuredContent: { data: response.data }
         };
       } catch (error) {
-        throw new Error(`Forward reply failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`Forward reply failed: ${error.message}`, { cause: error });
       }
     },
 
@@ -2691,34 +3242,36 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'SMARTLEAD_A
       if (!apiKey) throw new Error('Smartlead API key is required');
       try {
         const { campaign_id, ...dateParams } = args;
-        const response = await axios.get(`https://server.smartlead.ai/api/v1/campaigns/${campaign_id}/statistics/date-range`, {
+        const response = await smartleadApi.get(`/campaigns/${campaign_id}/statistics/date-range`, {
           params: { api_key: apiKey, ...dateParams }
         });
         return {
           content: [{
             type: "text",
             text: `**Campaign Statistics by Date Range:**\n\n${JSON.stringify(response.data, null, 2)}`
-          }]
+          }],
+          structuredContent: { data: response.data }
         };
       } catch (error) {
-        throw new Error(`Get campaign statistics by date range failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`Get campaign statistics by date range failed: ${error.message}`, { cause: error });
       }
     },
 
     'smartlead-get-campaign-top-level-analytics': async (args, apiKey, userId) => {
       if (!apiKey) throw new Error('Smartlead API key is required');
       try {
-        const response = await axios.get(`https://server.smartlead.ai/api/v1/campaigns/${args.campaign_id}/analytics/top-level`, {
+        const response = await smartleadApi.get(`/campaigns/${args.campaign_id}/analytics/top-level`, {
           params: { api_key: apiKey }
         });
         return {
           content: [{
             type: "text",
             text: `**Campaign Top Level Analytics:**\n\n${JSON.stringify(response.data, null, 2)}`
-          }]
+          }],
+          structuredContent: { data: response.data }
         };
       } catch (error) {
-        throw new Error(`Get campaign top level analytics failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`Get campaign top level analytics failed: ${error.message}`, { cause: error });
       }
     },
 
@@ -2726,51 +3279,54 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'SMARTLEAD_A
       if (!apiKey) throw new Error('Smartlead API key is required');
       try {
         const { campaign_id, ...dateParams } = args;
-        const response = await axios.get(`https://server.smartlead.ai/api/v1/campaigns/${campaign_id}/analytics/top-level/date-range`, {
+        const response = await smartleadApi.get(`/campaigns/${campaign_id}/analytics/top-level/date-range`, {
           params: { api_key: apiKey, ...dateParams }
         });
         return {
           content: [{
             type: "text",
             text: `**Campaign Top Level Analytics by Date Range:**\n\n${JSON.stringify(response.data, null, 2)}`
-          }]
+          }],
+          structuredContent: { data: response.data }
         };
       } catch (error) {
-        throw new Error(`Get campaign top level analytics by date range failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`Get campaign top level analytics by date range failed: ${error.message}`, { cause: error });
       }
     },
 
     'smartlead-get-campaign-lead-statistics': async (args, apiKey, userId) => {
       if (!apiKey) throw new Error('Smartlead API key is required');
       try {
-        const response = await axios.get(`https://server.smartlead.ai/api/v1/campaigns/${args.campaign_id}/statistics/leads`, {
+        const response = await smartleadApi.get(`/campaigns/${args.campaign_id}/statistics/leads`, {
           params: { api_key: apiKey }
         });
         return {
           content: [{
             type: "text",
             text: `**Campaign Lead Statistics:**\n\n${JSON.stringify(response.data, null, 2)}`
-          }]
+          }],
+          structuredContent: { data: response.data }
         };
       } catch (error) {
-        throw new Error(`Get campaign lead statistics failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`Get campaign lead statistics failed: ${error.message}`, { cause: error });
       }
     },
 
     'smartlead-get-campaign-mailbox-statistics': async (args, apiKey, userId) => {
       if (!apiKey) throw new Error('Smartlead API key is required');
       try {
-        const response = await axios.get(`https://server.smartlead.ai/api/v1/campaigns/${args.campaign_id}/statistics/mailbox`, {
+        const response = await smartleadApi.get(`/campaigns/${args.campaign_id}/statistics/mailbox`, {
           params: { api_key: apiKey }
         });
         return {
           content: [{
             type: "text",
             text: `**Campaign Mailbox Statistics:**\n\n${JSON.stringify(response.data, null, 2)}`
-          }]
+          }],
+          structuredContent: { data: response.data }
         };
       } catch (error) {
-        throw new Error(`Get campaign mailbox statistics failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`Get campaign mailbox statistics failed: ${error.message}`, { cause: error });
       }
     },
 
@@ -2778,34 +3334,36 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'SMARTLEAD_A
       if (!apiKey) throw new Error('Smartlead API key is required');
       try {
         const { campaign_id, download_type, format, user_id } = args;
-        const response = await axios.get(`https://server.smartlead.ai/api/v1/campaigns/${campaign_id}/download`, {
+        const response = await smartleadApi.get(`/campaigns/${campaign_id}/download`, {
           params: { api_key: apiKey, type: download_type, format: format || 'json', user_id }
         });
         return {
           content: [{
             type: "text",
             text: `**Campaign Data Download:**\n\n${JSON.stringify(response.data, null, 2)}`
-          }]
+          }],
+          structuredContent: { data: response.data }
         };
       } catch (error) {
-        throw new Error(`Download campaign data failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`Download campaign data failed: ${error.message}`, { cause: error });
       }
     },
 
     'smartlead-view-download-statistics': async (args, apiKey, userId) => {
       if (!apiKey) throw new Error('Smartlead API key is required');
       try {
-        const response = await axios.get('https://server.smartlead.ai/api/v1/statistics/downloads', {
+        const response = await smartleadApi.get('/statistics/downloads', {
           params: { api_key: apiKey, ...args }
         });
         return {
           content: [{
             type: "text",
             text: `**Download Statistics:**\n\n${JSON.stringify(response.data, null, 2)}`
-          }]
+          }],
+          structuredContent: { data: response.data }
         };
       } catch (error) {
-        throw new Error(`View download statistics failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`View download statistics failed: ${error.message}`, { cause: error });
       }
     },
 
@@ -2813,7 +3371,7 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'SMARTLEAD_A
     'smartlead-create-automated-placement-test': async (args, apiKey, userId) => {
       if (!apiKey) throw new Error('Smartlead API key is required');
       try {
-        const response = await axios.post('https://server.smartlead.ai/api/v1/smart-delivery/placement-tests/automated', args, {
+        const response = await smartleadApi.post('/smart-delivery/placement-tests/automated', args, {
           params: { api_key: apiKey },
           headers: { 'Content-Type': 'application/json' }
         });
@@ -2821,34 +3379,36 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'SMARTLEAD_A
           content: [{
             type: "text",
             text: `**Automated Placement Test Created:**\n\n${JSON.stringify(response.data, null, 2)}`
-          }]
+          }],
+          structuredContent: { data: response.data }
         };
       } catch (error) {
-        throw new Error(`Create automated placement test failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`Create automated placement test failed: ${error.message}`, { cause: error });
       }
     },
 
     'smartlead-get-spam-test-details': async (args, apiKey, userId) => {
       if (!apiKey) throw new Error('Smartlead API key is required');
       try {
-        const response = await axios.get(`https://server.smartlead.ai/api/v1/smart-delivery/spam-tests/${args.test_id}`, {
+        const response = await smartleadApi.get(`/smart-delivery/spam-tests/${args.test_id}`, {
           params: { api_key: apiKey }
         });
         return {
           content: [{
             type: "text",
             text: `**Spam Test Details:**\n\n${JSON.stringify(response.data, null, 2)}`
-          }]
+          }],
+          structuredContent: { data: response.data }
         };
       } catch (error) {
-        throw new Error(`Get spam test details failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`Get spam test details failed: ${error.message}`, { cause: error });
       }
     },
 
     'smartlead-delete-tests-in-bulk': async (args, apiKey, userId) => {
       if (!apiKey) throw new Error('Smartlead API key is required');
       try {
-        const response = await axios.delete('https://server.smartlead.ai/api/v1/smart-delivery/tests/bulk', {
+        const response = await smartleadApi.delete('/smart-delivery/tests/bulk', {
           params: { api_key: apiKey },
           data: args,
           headers: { 'Content-Type': 'application/json' }
@@ -2857,17 +3417,18 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'SMARTLEAD_A
           content: [{
             type: "text",
             text: `**Tests Deleted in Bulk:**\n\n${JSON.stringify(response.data, null, 2)}`
-          }]
+          }],
+          structuredContent: { data: response.data }
         };
       } catch (error) {
-        throw new Error(`Delete tests in bulk failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`Delete tests in bulk failed: ${error.message}`, { cause: error });
       }
     },
 
     'smartlead-stop-automated-test': async (args, apiKey, userId) => {
       if (!apiKey) throw new Error('Smartlead API key is required');
       try {
-        const response = await axios.post(`https://server.smartlead.ai/api/v1/smart-delivery/tests/${args.test_id}/stop`, {}, {
+        const response = await smartleadApi.post(`/smart-delivery/tests/${args.test_id}/stop`, {}, {
           params: { api_key: apiKey },
           headers: { 'Content-Type': 'application/json' }
         });
@@ -2875,27 +3436,29 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'SMARTLEAD_A
           content: [{
             type: "text",
             text: `**Automated Test Stopped:**\n\n${JSON.stringify(response.data, null, 2)}`
-          }]
+          }],
+          structuredContent: { data: response.data }
         };
       } catch (error) {
-        throw new Error(`Stop automated test failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`Stop automated test failed: ${error.message}`, { cause: error });
       }
     },
 
     'smartlead-list-all-tests': async (args, apiKey, userId) => {
       if (!apiKey) throw new Error('Smartlead API key is required');
       try {
-        const response = await axios.get('https://server.smartlead.ai/api/v1/smart-delivery/tests', {
+        const response = await smartleadApi.get('/smart-delivery/tests', {
           params: { api_key: apiKey, ...args }
         });
         return {
           content: [{
             type: "text",
             text: `**All Smart Delivery Tests:**\n\n${JSON.stringify(response.data, null, 2)}`
-          }]
+          }],
+          structuredContent: { data: response.data }
         };
       } catch (error) {
-        throw new Error(`List all tests failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`List all tests failed: ${error.message}`, { cause: error });
       }
     },
 
@@ -2908,17 +3471,18 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'SMARTLEAD_A
           params.start_date = date_range.start_date;
           params.end_date = date_range.end_date;
         }
-        const response = await axios.get(`https://server.smartlead.ai/api/v1/smart-delivery/tests/${test_id}/reports/provider-wise`, {
+        const response = await smartleadApi.get(`/smart-delivery/tests/${test_id}/reports/provider-wise`, {
           params
         });
         return {
           content: [{
             type: "text",
             text: `**Provider Wise Report:**\n\n${JSON.stringify(response.data, null, 2)}`
-          }]
+          }],
+          structuredContent: { data: response.data }
         };
       } catch (error) {
-        throw new Error(`Get provider wise report failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`Get provider wise report failed: ${error.message}`, { cause: error });
       }
     },
 
@@ -2931,296 +3495,313 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'SMARTLEAD_A
           params.start_date = date_range.start_date;
           params.end_date = date_range.end_date;
         }
-        const response = await axios.get(`https://server.smartlead.ai/api/v1/smart-delivery/tests/${test_id}/reports/geo-wise`, {
+        const response = await smartleadApi.get(`/smart-delivery/tests/${test_id}/reports/geo-wise`, {
           params
         });
         return {
           content: [{
             type: "text",
             text: `**Geo Wise Report:**\n\n${JSON.stringify(response.data, null, 2)}`
-          }]
+          }],
+          structuredContent: { data: response.data }
         };
       } catch (error) {
-        throw new Error(`Get geo wise report failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`Get geo wise report failed: ${error.message}`, { cause: error });
       }
     },
 
     'smartlead-get-sender-account-wise-report': async (args, apiKey, userId) => {
       if (!apiKey) throw new Error('Smartlead API key is required');
       try {
-        const response = await axios.get(`https://server.smartlead.ai/api/v1/smart-delivery/tests/${args.test_id}/reports/sender-account-wise`, {
+        const response = await smartleadApi.get(`/smart-delivery/tests/${args.test_id}/reports/sender-account-wise`, {
           params: { api_key: apiKey }
         });
         return {
           content: [{
             type: "text",
             text: `**Sender Account Wise Report:**\n\n${JSON.stringify(response.data, null, 2)}`
-          }]
+          }],
+          structuredContent: { data: response.data }
         };
       } catch (error) {
-        throw new Error(`Get sender account wise report failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`Get sender account wise report failed: ${error.message}`, { cause: error });
       }
     },
 
     'smartlead-get-spam-filter-report': async (args, apiKey, userId) => {
       if (!apiKey) throw new Error('Smartlead API key is required');
       try {
-        const response = await axios.get(`https://server.smartlead.ai/api/v1/smart-delivery/tests/${args.test_id}/reports/spam-filter`, {
+        const response = await smartleadApi.get(`/smart-delivery/tests/${args.test_id}/reports/spam-filter`, {
           params: { api_key: apiKey }
         });
         return {
           content: [{
             type: "text",
             text: `**Spam Filter Report:**\n\n${JSON.stringify(response.data, null, 2)}`
-          }]
+          }],
+          structuredContent: { data: response.data }
         };
       } catch (error) {
-        throw new Error(`Get spam filter report failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`Get spam filter report failed: ${error.message}`, { cause: error });
       }
     },
 
     'smartlead-get-dkim-details': async (args, apiKey, userId) => {
       if (!apiKey) throw new Error('Smartlead API key is required');
       try {
-        const response = await axios.get(`https://server.smartlead.ai/api/v1/smart-delivery/tests/${args.test_id}/dkim`, {
+        const response = await smartleadApi.get(`/smart-delivery/tests/${args.test_id}/dkim`, {
           params: { api_key: apiKey }
         });
         return {
           content: [{
             type: "text",
             text: `**DKIM Details:**\n\n${JSON.stringify(response.data, null, 2)}`
-          }]
+          }],
+          structuredContent: { data: response.data }
         };
       } catch (error) {
-        throw new Error(`Get DKIM details failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`Get DKIM details failed: ${error.message}`, { cause: error });
       }
     },
 
     'smartlead-get-spf-details': async (args, apiKey, userId) => {
       if (!apiKey) throw new Error('Smartlead API key is required');
       try {
-        const response = await axios.get(`https://server.smartlead.ai/api/v1/smart-delivery/tests/${args.test_id}/spf`, {
+        const response = await smartleadApi.get(`/smart-delivery/tests/${args.test_id}/spf`, {
           params: { api_key: apiKey }
         });
         return {
           content: [{
             type: "text",
             text: `**SPF Details:**\n\n${JSON.stringify(response.data, null, 2)}`
-          }]
+          }],
+          structuredContent: { data: response.data }
         };
       } catch (error) {
-        throw new Error(`Get SPF details failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`Get SPF details failed: ${error.message}`, { cause: error });
       }
     },
 
     'smartlead-get-rdns-report': async (args, apiKey, userId) => {
       if (!apiKey) throw new Error('Smartlead API key is required');
       try {
-        const response = await axios.get(`https://server.smartlead.ai/api/v1/smart-delivery/tests/${args.test_id}/rdns`, {
+        const response = await smartleadApi.get(`/smart-delivery/tests/${args.test_id}/rdns`, {
           params: { api_key: apiKey }
         });
         return {
           content: [{
             type: "text",
             text: `**rDNS Report:**\n\n${JSON.stringify(response.data, null, 2)}`
-          }]
+          }],
+          structuredContent: { data: response.data }
         };
       } catch (error) {
-        throw new Error(`Get rDNS report failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`Get rDNS report failed: ${error.message}`, { cause: error });
       }
     },
 
     'smartlead-get-sender-account-list': async (args, apiKey, userId) => {
       if (!apiKey) throw new Error('Smartlead API key is required');
       try {
-        const response = await axios.get(`https://server.smartlead.ai/api/v1/smart-delivery/tests/${args.test_id}/sender-accounts`, {
+        const response = await smartleadApi.get(`/smart-delivery/tests/${args.test_id}/sender-accounts`, {
           params: { api_key: apiKey }
         });
         return {
           content: [{
             type: "text",
             text: `**Sender Account List:**\n\n${JSON.stringify(response.data, null, 2)}`
-          }]
+          }],
+          structuredContent: { data: response.data }
         };
       } catch (error) {
-        throw new Error(`Get sender account list failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`Get sender account list failed: ${error.message}`, { cause: error });
       }
     },
 
     'smartlead-get-blacklists': async (args, apiKey, userId) => {
       if (!apiKey) throw new Error('Smartlead API key is required');
       try {
-        const response = await axios.get(`https://server.smartlead.ai/api/v1/smart-delivery/tests/${args.test_id}/blacklists`, {
+        const response = await smartleadApi.get(`/smart-delivery/tests/${args.test_id}/blacklists`, {
           params: { api_key: apiKey }
         });
         return {
           content: [{
             type: "text",
             text: `**Blacklist Status:**\n\n${JSON.stringify(response.data, null, 2)}`
-          }]
+          }],
+          structuredContent: { data: response.data }
         };
       } catch (error) {
-        throw new Error(`Get blacklists failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`Get blacklists failed: ${error.message}`, { cause: error });
       }
     },
 
     'smartlead-get-domain-blacklist': async (args, apiKey, userId) => {
       if (!apiKey) throw new Error('Smartlead API key is required');
       try {
-        const response = await axios.get(`https://server.smartlead.ai/api/v1/smart-delivery/tests/${args.test_id}/domain-blacklist`, {
+        const response = await smartleadApi.get(`/smart-delivery/tests/${args.test_id}/domain-blacklist`, {
           params: { api_key: apiKey }
         });
         return {
           content: [{
             type: "text",
             text: `**Domain Blacklist:**\n\n${JSON.stringify(response.data, null, 2)}`
-          }]
+          }],
+          structuredContent: { data: response.data }
         };
       } catch (error) {
-        throw new Error(`Get domain blacklist failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`Get domain blacklist failed: ${error.message}`, { cause: error });
       }
     },
 
     'smartlead-get-spam-test-email-content': async (args, apiKey, userId) => {
       if (!apiKey) throw new Error('Smartlead API key is required');
       try {
-        const response = await axios.get(`https://server.smartlead.ai/api/v1/smart-delivery/tests/${args.test_id}/email-content`, {
+        const response = await smartleadApi.get(`/smart-delivery/tests/${args.test_id}/email-content`, {
           params: { api_key: apiKey }
         });
         return {
           content: [{
             type: "text",
             text: `**Spam Test Email Content:**\n\n${JSON.stringify(response.data, null, 2)}`
-          }]
+          }],
+          structuredContent: { data: response.data }
         };
       } catch (error) {
-        throw new Error(`Get spam test email content failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`Get spam test email content failed: ${error.message}`, { cause: error });
       }
     },
 
     'smartlead-get-ip-blacklist-count': async (args, apiKey, userId) => {
       if (!apiKey) throw new Error('Smartlead API key is required');
       try {
-        const response = await axios.get(`https://server.smartlead.ai/api/v1/smart-delivery/tests/${args.test_id}/ip-blacklist-count`, {
+        const response = await smartleadApi.get(`/smart-delivery/tests/${args.test_id}/ip-blacklist-count`, {
           params: { api_key: apiKey }
         });
         return {
           content: [{
             type: "text",
             text: `**IP Blacklist Count:**\n\n${JSON.stringify(response.data, null, 2)}`
-          }]
+          }],
+          structuredContent: { data: response.data }
         };
       } catch (error) {
-        throw new Error(`Get IP blacklist count failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`Get IP blacklist count failed: ${error.message}`, { cause: error });
       }
     },
 
     'smartlead-get-email-reply-headers': async (args, apiKey, userId) => {
       if (!apiKey) throw new Error('Smartlead API key is required');
       try {
-        const response = await axios.get(`https://server.smartlead.ai/api/v1/smart-delivery/tests/${args.test_id}/email-reply-headers`, {
+        const response = await smartleadApi.get(`/smart-delivery/tests/${args.test_id}/email-reply-headers`, {
           params: { api_key: apiKey }
         });
         return {
           content: [{
             type: "text",
             text: `**Email Reply Headers:**\n\n${JSON.stringify(response.data, null, 2)}`
-          }]
+          }],
+          structuredContent: { data: response.data }
         };
       } catch (error) {
-        throw new Error(`Get email reply headers failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`Get email reply headers failed: ${error.message}`, { cause: error });
       }
     },
 
     'smartlead-get-schedule-history': async (args, apiKey, userId) => {
       if (!apiKey) throw new Error('Smartlead API key is required');
       try {
-        const response = await axios.get(`https://server.smartlead.ai/api/v1/smart-delivery/tests/${args.test_id}/schedule-history`, {
+        const response = await smartleadApi.get(`/smart-delivery/tests/${args.test_id}/schedule-history`, {
           params: { api_key: apiKey }
         });
         return {
           content: [{
             type: "text",
             text: `**Schedule History:**\n\n${JSON.stringify(response.data, null, 2)}`
-          }]
+          }],
+          structuredContent: { data: response.data }
         };
       } catch (error) {
-        throw new Error(`Get schedule history failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`Get schedule history failed: ${error.message}`, { cause: error });
       }
     },
 
     'smartlead-get-ip-details': async (args, apiKey, userId) => {
       if (!apiKey) throw new Error('Smartlead API key is required');
       try {
-        const response = await axios.get(`https://server.smartlead.ai/api/v1/smart-delivery/tests/${args.test_id}/ip-details`, {
+        const response = await smartleadApi.get(`/smart-delivery/tests/${args.test_id}/ip-details`, {
           params: { api_key: apiKey }
         });
         return {
           content: [{
             type: "text",
             text: `**IP Details:**\n\n${JSON.stringify(response.data, null, 2)}`
-          }]
+          }],
+          structuredContent: { data: response.data }
         };
       } catch (error) {
-        throw new Error(`Get IP details failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`Get IP details failed: ${error.message}`, { cause: error });
       }
     },
 
     'smartlead-get-mailbox-summary': async (args, apiKey, userId) => {
       if (!apiKey) throw new Error('Smartlead API key is required');
       try {
-        const response = await axios.get(`https://server.smartlead.ai/api/v1/smart-delivery/tests/${args.test_id}/mailbox-summary`, {
+        const response = await smartleadApi.get(`/smart-delivery/tests/${args.test_id}/mailbox-summary`, {
           params: { api_key: apiKey }
         });
         return {
           content: [{
             type: "text",
             text: `**Mailbox Summary:**\n\n${JSON.stringify(response.data, null, 2)}`
-          }]
+          }],
+          structuredContent: { data: response.data }
         };
       } catch (error) {
-        throw new Error(`Get mailbox summary failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`Get mailbox summary failed: ${error.message}`, { cause: error });
       }
     },
 
     'smartlead-get-mailbox-count': async (args, apiKey, userId) => {
       if (!apiKey) throw new Error('Smartlead API key is required');
       try {
-        const response = await axios.get(`https://server.smartlead.ai/api/v1/smart-delivery/tests/${args.test_id}/mailbox-count`, {
+        const response = await smartleadApi.get(`/smart-delivery/tests/${args.test_id}/mailbox-count`, {
           params: { api_key: apiKey }
         });
         return {
           content: [{
             type: "text",
             text: `**Mailbox Count:**\n\n${JSON.stringify(response.data, null, 2)}`
-          }]
+          }],
+          structuredContent: { data: response.data }
         };
       } catch (error) {
-        throw new Error(`Get mailbox count failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`Get mailbox count failed: ${error.message}`, { cause: error });
       }
     },
 
     'smartlead-get-all-folders': async (args, apiKey, userId) => {
       if (!apiKey) throw new Error('Smartlead API key is required');
       try {
-        const response = await axios.get('https://server.smartlead.ai/api/v1/smart-delivery/folders', {
+        const response = await smartleadApi.get('/smart-delivery/folders', {
           params: { api_key: apiKey }
         });
         return {
           content: [{
             type: "text",
             text: `**All Smart Delivery Folders:**\n\n${JSON.stringify(response.data, null, 2)}`
-          }]
+          }],
+          structuredContent: { data: response.data }
         };
       } catch (error) {
-        throw new Error(`Get all folders failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`Get all folders failed: ${error.message}`, { cause: error });
       }
     },
 
     'smartlead-create-folder': async (args, apiKey, userId) => {
       if (!apiKey) throw new Error('Smartlead API key is required');
       try {
-        const response = await axios.post('https://server.smartlead.ai/api/v1/smart-delivery/folders', args, {
+        const response = await smartleadApi.post('/smart-delivery/folders', args, {
           params: { api_key: apiKey },
           headers: { 'Content-Type': 'application/json' }
         });
@@ -3228,44 +3809,47 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'SMARTLEAD_A
           content: [{
             type: "text",
             text: `**Folder Created:**\n\n${JSON.stringify(response.data, null, 2)}`
-          }]
+          }],
+          structuredContent: { data: response.data }
         };
       } catch (error) {
-        throw new Error(`Create folder failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`Create folder failed: ${error.message}`, { cause: error });
       }
     },
 
     'smartlead-get-folder-by-id': async (args, apiKey, userId) => {
       if (!apiKey) throw new Error('Smartlead API key is required');
       try {
-        const response = await axios.get(`https://server.smartlead.ai/api/v1/smart-delivery/folders/${args.folder_id}`, {
+        const response = await smartleadApi.get(`/smart-delivery/folders/${args.folder_id}`, {
           params: { api_key: apiKey }
         });
         return {
           content: [{
             type: "text",
             text: `**Folder Details:**\n\n${JSON.stringify(response.data, null, 2)}`
-          }]
+          }],
+          structuredContent: { data: response.data }
         };
       } catch (error) {
-        throw new Error(`Get folder by ID failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`Get folder by ID failed: ${error.message}`, { cause: error });
       }
     },
 
     'smartlead-delete-folder': async (args, apiKey, userId) => {
       if (!apiKey) throw new Error('Smartlead API key is required');
       try {
-        const response = await axios.delete(`https://server.smartlead.ai/api/v1/smart-delivery/folders/${args.folder_id}`, {
+        const response = await smartleadApi.delete(`/smart-delivery/folders/${args.folder_id}`, {
           params: { api_key: apiKey }
         });
         return {
           content: [{
             type: "text",
             text: `**Folder Deleted:**\n\n${JSON.stringify(response.data, null, 2)}`
-          }]
+          }],
+          structuredContent: { data: response.data }
         };
       } catch (error) {
-        throw new Error(`Delete folder failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`Delete folder failed: ${error.message}`, { cause: error });
       }
     },
 
@@ -3273,7 +3857,7 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'SMARTLEAD_A
     'smartlead-auto-generate-mailboxes': async (args, apiKey, userId) => {
       if (!apiKey) throw new Error('Smartlead API key is required');
       try {
-        const response = await axios.post('https://server.smartlead.ai/api/v1/smart-senders/mailboxes/auto-generate', args, {
+        const response = await smartleadApi.post('/smart-senders/mailboxes/auto-generate', args, {
           params: { api_key: apiKey },
           headers: { 'Content-Type': 'application/json' }
         });
@@ -3281,17 +3865,18 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'SMARTLEAD_A
           content: [{
             type: "text",
             text: `**Mailboxes Auto Generated:**\n\n${JSON.stringify(response.data, null, 2)}`
-          }]
+          }],
+          structuredContent: { data: response.data }
         };
       } catch (error) {
-        throw new Error(`Auto generate mailboxes failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`Auto generate mailboxes failed: ${error.message}`, { cause: error });
       }
     },
 
     'smartlead-place-order-for-mailboxes': async (args, apiKey, userId) => {
       if (!apiKey) throw new Error('Smartlead API key is required');
       try {
-        const response = await axios.post('https://server.smartlead.ai/api/v1/smart-senders/mailboxes/order', args, {
+        const response = await smartleadApi.post('/smart-senders/mailboxes/order', args, {
           params: { api_key: apiKey },
           headers: { 'Content-Type': 'application/json' }
         });
@@ -3299,27 +3884,29 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'SMARTLEAD_A
           content: [{
             type: "text",
             text: `**Mailboxes Order Placed:**\n\n${JSON.stringify(response.data, null, 2)}`
-          }]
+          }],
+          structuredContent: { data: response.data }
         };
       } catch (error) {
-        throw new Error(`Place order for mailboxes failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`Place order for mailboxes failed: ${error.message}`, { cause: error });
       }
     },
 
     'smartlead-get-domain-list': async (args, apiKey, userId) => {
       if (!apiKey) throw new Error('Smartlead API key is required');
       try {
-        const response = await axios.get('https://server.smartlead.ai/api/v1/smart-senders/domains', {
+        const response = await smartleadApi.get('/smart-senders/domains', {
           params: { api_key: apiKey }
         });
         return {
           content: [{
             type: "text",
             text: `**Smart Senders Domain List:**\n\n${JSON.stringify(response.data, null, 2)}`
-          }]
+          }],
+          structuredContent: { data: response.data }
         };
       } catch (error) {
-        throw new Error(`Get domain list failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`Get domain list failed: ${error.message}`, { cause: error });
       }
     },
 
@@ -3327,41 +3914,43 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'SMARTLEAD_A
     'smartlead-delete-campaign-webhook': async (args, apiKey, userId) => {
       if (!apiKey) throw new Error('Smartlead API key is required');
       try {
-        const response = await axios.delete(`https://server.smartlead.ai/api/v1/campaigns/${args.campaign_id}/webhooks/${args.webhook_id}`, {
+        const response = await smartleadApi.delete(`/campaigns/${args.campaign_id}/webhooks/${args.webhook_id}`, {
           params: { api_key: apiKey }
         });
         return {
           content: [{
             type: "text",
             text: `**Campaign Webhook Deleted:**\n\n${JSON.stringify(response.data, null, 2)}`
-          }]
+          }],
+          structuredContent: { data: response.data }
         };
       } catch (error) {
-        throw new Error(`Delete campaign webhook failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`Delete campaign webhook failed: ${error.message}`, { cause: error });
       }
     },
 
     'smartlead-get-webhooks-publish-summary': async (args, apiKey, userId) => {
       if (!apiKey) throw new Error('Smartlead API key is required');
       try {
-        const response = await axios.get('https://server.smartlead.ai/api/v1/webhooks/publish-summary', {
+        const response = await smartleadApi.get('/webhooks/publish-summary', {
           params: { api_key: apiKey, ...args }
         });
         return {
           content: [{
             type: "text",
             text: `**Webhooks Publish Summary:**\n\n${JSON.stringify(response.data, null, 2)}`
-          }]
+          }],
+          structuredContent: { data: response.data }
         };
       } catch (error) {
-        throw new Error(`Get webhooks publish summary failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`Get webhooks publish summary failed: ${error.message}`, { cause: error });
       }
     },
 
     'smartlead-retrigger-failed-events': async (args, apiKey, userId) => {
       if (!apiKey) throw new Error('Smartlead API key is required');
       try {
-        const response = await axios.post('https://server.smartlead.ai/api/v1/webhooks/retrigger-failed-events', args, {
+        const response = await smartleadApi.post('/webhooks/retrigger-failed-events', args, {
           params: { api_key: apiKey },
           headers: { 'Content-Type': 'application/json' }
         });
@@ -3369,16 +3958,109 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'SMARTLEAD_A
           content: [{
             type: "text",
             text: `**Failed Events Retriggered:**\n\n${JSON.stringify(response.data, null, 2)}`
-          }]
+          }],
+          structuredContent: { data: response.data }
         };
       } catch (error) {
-        throw new Error(`Retrigger failed events failed: ${error.response?.data?.message || error.message}`);
+        throw new Error(`Retrigger failed events failed: ${error.message}`, { cause: error });
       }
     }
   };
 
+  // Prompt arguments arrive as strings, so numeric inputs are parsed here
+  const promptsDefinitions = [
+    {
+      name: 'smartlead-write-campaign-sequence',
+      title: 'Write Campaign Sequence',
+      description: 'Draft a cold email sequence for a Smartlead campaign, ready to save with smartlead-save-campaign-sequence',
+      argsSchema: {
+        product: z.string().describe('What you are selling'),
+        audience: z.string().describe('Who the campaign targets (role, industry, company size)'),
+        value_proposition: z.string().describe('The main outcome or pain point the email addresses'),
+        steps: z.string().optional().describe('Number of emails in the sequence (default: 3)'),
+        tone: z.string().optional().describe('Tone of voice (default: friendly and concise)'),
+        campaign_id: z.string().optional().describe('Campaign to save the sequence to')
+      },
+      get: async (args) => {
+        const steps = parseInt(args.steps, 10) || 3;
+        const saveInstruction = args.campaign_id
+          ? `When the user approves the draft, save it with smartlead-save-campaign-sequence for campaign_id ${args.campaign_id}.`
+          : 'Ask the user which campaign to save it to, then save it with smartlead-save-campaign-sequence.';
+
+        return {
+          description: `${steps}-step cold email sequence for ${args.audience}`,
+          messages: [{
+            role: 'user',
+            content: {
+              type: 'text',
+              text: [
+                `Write a ${steps}-step cold email sequence.`,
+                '',
+                `Product: ${args.product}`,
+                `Audience: ${args.audience}`,
+                `Value proposition: ${args.value_proposition}`,
+                `Tone: ${args.tone || 'friendly and concise'}`,
+                '',
+                'Guidelines:',
+                '- Keep each email under 120 words with a single clear call to action',
+                '- Personalize with Smartlead variables such as {{first_name}} and {{company_name}}',
+                '- Write email_body as simple HTML (<p>, <br>)',
+                '- Give the first email a subject line; leave follow-up subjects blank so they stay in the same thread',
+                '- Space the emails out with seq_delay_details.delay_in_days (first email 0, then 2-4 days apart)',
+                '',
+                `Present the draft as a list of steps with seq_number, delay, subject and email_body. ${saveInstruction}`
+              ].join('\n')
+            }
+          }]
+        };
+      }
+    },
+    {
+      name: 'smartlead-improve-campaign-sequence',
+      title: 'Improve Campaign Sequence',
+      description: 'Review an existing campaign sequence against its per-step analytics and suggest rewrites',
+      argsSchema: {
+        campaign_id: z.string().describe('ID of the campaign to review')
+      },
+      get: async (args, apiKey, userId) => {
+        if (!apiKey) {
+          throw new Error('Smartlead API key is required');
+        }
+
+        const campaignId = parseInt(args.campaign_id, 10);
+        const [sequence, analytics] = await Promise.all([
+          smartleadApi.get(`/campaigns/${campaignId}/sequence`, { params: { api_key: apiKey } }),
+          smartleadApi.get(`/campaigns/${campaignId}/sequence-analytics`, { params: { api_key: apiKey } })
+        ]);
+
+        return {
+          description: `Review of campaign ${campaignId} sequence`,
+          messages: [{
+            role: 'user',
+            content: {
+              type: 'text',
+              text: [
+                `Review the email sequence of Smartlead campaign ${campaignId} using its per-step analytics.`,
+                '',
+                '**Sequence:**',
+                JSON.stringify(sequence.data, null, 2),
+                '',
+                '**Sequence analytics:**',
+                JSON.stringify(analytics.data, null, 2),
+                '',
+                'Identify the steps with the weakest open and reply rates, explain the likely cause, and propose rewritten subjects and bodies for them. Apply changes with smartlead-update-campaign-sequence only after the user confirms.'
+              ].join('\n')
+            }
+          }]
+        };
+      }
+    }
+  ];
+
   return {
     toolsDefinitions,
-    toolHandlers
+    toolHandlers,
+    promptsDefinitions,
+    supportsDryRun: true
   };
 }
\ No newline at end of file
@@ -1,19 +1,30 @@
 // Adapter to convert Tavily MCP Server to our format
-import axios from 'axios';
+import { createHttpClient } from '../../utils/http-client.js';
 import { z } from 'zod';
 
 /**
  * Extract tools from Tavily MCP server and create handlers for our multi-MCP system
  */
 export async function createServerAdapter(serverPath, apiKeyParam = 'TAVILY_API_KEY') {
+  const tavilyApi = createHttpClient({ provider: 'tavily', baseURL: 'https://api.tavily.com' });
   
   const toolsDefinitions = [
     {
       name: 'tavily-search',
       title: 'Tavily Search',
       description: 'A powerful web search tool that provides comprehensive, real-time results using Tavily\'s AI search engine',
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
       inputSchema: {
         query: z.string().describe('Search query')
+      },
+      outputSchema: {
+        query: z.string(),
+        results: z.array(z.object({
+          title: z.string(),
+          url: z.string(),
+          content: z.string(),
+          score: z.number().nullable()
+        }))
       }
     }
   ];
@@ -25,7 +36,7 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'TAVILY_API_
       }
 
       try {
-        const response = await axios.post('https://api.tavily.com/search', {
+        const response = await tavilyApi.post('/search', {
           api_key: apiKey,
           query: args.query,
           search_depth: 'basic',
@@ -45,10 +56,19 @@ export async function createServerAdapter(serverPath, apiKeyParam = 'TAVILY_API_
                 `${index + 1}. **${result.title}**\n   ${result.url}\n   ${result.content}\n`
               ).join('\n') || 'No results found'}`
             }
-          ]
+          ],
+          structuredContent: {
+            query: args.query,
+            results: (response.data.results || []).map(result => ({
+              title: result.title,
+              url: result.url,
+              content: result.content,
+              score: result.score ?? null
+            }))
+          }
         };
       } catch (error) {
-        throw new Error(`Tavily search failed: ${error.message}`);
+        throw new Error(`Tavily search failed: ${error.message}`, { cause: error });
       }
     }
   };
@@ -1,5 +1,6 @@
 // Tavily MCP Server - Adapted for Multi-MCP Server
-import { createServerAdapter } from './adapter.js';
+// Forward the loader's cache-busting query so hot reloads re-import adapter.js too
+const { createServerAdapter } = await import(`./adapter.js${new URL(import.meta.url).search}`);
 
 // Get the adapter with Tavily tools
 import { dirname } from 'path';
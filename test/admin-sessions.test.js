@@ -0,0 +1,69 @@
+// Admin session API: listing and terminating live sessions, and what happens to their parked calls
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ADMIN_API_KEY, API_KEYS, ECHO_SERVER, openSession, requestJson, signToken, startGateway } from './helpers/gateway.js';
+
+const asAdmin = { headers: { 'x-admin-key': ADMIN_API_KEY } };
+const asCaller = { headers: { 'x-api-key': API_KEYS.alpha } };
+
+describe('admin sessions', () => {
+  let gateway;
+  const token = signToken({ serverId: 'srv-1', serverName: 'echo', userId: 'user-1', apiKey: 'echo-key' });
+
+  before(async () => {
+    gateway = await startGateway({
+      servers: { echo: ECHO_SERVER },
+      global: { approvals: { tools: ['echo-send'], elicitation: false } }
+    });
+  });
+
+  after(async () => {
+    await gateway?.stop();
+  });
+
+  const parkCall = async session => {
+    const result = await session.callTool('echo-send', { to: 'someone@example.com', text: 'hello' });
+    assert.equal(result.structuredContent.error.code, 'APPROVAL_REQUIRED');
+    return result.structuredContent.approval.token;
+  };
+
+  test('requires the admin key', async () => {
+    assert.equal((await requestJson(gateway.url, 'GET', '/admin/sessions')).status, 401);
+    assert.equal((await requestJson(gateway.url, 'GET', '/admin/sessions', asCaller)).status, 401);
+  });
+
+  test('terminating a session closes it and rejects its parked calls', async () => {
+    const session = await openSession(gateway.url, 'echo', { token });
+    const confirmation = await parkCall(session);
+
+    const listed = await requestJson(gateway.url, 'GET', '/admin/sessions?userId=user-1', asAdmin);
+    assert.ok(listed.body.servers.echo.some(entry => entry.sessionId === session.sessionId));
+
+    const terminated = await requestJson(gateway.url, 'DELETE', `/admin/sessions/${session.sessionId}`, asAdmin);
+    assert.equal(terminated.status, 200);
+    assert.equal(terminated.body.closedLocally, true);
+
+    const afterwards = await session.request('tools/list');
+    assert.equal(afterwards.status, 400);
+    assert.match(afterwards.body.error.message, /Invalid session/);
+
+    const approved = await requestJson(gateway.url, 'POST', `/approvals/${confirmation}/approve`, asCaller);
+    assert.equal(approved.status, 404);
+    assert.deepEqual((await requestJson(gateway.url, 'GET', '/approvals', asCaller)).body.approvals, []);
+  });
+
+  test('a session the client closes keeps its parked calls', async () => {
+    const session = await openSession(gateway.url, 'echo', { token });
+    const confirmation = await parkCall(session);
+    await session.close();
+
+    const approved = await requestJson(gateway.url, 'POST', `/approvals/${confirmation}/approve`, asCaller);
+    assert.equal(approved.status, 200);
+    assert.equal(approved.body.status, 'approved');
+  });
+
+  test('terminating an unknown session is a 404', async () => {
+    const response = await requestJson(gateway.url, 'DELETE', '/admin/sessions/does-not-exist', asAdmin);
+    assert.equal(response.status, 404);
+  });
+});
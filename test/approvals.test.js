@@ -0,0 +1,81 @@
+// Approval mode: parked calls can only be seen and decided by the caller whose session parked them
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { API_KEYS, ECHO_SERVER, openSession, requestJson, signToken, startGateway } from './helpers/gateway.js';
+
+const asCaller = apiKey => ({ headers: { 'x-api-key': apiKey } });
+
+// Call echo-send and return the confirmation token of the parked call
+async function parkCall(session, text) {
+  const result = await session.callTool('echo-send', { to: 'someone@example.com', text });
+  assert.equal(result.isError, true);
+  assert.equal(result.structuredContent.error.code, 'APPROVAL_REQUIRED');
+  return result.structuredContent.approval.token;
+}
+
+describe('approvals', () => {
+  let gateway;
+  let session;
+
+  before(async () => {
+    gateway = await startGateway({
+      servers: { echo: ECHO_SERVER },
+      global: { approvals: { tools: ['echo-send'], elicitation: false } }
+    });
+    const token = signToken({ serverId: 'srv-1', serverName: 'echo', userId: 'user-1', apiKey: 'echo-key' });
+    session = await openSession(gateway.url, 'echo', { token, apiKey: API_KEYS.alpha });
+  });
+
+  after(async () => {
+    await gateway?.stop();
+  });
+
+  test('another caller can neither see nor decide a parked call', async () => {
+    const confirmation = await parkCall(session, 'hello');
+
+    const listed = await requestJson(gateway.url, 'GET', '/approvals', asCaller(API_KEYS.beta));
+    assert.equal(listed.status, 200);
+    assert.deepEqual(listed.body.approvals, []);
+
+    for (const [method, pathname] of [
+      ['GET', `/approvals/${confirmation}`],
+      ['POST', `/approvals/${confirmation}/approve`],
+      ['POST', `/approvals/${confirmation}/reject`]
+    ]) {
+      const response = await requestJson(gateway.url, method, pathname, asCaller(API_KEYS.beta));
+      assert.equal(response.status, 404, `${method} ${pathname}`);
+    }
+
+    // Still pending for the caller that parked it
+    const own = await requestJson(gateway.url, 'GET', '/approvals', asCaller(API_KEYS.alpha));
+    assert.equal(own.body.approvals.length, 1);
+    assert.equal(own.body.approvals[0].token, confirmation);
+  });
+
+  test('the caller that parked a call can approve it once', async () => {
+    const confirmation = await parkCall(session, 'approve me');
+
+    const approved = await requestJson(gateway.url, 'POST', `/approvals/${confirmation}/approve`, asCaller(API_KEYS.alpha));
+    assert.equal(approved.status, 200);
+    assert.equal(approved.body.status, 'approved');
+    assert.match(approved.body.result.content[0].text, /Sent to someone@example.com: approve me/);
+
+    const again = await requestJson(gateway.url, 'POST', `/approvals/${confirmation}/approve`, asCaller(API_KEYS.alpha));
+    assert.equal(again.status, 404);
+  });
+
+  test('the preview shows the message content but not credentials', async () => {
+    const html = `<p>${'x'.repeat(300)}</p>`;
+    const result = await session.callTool('echo-send', { to: 'someone@example.com', text: 'token=abc Bearer abcdefghijklmnopqrstuvwxyz', html });
+    const { preview } = result.structuredContent.approval;
+
+    assert.equal(preview.arguments.html, html);
+    assert.match(preview.text, /^html: <p>x{197}\.\.\.$/m);
+    assert.match(preview.text, /^text: token=abc Bearer \[REDACTED\]$/m);
+  });
+
+  test('requires a server API key', async () => {
+    const response = await requestJson(gateway.url, 'GET', '/approvals');
+    assert.equal(response.status, 401);
+  });
+});
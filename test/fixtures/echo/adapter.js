@@ -0,0 +1,95 @@
+// Fixture server for gateway tests: tools that report the credential they were called with
+import { z } from 'zod';
+import { createHttpClient } from '../../../utils/http-client.js';
+
+// echo-fetch and echo-lookup call the test's local HTTP server, with short backoff delays so retries are quick
+const upstream = createHttpClient({
+  provider: 'echo',
+  baseURL: process.env.ECHO_UPSTREAM_URL,
+  baseDelayMs: 10,
+  maxDelayMs: 2000
+});
+
+export async function createServerAdapter() {
+  const toolsDefinitions = [
+    {
+      name: 'echo-whoami',
+      title: 'Who Am I',
+      description: 'Return the API key or access token and userId the call was made with',
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: false },
+      inputSchema: {},
+      outputSchema: {
+        apiKey: z.string(),
+        userId: z.string()
+      }
+    },
+    {
+      name: 'echo-send',
+      title: 'Send',
+      description: 'Pretend to send a message',
+      annotations: { readOnlyHint: false, destructiveHint: false, idempotentHint: false, openWorldHint: true },
+      inputSchema: {
+        to: z.string().describe('Recipient'),
+        text: z.string().describe('Message text'),
+        html: z.string().optional().describe('HTML version of the message')
+      }
+    },
+    {
+      name: 'echo-fetch',
+      title: 'Fetch',
+      description: 'Call the upstream at ECHO_UPSTREAM_URL through the shared HTTP client',
+      annotations: { readOnlyHint: false, destructiveHint: false, idempotentHint: false, openWorldHint: true },
+      inputSchema: {
+        method: z.enum(['GET', 'POST']).describe('HTTP method'),
+        path: z.string().describe('Path on the upstream')
+      }
+    },
+    {
+      name: 'echo-lookup',
+      title: 'Lookup',
+      description: 'Look a domain up on the upstream at ECHO_UPSTREAM_URL',
+      annotations: { readOnlyHint: true, destructiveHint: false, idempotentHint: true, openWorldHint: true },
+      inputSchema: {
+        domain: z.string().describe('Domain to look up'),
+        type: z.string().optional().describe('Kind of record')
+      }
+    }
+  ];
+
+  const toolHandlers = {
+    'echo-whoami': async (args, apiKey, userId) => ({
+      content: [{ type: 'text', text: `${userId} ${apiKey}` }],
+      structuredContent: { apiKey, userId }
+    }),
+    'echo-send': async (args) => ({
+      content: [{ type: 'text', text: `Sent to ${args.to}: ${args.text}` }]
+    }),
+    'echo-fetch': async (args) => {
+      try {
+        const response = await upstream.request({ method: args.method, url: args.path });
+        return {
+          content: [{ type: 'text', text: JSON.stringify(response.data) }],
+          structuredContent: { status: response.status, data: response.data }
+        };
+      } catch (error) {
+        throw new Error(`Echo fetch failed: ${error.message}`, { cause: error });
+      }
+    },
+    'echo-lookup': async (args) => {
+      try {
+        const response = await upstream.get(`/lookup/${args.domain}`, { params: { type: args.type } });
+        return {
+          content: [{ type: 'text', text: JSON.stringify(response.data) }],
+          structuredContent: { data: response.data }
+        };
+      } catch (error) {
+        throw new Error(`Echo lookup failed: ${error.message}`, { cause: error });
+      }
+    }
+  };
+
+  return {
+    toolsDefinitions,
+    toolHandlers
+  };
+}
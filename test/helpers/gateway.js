@@ -0,0 +1,205 @@
+// Run the gateway in a child process against a test server.json, and talk to it over HTTP like a client
+import { spawn } from 'node:child_process';
+import fs from 'node:fs/promises';
+import net from 'node:net';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import jwt from 'jsonwebtoken';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../..');
+
+export const JWT_SECRET = 'test-jwt-secret';
+export const ADMIN_API_KEY = 'test-admin-key';
+
+// Server API keys, by caller name (MCP_API_KEYS)
+export const API_KEYS = { alpha: 'alpha-key', beta: 'beta-key' };
+
+const STARTUP_TIMEOUT_MS = 15 * 1000;
+
+// The fixture server every test config includes
+export const ECHO_SERVER = {
+  name: 'Echo',
+  version: '1.0.0',
+  directory: path.join(ROOT, 'test/fixtures/echo'),
+  entryFile: 'adapter.js',
+  enabled: true
+};
+
+export function getFreePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.unref();
+    server.on('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * Start the gateway in a temporary working directory holding the given server.json.
+ *
+ * @param {object} config - server.json contents
+ * @param {object} [options]
+ * @param {object} [options.env] - Extra environment variables
+ * @returns {Promise<{url: string, dir: string, output: () => string, stop: () => Promise<void>}>}
+ */
+export async function startGateway(config, { env = {} } = {}) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'mcp-gateway-test-'));
+  await fs.writeFile(path.join(dir, 'server.json'), JSON.stringify(config, null, 2));
+  const port = await getFreePort();
+
+  const child = spawn(process.execPath, [path.join(ROOT, 'multi-mcp-server-simple.js')], {
+    cwd: dir,
+    env: {
+      PATH: process.env.PATH,
+      SSE_PORT: String(port),
+      JWT_SECRET,
+      ADMIN_API_KEY,
+      MCP_API_KEYS: Object.entries(API_KEYS).map(([name, key]) => `${name}:${key}`).join(','),
+      ...env
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  let output = '';
+  child.stdout.on('data', chunk => { output += chunk; });
+  child.stderr.on('data', chunk => { output += chunk; });
+  const exited = new Promise(resolve => child.once('exit', resolve));
+
+  const url = `http://127.0.0.1:${port}`;
+  const stop = async () => {
+    if (child.exitCode === null) {
+      child.kill('SIGTERM');
+      const timer = setTimeout(() => child.kill('SIGKILL'), 5000);
+      await exited;
+      clearTimeout(timer);
+    }
+    await fs.rm(dir, { recursive: true, force: true });
+  };
+
+  const deadline = Date.now() + STARTUP_TIMEOUT_MS;
+  for (;;) {
+    if (child.exitCode !== null) {
+      await stop();
+      throw new Error(`Gateway exited during startup:\n${output}`);
+    }
+    try {
+      if ((await fetch(`${url}/health`)).ok) {
+        break;
+      }
+    } catch {
+      // not listening yet
+    }
+    if (Date.now() > deadline) {
+      await stop();
+      throw new Error(`Gateway did not start within ${STARTUP_TIMEOUT_MS}ms:\n${output}`);
+    }
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+
+  return { url, dir, output: () => output, stop };
+}
+
+export function signToken(claims, options = {}) {
+  return jwt.sign(claims, JWT_SECRET, { expiresIn: '1h', ...options });
+}
+
+// A JSON-RPC response out of an SSE or JSON body
+function parseRpcBody(text) {
+  const data = text.match(/^data: (.*)$/m)?.[1] ?? text;
+  try {
+    return JSON.parse(data);
+  } catch {
+    return text;
+  }
+}
+
+/**
+ * An MCP client session on a gateway route.
+ *
+ * @param {string} url - Gateway base URL
+ * @param {string} route - e.g. "echo" or "bundle/name"
+ * @param {{token: string, apiKey?: string}} credentials
+ */
+export async function openSession(url, route, { token, apiKey = API_KEYS.alpha }) {
+  const endpoint = `${url}/${route}/mcp`;
+  const headersFor = (credentials, sessionId) => ({
+    'Content-Type': 'application/json',
+    Accept: 'application/json, text/event-stream',
+    'x-api-key': credentials.apiKey,
+    Authorization: `Bearer ${credentials.token}`,
+    ...(sessionId && { 'mcp-session-id': sessionId, 'mcp-protocol-version': '2025-06-18' })
+  });
+
+  const initialized = await fetch(endpoint, {
+    method: 'POST',
+    headers: headersFor({ token, apiKey }),
+    body: JSON.stringify({
+      jsonrpc: '2.0',
+      id: 0,
+      method: 'initialize',
+      params: { protocolVersion: '2025-06-18', capabilities: {}, clientInfo: { name: 'gateway-test', version: '1.0.0' } }
+    })
+  });
+  const sessionId = initialized.headers.get('mcp-session-id');
+  if (!initialized.ok || !sessionId) {
+    throw new Error(`initialize failed with ${initialized.status}: ${await initialized.text()}`);
+  }
+  await initialized.text();
+
+  let nextId = 1;
+  const session = {
+    sessionId,
+
+    // Send a JSON-RPC request on the session, optionally with other credentials
+    async request(method, params = {}, credentials = { token, apiKey }) {
+      const response = await fetch(endpoint, {
+        method: 'POST',
+        headers: headersFor(credentials, sessionId),
+        body: JSON.stringify({ jsonrpc: '2.0', id: nextId++, method, params })
+      });
+      return { status: response.status, body: parseRpcBody(await response.text()) };
+    },
+
+    async callTool(name, args = {}, credentials) {
+      const { status, body } = await session.request('tools/call', { name, arguments: args }, credentials);
+      if (status !== 200 || !body.result) {
+        throw new Error(`tools/call ${name} failed with ${status}: ${JSON.stringify(body)}`);
+      }
+      return body.result;
+    },
+
+    async close() {
+      const response = await fetch(endpoint, { method: 'DELETE', headers: headersFor({ token, apiKey }, sessionId) });
+      await response.text();
+    }
+  };
+
+  const notified = await fetch(endpoint, {
+    method: 'POST',
+    headers: headersFor({ token, apiKey }, sessionId),
+    body: JSON.stringify({ jsonrpc: '2.0', method: 'notifications/initialized' })
+  });
+  await notified.text();
+  return session;
+}
+
+// JSON request to the gateway's REST endpoints (approvals, admin)
+export async function requestJson(url, method, pathname, { headers = {}, body } = {}) {
+  const response = await fetch(`${url}${pathname}`, {
+    method,
+    headers: { 'Content-Type': 'application/json', ...headers },
+    ...(body !== undefined && { body: JSON.stringify(body) })
+  });
+  const text = await response.text();
+  let json;
+  try {
+    json = JSON.parse(text);
+  } catch {
+    json = text;
+  }
+  return { status: response.status, body: json };
+}
@@ -0,0 +1,32 @@
+// A local provider API for the echo fixture's echo-fetch and echo-lookup tools (ECHO_UPSTREAM_URL)
+import http from 'node:http';
+import { getFreePort } from './gateway.js';
+
+/**
+ * Start an HTTP server that answers each path with its scripted responses in turn,
+ * repeating the last one. Paths without a script answer 200 with the path.
+ *
+ * @param {object} scripts - Path to [{ status, headers?, body?, delayMs? }]
+ * @returns {Promise<{url: string, hits: object, close: () => Promise<void>}>} hits counts requests per path
+ */
+export async function startUpstream(scripts = {}) {
+  const hits = {};
+  const server = http.createServer(async (req, res) => {
+    hits[req.url] = (hits[req.url] ?? 0) + 1;
+    const script = scripts[req.url] ?? [{ status: 200, body: { path: req.url } }];
+    const { status, headers = {}, body = {}, delayMs = 0 } = script[Math.min(hits[req.url], script.length) - 1];
+    if (delayMs > 0) {
+      await new Promise(resolve => setTimeout(resolve, delayMs));
+    }
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(body));
+  });
+
+  const port = await getFreePort();
+  await new Promise(resolve => server.listen(port, '127.0.0.1', resolve));
+  return {
+    url: `http://127.0.0.1:${port}`,
+    hits,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
@@ -0,0 +1,77 @@
+// Shared HTTP client: which upstream failures are retried, and what a tool returns once it gives up
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ECHO_SERVER, openSession, signToken, startGateway } from './helpers/gateway.js';
+import { startUpstream } from './helpers/upstream.js';
+
+const unavailable = { status: 503, body: { message: 'Service unavailable' } };
+
+describe('http client retries', () => {
+  let gateway;
+  let upstream;
+  let session;
+
+  before(async () => {
+    upstream = await startUpstream({
+      '/flaky': [unavailable, unavailable, { status: 200, body: { ok: true } }],
+      '/down': [unavailable],
+      '/create': [{ status: 500, body: { message: 'Internal error' } }],
+      '/throttled': [{ status: 429, headers: { 'Retry-After': '1' } }, { status: 201, body: { id: 'created' } }],
+      '/quota': [{ status: 429, headers: { 'Retry-After': '3600' }, body: { message: 'Daily quota reached' } }],
+      '/invalid': [{ status: 400, body: { message: 'Missing domain' } }]
+    });
+    gateway = await startGateway({ servers: { echo: ECHO_SERVER } }, { env: { ECHO_UPSTREAM_URL: upstream.url } });
+    session = await openSession(gateway.url, 'echo', {
+      token: signToken({ serverId: 'srv-1', serverName: 'echo', userId: 'user-1', apiKey: 'echo-key' })
+    });
+  });
+
+  after(async () => {
+    await gateway?.stop();
+    await upstream?.close();
+  });
+
+  test('retries a GET on 5xx until it succeeds', async () => {
+    const result = await session.callTool('echo-fetch', { method: 'GET', path: '/flaky' });
+    assert.equal(result.isError, undefined);
+    assert.deepEqual(result.structuredContent, { status: 200, data: { ok: true } });
+    assert.equal(upstream.hits['/flaky'], 3);
+  });
+
+  test('gives up after the last retry with the provider message', async () => {
+    const result = await session.callTool('echo-fetch', { method: 'GET', path: '/down' });
+    assert.equal(result.isError, true);
+    assert.equal(result.structuredContent.error.code, 'UPSTREAM_UNAVAILABLE');
+    assert.equal(result.structuredContent.error.status, 503);
+    assert.match(result.structuredContent.error.message, /Service unavailable/);
+    assert.equal(upstream.hits['/down'], 4);
+  });
+
+  test("doesn't retry a POST on 5xx", async () => {
+    const result = await session.callTool('echo-fetch', { method: 'POST', path: '/create' });
+    assert.equal(result.structuredContent.error.code, 'UPSTREAM_UNAVAILABLE');
+    assert.equal(upstream.hits['/create'], 1);
+  });
+
+  test('retries a POST on 429 after Retry-After', async () => {
+    const startedAt = Date.now();
+    const result = await session.callTool('echo-fetch', { method: 'POST', path: '/throttled' });
+    assert.deepEqual(result.structuredContent, { status: 201, data: { id: 'created' } });
+    assert.equal(upstream.hits['/throttled'], 2);
+    assert.ok(Date.now() - startedAt >= 1000);
+  });
+
+  test("doesn't wait out a Retry-After longer than the client's longest delay", async () => {
+    const result = await session.callTool('echo-fetch', { method: 'GET', path: '/quota' });
+    assert.equal(result.structuredContent.error.code, 'QUOTA_EXHAUSTED');
+    assert.equal(result.structuredContent.error.retryAfter, 3600);
+    assert.equal(upstream.hits['/quota'], 1);
+  });
+
+  test("doesn't retry a 4xx", async () => {
+    const result = await session.callTool('echo-fetch', { method: 'GET', path: '/invalid' });
+    assert.equal(result.structuredContent.error.code, 'VALIDATION_ERROR');
+    assert.match(result.structuredContent.error.message, /Missing domain/);
+    assert.equal(upstream.hits['/invalid'], 1);
+  });
+});
@@ -0,0 +1,96 @@
+// Idempotency keys: repeats of a call get the first result instead of reaching the provider again
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ECHO_SERVER, openSession, signToken, startGateway } from './helpers/gateway.js';
+import { startUpstream } from './helpers/upstream.js';
+
+const sessionFor = (url, userId) => openSession(url, 'echo', {
+  token: signToken({ serverId: 'srv-1', serverName: 'echo', userId, apiKey: 'echo-key' })
+});
+
+// POST to the upstream through echo-fetch, with the key in the request's _meta
+async function createWithKey(session, idempotencyKey, path) {
+  const { status, body } = await session.request('tools/call', {
+    name: 'echo-fetch',
+    arguments: { method: 'POST', path },
+    _meta: { idempotencyKey }
+  });
+  assert.equal(status, 200);
+  return body.result;
+}
+
+describe('idempotency keys', () => {
+  let gateway;
+  let upstream;
+  let session;
+
+  before(async () => {
+    upstream = await startUpstream({
+      '/contacts': [{ status: 201, body: { id: 'contact-1' } }],
+      '/slow': [{ status: 201, body: { id: 'slow-1' }, delayMs: 500 }],
+      '/flaky': [{ status: 500, body: { message: 'Internal error' } }, { status: 201, body: { id: 'flaky-1' } }]
+    });
+    gateway = await startGateway({ servers: { echo: ECHO_SERVER } }, { env: { ECHO_UPSTREAM_URL: upstream.url } });
+    session = await sessionFor(gateway.url, 'user-1');
+  });
+
+  after(async () => {
+    await gateway?.stop();
+    await upstream?.close();
+  });
+
+  test('a repeat with the same key replays the first result without calling the provider', async () => {
+    const first = await createWithKey(session, 'key-1', '/contacts');
+    assert.deepEqual(first.structuredContent, { status: 201, data: { id: 'contact-1' } });
+    assert.equal(first._meta?.idempotentReplay, undefined);
+
+    const repeat = await createWithKey(session, 'key-1', '/contacts');
+    assert.deepEqual(repeat.structuredContent, first.structuredContent);
+    assert.equal(repeat._meta.idempotentReplay, true);
+    assert.equal(upstream.hits['/contacts'], 1);
+  });
+
+  test('the same key from another session of the user replays too, but not for another user', async () => {
+    await createWithKey(session, 'key-2', '/contacts');
+    const hits = upstream.hits['/contacts'];
+
+    const otherSession = await sessionFor(gateway.url, 'user-1');
+    assert.equal((await createWithKey(otherSession, 'key-2', '/contacts'))._meta.idempotentReplay, true);
+    assert.equal(upstream.hits['/contacts'], hits);
+
+    const otherUser = await sessionFor(gateway.url, 'user-2');
+    assert.equal((await createWithKey(otherUser, 'key-2', '/contacts'))._meta?.idempotentReplay, undefined);
+    assert.equal(upstream.hits['/contacts'], hits + 1);
+  });
+
+  test('reusing a key with other arguments returns IDEMPOTENCY_CONFLICT', async () => {
+    await createWithKey(session, 'key-3', '/contacts');
+    const hits = upstream.hits['/contacts'];
+
+    const conflict = await createWithKey(session, 'key-3', '/other-contacts');
+    assert.equal(conflict.isError, true);
+    assert.equal(conflict.structuredContent.error.code, 'IDEMPOTENCY_CONFLICT');
+    assert.equal(upstream.hits['/other-contacts'], undefined);
+    assert.equal(upstream.hits['/contacts'], hits);
+  });
+
+  test('a repeat arriving while the first call runs waits for its result', async () => {
+    const [first, repeat] = await Promise.all([
+      createWithKey(session, 'key-4', '/slow'),
+      new Promise(resolve => setTimeout(resolve, 100)).then(() => createWithKey(session, 'key-4', '/slow'))
+    ]);
+    assert.deepEqual(repeat.structuredContent, first.structuredContent);
+    assert.equal(repeat._meta.idempotentReplay, true);
+    assert.equal(upstream.hits['/slow'], 1);
+  });
+
+  test('a failed call is not kept, so it can be retried with the same key', async () => {
+    const failed = await createWithKey(session, 'key-5', '/flaky');
+    assert.equal(failed.isError, true);
+
+    const retried = await createWithKey(session, 'key-5', '/flaky');
+    assert.deepEqual(retried.structuredContent, { status: 201, data: { id: 'flaky-1' } });
+    assert.equal(retried._meta?.idempotentReplay, undefined);
+    assert.equal(upstream.hits['/flaky'], 2);
+  });
+});
@@ -0,0 +1,123 @@
+// OAuth access-token refresh: where refresh requests go and where refreshed tokens end up
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import http from 'node:http';
+import path from 'node:path';
+import { ECHO_SERVER, openSession, signToken, startGateway } from './helpers/gateway.js';
+
+// OAuth token endpoint that hands out numbered access tokens and rotates refresh tokens
+async function startTokenServer() {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const params = Object.fromEntries(new URLSearchParams(body));
+      requests.push(params);
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({
+        access_token: `fresh-${requests.length}`,
+        refresh_token: `rotated-${requests.length}`,
+        expires_in: 3600
+      }));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}/token`,
+    requests,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+describe('OAuth refresh', () => {
+  let gateway;
+  let trusted;
+  let untrusted;
+  let vaultFile;
+
+  before(async () => {
+    trusted = await startTokenServer();
+    untrusted = await startTokenServer();
+    gateway = await startGateway({
+      servers: {
+        echo: { ...ECHO_SERVER, oauth: { tokenUrl: trusted.url, clientId: 'gateway-client', clientSecret: 'gateway-secret' } }
+      },
+      global: { credentials: { provider: 'vault', vault_file: './vault.json', cache_ttl_ms: 60000 } }
+    });
+    vaultFile = path.join(gateway.dir, 'vault.json');
+  });
+
+  after(async () => {
+    await gateway?.stop();
+    await trusted?.close();
+    await untrusted?.close();
+  });
+
+  test('sends the gateway client secret only to the configured token URL', async () => {
+    const token = signToken({
+      serverId: 'srv-1',
+      serverName: 'echo',
+      userId: 'user-1',
+      accessToken: 'expired-token',
+      refreshToken: 'refresh-1',
+      expiresAt: Date.now() - 1000,
+      tokenUrl: untrusted.url
+    });
+    const session = await openSession(gateway.url, 'echo', { token });
+
+    const result = await session.callTool('echo-whoami');
+    assert.equal(result.structuredContent.apiKey, 'fresh-1');
+    assert.equal(untrusted.requests.length, 0);
+    assert.equal(trusted.requests.length, 1);
+    assert.equal(trusted.requests[0].refresh_token, 'refresh-1');
+    assert.equal(trusted.requests[0].client_secret, 'gateway-secret');
+    await session.close();
+  });
+
+  test('uses a token URL that comes with its own client credentials', async () => {
+    const token = signToken({
+      serverId: 'srv-1',
+      serverName: 'echo',
+      userId: 'user-1',
+      accessToken: 'expired-token',
+      refreshToken: 'refresh-2',
+      expiresAt: Date.now() - 1000,
+      tokenUrl: untrusted.url,
+      clientId: 'own-client',
+      clientSecret: 'own-secret'
+    });
+    const session = await openSession(gateway.url, 'echo', { token });
+
+    await session.callTool('echo-whoami');
+    assert.equal(untrusted.requests.length, 1);
+    assert.equal(untrusted.requests[0].client_secret, 'own-secret');
+    await session.close();
+  });
+
+  test('writes refreshed and rotated tokens back to the connection', async () => {
+    await fs.writeFile(vaultFile, JSON.stringify({
+      users: { 'user-2': { echo: { access_token: 'expired-token', refresh_token: 'refresh-3', expires_at: Date.now() - 1000 } } }
+    }));
+    const token = signToken({ serverId: 'srv-1', serverName: 'echo', userId: 'user-2', connection: 'echo' });
+    const refreshesBefore = trusted.requests.length;
+
+    const first = await openSession(gateway.url, 'echo', { token });
+    const refreshed = (await first.callTool('echo-whoami')).structuredContent.apiKey;
+    assert.equal(trusted.requests.length, refreshesBefore + 1);
+    assert.equal(trusted.requests.at(-1).refresh_token, 'refresh-3');
+
+    const stored = JSON.parse(await fs.readFile(vaultFile, 'utf8')).users['user-2'].echo;
+    assert.equal(stored.access_token, refreshed);
+    assert.equal(stored.refresh_token, `rotated-${trusted.requests.length}`);
+    assert.ok(stored.expires_at > Date.now());
+    await first.close();
+
+    // A later session starts from the stored token instead of spending the rotated-out refresh token
+    const second = await openSession(gateway.url, 'echo', { token });
+    assert.equal((await second.callTool('echo-whoami')).structuredContent.apiKey, refreshed);
+    assert.equal(trusted.requests.length, refreshesBefore + 1);
+    await second.close();
+  });
+});
@@ -0,0 +1,85 @@
+// Rate limits: per-tool, per-server and per-user limits on tool calls, and what an over-limit call returns
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ECHO_SERVER, openSession, signToken, startGateway } from './helpers/gateway.js';
+
+const MINUTE = 60 * 1000;
+
+const sessionFor = (url, serverName, userId) => openSession(url, serverName, {
+  token: signToken({ serverId: 'srv-1', serverName, userId, apiKey: 'echo-key' })
+});
+
+describe('rate limits', () => {
+  let gateway;
+
+  before(async () => {
+    gateway = await startGateway({
+      servers: {
+        echo: { ...ECHO_SERVER, rateLimits: { perTool: { 'echo-whoami': { limit: 2, windowMs: MINUTE } } } },
+        shared: { ...ECHO_SERVER, rateLimits: { perServer: { limit: 2, windowMs: MINUTE } } },
+        quota: { ...ECHO_SERVER }
+      },
+      global: { rate_limits: { per_user: { limit: 3, window_ms: MINUTE } } }
+    });
+  });
+
+  after(async () => {
+    await gateway?.stop();
+  });
+
+  test('a per-tool limit applies to each user and only to that tool', async () => {
+    const session = await sessionFor(gateway.url, 'echo', 'tool-user-1');
+    assert.equal((await session.callTool('echo-whoami')).isError, undefined);
+    assert.equal((await session.callTool('echo-whoami')).isError, undefined);
+
+    const limited = await session.callTool('echo-whoami');
+    assert.equal(limited.isError, true);
+    assert.equal(limited.structuredContent.error.code, 'RATE_LIMITED');
+    assert.equal(limited.structuredContent.error.scope, 'tool echo-whoami');
+    assert.equal(limited.structuredContent.error.limit, 2);
+    assert.equal(limited.structuredContent.error.windowMs, MINUTE);
+    assert.ok(limited.structuredContent.error.retryAfter > 0);
+
+    const otherTool = await session.callTool('echo-send', { to: 'someone@example.com', text: 'hello' });
+    assert.match(otherTool.content[0].text, /Sent to someone@example.com/);
+
+    const otherUser = await sessionFor(gateway.url, 'echo', 'tool-user-2');
+    assert.equal((await otherUser.callTool('echo-whoami')).structuredContent.userId, 'tool-user-2');
+  });
+
+  test('a per-server limit is shared by all users of the server', async () => {
+    const first = await sessionFor(gateway.url, 'shared', 'server-user-1');
+    const second = await sessionFor(gateway.url, 'shared', 'server-user-2');
+    assert.equal((await first.callTool('echo-whoami')).isError, undefined);
+    assert.equal((await second.callTool('echo-whoami')).isError, undefined);
+
+    const limited = await second.callTool('echo-whoami');
+    assert.equal(limited.structuredContent.error.code, 'RATE_LIMITED');
+    assert.equal(limited.structuredContent.error.scope, 'server shared');
+  });
+
+  test('the global per-user limit counts calls across servers', async () => {
+    const echo = await sessionFor(gateway.url, 'echo', 'global-user');
+    const quota = await sessionFor(gateway.url, 'quota', 'global-user');
+    await echo.callTool('echo-whoami');
+    await quota.callTool('echo-whoami');
+    await quota.callTool('echo-whoami');
+
+    const limited = await echo.callTool('echo-send', { to: 'someone@example.com', text: 'hello' });
+    assert.equal(limited.structuredContent.error.code, 'RATE_LIMITED');
+    assert.equal(limited.structuredContent.error.scope, 'user global-user');
+  });
+
+  test("rejected calls don't count against the limit", async () => {
+    const session = await sessionFor(gateway.url, 'echo', 'retry-user');
+    await session.callTool('echo-whoami');
+    await session.callTool('echo-whoami');
+    for (let attempt = 0; attempt < 3; attempt++) {
+      assert.equal((await session.callTool('echo-whoami')).structuredContent.error.code, 'RATE_LIMITED');
+    }
+
+    // Only the two calls that ran count toward the global limit of 3
+    const send = await session.callTool('echo-send', { to: 'someone@example.com', text: 'hello' });
+    assert.match(send.content[0].text, /Sent to someone@example.com/);
+  });
+});
@@ -0,0 +1,101 @@
+// Response cache: repeated read-only lookups are answered from the cache instead of the provider
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ECHO_SERVER, openSession, signToken, startGateway } from './helpers/gateway.js';
+import { startUpstream } from './helpers/upstream.js';
+
+const sessionFor = (url, userId, apiKey = 'echo-key') => openSession(url, 'echo', {
+  token: signToken({ serverId: 'srv-1', serverName: 'echo', userId, apiKey })
+});
+
+async function lookup(session, args, meta) {
+  const { status, body } = await session.request('tools/call', {
+    name: 'echo-lookup',
+    arguments: args,
+    ...(meta && { _meta: meta })
+  });
+  assert.equal(status, 200);
+  return body.result;
+}
+
+describe('response cache', () => {
+  let gateway;
+  let upstream;
+
+  before(async () => {
+    upstream = await startUpstream({
+      '/lookup/failing.com': [{ status: 404, body: { message: 'Unknown domain' } }, { status: 200, body: { found: true } }]
+    });
+    gateway = await startGateway({
+      servers: {
+        echo: { ...ECHO_SERVER, rateLimits: { perTool: { 'echo-lookup': { limit: 2, windowMs: 60 * 1000 } } } }
+      },
+      global: { response_cache: { tools: { 'echo-*': 60 * 1000 } } }
+    }, { env: { ECHO_UPSTREAM_URL: upstream.url } });
+  });
+
+  after(async () => {
+    await gateway?.stop();
+    await upstream?.close();
+  });
+
+  test('a repeat with the same credential and arguments in any order is served from the cache', async () => {
+    const first = await lookup(await sessionFor(gateway.url, 'user-1'), { domain: 'example.com', type: 'mx' });
+    assert.deepEqual(first.structuredContent, { data: { path: '/lookup/example.com?type=mx' } });
+    assert.equal(first._meta?.cachedAt, undefined);
+
+    // Another session and user, sharing the provider key
+    const repeat = await lookup(await sessionFor(gateway.url, 'user-2'), { type: 'mx', domain: 'example.com' });
+    assert.deepEqual(repeat.structuredContent, first.structuredContent);
+    assert.ok(!Number.isNaN(Date.parse(repeat._meta.cachedAt)));
+    assert.equal(upstream.hits['/lookup/example.com?type=mx'], 1);
+  });
+
+  test('callers with different credentials never share an entry', async () => {
+    await lookup(await sessionFor(gateway.url, 'user-3'), { domain: 'shared.com' });
+    const other = await lookup(await sessionFor(gateway.url, 'user-3', 'other-key'), { domain: 'shared.com' });
+    assert.equal(other._meta?.cachedAt, undefined);
+    assert.equal(upstream.hits['/lookup/shared.com'], 2);
+  });
+
+  test('cacheBypass skips the lookup and refreshes the entry', async () => {
+    const session = await sessionFor(gateway.url, 'user-4');
+    await lookup(session, { domain: 'bypass.com' });
+
+    const bypassed = await lookup(session, { domain: 'bypass.com' }, { cacheBypass: true });
+    assert.equal(bypassed._meta?.cachedAt, undefined);
+    assert.equal(upstream.hits['/lookup/bypass.com'], 2);
+
+    assert.ok((await lookup(session, { domain: 'bypass.com' }))._meta.cachedAt);
+    assert.equal(upstream.hits['/lookup/bypass.com'], 2);
+  });
+
+  test('hits are not counted against rate limits', async () => {
+    const session = await sessionFor(gateway.url, 'user-5');
+    await lookup(session, { domain: 'limited.com' });
+    for (let repeat = 0; repeat < 3; repeat++) {
+      assert.ok((await lookup(session, { domain: 'limited.com' }))._meta.cachedAt);
+    }
+
+    // The second call that reaches the provider is still within the limit of 2
+    assert.equal((await lookup(session, { domain: 'limited-too.com' })).isError, undefined);
+    assert.equal((await lookup(session, { domain: 'limited-three.com' })).structuredContent.error.code, 'RATE_LIMITED');
+  });
+
+  test('error results are not cached', async () => {
+    const session = await sessionFor(gateway.url, 'user-6');
+    assert.equal((await lookup(session, { domain: 'failing.com' })).structuredContent.error.code, 'NOT_FOUND');
+
+    const retried = await lookup(session, { domain: 'failing.com' });
+    assert.deepEqual(retried.structuredContent, { data: { found: true } });
+    assert.equal(upstream.hits['/lookup/failing.com'], 2);
+  });
+
+  test('tools not annotated read-only are never cached', async () => {
+    const session = await sessionFor(gateway.url, 'user-7');
+    await session.callTool('echo-fetch', { method: 'GET', path: '/records' });
+    const repeat = await session.callTool('echo-fetch', { method: 'GET', path: '/records' });
+    assert.equal(repeat._meta?.cachedAt, undefined);
+    assert.equal(upstream.hits['/records'], 2);
+  });
+});
@@ -0,0 +1,75 @@
+// Token revocation: revoked tokens can't open sessions, and revoking ends what they already started
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ADMIN_API_KEY, API_KEYS, ECHO_SERVER, openSession, requestJson, signToken, startGateway } from './helpers/gateway.js';
+
+const asAdmin = body => ({ headers: { 'x-admin-key': ADMIN_API_KEY }, body });
+const asCaller = { headers: { 'x-api-key': API_KEYS.alpha } };
+
+const tokenFor = (userId, jti, claims = {}) => signToken(
+  { serverId: 'srv-1', serverName: 'echo', userId, apiKey: 'echo-key', ...claims },
+  { jwtid: jti }
+);
+
+async function parkCall(session) {
+  const result = await session.callTool('echo-send', { to: 'someone@example.com', text: 'hello' });
+  assert.equal(result.structuredContent.error.code, 'APPROVAL_REQUIRED');
+  return result.structuredContent.approval.token;
+}
+
+describe('revocation', () => {
+  let gateway;
+
+  before(async () => {
+    gateway = await startGateway({
+      servers: { echo: ECHO_SERVER },
+      global: { approvals: { tools: ['echo-send'], elicitation: false } }
+    });
+  });
+
+  after(async () => {
+    await gateway?.stop();
+  });
+
+  test('revoking a jti closes its sessions and refuses the token', async () => {
+    const token = tokenFor('user-1', 'jti-1');
+    const session = await openSession(gateway.url, 'echo', { token });
+
+    const revoked = await requestJson(gateway.url, 'POST', '/admin/revocations', asAdmin({ jti: 'jti-1' }));
+    assert.equal(revoked.status, 201);
+    assert.deepEqual(revoked.body.terminatedSessions, [session.sessionId]);
+
+    await assert.rejects(openSession(gateway.url, 'echo', { token }), /403.*Token has been revoked/);
+  });
+
+  test('a call parked before its session closed does not run once the token is revoked', async () => {
+    const session = await openSession(gateway.url, 'echo', { token: tokenFor('user-2', 'jti-2') });
+    const confirmation = await parkCall(session);
+    await session.close();
+
+    await requestJson(gateway.url, 'POST', '/admin/revocations', asAdmin({ jti: 'jti-2' }));
+
+    const approved = await requestJson(gateway.url, 'POST', `/approvals/${confirmation}/approve`, asCaller);
+    assert.equal(approved.status, 200);
+    assert.equal(approved.body.result.isError, true);
+    assert.equal(approved.body.result.structuredContent.error.code, 'AUTH_FAILED');
+  });
+
+  test('revoking a user rejects their parked calls and accepts tokens issued afterwards', async () => {
+    const session = await openSession(gateway.url, 'echo', { token: tokenFor('user-3', 'jti-3') });
+    const confirmation = await parkCall(session);
+    await session.close();
+
+    const revoked = await requestJson(gateway.url, 'POST', '/admin/revocations', asAdmin({ userId: 'user-3' }));
+    assert.equal(revoked.status, 201);
+
+    const approved = await requestJson(gateway.url, 'POST', `/approvals/${confirmation}/approve`, asCaller);
+    assert.equal(approved.status, 404);
+
+    await assert.rejects(openSession(gateway.url, 'echo', { token: tokenFor('user-3', 'jti-4') }), /403/);
+    const reissued = tokenFor('user-3', 'jti-5', { iat: Math.floor(Date.now() / 1000) + 2 });
+    const fresh = await openSession(gateway.url, 'echo', { token: reissued });
+    assert.equal((await fresh.callTool('echo-whoami')).structuredContent.userId, 'user-3');
+    await fresh.close();
+  });
+});
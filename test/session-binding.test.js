@@ -0,0 +1,67 @@
+// Session binding: every request on a session must carry the Bearer token and API key that created it
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ADMIN_API_KEY, API_KEYS, ECHO_SERVER, openSession, requestJson, signToken, startGateway } from './helpers/gateway.js';
+
+const claims = { serverId: 'srv-1', serverName: 'echo', userId: 'user-1', apiKey: 'echo-key' };
+
+describe('session binding', () => {
+  let gateway;
+  let token;
+  let session;
+
+  before(async () => {
+    gateway = await startGateway({ servers: { echo: ECHO_SERVER } });
+    token = signToken(claims, { jwtid: 'bound-token' });
+    session = await openSession(gateway.url, 'echo', { token, apiKey: API_KEYS.alpha });
+  });
+
+  after(async () => {
+    await gateway?.stop();
+  });
+
+  test('accepts the credentials that created the session', async () => {
+    const { status, body } = await session.request('tools/list');
+    assert.equal(status, 200);
+    assert.ok(body.result.tools.some(tool => tool.name === 'echo-whoami'));
+  });
+
+  test('rejects another valid token for the same user', async () => {
+    const other = signToken(claims, { jwtid: 'other-token' });
+    const { status, body } = await session.request('tools/list', {}, { token: other, apiKey: API_KEYS.alpha });
+    assert.equal(status, 401);
+    assert.match(body.error.message, /Bearer token does not match the session/);
+  });
+
+  test("rejects another caller's API key", async () => {
+    const { status, body } = await session.request('tools/list', {}, { token, apiKey: API_KEYS.beta });
+    assert.equal(status, 401);
+    assert.match(body.error.message, /x-api-key does not match the session/);
+  });
+
+  test('rejects DELETE with other credentials and keeps the session', async () => {
+    const other = signToken(claims, { jwtid: 'other-token' });
+    const response = await fetch(`${gateway.url}/echo/mcp`, {
+      method: 'DELETE',
+      headers: { 'mcp-session-id': session.sessionId, 'x-api-key': API_KEYS.alpha, Authorization: `Bearer ${other}` }
+    });
+    await response.text();
+    assert.equal(response.status, 401);
+    assert.equal((await session.request('tools/list')).status, 200);
+  });
+
+  test('closes the session once its token expires', async () => {
+    const shortLived = signToken(claims, { expiresIn: 2 });
+    const { exp } = JSON.parse(Buffer.from(shortLived.split('.')[1], 'base64url'));
+    const expiring = await openSession(gateway.url, 'echo', { token: shortLived });
+    assert.equal((await expiring.request('tools/list')).status, 200);
+
+    await new Promise(resolve => setTimeout(resolve, exp * 1000 - Date.now() + 100));
+    const { status, body } = await expiring.request('tools/list');
+    assert.equal(status, 401);
+    assert.match(body.error.message, /Session token has expired/);
+
+    const live = await requestJson(gateway.url, 'GET', '/admin/sessions', { headers: { 'x-admin-key': ADMIN_API_KEY } });
+    assert.ok(!(live.body.servers.echo ?? []).some(entry => entry.sessionId === expiring.sessionId));
+  });
+});
@@ -0,0 +1,85 @@
+// Session stores: listing a user's sessions, which the per-user session cap counts across instances
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMemorySessionStore, createRedisSessionStore } from '../utils/session-store.js';
+
+// The ioredis commands the store uses, over in-memory maps, with expiry driven by the test
+function createFakeRedisClient() {
+  const values = new Map();
+  const sortedSets = new Map();
+  const ttls = new Map();
+
+  return {
+    values,
+    sortedSets,
+    ttls,
+    async get(key) { return values.get(key) ?? null; },
+    async mget(keys) { return keys.map(key => values.get(key) ?? null); },
+    async set(key, value) { values.set(key, value); },
+    async del(key) { values.delete(key); },
+    async zadd(key, score, member) {
+      if (!sortedSets.has(key)) {
+        sortedSets.set(key, new Map());
+      }
+      sortedSets.get(key).set(member, Number(score));
+    },
+    async zrange(key) {
+      return Array.from(sortedSets.get(key) ?? []).sort(([, a], [, b]) => a - b).map(([member]) => member);
+    },
+    async zrem(key, ...members) { members.forEach(member => sortedSets.get(key)?.delete(member)); },
+    async pttl(key) { return ttls.get(key) ?? -1; },
+    async pexpire(key, ttlMs) { ttls.set(key, ttlMs); }
+  };
+}
+
+const record = (sessionId, userId, createdAt) => ({ sessionId, userId, serverName: 'echo', createdAt, lastActive: createdAt });
+
+describe('redis session store', () => {
+  test("lists a user's sessions written by any instance, oldest first", async () => {
+    const client = createFakeRedisClient();
+    const instanceA = createRedisSessionStore({ client });
+    const instanceB = createRedisSessionStore({ client });
+
+    await instanceB.set('s2', record('s2', 'user-1', 2000), 60000);
+    await instanceA.set('s1', record('s1', 'user-1', 1000), 60000);
+    await instanceA.set('s3', record('s3', 'user-2', 3000), 60000);
+
+    assert.deepEqual((await instanceA.listByUser('user-1')).map(session => session.sessionId), ['s1', 's2']);
+    assert.deepEqual((await instanceB.listByUser('user-2')).map(session => session.sessionId), ['s3']);
+  });
+
+  test('drops deleted and expired sessions from the index', async () => {
+    const client = createFakeRedisClient();
+    const store = createRedisSessionStore({ client });
+    await store.set('s1', record('s1', 'user-1', 1000), 60000);
+    await store.set('s2', record('s2', 'user-1', 2000), 60000);
+    await store.set('s3', record('s3', 'user-1', 3000), 60000);
+
+    await store.delete('s1');
+    client.values.delete('mcp:session:s2'); // expired in Redis
+
+    assert.deepEqual((await store.listByUser('user-1')).map(session => session.sessionId), ['s3']);
+    assert.deepEqual(Array.from(client.sortedSets.get('mcp:session:user:user-1').keys()), ['s3']);
+  });
+
+  test("keeps the index as long as the user's longest-lived session", async () => {
+    const client = createFakeRedisClient();
+    const store = createRedisSessionStore({ client });
+    await store.set('s1', record('s1', 'user-1', 1000), 600000);
+    await store.set('s2', record('s2', 'user-1', 2000), 60000);
+
+    assert.equal(client.ttls.get('mcp:session:user:user-1'), 600000);
+  });
+});
+
+describe('memory session store', () => {
+  test("lists a user's unexpired sessions", async () => {
+    const store = createMemorySessionStore();
+    await store.set('s1', record('s1', 'user-1', 1000), 60000);
+    await store.set('s2', record('s2', 'user-1', 2000), -1);
+    await store.set('s3', record('s3', 'user-2', 3000), 60000);
+
+    assert.deepEqual((await store.listByUser('user-1')).map(session => session.sessionId), ['s1']);
+    await store.close();
+  });
+});
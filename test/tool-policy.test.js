@@ -0,0 +1,81 @@
+// Tool policy: allow and deny lists from server.json and the JWT decide which tools a session sees and can call
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { ADMIN_API_KEY, ECHO_SERVER, openSession, requestJson, signToken, startGateway } from './helpers/gateway.js';
+
+const sessionFor = (url, serverName, userId, claims = {}) => openSession(url, serverName, {
+  token: signToken({ serverId: 'srv-1', serverName, userId, apiKey: 'echo-key', ...claims })
+});
+
+async function listToolNames(session) {
+  const { body } = await session.request('tools/list');
+  return body.result.tools.map(tool => tool.name).sort();
+}
+
+describe('tool policy', () => {
+  let gateway;
+  const config = {
+    servers: {
+      echo: ECHO_SERVER,
+      guarded: { ...ECHO_SERVER, toolPolicy: { deny: ['echo-send'] } }
+    },
+    global: {
+      tool_policy: {
+        deny: ['*-fetch'],
+        users: { 'whoami-only': { allow: ['echo-who*'] }, nobody: { allow: [] } }
+      }
+    }
+  };
+
+  before(async () => {
+    gateway = await startGateway(config);
+  });
+
+  after(async () => {
+    await gateway?.stop();
+  });
+
+  test('global and per-server deny lists hide matching tools', async () => {
+    assert.deepEqual(await listToolNames(await sessionFor(gateway.url, 'echo', 'user-1')), ['echo-lookup', 'echo-send', 'echo-whoami']);
+    assert.deepEqual(await listToolNames(await sessionFor(gateway.url, 'guarded', 'user-1')), ['echo-lookup', 'echo-whoami']);
+  });
+
+  test('a per-user allow list limits that user only, and an empty one allows nothing', async () => {
+    assert.deepEqual(await listToolNames(await sessionFor(gateway.url, 'echo', 'whoami-only')), ['echo-whoami']);
+    assert.deepEqual(await listToolNames(await sessionFor(gateway.url, 'echo', 'nobody')), []);
+  });
+
+  test('allowedTools, deniedTools and scopes in the token narrow the session further', async () => {
+    const allowed = await sessionFor(gateway.url, 'echo', 'user-1', { allowedTools: ['echo-send', 'echo-fetch'] });
+    assert.deepEqual(await listToolNames(allowed), ['echo-send']);
+
+    const denied = await sessionFor(gateway.url, 'echo', 'user-1', { deniedTools: ['echo-whoami'] });
+    assert.deepEqual(await listToolNames(denied), ['echo-lookup', 'echo-send']);
+
+    const scoped = await sessionFor(gateway.url, 'echo', 'user-1', { scopes: 'echo-whoami' });
+    assert.deepEqual(await listToolNames(scoped), ['echo-whoami']);
+  });
+
+  test('a read-only token only sees read-only tools', async () => {
+    const readOnly = await sessionFor(gateway.url, 'echo', 'user-1', { readOnly: true });
+    assert.deepEqual(await listToolNames(readOnly), ['echo-lookup', 'echo-whoami']);
+  });
+
+  test('a call the policy denied after the session started returns TOOL_NOT_ALLOWED', async () => {
+    const session = await sessionFor(gateway.url, 'echo', 'user-1');
+    assert.match((await session.callTool('echo-send', { to: 'someone@example.com', text: 'hello' })).content[0].text, /Sent to/);
+
+    const tightened = structuredClone(config);
+    tightened.global.tool_policy.deny.push('echo-send');
+    await fs.writeFile(path.join(gateway.dir, 'server.json'), JSON.stringify(tightened, null, 2));
+    const reloaded = await requestJson(gateway.url, 'POST', '/admin/reload', { headers: { 'x-admin-key': ADMIN_API_KEY } });
+    assert.equal(reloaded.status, 200);
+
+    const result = await session.callTool('echo-send', { to: 'someone@example.com', text: 'hello' });
+    assert.equal(result.isError, true);
+    assert.equal(result.structuredContent.error.code, 'TOOL_NOT_ALLOWED');
+    assert.match(result.structuredContent.error.message, /Tool echo-send is not allowed for this session/);
+  });
+});
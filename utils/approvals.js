@@ -0,0 +1,248 @@
+// Human approval for outbound tools: calls are parked as pending actions until approved, rejected or expired
+import { randomBytes, randomUUID } from 'node:crypto';
+import { log } from '../multi-mcp-server-simple.js';
+import { redactCredentials } from './logger.js';
+import { matchesToolPattern } from './tool-policy.js';
+
+/**
+ * In approval mode a call to one of the listed tools doesn't run. The client is asked
+ * through MCP elicitation when it supports it; otherwise the call is parked and the tool
+ * returns an APPROVAL_REQUIRED result carrying a preview and a confirmation token, which
+ * is then approved or rejected through the /approvals API. Configured in server.json
+ * (APPROVAL_MODE=true turns it on with the defaults):
+ *
+ * "global": {
+ *   "approvals": {
+ *     "tools": ["gmail-send-*", "slack-send-message"], // default DEFAULT_APPROVAL_TOOLS, "*" globs
+ *     "ttl_ms": 900000,                                 // pending actions expire after this
+ *     "elicitation": true                               // ask clients that support elicitation
+ *   }
+ * }
+ *
+ * Pending actions live in memory, so they must be approved on the instance that parked them,
+ * and only by the caller (the named server API key) whose session parked them.
+ */
+
+export const DEFAULT_APPROVAL_TOOLS = [
+  'gmail-send-message',
+  'gmail-send-draft',
+  'send-email',
+  'slack-send-message',
+  'smartlead-reply-to-lead-from-master-inbox'
+];
+
+const DEFAULT_TTL_MS = 15 * 60 * 1000;
+const PREVIEW_VALUE_LENGTH = 200;
+
+let settings = null; // { tools, ttlMs, elicitation }, or null when approval mode is off
+
+const pendingActions = new Map(); // confirmation token -> action
+
+export function initApprovals(approvalsConfig) {
+  const enabled = process.env.APPROVAL_MODE === 'true' || (approvalsConfig && approvalsConfig.enabled !== false);
+  settings = enabled
+    ? {
+      tools: approvalsConfig?.tools ?? DEFAULT_APPROVAL_TOOLS,
+      ttlMs: approvalsConfig?.ttl_ms ?? DEFAULT_TTL_MS,
+      elicitation: approvalsConfig?.elicitation !== false
+    }
+    : null;
+  return settings;
+}
+
+export function requiresApproval(toolName) {
+  return settings !== null && matchesToolPattern(settings.tools, toolName);
+}
+
+export function isElicitationEnabled() {
+  return settings?.elicitation === true;
+}
+
+export function getApprovalTtlMs() {
+  return settings?.ttlMs ?? DEFAULT_TTL_MS;
+}
+
+/**
+ * What the approver sees: the arguments with credentials masked (message bodies stay readable,
+ * it's what is being approved), and a text rendering with one line per argument.
+ */
+export function createActionPreview(serverName, toolName, args = {}) {
+  const safeArgs = redactCredentials(args);
+  const lines = Object.entries(safeArgs).map(([key, value]) => {
+    const text = typeof value === 'string' ? value : JSON.stringify(value);
+    return `${key}: ${text.length > PREVIEW_VALUE_LENGTH ? `${text.slice(0, PREVIEW_VALUE_LENGTH)}...` : text}`;
+  });
+
+  return {
+    server: serverName,
+    tool: toolName,
+    arguments: safeArgs,
+    text: [`${serverName} / ${toolName}`, ...lines].join('\n')
+  };
+}
+
+// The public view of an action, without its callbacks
+export function describePendingAction(action) {
+  return {
+    id: action.id,
+    token: action.token,
+    serverName: action.serverName,
+    tool: action.toolName,
+    userId: action.userId,
+    sessionId: action.sessionId,
+    caller: action.caller,
+    preview: action.preview,
+    createdAt: new Date(action.createdAt).toISOString(),
+    expiresAt: new Date(action.expiresAt).toISOString()
+  };
+}
+
+// An action is invisible to every caller but the one whose session parked it
+function findPendingAction(token, caller) {
+  const action = pendingActions.get(token);
+  if (!action) {
+    return null;
+  }
+  if (action.caller !== caller) {
+    log.warn('APPROVALS', `Pending action ${action.id} requested by another caller`, { caller, userId: action.userId });
+    return null;
+  }
+  return action;
+}
+
+function takePendingAction(token, caller) {
+  const action = findPendingAction(token, caller);
+  if (!action) {
+    return null;
+  }
+  pendingActions.delete(token);
+  clearTimeout(action.timer);
+  return action;
+}
+
+async function cancelAction(action, outcome, reason) {
+  try {
+    await action.cancel?.(outcome, reason);
+  } catch (error) {
+    log.error('APPROVALS', `Failed to cancel pending action ${action.id}`, { error: error.message });
+  }
+}
+
+/**
+ * Park a tool call until it is approved, rejected or expires.
+ *
+ * @param {object} options
+ * @param {string} options.serverName
+ * @param {string} options.toolName
+ * @param {string} options.userId
+ * @param {string} options.sessionId
+ * @param {string} options.caller - Name of the server API key that created the session
+ * @param {object} options.preview - From createActionPreview()
+ * @param {Function} options.execute - Runs the call once approved, resolving to the tool result
+ * @param {Function} [options.cancel] - Called with ('rejected', reason) or ('expired')
+ * @returns {object} The action; its token is the confirmation token
+ */
+export function createPendingAction({ serverName, toolName, userId, sessionId, caller, preview, execute, cancel }) {
+  const createdAt = Date.now();
+  const action = {
+    id: randomUUID(),
+    token: randomBytes(24).toString('base64url'),
+    serverName,
+    toolName,
+    userId,
+    sessionId,
+    caller,
+    preview,
+    createdAt,
+    expiresAt: createdAt + getApprovalTtlMs(),
+    execute,
+    cancel
+  };
+
+  action.timer = setTimeout(() => {
+    if (takePendingAction(action.token, caller)) {
+      log(serverName, `Pending action expired: ${toolName}`, { actionId: action.id, userId });
+      cancelAction(action, 'expired');
+    }
+  }, getApprovalTtlMs());
+  action.timer.unref();
+
+  pendingActions.set(action.token, action);
+  return action;
+}
+
+export function getPendingAction(token, caller) {
+  return findPendingAction(token, caller);
+}
+
+export function listPendingActions({ caller, userId } = {}) {
+  return Array.from(pendingActions.values())
+    .filter(action => action.caller === caller && (!userId || action.userId === userId));
+}
+
+/**
+ * Run a parked call. Returns null when the token is unknown, already expired or another caller's.
+ *
+ * @returns {Promise<{action: object, result: object}|null>}
+ */
+export async function approvePendingAction(token, caller) {
+  const action = takePendingAction(token, caller);
+  if (!action) {
+    return null;
+  }
+  log(action.serverName, `Pending action approved: ${action.toolName}`, { actionId: action.id, userId: action.userId });
+  return { action, result: await action.execute() };
+}
+
+async function rejectAction(action, reason) {
+  log(action.serverName, `Pending action rejected: ${action.toolName}`, { actionId: action.id, userId: action.userId, reason });
+  await cancelAction(action, 'rejected', reason);
+}
+
+// Drop a parked call without running it. Returns the action, or null when the token is unknown.
+export async function rejectPendingAction(token, caller, reason) {
+  const action = takePendingAction(token, caller);
+  if (!action) {
+    return null;
+  }
+  await rejectAction(action, reason);
+  return action;
+}
+
+/**
+ * Drop every parked call of a session or user, e.g. when the session is terminated or the
+ * user's tokens are revoked, so nobody can approve it afterwards.
+ *
+ * @param {{sessionId?: string, userId?: string}} filter - At least one of them
+ * @param {string} [reason]
+ * @returns {Promise<object[]>} The rejected actions
+ */
+export async function rejectPendingActions({ sessionId, userId }, reason) {
+  if (!sessionId && !userId) {
+    throw new Error('rejectPendingActions needs a sessionId or userId');
+  }
+  const actions = Array.from(pendingActions.values()).filter(action =>
+    (!sessionId || action.sessionId === sessionId) && (!userId || action.userId === userId));
+
+  for (const action of actions) {
+    takePendingAction(action.token, action.caller);
+    await rejectAction(action, reason);
+  }
+  return actions;
+}
+
+export default {
+  DEFAULT_APPROVAL_TOOLS,
+  initApprovals,
+  requiresApproval,
+  isElicitationEnabled,
+  getApprovalTtlMs,
+  createActionPreview,
+  describePendingAction,
+  createPendingAction,
+  getPendingAction,
+  listPendingActions,
+  approvePendingAction,
+  rejectPendingAction,
+  rejectPendingActions
+};
@@ -0,0 +1,178 @@
+// Audit trail of tool calls: who called what, with which (redacted) arguments, and how it went
+import fs from 'fs';
+import path from 'path';
+import { AsyncLocalStorage } from 'node:async_hooks';
+import { log } from '../multi-mcp-server-simple.js';
+import { createSupabaseClient } from './supabase-client.js';
+
+/**
+ * Every tool call produces one entry:
+ *
+ * {
+ *   timestamp, requestId, sessionId, userId, serverName, serverId, tool,
+ *   arguments,                          // redacted like log data
+ *   outcome,                            // success, error, rate_limited, denied, pending_approval,
+ *                                       // rejected, expired, dry_run, replayed or cached
+ *   errorCode, durationMs, upstreamStatus
+ * }
+ *
+ * Configured in server.json; without it nothing is recorded:
+ *
+ * "global": {
+ *   "audit": {
+ *     "sinks": [
+ *       { "type": "stdout" },
+ *       { "type": "file", "path": "logs/audit.jsonl" },
+ *       { "type": "database", "table": "mcp_audit_log" }
+ *     ],
+ *     "tools": ["smartlead-delete-campaign", "gmail-send-message"]   // optional, default all tools
+ *   }
+ * }
+ *
+ * A custom sink only needs write(entry) => Promise.
+ */
+
+// Last upstream HTTP status seen while the tool call runs, reported by the HTTP client
+const callContext = new AsyncLocalStorage();
+
+let sinks = [];
+let auditedTools = null; // Set of tool names, or null for all
+
+// One JSON object per line on stdout, marked so log pipelines can route it separately
+export function createStdoutAuditSink() {
+  return {
+    type: 'stdout',
+    async write(entry) {
+      process.stdout.write(`${JSON.stringify({ logType: 'audit', ...entry })}\n`);
+    }
+  };
+}
+
+// Append-only JSONL file. Writes are chained so concurrent calls never interleave lines.
+export function createFileAuditSink({ path: filePath = 'logs/audit.jsonl' } = {}) {
+  let pending = fs.promises.mkdir(path.dirname(path.resolve(filePath)), { recursive: true });
+
+  return {
+    type: 'file',
+    write(entry) {
+      pending = pending
+        .catch(() => {})
+        .then(() => fs.promises.appendFile(filePath, `${JSON.stringify(entry)}\n`));
+      return pending;
+    }
+  };
+}
+
+/**
+ * Row per call in a Supabase table (meerkats schema), with snake_case columns:
+ * request_id, session_id, user_id, server_name, server_id, tool, arguments (jsonb),
+ * outcome, error_code, duration_ms, upstream_status, created_at.
+ */
+export function createDatabaseAuditSink({ client, table = 'mcp_audit_log' } = {}) {
+  let supabase = client;
+
+  return {
+    type: 'database',
+    async write(entry) {
+      supabase ??= await createSupabaseClient();
+      const { error } = await supabase.from(table).insert({
+        request_id: entry.requestId,
+        session_id: entry.sessionId,
+        user_id: entry.userId,
+        server_name: entry.serverName,
+        server_id: entry.serverId,
+        tool: entry.tool,
+        arguments: entry.arguments,
+        outcome: entry.outcome,
+        error_code: entry.errorCode,
+        duration_ms: entry.durationMs,
+        upstream_status: entry.upstreamStatus,
+        created_at: entry.timestamp
+      });
+      if (error) {
+        throw new Error(`Failed to insert audit entry: ${error.message}`);
+      }
+    }
+  };
+}
+
+const SINK_FACTORIES = {
+  stdout: createStdoutAuditSink,
+  file: createFileAuditSink,
+  database: createDatabaseAuditSink
+};
+
+export function initAudit(auditConfig = {}) {
+  sinks = (auditConfig.sinks || []).map(sinkConfig => {
+    const createSink = SINK_FACTORIES[sinkConfig.type];
+    if (!createSink) {
+      throw new Error(`Unknown audit sink type: ${sinkConfig.type}`);
+    }
+    return createSink(sinkConfig);
+  });
+  auditedTools = auditConfig.tools ? new Set(auditConfig.tools) : null;
+  return sinks.map(sink => sink.type);
+}
+
+export function addAuditSink(sink) {
+  if (!sink || typeof sink.write !== 'function') {
+    throw new Error('Audit sink must implement write(entry)');
+  }
+  sinks.push(sink);
+}
+
+export function isAuditEnabled(toolName) {
+  return sinks.length > 0 && (!auditedTools || auditedTools.has(toolName));
+}
+
+// Run a tool call with a slot for the upstream status
+export function runWithAuditContext(fn) {
+  return callContext.run({ upstreamStatus: null }, fn);
+}
+
+// Called by the HTTP client for every upstream response, so the entry carries the last one
+export function recordUpstreamStatus(status) {
+  const store = callContext.getStore();
+  if (store && status) {
+    store.upstreamStatus = status;
+  }
+}
+
+export function getUpstreamStatus() {
+  return callContext.getStore()?.upstreamStatus ?? null;
+}
+
+/**
+ * Write an entry to every sink. Sink failures are logged and never fail the tool call.
+ *
+ * @param {object} entry - See the entry shape above; timestamp is added here
+ */
+export async function recordToolCall(entry) {
+  if (!isAuditEnabled(entry.tool)) {
+    return;
+  }
+
+  const auditEntry = { timestamp: new Date().toISOString(), ...entry };
+  const results = await Promise.allSettled(sinks.map(sink => sink.write(auditEntry)));
+  results.forEach((result, index) => {
+    if (result.status === 'rejected') {
+      log.error('AUDIT', `Failed to write audit entry to ${sinks[index].type} sink`, {
+        tool: entry.tool,
+        error: result.reason?.message
+      });
+    }
+  });
+}
+
+export default {
+  createStdoutAuditSink,
+  createFileAuditSink,
+  createDatabaseAuditSink,
+  initAudit,
+  addAuditSink,
+  isAuditEnabled,
+  runWithAuditContext,
+  recordUpstreamStatus,
+  getUpstreamStatus,
+  recordToolCall
+};
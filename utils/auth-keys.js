@@ -0,0 +1,222 @@
+// Bearer token signing keys selected by kid, and named server-to-server API keys, so either can be rotated without downtime
+import fs from 'fs';
+import { createHash, createPublicKey, timingSafeEqual } from 'node:crypto';
+import jwt from 'jsonwebtoken';
+import { log } from '../multi-mcp-server-simple.js';
+
+/**
+ * Tokens pick their signing key with the kid header; tokens without a kid are verified with
+ * JWT_SECRET (HS256) as before. Each key accepts only its own algorithm. Configured in server.json:
+ *
+ * "global": {
+ *   "auth": {
+ *     "jwt_keys": [
+ *       { "kid": "2025-06", "alg": "HS256", "secret_env": "JWT_SECRET_2025_06" },
+ *       { "kid": "issuer-1", "alg": "RS256", "public_key_file": "keys/issuer-1.pem" }
+ *     ],
+ *     "jwks_file": "keys/jwks.json",     // RSA/EC public keys by kid, re-read when an unknown kid shows up
+ *     "api_keys": [
+ *       { "name": "app-backend", "key_env": "MCP_API_KEY_APP" },
+ *       { "name": "workflows", "key_sha256": "9f86d081884c7d65..." }
+ *     ]
+ *   }
+ * }
+ *
+ * MCP_API_KEY stays valid as the API key named "default", and MCP_API_KEYS="name:key,name:key"
+ * adds more from the environment. To rotate, add the new key next to the old one, move callers
+ * (or token issuers) over, then remove the old one; server.json changes apply on reload.
+ */
+
+const JWKS_REFRESH_INTERVAL_MS = 30 * 1000;
+
+const SECRET_ALGORITHMS = new Set(['HS256', 'HS384', 'HS512']);
+const PUBLIC_KEY_ALGORITHMS = new Set(['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512']);
+const EC_CURVE_ALGORITHMS = { prime256v1: 'ES256', secp384r1: 'ES384', secp521r1: 'ES512' };
+
+let jwtKeys = new Map(); // kid -> { alg, key }
+let jwksFile = null;
+let jwksKeys = new Map(); // kid -> { alg, key }, from jwks_file
+let jwksLoadedAt = 0;
+let apiKeys = []; // { name, digest }
+
+const sha256 = value => createHash('sha256').update(String(value)).digest();
+
+function defaultAlgorithm(publicKey) {
+  if (publicKey.asymmetricKeyType === 'ec') {
+    return EC_CURVE_ALGORITHMS[publicKey.asymmetricKeyDetails?.namedCurve];
+  }
+  return publicKey.asymmetricKeyType === 'rsa' ? 'RS256' : undefined;
+}
+
+function loadJwtKey({ kid, alg, secret_env: secretEnv, public_key_file: publicKeyFile, public_key_env: publicKeyEnv }) {
+  if (!kid) {
+    throw new Error('Every entry in auth.jwt_keys needs a kid');
+  }
+
+  if (secretEnv) {
+    const secret = process.env[secretEnv];
+    if (!secret) {
+      throw new Error(`${secretEnv} is not set (JWT key ${kid})`);
+    }
+    const algorithm = alg ?? 'HS256';
+    if (!SECRET_ALGORITHMS.has(algorithm)) {
+      throw new Error(`JWT key ${kid}: ${algorithm} can't be used with a shared secret`);
+    }
+    return { alg: algorithm, key: secret };
+  }
+
+  const pem = publicKeyFile ? fs.readFileSync(publicKeyFile, 'utf8') : process.env[publicKeyEnv];
+  if (!pem) {
+    throw new Error(`JWT key ${kid} needs secret_env, public_key_file or public_key_env`);
+  }
+  const key = createPublicKey(pem);
+  const algorithm = alg ?? defaultAlgorithm(key);
+  if (!PUBLIC_KEY_ALGORITHMS.has(algorithm)) {
+    throw new Error(`JWT key ${kid}: unsupported algorithm ${algorithm}`);
+  }
+  return { alg: algorithm, key };
+}
+
+// Public signing keys of a JWKS document; symmetric and encryption keys are skipped
+function loadJwks(filePath) {
+  const { keys = [] } = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const loaded = new Map();
+  for (const jwk of keys) {
+    if (!jwk.kid || jwk.use === 'enc' || !['RSA', 'EC'].includes(jwk.kty)) {
+      continue;
+    }
+    try {
+      const key = createPublicKey({ key: jwk, format: 'jwk' });
+      const alg = jwk.alg ?? defaultAlgorithm(key);
+      if (PUBLIC_KEY_ALGORITHMS.has(alg)) {
+        loaded.set(jwk.kid, { alg, key });
+      }
+    } catch (error) {
+      log.warn('AUTH', `Skipping JWKS key ${jwk.kid}`, { error: error.message });
+    }
+  }
+  return loaded;
+}
+
+function refreshJwks() {
+  if (!jwksFile || Date.now() - jwksLoadedAt < JWKS_REFRESH_INTERVAL_MS) {
+    return;
+  }
+  jwksLoadedAt = Date.now();
+  try {
+    jwksKeys = loadJwks(jwksFile);
+  } catch (error) {
+    log.warn('AUTH', `Failed to re-read ${jwksFile}, keeping the previous keys`, { error: error.message });
+  }
+}
+
+// "name:key,name:key" from MCP_API_KEYS
+function parseEnvApiKeys(value = '') {
+  return value.split(',').map(entry => entry.trim()).filter(Boolean).map(entry => {
+    const separator = entry.indexOf(':');
+    if (separator <= 0) {
+      throw new Error('MCP_API_KEYS entries must look like name:key');
+    }
+    return { name: entry.slice(0, separator), digest: sha256(entry.slice(separator + 1)) };
+  });
+}
+
+function loadApiKey({ name, key_env: keyEnv, key_sha256: keySha256 }) {
+  if (!name) {
+    throw new Error('Every entry in auth.api_keys needs a name');
+  }
+  if (keySha256) {
+    return { name, digest: Buffer.from(keySha256, 'hex') };
+  }
+  if (!process.env[keyEnv]) {
+    throw new Error(`${keyEnv || 'key_env'} is not set (API key ${name})`);
+  }
+  return { name, digest: sha256(process.env[keyEnv]) };
+}
+
+/**
+ * Load signing and API keys from the global auth config and the environment.
+ * Throws on a misconfigured key, leaving the previous keys in place.
+ *
+ * @returns {{ jwtKeys: string[], apiKeys: string[] }} Loaded kids and API key names
+ */
+export function initAuthKeys(authConfig = {}) {
+  const nextJwtKeys = new Map((authConfig.jwt_keys || []).map(entry => [entry.kid, loadJwtKey(entry)]));
+  const nextJwksKeys = authConfig.jwks_file ? loadJwks(authConfig.jwks_file) : new Map();
+  const nextApiKeys = [
+    ...(process.env.MCP_API_KEY ? [{ name: 'default', digest: sha256(process.env.MCP_API_KEY) }] : []),
+    ...parseEnvApiKeys(process.env.MCP_API_KEYS),
+    ...(authConfig.api_keys || []).map(loadApiKey)
+  ];
+
+  jwtKeys = nextJwtKeys;
+  jwksFile = authConfig.jwks_file || null;
+  jwksKeys = nextJwksKeys;
+  jwksLoadedAt = Date.now();
+  apiKeys = nextApiKeys;
+
+  return {
+    jwtKeys: [...jwtKeys.keys(), ...jwksKeys.keys()],
+    apiKeys: apiKeys.map(apiKey => apiKey.name)
+  };
+}
+
+function getSigningKey(kid) {
+  if (!kid) {
+    if (!process.env.JWT_SECRET) {
+      throw new Error('JWT_SECRET environment variable is required for tokens without a kid');
+    }
+    return { alg: 'HS256', key: process.env.JWT_SECRET };
+  }
+
+  if (!jwtKeys.has(kid) && !jwksKeys.has(kid)) {
+    refreshJwks();
+  }
+  const signingKey = jwtKeys.get(kid) ?? jwksKeys.get(kid);
+  if (!signingKey) {
+    throw new Error(`Unknown signing key: ${kid}`);
+  }
+  return signingKey;
+}
+
+/**
+ * Verify a Bearer token with the key named by its kid header.
+ *
+ * @param {string} token
+ * @returns {object} The decoded payload
+ * @throws {Error} When the key is unknown or the signature, algorithm or expiry doesn't check out
+ */
+export function verifyBearerJwt(token) {
+  const header = jwt.decode(token, { complete: true })?.header;
+  if (!header) {
+    throw new Error('jwt malformed');
+  }
+  const { alg, key } = getSigningKey(header.kid);
+  return jwt.verify(token, key, { algorithms: [alg] });
+}
+
+export function hasApiKeys() {
+  return apiKeys.length > 0;
+}
+
+/**
+ * Name of the server-to-server API key matching the given one, or null.
+ * Every configured key is compared, in constant time.
+ */
+export function matchApiKey(candidate) {
+  const digest = sha256(candidate);
+  let name = null;
+  for (const apiKey of apiKeys) {
+    if (apiKey.digest.length === digest.length && timingSafeEqual(apiKey.digest, digest) && !name) {
+      name = apiKey.name;
+    }
+  }
+  return name;
+}
+
+export default {
+  initAuthKeys,
+  verifyBearerJwt,
+  hasApiKeys,
+  matchApiKey
+};
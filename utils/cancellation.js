@@ -0,0 +1,74 @@
+// Cancellation of tool calls: each session has an AbortController, and the calls it runs see its signal
+import { AsyncLocalStorage } from 'node:async_hooks';
+
+/**
+ * A call's signal aborts when the client cancels the request (notifications/cancelled) or
+ * when its session ends: the client sends DELETE, disconnects, goes idle or is terminated
+ * by an admin. Handlers get it as context.signal; requests made through the shared HTTP
+ * client, googleapis clients using dryRunAdapter and abortableFetch() pick it up on their own.
+ *
+ * Adapters with long-running work (polling a crawl, paging through results) check it between
+ * steps with signal.throwIfAborted() and wait with sleep(ms, signal).
+ */
+
+const signalContext = new AsyncLocalStorage();
+
+// Signal that aborts when any of the given signals does; null when none is given
+export function combineSignals(...signals) {
+  const present = signals.filter(Boolean);
+  if (present.length <= 1) {
+    return present[0] ?? null;
+  }
+  return AbortSignal.any(present);
+}
+
+// Run fn with signal as the current call's signal
+export function runWithCallSignal(signal, fn) {
+  return signalContext.run(signal ?? null, fn);
+}
+
+// Signal of the tool call currently running, or null outside one
+export function getCallSignal() {
+  return signalContext.getStore() ?? null;
+}
+
+// Why a signal aborted: the MCP SDK aborts with the client's reason string, sessions with an Error
+export function describeAbortReason(reason) {
+  if (typeof reason === 'string' && reason) {
+    return reason;
+  }
+  return reason?.name === 'AbortError' || !reason?.message ? 'request cancelled' : reason.message;
+}
+
+// fetch() that aborts with the current call unless init.signal is given
+export function abortableFetch(input, init = {}) {
+  const signal = init.signal ?? getCallSignal();
+  return fetch(input, signal ? { ...init, signal } : init);
+}
+
+// Wait ms, rejecting with the signal's reason as soon as it aborts
+export function sleep(ms, signal = getCallSignal()) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      return reject(signal.reason);
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+export default {
+  combineSignals,
+  runWithCallSignal,
+  getCallSignal,
+  describeAbortReason,
+  abortableFetch,
+  sleep
+};
@@ -0,0 +1,349 @@
+// Resolve user credentials from stored connections, so JWTs can carry a connection reference instead of a raw key
+import fs from 'fs';
+import dotenv from 'dotenv';
+import { log } from '../multi-mcp-server-simple.js';
+import { extractOAuthState } from './oauth.js';
+import { createSupabaseClient } from './supabase-client.js';
+
+/**
+ * A token entry may name a connection instead of embedding the key:
+ *
+ *   { serverId, serverName, userId, connection: "hunter" }
+ *
+ * The gateway looks up the user's "hunter" connection, falling back to the
+ * is_system connection of that name, and uses the decrypted credential as the
+ * session's API key (OAuth connections with a refresh_token are refreshed, see
+ * utils/oauth.js). Configured in server.json (CREDENTIAL_PROVIDER overrides the provider):
+ *
+ * "global": {
+ *   "credentials": {
+ *     "provider": "supabase",           // supabase, env or vault
+ *     "cache_ttl_ms": 60000,            // how long resolved credentials are reused
+ *     "system_fallback": true,          // use is_system connections when the user has none
+ *     "env_file": ".env.connections",   // env provider: read this file instead of process.env
+ *     "vault_file": "./connections.json" // vault provider
+ *   }
+ * }
+ *
+ * A provider only needs getConnection(name, { userId }) => Promise<value|null>,
+ * where a null userId asks for the system connection. Providers that also implement
+ * saveConnection(name, { userId }, value) get refreshed OAuth tokens written back.
+ */
+
+const DEFAULT_CACHE_TTL_MS = 60 * 1000;
+
+// Fields a decrypted connection value may keep its secret in (API key, secret text or OAuth token)
+const CREDENTIAL_FIELDS = ['apiKey', 'api_key', 'secret_text', 'access_token', 'accessToken', 'token'];
+
+/**
+ * Connections table in Supabase (the meerkats schema): the latest row with the name, owned by
+ * the user or marked is_system, holding crypto-js AES encrypted JSON in data.
+ * crypto-js is imported lazily so other providers never load it.
+ */
+export function createSupabaseCredentialProvider({ client, encryptionKey = process.env.ENCRYPTION_KEY ?? '' } = {}) {
+  let supabase = client;
+  let crypto;
+
+  const init = async () => {
+    supabase ??= await createSupabaseClient();
+    if (!crypto) {
+      ({ default: crypto } = await import('crypto-js'));
+    }
+  };
+
+  const selectLatest = (columns, name, userId) => {
+    const query = supabase
+      .from('connections')
+      .select(columns)
+      .eq('name', name)
+      .order('updated_at', { ascending: false })
+      .limit(1);
+    return userId ? query.eq('user_id', userId) : query.eq('is_system', true);
+  };
+
+  return {
+    type: 'supabase',
+    init,
+    async getConnection(name, { userId }) {
+      await init();
+
+      const { data: connections, error } = await selectLatest('name, data', name, userId);
+      if (error) {
+        throw new Error(`Failed to fetch connection ${name}: ${error.message}`);
+      }
+      if (!connections?.length || !connections[0].data) {
+        return null;
+      }
+
+      try {
+        return JSON.parse(crypto.AES.decrypt(connections[0].data, encryptionKey).toString(crypto.enc.Utf8));
+      } catch {
+        throw new Error(`Credentials for connection ${name} could not be decrypted`);
+      }
+    },
+    async saveConnection(name, { userId }, value) {
+      await init();
+
+      const { data: connections, error } = await selectLatest('id', name, userId);
+      if (error) {
+        throw new Error(`Failed to fetch connection ${name}: ${error.message}`);
+      }
+      if (!connections?.length) {
+        throw new Error(`Connection ${name} no longer exists`);
+      }
+
+      const { error: updateError } = await supabase
+        .from('connections')
+        .update({
+          data: crypto.AES.encrypt(JSON.stringify(value), encryptionKey).toString(),
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', connections[0].id);
+      if (updateError) {
+        throw new Error(`Failed to update connection ${name}: ${updateError.message}`);
+      }
+    }
+  };
+}
+
+/**
+ * Environment variables (or a dotenv file): CONNECTION_<NAME>__<USERID> for a user's
+ * connection and CONNECTION_<NAME> for the system one. Names are upper-cased with
+ * anything other than letters and digits turned into "_". Values are JSON or a plain key.
+ */
+export function createEnvCredentialProvider({ envFile } = {}) {
+  const toEnvPart = value => String(value).toUpperCase().replace(/[^A-Z0-9]/g, '_');
+
+  return {
+    type: 'env',
+    async getConnection(name, { userId }) {
+      const variables = envFile ? dotenv.parse(await fs.promises.readFile(envFile, 'utf8')) : process.env;
+      const value = variables[`CONNECTION_${toEnvPart(name)}${userId ? `__${toEnvPart(userId)}` : ''}`];
+      if (!value) {
+        return null;
+      }
+      try {
+        return JSON.parse(value);
+      } catch {
+        return value;
+      }
+    }
+  };
+}
+
+/**
+ * Local JSON vault for development and single-tenant deployments:
+ * { "system": { "<name>": value }, "users": { "<userId>": { "<name>": value } } }
+ * The file is read on each lookup (behind the cache), so edits apply without a restart.
+ */
+export function createVaultCredentialProvider({ vaultFile }) {
+  if (!vaultFile) {
+    throw new Error('credentials.vault_file is required for the vault credential provider');
+  }
+
+  return {
+    type: 'vault',
+    async getConnection(name, { userId }) {
+      const vault = JSON.parse(await fs.promises.readFile(vaultFile, 'utf8'));
+      const connections = userId ? vault.users?.[userId] : vault.system;
+      return connections?.[name] ?? null;
+    },
+    async saveConnection(name, { userId }, value) {
+      const vault = JSON.parse(await fs.promises.readFile(vaultFile, 'utf8'));
+      const connections = userId ? ((vault.users ??= {})[userId] ??= {}) : (vault.system ??= {});
+      connections[name] = value;
+      await fs.promises.writeFile(vaultFile, JSON.stringify(vault, null, 2));
+    }
+  };
+}
+
+let provider = null;
+let cacheTtlMs = DEFAULT_CACHE_TTL_MS;
+let systemFallback = true;
+
+const cache = new Map(); // userId:name -> { connection: { credential, oauth, source }, expiresAt }
+
+export function setCredentialProvider(customProvider) {
+  if (!customProvider || typeof customProvider.getConnection !== 'function') {
+    throw new Error('Credential provider must implement getConnection(name, { userId })');
+  }
+  provider = customProvider;
+  cache.clear();
+}
+
+export function getCredentialProviderType() {
+  return provider ? provider.type || 'custom' : null;
+}
+
+// Select the provider from the global credentials config or CREDENTIAL_PROVIDER.
+// Without either, tokens must embed their keys as before.
+export async function initCredentialProvider(credentialsConfig = {}) {
+  const type = process.env.CREDENTIAL_PROVIDER || credentialsConfig.provider;
+  cacheTtlMs = credentialsConfig.cache_ttl_ms ?? DEFAULT_CACHE_TTL_MS;
+  systemFallback = credentialsConfig.system_fallback !== false;
+  cache.clear();
+
+  if (!type) {
+    provider = null;
+    return null;
+  }
+
+  if (type === 'supabase') {
+    provider = createSupabaseCredentialProvider();
+    await provider.init();
+  } else if (type === 'env') {
+    provider = createEnvCredentialProvider({ envFile: credentialsConfig.env_file });
+  } else if (type === 'vault') {
+    provider = createVaultCredentialProvider({ vaultFile: credentialsConfig.vault_file });
+  } else {
+    throw new Error(`Unknown credential provider: ${type}`);
+  }
+  return getCredentialProviderType();
+}
+
+// Pull the key out of a decrypted connection: a plain string, or one of CREDENTIAL_FIELDS,
+// also looked up under props for custom-auth connections
+export function extractCredential(value) {
+  if (typeof value === 'string') {
+    return value || null;
+  }
+  for (const source of [value, value?.props]) {
+    const field = source && CREDENTIAL_FIELDS.find(name => typeof source[name] === 'string' && source[name]);
+    if (field) {
+      return source[field];
+    }
+  }
+  return null;
+}
+
+async function lookupConnection(name, userId) {
+  const cacheKey = `${userId ?? ''}:${name}`;
+  const cached = cache.get(cacheKey);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.connection;
+  }
+
+  const value = await provider.getConnection(name, { userId });
+  const credential = extractCredential(value);
+  if (!credential) {
+    cache.delete(cacheKey);
+    return null;
+  }
+
+  const connection = {
+    credential,
+    oauth: typeof value === 'object' ? extractOAuthState(value) : null,
+    source: { name, userId: userId ?? null }
+  };
+  cache.set(cacheKey, { connection, expiresAt: Date.now() + cacheTtlMs });
+  return connection;
+}
+
+/**
+ * Resolve a connection reference, trying the user's own connection first and then the system one.
+ *
+ * @param {string} name - Connection name from the token
+ * @param {string} userId - Token userId
+ * @returns {Promise<{credential: string, oauth: object|null, source: object}>} The API key or access token,
+ *   the refresh state for OAuth connections, and { name, userId } of the connection used (userId null for system)
+ */
+export async function resolveConnection(name, userId) {
+  if (!provider) {
+    throw new Error('Token references a connection but no credential provider is configured');
+  }
+
+  let connection = await lookupConnection(name, userId);
+  if (!connection && systemFallback) {
+    connection = await lookupConnection(name, null);
+    if (connection) {
+      log.debug('CREDENTIALS', `Using system connection ${name} for userId: ${userId}`);
+    }
+  }
+
+  if (!connection) {
+    throw new Error(`No usable connection named ${name} for this user`);
+  }
+  return connection;
+}
+
+export async function resolveConnectionCredential(name, userId) {
+  return (await resolveConnection(name, userId)).credential;
+}
+
+// A copy of a decrypted connection holding a refreshed token set, in the field names it already uses
+function withRefreshedTokens(value, { accessToken, refreshToken, expiresAt }) {
+  const updated = { ...value, ...(value.props && { props: { ...value.props } }) };
+  for (const source of [updated, updated.props]) {
+    const field = source && CREDENTIAL_FIELDS.find(name => typeof source[name] === 'string' && source[name]);
+    if (field) {
+      source[field] = accessToken;
+      break;
+    }
+  }
+
+  if ('refreshToken' in updated) {
+    updated.refreshToken = refreshToken;
+  } else {
+    updated.refresh_token = refreshToken;
+  }
+
+  if (expiresAt && 'claimed_at' in updated) {
+    updated.claimed_at = Math.floor(Date.now() / 1000);
+    updated.expires_in = Math.round((expiresAt - Date.now()) / 1000);
+  } else if ('expiresAt' in updated) {
+    updated.expiresAt = expiresAt;
+  } else {
+    updated.expires_at = expiresAt;
+  }
+  return updated;
+}
+
+/**
+ * Write a refreshed OAuth token set back to the connection it came from and to the cache,
+ * so later sessions start from it. Providers that rotate refresh tokens (Slack, HubSpot)
+ * reject the old one once it has been used.
+ *
+ * @param {{name: string, userId: string|null}} source - The connection, as returned by resolveConnection
+ * @param {{accessToken: string, refreshToken: string, expiresAt: number|null}} tokens
+ * @returns {Promise<boolean>} Whether the provider stored them; the env provider can't
+ */
+export async function saveConnectionTokens(source, tokens) {
+  const cacheKey = `${source.userId ?? ''}:${source.name}`;
+  const cached = cache.get(cacheKey);
+  if (cached) {
+    cached.connection = {
+      ...cached.connection,
+      credential: tokens.accessToken,
+      oauth: { ...cached.connection.oauth, refreshToken: tokens.refreshToken, expiresAt: tokens.expiresAt }
+    };
+  }
+
+  if (typeof provider?.saveConnection !== 'function') {
+    return false;
+  }
+  const value = await provider.getConnection(source.name, { userId: source.userId });
+  if (!value || typeof value !== 'object') {
+    return false;
+  }
+  await provider.saveConnection(source.name, { userId: source.userId }, withRefreshedTokens(value, tokens));
+  return true;
+}
+
+// Drop cached credentials, e.g. after a connection is rotated
+export function clearCredentialCache() {
+  cache.clear();
+}
+
+export default {
+  createSupabaseCredentialProvider,
+  createEnvCredentialProvider,
+  createVaultCredentialProvider,
+  setCredentialProvider,
+  getCredentialProviderType,
+  initCredentialProvider,
+  extractCredential,
+  resolveConnection,
+  resolveConnectionCredential,
+  saveConnectionTokens,
+  clearCredentialCache
+};
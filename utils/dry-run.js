@@ -0,0 +1,173 @@
+// Dry runs: mutating tools build their upstream request as usual, and it is captured instead of sent
+import { AsyncLocalStorage } from 'node:async_hooks';
+import { z } from 'zod';
+import { combineSignals, getCallSignal } from './cancellation.js';
+
+/**
+ * A tool call runs dry when it passes dryRun: true, or when the gateway is in dry-run mode
+ * ("global": { "dry_run": true } or DRY_RUN=true). Reads (GET, HEAD, OPTIONS) still go
+ * out, so handlers can look up what they need; the first other request is captured and
+ * stops the handler. Captured requests look like:
+ *
+ * { provider, method: 'POST', url, headers, body }   // credentials in headers and the URL masked
+ *
+ * The shared HTTP client captures automatically. Adapters on other clients route their
+ * requests through captureRequest() (see dryRunAdapter for googleapis) and return
+ * supportsDryRun: true so the gateway offers the dryRun argument on their mutating tools.
+ */
+
+const SAFE_METHODS = new Set(['get', 'head', 'options']);
+
+// Header, query and body keys holding credentials, compared lower-cased without "-" and "_"
+const SECRET_KEYS = new Set([
+  'apikey', 'xapikey', 'token', 'accesstoken', 'refreshtoken', 'authorization',
+  'proxyauthorization', 'cookie', 'password', 'secret', 'clientsecret', 'privatekey'
+]);
+const REDACTED = '[REDACTED]';
+
+const dryRunContext = new AsyncLocalStorage();
+
+// Extra argument offered on mutating tools of adapters that support dry runs
+export const dryRunArgument = z.boolean().optional()
+  .describe('Return the upstream request this call would send, without sending it');
+
+export class DryRunInterception extends Error {
+  constructor(request) {
+    super(`Dry run: ${request.method} ${request.url} was not sent`);
+    this.name = 'DryRunInterception';
+    this.request = request;
+  }
+}
+
+export function isDryRunEnabled(globalConfig) {
+  return process.env.DRY_RUN === 'true' || globalConfig?.dry_run === true;
+}
+
+export function isDryRun() {
+  return dryRunContext.getStore() !== undefined;
+}
+
+const isSecretKey = key => SECRET_KEYS.has(String(key).toLowerCase().replace(/[-_]/g, ''));
+
+function redactSecrets(value) {
+  if (Array.isArray(value)) {
+    return value.map(redactSecrets);
+  }
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+    key,
+    isSecretKey(key) ? REDACTED : redactSecrets(item)
+  ]));
+}
+
+function redactUrl(url) {
+  try {
+    const parsed = new URL(url);
+    for (const key of parsed.searchParams.keys()) {
+      if (isSecretKey(key)) {
+        parsed.searchParams.set(key, REDACTED);
+      }
+    }
+    return parsed.toString().replaceAll(encodeURIComponent(REDACTED), REDACTED);
+  } catch {
+    return url;
+  }
+}
+
+// JSON bodies are shown parsed; streams, buffers and form data only by type
+function describeBody(body) {
+  if (body === undefined || body === null || body === '') {
+    return null;
+  }
+  if (typeof body === 'string') {
+    try {
+      return redactSecrets(JSON.parse(body));
+    } catch {
+      return body;
+    }
+  }
+  if (Buffer.isBuffer(body) || typeof body.pipe === 'function' || typeof body.getBoundary === 'function') {
+    return `[${body.constructor?.name || 'binary'} body]`;
+  }
+  return redactSecrets(body);
+}
+
+/**
+ * Whether a request would be captured rather than sent.
+ *
+ * @param {string} method - HTTP method, any case
+ */
+export function shouldCapture(method) {
+  return isDryRun() && !SAFE_METHODS.has(String(method || 'get').toLowerCase());
+}
+
+/**
+ * Record a request in the current dry run and stop the handler with a DryRunInterception.
+ *
+ * @param {object} request
+ * @param {string} request.provider - Provider name (e.g. "hubspot")
+ * @param {string} request.method
+ * @param {string} request.url - Full URL, including the query string
+ * @param {object} [request.headers] - Plain object of header names to values
+ * @param {*} [request.body] - JSON string, object, or a stream/buffer
+ */
+export function captureRequest({ provider, method, url, headers = {}, body }) {
+  const request = {
+    provider,
+    method: String(method).toUpperCase(),
+    url: redactUrl(String(url)),
+    headers: redactSecrets(headers),
+    body: describeBody(body)
+  };
+  dryRunContext.getStore()?.requests.push(request);
+  throw new DryRunInterception(request);
+}
+
+/**
+ * gaxios adapter for googleapis clients: google.sheets({ version: 'v4', auth, adapter: dryRunAdapter }).
+ * Requests are sent as usual outside a dry run, aborting with the tool call (utils/cancellation.js).
+ */
+export function dryRunAdapter(options, defaultAdapter) {
+  if (!shouldCapture(options.method)) {
+    return defaultAdapter({ ...options, signal: combineSignals(options.signal, getCallSignal()) ?? undefined });
+  }
+  // gaxios would otherwise retry the interception like a network error
+  options.retryConfig = { ...options.retryConfig, retry: 0 };
+  return captureRequest({
+    provider: 'google',
+    method: options.method,
+    url: options.url,
+    headers: options.headers instanceof Headers ? Object.fromEntries(options.headers) : options.headers,
+    body: options.data ?? options.body
+  });
+}
+
+/**
+ * Run a handler in dry-run mode.
+ *
+ * @param {Function} fn - Runs the handler
+ * @returns {Promise<{requests: object[], error: Error|null}>} The captured requests, and whatever
+ *   the handler threw (a DryRunInterception once a request was captured)
+ */
+export async function captureDryRun(fn) {
+  const store = { requests: [] };
+  try {
+    await dryRunContext.run(store, fn);
+    return { requests: store.requests, error: null };
+  } catch (error) {
+    return { requests: store.requests, error };
+  }
+}
+
+export default {
+  dryRunArgument,
+  DryRunInterception,
+  isDryRunEnabled,
+  isDryRun,
+  shouldCapture,
+  captureRequest,
+  dryRunAdapter,
+  captureDryRun
+};
@@ -0,0 +1,192 @@
+// Shared HTTP client for adapters: base URLs, timeouts, retries and normalized errors
+import axios from 'axios';
+import { log } from '../multi-mcp-server-simple.js';
+import { upstreamErrorsTotal } from './metrics.js';
+import { recordUpstreamStatus } from './audit.js';
+import { DryRunInterception, captureRequest, shouldCapture } from './dry-run.js';
+import { getCallSignal, sleep } from './cancellation.js';
+
+const DEFAULT_TIMEOUT_MS = 30 * 1000;
+const DEFAULT_MAX_RETRIES = 3;
+const DEFAULT_BASE_DELAY_MS = 500;
+const DEFAULT_MAX_DELAY_MS = 30 * 1000;
+
+const RETRYABLE_STATUSES = new Set([429, 500, 502, 503, 504]);
+const RETRYABLE_NETWORK_CODES = new Set(['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'ECONNABORTED', 'EAI_AGAIN', 'EPIPE']);
+
+// 5xx and network failures are only retried for methods that are safe to repeat;
+// a 429 means the request was not processed, so it is retried for every method
+const IDEMPOTENT_METHODS = new Set(['get', 'head', 'options', 'put', 'delete']);
+
+/**
+ * Error thrown by every client request. The message is the provider's own error
+ * text when the response body has one, so adapters can surface it directly.
+ */
+export class HttpError extends Error {
+  constructor({ provider, message, status, code, data, method, url, retryable, retryAfterMs }) {
+    super(message);
+    this.name = 'HttpError';
+    this.provider = provider;
+    this.status = status;
+    this.code = code;
+    this.data = data;
+    this.method = method;
+    this.url = url;
+    this.retryable = retryable;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+// Pull a human readable message out of the common provider error shapes
+export function extractErrorMessage(data) {
+  if (!data) {
+    return null;
+  }
+  if (typeof data === 'string') {
+    return data.length <= 500 ? data : null;
+  }
+
+  const candidates = [
+    data.errors?.[0]?.details,
+    data.errors?.[0]?.message,
+    typeof data.errors?.[0] === 'string' ? data.errors[0] : null,
+    data.message,
+    typeof data.error === 'string' ? data.error : data.error?.message,
+    data.Error,
+    data.Errors?.[0]?.Message,
+    data.detail,
+    data.error_description
+  ];
+  return candidates.find(candidate => typeof candidate === 'string' && candidate.length > 0) || null;
+}
+
+// Retry-After is either delay-seconds or an HTTP date
+function parseRetryAfter(headerValue) {
+  if (!headerValue) {
+    return null;
+  }
+  const seconds = Number(headerValue);
+  if (!Number.isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(headerValue);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function normalizeError(error, provider, method, url) {
+  if (error instanceof HttpError) {
+    return error;
+  }
+
+  const status = error.response?.status;
+  const data = error.response?.data;
+  const retryable = status
+    ? RETRYABLE_STATUSES.has(status)
+    : RETRYABLE_NETWORK_CODES.has(error.code);
+
+  return new HttpError({
+    provider,
+    message: extractErrorMessage(data) || error.message,
+    status,
+    code: error.code,
+    data,
+    method,
+    url,
+    retryable,
+    retryAfterMs: parseRetryAfter(error.response?.headers?.['retry-after'])
+  });
+}
+
+/**
+ * Create an axios-backed client for one provider.
+ *
+ * Methods mirror axios (get/delete(url, config), post/put/patch(url, data, config))
+ * and resolve to the axios response. Failures reject with HttpError.
+ *
+ * @param {object} options
+ * @param {string} options.provider - Provider name used in errors and logs (e.g. "hunter")
+ * @param {string} [options.baseURL] - Prefix for relative request URLs
+ * @param {object} [options.headers] - Default headers for every request
+ * @param {number} [options.timeout] - Request timeout in ms (default 30s)
+ * @param {number} [options.maxRetries] - Retries on 429, 5xx and network errors (default 3)
+ * @param {boolean} [options.retryNonIdempotent] - Also retry POST/PATCH on 5xx and network errors
+ * @param {number} [options.baseDelayMs] - First backoff delay, doubled on each attempt
+ * @param {number} [options.maxDelayMs] - Longest wait, including Retry-After, before giving up
+ */
+export function createHttpClient({
+  provider,
+  baseURL,
+  headers = {},
+  timeout = DEFAULT_TIMEOUT_MS,
+  maxRetries = DEFAULT_MAX_RETRIES,
+  retryNonIdempotent = false,
+  baseDelayMs = DEFAULT_BASE_DELAY_MS,
+  maxDelayMs = DEFAULT_MAX_DELAY_MS
+}) {
+  const instance = axios.create({ baseURL, headers, timeout });
+
+  // In a dry run, axios prepares the request (merged headers, serialized body) and this adapter captures it
+  const captureAdapter = preparedConfig => captureRequest({
+    provider,
+    method: preparedConfig.method,
+    url: axios.getUri(preparedConfig),
+    headers: preparedConfig.headers.toJSON(),
+    body: preparedConfig.data
+  });
+
+  async function request(config) {
+    const method = (config.method || 'get').toLowerCase();
+    // Requests made during a tool call are aborted with it (utils/cancellation.js)
+    const signal = config.signal ?? getCallSignal() ?? undefined;
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const response = await instance.request({
+          ...config,
+          method,
+          signal,
+          ...(shouldCapture(method) && { adapter: captureAdapter })
+        });
+        recordUpstreamStatus(response.status);
+        return response;
+      } catch (error) {
+        if (error instanceof DryRunInterception) {
+          throw error;
+        }
+        const httpError = normalizeError(error, provider, method, config.url);
+        recordUpstreamStatus(httpError.status);
+        upstreamErrorsTotal.inc({ provider, status: httpError.status || httpError.code || 'unknown' });
+        const methodAllowsRetry = httpError.status === 429 || IDEMPOTENT_METHODS.has(method) || retryNonIdempotent;
+
+        if (!httpError.retryable || !methodAllowsRetry || attempt >= maxRetries || signal?.aborted) {
+          throw httpError;
+        }
+
+        // Exponential backoff with jitter, unless the provider told us how long to wait
+        const delay = httpError.retryAfterMs ?? Math.round(baseDelayMs * 2 ** attempt * (1 + Math.random() * 0.25));
+        if (delay > maxDelayMs) {
+          throw httpError;
+        }
+
+        log('HTTP', `${provider} ${method.toUpperCase()} ${config.url} failed (${httpError.status || httpError.code}), retrying in ${delay}ms (${attempt + 1}/${maxRetries})`);
+        await sleep(delay, signal);
+      }
+    }
+  }
+
+  return {
+    provider,
+    request,
+    get: (url, config = {}) => request({ ...config, method: 'get', url }),
+    delete: (url, config = {}) => request({ ...config, method: 'delete', url }),
+    post: (url, data, config = {}) => request({ ...config, method: 'post', url, data }),
+    put: (url, data, config = {}) => request({ ...config, method: 'put', url, data }),
+    patch: (url, data, config = {}) => request({ ...config, method: 'patch', url, data })
+  };
+}
+
+export default {
+  createHttpClient,
+  extractErrorMessage,
+  HttpError
+};
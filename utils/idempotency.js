@@ -0,0 +1,216 @@
+// Idempotency keys: repeats of a tool call with the same key, user and tool get the first call's result
+import { createHash } from 'node:crypto';
+import { log } from '../multi-mcp-server-simple.js';
+import { ERROR_CODES, ToolError } from './tool-errors.js';
+
+/**
+ * Clients pass the key in the request's _meta or as a header on the HTTP request:
+ *
+ *   { "method": "tools/call", "params": { "name": "hubspot-create-contact", "arguments": {...},
+ *     "_meta": { "idempotencyKey": "3f1c..." } } }
+ *   Idempotency-Key: 3f1c...
+ *
+ * The first call runs; its result is kept for the window and returned to every repeat
+ * (including repeats that arrive while it is still running). Reusing a key with different
+ * arguments returns IDEMPOTENCY_CONFLICT. Error results are not kept, so a failed call can be
+ * retried with the same key, except APPROVAL_REQUIRED, so a retry doesn't park a second action.
+ * Configured in server.json (the store defaults to memory, or redis when REDIS_URL is set):
+ *
+ * "global": {
+ *   "idempotency": { "ttl_ms": 3600000, "store": "redis", "url": "redis://localhost:6379", "key_prefix": "mcp:idempotency:" }
+ * }
+ */
+
+export const IDEMPOTENCY_HEADER = 'idempotency-key';
+
+const DEFAULT_TTL_MS = 60 * 60 * 1000;
+
+/**
+ * In-memory store (default), enough for a single instance.
+ *
+ * A custom store only needs get(key) => Promise<entry|null> and set(key, entry, ttlMs).
+ */
+export function createMemoryIdempotencyStore({ pruneIntervalMs = 60 * 1000 } = {}) {
+  const entries = new Map(); // key -> { entry, expiresAt }
+
+  const pruneTimer = setInterval(() => {
+    const now = Date.now();
+    for (const [key, stored] of entries.entries()) {
+      if (stored.expiresAt <= now) {
+        entries.delete(key);
+      }
+    }
+  }, pruneIntervalMs);
+  pruneTimer.unref();
+
+  return {
+    type: 'memory',
+    async get(key) {
+      const stored = entries.get(key);
+      return stored && stored.expiresAt > Date.now() ? stored.entry : null;
+    },
+    async set(key, entry, ttlMs) {
+      entries.set(key, { entry, expiresAt: Date.now() + ttlMs });
+    },
+    async close() {
+      clearInterval(pruneTimer);
+    }
+  };
+}
+
+// Redis (or any RESP-compatible server) through an ioredis-style client, shared by every instance
+export function createRedisIdempotencyStore({ client, keyPrefix = 'mcp:idempotency:' }) {
+  return {
+    type: 'redis',
+    async get(key) {
+      const value = await client.get(`${keyPrefix}${key}`);
+      return value ? JSON.parse(value) : null;
+    },
+    async set(key, entry, ttlMs) {
+      await client.set(`${keyPrefix}${key}`, JSON.stringify(entry), 'PX', ttlMs);
+    },
+    async close() {
+      await client.quit?.();
+    }
+  };
+}
+
+let store = createMemoryIdempotencyStore();
+let ttlMs = DEFAULT_TTL_MS;
+
+const inFlight = new Map(); // storage key -> { argsHash, promise }
+
+export function setIdempotencyStore(customStore) {
+  if (!customStore || typeof customStore.get !== 'function' || typeof customStore.set !== 'function') {
+    throw new Error('Idempotency store must implement get(key) and set(key, entry, ttlMs)');
+  }
+  store = customStore;
+}
+
+export function getIdempotencyStoreType() {
+  return store.type || 'custom';
+}
+
+// Select the window and the store from the global idempotency config or REDIS_URL
+export async function initIdempotency(idempotencyConfig = {}) {
+  ttlMs = idempotencyConfig.ttl_ms ?? DEFAULT_TTL_MS;
+
+  const url = idempotencyConfig.url || process.env.REDIS_URL;
+  const type = idempotencyConfig.store || (url ? 'redis' : 'memory');
+  if (type === 'memory') {
+    return getIdempotencyStoreType();
+  }
+  if (type !== 'redis') {
+    throw new Error(`Unknown idempotency store type: ${type}`);
+  }
+  if (!url) {
+    throw new Error('idempotency.url or REDIS_URL is required for the redis idempotency store');
+  }
+
+  const { default: Redis } = await import('ioredis');
+  await store.close?.();
+  store = createRedisIdempotencyStore({ client: new Redis(url, { maxRetriesPerRequest: 3 }), keyPrefix: idempotencyConfig.key_prefix });
+  return getIdempotencyStoreType();
+}
+
+export async function closeIdempotencyStore() {
+  await store.close?.();
+}
+
+// The key from the request's _meta, or the Idempotency-Key header of the HTTP request carrying it
+export function getIdempotencyKey(extra = {}) {
+  const header = extra.requestInfo?.headers?.[IDEMPOTENCY_HEADER];
+  const key = extra._meta?.idempotencyKey ?? (Array.isArray(header) ? header[0] : header);
+  return typeof key === 'string' && key.length > 0 ? key : null;
+}
+
+const sha256 = value => createHash('sha256').update(value).digest('hex');
+
+// Same arguments in any key order give the same hash (also used by the response cache)
+export function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+}
+
+function isReusable(result) {
+  return !result?.isError || result.structuredContent?.error?.code === ERROR_CODES.APPROVAL_REQUIRED;
+}
+
+function conflictError(toolName) {
+  return new ToolError(
+    ERROR_CODES.IDEMPOTENCY_CONFLICT,
+    `Idempotency key was already used with different arguments for ${toolName}`,
+    { retryable: false }
+  );
+}
+
+/**
+ * Run a tool call at most once per idempotency key, user and tool.
+ *
+ * @param {object} call
+ * @param {string} call.key - The client's idempotency key
+ * @param {string} call.userId
+ * @param {string} call.serverName
+ * @param {string} call.toolName
+ * @param {object} call.args - Compared with the first call's arguments
+ * @param {Function} execute - Runs the call, resolving to the tool result
+ * @returns {Promise<{result: object, replayed: boolean}>}
+ * @throws {ToolError} IDEMPOTENCY_CONFLICT when the key was used with other arguments
+ */
+export async function runIdempotent({ key, userId, serverName, toolName, args }, execute) {
+  const storageKey = sha256([userId ?? '', serverName, toolName, key].join('\n'));
+  const argsHash = sha256(stableStringify(args ?? {}));
+
+  const pending = inFlight.get(storageKey);
+  if (pending) {
+    if (pending.argsHash !== argsHash) {
+      throw conflictError(toolName);
+    }
+    return { result: await pending.promise, replayed: true };
+  }
+
+  let stored = null;
+  try {
+    stored = await store.get(storageKey);
+  } catch (error) {
+    log.warn('IDEMPOTENCY', 'Failed to read idempotency store, running the call', { tool: toolName, error: error.message });
+  }
+  if (stored) {
+    if (stored.argsHash !== argsHash) {
+      throw conflictError(toolName);
+    }
+    return { result: stored.result, replayed: true };
+  }
+
+  const promise = execute();
+  inFlight.set(storageKey, { argsHash, promise });
+  try {
+    const result = await promise;
+    if (isReusable(result)) {
+      await store.set(storageKey, { argsHash, result, createdAt: Date.now() }, ttlMs).catch(error => {
+        log.warn('IDEMPOTENCY', 'Failed to store idempotent result', { tool: toolName, error: error.message });
+      });
+    }
+    return { result, replayed: false };
+  } finally {
+    inFlight.delete(storageKey);
+  }
+}
+
+export default {
+  IDEMPOTENCY_HEADER,
+  createMemoryIdempotencyStore,
+  createRedisIdempotencyStore,
+  setIdempotencyStore,
+  getIdempotencyStoreType,
+  initIdempotency,
+  closeIdempotencyStore,
+  getIdempotencyKey,
+  stableStringify,
+  runIdempotent
+};
@@ -0,0 +1,200 @@
+// Structured logging: JSON lines with levels, request/session correlation ids and redaction
+import { AsyncLocalStorage } from 'node:async_hooks';
+import util from 'node:util';
+
+/**
+ * Configured in server.json, with env overrides:
+ *
+ * "global": {
+ *   "logging": {
+ *     "level": "info",                    // LOG_LEVEL: debug, info, warn, error
+ *     "format": "json",                   // LOG_FORMAT: json (one object per line) or text
+ *     "redact_keys": ["ssn", "dob"]       // LOG_REDACT_KEYS: extra comma-separated keys
+ *   }
+ * }
+ */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Matched case-insensitively, ignoring "-" and "_" (so api_key, apiKey and x-api-key all match "apikey")
+const CREDENTIAL_KEYS = [
+  'apikey', 'xapikey', 'userapikey', 'token', 'accesstoken', 'refreshtoken', 'idtoken', 'authorization',
+  'password', 'secret', 'clientsecret', 'credentialref', 'cookie', 'privatekey'
+];
+
+const DEFAULT_REDACT_KEYS = [
+  ...CREDENTIAL_KEYS,
+  'body', 'emailbody', 'html', 'textbody', 'htmlbody',
+  'phone', 'phonenumber', 'mobile', 'mobilephone', 'sanitizedphone', 'workphone', 'directphone'
+];
+
+// Secrets embedded in free text (messages, URLs, error strings)
+const CREDENTIAL_PATTERNS = [
+  [/(Bearer\s+)[A-Za-z0-9\-._~+/]{16,}=*/gi, '$1[REDACTED]'],
+  [/eyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]*/g, '[REDACTED]'],
+  [/([?&](?:api_?key|access_token|token|key)=)[^&\s"']+/gi, '$1[REDACTED]']
+];
+
+// ...and phone numbers
+const REDACT_PATTERNS = [
+  ...CREDENTIAL_PATTERNS,
+  [/\+\d{1,3}[\s.-]?\(?\d{1,4}\)?[\s.-]?\d{3,4}[\s.-]?\d{3,4}\b/g, '[REDACTED_PHONE]']
+];
+
+const REDACTED = '[REDACTED]';
+const MAX_DEPTH = 8;
+
+const normalizeKey = key => String(key).toLowerCase().replace(/[-_]/g, '');
+
+let minLevel = LEVELS.info;
+let format = 'json';
+let redactKeys = new Set(DEFAULT_REDACT_KEYS);
+const credentialKeys = new Set(CREDENTIAL_KEYS);
+
+// Holds { requestId, sessionId, tool, userId } for the request being handled
+const logContext = new AsyncLocalStorage();
+
+export function configureLogging(loggingConfig = {}) {
+  const level = (process.env.LOG_LEVEL || loggingConfig.level || 'info').toLowerCase();
+  minLevel = LEVELS[level] ?? LEVELS.info;
+  format = (process.env.LOG_FORMAT || loggingConfig.format || 'json').toLowerCase();
+
+  const extraKeys = [
+    ...(loggingConfig.redact_keys || []),
+    ...(process.env.LOG_REDACT_KEYS ? process.env.LOG_REDACT_KEYS.split(',') : [])
+  ];
+  redactKeys = new Set([...DEFAULT_REDACT_KEYS, ...extraKeys.map(normalizeKey).filter(Boolean)]);
+}
+
+export function runWithLogContext(context, fn) {
+  return logContext.run({ ...context }, fn);
+}
+
+// Add fields (e.g. the session id once initialize assigns it) to the current context
+export function setLogContext(fields) {
+  const store = logContext.getStore();
+  if (store) {
+    Object.assign(store, fields);
+  }
+}
+
+export function getLogContext() {
+  return logContext.getStore() || {};
+}
+
+function redactString(value, patterns = REDACT_PATTERNS) {
+  return patterns.reduce((result, [pattern, replacement]) => result.replace(pattern, replacement), value);
+}
+
+// Deep copy of value with the given keys masked and the given patterns replaced in strings
+function mask(value, keys, patterns, depth = 0, seen = new WeakSet()) {
+  if (typeof value === 'string') {
+    return redactString(value, patterns);
+  }
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+  if (seen.has(value)) {
+    return '[Circular]';
+  }
+  if (depth >= MAX_DEPTH) {
+    return '[Truncated]';
+  }
+  seen.add(value);
+
+  if (value instanceof Error) {
+    return {
+      name: value.name,
+      message: redactString(value.message, patterns),
+      ...(value.status && { status: value.status }),
+      ...(value.stack && { stack: redactString(value.stack, patterns) })
+    };
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => mask(item, keys, patterns, depth + 1, seen));
+  }
+
+  const result = {};
+  for (const [key, item] of Object.entries(value)) {
+    result[key] = keys.has(normalizeKey(key)) && item !== null && item !== undefined && item !== ''
+      ? REDACTED
+      : mask(item, keys, patterns, depth + 1, seen);
+  }
+  return result;
+}
+
+/**
+ * Deep copy of a value with configured keys masked and secrets removed from strings.
+ * Errors are reduced to name, message, status and stack.
+ */
+export function redact(value) {
+  return mask(value, redactKeys, REDACT_PATTERNS);
+}
+
+/**
+ * Like redact, but only credentials are masked: message bodies, HTML and phone numbers stay,
+ * for places where a person has to read the content (approval previews).
+ */
+export function redactCredentials(value) {
+  return mask(value, credentialKeys, CREDENTIAL_PATTERNS);
+}
+
+function write(level, line) {
+  const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+  stream.write(`${line}\n`);
+}
+
+/**
+ * Write one log entry. Everything passes through redact() first.
+ *
+ * @param {string} level - debug, info, warn or error
+ * @param {string} component - Server or subsystem name (e.g. "hunter", "AUTH")
+ * @param {string} message
+ * @param {*} [data] - Extra structured data
+ */
+export function writeLog(level, component, message, data = null) {
+  if ((LEVELS[level] ?? LEVELS.info) < minLevel) {
+    return;
+  }
+
+  const context = getLogContext();
+  const safeMessage = redactString(String(message));
+  const safeData = data === null || data === undefined || data === '' ? undefined : redact(data);
+
+  if (format === 'text') {
+    const tags = [context.requestId, context.sessionId].filter(Boolean).map(id => ` [${id}]`).join('');
+    write(level, `[${component}]${tags} ${safeMessage}${safeData !== undefined ? ` ${util.inspect(safeData, { depth: 4, breakLength: Infinity })}` : ''}`);
+    return;
+  }
+
+  // "severity" is the field Cloud Logging reads the level from
+  write(level, JSON.stringify({
+    timestamp: new Date().toISOString(),
+    severity: level.toUpperCase(),
+    component,
+    message: safeMessage,
+    ...context,
+    ...(safeData !== undefined && { data: safeData })
+  }));
+}
+
+// Route console.* (used by some adapters and dependencies) through the logger so it is redacted too
+export function redirectConsole() {
+  const toLevel = { debug: 'debug', log: 'info', info: 'info', warn: 'warn', error: 'error' };
+  for (const [method, level] of Object.entries(toLevel)) {
+    console[method] = (...args) => {
+      writeLog(level, 'console', util.format(...args.map(arg => (typeof arg === 'object' ? redact(arg) : arg))));
+    };
+  }
+}
+
+export default {
+  configureLogging,
+  runWithLogContext,
+  setLogContext,
+  getLogContext,
+  redact,
+  redactCredentials,
+  writeLog,
+  redirectConsole
+};
@@ -0,0 +1,177 @@
+// Prometheus metrics for the gateway, rendered in the text exposition format at GET /metrics
+
+const DEFAULT_DURATION_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+const registry = new Map(); // metric name -> metric
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labelNames, labelValues, extra = {}) {
+  const pairs = labelNames.map((labelName, index) => [labelName, labelValues[index]]);
+  pairs.push(...Object.entries(extra));
+  if (pairs.length === 0) {
+    return '';
+  }
+  return `{${pairs.map(([labelName, value]) => `${labelName}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+// Series are keyed by their label values in labelNames order
+function seriesKey(labelNames, labels = {}) {
+  return JSON.stringify(labelNames.map(labelName => labels[labelName] ?? ''));
+}
+
+function register(metric) {
+  if (registry.has(metric.name)) {
+    throw new Error(`Metric ${metric.name} is already registered`);
+  }
+  registry.set(metric.name, metric);
+  return metric;
+}
+
+export function createCounter({ name, help, labelNames = [] }) {
+  const series = new Map(); // seriesKey -> value
+
+  return register({
+    name,
+    inc(labels = {}, value = 1) {
+      const key = seriesKey(labelNames, labels);
+      series.set(key, (series.get(key) || 0) + value);
+    },
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} counter`];
+      for (const [key, value] of series.entries()) {
+        lines.push(`${name}${formatLabels(labelNames, JSON.parse(key))} ${value}`);
+      }
+      return lines;
+    }
+  });
+}
+
+/**
+ * Gauges are either set directly, or computed on every scrape by a collect
+ * callback that returns [{ labels, value }] (e.g. counting live sessions).
+ */
+export function createGauge({ name, help, labelNames = [], collect }) {
+  const series = new Map(); // seriesKey -> value
+
+  return register({
+    name,
+    set(labels = {}, value) {
+      series.set(seriesKey(labelNames, labels), value);
+    },
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} gauge`];
+      const samples = collect
+        ? collect().map(({ labels, value }) => [seriesKey(labelNames, labels), value])
+        : series.entries();
+      for (const [key, value] of samples) {
+        lines.push(`${name}${formatLabels(labelNames, JSON.parse(key))} ${value}`);
+      }
+      return lines;
+    }
+  });
+}
+
+export function createHistogram({ name, help, labelNames = [], buckets = DEFAULT_DURATION_BUCKETS }) {
+  const series = new Map(); // seriesKey -> { bucketCounts, sum, count }
+
+  const observe = (labels = {}, value) => {
+    const key = seriesKey(labelNames, labels);
+    let entry = series.get(key);
+    if (!entry) {
+      entry = { bucketCounts: buckets.map(() => 0), sum: 0, count: 0 };
+      series.set(key, entry);
+    }
+    buckets.forEach((bound, index) => {
+      if (value <= bound) {
+        entry.bucketCounts[index]++;
+      }
+    });
+    entry.sum += value;
+    entry.count++;
+  };
+
+  return register({
+    name,
+    observe,
+    // Returns a function that records the elapsed time in seconds, with optional extra labels
+    startTimer(labels = {}) {
+      const start = process.hrtime.bigint();
+      return (endLabels = {}) => {
+        observe({ ...labels, ...endLabels }, Number(process.hrtime.bigint() - start) / 1e9);
+      };
+    },
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+      for (const [key, entry] of series.entries()) {
+        const labelValues = JSON.parse(key);
+        buckets.forEach((bound, index) => {
+          lines.push(`${name}_bucket${formatLabels(labelNames, labelValues, { le: bound })} ${entry.bucketCounts[index]}`);
+        });
+        lines.push(`${name}_bucket${formatLabels(labelNames, labelValues, { le: '+Inf' })} ${entry.count}`);
+        lines.push(`${name}_sum${formatLabels(labelNames, labelValues)} ${entry.sum}`);
+        lines.push(`${name}_count${formatLabels(labelNames, labelValues)} ${entry.count}`);
+      }
+      return lines;
+    }
+  });
+}
+
+export function renderMetrics() {
+  return `${Array.from(registry.values()).flatMap(metric => metric.render()).join('\n')}\n`;
+}
+
+export const METRICS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Gateway metrics shared by the server and utils
+export const toolCallsTotal = createCounter({
+  name: 'mcp_tool_calls_total',
+  help: 'Tool calls by server, tool and outcome (success, error, rate_limited, denied, pending_approval, rejected, dry_run, replayed, cached)',
+  labelNames: ['server', 'tool', 'status']
+});
+
+export const toolCallDuration = createHistogram({
+  name: 'mcp_tool_call_duration_seconds',
+  help: 'Tool handler latency in seconds',
+  labelNames: ['server', 'tool']
+});
+
+export const upstreamErrorsTotal = createCounter({
+  name: 'mcp_upstream_errors_total',
+  help: 'Failed upstream API requests by provider and HTTP status (or network error code)',
+  labelNames: ['provider', 'status']
+});
+
+export const responseCacheLookupsTotal = createCounter({
+  name: 'mcp_response_cache_lookups_total',
+  help: 'Response cache lookups by server, tool and result (hit, miss, bypass)',
+  labelNames: ['server', 'tool', 'result']
+});
+
+export const sessionsCreatedTotal = createCounter({
+  name: 'mcp_sessions_created_total',
+  help: 'Sessions initialized or restored on this instance, by server',
+  labelNames: ['server']
+});
+
+export const sessionsExpiredTotal = createCounter({
+  name: 'mcp_sessions_expired_total',
+  help: 'Sessions closed by the gateway, by server and reason (idle, max_lifetime, evicted)',
+  labelNames: ['server', 'reason']
+});
+
+export default {
+  createCounter,
+  createGauge,
+  createHistogram,
+  renderMetrics,
+  METRICS_CONTENT_TYPE,
+  toolCallsTotal,
+  toolCallDuration,
+  upstreamErrorsTotal,
+  responseCacheLookupsTotal,
+  sessionsCreatedTotal,
+  sessionsExpiredTotal
+};
@@ -0,0 +1,176 @@
+// OAuth access-token refresh for servers whose tokens expire (Gmail, Google Docs/Sheets, HubSpot, Slack)
+import { createHttpClient } from './http-client.js';
+import { log } from '../multi-mcp-server-simple.js';
+
+/**
+ * A token entry (or stored connection) for an OAuth server can carry what is needed to refresh it:
+ *
+ *   { serverId, accessToken, refreshToken, expiresAt, clientId, clientSecret }
+ *
+ * expiresAt is epoch milliseconds. The client id/secret usually come from the server's
+ * config instead, falling back to <PROVIDER>_CLIENT_ID / <PROVIDER>_CLIENT_SECRET. The token
+ * URL comes from the server's config or the provider; a credential's own tokenUrl is only
+ * used together with its own clientSecret, so the gateway's secret is never sent elsewhere:
+ *
+ * "servers": { "gmail": {
+ *   "oauth": { "provider": "google" }   // or { "tokenUrl", "clientId", "clientSecret" }
+ * } }
+ */
+
+const OAUTH_PROVIDERS = {
+  google: { tokenUrl: 'https://oauth2.googleapis.com/token' },
+  hubspot: { tokenUrl: 'https://api.hubapi.com/oauth/v1/token' },
+  slack: { tokenUrl: 'https://slack.com/api/oauth.v2.access' }
+};
+
+// Refresh this long before the token expires, so it can't lapse mid-call
+const REFRESH_MARGIN_MS = 60 * 1000;
+
+// Slack reports auth failures in a 200 response body rather than a 401
+const UNAUTHORIZED_ERROR_CODES = /\b(invalid_auth|token_expired|not_authed)\b/;
+
+// Created on first use: this module loads while the gateway (which http-client imports) is still initializing
+let tokenClient = null;
+
+// In-flight refreshes, so concurrent calls on one session share a single token request
+const pendingRefreshes = new WeakMap(); // credentials -> Promise<accessToken>
+
+export class OAuthRefreshError extends Error {
+  constructor(message, { serverName, cause } = {}) {
+    super(message, { cause });
+    this.name = 'OAuthRefreshError';
+    this.serverName = serverName;
+  }
+}
+
+// Pick the OAuth fields out of a token entry or decrypted connection, accepting both
+// camelCase and the snake_case of OAuth token responses. Returns null without a refresh token.
+export function extractOAuthState(source) {
+  const refreshToken = source?.refreshToken || source?.refresh_token;
+  if (!refreshToken) {
+    return null;
+  }
+
+  let expiresAt = source.expiresAt ?? source.expires_at ?? null;
+  if (!expiresAt && source.expires_in && source.claimed_at) {
+    // claimed_at is epoch seconds, as stored with the connection
+    expiresAt = (source.claimed_at + source.expires_in) * 1000;
+  }
+
+  return {
+    refreshToken,
+    expiresAt,
+    ...((source.clientId || source.client_id) && { clientId: source.clientId || source.client_id }),
+    ...((source.clientSecret || source.client_secret) && { clientSecret: source.clientSecret || source.client_secret }),
+    ...((source.tokenUrl || source.token_url) && { tokenUrl: source.tokenUrl || source.token_url })
+  };
+}
+
+export function canRefresh(credentials) {
+  return Boolean(credentials?.oauth?.refreshToken);
+}
+
+export function isTokenExpiring(credentials, now = Date.now()) {
+  const expiresAt = credentials?.oauth?.expiresAt;
+  return Boolean(expiresAt) && expiresAt - REFRESH_MARGIN_MS <= now;
+}
+
+/**
+ * Whether an error (or anything in its cause chain) means the access token was rejected:
+ * an HTTP 401 from axios, the shared HTTP client or googleapis, or a Slack auth error code.
+ */
+export function isUnauthorizedError(error) {
+  for (let current = error; current; current = current.cause) {
+    if (current.status === 401 || String(current.code) === '401' || current.response?.status === 401) {
+      return true;
+    }
+    if (UNAUTHORIZED_ERROR_CODES.test(current.message || '')) {
+      return true;
+    }
+  }
+  return false;
+}
+
+export function resolveClientConfig(oauth, serverOAuthConfig = {}) {
+  const provider = serverOAuthConfig.provider;
+  const envPrefix = provider ? provider.toUpperCase().replace(/[^A-Z0-9]/g, '_') : null;
+  // Tokens and connections are supplied by callers, so their token URL is only trusted with their own client
+  const credentialTokenUrl = oauth.clientSecret ? oauth.tokenUrl : null;
+
+  return {
+    tokenUrl: credentialTokenUrl || serverOAuthConfig.tokenUrl || OAUTH_PROVIDERS[provider]?.tokenUrl,
+    clientId: oauth.clientId || serverOAuthConfig.clientId || (envPrefix && process.env[`${envPrefix}_CLIENT_ID`]),
+    clientSecret: oauth.clientSecret || serverOAuthConfig.clientSecret || (envPrefix && process.env[`${envPrefix}_CLIENT_SECRET`])
+  };
+}
+
+async function requestNewToken(serverName, credentials, serverOAuthConfig) {
+  const { tokenUrl, clientId, clientSecret } = resolveClientConfig(credentials.oauth, serverOAuthConfig);
+  if (!tokenUrl || !clientId || !clientSecret) {
+    throw new OAuthRefreshError(`OAuth client is not configured for ${serverName}`, { serverName });
+  }
+
+  let data;
+  try {
+    tokenClient ??= createHttpClient({ provider: 'oauth', maxRetries: 1 });
+    const response = await tokenClient.post(tokenUrl, new URLSearchParams({
+      grant_type: 'refresh_token',
+      refresh_token: credentials.oauth.refreshToken,
+      client_id: clientId,
+      client_secret: clientSecret
+    }).toString(), {
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+    });
+    data = response.data;
+  } catch (error) {
+    throw new OAuthRefreshError(`Failed to refresh ${serverName} access token: ${error.message}`, { serverName, cause: error });
+  }
+
+  // Slack answers 200 with { ok: false, error } and puts user tokens under authed_user
+  const accessToken = data?.access_token || data?.authed_user?.access_token;
+  if (data?.ok === false || !accessToken) {
+    throw new OAuthRefreshError(`Failed to refresh ${serverName} access token: ${data?.error || 'no access_token in response'}`, { serverName });
+  }
+
+  const expiresIn = data.expires_in ?? data.authed_user?.expires_in;
+  credentials.userApiKey = accessToken;
+  credentials.oauth = {
+    ...credentials.oauth,
+    // Providers that rotate refresh tokens (HubSpot, Slack) return a new one
+    refreshToken: data.refresh_token || data.authed_user?.refresh_token || credentials.oauth.refreshToken,
+    expiresAt: expiresIn ? Date.now() + expiresIn * 1000 : null
+  };
+
+  log(serverName, 'Refreshed OAuth access token', { expiresAt: credentials.oauth.expiresAt });
+  return accessToken;
+}
+
+/**
+ * Refresh a server's access token in place: credentials.userApiKey and credentials.oauth
+ * are updated with the new token, expiry and (if rotated) refresh token.
+ *
+ * @param {string} serverName
+ * @param {object} credentials - A session's { serverId, userApiKey, oauth } for the server
+ * @param {object} [serverOAuthConfig] - The server's "oauth" config
+ * @returns {Promise<string>} The new access token
+ */
+export function refreshAccessToken(serverName, credentials, serverOAuthConfig) {
+  if (!canRefresh(credentials)) {
+    return Promise.reject(new OAuthRefreshError(`No refresh token for ${serverName}`, { serverName }));
+  }
+  if (!pendingRefreshes.has(credentials)) {
+    pendingRefreshes.set(credentials, requestNewToken(serverName, credentials, serverOAuthConfig)
+      .finally(() => pendingRefreshes.delete(credentials)));
+  }
+  return pendingRefreshes.get(credentials);
+}
+
+export default {
+  OAuthRefreshError,
+  extractOAuthState,
+  canRefresh,
+  isTokenExpiring,
+  isUnauthorizedError,
+  resolveClientConfig,
+  refreshAccessToken
+};
@@ -0,0 +1,66 @@
+// Output schemas shared by adapters that return structuredContent
+import { z } from 'zod';
+
+// Providers are inconsistent about numeric vs string IDs, counts and ranges
+export const stringOrNumber = z.union([z.string(), z.number()]);
+
+/**
+ * Envelope for tools that hand back a provider's JSON response, with the response's shape.
+ * Handlers return it as structuredContent: { data: response.data }.
+ *
+ * @param {import('zod').ZodTypeAny} schema - Shape of the response body
+ * @param {string} [description]
+ */
+export function responseOutputSchema(schema, description = 'Response body returned by the provider API') {
+  return { data: schema.describe(description) };
+}
+
+// Mutations that answer with an acknowledgement rather than the changed record
+export const acknowledgementSchema = z.object({
+  ok: z.boolean(),
+  success: z.boolean(),
+  id: stringOrNumber,
+  message: z.string()
+});
+
+// Rebuild a schema with every object field nullish and unknown object fields kept
+function loosen(schema) {
+  const description = schema.description;
+  let loose = schema;
+
+  if (schema instanceof z.ZodOptional || schema instanceof z.ZodNullable) {
+    loose = loosen(schema.unwrap());
+  } else if (schema instanceof z.ZodObject) {
+    loose = z.object(Object.fromEntries(
+      Object.entries(schema.shape).map(([key, field]) => [key, loosen(field).nullish()])
+    )).passthrough();
+  } else if (schema instanceof z.ZodArray) {
+    loose = z.array(loosen(schema.element));
+  } else if (schema instanceof z.ZodUnion) {
+    loose = z.union(schema.options.map(loosen));
+  } else if (schema instanceof z.ZodRecord) {
+    loose = z.record(schema.keySchema, loosen(schema.valueSchema));
+  }
+  return description && loose !== schema ? loose.describe(description) : loose;
+}
+
+/**
+ * The schema a tool's outputSchema is registered with. Providers add, drop and retype
+ * fields without notice, and the SDK turns a structuredContent that fails its schema
+ * into an error, so a paid call that succeeded upstream would be lost to a shape drift.
+ * Every field becomes optional and nullable, at any depth, and unknown fields pass through;
+ * the declared types still describe the result to clients.
+ *
+ * @param {object} [outputSchema] - A zod shape, as adapters declare it
+ * @returns {import('zod').ZodObject|undefined}
+ */
+export function toLenientOutputSchema(outputSchema) {
+  return outputSchema ? loosen(z.object(outputSchema)) : undefined;
+}
+
+export default {
+  stringOrNumber,
+  responseOutputSchema,
+  acknowledgementSchema,
+  toLenientOutputSchema
+};
@@ -0,0 +1,144 @@
+// Per-user, per-server and per-tool rate limiting for tool calls
+
+/**
+ * Limits are configured in server.json. Each rule is { limit, windowMs } or an array
+ * of them, so a short burst limit and a long quota (e.g. daily) can be combined.
+ *
+ * "global": {
+ *   "rate_limits": { "per_user": { "limit": 600, "window_ms": 60000 } }   // per userId across all servers
+ * }
+ * "servers": { "hunter": {
+ *   "rateLimits": {
+ *     "perUser": { "limit": 60, "windowMs": 60000 },                        // per userId on this server
+ *     "perServer": [{ "limit": 500, "windowMs": 60000 },
+ *                   { "limit": 20000, "windowMs": 86400000 }],              // all users on this server combined
+ *     "perTool": { "hunter-find-email": { "limit": 10, "windowMs": 60000 } } // per userId per tool
+ *   }
+ * } }
+ */
+
+/**
+ * In-memory fixed-window counter store (default).
+ *
+ * A custom store (e.g. Redis INCR + PEXPIRE) implements
+ * increment(key, windowMs) => Promise<{ count, resetAt }> and decrement(key) => Promise<void>,
+ * which takes back the increments of a call that was rejected.
+ */
+export function createMemoryRateLimitStore({ pruneIntervalMs = 60 * 1000 } = {}) {
+  const windows = new Map(); // key -> { count, resetAt }
+
+  const pruneTimer = setInterval(() => {
+    const now = Date.now();
+    for (const [key, window] of windows.entries()) {
+      if (window.resetAt <= now) {
+        windows.delete(key);
+      }
+    }
+  }, pruneIntervalMs);
+  pruneTimer.unref();
+
+  return {
+    async increment(key, windowMs) {
+      const now = Date.now();
+      let window = windows.get(key);
+      if (!window || window.resetAt <= now) {
+        window = { count: 0, resetAt: now + windowMs };
+        windows.set(key, window);
+      }
+      window.count++;
+      return { count: window.count, resetAt: window.resetAt };
+    },
+    async decrement(key) {
+      const window = windows.get(key);
+      if (window && window.count > 0) {
+        window.count--;
+      }
+    }
+  };
+}
+
+let store = createMemoryRateLimitStore();
+
+export function setRateLimitStore(customStore) {
+  if (!customStore || typeof customStore.increment !== 'function' || typeof customStore.decrement !== 'function') {
+    throw new Error('Rate limit store must implement increment(key, windowMs) and decrement(key)');
+  }
+  store = customStore;
+}
+
+export class RateLimitError extends Error {
+  constructor({ scope, limit, windowMs, retryAfter }) {
+    super(`Rate limit exceeded for ${scope}: ${limit} calls per ${Math.round(windowMs / 1000)}s. Retry after ${retryAfter}s.`);
+    this.name = 'RateLimitError';
+    this.scope = scope;
+    this.limit = limit;
+    this.windowMs = windowMs;
+    this.retryAfter = retryAfter;
+  }
+}
+
+// Normalize a rule to an array of { limit, windowMs }, ignoring malformed entries
+function normalizeRules(rule) {
+  if (!rule) {
+    return [];
+  }
+  return (Array.isArray(rule) ? rule : [rule])
+    .map(entry => ({ limit: entry.limit, windowMs: entry.windowMs ?? entry.window_ms }))
+    .filter(entry => entry.limit > 0 && entry.windowMs > 0);
+}
+
+// Collect every rule that applies to this call, each with its counter key
+function collectRules({ userId, serverName, toolName, serverConfig, globalConfig }) {
+  const serverLimits = serverConfig?.rateLimits || {};
+  const buckets = [
+    { scope: `user ${userId}`, key: `user:${userId}`, rules: globalConfig?.rate_limits?.per_user },
+    { scope: `user ${userId} on ${serverName}`, key: `server:${serverName}:user:${userId}`, rules: serverLimits.perUser },
+    { scope: `server ${serverName}`, key: `server:${serverName}`, rules: serverLimits.perServer },
+    { scope: `tool ${toolName}`, key: `tool:${serverName}:${toolName}:user:${userId}`, rules: serverLimits.perTool?.[toolName] }
+  ];
+
+  return buckets.flatMap(bucket => normalizeRules(bucket.rules).map(rule => ({
+    ...rule,
+    scope: bucket.scope,
+    key: `${bucket.key}:${rule.windowMs}`
+  })));
+}
+
+/**
+ * Count this call against every applicable limit.
+ * Throws RateLimitError for the most restrictive exceeded limit. A rejected call is not
+ * counted, so a client retrying while over a limit doesn't extend its own lockout.
+ */
+export async function enforceRateLimits({ userId, serverName, toolName, serverConfig, globalConfig }) {
+  const rules = collectRules({ userId, serverName, toolName, serverConfig, globalConfig });
+  if (rules.length === 0) {
+    return;
+  }
+
+  const results = await Promise.all(rules.map(async rule => ({
+    rule,
+    ...(await store.increment(rule.key, rule.windowMs))
+  })));
+
+  const exceeded = results
+    .filter(result => result.count > result.rule.limit)
+    .sort((a, b) => b.resetAt - a.resetAt);
+
+  if (exceeded.length > 0) {
+    await Promise.all(rules.map(rule => store.decrement(rule.key)));
+    const { rule, resetAt } = exceeded[0];
+    throw new RateLimitError({
+      scope: rule.scope,
+      limit: rule.limit,
+      windowMs: rule.windowMs,
+      retryAfter: Math.max(1, Math.ceil((resetAt - Date.now()) / 1000))
+    });
+  }
+}
+
+export default {
+  createMemoryRateLimitStore,
+  setRateLimitStore,
+  enforceRateLimits,
+  RateLimitError
+};
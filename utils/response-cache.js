@@ -0,0 +1,217 @@
+// Response cache for read-only lookups that cost credits: identical calls within the TTL reuse the result
+import { createHash } from 'node:crypto';
+import { log } from '../multi-mcp-server-simple.js';
+import { responseCacheLookupsTotal } from './metrics.js';
+import { stableStringify } from './idempotency.js';
+import { matchesToolPattern } from './tool-policy.js';
+
+/**
+ * Results are keyed on server, tool, arguments (in any key order) and a hash of the caller's
+ * credential, so users with different keys never share an entry. Only successful results of
+ * read-only tools are cached. Configured in server.json (RESPONSE_CACHE=true turns it on with
+ * the defaults; the store defaults to memory, or redis when REDIS_URL is set):
+ *
+ * "global": {
+ *   "response_cache": {
+ *     "tools": { "builtwith-domain-details": 86400000, "hunter-*": 3600000 }, // TTL in ms, "*" globs
+ *     "store": "redis", "url": "redis://localhost:6379", "key_prefix": "mcp:cache:",
+ *     "max_entries": 10000                                                      // memory store only
+ *   }
+ * }
+ *
+ * A call skips the cache (and refreshes the entry) with _meta.cacheBypass: true or a
+ * Cache-Control: no-cache header.
+ */
+
+export const DEFAULT_CACHED_TOOLS = {
+  'builtwith-domain-details': 24 * 60 * 60 * 1000,
+  'apollo-organization-enrichment': 24 * 60 * 60 * 1000,
+  'hunter-domain-search': 24 * 60 * 60 * 1000,
+  'ocean-find-company': 24 * 60 * 60 * 1000,
+  'meerkats-get-mx-for-domain': 60 * 60 * 1000
+};
+
+/**
+ * In-memory store (default), enough for a single instance.
+ *
+ * A custom store only needs get(key) => Promise<entry|null> and set(key, entry, ttlMs).
+ */
+export function createMemoryCacheStore({ pruneIntervalMs = 60 * 1000, maxEntries = 10000 } = {}) {
+  const entries = new Map(); // key -> { entry, expiresAt }, oldest first
+
+  const pruneTimer = setInterval(() => {
+    const now = Date.now();
+    for (const [key, stored] of entries.entries()) {
+      if (stored.expiresAt <= now) {
+        entries.delete(key);
+      }
+    }
+  }, pruneIntervalMs);
+  pruneTimer.unref();
+
+  return {
+    type: 'memory',
+    async get(key) {
+      const stored = entries.get(key);
+      return stored && stored.expiresAt > Date.now() ? stored.entry : null;
+    },
+    async set(key, entry, ttlMs) {
+      entries.delete(key);
+      entries.set(key, { entry, expiresAt: Date.now() + ttlMs });
+      // Lookups return large payloads, so the oldest entries go first once full
+      if (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+    async close() {
+      clearInterval(pruneTimer);
+    }
+  };
+}
+
+// Redis (or any RESP-compatible server) through an ioredis-style client, shared by every instance
+export function createRedisCacheStore({ client, keyPrefix = 'mcp:cache:' }) {
+  return {
+    type: 'redis',
+    async get(key) {
+      const value = await client.get(`${keyPrefix}${key}`);
+      return value ? JSON.parse(value) : null;
+    },
+    async set(key, entry, ttlMs) {
+      await client.set(`${keyPrefix}${key}`, JSON.stringify(entry), 'PX', ttlMs);
+    },
+    async close() {
+      await client.quit?.();
+    }
+  };
+}
+
+let store = null;
+let cachedTools = null; // tool name or glob -> TTL in ms, or null when the cache is off
+
+export function setResponseCacheStore(customStore) {
+  if (!customStore || typeof customStore.get !== 'function' || typeof customStore.set !== 'function') {
+    throw new Error('Response cache store must implement get(key) and set(key, entry, ttlMs)');
+  }
+  store = customStore;
+  cachedTools ??= DEFAULT_CACHED_TOOLS;
+}
+
+export function getResponseCacheStoreType() {
+  return store ? store.type || 'custom' : null;
+}
+
+// Select the cached tools and the store from the global response_cache config, RESPONSE_CACHE or REDIS_URL
+export async function initResponseCache(cacheConfig) {
+  const enabled = process.env.RESPONSE_CACHE === 'true' || (cacheConfig && cacheConfig.enabled !== false);
+  await store?.close?.();
+  store = null;
+  cachedTools = null;
+  if (!enabled) {
+    return null;
+  }
+
+  const url = cacheConfig?.url || process.env.REDIS_URL;
+  const type = cacheConfig?.store || (url ? 'redis' : 'memory');
+  if (type === 'memory') {
+    store = createMemoryCacheStore({ maxEntries: cacheConfig?.max_entries });
+  } else if (type === 'redis') {
+    if (!url) {
+      throw new Error('response_cache.url or REDIS_URL is required for the redis response cache');
+    }
+    const { default: Redis } = await import('ioredis');
+    store = createRedisCacheStore({ client: new Redis(url, { maxRetriesPerRequest: 3 }), keyPrefix: cacheConfig?.key_prefix });
+  } else {
+    throw new Error(`Unknown response cache store type: ${type}`);
+  }
+
+  cachedTools = cacheConfig?.tools ?? DEFAULT_CACHED_TOOLS;
+  return getResponseCacheStoreType();
+}
+
+export async function closeResponseCache() {
+  await store?.close?.();
+}
+
+/**
+ * TTL for a tool's results, or null when it isn't cached. Exact names win over globs.
+ *
+ * @param {string} toolName
+ * @returns {number|null}
+ */
+export function getCacheTtlMs(toolName) {
+  if (!cachedTools || !store) {
+    return null;
+  }
+  if (Object.hasOwn(cachedTools, toolName)) {
+    return cachedTools[toolName] || null;
+  }
+  const pattern = Object.keys(cachedTools).find(key => key.includes('*') && matchesToolPattern([key], toolName));
+  return pattern ? cachedTools[pattern] || null : null;
+}
+
+// _meta.cacheBypass: true, or Cache-Control: no-cache on the HTTP request carrying the call
+export function isCacheBypassed(extra = {}) {
+  const cacheControl = extra.requestInfo?.headers?.['cache-control'];
+  return extra._meta?.cacheBypass === true || /\bno-cache\b/i.test(String(cacheControl ?? ''));
+}
+
+const sha256 = value => createHash('sha256').update(value).digest('hex');
+
+/**
+ * Return the cached result of a call, or run it and cache a successful result.
+ *
+ * @param {object} call
+ * @param {string} call.serverName
+ * @param {string} call.toolName
+ * @param {object} call.args
+ * @param {string} [call.credential] - The caller's API key or access token; only its hash is kept
+ * @param {boolean} [call.bypass] - Skip the lookup, still caching the fresh result
+ * @param {Function} execute - Runs the call, resolving to the tool result
+ * @returns {Promise<{result: object, hit: boolean, cachedAt?: number}>}
+ */
+export async function runCached({ serverName, toolName, args, credential, bypass = false }, execute) {
+  const ttlMs = getCacheTtlMs(toolName);
+  if (!ttlMs) {
+    return { result: await execute(), hit: false };
+  }
+
+  const key = sha256([serverName, toolName, stableStringify(args ?? {}), sha256(credential ?? '')].join('\n'));
+  const labels = { server: serverName, tool: toolName };
+
+  if (bypass) {
+    responseCacheLookupsTotal.inc({ ...labels, result: 'bypass' });
+  } else {
+    let cached = null;
+    try {
+      cached = await store.get(key);
+    } catch (error) {
+      log.warn('CACHE', 'Failed to read response cache, running the call', { tool: toolName, error: error.message });
+    }
+    responseCacheLookupsTotal.inc({ ...labels, result: cached ? 'hit' : 'miss' });
+    if (cached) {
+      return { result: cached.result, hit: true, cachedAt: cached.cachedAt };
+    }
+  }
+
+  const result = await execute();
+  if (!result?.isError) {
+    await store.set(key, { result, cachedAt: Date.now() }, ttlMs).catch(error => {
+      log.warn('CACHE', 'Failed to write response cache', { tool: toolName, error: error.message });
+    });
+  }
+  return { result, hit: false };
+}
+
+export default {
+  DEFAULT_CACHED_TOOLS,
+  createMemoryCacheStore,
+  createRedisCacheStore,
+  setResponseCacheStore,
+  getResponseCacheStoreType,
+  initResponseCache,
+  closeResponseCache,
+  getCacheTtlMs,
+  isCacheBypassed,
+  runCached
+};
@@ -0,0 +1,265 @@
+// Revoked Bearer tokens, by jti or by userId, checked when a session initializes or is restored
+import fs from 'fs';
+import { log } from '../multi-mcp-server-simple.js';
+
+/**
+ * A token is rejected when its jti is revoked, or when its userId is revoked and the token
+ * was issued (iat) before the revocation, so the user can sign in again with a new token.
+ * Revocations come from a file that is re-read when it changes, and from the admin API
+ * (POST /admin/revocations), which writes them to the store. Configured in server.json:
+ *
+ * "global": {
+ *   "revocation": {
+ *     "file": "revoked.json",          // { "jti": ["8c1d..."], "users": { "user-123": "2025-06-01T00:00:00Z" } }
+ *     "store": "redis", "url": "redis://localhost:6379", "key_prefix": "mcp:revoked:"
+ *   }
+ * }
+ *
+ * The store defaults to memory, or redis when REDIS_URL is set. If the store can't be read
+ * the token is rejected.
+ */
+
+const ENTRY_TYPES = new Set(['jti', 'user']);
+
+/**
+ * In-memory store (default): revocations made through the admin API apply to this instance only.
+ *
+ * A custom store only needs get(type, id), set(entry, ttlMs), delete(type, id) and list().
+ */
+export function createMemoryRevocationStore({ pruneIntervalMs = 60 * 1000 } = {}) {
+  const entries = new Map(); // type:id -> { entry, expiresAt }
+
+  const pruneTimer = setInterval(() => {
+    const now = Date.now();
+    for (const [key, stored] of entries.entries()) {
+      if (stored.expiresAt && stored.expiresAt <= now) {
+        entries.delete(key);
+      }
+    }
+  }, pruneIntervalMs);
+  pruneTimer.unref();
+
+  const isLive = stored => stored && (!stored.expiresAt || stored.expiresAt > Date.now());
+
+  return {
+    type: 'memory',
+    async get(type, id) {
+      const stored = entries.get(`${type}:${id}`);
+      return isLive(stored) ? stored.entry : null;
+    },
+    async set(entry, ttlMs) {
+      entries.set(`${entry.type}:${entry.id}`, { entry, expiresAt: ttlMs ? Date.now() + ttlMs : null });
+    },
+    async delete(type, id) {
+      return entries.delete(`${type}:${id}`);
+    },
+    async list() {
+      return Array.from(entries.values()).filter(isLive).map(stored => stored.entry);
+    },
+    async close() {
+      clearInterval(pruneTimer);
+    }
+  };
+}
+
+// Redis (or any RESP-compatible server) through an ioredis-style client, shared by every instance
+export function createRedisRevocationStore({ client, keyPrefix = 'mcp:revoked:' }) {
+  return {
+    type: 'redis',
+    async get(type, id) {
+      const value = await client.get(`${keyPrefix}${type}:${id}`);
+      return value ? JSON.parse(value) : null;
+    },
+    async set(entry, ttlMs) {
+      const key = `${keyPrefix}${entry.type}:${entry.id}`;
+      if (ttlMs) {
+        await client.set(key, JSON.stringify(entry), 'PX', ttlMs);
+      } else {
+        await client.set(key, JSON.stringify(entry));
+      }
+    },
+    async delete(type, id) {
+      return (await client.del(`${keyPrefix}${type}:${id}`)) > 0;
+    },
+    async list() {
+      const keys = [];
+      let cursor = '0';
+      do {
+        const [nextCursor, batch] = await client.scan(cursor, 'MATCH', `${keyPrefix}*`, 'COUNT', 100);
+        cursor = nextCursor;
+        keys.push(...batch);
+      } while (cursor !== '0');
+      if (keys.length === 0) {
+        return [];
+      }
+      return (await client.mget(keys)).filter(Boolean).map(value => JSON.parse(value));
+    },
+    async close() {
+      await client.quit?.();
+    }
+  };
+}
+
+let store = createMemoryRevocationStore();
+let revocationFile = null;
+let fileEntries = { jti: new Set(), users: new Map(), mtimeMs: 0 }; // users: userId -> revokedAt (ms)
+
+export function setRevocationStore(customStore) {
+  if (!customStore || ['get', 'set', 'delete', 'list'].some(method => typeof customStore[method] !== 'function')) {
+    throw new Error('Revocation store must implement get(type, id), set(entry, ttlMs), delete(type, id) and list()');
+  }
+  store = customStore;
+}
+
+export function getRevocationStoreType() {
+  return store.type || 'custom';
+}
+
+// Select the store and the revocation file from the global revocation config or REDIS_URL
+export async function initRevocation(revocationConfig = {}) {
+  revocationFile = revocationConfig.file || null;
+  fileEntries = { jti: new Set(), users: new Map(), mtimeMs: 0 };
+  await readRevocationFile();
+
+  const url = revocationConfig.url || process.env.REDIS_URL;
+  const type = revocationConfig.store || (url ? 'redis' : 'memory');
+  if (type === 'memory') {
+    return getRevocationStoreType();
+  }
+  if (type !== 'redis') {
+    throw new Error(`Unknown revocation store type: ${type}`);
+  }
+  if (!url) {
+    throw new Error('revocation.url or REDIS_URL is required for the redis revocation store');
+  }
+
+  const { default: Redis } = await import('ioredis');
+  await store.close?.();
+  store = createRedisRevocationStore({ client: new Redis(url, { maxRetriesPerRequest: 3 }), keyPrefix: revocationConfig.key_prefix });
+  return getRevocationStoreType();
+}
+
+export async function closeRevocationStore() {
+  await store.close?.();
+}
+
+// Re-read the revocation file when its mtime changed; a broken file keeps the previous entries
+async function readRevocationFile() {
+  if (!revocationFile) {
+    return;
+  }
+  try {
+    const { mtimeMs } = await fs.promises.stat(revocationFile);
+    if (mtimeMs === fileEntries.mtimeMs) {
+      return;
+    }
+    const { jti = [], users = {} } = JSON.parse(await fs.promises.readFile(revocationFile, 'utf8'));
+    fileEntries = {
+      jti: new Set(jti),
+      users: new Map(Object.entries(users).map(([userId, revokedAt]) => [userId, new Date(revokedAt).getTime()])),
+      mtimeMs
+    };
+    log('AUTH', `Loaded revocation file ${revocationFile}`, { jti: fileEntries.jti.size, users: fileEntries.users.size });
+  } catch (error) {
+    log.warn('AUTH', `Failed to read revocation file ${revocationFile}`, { error: error.message });
+  }
+}
+
+/**
+ * Why a token is revoked, or null when it isn't.
+ *
+ * @param {object} token
+ * @param {string} [token.jti]
+ * @param {string} token.userId
+ * @param {number} [token.iat] - Issued-at in seconds; tokens without it count as issued before any revocation
+ * @returns {Promise<object|null>} The matching revocation entry
+ * @throws {Error} When the store can't be read
+ */
+export async function checkRevocation({ jti, userId, iat }) {
+  await readRevocationFile();
+
+  if (jti && fileEntries.jti.has(jti)) {
+    return { type: 'jti', id: jti, source: 'file' };
+  }
+  const issuedAt = iat ? iat * 1000 : 0;
+  const fileRevokedAt = fileEntries.users.get(userId);
+  if (fileRevokedAt && issuedAt <= fileRevokedAt) {
+    return { type: 'user', id: userId, revokedAt: new Date(fileRevokedAt).toISOString(), source: 'file' };
+  }
+
+  const [jtiEntry, userEntry] = await Promise.all([
+    jti ? store.get('jti', jti) : null,
+    store.get('user', userId)
+  ]);
+  if (jtiEntry) {
+    return jtiEntry;
+  }
+  if (userEntry && issuedAt <= new Date(userEntry.revokedAt).getTime()) {
+    return userEntry;
+  }
+  return null;
+}
+
+/**
+ * Revoke a token by jti, or every token issued to a user so far.
+ *
+ * @param {object} revocation
+ * @param {string} revocation.type - "jti" or "user"
+ * @param {string} revocation.id - The jti or userId
+ * @param {string} [revocation.reason]
+ * @param {string|number} [revocation.expiresAt] - Drop the entry after this, e.g. the token's exp
+ * @returns {Promise<object>} The stored entry
+ */
+export async function revoke({ type, id, reason, expiresAt }) {
+  if (!ENTRY_TYPES.has(type) || !id) {
+    throw new Error('A revocation needs a jti or a userId');
+  }
+  const expiresAtMs = expiresAt ? new Date(expiresAt).getTime() : null;
+  if (Number.isNaN(expiresAtMs) || (expiresAtMs && expiresAtMs <= Date.now())) {
+    throw new Error('expiresAt must be a date in the future');
+  }
+
+  const entry = {
+    type,
+    id: String(id),
+    reason: reason ?? null,
+    revokedAt: new Date().toISOString(),
+    expiresAt: expiresAtMs ? new Date(expiresAtMs).toISOString() : null
+  };
+  await store.set(entry, expiresAtMs ? expiresAtMs - Date.now() : null);
+  log.warn('AUTH', `Revoked ${type} ${entry.id}`, { reason: entry.reason });
+  return entry;
+}
+
+// Lift a revocation made through revoke(); entries in the revocation file stay
+export async function unrevoke(type, id) {
+  return store.delete(type, id);
+}
+
+// Revocations in the store and the file
+export async function listRevocations() {
+  await readRevocationFile();
+  return [
+    ...(await store.list()),
+    ...Array.from(fileEntries.jti, jti => ({ type: 'jti', id: jti, source: 'file' })),
+    ...Array.from(fileEntries.users, ([userId, revokedAt]) => ({
+      type: 'user',
+      id: userId,
+      revokedAt: new Date(revokedAt).toISOString(),
+      source: 'file'
+    }))
+  ];
+}
+
+export default {
+  createMemoryRevocationStore,
+  createRedisRevocationStore,
+  setRevocationStore,
+  getRevocationStoreType,
+  initRevocation,
+  closeRevocationStore,
+  checkRevocation,
+  revoke,
+  unrevoke,
+  listRevocations
+};
@@ -0,0 +1,86 @@
+// Session idle timeouts, absolute lifetimes and the per-user session cap
+/**
+ * Configured in server.json; per-server values override the global ones:
+ *
+ * "global": {
+ *   "session_cleanup_interval": 300000,    // how often expired sessions are swept, in ms
+ *   "sessions": {
+ *     "idle_timeout_ms": 300000,           // close a session after this long without requests (default 5 minutes)
+ *     "max_lifetime_ms": 86400000,         // close a session this long after it was created, however busy (default none)
+ *     "max_per_user": 20                   // live sessions per userId, across instances sharing the session store; the oldest is closed (default none)
+ *   }
+ * }
+ * "servers": { "firecrawl": {
+ *   "sessions": { "idleTimeoutMs": 900000, "maxLifetimeMs": 3600000 }
+ * } }
+ *
+ * An aggregate session spanning several servers gets the shortest timeout and lifetime among them.
+ */
+
+export const DEFAULT_IDLE_TIMEOUT_MS = 5 * 60 * 1000;
+export const DEFAULT_CLEANUP_INTERVAL_MS = 5 * 60 * 1000;
+
+const positive = value => (Number.isFinite(value) && value > 0 ? value : null);
+
+// Smallest of the values that are set, or null when none is
+function shortest(values) {
+  const set = values.filter(value => value !== null);
+  return set.length > 0 ? Math.min(...set) : null;
+}
+
+/**
+ * Timeouts for a session on the given servers.
+ *
+ * @param {object[]} serverConfigs - server.json entries of the session's servers
+ * @param {object} [globalConfig] - The global section of server.json
+ * @returns {{ idleTimeoutMs: number, maxLifetimeMs: number|null }}
+ */
+export function getSessionLimits(serverConfigs, globalConfig) {
+  const defaults = globalConfig?.sessions || {};
+  const idleTimeoutMs = shortest(serverConfigs.map(serverConfig => positive(serverConfig?.sessions?.idleTimeoutMs)));
+  const maxLifetimeMs = shortest(serverConfigs.map(serverConfig => positive(serverConfig?.sessions?.maxLifetimeMs)));
+
+  return {
+    idleTimeoutMs: idleTimeoutMs ?? positive(defaults.idle_timeout_ms) ?? DEFAULT_IDLE_TIMEOUT_MS,
+    maxLifetimeMs: shortest([maxLifetimeMs, positive(defaults.max_lifetime_ms)])
+  };
+}
+
+// Live sessions allowed per user, or null for no cap
+export function getMaxSessionsPerUser(globalConfig) {
+  return positive(globalConfig?.sessions?.max_per_user);
+}
+
+export function getCleanupIntervalMs(globalConfig) {
+  return positive(globalConfig?.session_cleanup_interval) ?? DEFAULT_CLEANUP_INTERVAL_MS;
+}
+
+/**
+ * Why a session has expired, or null if it hasn't. A session running a tool call is never idle.
+ *
+ * @param {object} session
+ * @param {number} session.createdAt
+ * @param {number} session.lastActive
+ * @param {number} [session.activeCalls]
+ * @param {{ idleTimeoutMs: number, maxLifetimeMs: number|null }} limits
+ * @param {number} [now]
+ * @returns {'max_lifetime'|'idle'|null}
+ */
+export function getExpiryReason({ createdAt, lastActive, activeCalls = 0 }, limits, now = Date.now()) {
+  if (limits.maxLifetimeMs && createdAt && now - createdAt >= limits.maxLifetimeMs) {
+    return 'max_lifetime';
+  }
+  if (activeCalls === 0 && lastActive && now - lastActive > limits.idleTimeoutMs) {
+    return 'idle';
+  }
+  return null;
+}
+
+export default {
+  DEFAULT_IDLE_TIMEOUT_MS,
+  DEFAULT_CLEANUP_INTERVAL_MS,
+  getSessionLimits,
+  getMaxSessionsPerUser,
+  getCleanupIntervalMs,
+  getExpiryReason
+};
@@ -0,0 +1,244 @@
+// Session metadata store, so any gateway instance can rebuild a session after a restart
+import { createCipheriv, createDecipheriv, createHash, randomBytes } from 'node:crypto';
+
+/**
+ * A session record is everything needed to rebuild a session's McpServer and
+ * transport without a new initialize handshake:
+ *
+ * {
+ *   sessionId, serverName, serverId, userId,
+ *   credentialRef,                                  // encrypted user API key / access token
+ *   protocolVersion, clientInfo, clientCapabilities, // from the client's initialize request
+ *   createdAt, lastActive
+ * }
+ *
+ * Configured in server.json (defaults to memory, or redis when REDIS_URL is set):
+ *
+ * "global": {
+ *   "session_store": { "type": "redis", "url": "redis://localhost:6379", "key_prefix": "mcp:session:" }
+ * }
+ */
+
+/**
+ * In-memory store (default). Sessions survive nothing but are shared by every
+ * server on this instance, which is all a single instance needs.
+ *
+ * A custom store only needs to implement
+ * get(sessionId) => Promise<record|null>, set(sessionId, record, ttlMs) and delete(sessionId).
+ * Stores shared by several instances should also implement listByUser(userId) => Promise<record[]>,
+ * so the per-user session cap counts every instance's sessions.
+ */
+export function createMemorySessionStore({ pruneIntervalMs = 60 * 1000 } = {}) {
+  const sessions = new Map(); // sessionId -> { record, expiresAt }
+
+  const pruneTimer = setInterval(() => {
+    const now = Date.now();
+    for (const [sessionId, entry] of sessions.entries()) {
+      if (entry.expiresAt <= now) {
+        sessions.delete(sessionId);
+      }
+    }
+  }, pruneIntervalMs);
+  pruneTimer.unref();
+
+  return {
+    type: 'memory',
+    async get(sessionId) {
+      const entry = sessions.get(sessionId);
+      if (!entry || entry.expiresAt <= Date.now()) {
+        return null;
+      }
+      return entry.record;
+    },
+    async set(sessionId, record, ttlMs) {
+      sessions.set(sessionId, { record, expiresAt: Date.now() + ttlMs });
+    },
+    async delete(sessionId) {
+      sessions.delete(sessionId);
+    },
+    async listByUser(userId) {
+      const now = Date.now();
+      return Array.from(sessions.values())
+        .filter(entry => entry.expiresAt > now && entry.record.userId === userId)
+        .map(entry => entry.record);
+    },
+    async close() {
+      clearInterval(pruneTimer);
+    }
+  };
+}
+
+/**
+ * Redis-backed store. Works with any client exposing ioredis-style
+ * get, mget, set(key, value, 'PX', ttlMs), del, zadd, zrange, zrem, pttl and pexpire,
+ * so Redis, Valkey, Memorystore and other RESP-compatible servers all work.
+ * Each user's session ids are indexed in a sorted set by creation time; ids whose
+ * record has expired are dropped from it when the user's sessions are listed.
+ */
+export function createRedisSessionStore({ client, keyPrefix = 'mcp:session:' }) {
+  const key = sessionId => `${keyPrefix}${sessionId}`;
+  const userKey = userId => `${keyPrefix}user:${userId}`;
+
+  const get = async sessionId => {
+    const value = await client.get(key(sessionId));
+    return value ? JSON.parse(value) : null;
+  };
+
+  return {
+    type: 'redis',
+    get,
+    async set(sessionId, record, ttlMs) {
+      await client.set(key(sessionId), JSON.stringify(record), 'PX', ttlMs);
+      if (record.userId) {
+        const indexKey = userKey(record.userId);
+        await client.zadd(indexKey, record.createdAt ?? Date.now(), sessionId);
+        // The index lives as long as the user's longest-lived session record
+        if (await client.pttl(indexKey) < ttlMs) {
+          await client.pexpire(indexKey, ttlMs);
+        }
+      }
+    },
+    async delete(sessionId) {
+      const record = await get(sessionId);
+      await client.del(key(sessionId));
+      if (record?.userId) {
+        await client.zrem(userKey(record.userId), sessionId);
+      }
+    },
+    async listByUser(userId) {
+      const sessionIds = await client.zrange(userKey(userId), 0, -1);
+      if (sessionIds.length === 0) {
+        return [];
+      }
+      const values = await client.mget(sessionIds.map(key));
+      const expired = sessionIds.filter((sessionId, index) => !values[index]);
+      if (expired.length > 0) {
+        await client.zrem(userKey(userId), ...expired);
+      }
+      return values.filter(Boolean).map(value => JSON.parse(value));
+    },
+    async close() {
+      await client.quit?.();
+    }
+  };
+}
+
+let store = createMemorySessionStore();
+
+export function setSessionStore(customStore) {
+  for (const method of ['get', 'set', 'delete']) {
+    if (!customStore || typeof customStore[method] !== 'function') {
+      throw new Error('Session store must implement get(sessionId), set(sessionId, record, ttlMs) and delete(sessionId)');
+    }
+  }
+  store = customStore;
+}
+
+export function getSessionStoreType() {
+  return store.type || 'custom';
+}
+
+/**
+ * Select the backend from the global session_store config or REDIS_URL.
+ * ioredis is imported lazily so memory-only deployments never load it.
+ */
+export async function initSessionStore(storeConfig = {}) {
+  const url = storeConfig.url || process.env.REDIS_URL;
+  const type = storeConfig.type || (url ? 'redis' : 'memory');
+
+  if (type === 'memory') {
+    return getSessionStoreType();
+  }
+  if (type !== 'redis') {
+    throw new Error(`Unknown session store type: ${type}`);
+  }
+  if (!url) {
+    throw new Error('session_store.url or REDIS_URL is required for the redis session store');
+  }
+
+  const { default: Redis } = await import('ioredis');
+  const client = new Redis(url, { maxRetriesPerRequest: 3 });
+  await store.close?.();
+  store = createRedisSessionStore({ client, keyPrefix: storeConfig.key_prefix });
+  return getSessionStoreType();
+}
+
+export async function closeSessionStore() {
+  await store.close?.();
+}
+
+export async function saveSession(record, ttlMs) {
+  await store.set(record.sessionId, record, ttlMs);
+}
+
+export async function loadSession(sessionId) {
+  return store.get(sessionId);
+}
+
+export async function deleteSession(sessionId) {
+  await store.delete(sessionId);
+}
+
+/**
+ * Stored sessions of a user, across every instance sharing the store.
+ *
+ * @returns {Promise<object[]|null>} The records, or null when the store can't list them
+ */
+export async function listUserSessions(userId) {
+  return typeof store.listByUser === 'function' ? store.listByUser(userId) : null;
+}
+
+// Record activity on a stored session and push its expiry back.
+// Returns false when the record is gone, e.g. removed by another instance.
+export async function touchSession(sessionId, lastActive, ttlMs) {
+  const record = await store.get(sessionId);
+  if (!record) {
+    return false;
+  }
+  await store.set(sessionId, { ...record, lastActive }, ttlMs);
+  return true;
+}
+
+// Credentials are never stored in plain text. The key comes from SESSION_ENCRYPTION_KEY,
+// falling back to JWT_SECRET, and must be the same on every instance.
+function getEncryptionKey() {
+  const secret = process.env.SESSION_ENCRYPTION_KEY || process.env.JWT_SECRET;
+  if (!secret) {
+    throw new Error('SESSION_ENCRYPTION_KEY or JWT_SECRET environment variable is required');
+  }
+  return createHash('sha256').update(secret).digest();
+}
+
+// AES-256-GCM, serialized as v1:<iv>:<auth tag>:<ciphertext> in base64
+export function encryptCredential(credential) {
+  const iv = randomBytes(12);
+  const cipher = createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(String(credential), 'utf8'), cipher.final()]);
+  return ['v1', iv.toString('base64'), cipher.getAuthTag().toString('base64'), ciphertext.toString('base64')].join(':');
+}
+
+export function decryptCredential(credentialRef) {
+  const [version, iv, authTag, ciphertext] = String(credentialRef).split(':');
+  if (version !== 'v1' || !iv || !authTag || !ciphertext) {
+    throw new Error('Unsupported credential reference');
+  }
+  const decipher = createDecipheriv('aes-256-gcm', getEncryptionKey(), Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(authTag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]).toString('utf8');
+}
+
+export default {
+  createMemorySessionStore,
+  createRedisSessionStore,
+  setSessionStore,
+  getSessionStoreType,
+  initSessionStore,
+  closeSessionStore,
+  saveSession,
+  loadSession,
+  deleteSession,
+  listUserSessions,
+  touchSession,
+  encryptCredential,
+  decryptCredential
+};
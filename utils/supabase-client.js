@@ -0,0 +1,23 @@
+// Supabase client for gateway features that read or write the meerkats schema
+
+/**
+ * Create a service-role client on the meerkats schema, without session persistence or token refresh.
+ * @supabase/supabase-js is imported lazily so deployments that never use it don't load it.
+ */
+export async function createSupabaseClient() {
+  const supabaseUrl = process.env.SUPABASE_URL;
+  const supabaseKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+  if (!supabaseUrl || !supabaseKey) {
+    throw new Error('SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY environment variables are required');
+  }
+
+  const { createClient } = await import('@supabase/supabase-js');
+  return createClient(supabaseUrl, supabaseKey, {
+    auth: { autoRefreshToken: false, persistSession: false },
+    db: { schema: 'meerkats' }
+  });
+}
+
+export default {
+  createSupabaseClient
+};
@@ -0,0 +1,62 @@
+// Per-call context handed to adapter tool handlers
+import { log } from '../multi-mcp-server-simple.js';
+import { combineSignals } from './cancellation.js';
+
+/**
+ * Build the context object passed as the fourth argument to every tool handler.
+ *
+ * Handlers are invoked as handler(args, apiKey, userId, context), so adapters
+ * declared as (args, apiKey, userId) keep working and simply ignore it.
+ *
+ * @param {object} options
+ * @param {string} options.serverName - Server the tool belongs to (e.g. "hunter")
+ * @param {string} options.toolName - Name of the tool being called
+ * @param {object} options.transport - Session transport holding the authenticated user data
+ * @param {object} options.extra - Request handler extra supplied by the MCP SDK
+ * @param {boolean} [options.detached] - Keep running when the session ends, e.g. a call approved out of band
+ */
+export function createToolContext({ serverName, toolName, transport, extra = {}, detached = false }) {
+  const sessionId = transport.sessionId || extra.sessionId;
+  const progressToken = extra._meta?.progressToken;
+  // Aborts when the client cancels the request or the session ends
+  const signal = combineSignals(extra.signal, detached ? null : transport.abortController?.signal);
+
+  // Sends notifications/progress when the client asked for it, no-op otherwise
+  const notifyProgress = async (progress, total, message) => {
+    if (progressToken === undefined || !extra.sendNotification) {
+      return;
+    }
+
+    try {
+      await extra.sendNotification({
+        method: 'notifications/progress',
+        params: {
+          progressToken,
+          progress,
+          ...(total !== undefined && { total }),
+          ...(message && { message })
+        }
+      });
+    } catch (error) {
+      log(serverName, `Failed to send progress for ${toolName}`, { error: error.message });
+    }
+  };
+
+  // Handlers run inside a log context carrying the session, tool and user, so lines are already tagged
+  const scopedLog = (message, data = null) => {
+    log(serverName, message, data);
+  };
+
+  return {
+    serverName,
+    toolName,
+    userId: transport.userId,
+    // Aggregate sessions hold a serverId per server
+    serverId: transport.serverCredentials?.[serverName]?.serverId ?? transport.serverId,
+    sessionId,
+    requestId: extra.requestId,
+    signal,
+    notifyProgress,
+    log: scopedLog
+  };
+}
@@ -0,0 +1,210 @@
+// Error taxonomy for tool calls: every failure is returned as an isError result with a machine-readable code
+import { HttpError } from './http-client.js';
+
+/**
+ * Failed tool calls return:
+ *
+ * {
+ *   isError: true,
+ *   content: [{ type: 'text', text: 'Hunter email finder failed: ... (VALIDATION_ERROR, HTTP 400)' }],
+ *   structuredContent: {
+ *     error: { code: 'VALIDATION_ERROR', message, provider: 'hunter', status: 400, retryable: false }
+ *   }
+ * }
+ *
+ * Adapters get this for free by rethrowing with { cause: error }, so the gateway can
+ * see the HttpError (or axios/googleapis error) underneath. They can also throw a
+ * ToolError to pick the code themselves.
+ */
+
+export const ERROR_CODES = {
+  AUTH_FAILED: 'AUTH_FAILED',                    // missing, invalid or expired credentials
+  QUOTA_EXHAUSTED: 'QUOTA_EXHAUSTED',            // provider rate limit or plan quota
+  VALIDATION_ERROR: 'VALIDATION_ERROR',          // the provider rejected the arguments
+  NOT_FOUND: 'NOT_FOUND',
+  UPSTREAM_UNAVAILABLE: 'UPSTREAM_UNAVAILABLE',  // provider 5xx or unreachable
+  TIMEOUT: 'TIMEOUT',
+  RATE_LIMITED: 'RATE_LIMITED',                  // over one of the gateway's own rate limits (utils/rate-limiter.js)
+  TOOL_NOT_ALLOWED: 'TOOL_NOT_ALLOWED',          // outside the session's tool policy
+  APPROVAL_REQUIRED: 'APPROVAL_REQUIRED',        // parked until a human approves it (utils/approvals.js)
+  APPROVAL_REJECTED: 'APPROVAL_REJECTED',        // a human declined it
+  DRY_RUN_UNSUPPORTED: 'DRY_RUN_UNSUPPORTED',    // the adapter can't capture its requests (utils/dry-run.js)
+  IDEMPOTENCY_CONFLICT: 'IDEMPOTENCY_CONFLICT',  // idempotency key reused with other arguments (utils/idempotency.js)
+  CANCELLED: 'CANCELLED',                        // the client cancelled the call or its session ended (utils/cancellation.js)
+  INTERNAL_ERROR: 'INTERNAL_ERROR'               // anything else, including adapter bugs
+};
+
+const TIMEOUT_NETWORK_CODES = new Set(['ETIMEDOUT', 'ECONNABORTED', 'ESOCKETTIMEDOUT']);
+const UNAVAILABLE_NETWORK_CODES = new Set(['ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND', 'EAI_AGAIN', 'EPIPE', 'EHOSTUNREACH']);
+
+// Slack (and similar RPC-style APIs) answer 200 with an error code in the body
+const PROVIDER_ERROR_CODES = {
+  invalid_auth: ERROR_CODES.AUTH_FAILED,
+  not_authed: ERROR_CODES.AUTH_FAILED,
+  token_expired: ERROR_CODES.AUTH_FAILED,
+  token_revoked: ERROR_CODES.AUTH_FAILED,
+  account_inactive: ERROR_CODES.AUTH_FAILED,
+  missing_scope: ERROR_CODES.AUTH_FAILED,
+  ratelimited: ERROR_CODES.QUOTA_EXHAUSTED,
+  channel_not_found: ERROR_CODES.NOT_FOUND,
+  user_not_found: ERROR_CODES.NOT_FOUND,
+  message_not_found: ERROR_CODES.NOT_FOUND,
+  thread_not_found: ERROR_CODES.NOT_FOUND,
+  invalid_arguments: ERROR_CODES.VALIDATION_ERROR
+};
+const PROVIDER_ERROR_PATTERN = new RegExp(`\\b(${Object.keys(PROVIDER_ERROR_CODES).join('|')})\\b`);
+
+export class ToolError extends Error {
+  constructor(code, message, { provider, status, retryable, retryAfter, cause } = {}) {
+    super(message, { cause });
+    this.name = 'ToolError';
+    this.code = code;
+    this.provider = provider;
+    this.status = status;
+    this.retryable = retryable ?? isRetryable(code, status);
+    this.retryAfter = retryAfter;
+  }
+}
+
+function isRetryable(code, status) {
+  if (code === ERROR_CODES.QUOTA_EXHAUSTED) {
+    // A 429 clears after a wait; an exhausted plan quota (402, 403) does not
+    return status === undefined || status === 429;
+  }
+  return code === ERROR_CODES.UPSTREAM_UNAVAILABLE || code === ERROR_CODES.TIMEOUT || code === ERROR_CODES.RATE_LIMITED;
+}
+
+function codeForStatus(status) {
+  if (status === 401 || status === 403) {
+    return ERROR_CODES.AUTH_FAILED;
+  }
+  if (status === 402 || status === 429) {
+    return ERROR_CODES.QUOTA_EXHAUSTED;
+  }
+  if (status === 404 || status === 410) {
+    return ERROR_CODES.NOT_FOUND;
+  }
+  if (status === 408 || status === 504) {
+    return ERROR_CODES.TIMEOUT;
+  }
+  if (status >= 500) {
+    return ERROR_CODES.UPSTREAM_UNAVAILABLE;
+  }
+  if (status >= 400) {
+    return ERROR_CODES.VALIDATION_ERROR;
+  }
+  return null;
+}
+
+// HTTP status from the HTTP client, axios or googleapis (which puts it in code)
+function getStatus(error) {
+  const status = error.status ?? error.response?.status ?? Number(error.code);
+  return Number.isInteger(status) && status >= 400 && status < 600 ? status : undefined;
+}
+
+// Classify one error in a cause chain, or return null if it says nothing specific
+function classifyOne(error, provider) {
+  if (error instanceof ToolError) {
+    return error;
+  }
+  if (error.name === 'OAuthRefreshError') {
+    return { code: ERROR_CODES.AUTH_FAILED };
+  }
+
+  const status = getStatus(error);
+  if (status) {
+    return {
+      code: codeForStatus(status),
+      status,
+      provider: error instanceof HttpError ? error.provider : provider,
+      ...(error.retryAfterMs != null && { retryAfter: Math.ceil(error.retryAfterMs / 1000) })
+    };
+  }
+
+  if (error.name === 'AbortError' || error.name === 'TimeoutError' || TIMEOUT_NETWORK_CODES.has(error.code)) {
+    return { code: ERROR_CODES.TIMEOUT };
+  }
+  if (UNAVAILABLE_NETWORK_CODES.has(error.code)) {
+    return { code: ERROR_CODES.UPSTREAM_UNAVAILABLE };
+  }
+  return null;
+}
+
+// Last resort for adapters that rethrow without a cause: read the wrapped message
+function classifyMessage(message = '') {
+  const statusMatch = message.match(/status code (\d{3})/);
+  if (statusMatch) {
+    const status = Number(statusMatch[1]);
+    return { code: codeForStatus(status), status };
+  }
+
+  const providerCode = message.match(PROVIDER_ERROR_PATTERN)?.[1];
+  if (providerCode) {
+    return { code: PROVIDER_ERROR_CODES[providerCode] };
+  }
+  if (/\b(api key|access token|credentials?)\b.*\brequired\b/i.test(message)) {
+    return { code: ERROR_CODES.AUTH_FAILED };
+  }
+  if (/\btimed? ?out\b|\btimeout\b/i.test(message)) {
+    return { code: ERROR_CODES.TIMEOUT };
+  }
+  return null;
+}
+
+/**
+ * Map any error thrown by a tool handler to a ToolError, using the first
+ * specific error found in its cause chain.
+ *
+ * @param {Error} error
+ * @param {object} [options]
+ * @param {string} [options.provider] - Default provider name (the server name)
+ * @returns {ToolError}
+ */
+export function classifyError(error, { provider } = {}) {
+  if (error instanceof ToolError) {
+    error.provider ??= provider;
+    return error;
+  }
+
+  let classification = null;
+  for (let current = error; current && !classification; current = current.cause) {
+    classification = classifyOne(current, provider);
+  }
+  classification ??= classifyMessage(error?.message);
+
+  const { code = ERROR_CODES.INTERNAL_ERROR, status, retryAfter, retryable } = classification || {};
+  return new ToolError(code, error?.message || String(error), {
+    provider: classification?.provider || provider,
+    status,
+    retryable,
+    retryAfter,
+    cause: error
+  });
+}
+
+export function toToolErrorResult(toolError) {
+  const { code, message, provider, status, retryable, retryAfter } = toolError;
+  const details = [code, status && `HTTP ${status}`, retryable && 'retryable'].filter(Boolean).join(', ');
+
+  return {
+    isError: true,
+    content: [{ type: 'text', text: `${message} (${details})` }],
+    structuredContent: {
+      error: {
+        code,
+        message,
+        provider: provider ?? null,
+        status: status ?? null,
+        retryable,
+        ...(retryAfter !== undefined && { retryAfter })
+      }
+    }
+  };
+}
+
+export default {
+  ERROR_CODES,
+  ToolError,
+  classifyError,
+  toToolErrorResult
+};
@@ -0,0 +1,133 @@
+// Tool-scope policy: which tools a session may see and call
+
+/**
+ * Allow and deny lists come from three places, and a tool must pass all of them:
+ *
+ * server.json, for every user or for specific users:
+ * "global": {
+ *   "tool_policy": {
+ *     "deny": ["*-delete-*"],
+ *     "users": { "user123": { "allow": ["hunter-*", "apollo-*"] } }
+ *   }
+ * }
+ *
+ * server.json, per server:
+ * "servers": { "smartlead": { "toolPolicy": { "deny": ["smartlead-delete-campaign"] } } }
+ *
+ * The JWT, at the top level or per server entry in multi-server tokens:
+ * { ..., "allowedTools": ["hunter-*"], "deniedTools": ["delete_table"] }
+ * ("scopes", an array or space-separated string, is read as more allowed tools)
+ *
+ * Entries are tool names, with "*" matching any run of characters. A tool is
+ * allowed when no deny list matches it and every allow list present matches it
+ * (so an empty allow list allows nothing).
+ *
+ * Read-only mode additionally hides every tool whose annotations lack readOnlyHint: true.
+ * It applies gateway-wide ("global": { "read_only": true } or READ_ONLY=true), per server
+ * ("servers": { "hubspot": { "readOnly": true } }) or per session ("readOnly": true in the JWT).
+ */
+
+const patternCache = new Map(); // pattern -> RegExp
+
+function toRegExp(pattern) {
+  if (!patternCache.has(pattern)) {
+    const escaped = String(pattern).split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+    patternCache.set(pattern, new RegExp(`^${escaped}$`));
+  }
+  return patternCache.get(pattern);
+}
+
+function matchesAny(patterns, toolName) {
+  return patterns.some(pattern => toRegExp(pattern).test(toolName));
+}
+
+function toList(value) {
+  if (!value) {
+    return [];
+  }
+  return Array.isArray(value) ? value.map(String) : String(value).split(/[\s,]+/).filter(Boolean);
+}
+
+// Whether a tool name matches a list of names or "*" patterns, for other per-tool settings
+export function matchesToolPattern(patterns, toolName) {
+  return matchesAny(toList(patterns), toolName);
+}
+
+/**
+ * Read allowedTools/deniedTools/scopes claims from a token entry, falling back to the
+ * token's top level. Returns null when the token sets no policy.
+ */
+export function extractTokenPolicy(entry = {}, token = {}) {
+  const allowedTools = entry.allowedTools ?? token.allowedTools;
+  const scopes = entry.scopes ?? token.scopes;
+  const deniedTools = entry.deniedTools ?? token.deniedTools;
+  const readOnly = entry.readOnly ?? token.readOnly;
+  if (allowedTools === undefined && scopes === undefined && deniedTools === undefined && !readOnly) {
+    return null;
+  }
+
+  return {
+    ...((allowedTools !== undefined || scopes !== undefined) && { allow: [...toList(allowedTools), ...toList(scopes)] }),
+    ...(deniedTools !== undefined && { deny: toList(deniedTools) }),
+    ...(readOnly === true && { readOnly: true })
+  };
+}
+
+/**
+ * Whether only read-only tools may be used on a server in a session.
+ *
+ * @param {object} options
+ * @param {object} [options.globalConfig] - The global section of server.json
+ * @param {object} [options.serverConfig] - The server's entry in server.json
+ * @param {object} [options.tokenPolicy] - From extractTokenPolicy()
+ * @returns {boolean}
+ */
+export function isReadOnlyMode({ globalConfig, serverConfig, tokenPolicy }) {
+  return process.env.READ_ONLY === 'true' ||
+    globalConfig?.read_only === true ||
+    serverConfig?.readOnly === true ||
+    tokenPolicy?.readOnly === true;
+}
+
+// The policies that apply to a user on a server, from the widest to the narrowest
+function collectPolicies({ globalConfig, serverConfig, userId, tokenPolicy }) {
+  const globalPolicy = globalConfig?.tool_policy;
+  return [
+    globalPolicy,
+    globalPolicy?.users?.[userId],
+    serverConfig?.toolPolicy,
+    tokenPolicy
+  ].filter(Boolean);
+}
+
+/**
+ * Whether a tool may be listed and called in a session.
+ *
+ * @param {string} toolName - The adapter's tool name (e.g. "smartlead-delete-campaign")
+ * @param {object} options
+ * @param {object} [options.globalConfig] - The global section of server.json
+ * @param {object} [options.serverConfig] - The server's entry in server.json
+ * @param {string} [options.userId]
+ * @param {object} [options.tokenPolicy] - { allow, deny, readOnly } from the session's JWT
+ * @param {object} [options.annotations] - The tool's annotations, checked in read-only mode
+ * @returns {boolean}
+ */
+export function isToolAllowed(toolName, options) {
+  if (isReadOnlyMode(options) && options.annotations?.readOnlyHint !== true) {
+    return false;
+  }
+
+  return collectPolicies(options).every(policy => {
+    if (matchesAny(toList(policy.deny), toolName)) {
+      return false;
+    }
+    return policy.allow === undefined || matchesAny(toList(policy.allow), toolName);
+  });
+}
+
+export default {
+  matchesToolPattern,
+  extractTokenPolicy,
+  isReadOnlyMode,
+  isToolAllowed
+};